@@ -57,14 +57,17 @@ declare namespace _Handsontable {
     getSourceDataAtCol(column: number): any[];
     getSourceDataAtRow(row: number): any[] | object;
     getTranslatedPhrase(dictionaryKey: string, extraArguments: any): string | null;
+    getValidationErrors(): Handsontable.validationRules.ValidationError[];
     getValue(): any;
     hasColHeaders(): boolean;
     hasHook(key: string): boolean;
     hasRowHeaders(): boolean;
+    importFile(source: File | Blob | ArrayBuffer | Uint8Array | string, options?: Handsontable.importFile.Options): Promise<Handsontable.importFile.Result>;
     isColumnModificationAllowed(): boolean;
     isEmptyCol(col: number): boolean;
     isEmptyRow(row: number): boolean;
     isListening(): boolean;
+    isValidating(): boolean;
     listen(): void;
     loadData(data: any[]): void;
     populateFromArray(row: number, col: number, input: any[], endRow?: number, endCol?: number, source?: string, method?: string, direction?: string, deltas?: any[]): any;
@@ -96,8 +99,11 @@ declare namespace _Handsontable {
     unlisten(): void;
     updateSettings(settings: Handsontable.DefaultSettings, init: boolean): void;
     validateCells(callback: (valid: boolean) => void): void;
+    validateCells(callback?: (valid: boolean) => void): Promise<boolean>;
     validateColumns(columns: number[], callback: (valid: boolean) => void): void;
+    validateColumns(columns: number[], callback?: (valid: boolean) => void): Promise<boolean>;
     validateRows(rows: number[], callback: (valid: boolean) => void): void;
+    validateRows(rows: number[], callback?: (valid: boolean) => void): Promise<boolean>;
     isDestroyed: boolean;
   }
 }
@@ -415,7 +421,9 @@ declare namespace Handsontable {
         destroy(): void;
         exportAllConditions(): ConditionId[];
         getConditions(column: number): Condition[];
+        getOperation(column: number): OperationType | void;
         hasConditions(column: number, name: string): boolean;
+        hasConditions(column: number): boolean;
         isEmpty(): boolean;
         isMatch(value: CellLikeData, column: number): boolean;
         isMatchInConditions(conditions: Condition[], value: CellLikeData, operationType?: OperationType): boolean;
@@ -423,6 +431,15 @@ declare namespace Handsontable {
         removeConditions(column: number): void;
       }
 
+      interface RowsMapper extends arrayMapper {
+        filtersPlugin: Filters;
+
+        createMap(rows: number[]): void;
+        insertRows(insertedRow: number, amount?: number): void;
+        removeRows(rows: number[]): void;
+        destroy(): void;
+      }
+
       interface ConditionUpdateObserver {
         changes: number[];
         columnDataFactory: (column: number) => object[];
@@ -439,16 +456,20 @@ declare namespace Handsontable {
     }
 
     interface BindStrategy {
-      klass: () => void;
-      strategy: string | void;
+      klass: (() => void) | null;
+      strategy: any;
 
       clearMap(): void;
       createMap(length: number): void;
+      createMap(length?: number): void;
       createRow(params: any): void;
+      createRow(row: number, amount?: number): void;
       destroy(): void;
       removeRow(params: any): void;
+      removeRow(rows: number | number[], amount?: number): void;
       setStrategy(name: string): void;
       translate(params: any): void;
+      translate(row: number): number;
     }
 
     interface CommandExecutor {
@@ -482,21 +503,31 @@ declare namespace Handsontable {
     interface Endpoints {
       plugin: plugins.ColumnSummary;
       hot: _Handsontable.Core;
-      endpoints: any[];
-      settings: object | (() => void);
+      endpoints: columnSummary.Endpoint[];
+      settings: object | (() => void) | columnSummary.Settings[] | (() => columnSummary.Settings[]);
       settingsType: string;
       currentEndpoint: object | void;
 
       assignSetting(settings: object, endpoint: object, name: string, defaultValue: any): void;
-      getAllEndpoints(): any[];
-      getEndpoint(index: number): object;
+      assignSetting(settings: columnSummary.Settings, endpoint: columnSummary.Endpoint, name: string, defaultValue: any): void;
+      getAllEndpoints(): columnSummary.Endpoint[];
+      getDestinationRow(endpoint: columnSummary.Endpoint): number;
+      getEndpoint(index: number): columnSummary.Endpoint;
+      getEndpointAt(row: number, column: number): columnSummary.Endpoint | void;
+      getRanges(endpoint: columnSummary.Endpoint): number[][];
       parseSettings(settings: any[]): void;
+      parseSettings(settings?: columnSummary.Settings[] | (() => columnSummary.Settings[])): void;
       refreshAllEndpoints(init: boolean): void;
+      refreshAllEndpoints(): void;
       refreshChangedEndpoints(changes: any[]): void;
+      refreshChangedEndpoints(changes: [number, string | number, any, any][]): void;
       refreshEndpoint(endpoint: object): void;
+      refreshEndpoint(endpoint: columnSummary.Endpoint): void;
       resetAllEndpoints(endpoints: any[], useOffset?: boolean): void;
       resetEndpointValue(endpoint: object, useOffset?: boolean): void;
       setEndpointValue(endpoint: object, source: string, render?: boolean): void;
+      shiftAfterRowsCreation(index: number, amount: number): void;
+      shiftAfterRowsRemoval(index: number, amount: number): void;
     }
 
     interface EventManager {
@@ -674,10 +705,12 @@ declare namespace Handsontable {
     interface BindRowsWithHeaders extends Base {
       bindStrategy: BindStrategy;
       removeRows: any[];
+      strategyName: string | null;
     }
 
     interface CollapsibleColumns extends Base {
       buttonEnabledList: object;
+      collapsedColumns: number[];
       collapsedSections: object;
       columnHeaderLevelCount: number;
       eventManager: EventManager;
@@ -691,11 +724,16 @@ declare namespace Handsontable {
       expandAll(): void;
       expandSection(coords: object): void;
       generateIndicator(col: number, TH: HTMLElement): HTMLElement;
+      generateIndicator(row: number, column: number): HTMLElement;
+      getCollapsedColumns(collapsedSections: object): number[];
+      isCollapsed(coords: object): boolean;
+      isCollapsible(row: number, column: number): boolean;
       markSectionAs(state: string, row: number, column: number, recursive: boolean): void;
       meetsDependencies(): boolean;
       parseSettings(): void;
       toggleAllCollapsibleSections(action: string): void;
       toggleCollapsibleSection(coords: object, action: string): void;
+      toggleCollapsibleSection(coordsList: object[], action: string): void;
     }
 
     interface ColumnSorting extends Base {
@@ -704,6 +742,7 @@ declare namespace Handsontable {
       getSortConfig(column: number): void | columnSorting.Config
       getSortConfig(): Array<columnSorting.Config>
       isSorted(): boolean;
+      isTranslatingRows(): boolean;
       setSortConfig(sortConfig?: columnSorting.Config | Array<columnSorting.Config>): void;
       sort(sortConfig?: columnSorting.Config): void;
     }
@@ -712,14 +751,22 @@ declare namespace Handsontable {
       endpoints: Endpoints | void;
 
       calculate(endpoint: Endpoints): void;
+      calculate(endpoint: columnSummary.Endpoint): void;
       calculateAverage(endpoint: Endpoints): number;
+      calculateAverage(endpoint: columnSummary.Endpoint): number | null;
       calculateMinMax(endpoint: Endpoints, type: string): number;
+      calculateMinMax(endpoint: columnSummary.Endpoint, type: string): number | null;
       calculateSum(endpoint: Endpoints): void;
+      calculateSum(endpoint: columnSummary.Endpoint): number;
       countEmpty(rowRange: any[], col: number): number;
       countEntries(endpoint: Endpoints): number;
+      countEntries(endpoint: columnSummary.Endpoint): number;
       getCellValue(row: number, col: number): string;
+      getCellValue(row: number, col: number, endpoint: columnSummary.Endpoint): number | null;
       getPartialMinMax(rowRange: any[], col: number, type: string): number;
+      getPartialMinMax(rowRange: number[], col: number, type: string, endpoint: columnSummary.Endpoint): number | null;
       getPartialSum(rowRange: any[], col: number): number;
+      getPartialSum(rowRange: number[], col: number, endpoint: columnSummary.Endpoint): number;
     }
 
     type CommentsRangeObject = {
@@ -822,12 +869,22 @@ declare namespace Handsontable {
       close(): void;
       executeCommand(commandName: string, ...params: any[]): void;
       open(event: Event): void;
+      open(position: Event | object): void;
     }
 
     interface ExportFile extends Base {
       downloadFile(format: string, options: object): void;
+      downloadFile(format: exportFile.Format, options?: exportFile.Options): void;
       exportAsString(format: string, options?: object): string;
+      exportAsString(format: exportFile.Format, options?: exportFile.Options): string;
       exportAsBlob(format: string, options?: object): Blob;
+      exportAsBlob(format: exportFile.Format, options?: exportFile.Options): Blob;
+    }
+
+    interface ImportFile extends Base {
+      importFile(source: File | Blob | ArrayBuffer | Uint8Array | string, options?: importFile.Options): Promise<importFile.Result>;
+      loadResult(result: importFile.Result): void;
+      parse(content: ArrayBuffer | Uint8Array | string, options?: importFile.Options, fileName?: string): importFile.Result;
     }
 
     interface Filters extends Base {
@@ -838,10 +895,12 @@ declare namespace Handsontable {
       conditionCollection: FiltersPlugin.ConditionCollection | void;
       conditionUpdateObserver: FiltersPlugin.ConditionUpdateObserver | void;
       lastSelectedColumn?: number | void;
+      rowsMapper: FiltersPlugin.RowsMapper;
       trimRowsPlugin: TrimRows | void;
       valueComponent: FiltersPlugin.ValueComponent | void;
 
       addCondition(column: number, name: string, args: any[], operationId: FiltersPlugin.OperationType): void;
+      addCondition(column: number, name: string, args: any[]): void;
       clearColumnSelection(): void;
       clearConditions(column?: number | void): void;
       getDataMapAtColumn(column: number): FiltersPlugin.CellLikeData[];
@@ -868,6 +927,8 @@ declare namespace Handsontable {
 
       clearChanges(): void;
       collectChanges(row: number, column: number, value: any): void;
+      countColumns(): number;
+      countRows(): number;
       destroy(): void;
       getDataAtCell(row: number, column: number): any;
       getDataByRange(row1: number, column1: number, row2: number, column2: number): any[];
@@ -892,14 +953,18 @@ declare namespace Handsontable {
 
     interface Matrix {
       t: RecordTranslator;
-      data: any[];
+      data: any;
       cellReferences: any[];
 
+      getAll(): CellValue[];
       getCellAt(row: number, column: number): CellValue | void;
       getOutOfDateCells(): any[];
       add(cellValue: CellValue | object): void;
+      remove(row: number, column: number): void;
       remove(cellValue: CellValue | object | any[]): void;
+      getDependencies(cells: Array<{row: number, column: number}>): CellValue[];
       getDependencies(cellCoord: object): void;
+      getDependents(row: number, column: number): CellValue[];
       registerCellRef(cellReference: CellReference | object): void;
       removeCellRefsAtRange(start: object, end: object): any[];
       reset(): void;
@@ -917,18 +982,28 @@ declare namespace Handsontable {
     }
     interface CellReference extends BaseCell {}
 
+    type CellValuePrecedent = {
+      start: {row: number, column: number},
+      end: {row: number, column: number}
+    }
     interface CellValue extends BaseCell {
-      error: string | void;
+      row: number;
+      column: number;
+      expression: string;
+      ast: object | null;
+      error: string | null | void;
       precedents: any[];
-      state: string;
+      state: any;
       value: any;
 
+      addPrecedent(start: {row: number, column: number}, end?: {row: number, column: number}): void;
       addPrecedent(cellReference: CellReference): void;
       clearPrecedents(): void;
-      getError(): string | void;
+      getError(): string | null | void;
       getPrecedents(): any[];
       getValue(): any;
       hasError(): boolean;
+      hasPrecedent(row: number, column: number): boolean;
       hasPrecedent(cellReference: CellReference): boolean;
       hasPrecedents(): boolean;
       isState(state: number): boolean;
@@ -945,17 +1020,21 @@ declare namespace Handsontable {
       matrix: Matrix;
       parser: Parser;
       t: RecordTranslator;
+      variables: object;
 
+      alter(action: 'insert' | 'remove', axis: 'row' | 'column', index: number | number[], amount?: number): void;
       applyChanges(row: number, column: number, newValue: any): void;
       destroy(): void;
+      evaluateExpression(expression: string): any;
       getCellAt(row: number, column: number): CellValue | void;
       getCellDependencies(row: number, column: number): any[];
       getVariable(name: string): any;
-      parseExpression(cellValue: CellValue | object, formula: string): void;
+      parseExpression(cellValue: CellValue | object, formula?: string): void;
       recalculate(): void;
       recalculateFull(): void;
       recalculateOptimized(): void;
       setVariable(name: string, value: any): void;
+      setVariables(variables: object): void;
     }
 
     interface Stack {
@@ -1030,6 +1109,8 @@ declare namespace Handsontable {
     interface HeaderTooltips extends Base {
       settings: boolean | object;
 
+      clearTitleAttributes(): void;
+      getTooltip(label: string, index: number, isColumnHeader: boolean): string;
       parseSettings(): void;
     }
 
@@ -1050,6 +1131,7 @@ declare namespace Handsontable {
       lastSelectedRow: number;
       settings: object | void;
 
+      getHiddenRows(): number[];
       isHidden(row: number, isLogicIndex?: boolean): boolean;
       hideRow(row: number): void;
       hideRows(rows: any[]): void;
@@ -1065,6 +1147,14 @@ declare namespace Handsontable {
       unfreezeColumn(column: number): void;
     }
 
+    interface ManualRowFreeze extends Base {
+      frozenRowsBasePositions: any[];
+      manualRowMovePlugin: ManualRowMove;
+
+      freezeRow(row: number): void;
+      unfreezeRow(row: number): void;
+    }
+
     interface arrayMapper {
       getValueByIndex(index: number): any;
       getIndexByValue(value: any): number;
@@ -1098,6 +1188,7 @@ declare namespace Handsontable {
       getSortConfig(column: number): void | columnSorting.Config
       getSortConfig(): Array<columnSorting.Config>
       isSorted(): boolean;
+      isTranslatingRows(): boolean;
       setSortConfig(sortConfig?: columnSorting.Config | Array<columnSorting.Config>): void;
       sort(sortConfig?: columnSorting.Config | Array<columnSorting.Config>): void;
     }
@@ -1321,30 +1412,118 @@ declare namespace Handsontable {
       plugin: NestedRows;
 
       addChild(parent: object, element?: object): void;
+      addChild(parent: number | object | null, element?: object): void;
       addChildAtIndex(parent: object, index: number, element?: object, globalIndex?: number): void;
+      addChildAtIndex(parent: number | object | null, index: number, element?: object): void;
       addSibling(index: number, where?: string): void;
+      addSibling(index: number, where?: 'above' | 'below'): void;
       countAllRows(): number;
       countChildren(parent: object | number): number;
       detachFromParent(elements: object | any[], forceRender?: boolean): void;
+      detachFromParent(elements: number | number[], forceRender?: boolean): void;
       getDataObject(row: number): any | void;
-      getRowIndex(rowObj: object): number | void;
+      getRowIndex(rowObj: object): number | null | void;
       getRowIndexWithinParent(row: number | object): number;
       getRowLevel(row: number): number | void;
-      getRowParent(row: number | object): object | void;
+      getRowLevel(row: number | object): number | null;
+      getRowParent(row: number | object): object | null | void;
+      getTopmostElements(rows: number[]): object[];
       hasChildren(row: number | object): boolean;
+      insertElement(element: object, parent: object | null, index: number, updateCellsMeta?: boolean): void;
+      isDescendant(row: number | object, ancestorRow: number | object): boolean;
       isParent(row: number | object): boolean;
-      moveRow(fromIndex: number, toIndex: number): void;
+      mockNode(): object;
+      moveElement(element: object, parent: object | null, index: number): void;
+      moveRow(fromIndex: number, toIndex: number): boolean;
+      removeElement(element: object, updateCellsMeta?: boolean): void;
       rewriteCache(): void;
+      setData(data: object[]): void;
+    }
+
+    interface CollapsingUI {
+      collapsedRows: object[];
+      dataManager: DataManager;
+      hot: _Handsontable.Core;
+      plugin: NestedRows;
+      trimRowsPlugin: TrimRows;
+
+      areChildrenCollapsed(row: number | object): boolean;
+      collapseAll(forceRender?: boolean): void;
+      collapseChildren(row: number | object, forceRender?: boolean): void;
+      collapseMultipleChildren(rows: Array<number | object>, forceRender?: boolean): void;
+      expandAll(forceRender?: boolean): void;
+      expandChildren(row: number | object, forceRender?: boolean): void;
+      expandMultipleChildren(rows: Array<number | object>, forceRender?: boolean): void;
+      isAnyParentCollapsed(row: number | object): boolean;
+      toggleState(row: number | object, forceRender?: boolean): void;
+      updateTrimmedRows(forceRender?: boolean): void;
+    }
+
+    interface HeadersUI {
+      collapsingUI: CollapsingUI;
+      dataManager: DataManager;
+      hot: _Handsontable.Core;
+      plugin: NestedRows;
+      rowHeaderWidthCache: number;
+
+      appendLevelIndicators(row: number, TH: HTMLElement): void;
+      updateRowHeaderWidth(): void;
     }
 
     interface NestedRows extends Base {
       bindRowsWithHeadersPlugin: BindRowsWithHeaders | void;
+      collapsingUI: CollapsingUI | void;
       dataManager: DataManager | void;
-      headersUI: object | void;
+      headersUI: HeadersUI | void;
       sourceData: object | void;
       trimRowsPlugin: TrimRows | void;
     }
 
+    interface ConditionalFormatting extends Base {
+      addRule(rule: conditionalFormatting.Rule): string | number | null;
+      clearRules(): boolean;
+      getCellFormatting(row: number, column: number): conditionalFormatting.CellFormatting | null;
+      getRule(id: string | number): conditionalFormatting.Rule | null;
+      getRules(): conditionalFormatting.Rule[];
+      invalidateCache(): void;
+      removeRule(id: string | number): boolean;
+      setRules(rules: conditionalFormatting.Rule[]): boolean;
+      updateRule(id: string | number, properties: conditionalFormatting.Rule): boolean;
+    }
+
+    interface RowGroupingGroup {
+      key: any;
+      column: number;
+      level: number;
+      path: any[];
+      count: number;
+      collapsed: boolean;
+    }
+
+    interface RowGrouping extends Base {
+      collapseAll(): void;
+      collapseGroup(row: number, forceRender?: boolean): void;
+      expandAll(): void;
+      expandGroup(row: number, forceRender?: boolean): void;
+      getGroup(row: number): RowGroupingGroup | null;
+      getGroupingColumns(): number[];
+      groupBy(columns: number | number[]): void;
+      isGroupCollapsed(row: number): boolean;
+      isGroupHeader(row: number): boolean;
+      isGrouped(): boolean;
+      toggleGroup(row: number): void;
+      ungroup(): void;
+    }
+
+    interface PivotTable extends Base {
+      nestedHeadersPlugin: NestedHeaders | null;
+      sourceHot: _Handsontable.Core | null;
+
+      drillDown(row: number, column: number): any[];
+      getSourceRows(row: number, column: number): number[];
+      updatePivot(): void;
+    }
+
     interface DataObserver {
       observedData: any[];
       observer: object;
@@ -1439,10 +1618,11 @@ declare namespace Handsontable {
     columnHeaderHeight?: number | any[];
     columns?: ((index?: number) => void) | any[];
     columnSorting?: boolean | columnSorting.Settings;
-    columnSummary?: object; // pro
+    columnSummary?: object | columnSummary.Settings[] | (() => columnSummary.Settings[]); // pro
     colWidths?: ((index?: number) => void) | number | string | any[];
     commentedCellClassName?: string;
     comments?: boolean | CommentObject[];
+    conditionalFormatting?: boolean | conditionalFormatting.Rule[];
     contextMenu?: boolean | any[] | contextMenu.Settings;
     contextMenuCopyPaste?: object;
     copyable?: boolean;
@@ -1471,11 +1651,13 @@ declare namespace Handsontable {
     filteringCaseSensitive?: boolean;
     filters?: boolean; // pro
     fixedColumnsLeft?: number;
+    fixedColumnsRight?: number;
     fixedRowsBottom?: number; // pro
     fixedRowsTop?: number;
+    formulas?: boolean | formulas.Settings;
     fragmentSelection?: boolean | string;
     ganttChart?: object; // pro
-    headerTooltips?: boolean | object; // pro
+    headerTooltips?: boolean | object | headerTooltips.Settings; // pro
     height?: number | (() => void);
     hiddenColumns?: boolean | object; // pro
     hiddenRows?: boolean | object; // pro
@@ -1487,6 +1669,7 @@ declare namespace Handsontable {
     manualColumnFreeze?: boolean;
     manualColumnMove?: boolean | any[];
     manualColumnResize?: boolean | any[];
+    manualRowFreeze?: boolean;
     manualRowMove?: boolean | any[];
     manualRowResize?: boolean | any[];
     maxCols?: number;
@@ -1505,6 +1688,7 @@ declare namespace Handsontable {
     outsideClickDeselects?: boolean | ((target: HTMLElement) => boolean);
     pasteMode?: string;
     persistentState?: boolean;
+    pivotTable?: pivotTable.Settings;
     placeholder?: any;
     placeholderCellClassName?: string;
     preventOverflow?: string | boolean;
@@ -1512,9 +1696,12 @@ declare namespace Handsontable {
     readOnlyCellClassName?: string;
     renderAllRows?: boolean;
     renderer?: string | renderers.Base;
+    rowGrouping?: boolean | rowGrouping.Settings;
     rowHeaders?: boolean | any[] | (() => void);
     rowHeaderWidth?: number | any[];
     rowHeights?: any[] | (() => void) | number | string;
+    rowValidationMessages?: string[];
+    rowValidators?: validationRules.RowValidator[];
     search?: boolean;
     selectOptions?: any[];
     skipColumnOnPaste?: boolean;
@@ -1528,12 +1715,18 @@ declare namespace Handsontable {
     tabMoves?: object;
     title?: string;
     trimDropdown?: boolean;
-    trimRows?: boolean; // pro
+    trimRows?: boolean | number[]; // pro
     trimWhitespace?: boolean;
     type?: string;
     uncheckedTemplate?: boolean | string;
     undo?: boolean;
+    unique?: boolean | Array<string | number>;
     valid?: boolean;
+    validating?: boolean;
+    validatingCellClassName?: string;
+    validationDebounceDelay?: number;
+    validationMessages?: string[];
+    validationRules?: validationRules.Rule[];
     validator?: (value: any, callback: (valid: boolean) => void) => void | RegExp;
     viewportColumnRenderingOffset?: number | string;
     viewportRowRenderingOffset?: number | string;
@@ -1548,9 +1741,14 @@ declare namespace Handsontable {
     afterCellMetaReset?: () => void;
     afterChange?: (changes: [number, string | number, any, any][], source: string) => void;
     afterChangesObserved?: () => void;
+    afterColumnCollapse?: (currentCollapsedColumns: number[], destinationCollapsedColumns: number[], collapsePossible: boolean, successfullyCollapsed: boolean) => void;
+    afterColumnExpand?: (currentCollapsedColumns: number[], destinationCollapsedColumns: number[], expandPossible: boolean, successfullyExpanded: boolean) => void;
+    afterColumnFreeze?: (column: number) => void;
     afterColumnMove?: (startColumn: number, endColumn: number) => void;
     afterColumnResize?: (currentColumn: number, newSize: number, isDoubleClick: boolean) => void;
     afterColumnSort?: (currentSortConfig: object[], destinationSortConfigs: object[]) => void;
+    afterColumnUnfreeze?: (column: number) => void;
+    afterConditionalFormattingRulesChange?: (previousRules: conditionalFormatting.Rule[], currentRules: conditionalFormatting.Rule[]) => void;
     afterContextMenuDefaultOptions?: (predefinedItems: any[]) => void;
     afterContextMenuHide?: (context: Handsontable.plugins.ContextMenu) => void;
     afterContextMenuShow?: (context: Handsontable.plugins.ContextMenu) => void;
@@ -1561,7 +1759,7 @@ declare namespace Handsontable {
     afterCut?: (data: any[], coords: any[]) => void;
     afterDeselect?: () => void;
     afterDestroy?: () => void;
-    afterDetachChild?: (parent: object, element: object) => void;
+    afterDetachChild?: (parent: object, element: object, finalElementPosition: number) => void;
     afterDocumentKeyDown?: (event: Event) => void;
     afterDrawSelection?: (currentRow: number, currentColumn: number, cornersOfSelection: number[], layerLevel: number | void) => string | void
     afterDropdownMenuDefaultOptions?: (predefinedItems: any[]) => void;
@@ -1581,6 +1779,7 @@ declare namespace Handsontable {
     afterModifyTransformEnd?: (coords: wot.CellCoords, rowTransformDir: number, colTransformDir: number) => void;
     afterModifyTransformStart?: (coords: wot.CellCoords, rowTransformDir: number, colTransformDir: number) => void;
     afterMomentumScroll?: () => void;
+    afterNestedRowMove?: (element: object, parent: object | null, index: number, previousParent: object | null, previousIndex: number) => void;
     afterOnCellContextMenu?: (event: MouseEvent, coords: wot.CellCoords, TD: Element) => void;
     afterOnCellCornerDblClick?: (event: MouseEvent) => void;
     afterOnCellCornerMouseDown?: (event: MouseEvent) => void;
@@ -1596,8 +1795,11 @@ declare namespace Handsontable {
     afterRemoveRow?: (index: number, amount: number) => void;
     afterRender?: (isForced: boolean) => void;
     afterRenderer?: (TD: Element, row: number, col: number, prop: string | number, value: string, cellProperties: GridSettings) => void;
+    afterRowFreeze?: (row: number) => void;
+    afterRowGrouping?: (previousColumns: number[], currentColumns: number[]) => void;
     afterRowMove?: (startRow: number, endRow: number) => void;
     afterRowResize?: (currentRow: number, newSize: number, isDoubleClick: boolean) => void;
+    afterRowUnfreeze?: (row: number) => void;
     afterScrollHorizontally?: () => void;
     afterScrollVertically?: () => void;
     afterSelection?: (r: number, c: number, r2: number, c2: number, preventScrolling: object, selectionLayerLevel: number) => void;
@@ -1622,9 +1824,14 @@ declare namespace Handsontable {
     beforeCellAlignment?: (stateBefore: any, range: any, type: string, alignmentClass: string) => void;
     beforeChange?: (changes: [number, string | number, any, any][], source: string) => void;
     beforeChangeRender?: (changes: any[], source: string) => void;
+    beforeColumnCollapse?: (currentCollapsedColumns: number[], destinationCollapsedColumns: number[], collapsePossible: boolean) => void | boolean;
+    beforeColumnExpand?: (currentCollapsedColumns: number[], destinationCollapsedColumns: number[], expandPossible: boolean) => void | boolean;
+    beforeColumnFreeze?: (column: number) => void;
     beforeColumnMove?: (columns: number[], target: number) => void;
     beforeColumnResize?: (currentColumn: number, newSize: number, isDoubleClick: boolean) => void;
     beforeColumnSort?: (currentSortConfig: object[], destinationSortConfigs: object[]) => void;
+    beforeColumnUnfreeze?: (column: number) => void;
+    beforeConditionalFormattingRulesChange?: (currentRules: conditionalFormatting.Rule[], destinationRules: conditionalFormatting.Rule[]) => void | boolean;
     beforeContextMenuSetItems?: (menuItems: any[]) => void;
     beforeContextMenuShow?: (context: Handsontable.plugins.ContextMenu) => void;
     beforeCopy?: (data: any[], coords: any[]) => any;
@@ -1642,6 +1849,7 @@ declare namespace Handsontable {
     beforeKeyDown?: (event: Event) => void;
     beforeLanguageChange?: (languageCode: string) => void;
     beforeMergeCells?: (cellRange: wot.CellRange, auto: boolean) => void;
+    beforeNestedRowMove?: (element: object, parent: object | null, index: number, previousParent: object | null, previousIndex: number) => void | boolean;
     beforeOnCellContextMenu?: (event: object, coords: object, TD: Element) => void;
     beforeOnCellMouseDown?: (event: Event, coords: object, TD: Element, controller: object) => void;
     beforeOnCellMouseOut?: (event: Event, coords: wot.CellCoords, TD: Element) => void;
@@ -1655,8 +1863,11 @@ declare namespace Handsontable {
     beforeRemoveRow?: (index: number, amount: number, logicalRows?: any[]) => void;
     beforeRender?: (isForced: boolean, skipRender: object) => void;
     beforeRenderer?: (TD: Element, row: number, col: number, prop: string | number, value: string, cellProperties: GridSettings) => void;
+    beforeRowFreeze?: (row: number) => void;
+    beforeRowGrouping?: (currentColumns: number[], destinationColumns: number[]) => void | boolean;
     beforeRowMove?: (columns: number[], target: number) => void;
     beforeRowResize?: (currentRow: number, newSize: number, isDoubleClick: boolean) => any;
+    beforeRowUnfreeze?: (row: number) => void;
     beforeSetRangeEnd?: (coords: wot.CellCoords) => void;
     beforeSetRangeStart?: (coords: wot.CellCoords) => void;
     beforeSetRangeStartOnly?: (coords: wot.CellCoords) => void;
@@ -1681,6 +1892,7 @@ declare namespace Handsontable {
     modifyData?: (row: number, column: number, valueHolder: object, ioMode: string) => void;
     modifyGetCellCoords?: (row: number, column: number, topmost: boolean) => void;
     modifyRow?: (row: number) => void;
+    modifyRowCount?: (count: number) => number | void;
     modifyRowData?: (row: number) => void;
     modifyRowHeader?: (row: number) => void;
     modifyRowHeaderWidth?: (rowHeaderWidth: number) => void;
@@ -1941,6 +2153,7 @@ declare namespace Handsontable {
     ColumnSorting: plugins.ColumnSorting,
     ColumnSummary: plugins.ColumnSummary,
     Comments: plugins.Comments,
+    ConditionalFormatting: plugins.ConditionalFormatting,
     ContextMenu: plugins.ContextMenu,
     CopyPaste: plugins.CopyPaste,
     DragToScroll: plugins.DragToScroll,
@@ -1952,9 +2165,11 @@ declare namespace Handsontable {
     HeaderTooltips: plugins.HeaderTooltips,
     HiddenColumns: plugins.HiddenColumns,
     HiddenRows: plugins.HiddenRows,
+    ImportFile: plugins.ImportFile,
     ManualColumnFreeze: plugins.ManualColumnFreeze,
     ManualColumnMove: plugins.ManualColumnMove,
     ManualColumnResize: plugins.ManualColumnResize,
+    ManualRowFreeze: plugins.ManualRowFreeze,
     ManualRowMove: plugins.ManualRowMove,
     ManualRowResize: plugins.ManualRowResize;
     MergeCells: plugins.MergeCells;
@@ -1963,6 +2178,8 @@ declare namespace Handsontable {
     NestedHeaders: plugins.NestedHeaders,
     NestedRows: plugins.NestedRows,
     ObserveChanges: plugins.ObserveChanges,
+    PivotTable: plugins.PivotTable,
+    RowGrouping: plugins.RowGrouping,
     Search: plugins.Search,
     TouchScroll: plugins.TouchScroll,
     TrimRows: plugins.TrimRows,
@@ -1979,6 +2196,7 @@ declare namespace Handsontable {
     columnSorting: plugins.ColumnSorting,
     columnSummary: plugins.ColumnSummary,
     comments: plugins.Comments,
+    conditionalFormatting: plugins.ConditionalFormatting,
     contextMenu: plugins.ContextMenu,
     copyPaste: plugins.CopyPaste,
     dragToScroll: plugins.DragToScroll,
@@ -1990,9 +2208,11 @@ declare namespace Handsontable {
     headerTooltips: plugins.HeaderTooltips,
     hiddenColumns: plugins.HiddenColumns,
     hiddenRows: plugins.HiddenRows,
+    importFile: plugins.ImportFile,
     manualColumnFreeze: plugins.ManualColumnFreeze,
     manualColumnMove: plugins.ManualColumnMove,
     manualColumnResize: plugins.ManualColumnResize,
+    manualRowFreeze: plugins.ManualRowFreeze,
     manualRowMove: plugins.ManualRowMove,
     manualRowResize: plugins.ManualRowResize;
     mergeCells: plugins.MergeCells;
@@ -2001,6 +2221,8 @@ declare namespace Handsontable {
     nestedHeaders: plugins.NestedHeaders,
     nestedRows: plugins.NestedRows,
     observeChanges: plugins.ObserveChanges,
+    pivotTable: plugins.PivotTable,
+    rowGrouping: plugins.RowGrouping,
     search: plugins.Search,
     touchScroll: plugins.TouchScroll,
     trimRows: plugins.TrimRows,
@@ -2046,6 +2268,167 @@ declare namespace Handsontable {
     }
   }
 
+  namespace columnSummary {
+    interface Settings {
+      destinationRow?: number,
+      destinationColumn?: number,
+      sourceColumn?: number,
+      ranges?: number[][],
+      type?: 'sum' | 'min' | 'max' | 'count' | 'average' | 'custom',
+      customFunction?: (this: plugins.ColumnSummary, endpoint: Endpoint) => any,
+      forceNumeric?: boolean,
+      reversedRowCoords?: boolean,
+      suppressDataTypeErrors?: boolean,
+      readOnly?: boolean,
+      roundFloat?: boolean | number,
+      numericFormat?: object
+    }
+
+    interface Endpoint extends Settings {
+      ranges: number[][] | null,
+      result: any
+    }
+  }
+
+  namespace exportFile {
+    type Format = 'csv' | 'tsv' | 'xlsx';
+
+    interface Options {
+      bom?: boolean,
+      columnDelimiter?: string,
+      columnHeaders?: boolean,
+      encoding?: string,
+      exportHiddenColumns?: boolean,
+      exportHiddenRows?: boolean,
+      exportRenderedValues?: boolean,
+      fileExtension?: string,
+      filename?: string,
+      mimeType?: string,
+      quoteAllFields?: boolean,
+      range?: number[],
+      rowDelimiter?: string,
+      rowHeaders?: boolean,
+      sheetName?: string
+    }
+  }
+
+  namespace formulas {
+    interface Settings {
+      variables?: object
+    }
+  }
+
+  namespace headerTooltips {
+    interface Settings {
+      rows?: boolean,
+      columns?: boolean,
+      onlyTrimmed?: boolean,
+      tooltip?: (label: string, index: number, isColumnHeader: boolean) => string | void
+    }
+  }
+
+  namespace importFile {
+    type Format = 'csv' | 'tsv' | 'xlsx';
+
+    interface Options {
+      columnDelimiter?: string,
+      columnHeaders?: boolean,
+      encoding?: string,
+      format?: Format,
+      sheet?: number | string
+    }
+
+    interface Result {
+      data: any[][],
+      columnHeaders: any[] | null,
+      cellsMeta: Array<{row: number, col: number, meta: object}>,
+      mergedCells: Array<{row: number, col: number, rowspan: number, colspan: number}>,
+      comments: Array<{row: number, col: number, value: string}>,
+      unmapped: Array<{part: string, message: string}>
+    }
+  }
+
+  namespace pivotTable {
+    type Aggregator = 'sum' | 'count' | 'avg' | 'min' | 'max' | ((values: any[]) => any);
+
+    interface ValueField {
+      column: number,
+      aggregator?: Aggregator,
+      label?: string
+    }
+
+    interface Settings {
+      source: _Handsontable.Core,
+      rowFields?: number | number[],
+      columnFields?: number | number[],
+      valueFields?: ValueField[]
+    }
+  }
+
+  namespace validationRules {
+    type RuleType = 'required' | 'min' | 'max' | 'minLength' | 'maxLength' | 'pattern' | 'oneOf' | 'custom' | string;
+
+    interface Rule {
+      type: RuleType,
+      value?: any,
+      test?: (value: any) => boolean,
+      message?: string | ((value: any, rule: Rule) => string)
+    }
+
+    interface RowValidator {
+      test: (row: any[] | object, rowIndex: number) => boolean,
+      props?: Array<string | number>,
+      message?: string | ((row: any[] | object, rowIndex: number) => string)
+    }
+
+    interface ValidationError {
+      row: number,
+      col: number,
+      prop: string | number,
+      messages: string[]
+    }
+  }
+
+  namespace conditionalFormatting {
+    type Predicate = (value: any, row: number, column: number) => boolean;
+
+    interface Condition {
+      name: string,
+      args?: any[]
+    }
+
+    interface Rule {
+      id?: string | number,
+      range?: { from: { row: number, col: number }, to: { row: number, col: number } },
+      condition?: Condition | Predicate,
+      className?: string,
+      style?: object,
+      colorScale?: { min: string, max: string, mid?: string },
+      dataBar?: { color?: string },
+      priority?: number,
+      stopIfTrue?: boolean
+    }
+
+    interface CellFormatting {
+      className: string,
+      style: object
+    }
+  }
+
+  namespace rowGrouping {
+    type AggregateType = 'count' | 'sum' | 'min' | 'max' | 'average' | ((values: any[]) => any);
+
+    interface Aggregate {
+      column: number,
+      type: AggregateType
+    }
+
+    interface Settings {
+      columns?: number | number[],
+      aggregates?: Aggregate[]
+    }
+  }
+
   namespace multiColumnSorting {
     interface Settings {
       initialConfig?: columnSorting.Config | Array<columnSorting.Config>,
@@ -102,8 +102,27 @@ class Walkontable {
     const fixedRowsTop = this.wtSettings.getSetting('fixedRowsTop');
     const fixedRowsBottom = this.wtSettings.getSetting('fixedRowsBottom');
     const fixedColumns = this.wtSettings.getSetting('fixedColumnsLeft');
+    const totalColumns = this.wtSettings.getSetting('totalColumns');
+    const fixedColumnsRight = this.wtSettings.getSetting('fixedColumnsRight');
+    const isFixedOnRight = fixedColumnsRight > 0 && coords.col >= totalColumns - fixedColumnsRight &&
+      coords.col >= fixedColumns;
 
-    if (coords.row < fixedRowsTop && coords.col < fixedColumns) {
+    if (isFixedOnRight && coords.row < fixedRowsTop) {
+      if (this.wtOverlays.topRightCornerOverlay && this.wtOverlays.topRightCornerOverlay.clone) {
+        return this.wtOverlays.topRightCornerOverlay.clone.wtTable.getCell(coords);
+      }
+
+    } else if (isFixedOnRight && coords.row >= totalRows - fixedRowsBottom) {
+      if (this.wtOverlays.bottomRightCornerOverlay && this.wtOverlays.bottomRightCornerOverlay.clone) {
+        return this.wtOverlays.bottomRightCornerOverlay.clone.wtTable.getCell(coords);
+      }
+
+    } else if (isFixedOnRight) {
+      if (this.wtOverlays.rightOverlay && this.wtOverlays.rightOverlay.clone) {
+        return this.wtOverlays.rightOverlay.clone.wtTable.getCell(coords);
+      }
+
+    } else if (coords.row < fixedRowsTop && coords.col < fixedColumns) {
       return this.wtOverlays.topLeftCornerOverlay.clone.wtTable.getCell(coords);
 
     } else if (coords.row < fixedRowsTop) {
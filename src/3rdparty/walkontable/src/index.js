@@ -15,6 +15,9 @@ import TopOverlay from './overlay/top';
 import TopLeftCornerOverlay from './overlay/topLeftCorner';
 import BottomOverlay from './overlay/bottom';
 import BottomLeftCornerOverlay from './overlay/bottomLeftCorner';
+import RightOverlay from './overlay/right';
+import TopRightCornerOverlay from './overlay/topRightCorner';
+import BottomRightCornerOverlay from './overlay/bottomRightCorner';
 
 import Border from './border';
 import Walkontable from './core';
@@ -43,6 +46,9 @@ export {
   TopLeftCornerOverlay,
   BottomOverlay,
   BottomLeftCornerOverlay,
+  RightOverlay,
+  TopRightCornerOverlay,
+  BottomRightCornerOverlay,
 
   Border,
   Walkontable as default,
@@ -37,6 +37,13 @@ class Overlay {
     return 'left';
   }
 
+  /**
+   * @type {String}
+   */
+  static get CLONE_RIGHT() {
+    return 'right';
+  }
+
   /**
    * @type {String}
    */
@@ -51,6 +58,20 @@ class Overlay {
     return 'bottom_left_corner';
   }
 
+  /**
+   * @type {String}
+   */
+  static get CLONE_TOP_RIGHT_CORNER() {
+    return 'top_right_corner';
+  }
+
+  /**
+   * @type {String}
+   */
+  static get CLONE_BOTTOM_RIGHT_CORNER() {
+    return 'bottom_right_corner';
+  }
+
   /**
    * @type {String}
    */
@@ -68,8 +89,11 @@ class Overlay {
       Overlay.CLONE_TOP,
       Overlay.CLONE_BOTTOM,
       Overlay.CLONE_LEFT,
+      Overlay.CLONE_RIGHT,
       Overlay.CLONE_TOP_LEFT_CORNER,
       Overlay.CLONE_BOTTOM_LEFT_CORNER,
+      Overlay.CLONE_TOP_RIGHT_CORNER,
+      Overlay.CLONE_BOTTOM_RIGHT_CORNER,
       Overlay.CLONE_DEBUG,
     ];
   }
@@ -190,7 +214,7 @@ class Overlay {
   /**
    * Make a clone of table for overlay
    *
-   * @param {String} direction Can be `Overlay.CLONE_TOP`, `Overlay.CLONE_LEFT`,
+   * @param {String} direction Can be `Overlay.CLONE_TOP`, `Overlay.CLONE_LEFT`, `Overlay.CLONE_RIGHT`,
    *                           `Overlay.CLONE_TOP_LEFT_CORNER`, `Overlay.CLONE_DEBUG`
    * @returns {Walkontable}
    */
@@ -217,7 +241,7 @@ class Overlay {
 
     if (preventOverflow === true ||
         preventOverflow === 'horizontal' && this.type === Overlay.CLONE_TOP ||
-        preventOverflow === 'vertical' && this.type === Overlay.CLONE_LEFT) {
+        preventOverflow === 'vertical' && (this.type === Overlay.CLONE_LEFT || this.type === Overlay.CLONE_RIGHT)) {
       this.mainTableScrollableElement = window;
 
     } else {
@@ -0,0 +1,89 @@
+import {
+  getScrollbarWidth,
+  outerHeight,
+  outerWidth,
+  resetCssTransform
+} from './../../../../helpers/dom/element';
+import Overlay from './_base';
+
+/**
+ * @class BottomRightCornerOverlay
+ */
+class BottomRightCornerOverlay extends Overlay {
+  /**
+   * @param {Walkontable} wotInstance
+   */
+  constructor(wotInstance) {
+    super(wotInstance);
+    this.clone = this.makeClone(Overlay.CLONE_BOTTOM_RIGHT_CORNER);
+  }
+
+  /**
+   * Checks if overlay should be fully rendered
+   *
+   * @returns {Boolean}
+   */
+  shouldBeRendered() {
+    return !!(this.wot.getSetting('fixedRowsBottom') && this.wot.getSetting('fixedColumnsRight'));
+  }
+
+  /**
+   * Reposition the overlay.
+   */
+  repositionOverlay() {
+    let scrollbarWidth = getScrollbarWidth();
+    const cloneRoot = this.clone.wtTable.holder.parentNode;
+
+    if (this.wot.wtTable.holder.clientHeight === this.wot.wtTable.holder.offsetHeight) {
+      scrollbarWidth = 0;
+    }
+
+    cloneRoot.style.top = '';
+    cloneRoot.style.bottom = `${scrollbarWidth}px`;
+  }
+
+  /**
+   * Updates the corner overlay position
+   */
+  resetFixedPosition() {
+    this.updateTrimmingContainer();
+
+    if (!this.wot.wtTable.holder.parentNode) {
+      // removed from DOM
+      return;
+    }
+    const overlayRoot = this.clone.wtTable.holder.parentNode;
+    const tableHeight = outerHeight(this.clone.wtTable.TABLE);
+    const tableWidth = outerWidth(this.clone.wtTable.TABLE);
+
+    overlayRoot.style.top = '';
+    overlayRoot.style.left = `${this.wot.wtOverlays.rightOverlay.getOverlayLeftPosition(tableWidth)}px`;
+
+    if (this.trimmingContainer === window) {
+      const box = this.wot.wtTable.hider.getBoundingClientRect();
+      const bottom = Math.ceil(box.bottom);
+      let finalBottom;
+      const bodyHeight = document.body.offsetHeight;
+
+      if (bottom > bodyHeight) {
+        finalBottom = (bottom - bodyHeight);
+      } else {
+        finalBottom = 0;
+      }
+      finalBottom += 'px';
+
+      overlayRoot.style.top = '';
+      overlayRoot.style.bottom = finalBottom;
+
+    } else {
+      resetCssTransform(overlayRoot);
+      this.repositionOverlay();
+    }
+    overlayRoot.style.height = `${tableHeight}px`;
+    overlayRoot.style.width = `${tableWidth}px`;
+  }
+}
+
+Overlay.registerOverlay(Overlay.CLONE_BOTTOM_RIGHT_CORNER, BottomRightCornerOverlay);
+
+export default BottomRightCornerOverlay;
@@ -235,8 +235,13 @@ class LeftOverlay extends Overlay {
       scrollbarCompensation = getScrollbarWidth();
     }
     if (beyondRendered) {
+      const totalColumns = this.wot.getSetting('totalColumns');
+      const fixedColumnsRight = this.wot.getSetting('fixedColumnsRight');
+
       newX += this.sumCellSizes(0, sourceCol + 1);
       newX -= this.wot.wtViewport.getViewportWidth();
+      // the columns fixed on the right side cover the right edge of the viewport
+      newX += this.sumCellSizes(Math.max(totalColumns - fixedColumnsRight, 0), totalColumns);
 
     } else {
       newX += this.sumCellSizes(this.wot.getSetting('fixedColumnsLeft'), sourceCol);
@@ -0,0 +1,224 @@
+import {
+  getScrollbarWidth,
+  getScrollLeft,
+  getWindowScrollTop,
+  outerWidth,
+  innerHeight,
+  setOverlayPosition,
+  resetCssTransform
+} from './../../../../helpers/dom/element';
+import Overlay from './_base';
+
+/**
+ * @class RightOverlay
+ */
+class RightOverlay extends Overlay {
+  /**
+   * @param {Walkontable} wotInstance
+   */
+  constructor(wotInstance) {
+    super(wotInstance);
+    this.clone = this.makeClone(Overlay.CLONE_RIGHT);
+  }
+
+  /**
+   * Checks if overlay should be fully rendered.
+   *
+   * @returns {Boolean}
+   */
+  shouldBeRendered() {
+    return !!this.wot.getSetting('fixedColumnsRight');
+  }
+
+  /**
+   * Gets the left position of the overlay (relative to the master table), which sticks the overlay to the right edge
+   * of the visible part of the table.
+   *
+   * @param {Number} overlayWidth The overlay table width.
+   * @returns {Number}
+   */
+  getOverlayLeftPosition(overlayWidth) {
+    const masterHolder = this.wot.wtTable.holder;
+    const hiderWidth = this.wot.wtTable.hider.offsetWidth;
+    const preventOverflow = this.wot.getSetting('preventOverflow');
+
+    if (this.trimmingContainer === window && (!preventOverflow || preventOverflow !== 'horizontal')) {
+      const box = this.wot.wtTable.hider.getBoundingClientRect();
+      const visibleRight = Math.min(Math.ceil(box.right), document.documentElement.clientWidth);
+
+      return Math.max(visibleRight - Math.ceil(box.left), overlayWidth) - overlayWidth;
+    }
+
+    return Math.max(Math.min(masterHolder.clientWidth, hiderWidth) - overlayWidth, 0);
+  }
+
+  /**
+   * Updates the right overlay position.
+   */
+  resetFixedPosition() {
+    if (!this.needFullRender || !this.wot.wtTable.holder.parentNode) {
+      // removed from DOM
+      return;
+    }
+    const overlayRoot = this.clone.wtTable.holder.parentNode;
+    const preventOverflow = this.wot.getSetting('preventOverflow');
+    const finalLeft = `${this.getOverlayLeftPosition(outerWidth(this.clone.wtTable.TABLE))}px`;
+
+    if (this.trimmingContainer === window && (!preventOverflow || preventOverflow !== 'horizontal')) {
+      let finalTop = this.wot.wtTable.hider.style.top;
+
+      finalTop = finalTop === '' ? 0 : finalTop;
+
+      setOverlayPosition(overlayRoot, finalLeft, finalTop);
+
+    } else {
+      resetCssTransform(overlayRoot);
+      overlayRoot.style.left = finalLeft;
+    }
+    this.adjustElementsSize();
+  }
+
+  /**
+   * Sets the main overlay's horizontal scroll position.
+   *
+   * @param {Number} pos
+   * @returns {Boolean}
+   */
+  setScrollPosition(pos) {
+    let result = false;
+
+    if (this.mainTableScrollableElement === window && window.scrollX !== pos) {
+      window.scrollTo(pos, getWindowScrollTop());
+      result = true;
+
+    } else if (this.mainTableScrollableElement.scrollLeft !== pos) {
+      this.mainTableScrollableElement.scrollLeft = pos;
+      result = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Triggers onScroll hook callback.
+   */
+  onScroll() {
+    this.wot.getSetting('onScrollVertically');
+  }
+
+  /**
+   * Calculates total sum cells width.
+   *
+   * @param {Number} from Column index which calculates started from.
+   * @param {Number} to Column index where calculation is finished.
+   * @returns {Number} Width sum.
+   */
+  sumCellSizes(from, to) {
+    const defaultColumnWidth = this.wot.wtSettings.defaultColumnWidth;
+    let column = from;
+    let sum = 0;
+
+    while (column < to) {
+      sum += this.wot.wtTable.getStretchedColumnWidth(column) || defaultColumnWidth;
+      column += 1;
+    }
+
+    return sum;
+  }
+
+  /**
+   * Adjust overlay root element, childs and master table element sizes (width, height).
+   *
+   * @param {Boolean} [force=false]
+   */
+  adjustElementsSize(force = false) {
+    this.updateTrimmingContainer();
+
+    if (this.needFullRender || force) {
+      this.adjustRootElementSize();
+      this.adjustRootChildrenSize();
+
+      if (!force) {
+        this.areElementSizesAdjusted = true;
+      }
+    }
+  }
+
+  /**
+   * Adjust overlay root element size (width and height).
+   */
+  adjustRootElementSize() {
+    const masterHolder = this.wot.wtTable.holder;
+    const scrollbarHeight = masterHolder.clientHeight === masterHolder.offsetHeight ? 0 : getScrollbarWidth();
+    const overlayRoot = this.clone.wtTable.holder.parentNode;
+    const overlayRootStyle = overlayRoot.style;
+    const preventOverflow = this.wot.getSetting('preventOverflow');
+
+    if (this.trimmingContainer !== window || preventOverflow === 'vertical') {
+      let height = this.wot.wtViewport.getWorkspaceHeight() - scrollbarHeight;
+
+      height = Math.min(height, innerHeight(this.wot.wtTable.wtRootElement));
+
+      overlayRootStyle.height = `${height}px`;
+
+    } else {
+      overlayRootStyle.height = '';
+    }
+
+    this.clone.wtTable.holder.style.height = overlayRootStyle.height;
+
+    overlayRootStyle.width = `${outerWidth(this.clone.wtTable.TABLE)}px`;
+  }
+
+  /**
+   * Adjust overlay root childs size.
+   */
+  adjustRootChildrenSize() {
+    let scrollbarWidth = getScrollbarWidth();
+
+    this.clone.wtTable.hider.style.height = this.hider.style.height;
+    this.clone.wtTable.holder.style.height = this.clone.wtTable.holder.parentNode.style.height;
+
+    if (scrollbarWidth === 0) {
+      scrollbarWidth = 30;
+    }
+    this.clone.wtTable.holder.style.width = `${parseInt(this.clone.wtTable.holder.parentNode.style.width, 10) + scrollbarWidth}px`;
+  }
+
+  /**
+   * Adjust the overlay dimensions and position.
+   */
+  applyToDOM() {
+    if (!this.areElementSizesAdjusted) {
+      this.adjustElementsSize();
+    }
+    if (this.needFullRender) {
+      this.syncOverlayOffset();
+    }
+  }
+
+  /**
+   * Synchronize calculated top position to an element.
+   */
+  syncOverlayOffset() {
+    if (typeof this.wot.wtViewport.rowsRenderCalculator.startPosition === 'number') {
+      this.clone.wtTable.spreader.style.top = `${this.wot.wtViewport.rowsRenderCalculator.startPosition}px`;
+
+    } else {
+      this.clone.wtTable.spreader.style.top = '';
+    }
+  }
+
+  /**
+   * Gets the main overlay's horizontal scroll position.
+   *
+   * @returns {Number} Main table's horizontal scroll position.
+   */
+  getScrollPosition() {
+    return getScrollLeft(this.mainTableScrollableElement);
+  }
+}
+
+Overlay.registerOverlay(Overlay.CLONE_RIGHT, RightOverlay);
+
+export default RightOverlay;
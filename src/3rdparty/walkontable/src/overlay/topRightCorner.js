@@ -0,0 +1,70 @@
+import {
+  outerHeight,
+  outerWidth,
+  setOverlayPosition,
+  resetCssTransform
+} from './../../../../helpers/dom/element';
+import Overlay from './_base';
+
+/**
+ * @class TopRightCornerOverlay
+ */
+class TopRightCornerOverlay extends Overlay {
+  /**
+   * @param {Walkontable} wotInstance
+   */
+  constructor(wotInstance) {
+    super(wotInstance);
+    this.clone = this.makeClone(Overlay.CLONE_TOP_RIGHT_CORNER);
+  }
+
+  /**
+   * Checks if overlay should be fully rendered
+   *
+   * @returns {Boolean}
+   */
+  shouldBeRendered() {
+    return !!((this.wot.getSetting('fixedRowsTop') || this.wot.getSetting('columnHeaders').length) &&
+        this.wot.getSetting('fixedColumnsRight'));
+  }
+
+  /**
+   * Updates the corner overlay position
+   */
+  resetFixedPosition() {
+    this.updateTrimmingContainer();
+
+    if (!this.wot.wtTable.holder.parentNode) {
+      // removed from DOM
+      return;
+    }
+    const overlayRoot = this.clone.wtTable.holder.parentNode;
+    const tableHeight = outerHeight(this.clone.wtTable.TABLE);
+    const tableWidth = outerWidth(this.clone.wtTable.TABLE);
+    const preventOverflow = this.wot.getSetting('preventOverflow');
+    const finalLeft = `${this.wot.wtOverlays.rightOverlay.getOverlayLeftPosition(tableWidth)}px`;
+
+    if (this.trimmingContainer === window) {
+      const box = this.wot.wtTable.hider.getBoundingClientRect();
+      const top = Math.ceil(box.top);
+      const bottom = Math.ceil(box.bottom);
+      let finalTop = '0';
+
+      if (!preventOverflow || preventOverflow === 'horizontal') {
+        if (top < 0 && (bottom - overlayRoot.offsetHeight) > 0) {
+          finalTop = `${-top}px`;
+        }
+      }
+      setOverlayPosition(overlayRoot, finalLeft, finalTop);
+    } else {
+      resetCssTransform(overlayRoot);
+      overlayRoot.style.left = finalLeft;
+    }
+    overlayRoot.style.height = `${tableHeight === 0 ? tableHeight : tableHeight + 4}px`;
+    overlayRoot.style.width = `${tableWidth}px`;
+  }
+}
+
+Overlay.registerOverlay(Overlay.CLONE_TOP_RIGHT_CORNER, TopRightCornerOverlay);
+
+export default TopRightCornerOverlay;
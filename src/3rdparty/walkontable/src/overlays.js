@@ -58,6 +58,10 @@ class Overlays {
       left: {
         top: 0,
         left: null
+      },
+      right: {
+        top: 0,
+        left: null
       }
     };
 
@@ -74,6 +78,9 @@ class Overlays {
       },
       left: {
         top: 0,
+      },
+      right: {
+        top: 0,
       }
     };
 
@@ -115,6 +122,25 @@ class Overlays {
       };
     }
 
+    if (!Overlay.hasOverlay(Overlay.CLONE_RIGHT)) {
+      this.rightOverlay = {
+        needFullRender: false,
+        updateStateOfRendering: () => false,
+      };
+    }
+    if (!Overlay.hasOverlay(Overlay.CLONE_TOP_RIGHT_CORNER)) {
+      this.topRightCornerOverlay = {
+        needFullRender: false,
+        updateStateOfRendering: () => false,
+      };
+    }
+    if (!Overlay.hasOverlay(Overlay.CLONE_BOTTOM_RIGHT_CORNER)) {
+      this.bottomRightCornerOverlay = {
+        needFullRender: false,
+        updateStateOfRendering: () => false,
+      };
+    }
+
     if (this.bottomOverlay) {
       syncScroll = this.bottomOverlay.updateStateOfRendering() || syncScroll;
     } else {
@@ -127,6 +153,12 @@ class Overlays {
       this.leftOverlay = Overlay.createOverlay(Overlay.CLONE_LEFT, this.wot);
     }
 
+    if (this.rightOverlay) {
+      syncScroll = this.rightOverlay.updateStateOfRendering() || syncScroll;
+    } else {
+      this.rightOverlay = Overlay.createOverlay(Overlay.CLONE_RIGHT, this.wot);
+    }
+
     if (this.topOverlay.needFullRender && this.leftOverlay.needFullRender) {
       if (this.topLeftCornerOverlay) {
         syncScroll = this.topLeftCornerOverlay.updateStateOfRendering() || syncScroll;
@@ -143,6 +175,22 @@ class Overlays {
       }
     }
 
+    if (this.topOverlay.needFullRender && this.rightOverlay.needFullRender) {
+      if (this.topRightCornerOverlay) {
+        syncScroll = this.topRightCornerOverlay.updateStateOfRendering() || syncScroll;
+      } else {
+        this.topRightCornerOverlay = Overlay.createOverlay(Overlay.CLONE_TOP_RIGHT_CORNER, this.wot);
+      }
+    }
+
+    if (this.bottomOverlay.needFullRender && this.rightOverlay.needFullRender) {
+      if (this.bottomRightCornerOverlay) {
+        syncScroll = this.bottomRightCornerOverlay.updateStateOfRendering() || syncScroll;
+      } else {
+        this.bottomRightCornerOverlay = Overlay.createOverlay(Overlay.CLONE_BOTTOM_RIGHT_CORNER, this.wot);
+      }
+    }
+
     if (this.wot.getSetting('debug') && !this.debug) {
       this.debug = Overlay.createOverlay(Overlay.CLONE_DEBUG, this.wot);
     }
@@ -219,6 +267,18 @@ class Overlays {
       if (this.bottomLeftCornerOverlay && this.bottomLeftCornerOverlay.needFullRender) {
         listenersToRegister.push([this.bottomLeftCornerOverlay.clone.wtTable.holder, 'wheel', event => this.onCloneWheel(event)]);
       }
+
+      if (this.rightOverlay.needFullRender) {
+        listenersToRegister.push([this.rightOverlay.clone.wtTable.holder, 'wheel', event => this.onCloneWheel(event)]);
+      }
+
+      if (this.topRightCornerOverlay && this.topRightCornerOverlay.needFullRender) {
+        listenersToRegister.push([this.topRightCornerOverlay.clone.wtTable.holder, 'wheel', event => this.onCloneWheel(event)]);
+      }
+
+      if (this.bottomRightCornerOverlay && this.bottomRightCornerOverlay.needFullRender) {
+        listenersToRegister.push([this.bottomRightCornerOverlay.clone.wtTable.holder, 'wheel', event => this.onCloneWheel(event)]);
+      }
     }
 
     if (this.topOverlay.trimmingContainer !== window && this.leftOverlay.trimmingContainer !== window) {
@@ -243,12 +303,23 @@ class Overlays {
 
         } else if (this.bottomLeftCornerOverlay && this.bottomLeftCornerOverlay.clone && this.bottomLeftCornerOverlay.clone.wtTable.holder.contains(event.realTarget)) {
           overlay = 'bottomLeft';
+
+        } else if (this.rightOverlay.clone && this.rightOverlay.clone.wtTable.holder.contains(event.realTarget)) {
+          overlay = 'right';
+
+        } else if (this.topRightCornerOverlay && this.topRightCornerOverlay.clone && this.topRightCornerOverlay.clone.wtTable.holder.contains(event.realTarget)) {
+          overlay = 'topRight';
+
+        } else if (this.bottomRightCornerOverlay && this.bottomRightCornerOverlay.clone &&
+                   this.bottomRightCornerOverlay.clone.wtTable.holder.contains(event.realTarget)) {
+          overlay = 'bottomRight';
         }
 
         if ((overlay === 'top' && deltaY !== 0) ||
-          (overlay === 'left' && deltaX !== 0) ||
+          ((overlay === 'left' || overlay === 'right') && deltaX !== 0) ||
           (overlay === 'bottom' && deltaY !== 0) ||
-          ((overlay === 'topLeft' || overlay === 'bottomLeft') && (deltaY !== 0 || deltaX !== 0))) {
+          ((overlay === 'topLeft' || overlay === 'bottomLeft' || overlay === 'topRight' || overlay === 'bottomRight') &&
+            (deltaY !== 0 || deltaX !== 0))) {
 
           event.preventDefault();
         }
@@ -407,6 +478,12 @@ class Overlays {
 
     if (this.verticalScrolling) {
       leftHolder.scrollTop = scrollTop;
+
+      const rightHolder = this.rightOverlay.needFullRender ? this.rightOverlay.clone.wtTable.holder : null;
+
+      if (rightHolder) {
+        rightHolder.scrollTop = scrollTop;
+      }
     }
 
     this.refreshAll();
@@ -428,6 +505,9 @@ class Overlays {
     if (this.leftOverlay.needFullRender) {
       this.leftOverlay.clone.wtTable.holder.scrollTop = scrollTop;
     }
+    if (this.rightOverlay.needFullRender) {
+      this.rightOverlay.clone.wtTable.holder.scrollTop = scrollTop;
+    }
   }
 
   /**
@@ -442,6 +522,9 @@ class Overlays {
     if (this.bottomOverlay.needFullRender) {
       this.bottomOverlay.updateMainScrollableElement();
     }
+    if (this.rightOverlay.needFullRender) {
+      this.rightOverlay.updateMainScrollableElement();
+    }
 
     this.scrollableElement = getScrollableElement(this.wot.wtTable.TABLE);
 
@@ -468,6 +551,18 @@ class Overlays {
       this.bottomLeftCornerOverlay.destroy();
     }
 
+    if (this.rightOverlay.clone) {
+      this.rightOverlay.destroy();
+    }
+
+    if (this.topRightCornerOverlay && this.topRightCornerOverlay.clone) {
+      this.topRightCornerOverlay.destroy();
+    }
+
+    if (this.bottomRightCornerOverlay && this.bottomRightCornerOverlay.clone) {
+      this.bottomRightCornerOverlay.destroy();
+    }
+
     if (this.debug) {
       this.debug.destroy();
     }
@@ -505,6 +600,18 @@ class Overlays {
       this.bottomLeftCornerOverlay.refresh(fastDraw);
     }
 
+    if (this.rightOverlay.clone) {
+      this.rightOverlay.refresh(fastDraw);
+    }
+
+    if (this.topRightCornerOverlay && this.topRightCornerOverlay.clone) {
+      this.topRightCornerOverlay.refresh(fastDraw);
+    }
+
+    if (this.bottomRightCornerOverlay && this.bottomRightCornerOverlay.clone) {
+      this.bottomRightCornerOverlay.refresh(fastDraw);
+    }
+
     if (this.debug) {
       this.debug.refresh(fastDraw);
     }
@@ -531,6 +638,10 @@ class Overlays {
     if (this.bottomOverlay.clone) {
       this.bottomOverlay.adjustElementsSize(force);
     }
+
+    if (this.rightOverlay.clone) {
+      this.rightOverlay.adjustElementsSize(force);
+    }
   }
 
   /**
@@ -547,6 +658,10 @@ class Overlays {
     }
 
     this.leftOverlay.applyToDOM();
+
+    if (this.rightOverlay.clone) {
+      this.rightOverlay.applyToDOM();
+    }
   }
 
   /**
@@ -565,7 +680,10 @@ class Overlays {
       this.leftOverlay,
       this.bottomOverlay,
       this.topLeftCornerOverlay,
-      this.bottomLeftCornerOverlay
+      this.bottomLeftCornerOverlay,
+      this.rightOverlay,
+      this.topRightCornerOverlay,
+      this.bottomRightCornerOverlay,
     ];
     let result = null;
 
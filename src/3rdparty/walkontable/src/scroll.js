@@ -53,6 +53,7 @@ class Scroll {
 
     const {
       fixedColumnsLeft,
+      fixedColumnsRight,
       leftOverlay,
       totalColumns,
     } = this._getVariables();
@@ -61,7 +62,7 @@ class Scroll {
     if (column >= 0 && column <= Math.max(totalColumns - 1, 0)) {
       if (column >= fixedColumnsLeft && (column < this.getFirstVisibleColumn() || snapToLeft)) {
         result = leftOverlay.scrollTo(column);
-      } else if (column > this.getLastVisibleColumn() || snapToRight) {
+      } else if ((column > this.getLastVisibleColumn() && column < totalColumns - fixedColumnsRight) || snapToRight) {
         result = leftOverlay.scrollTo(column, true);
       }
     }
@@ -283,6 +284,7 @@ class Scroll {
     const fixedRowsTop = wot.getSetting('fixedRowsTop');
     const fixedRowsBottom = wot.getSetting('fixedRowsBottom');
     const fixedColumnsLeft = wot.getSetting('fixedColumnsLeft');
+    const fixedColumnsRight = wot.getSetting('fixedColumnsRight');
 
     return {
       topOverlay,
@@ -293,7 +295,8 @@ class Scroll {
       totalColumns,
       fixedRowsTop,
       fixedRowsBottom,
-      fixedColumnsLeft
+      fixedColumnsLeft,
+      fixedColumnsRight
     };
   }
 }
@@ -33,6 +33,7 @@ class Settings {
       data: void 0,
       freezeOverlays: false,
       fixedColumnsLeft: 0,
+      fixedColumnsRight: 0,
       fixedRowsTop: 0,
       fixedRowsBottom: 0,
       minSpareRows: 0,
@@ -185,6 +185,18 @@ class Table {
     return !!this.wot.cloneSource;
   }
 
+  /**
+   * Checks if the table is rendered by one of the overlays fixed on the right side (right, top-right corner or
+   * bottom-right corner overlay).
+   *
+   * @returns {Boolean}
+   */
+  isWorkingOnRightClone() {
+    return Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_RIGHT) ||
+      Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_TOP_RIGHT_CORNER) ||
+      Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_BOTTOM_RIGHT_CORNER);
+  }
+
   /**
    * Redraws the table
    *
@@ -237,10 +249,12 @@ class Table {
 
       if (Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_DEBUG) ||
           Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_TOP) ||
-          Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_TOP_LEFT_CORNER)) {
+          Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_TOP_LEFT_CORNER) ||
+          Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_TOP_RIGHT_CORNER)) {
         startRow = 0;
       } else if (Overlay.isOverlayTypeOf(this.instance.cloneOverlay, Overlay.CLONE_BOTTOM) ||
-          Overlay.isOverlayTypeOf(this.instance.cloneOverlay, Overlay.CLONE_BOTTOM_LEFT_CORNER)) {
+          Overlay.isOverlayTypeOf(this.instance.cloneOverlay, Overlay.CLONE_BOTTOM_LEFT_CORNER) ||
+          Overlay.isOverlayTypeOf(this.instance.cloneOverlay, Overlay.CLONE_BOTTOM_RIGHT_CORNER)) {
         startRow = Math.max(totalRows - this.wot.getSetting('fixedRowsBottom'), 0);
       } else {
         startRow = wtViewport.rowsRenderCalculator.startRow;
@@ -252,11 +266,16 @@ class Table {
           Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_TOP_LEFT_CORNER) ||
           Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_BOTTOM_LEFT_CORNER)) {
         startColumn = 0;
+      } else if (this.isWorkingOnRightClone()) {
+        startColumn = Math.max(this.wot.getSetting('totalColumns') - this.wot.getSetting('fixedColumnsRight'), 0);
       } else {
         startColumn = wtViewport.columnsRenderCalculator.startColumn;
       }
+      // the row headers are not rendered on the right overlays
+      const columnFilterRowHeaders = this.isWorkingOnRightClone() ? 0 : rowHeaders;
+
       this.rowFilter = new RowFilter(startRow, totalRows, columnHeaders);
-      this.columnFilter = new ColumnFilter(startColumn, this.wot.getSetting('totalColumns'), rowHeaders);
+      this.columnFilter = new ColumnFilter(startColumn, this.wot.getSetting('totalColumns'), columnFilterRowHeaders);
 
       this.alignOverlaysWithTrimmingContainer();
       this._doDraw(); // creates calculator after draw
@@ -279,6 +298,18 @@ class Table {
       if (wtOverlays.bottomLeftCornerOverlay && wtOverlays.bottomLeftCornerOverlay.clone) {
         wtOverlays.bottomLeftCornerOverlay.resetFixedPosition();
       }
+
+      if (wtOverlays.rightOverlay.clone) {
+        wtOverlays.rightOverlay.resetFixedPosition();
+      }
+
+      if (wtOverlays.topRightCornerOverlay && wtOverlays.topRightCornerOverlay.clone) {
+        wtOverlays.topRightCornerOverlay.resetFixedPosition();
+      }
+
+      if (wtOverlays.bottomRightCornerOverlay && wtOverlays.bottomRightCornerOverlay.clone) {
+        wtOverlays.bottomRightCornerOverlay.resetFixedPosition();
+      }
     }
     if (syncScroll) {
       wtOverlays.syncScrollWithMaster();
@@ -451,7 +482,9 @@ class Table {
     let row = index(TR);
     let col = cellElement.cellIndex;
 
-    if (overlayContainsElement(Overlay.CLONE_TOP_LEFT_CORNER, cellElement) || overlayContainsElement(Overlay.CLONE_TOP, cellElement)) {
+    if (overlayContainsElement(Overlay.CLONE_TOP_LEFT_CORNER, cellElement) ||
+        overlayContainsElement(Overlay.CLONE_TOP_RIGHT_CORNER, cellElement) ||
+        overlayContainsElement(Overlay.CLONE_TOP, cellElement)) {
       if (CONTAINER.nodeName === 'THEAD') {
         row -= CONTAINER.childNodes.length;
       }
@@ -466,6 +499,12 @@ class Table {
     if (overlayContainsElement(Overlay.CLONE_TOP_LEFT_CORNER, cellElement) || overlayContainsElement(Overlay.CLONE_LEFT, cellElement)) {
       col = this.columnFilter.offsettedTH(col);
 
+    } else if (overlayContainsElement(Overlay.CLONE_TOP_RIGHT_CORNER, cellElement) ||
+               overlayContainsElement(Overlay.CLONE_RIGHT, cellElement) ||
+               overlayContainsElement(Overlay.CLONE_BOTTOM_RIGHT_CORNER, cellElement)) {
+      // the right overlays render the last columns without the row headers
+      col += Math.max(this.wot.getSetting('totalColumns') - this.wot.getSetting('fixedColumnsRight'), 0);
+
     } else {
       col = this.columnFilter.visibleRowHeadedColumnToSourceColumn(col);
     }
@@ -558,6 +597,8 @@ class Table {
                this.wot.isOverlayName(Overlay.CLONE_BOTTOM_LEFT_CORNER)) {
       return Math.min(this.wot.getSetting('fixedColumnsLeft'), totalColumns);
 
+    } else if (this.isWorkingOnRightClone()) {
+      return Math.min(this.wot.getSetting('fixedColumnsRight'), totalColumns);
     }
 
     return columnsCount;
@@ -571,11 +612,13 @@ class Table {
       rowsCount = totalRows;
 
     } else if (this.wot.isOverlayName(Overlay.CLONE_TOP) ||
-               this.wot.isOverlayName(Overlay.CLONE_TOP_LEFT_CORNER)) {
+               this.wot.isOverlayName(Overlay.CLONE_TOP_LEFT_CORNER) ||
+               this.wot.isOverlayName(Overlay.CLONE_TOP_RIGHT_CORNER)) {
       rowsCount = Math.min(this.wot.getSetting('fixedRowsTop'), totalRows);
 
     } else if (this.wot.isOverlayName(Overlay.CLONE_BOTTOM) ||
-               this.wot.isOverlayName(Overlay.CLONE_BOTTOM_LEFT_CORNER)) {
+               this.wot.isOverlayName(Overlay.CLONE_BOTTOM_LEFT_CORNER) ||
+               this.wot.isOverlayName(Overlay.CLONE_BOTTOM_RIGHT_CORNER)) {
       rowsCount = Math.min(this.wot.getSetting('fixedRowsBottom'), totalRows);
     }
 
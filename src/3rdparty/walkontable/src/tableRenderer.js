@@ -70,13 +70,20 @@ class TableRenderer {
     let adjusted = false;
 
     if (Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_BOTTOM) ||
-      Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_BOTTOM_LEFT_CORNER)) {
+      Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_BOTTOM_LEFT_CORNER) ||
+      Overlay.isOverlayTypeOf(this.wot.cloneOverlay, Overlay.CLONE_BOTTOM_RIGHT_CORNER)) {
 
-      // do NOT render headers on the bottom or bottom-left corner overlay
+      // do NOT render headers on the bottom or bottom corner overlays
       this.columnHeaders = [];
       this.columnHeaderCount = 0;
     }
 
+    if (this.wtTable.isWorkingOnRightClone()) {
+      // do NOT render row headers on the right or right corner overlays
+      this.rowHeaders = [];
+      this.rowHeaderCount = 0;
+    }
+
     if (totalColumns >= 0) {
       // prepare COL and TH elements for rendering
       this.adjustAvailableNodes();
@@ -363,6 +363,13 @@ class Viewport {
       pos += fixedColumnsWidth;
       width -= fixedColumnsWidth;
     }
+
+    const fixedColumnsRight = this.wot.getSetting('fixedColumnsRight');
+    const totalColumns = this.wot.getSetting('totalColumns');
+
+    if (fixedColumnsRight && this.wot.wtOverlays.rightOverlay.clone) {
+      width -= this.wot.wtOverlays.rightOverlay.sumCellSizes(Math.max(totalColumns - fixedColumnsRight, 0), totalColumns);
+    }
     if (this.wot.wtTable.holder.clientWidth !== this.wot.wtTable.holder.offsetWidth) {
       width -= getScrollbarWidth();
     }
@@ -0,0 +1,142 @@
+describe('fixedColumnsRight option', () => {
+  let $table;
+  let $container;
+  let $wrapper;
+  const debug = false;
+
+  beforeEach(() => {
+    $wrapper = $('<div></div>').css({ overflow: 'hidden', position: 'relative' });
+    $wrapper.width(500).height(201);
+    $container = $('<div></div>');
+    $table = $('<table></table>'); // create a table that is not attached to document
+    $wrapper.append($container);
+    $container.append($table);
+    $wrapper.appendTo('body');
+    createDataArray(20, 10);
+  });
+
+  afterEach(() => {
+    if (!debug) {
+      $('.wtHolder').remove();
+    }
+    $wrapper.remove();
+  });
+
+  it('should not render the right overlays when the option is not defined', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns
+    });
+    wt.draw();
+
+    expect(wt.wtOverlays.rightOverlay.needFullRender).toBe(false);
+    expect($wrapper.find('.ht_clone_right tbody tr').length).toBe(0);
+  });
+
+  it('should render the last columns in the right overlay', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns,
+      fixedColumnsRight: 2
+    });
+    wt.draw();
+
+    const $firstRowCells = $wrapper.find('.ht_clone_right tbody tr:first td');
+
+    expect($wrapper.find('.ht_clone_right colgroup col').length).toBe(2);
+    expect($firstRowCells.length).toBe(2);
+    expect($firstRowCells.eq(0).text()).toBe('h');
+    expect($firstRowCells.eq(1).text()).toBe('i');
+  });
+
+  it('should return the coordinates of the cells rendered in the right overlay', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns,
+      fixedColumnsRight: 2
+    });
+    wt.draw();
+
+    const TD = $wrapper.find('.ht_clone_right tbody tr:eq(1) td:eq(1)')[0];
+
+    expect(wt.wtOverlays.rightOverlay.clone.wtTable.getCoords(TD)).toEqual(new Walkontable.CellCoords(1, 9));
+  });
+
+  it('should return the topmost cell from the right overlay', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns,
+      fixedColumnsRight: 2
+    });
+    wt.draw();
+
+    const TD = wt.getCell(new Walkontable.CellCoords(1, 9), true);
+
+    expect($(TD).parents('.ht_clone_right').length).toBe(1);
+    expect(TD.innerHTML).toBe('i');
+  });
+
+  it('should render the top right corner overlay when the rows are fixed on the top', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns,
+      fixedColumnsRight: 2,
+      fixedRowsTop: 2
+    });
+    wt.draw();
+
+    const TD = wt.getCell(new Walkontable.CellCoords(0, 8), true);
+
+    expect(wt.wtOverlays.topRightCornerOverlay.needFullRender).toBe(true);
+    expect($wrapper.find('.ht_clone_top_right_corner tbody tr').length).toBe(2);
+    expect($wrapper.find('.ht_clone_top_right_corner tbody tr:first td').length).toBe(2);
+    expect($(TD).parents('.ht_clone_top_right_corner').length).toBe(1);
+    expect(TD.innerHTML).toBe('h');
+  });
+
+  it('should render the bottom right corner overlay when the rows are fixed on the bottom', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns,
+      fixedColumnsRight: 2,
+      fixedRowsBottom: 2
+    });
+    wt.draw();
+
+    const TD = wt.getCell(new Walkontable.CellCoords(19, 9), true);
+
+    expect(wt.wtOverlays.bottomRightCornerOverlay.needFullRender).toBe(true);
+    expect($wrapper.find('.ht_clone_bottom_right_corner tbody tr').length).toBe(2);
+    expect($wrapper.find('.ht_clone_bottom_right_corner tbody tr:first td').length).toBe(2);
+    expect($(TD).parents('.ht_clone_bottom_right_corner').length).toBe(1);
+    expect(TD.innerHTML).toBe('i');
+  });
+
+  it('should return the coordinates of the cells rendered in the bottom right corner overlay', () => {
+    const wt = new Walkontable.Core({
+      table: $table[0],
+      data: getData,
+      totalRows: getTotalRows,
+      totalColumns: getTotalColumns,
+      fixedColumnsRight: 2,
+      fixedRowsBottom: 2
+    });
+    wt.draw();
+
+    const TD = $wrapper.find('.ht_clone_bottom_right_corner tbody tr:eq(1) td:eq(0)')[0];
+
+    expect(wt.wtOverlays.bottomRightCornerOverlay.clone.wtTable.getCoords(TD)).toEqual(new Walkontable.CellCoords(19, 8));
+  });
+});
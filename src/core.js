@@ -22,6 +22,10 @@ import { toSingleLine } from './helpers/templateLiteralTag';
 import { getPlugin } from './plugins';
 import { getRenderer } from './renderers';
 import { getValidator } from './validators';
+import { createRulesValidator, getCellValidationMessages, hasValidationRules } from './validators/validationRules';
+import RowValidation from './validators/rowValidation';
+import UniqueValidation from './validators/uniqueValidation';
+import CellValidationQueue from './validators/cellValidationQueue';
 import { randomString } from './helpers/string';
 import { rangeEach, rangeEachReverse } from './helpers/number';
 import TableView from './tableView';
@@ -79,6 +83,9 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
   let dataSource;
   let grid;
   let editorManager;
+  let rowValidation;
+  let uniqueValidation;
+  let cellValidationQueue;
 
   extend(GridSettings.prototype, DefaultSettings.prototype); // create grid settings as a copy of default settings
   extend(GridSettings.prototype, userSettings); // overwrite defaults with user settings
@@ -131,6 +138,8 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
     countRows: () => instance.countRows(),
     propToCol: prop => datamap.propToCol(prop),
     isEditorOpened: () => (instance.getActiveEditor() ? instance.getActiveEditor().isOpened() : false),
+    isHiddenRow: row => instance.runHooks('hiddenRow', row) === true,
+    isHiddenColumn: column => instance.runHooks('hiddenColumn', column) === true,
   });
 
   this.selection = selection;
@@ -831,6 +840,10 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
       addClass(instance.rootElement, 'mobile');
     }
 
+    rowValidation = new RowValidation(instance);
+    uniqueValidation = new UniqueValidation(instance);
+    cellValidationQueue = new CellValidationQueue(instance);
+
     this.updateSettings(priv.settings, true);
 
     this.view = new TableView(this);
@@ -900,36 +913,42 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
     for (let i = changes.length - 1; i >= 0; i--) {
       if (changes[i] === null) {
         changes.splice(i, 1);
-      } else {
-        const [row, prop, , newValue] = changes[i];
-        const col = datamap.propToCol(prop);
-        const cellProperties = instance.getCellMeta(row, col);
+      }
+    }
 
-        if (cellProperties.type === 'numeric' && typeof newValue === 'string' && isNumericData(newValue)) {
-          changes[i][3] = getParsedNumber(newValue);
-        }
+    for (let i = changes.length - 1; i >= 0; i--) {
+      const [row, prop, , newValue] = changes[i];
+      const col = datamap.propToCol(prop);
+      const cellProperties = instance.getCellMeta(row, col);
 
-        /* eslint-disable no-loop-func */
-        if (instance.getCellValidator(cellProperties)) {
-          waitingForValidator.addValidatorToQueue();
-          instance.validateCell(changes[i][3], cellProperties, (function(index, cellPropertiesReference) {
-            return function(result) {
-              if (typeof result !== 'boolean') {
-                throw new Error('Validation error: result is not boolean');
-              }
-              if (result === false && cellPropertiesReference.allowInvalid === false) {
-                changes.splice(index, 1); // cancel the change
-                cellPropertiesReference.valid = true; // we cancelled the change, so cell value is still valid
-                const cell = instance.getCell(cellPropertiesReference.visualRow, cellPropertiesReference.visualCol);
-                if (cell !== null) {
-                  removeClass(cell, instance.getSettings().invalidCellClassName);
-                }
-                // index -= 1;
+      if (cellProperties.type === 'numeric' && typeof newValue === 'string' && isNumericData(newValue)) {
+        changes[i][3] = getParsedNumber(newValue);
+      }
+
+      /* eslint-disable no-loop-func */
+      if (instance.getCellValidator(cellProperties)) {
+        waitingForValidator.addValidatorToQueue();
+        validateCellValue(changes[i][3], cellProperties, (function(index, cellPropertiesReference) {
+          return function(result, stale) {
+            if (typeof result !== 'boolean') {
+              throw new Error('Validation error: result is not boolean');
+            }
+            // The cancelled changes are marked here and removed after all validators have finished, so the indexes
+            // captured by the other callbacks stay valid.
+            if (stale) {
+              changes[index] = null; // the cell was changed again in the meantime, so the newer change wins
+
+            } else if (result === false && cellPropertiesReference.allowInvalid === false) {
+              changes[index] = null; // cancel the change
+              cellPropertiesReference.valid = true; // we cancelled the change, so cell value is still valid
+              const cell = instance.getCell(cellPropertiesReference.visualRow, cellPropertiesReference.visualCol);
+              if (cell !== null) {
+                removeClass(cell, instance.getSettings().invalidCellClassName);
               }
-              waitingForValidator.removeValidatorFormQueue();
-            };
-          }(i, cellProperties)), source);
-        }
+            }
+            waitingForValidator.removeValidatorFormQueue();
+          };
+        }(i, cellProperties)), source, true);
       }
     }
     waitingForValidator.checkIfQueueIsEmpty();
@@ -937,6 +956,12 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
     function resolve() {
       let beforeChangeResult;
 
+      for (let i = changes.length - 1; i >= 0; i--) {
+        if (changes[i] === null) {
+          changes.splice(i, 1);
+        }
+      }
+
       if (changes.length) {
         beforeChangeResult = instance.runHooks('beforeChange', changes, source || 'edit');
         if (isFunction(beforeChangeResult)) {
@@ -1022,21 +1047,21 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
   }
 
   /**
-   * Validate a single cell.
+   * Validates the value of a single cell through the validation queue.
    *
-   * @param {String|Number} value
-   * @param cellProperties
-   * @param callback
-   * @param source
+   * @private
+   * @param {*} value Value to validate.
+   * @param {Object} cellProperties The cell properties object.
+   * @param {Function} callback Function called with the validation result and the `stale` flag.
+   * @param {String} [source] String that identifies source of the validation.
+   * @param {Boolean} [isChange=false] `true` if the value is the changed value of the cell (not applied yet).
    */
-  this.validateCell = function(value, cellProperties, callback, source) {
+  function validateCellValue(value, cellProperties, callback, source, isChange = false) {
     let validator = instance.getCellValidator(cellProperties);
 
-    // the `canBeValidated = false` argument suggests, that the cell passes validation by default.
-    function done(valid, canBeValidated = true) {
+    function render() {
       // Fixes GH#3903
-      if (!canBeValidated || cellProperties.hidden === true) {
-        callback(valid);
+      if (cellProperties.hidden === true) {
         return;
       }
 
@@ -1047,7 +1072,6 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
       if (td && td.nodeName !== 'TH') {
         instance.view.wt.wtSettings.settings.cellRenderer(row, col, td);
       }
-      callback(valid);
     }
 
     if (isRegExp(validator)) {
@@ -1058,29 +1082,71 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
       }(validator));
     }
 
+    if (cellProperties.validationMessages && !hasValidationRules(cellProperties)) {
+      cellProperties.validationMessages = void 0;
+    }
+
     if (isFunction(validator)) {
       // eslint-disable-next-line no-param-reassign
       value = instance.runHooks('beforeValidate', value, cellProperties.visualRow, cellProperties.prop, source);
 
       // To provide consistent behaviour, validation should be always asynchronous
-      instance._registerTimeout(setTimeout(() => {
-        validator.call(cellProperties, value, (valid) => {
-          // eslint-disable-next-line no-param-reassign
-          valid = instance.runHooks('afterValidate', valid, value, cellProperties.visualRow, cellProperties.prop, source);
-          cellProperties.valid = valid;
+      cellValidationQueue.add(cellProperties, (resolve) => {
+        validator.call(cellProperties, value, resolve);
+
+      }, (valid) => {
+        // eslint-disable-next-line no-param-reassign
+        valid = instance.runHooks('afterValidate', valid, value, cellProperties.visualRow, cellProperties.prop, source);
+        cellProperties.valid = valid;
+
+        render();
+
+        return valid;
+
+      }, (valid, stale) => {
+        callback(valid, stale);
 
-          done(valid);
+        if (!stale) {
           instance.runHooks('postAfterValidate', valid, value, cellProperties.visualRow, cellProperties.prop, source);
-        });
-      }, 0));
+        }
+      }, source, isChange);
+
+      render();
 
     } else {
       // resolve callback even if validator function was not found
       instance._registerTimeout(setTimeout(() => {
         cellProperties.valid = true;
-        done(cellProperties.valid, false);
+        callback(cellProperties.valid, false);
       }, 0));
     }
+  }
+
+  /**
+   * Validate a single cell. Asynchronous validators are queued per cell - if the cell is validated again before the
+   * previous validation has finished, the result of the previous one is dropped and its callback is called with the
+   * result of the latest validation (and the `stale` flag set to `true`). A pending validation of the changed value is
+   * superseded only by the validation of a newer change - the validation of the stored value waits for its result.
+   * While waiting for the result, the cell has the `validating` meta set to `true`.
+   *
+   * @param {String|Number} value
+   * @param cellProperties
+   * @param callback Function called with the validation result and the `stale` flag.
+   * @param source
+   */
+  this.validateCell = function(value, cellProperties, callback, source) {
+    validateCellValue(value, cellProperties, callback, source);
+  };
+
+  /**
+   * Checks if any cell is waiting for the result of its validator.
+   *
+   * @memberof Core#
+   * @function isValidating
+   * @returns {Boolean}
+   */
+  this.isValidating = function() {
+    return cellValidationQueue.isPending();
   };
 
   function setDataInputToArray(row, propOrCol, value) {
@@ -2453,7 +2519,8 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
   const validatorLookup = cellMethodLookupFactory('validator');
 
   /**
-   * Returns the cell validator by `row` and `column`.
+   * Returns the cell validator by `row` and `column`. If the {@link Options#validationRules} are defined for the cell,
+   * the returned function tests the value against the rules before calling the validator.
    *
    * @memberof Core#
    * @function getCellValidator
@@ -2469,17 +2536,23 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
    * ```
    */
   this.getCellValidator = function(row, column) {
-    let validator = validatorLookup.call(this, row, column);
+    const cellProperties = typeof row === 'number' ? instance.getCellMeta(row, column) : row;
+    let validator = validatorLookup.call(this, cellProperties);
 
     if (typeof validator === 'string') {
       validator = getValidator(validator);
     }
+    if (hasValidationRules(cellProperties)) {
+      validator = createRulesValidator(cellProperties.validationRules, validator);
+    }
 
     return validator;
   };
 
   /**
-   * Validates all cells using their validator functions and calls callback when finished.
+   * Validates all cells using their validator functions and calls callback when finished. The
+   * {@link Options#rowValidators} are run after the cell validators. The cells with the duplicated values in the
+   * {@link Options#unique} columns are treated as invalid.
    *
    * If one of the cells is invalid, the callback will be fired with `'valid'` arguments as `false` - otherwise it
    * would equal `true`.
@@ -2487,6 +2560,7 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
    * @memberof Core#
    * @function validateCells
    * @param {Function} [callback] The callback function.
+   * @returns {Promise} Promise resolved with the validation result (`true` if all the cells are valid).
    * @example
    * ```js
    * hot.validateCells((valid) => {
@@ -2494,14 +2568,21 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
    *     // ... code for validated cells
    *   }
    * })
+   *
+   * // or using the returned promise
+   * hot.validateCells().then((valid) => {
+   *   // ...
+   * });
    * ```
    */
   this.validateCells = function(callback) {
-    this._validateCells(callback);
+    return this._validateCells(callback);
   };
 
   /**
-   * Validates rows using their validator functions and calls callback when finished.
+   * Validates rows using their validator functions and calls callback when finished. The
+   * {@link Options#rowValidators} are run after the cell validators. The cells with the duplicated values in the
+   * {@link Options#unique} columns are treated as invalid.
    *
    * If one of the cells is invalid, the callback will be fired with `'valid'` arguments as `false` - otherwise it
    *  would equal `true`.
@@ -2510,6 +2591,7 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
    * @function validateRows
    * @param {Array} [rows] Array of validation target visual row indexes.
    * @param {Function} [callback] The callback function.
+   * @returns {Promise} Promise resolved with the validation result (`true` if all the cells are valid).
    * @example
    * ```js
    * hot.validateRows([3, 4, 5], (valid) => {
@@ -2523,7 +2605,7 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
     if (!Array.isArray(rows)) {
       throw new Error('validateRows parameter `rows` must be an array');
     }
-    this._validateCells(callback, rows);
+    return this._validateCells(callback, rows);
   };
 
   /**
@@ -2536,6 +2618,7 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
    * @function validateColumns
    * @param {Array} [columns] Array of validation target visual columns indexes.
    * @param {Function} [callback] The callback function.
+   * @returns {Promise} Promise resolved with the validation result (`true` if all the cells are valid).
    * @example
    * ```js
    * hot.validateColumns([3, 4, 5], (valid) => {
@@ -2549,7 +2632,53 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
     if (!Array.isArray(columns)) {
       throw new Error('validateColumns parameter `columns` must be an array');
     }
-    this._validateCells(callback, undefined, columns);
+    return this._validateCells(callback, undefined, columns);
+  };
+
+  /**
+   * Returns the validation errors of all the cells which have not passed the validation. Every error contains the visual
+   * coordinates of the cell, its property and the messages produced by the `validationRules`, the `rowValidators` and
+   * the `unique` columns (the list of messages is empty when the cell was marked as invalid by its `validator` only).
+   *
+   * @memberof Core#
+   * @function getValidationErrors
+   * @returns {Object[]} Returns an array of objects (`row`, `col`, `prop` and `messages`) sorted by the visual coordinates.
+   * @example
+   * ```js
+   * hot.validateCells(() => {
+   *   hot.getValidationErrors();
+   *   // [{ row: 0, col: 1, prop: 'name', messages: ['This field is required'] }]
+   * });
+   * ```
+   */
+  this.getValidationErrors = function() {
+    const errors = [];
+
+    // The duplicated cells are not marked in the cell meta, so make sure that the meta of every such cell exists.
+    arrayEach(uniqueValidation.getDuplicatedCells(), ({ row, col }) => instance.getCellMeta(row, col));
+
+    arrayEach(instance.getCellsMeta(), (cellMeta) => {
+      const messages = cellMeta ? getCellValidationMessages(cellMeta) : null;
+
+      if (messages === null) {
+        return;
+      }
+      const row = recordTranslator.toVisualRow(cellMeta.row);
+      const col = recordTranslator.toVisualColumn(cellMeta.col);
+
+      if (row === null || col === null) {
+        return;
+      }
+
+      errors.push({
+        row,
+        col,
+        prop: datamap.colToProp(col),
+        messages,
+      });
+    });
+
+    return errors.sort((a, b) => a.row - b.row || a.col - b.col);
   };
 
   /**
@@ -2565,13 +2694,26 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
    * @param {Function} [callback] The callback function.
    * @param {Array} [rows] An array of validation target visual row indexes.
    * @param {Array} [columns] An array of validation target visual column indexes.
+   * @returns {Promise} Promise resolved with the validation result.
    */
   this._validateCells = function(callback, rows, columns) {
     const waitingForValidator = new ValidatorsQueue();
+    let resolvePromise;
+    const promise = new Promise((resolve) => {
+      resolvePromise = resolve;
+    });
 
-    if (callback) {
-      waitingForValidator.onQueueEmpty = callback;
-    }
+    waitingForValidator.onQueueEmpty = (valid) => {
+      // Row validators run after the cell validators. Validating the columns does not involve them.
+      const rowsValid = columns === void 0 ? rowValidation.validateRows(rows) : true;
+      const uniqueValid = uniqueValidation.isValid(rows, columns);
+      const result = valid && rowsValid && uniqueValid;
+
+      if (callback) {
+        callback(result);
+      }
+      resolvePromise(result);
+    };
 
     let i = instance.countRows() - 1;
 
@@ -2603,6 +2745,8 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
       i -= 1;
     }
     waitingForValidator.checkIfQueueIsEmpty();
+
+    return promise;
   };
 
   /**
@@ -2884,7 +3028,8 @@ export default function Core(rootElement, userSettings, rootInstanceSymbol = fal
   };
 
   /**
-   * Returns the total number of visual rows in the table.
+   * Returns the total number of visual rows in the table. The number of the source rows is modified by the
+   * {@link Hooks#modifyRowCount} hook.
    *
    * @memberof Core#
    * @function countRows
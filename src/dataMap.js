@@ -325,7 +325,7 @@ DataMap.prototype.removeRow = function(index, amount = 1, source) {
   let rowIndex = typeof index !== 'number' ? -amount : index;
   const rowsAmount = this.instance.runHooks('modifyRemovedAmount', amount, rowIndex);
 
-  rowIndex = (this.instance.countSourceRows() + rowIndex) % this.instance.countSourceRows();
+  rowIndex = (this.getMappedLength() + rowIndex) % this.getMappedLength();
 
   const logicRows = this.visualRowsToPhysical(rowIndex, rowsAmount);
   const actionWasNotCancelled = this.instance.runHooks('beforeRemoveRow', rowIndex, rowsAmount, logicRows, source);
@@ -638,7 +638,7 @@ DataMap.prototype.set = function(row, prop, value, source) {
  * @returns {Number}
  */
 DataMap.prototype.visualRowsToPhysical = function(index, amount) {
-  const totalRows = this.instance.countSourceRows();
+  const totalRows = this.getMappedLength();
   const logicRows = [];
   let physicRow = (totalRows + index) % totalRows;
   let rowsToRemove = amount;
@@ -697,6 +697,18 @@ DataMap.prototype.clearLengthCache = function() {
   this.cachedLength = null;
 };
 
+/**
+ * Get the number of the visual row indexes translated by the `modifyRow` hook - the number of the source rows modified by
+ * the `modifyRowCount` hook (e.g. increased by the group header rows). Some of these indexes can be translated to `null`
+ * (e.g. the trimmed rows), so the data length can be lower.
+ *
+ * @fires Hooks#modifyRowCount
+ * @returns {Number}
+ */
+DataMap.prototype.getMappedLength = function() {
+  return this.instance.runHooks('modifyRowCount', this.instance.countSourceRows());
+};
+
 /**
  * Get data length.
  *
@@ -712,7 +724,7 @@ DataMap.prototype.getLength = function() {
     maxRows = maxRowsFromSettings || Infinity;
   }
 
-  let length = this.instance.countSourceRows();
+  let length = this.getMappedLength();
 
   if (this.instance.hasHook('modifyRow')) {
     let reValidate = this.skipCache;
@@ -755,11 +767,11 @@ DataMap.prototype.getAll = function() {
   };
 
   const end = {
-    row: Math.max(this.instance.countSourceRows() - 1, 0),
+    row: Math.max(this.getMappedLength() - 1, 0),
     col: Math.max(this.instance.countCols() - 1, 0),
   };
 
-  if (start.row - end.row === 0 && !this.instance.countSourceRows()) {
+  if (start.row - end.row === 0 && !this.getMappedLength()) {
     return [];
   }
 
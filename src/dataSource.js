@@ -96,7 +96,9 @@ class DataSource {
    * @returns {Array|Object}
    */
   getAtRow(row) {
-    return this.data[row];
+    const modifyRowData = this.hot.runHooks('modifyRowData', row);
+
+    return isNaN(modifyRowData) ? modifyRowData : this.data[row];
   }
 
   /**
@@ -179,7 +181,9 @@ class DataSource {
    * @returns {Number}
    */
   countRows() {
-    return Array.isArray(this.data) ? this.data.length : 0;
+    const sourceLength = this.hot.runHooks('modifySourceLength');
+
+    return sourceLength || (Array.isArray(this.data) ? this.data.length : 0);
   }
 
   /**
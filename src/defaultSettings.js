@@ -760,6 +760,21 @@ DefaultSettings.prototype = {
    */
   fixedColumnsLeft: 0,
 
+  /**
+   * Allows to specify the number of fixed (or *frozen*) columns on the right of the table. The columns stay visible
+   * while the table is scrolled horizontally, which is useful for the action or the total columns.
+   *
+   * @type {Number}
+   * @default 0
+   *
+   * @example
+   * ```js
+   * // freeze the last 2 columns of the table.
+   * fixedColumnsRight: 2,
+   * ```
+   */
+  fixedColumnsRight: 0,
+
   /**
    * If `true`, mouse click outside the grid will deselect the current selection. Can be a function that takes the
    * click event target and returns a boolean.
@@ -1153,6 +1168,36 @@ DefaultSettings.prototype = {
    */
   invalidCellClassName: 'htInvalid',
 
+  /**
+   * CSS class name for cells which are waiting for the result of their (asynchronous) validator.
+   *
+   * @type {String}
+   * @default 'htValidating'
+   *
+   * @example
+   * ```js
+   * // set custom pending validation class
+   * validatingCellClassName: 'highlight--pending',
+   * ```
+   */
+  validatingCellClassName: 'htValidating',
+
+  /**
+   * Delay (in milliseconds) of the validation of the cells changed in bursts (e.g. by the {@link Core#populateFromArray}
+   * method, pasting or autofill). Every change of such a burst postpones the validation, so the validators of the cell
+   * changed several times within the delay are called only once, with the latest value.
+   *
+   * @type {Number}
+   * @default 0
+   *
+   * @example
+   * ```js
+   * // validate the pasted cells 300 milliseconds after the last paste
+   * validationDebounceDelay: 300,
+   * ```
+   */
+  validationDebounceDelay: 0,
+
   /**
    * When set to an non-empty string, displayed as the cell content for empty cells. If a value of a different type is provided,
    * it will be stringified and applied as a string.
@@ -1900,6 +1945,130 @@ DefaultSettings.prototype = {
    */
   validator: void 0,
 
+  /**
+   * @description
+   * Defines the list of declarative validation rules. Every rule is an object with the `type` property and the rule
+   * specific options. When the cell value does not pass the rule, the cell is marked as invalid and the message of the
+   * rule is stored in the `validationMessages` cell meta, displayed as a tooltip of the cell and returned by the
+   * {@link Core#getValidationErrors} method. The rules are tested before the {@link Options#validator}.
+   *
+   * Available rule types:
+   *  * `'required'` - The value can not be empty,
+   *  * `'min'` and `'max'` - The value has to be a number not lower (`min`) or greater (`max`) than the `value` option,
+   *  * `'minLength'` and `'maxLength'` - The length of the value has to fit the `value` option,
+   *  * `'pattern'` - The value has to match the regular expression passed as the `value` option,
+   *  * `'oneOf'` - The value has to be one of the values passed as an array in the `value` option,
+   *  * `'custom'` - The `test` function (called with the cell value) has to return `true`.
+   *
+   * Empty values pass all the rules except the `'required'` one. The default messages are translated using the
+   * {@link Options#language} dictionary, the `[value]` placeholder is replaced with the `value` option of the rule.
+   * To use your own message, pass it as the `message` option (a string or a function which returns a string).
+   *
+   * Additional rule types can be registered with the `Handsontable.validators.registerValidationRule` method.
+   *
+   * @type {Object[]}
+   * @default undefined
+   *
+   * @example
+   * ```js
+   * columns: [
+   *   {
+   *     data: 'name',
+   *     validationRules: [
+   *       { type: 'required' },
+   *       { type: 'maxLength', value: 20 },
+   *     ],
+   *   },
+   *   {
+   *     data: 'age',
+   *     validationRules: [
+   *       { type: 'min', value: 18, message: 'You have to be at least 18 years old' },
+   *     ],
+   *   },
+   *   {
+   *     data: 'code',
+   *     validationRules: [
+   *       { type: 'custom', test: value => value % 2 === 0, message: 'The code has to be even' },
+   *     ],
+   *   },
+   * ],
+   * ```
+   */
+  validationRules: void 0,
+
+  /**
+   * @description
+   * Defines the list of row validators used for the cross-field validation (e.g. "end date must be after start date").
+   * Every validator is an object with the following properties:
+   *  * `test` - Function called with the source row (see {@link Core#getSourceDataAtRow}) and the visual row index. It has
+   *    to return `true` if the row is valid,
+   *  * `props` - The properties (or column indexes) of the cells involved in the validator. If not defined, all the
+   *    cells of the row are involved,
+   *  * `message` - Message (a string or a function called with the source row and the visual row index) shared by all
+   *    the involved cells. If not defined, the translated default message is used.
+   *
+   * The row validators run after the cell validators (when calling the {@link Core#validateCells} and
+   * {@link Core#validateRows} methods) and every time any value of the row is changed. The involved cells of the row
+   * which does not pass the validator are marked as invalid, the message is stored in the `rowValidationMessages` cell
+   * meta, displayed as a tooltip and returned by the {@link Core#getValidationErrors} method. The `valid` cell meta
+   * keeps the result of the cell validators.
+   *
+   * @type {Object[]}
+   * @default undefined
+   *
+   * @example
+   * ```js
+   * rowValidators: [
+   *   {
+   *     props: ['startDate', 'endDate'],
+   *     test: row => new Date(row.endDate) > new Date(row.startDate),
+   *     message: 'The end date must be after the start date',
+   *   },
+   *   {
+   *     props: ['discount', 'reason'],
+   *     test: row => !row.discount || !!row.reason,
+   *     message: 'The discount requires a reason',
+   *   },
+   * ],
+   * ```
+   */
+  rowValidators: void 0,
+
+  /**
+   * @description
+   * Marks the duplicated values in the column. If set to `true`, the values of the column have to be unique. If set to
+   * an array of properties (or column indexes), the combination of the values of these properties (composite key)
+   * has to be unique, and all the cells of the key are marked.
+   *
+   * The index of the values is updated incrementally when the cells are changed, the rows are created or removed, and
+   * rebuilt when the data is loaded, so the duplicates are detected without scanning the whole column. The empty values
+   * are never treated as duplicates. The cells with the duplicated values are marked as invalid, their message is
+   * displayed as a tooltip and returned by the {@link Core#getValidationErrors} method.
+   *
+   * @type {Boolean|Array}
+   * @default undefined
+   *
+   * @example
+   * ```js
+   * columns: [
+   *   {
+   *     data: 'email',
+   *     // the emails have to be unique
+   *     unique: true,
+   *   },
+   *   {
+   *     data: 'firstName',
+   *     // the combination of the first and the last name has to be unique
+   *     unique: ['firstName', 'lastName'],
+   *   },
+   *   {
+   *     data: 'lastName',
+   *   },
+   * ],
+   * ```
+   */
+  unique: void 0,
+
   /**
    * @description
    * Disables visual cells selection.
@@ -1942,6 +2111,20 @@ DefaultSettings.prototype = {
    */
   manualColumnFreeze: void 0,
 
+  /**
+   * Disables or enables {@link ManualRowFreeze} plugin.
+   *
+   * @type {Boolean}
+   * @default undefined
+   *
+   * @example
+   * ```js
+   * // enable fixed rows
+   * manualRowFreeze: true,
+   * ```
+   */
+  manualRowFreeze: void 0,
+
   /**
    * Defines whether Handsontable should trim the whitespace at the beginning and the end of the cell contents.
    *
@@ -2336,7 +2519,12 @@ DefaultSettings.prototype = {
    * If the plugin is enabled, the table row headers will "stick" to the rows, when they are hidden/moved. Basically,
    * if at the initialization row 0 has a header titled "A", it will have it no matter what you do with the table.
    *
-   * @pro
+   * Possible values:
+   *  * `true` or `'loose'` - the inserted rows get the headers of the place they are inserted at and the headers of
+   *    the rows placed after them are shifted.
+   *  * `'strict'` - the inserted rows get new headers (the continuation of the highest header), the headers of the
+   *    existing rows never change.
+   *
    * @type {Boolean|String}
    * @default undefined
    *
@@ -2344,6 +2532,10 @@ DefaultSettings.prototype = {
    * ```js
    * // keep row data and row headers in sync
    * bindRowsWithHeaders: true
+   *
+   * // or
+   * // keep row data and row headers in sync, never change the headers of the existing rows
+   * bindRowsWithHeaders: 'strict'
    * ```
    */
   bindRowsWithHeaders: void 0,
@@ -2356,12 +2548,13 @@ DefaultSettings.prototype = {
    * Clicking the "collapse/expand" button collapses (or expands) all "child" headers except the first one.
    *
    * Setting the `collapsibleColumns` property to `true` will display a "collapse/expand" button in every
-   * header with a defined colspan` property.
+   * header with a defined `colspan` property.
    *
    * To limit this functionality to a smaller group of headers, define the `collapsibleColumns` property
    * as an array of objects, as in the example below.
    *
-   * @pro
+   * The option requires the {@link Options#nestedHeaders} and the {@link Options#hiddenColumns} options to be enabled.
+   *
    * @type {Boolean|Object[]}
    * @default undefined
    *
@@ -2392,9 +2585,13 @@ DefaultSettings.prototype = {
    *  * `'average'`
    *  * `'custom'` - add `customFunction`
    *
+   * The results are recalculated after changing the data, creating or removing the rows and sorting. The row and column
+   * indexes are visual. When the `ranges` option is not defined, all rows of the `sourceColumn` are used. Set the
+   * `reversedRowCoords` option to count the `destinationRow` from the bottom of the table (e.g. to display the results
+   * in the {@link Options#fixedRowsBottom} rows) and the `numericFormat` option to format the results.
+   *
    * [See the demo for more information](https://docs.handsontable.com/pro/demo-summary-calculations.html).
    *
-   * @pro
    * @type {Object[]|Function}
    * @default undefined
    *
@@ -2413,6 +2610,17 @@ DefaultSettings.prototype = {
    *     customFunction: function(endpoint) {
    *        return 100;
    *     }
+   *   },
+   *   {
+   *     destinationRow: 0,
+   *     destinationColumn: 2,
+   *     sourceColumn: 2,
+   *     ranges: [[0, 4], [6]],
+   *     reversedRowCoords: true,
+   *     type: 'sum',
+   *     numericFormat: {
+   *       pattern: '0,0.00 $'
+   *     }
    *   }
    * ],
    * ```
@@ -2423,7 +2631,6 @@ DefaultSettings.prototype = {
    * This plugin allows adding a configurable dropdown menu to the table's column headers. The dropdown menu acts like
    * the {@link Options#contextMenu}, but is triggered by clicking the button in the header.
    *
-   * @pro
    * @type {Boolean|Object|String[]}
    * @default undefined
    *
@@ -2440,9 +2647,8 @@ DefaultSettings.prototype = {
   dropdownMenu: void 0,
 
   /**
-   * The {@link Filters} plugin allows filtering the table data either by the built-in component or with the API.
+   * The {@link Filters} plugin allows filtering the table data with the API.
    *
-   * @pro
    * @type {Boolean}
    * @default undefined
    *
@@ -2457,7 +2663,9 @@ DefaultSettings.prototype = {
   /**
    * The {@link Formulas} plugin allows Handsontable to process formula expressions defined in the provided data.
    *
-   * @pro
+   * The values starting with the `=` character are treated as formulas (e.g. `=SUM(A1:B10)`). The cell references point
+   * at the cells of the source data and are translated after inserting or removing the rows and the columns.
+   *
    * @type {Boolean|Object}
    * @default undefined
    *
@@ -2495,9 +2703,9 @@ DefaultSettings.prototype = {
    * Available options:
    * * the `rows` property defines if tooltips should be added to row headers,
    * * the `columns` property defines if tooltips should be added to column headers,
-   * * the `onlyTrimmed` property defines if tooltips should be added only to headers, which content is trimmed by the header itself (the content being wider then the header).
+   * * the `onlyTrimmed` property defines if tooltips should be added only to headers, which content is trimmed by the header itself (the content being wider then the header),
+   * * the `tooltip` property defines a function which returns the tooltip text (called with the header label, the visual index and a flag which determines if the header is a column header).
    *
-   * @pro
    * @type {Boolean|Object}
    * @default undefined
    *
@@ -2510,7 +2718,8 @@ DefaultSettings.prototype = {
    * headerTooltips: {
    *   rows: false,
    *   columns: true,
-   *   onlyTrimmed: true
+   *   onlyTrimmed: true,
+   *   tooltip: (label, index, isColumnHeader) => `${label} (${index})`
    * }
    * ```
    */
@@ -2519,10 +2728,10 @@ DefaultSettings.prototype = {
   /**
    * The {@link HiddenColumns} plugin allows hiding of certain columns. You can pass additional configuration with an
    * object notation. Options that are then available are:
-   *  * `columns` - an array of rows that should be hidden on plugin initialization
+   *  * `columns` - an array of columns that should be hidden on plugin initialization
    *  * `indicators` - enables small ui markers to indicate where are hidden columns
+   *  * `copyPasteEnabled` - when set to `false`, the hidden columns are skipped while copying and pasting the data
    *
-   * @pro
    * @type {Boolean|Object}
    * @default undefined
    *
@@ -2536,7 +2745,9 @@ DefaultSettings.prototype = {
    *   // set columns that are hidden by default
    *   columns: [5, 10, 15],
    *   // show where are hidden columns
-   *   indicators: true
+   *   indicators: true,
+   *   // do not copy the hidden cells
+   *   copyPasteEnabled: false
    * }
    * ```
    */
@@ -2546,9 +2757,8 @@ DefaultSettings.prototype = {
    * The {@link HiddenRows} plugin allows hiding of certain rows. You can pass additional configuration with an
    * object notation. Options that are then available are:
    *  * `rows` - an array of rows that should be hidden on plugin initialization
-   *  * `indicators` - enables small ui markers to indicate where are hidden columns
+   *  * `indicators` - enables small ui markers to indicate where are hidden rows
    *
-   * @pro
    * @type {Boolean|Object}
    * @default undefined
    *
@@ -2572,7 +2782,6 @@ DefaultSettings.prototype = {
    * @description
    * Allows creating a nested header structure, using the HTML's colspan attribute.
    *
-   * @pro
    * @type {Array[]}
    * @default undefined
    *
@@ -2589,9 +2798,12 @@ DefaultSettings.prototype = {
 
   /**
    * @description
-   * Plugin allowing hiding of certain rows.
+   * Plugin allowing trimming of certain rows. The trimmed rows are excluded from the table view, they are not counted
+   * by {@link Core#countRows} and are not accessible using the `getData*` methods.
+   *
+   * The rows are defined as physical indexes. See {@link TrimRows} for the API allowing to trim and untrim the rows
+   * at runtime.
    *
-   * @pro
    * @type {Boolean|Number[]}
    * @default undefined
    *
@@ -2755,18 +2967,119 @@ DefaultSettings.prototype = {
   /**
    * @description
    * Disable or enable the nested rows functionality - displaying nested structures in a two-dimensional data table.
+   * The nested rows are defined in the source data (an array of objects) under the `__children` key. The row headers
+   * display the nesting level and the buttons, which allow collapsing and expanding the children.
+   *
+   * See {@link NestedRows} plugin for the available API.
    *
-   * See [quick setup of the Nested rows](https://docs.handsontable.kbudnik/pro/next/demo-nested-rows.html).
    * @example
    * ```js
+   * data: [
+   *   { name: 'Bicycle', __children: [{ name: 'Frame' }, { name: 'Wheel', __children: [{ name: 'Tyre' }] }] },
+   * ],
    * nestedRows: true,
+   * rowHeaders: true,
    * ```
    *
-   * @pro
    * @type {Boolean}
    * @default false
    */
   nestedRows: void 0,
+
+  /**
+   * @description
+   * Disable or enable the row grouping functionality - grouping the rows by the values of one or more columns. Each
+   * group is preceded by the group header row, which displays the group key, the number of the grouped rows and the
+   * aggregated values of the columns defined in the `aggregates` array. The groups can be collapsed and expanded.
+   *
+   * The available aggregate types are `'count'`, `'sum'`, `'min'`, `'max'` and `'average'`. A function, which receives
+   * the values of the grouped cells and returns the aggregated value, can be used as well.
+   *
+   * See {@link RowGrouping} plugin for the available API.
+   *
+   * @example
+   * ```js
+   * // enable the plugin without grouping the rows (use the `groupBy` method to group them)
+   * rowGrouping: true,
+   *
+   * // group the rows by the first column and then by the second one
+   * rowGrouping: {
+   *   columns: [0, 1],
+   *   aggregates: [
+   *     { column: 2, type: 'sum' },
+   *     { column: 3, type: values => values.join(', ') },
+   *   ],
+   * },
+   * ```
+   *
+   * @type {Boolean|Object}
+   * @default undefined
+   */
+  rowGrouping: void 0,
+
+  /**
+   * @description
+   * Turns the table into the pivot table built over the data of the other (source) Handsontable instance. The values
+   * of the `rowFields` and `columnFields` source columns define the rows and the columns of the pivot table and the
+   * `valueFields` define how the source values are aggregated in the pivot cells. The pivot table is read-only and it
+   * is recalculated when the source data changes.
+   *
+   * The available aggregators are `'sum'`, `'count'`, `'avg'`, `'min'` and `'max'`. A function, which receives the
+   * values of the source cells and returns the aggregated value, can be used as well.
+   *
+   * See {@link PivotTable} plugin for the available API.
+   *
+   * @example
+   * ```js
+   * pivotTable: {
+   *   source: sourceHot,
+   *   rowFields: [0],
+   *   columnFields: [2],
+   *   valueFields: [
+   *     { column: 3, aggregator: 'sum' },
+   *     { column: 3, aggregator: 'count', label: 'Orders' },
+   *   ],
+   * },
+   * ```
+   *
+   * @type {Object}
+   * @default undefined
+   */
+  pivotTable: void 0,
+
+  /**
+   * @description
+   * Disable or enable the conditional formatting - formatting the cells (with the class names, the inline styles,
+   * the color scales or the data bars) depending on their values. The formatting is described by the list of the rules
+   * evaluated in the order of their priority.
+   *
+   * See {@link ConditionalFormatting} plugin for the rule properties and the available API.
+   *
+   * @example
+   * ```js
+   * // enable the plugin without any rules (use the `addRule` method to add them)
+   * conditionalFormatting: true,
+   *
+   * // enable the plugin with the predefined rules
+   * conditionalFormatting: [
+   *   {
+   *     range: { from: { row: 0, col: 1 }, to: { row: 99, col: 1 } },
+   *     condition: { name: 'between', args: [10, 20] },
+   *     className: 'inRange',
+   *   },
+   *   {
+   *     condition: (value, row, column) => value === 'N/A',
+   *     style: { color: '#999' },
+   *     priority: -1,
+   *     stopIfTrue: true,
+   *   },
+   * ],
+   * ```
+   *
+   * @type {Boolean|Object[]}
+   * @default undefined
+   */
+  conditionalFormatting: void 0,
 };
 
 export default DefaultSettings;
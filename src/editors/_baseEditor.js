@@ -245,22 +245,31 @@ BaseEditor.prototype.isWaiting = function() {
 
 BaseEditor.prototype.checkEditorSection = function() {
   const totalRows = this.instance.countRows();
+  const totalColumns = this.instance.countCols();
+  const { fixedColumnsLeft, fixedColumnsRight } = this.instance.getSettings();
+  const isFixedOnRight = fixedColumnsRight && this.col >= fixedColumnsLeft && this.col >= totalColumns - fixedColumnsRight;
   let section = '';
 
   if (this.row < this.instance.getSettings().fixedRowsTop) {
-    if (this.col < this.instance.getSettings().fixedColumnsLeft) {
+    if (this.col < fixedColumnsLeft) {
       section = 'top-left-corner';
+    } else if (isFixedOnRight) {
+      section = 'top-right-corner';
     } else {
       section = 'top';
     }
   } else if (this.instance.getSettings().fixedRowsBottom && this.row >= totalRows - this.instance.getSettings().fixedRowsBottom) {
-    if (this.col < this.instance.getSettings().fixedColumnsLeft) {
+    if (this.col < fixedColumnsLeft) {
       section = 'bottom-left-corner';
+    } else if (isFixedOnRight) {
+      section = 'bottom-right-corner';
     } else {
       section = 'bottom';
     }
-  } else if (this.col < this.instance.getSettings().fixedColumnsLeft) {
+  } else if (this.col < fixedColumnsLeft) {
     section = 'left';
+  } else if (isFixedOnRight) {
+    section = 'right';
   }
 
   return section;
@@ -172,6 +172,15 @@ SelectEditor.prototype.refreshDimensions = function() {
     case 'bottom-left-corner':
       cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.bottomLeftCornerOverlay.clone.wtTable.holder.parentNode);
       break;
+    case 'right':
+      cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.rightOverlay.clone.wtTable.holder.parentNode);
+      break;
+    case 'top-right-corner':
+      cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.topRightCornerOverlay.clone.wtTable.holder.parentNode);
+      break;
+    case 'bottom-right-corner':
+      cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.bottomRightCornerOverlay.clone.wtTable.holder.parentNode);
+      break;
     case 'bottom':
       cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.bottomOverlay.clone.wtTable.holder.parentNode);
       break;
@@ -235,6 +244,27 @@ SelectEditor.prototype.getEditedCell = function() {
       });
       this.select.style.zIndex = 102;
       break;
+    case 'right':
+      editedCell = this.instance.view.wt.wtOverlays.rightOverlay.clone.wtTable.getCell({
+        row: this.row,
+        col: this.col
+      });
+      this.select.style.zIndex = 102;
+      break;
+    case 'top-right-corner':
+      editedCell = this.instance.view.wt.wtOverlays.topRightCornerOverlay.clone.wtTable.getCell({
+        row: this.row,
+        col: this.col
+      });
+      this.select.style.zIndex = 103;
+      break;
+    case 'bottom-right-corner':
+      editedCell = this.instance.view.wt.wtOverlays.bottomRightCornerOverlay.clone.wtTable.getCell({
+        row: this.row,
+        col: this.col
+      });
+      this.select.style.zIndex = 103;
+      break;
     default:
       editedCell = this.instance.getCell(this.row, this.col);
       this.select.style.zIndex = '';
@@ -257,6 +257,27 @@ TextEditor.prototype.getEditedCell = function() {
       });
       this.holderZIndex = 102;
       break;
+    case 'right':
+      editedCell = this.instance.view.wt.wtOverlays.rightOverlay.clone.wtTable.getCell({
+        row: this.row,
+        col: this.col
+      });
+      this.holderZIndex = 102;
+      break;
+    case 'top-right-corner':
+      editedCell = this.instance.view.wt.wtOverlays.topRightCornerOverlay.clone.wtTable.getCell({
+        row: this.row,
+        col: this.col
+      });
+      this.holderZIndex = 103;
+      break;
+    case 'bottom-right-corner':
+      editedCell = this.instance.view.wt.wtOverlays.bottomRightCornerOverlay.clone.wtTable.getCell({
+        row: this.row,
+        col: this.col
+      });
+      this.holderZIndex = 103;
+      break;
     case 'bottom':
       editedCell = this.instance.view.wt.wtOverlays.bottomOverlay.clone.wtTable.getCell({
         row: this.row,
@@ -306,7 +327,7 @@ TextEditor.prototype.refreshDimensions = function(force = false) {
   const containerScrollLeft = scrollableContainerLeft !== window ? scrollableContainerLeft.scrollLeft : 0;
   const editorSection = this.checkEditorSection();
 
-  const scrollTop = ['', 'left'].includes(editorSection) ? containerScrollTop : 0;
+  const scrollTop = ['', 'left', 'right'].includes(editorSection) ? containerScrollTop : 0;
   const scrollLeft = ['', 'top', 'bottom'].includes(editorSection) ? containerScrollLeft : 0;
 
   // If colHeaders is disabled, cells in the first row have border-top
@@ -334,6 +355,15 @@ TextEditor.prototype.refreshDimensions = function(force = false) {
     case 'bottom-left-corner':
       cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.bottomLeftCornerOverlay.clone.wtTable.holder.parentNode);
       break;
+    case 'right':
+      cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.rightOverlay.clone.wtTable.holder.parentNode);
+      break;
+    case 'top-right-corner':
+      cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.topRightCornerOverlay.clone.wtTable.holder.parentNode);
+      break;
+    case 'bottom-right-corner':
+      cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.bottomRightCornerOverlay.clone.wtTable.holder.parentNode);
+      break;
     case 'bottom':
       cssTransformOffset = getCssTransform(this.instance.view.wt.wtOverlays.bottomOverlay.clone.wtTable.holder.parentNode);
       break;
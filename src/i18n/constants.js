@@ -19,6 +19,8 @@ export const CONTEXTMENU_ITEMS_CUT = `${CONTEXT_MENU_ITEMS_NAMESPACE}.cut`;
 
 export const CONTEXTMENU_ITEMS_FREEZE_COLUMN = `${CONTEXT_MENU_ITEMS_NAMESPACE}.freezeColumn`;
 export const CONTEXTMENU_ITEMS_UNFREEZE_COLUMN = `${CONTEXT_MENU_ITEMS_NAMESPACE}.unfreezeColumn`;
+export const CONTEXTMENU_ITEMS_FREEZE_ROW = `${CONTEXT_MENU_ITEMS_NAMESPACE}.freezeRow`;
+export const CONTEXTMENU_ITEMS_UNFREEZE_ROW = `${CONTEXT_MENU_ITEMS_NAMESPACE}.unfreezeRow`;
 
 export const CONTEXTMENU_ITEMS_MERGE_CELLS = `${CONTEXT_MENU_ITEMS_NAMESPACE}.mergeCells`;
 export const CONTEXTMENU_ITEMS_UNMERGE_CELLS = `${CONTEXT_MENU_ITEMS_NAMESPACE}.unmergeCells`;
@@ -93,3 +95,23 @@ export const FILTERS_BUTTONS_CANCEL = `${FILTERS_NAMESPACE}buttons.cancel`;
 export const FILTERS_BUTTONS_PLACEHOLDER_SEARCH = `${FILTERS_NAMESPACE}buttons.placeholder.search`;
 export const FILTERS_BUTTONS_PLACEHOLDER_VALUE = `${FILTERS_NAMESPACE}buttons.placeholder.value`;
 export const FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE = `${FILTERS_NAMESPACE}buttons.placeholder.secondValue`;
+
+export const VALIDATION_NAMESPACE = 'Validation:';
+export const VALIDATION_RULES_REQUIRED = `${VALIDATION_NAMESPACE}rules.required`;
+export const VALIDATION_RULES_MIN = `${VALIDATION_NAMESPACE}rules.min`;
+export const VALIDATION_RULES_MAX = `${VALIDATION_NAMESPACE}rules.max`;
+export const VALIDATION_RULES_MIN_LENGTH = `${VALIDATION_NAMESPACE}rules.minLength`;
+export const VALIDATION_RULES_MAX_LENGTH = `${VALIDATION_NAMESPACE}rules.maxLength`;
+export const VALIDATION_RULES_PATTERN = `${VALIDATION_NAMESPACE}rules.pattern`;
+export const VALIDATION_RULES_ONE_OF = `${VALIDATION_NAMESPACE}rules.oneOf`;
+export const VALIDATION_RULES_CUSTOM = `${VALIDATION_NAMESPACE}rules.custom`;
+export const VALIDATION_ROW_INVALID = `${VALIDATION_NAMESPACE}row.invalid`;
+export const VALIDATION_UNIQUE_DUPLICATE = `${VALIDATION_NAMESPACE}unique.duplicate`;
+
+export const PIVOT_TABLE_NAMESPACE = 'PivotTable:';
+export const PIVOT_TABLE_AGGREGATORS_SUM = `${PIVOT_TABLE_NAMESPACE}aggregators.sum`;
+export const PIVOT_TABLE_AGGREGATORS_COUNT = `${PIVOT_TABLE_NAMESPACE}aggregators.count`;
+export const PIVOT_TABLE_AGGREGATORS_AVERAGE = `${PIVOT_TABLE_NAMESPACE}aggregators.average`;
+export const PIVOT_TABLE_AGGREGATORS_MIN = `${PIVOT_TABLE_NAMESPACE}aggregators.min`;
+export const PIVOT_TABLE_AGGREGATORS_MAX = `${PIVOT_TABLE_NAMESPACE}aggregators.max`;
+export const PIVOT_TABLE_VALUE_HEADER = `${PIVOT_TABLE_NAMESPACE}valueHeader`;
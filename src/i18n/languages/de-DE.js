@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Spalte fixieren',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Spaltenfixierung aufheben',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Zeile fixieren',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Zeilenfixierung aufheben',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Rahmen',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Oben',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Suchen',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Wert',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Alternativwert'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Alternativwert',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Dieses Feld ist erforderlich',
+  [C.VALIDATION_RULES_MIN]: 'Der Wert muss größer oder gleich [value] sein',
+  [C.VALIDATION_RULES_MAX]: 'Der Wert muss kleiner oder gleich [value] sein',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Der Wert muss mindestens [value] Zeichen lang sein',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Der Wert darf höchstens [value] Zeichen lang sein',
+  [C.VALIDATION_RULES_PATTERN]: 'Der Wert hat ein ungültiges Format',
+  [C.VALIDATION_RULES_ONE_OF]: 'Der Wert muss einer der folgenden sein: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Der Wert ist ungültig',
+  [C.VALIDATION_ROW_INVALID]: 'Die Werte der Zeile sind widersprüchlich',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Dieser Wert ist doppelt vorhanden',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Summe',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Anzahl',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Mittelwert',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Max',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] von [column]'
 };
 
 export default dictionary;
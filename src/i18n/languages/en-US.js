@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Freeze column',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Unfreeze column',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Freeze row',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Unfreeze row',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Borders',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Top',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Search',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Value',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Second value'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Second value',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'This field is required',
+  [C.VALIDATION_RULES_MIN]: 'Value must be greater than or equal to [value]',
+  [C.VALIDATION_RULES_MAX]: 'Value must be less than or equal to [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Value must be at least [value] characters long',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Value must be at most [value] characters long',
+  [C.VALIDATION_RULES_PATTERN]: 'Value has an invalid format',
+  [C.VALIDATION_RULES_ONE_OF]: 'Value must be one of: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Value is invalid',
+  [C.VALIDATION_ROW_INVALID]: 'The values of the row are inconsistent',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'This value is duplicated',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Sum',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Count',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Average',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Max',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] of [column]'
 };
 
 export default dictionary;
@@ -30,6 +30,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Congelar columna',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Descongelar columna',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Congelar fila',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Descongelar fila',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Bordes',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Superior',
@@ -94,7 +96,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Buscar',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Valor',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Valor secundario'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Valor secundario',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Este campo es obligatorio',
+  [C.VALIDATION_RULES_MIN]: 'El valor debe ser mayor o igual a [value]',
+  [C.VALIDATION_RULES_MAX]: 'El valor debe ser menor o igual a [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'El valor debe tener al menos [value] caracteres',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'El valor debe tener como máximo [value] caracteres',
+  [C.VALIDATION_RULES_PATTERN]: 'El valor tiene un formato inválido',
+  [C.VALIDATION_RULES_ONE_OF]: 'El valor debe ser uno de: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'El valor es inválido',
+  [C.VALIDATION_ROW_INVALID]: 'Los valores de la fila son inconsistentes',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Este valor está duplicado',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Suma',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Cuenta',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Promedio',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Mín',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Máx',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] de [column]'
 };
 
 export default dictionary;
@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Figer la colonne',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Libérer la colonne',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Figer la ligne',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Libérer la ligne',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Bordures',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Supérieure',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Chercher',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Valeur',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Valeur de remplacement'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Valeur de remplacement',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Ce champ est obligatoire',
+  [C.VALIDATION_RULES_MIN]: 'La valeur doit être supérieure ou égale à [value]',
+  [C.VALIDATION_RULES_MAX]: 'La valeur doit être inférieure ou égale à [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'La valeur doit contenir au moins [value] caractères',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'La valeur doit contenir au plus [value] caractères',
+  [C.VALIDATION_RULES_PATTERN]: 'Le format de la valeur est invalide',
+  [C.VALIDATION_RULES_ONE_OF]: 'La valeur doit faire partie de : [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'La valeur est invalide',
+  [C.VALIDATION_ROW_INVALID]: 'Les valeurs de la ligne sont incohérentes',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Cette valeur est en double',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Somme',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Nombre',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Moyenne',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Max',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] de [column]'
 };
 
 export default dictionary;
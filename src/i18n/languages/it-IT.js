@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Blocca colonna',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Sblocca colonna',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Blocca riga',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Sblocca riga',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Bordi',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Sopra',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Cerca',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Valore',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Sostituisci con'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Sostituisci con',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Questo campo è obbligatorio',
+  [C.VALIDATION_RULES_MIN]: 'Il valore deve essere maggiore o uguale a [value]',
+  [C.VALIDATION_RULES_MAX]: 'Il valore deve essere minore o uguale a [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Il valore deve contenere almeno [value] caratteri',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Il valore deve contenere al massimo [value] caratteri',
+  [C.VALIDATION_RULES_PATTERN]: 'Il formato del valore non è valido',
+  [C.VALIDATION_RULES_ONE_OF]: 'Il valore deve essere uno tra: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Il valore non è valido',
+  [C.VALIDATION_ROW_INVALID]: 'I valori della riga sono incoerenti',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Questo valore è duplicato',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Somma',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Conteggio',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Media',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Max',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] di [column]'
 };
 
 export default dictionary;
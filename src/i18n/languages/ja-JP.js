@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: '列を固定',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: '列の固定を解除',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: '行を固定',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: '行の固定を解除',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: '枠線',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: '上',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: '検索',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: '値',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '値2'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '値2',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'この項目は必須です',
+  [C.VALIDATION_RULES_MIN]: '値は[value]以上である必要があります',
+  [C.VALIDATION_RULES_MAX]: '値は[value]以下である必要があります',
+  [C.VALIDATION_RULES_MIN_LENGTH]: '値は[value]文字以上である必要があります',
+  [C.VALIDATION_RULES_MAX_LENGTH]: '値は[value]文字以下である必要があります',
+  [C.VALIDATION_RULES_PATTERN]: '値の形式が正しくありません',
+  [C.VALIDATION_RULES_ONE_OF]: '値は次のいずれかである必要があります: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: '値が無効です',
+  [C.VALIDATION_ROW_INVALID]: '行の値に矛盾があります',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'この値は重複しています',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: '合計',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: '個数',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: '平均',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: '最小',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: '最大',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] / [column]'
 };
 
 export default dictionary;
@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: '열 고정',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: '열 고정 해제',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: '행 고정',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: '행 고정 해제',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: '테두리',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: '위쪽',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: '찾기',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: '값',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '두번째 값'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '두번째 값',
+
+  [C.VALIDATION_RULES_REQUIRED]: '필수 항목입니다',
+  [C.VALIDATION_RULES_MIN]: '값은 [value] 이상이어야 합니다',
+  [C.VALIDATION_RULES_MAX]: '값은 [value] 이하여야 합니다',
+  [C.VALIDATION_RULES_MIN_LENGTH]: '값은 [value]자 이상이어야 합니다',
+  [C.VALIDATION_RULES_MAX_LENGTH]: '값은 [value]자 이하여야 합니다',
+  [C.VALIDATION_RULES_PATTERN]: '값의 형식이 올바르지 않습니다',
+  [C.VALIDATION_RULES_ONE_OF]: '값은 다음 중 하나여야 합니다: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: '값이 올바르지 않습니다',
+  [C.VALIDATION_ROW_INVALID]: '행의 값이 일치하지 않습니다',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: '이 값은 중복되었습니다',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: '합계',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: '개수',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: '평균',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: '최소',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: '최대',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] : [column]'
 };
 
 export default dictionary;
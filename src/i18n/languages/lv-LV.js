@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Iesaldēt kolonnu',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Atsaldēt kolonnu',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Iesaldēt rindu',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Atsaldēt rindu',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Robežas',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Augšā',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Meklēt',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Vērtība',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Otra vērtība'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Otra vērtība',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Šis lauks ir obligāts',
+  [C.VALIDATION_RULES_MIN]: 'Vērtībai jābūt lielākai vai vienādai ar [value]',
+  [C.VALIDATION_RULES_MAX]: 'Vērtībai jābūt mazākai vai vienādai ar [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Vērtībai jābūt vismaz [value] rakstzīmes garai',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Vērtībai jābūt ne vairāk kā [value] rakstzīmes garai',
+  [C.VALIDATION_RULES_PATTERN]: 'Vērtībai ir nederīgs formāts',
+  [C.VALIDATION_RULES_ONE_OF]: 'Vērtībai jābūt vienai no: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Vērtība ir nederīga',
+  [C.VALIDATION_ROW_INVALID]: 'Rindas vērtības ir pretrunīgas',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Šī vērtība atkārtojas',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Summa',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Skaits',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Vidējais',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Maks',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] no [column]'
 };
 
 export default dictionary;
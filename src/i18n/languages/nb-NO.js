@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Frys kolonne',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Frigi kolonne',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Frys rad',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Frigi rad',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Kantlinjer',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Over',
@@ -96,6 +98,24 @@ const dictionary = {
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Søk',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Verdi',
   [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Andre verdi',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Dette feltet er påkrevd',
+  [C.VALIDATION_RULES_MIN]: 'Verdien må være større enn eller lik [value]',
+  [C.VALIDATION_RULES_MAX]: 'Verdien må være mindre enn eller lik [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Verdien må være minst [value] tegn lang',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Verdien kan være maksimalt [value] tegn lang',
+  [C.VALIDATION_RULES_PATTERN]: 'Verdien har et ugyldig format',
+  [C.VALIDATION_RULES_ONE_OF]: 'Verdien må være en av: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Verdien er ugyldig',
+  [C.VALIDATION_ROW_INVALID]: 'Verdiene i raden er inkonsistente',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Denne verdien er duplisert',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Sum',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Antall',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Gjennomsnitt',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Maks',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] av [column]'
 };
 
 export default dictionary;
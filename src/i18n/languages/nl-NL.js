@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Kolom blokkeren',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Kolom blokkering opheffen',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Rij blokkeren',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Rij blokkering opheffen',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Randen',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Boven',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Zoeken',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Waarde',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Tweede waarde'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Tweede waarde',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Dit veld is verplicht',
+  [C.VALIDATION_RULES_MIN]: 'De waarde moet groter dan of gelijk aan [value] zijn',
+  [C.VALIDATION_RULES_MAX]: 'De waarde moet kleiner dan of gelijk aan [value] zijn',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'De waarde moet minimaal [value] tekens lang zijn',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'De waarde mag maximaal [value] tekens lang zijn',
+  [C.VALIDATION_RULES_PATTERN]: 'De waarde heeft een ongeldig formaat',
+  [C.VALIDATION_RULES_ONE_OF]: 'De waarde moet een van de volgende zijn: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'De waarde is ongeldig',
+  [C.VALIDATION_ROW_INVALID]: 'De waarden van de rij zijn inconsistent',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Deze waarde komt dubbel voor',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Som',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Aantal',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Gemiddelde',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Max',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] van [column]'
 };
 
 export default dictionary;
@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Zablokuj kolumnę',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Odblokuj kolumnę',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Zablokuj wiersz',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Odblokuj wiersz',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Obramowanie',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Krawędź górna',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Szukaj',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Wartość',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Druga wartość'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Druga wartość',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'To pole jest wymagane',
+  [C.VALIDATION_RULES_MIN]: 'Wartość musi być większa lub równa [value]',
+  [C.VALIDATION_RULES_MAX]: 'Wartość musi być mniejsza lub równa [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Wartość musi mieć co najmniej [value] znaków',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Wartość może mieć co najwyżej [value] znaków',
+  [C.VALIDATION_RULES_PATTERN]: 'Wartość ma nieprawidłowy format',
+  [C.VALIDATION_RULES_ONE_OF]: 'Wartość musi być jedną z: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Wartość jest nieprawidłowa',
+  [C.VALIDATION_ROW_INVALID]: 'Wartości wiersza są niespójne',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Ta wartość jest zduplikowana',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Suma',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Liczba',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Średnia',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Min',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Maks',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] z [column]'
 };
 
 export default dictionary;
@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Congelar coluna',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Descongelar coluna',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Congelar linha',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Descongelar linha',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Bordas',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Superior',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Localizar',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Valor',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Segundo valor'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Segundo valor',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Este campo é obrigatório',
+  [C.VALIDATION_RULES_MIN]: 'O valor deve ser maior ou igual a [value]',
+  [C.VALIDATION_RULES_MAX]: 'O valor deve ser menor ou igual a [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'O valor deve ter no mínimo [value] caracteres',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'O valor deve ter no máximo [value] caracteres',
+  [C.VALIDATION_RULES_PATTERN]: 'O valor possui um formato inválido',
+  [C.VALIDATION_RULES_ONE_OF]: 'O valor deve ser um dos seguintes: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'O valor é inválido',
+  [C.VALIDATION_ROW_INVALID]: 'Os valores da linha são inconsistentes',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Este valor está duplicado',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Soma',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Contagem',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Média',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Mín',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Máx',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] de [column]'
 };
 
 export default dictionary;
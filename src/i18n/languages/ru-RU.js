@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: 'Закрепить столбец',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: 'Открепить столбец',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: 'Закрепить строку',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: 'Открепить строку',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: 'Границы',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: 'Сверху',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: 'Поиск',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: 'Значение',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Второе значение'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: 'Второе значение',
+
+  [C.VALIDATION_RULES_REQUIRED]: 'Это поле обязательно',
+  [C.VALIDATION_RULES_MIN]: 'Значение должно быть больше или равно [value]',
+  [C.VALIDATION_RULES_MAX]: 'Значение должно быть меньше или равно [value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: 'Значение должно содержать не менее [value] символов',
+  [C.VALIDATION_RULES_MAX_LENGTH]: 'Значение должно содержать не более [value] символов',
+  [C.VALIDATION_RULES_PATTERN]: 'Значение имеет неверный формат',
+  [C.VALIDATION_RULES_ONE_OF]: 'Значение должно быть одним из: [value]',
+  [C.VALIDATION_RULES_CUSTOM]: 'Неверное значение',
+  [C.VALIDATION_ROW_INVALID]: 'Значения строки противоречат друг другу',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: 'Это значение повторяется',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: 'Сумма',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: 'Количество',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: 'Среднее',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: 'Мин',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: 'Макс',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] по полю [column]'
 };
 
 export default dictionary;
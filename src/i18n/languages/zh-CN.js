@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: '冻结该列',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: '取消冻结',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: '冻结该行',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: '取消冻结该行',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: '边框',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: '上',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: '搜索',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: '值',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '第二值'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '第二值',
+
+  [C.VALIDATION_RULES_REQUIRED]: '此字段为必填项',
+  [C.VALIDATION_RULES_MIN]: '值必须大于或等于[value]',
+  [C.VALIDATION_RULES_MAX]: '值必须小于或等于[value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: '值的长度不能少于[value]个字符',
+  [C.VALIDATION_RULES_MAX_LENGTH]: '值的长度不能超过[value]个字符',
+  [C.VALIDATION_RULES_PATTERN]: '值的格式无效',
+  [C.VALIDATION_RULES_ONE_OF]: '值必须是以下之一：[value]',
+  [C.VALIDATION_RULES_CUSTOM]: '值无效',
+  [C.VALIDATION_ROW_INVALID]: '该行的值不一致',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: '该值重复',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: '求和',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: '计数',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: '平均值',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: '最小值',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: '最大值',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator]项:[column]'
 };
 
 export default dictionary;
@@ -31,6 +31,8 @@ const dictionary = {
 
   [C.CONTEXTMENU_ITEMS_FREEZE_COLUMN]: '凍結欄位',
   [C.CONTEXTMENU_ITEMS_UNFREEZE_COLUMN]: '取消凍結欄位',
+  [C.CONTEXTMENU_ITEMS_FREEZE_ROW]: '凍結列',
+  [C.CONTEXTMENU_ITEMS_UNFREEZE_ROW]: '取消凍結列',
 
   [C.CONTEXTMENU_ITEMS_BORDERS]: '邊界',
   [C.CONTEXTMENU_ITEMS_BORDERS_TOP]: '上',
@@ -95,7 +97,25 @@ const dictionary = {
 
   [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH]: '搜尋',
   [C.FILTERS_BUTTONS_PLACEHOLDER_VALUE]: '值',
-  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '第二值'
+  [C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE]: '第二值',
+
+  [C.VALIDATION_RULES_REQUIRED]: '此欄位為必填',
+  [C.VALIDATION_RULES_MIN]: '值必須大於或等於[value]',
+  [C.VALIDATION_RULES_MAX]: '值必須小於或等於[value]',
+  [C.VALIDATION_RULES_MIN_LENGTH]: '值的長度不能少於[value]個字元',
+  [C.VALIDATION_RULES_MAX_LENGTH]: '值的長度不能超過[value]個字元',
+  [C.VALIDATION_RULES_PATTERN]: '值的格式無效',
+  [C.VALIDATION_RULES_ONE_OF]: '值必須是下列之一：[value]',
+  [C.VALIDATION_RULES_CUSTOM]: '值無效',
+  [C.VALIDATION_ROW_INVALID]: '該列的值不一致',
+  [C.VALIDATION_UNIQUE_DUPLICATE]: '該值重複',
+
+  [C.PIVOT_TABLE_AGGREGATORS_SUM]: '加總',
+  [C.PIVOT_TABLE_AGGREGATORS_COUNT]: '計數',
+  [C.PIVOT_TABLE_AGGREGATORS_AVERAGE]: '平均值',
+  [C.PIVOT_TABLE_AGGREGATORS_MIN]: '最小值',
+  [C.PIVOT_TABLE_AGGREGATORS_MAX]: '最大值',
+  [C.PIVOT_TABLE_VALUE_HEADER]: '[aggregator] - [column]'
 };
 
 export default dictionary;
@@ -6,7 +6,7 @@ import './css/mobile.handsontable.css';
 
 import { getRegisteredEditorNames, registerEditor, getEditor } from './editors';
 import { getRegisteredRendererNames, getRenderer, registerRenderer } from './renderers';
-import { getRegisteredValidatorNames, getValidator, registerValidator } from './validators';
+import { getRegisteredValidatorNames, getValidator, registerValidator, registerValidationRule, getValidationRule } from './validators';
 import { getRegisteredCellTypeNames, getCellType, registerCellType } from './cellTypes';
 
 import Core from './core';
@@ -153,6 +153,8 @@ arrayHelpers.arrayEach(getRegisteredValidatorNames(), (validatorName) => {
 
 Handsontable.validators.registerValidator = registerValidator;
 Handsontable.validators.getValidator = getValidator;
+Handsontable.validators.registerValidationRule = registerValidationRule;
+Handsontable.validators.getValidationRule = getValidationRule;
 
 // Export all registered plugins from the Handsontable.
 Handsontable.plugins = {};
@@ -111,7 +111,6 @@ const REGISTERED_HOOKS = [
    * collection which user can select by setting an array of keys or an array of objects in {@link Options#dropdownMenu}
    * option.
    *
-   * @pro
    * @event Hooks#afterDropdownMenuDefaultOptions
    * @param {Object[]} predefinedItems An array of objects containing information about the pre-defined Context Menu items.
    */
@@ -122,7 +121,6 @@ const REGISTERED_HOOKS = [
    * by user (`dropdownMenu` option). This hook can by helpful to determine if user use specified menu item or to set
    * up one of the menu item to by always visible.
    *
-   * @pro
    * @event Hooks#beforeDropdownMenuSetItems
    * @param {Object[]} menuItems An array of objects containing information about to generated Dropdown Menu items.
    */
@@ -954,6 +952,17 @@ const REGISTERED_HOOKS = [
    */
   'modifyRow',
 
+  /**
+   * Fired when the number of the visual row indexes translated by the {@link Hooks#modifyRow} hook is calculated. It
+   * allows to display the rows, which do not exist in the data source (e.g. the group header rows of the
+   * {@link RowGrouping} plugin).
+   *
+   * @event Hooks#modifyRowCount
+   * @param {Number} count Number of the rows in the data source.
+   * @returns {Number} Returns the modified number of the rows.
+   */
+  'modifyRowCount',
+
   /**
    * Fired when a row header index is about to be modified by a callback function.
    *
@@ -1240,6 +1249,78 @@ const REGISTERED_HOOKS = [
    */
   'afterRowMove',
 
+  /**
+   * Fired by {@link ManualColumnFreeze} plugin before freezing the column. This hook is fired when
+   * {@link Options#manualColumnFreeze} option is enabled.
+   *
+   * @event Hooks#beforeColumnFreeze
+   * @param {Number} column Visual column index of the column to be frozen.
+   */
+  'beforeColumnFreeze',
+
+  /**
+   * Fired by {@link ManualColumnFreeze} plugin after freezing the column. This hook is fired when
+   * {@link Options#manualColumnFreeze} option is enabled.
+   *
+   * @event Hooks#afterColumnFreeze
+   * @param {Number} column Visual column index of the column before it was frozen.
+   */
+  'afterColumnFreeze',
+
+  /**
+   * Fired by {@link ManualColumnFreeze} plugin before unfreezing the column. This hook is fired when
+   * {@link Options#manualColumnFreeze} option is enabled.
+   *
+   * @event Hooks#beforeColumnUnfreeze
+   * @param {Number} column Visual column index of the column to be unfrozen.
+   */
+  'beforeColumnUnfreeze',
+
+  /**
+   * Fired by {@link ManualColumnFreeze} plugin after unfreezing the column. This hook is fired when
+   * {@link Options#manualColumnFreeze} option is enabled.
+   *
+   * @event Hooks#afterColumnUnfreeze
+   * @param {Number} column Visual column index of the column before it was unfrozen.
+   */
+  'afterColumnUnfreeze',
+
+  /**
+   * Fired by {@link ManualRowFreeze} plugin before freezing the row. This hook is fired when
+   * {@link Options#manualRowFreeze} option is enabled.
+   *
+   * @event Hooks#beforeRowFreeze
+   * @param {Number} row Visual row index of the row to be frozen.
+   */
+  'beforeRowFreeze',
+
+  /**
+   * Fired by {@link ManualRowFreeze} plugin after freezing the row. This hook is fired when
+   * {@link Options#manualRowFreeze} option is enabled.
+   *
+   * @event Hooks#afterRowFreeze
+   * @param {Number} row Visual row index of the row before it was frozen.
+   */
+  'afterRowFreeze',
+
+  /**
+   * Fired by {@link ManualRowFreeze} plugin before unfreezing the row. This hook is fired when
+   * {@link Options#manualRowFreeze} option is enabled.
+   *
+   * @event Hooks#beforeRowUnfreeze
+   * @param {Number} row Visual row index of the row to be unfrozen.
+   */
+  'beforeRowUnfreeze',
+
+  /**
+   * Fired by {@link ManualRowFreeze} plugin after unfreezing the row. This hook is fired when
+   * {@link Options#manualRowFreeze} option is enabled.
+   *
+   * @event Hooks#afterRowUnfreeze
+   * @param {Number} row Visual row index of the row before it was unfrozen.
+   */
+  'afterRowUnfreeze',
+
   /**
    * Fired by {@link ManualColumnResize} plugin before rendering the table with modified column sizes. This hook is
    * fired when {@link Options#manualColumnResize} option is enabled.
@@ -1316,7 +1397,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link Filters} plugin before applying [filtering]{@link http://docs.handsontable.com/pro/demo-filtering.html}. This hook is fired when
    * {@link Options#filters} option is enabled.
    *
-   * @pro
    * @event Hooks#beforeFilter
    * @param {Object[]} conditionsStack An array of objects with added formulas.
    * ```js
@@ -1346,7 +1426,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link Filters} plugin after applying [filtering]{@link http://docs.handsontable.com/pro/demo-filtering.html}. This hook is fired when
    * {@link Options#filters} option is enabled.
    *
-   * @pro
    * @event Hooks#afterFilter
    * @param {Object[]} conditionsStack An array of objects with added conditions.
    * ```js
@@ -1507,7 +1586,6 @@ const REGISTERED_HOOKS = [
   /**
    * Fired by {@link TrimRows} plugin after trimming rows. This hook is fired when {@link Options#trimRows} option is enabled.
    *
-   * @pro
    * @event Hooks#afterTrimRow
    * @param {Number[]} rows Physical indexes of trimmed rows.
    */
@@ -1516,7 +1594,6 @@ const REGISTERED_HOOKS = [
   /**
    * Fired by {@link TrimRows} plugin after untrimming rows. This hook is fired when {@link Options#trimRows} option is enabled.
    *
-   * @pro
    * @event Hooks#afterUntrimRow
    * @param {Number[]} rows Physical indexes of untrimmed rows.
    */
@@ -1526,7 +1603,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link DropdownMenu} plugin before opening the dropdown menu. This hook is fired when {@link Options#dropdownMenu}
    * option is enabled.
    *
-   * @pro
    * @event Hooks#beforeDropdownMenuShow
    * @param {DropdownMenu} dropdownMenu The DropdownMenu instance.
    */
@@ -1536,7 +1612,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link DropdownMenu} plugin after opening the Dropdown Menu. This hook is fired when {@link Options#dropdownMenu}
    * option is enabled.
    *
-   * @pro
    * @event Hooks#afterDropdownMenuShow
    * @param {DropdownMenu} dropdownMenu The DropdownMenu instance.
    */
@@ -1546,7 +1621,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link DropdownMenu} plugin after hiding the Dropdown Menu. This hook is fired when {@link Options#dropdownMenu}
    * option is enabled.
    *
-   * @pro
    * @event Hooks#afterDropdownMenuHide
    * @param {DropdownMenu} instance The DropdownMenu instance.
    */
@@ -1556,7 +1630,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link HiddenRows} plugin to check whether the provided row index is hidden. This hook is fired when
    * {@link Options#hiddenRows} option is enabled.
    *
-   * @pro
    * @event Hooks#hiddenRow
    * @param {Number} row The visual row index in question.
    */
@@ -1566,21 +1639,67 @@ const REGISTERED_HOOKS = [
    * Fired by {@link HiddenColumns} plugin to check whether the provided column index is hidden. This hook is fired when
    * {@link Options#hiddenColumns} option is enabled.
    *
-   * @pro
    * @event Hooks#hiddenColumn
    * @param {Number} column The visual column index in question.
    */
   'hiddenColumn',
 
+  /**
+   * Fired by {@link CollapsibleColumns} plugin before collapsing the columns. This hook is fired when
+   * {@link Options#collapsibleColumns} option is enabled. Returning `false` from the callback cancels the action.
+   *
+   * @event Hooks#beforeColumnCollapse
+   * @param {Number[]} currentCollapsedColumns Visual indexes of the columns collapsed before the action.
+   * @param {Number[]} destinationCollapsedColumns Visual indexes of the columns which will be collapsed after the action.
+   * @param {Boolean} collapsePossible `true` if the action changes the set of the collapsed columns, `false` otherwise.
+   * @returns {undefined|Boolean} If `false` the action is cancelled.
+   */
+  'beforeColumnCollapse',
+
+  /**
+   * Fired by {@link CollapsibleColumns} plugin after collapsing the columns. This hook is fired when
+   * {@link Options#collapsibleColumns} option is enabled.
+   *
+   * @event Hooks#afterColumnCollapse
+   * @param {Number[]} currentCollapsedColumns Visual indexes of the columns collapsed before the action.
+   * @param {Number[]} destinationCollapsedColumns Visual indexes of the columns collapsed after the action.
+   * @param {Boolean} collapsePossible `true` if the action could change the set of the collapsed columns.
+   * @param {Boolean} successfullyCollapsed `true` if the set of the collapsed columns was changed.
+   */
+  'afterColumnCollapse',
+
+  /**
+   * Fired by {@link CollapsibleColumns} plugin before expanding the columns. This hook is fired when
+   * {@link Options#collapsibleColumns} option is enabled. Returning `false` from the callback cancels the action.
+   *
+   * @event Hooks#beforeColumnExpand
+   * @param {Number[]} currentCollapsedColumns Visual indexes of the columns collapsed before the action.
+   * @param {Number[]} destinationCollapsedColumns Visual indexes of the columns which will be collapsed after the action.
+   * @param {Boolean} expandPossible `true` if the action changes the set of the collapsed columns, `false` otherwise.
+   * @returns {undefined|Boolean} If `false` the action is cancelled.
+   */
+  'beforeColumnExpand',
+
+  /**
+   * Fired by {@link CollapsibleColumns} plugin after expanding the columns. This hook is fired when
+   * {@link Options#collapsibleColumns} option is enabled.
+   *
+   * @event Hooks#afterColumnExpand
+   * @param {Number[]} currentCollapsedColumns Visual indexes of the columns collapsed before the action.
+   * @param {Number[]} destinationCollapsedColumns Visual indexes of the columns collapsed after the action.
+   * @param {Boolean} expandPossible `true` if the action could change the set of the collapsed columns.
+   * @param {Boolean} successfullyExpanded `true` if the set of the collapsed columns was changed.
+   */
+  'afterColumnExpand',
+
   /**
    * Fired by {@link NestedRows} plugin before adding a children to the NestedRows structure. This hook is fired when
    * {@link Options#nestedRows} option is enabled.
    *
-   * @pro
    * @event Hooks#beforeAddChild
-   * @param {Object} parent The parent object.
-   * @param {Object|undefined} element The element added as a child. If `undefined`, a blank child was added.
-   * @param {Number|undefined} index The index within the parent where the new child was added. If `undefined`, the element was added as the last child.
+   * @param {Object|null} parent The parent object (`null` if the element is added to the top-level rows).
+   * @param {Object|undefined} element The element to be added as a child. If `undefined`, a blank child will be added.
+   * @param {Number} index The index within the parent where the new child will be added.
    */
   'beforeAddChild',
 
@@ -1588,11 +1707,10 @@ const REGISTERED_HOOKS = [
    * Fired by {@link NestedRows} plugin after adding a children to the NestedRows structure. This hook is fired when
    * {@link Options#nestedRows} option is enabled.
    *
-   * @pro
    * @event Hooks#afterAddChild
-   * @param {Object} parent The parent object.
-   * @param {Object|undefined} element The element added as a child. If `undefined`, a blank child was added.
-   * @param {Number|undefined} index The index within the parent where the new child was added. If `undefined`, the element was added as the last child.
+   * @param {Object|null} parent The parent object (`null` if the element was added to the top-level rows).
+   * @param {Object} element The element added as a child (the created blank element, if none was provided).
+   * @param {Number} index The index within the parent where the new child was added.
    */
   'afterAddChild',
 
@@ -1600,7 +1718,6 @@ const REGISTERED_HOOKS = [
    * Fired by {@link NestedRows} plugin before detaching a child from its parent. This hook is fired when
    * {@link Options#nestedRows} option is enabled.
    *
-   * @pro
    * @event Hooks#beforeDetachChild
    * @param {Object} parent An object representing the parent from which the element is to be detached.
    * @param {Object} element The detached element.
@@ -1611,13 +1728,84 @@ const REGISTERED_HOOKS = [
    * Fired by {@link NestedRows} plugin after detaching a child from its parent. This hook is fired when
    * {@link Options#nestedRows} option is enabled.
    *
-   * @pro
    * @event Hooks#afterDetachChild
    * @param {Object} parent An object representing the parent from which the element was detached.
    * @param {Object} element The detached element.
+   * @param {Number} finalElementPosition Physical index of the detached element after the operation.
    */
   'afterDetachChild',
 
+  /**
+   * Fired by {@link NestedRows} plugin before moving a row (with its children) within the NestedRows structure. This
+   * hook is fired when {@link Options#nestedRows} option is enabled.
+   *
+   * @event Hooks#beforeNestedRowMove
+   * @param {Object} element The moved element.
+   * @param {Object|null} parent The new parent of the element (`null` for the top-level rows).
+   * @param {Number} index The index within the new parent, where the element will be placed.
+   * @param {Object|null} previousParent The parent of the element before the move.
+   * @param {Number} previousIndex The index within the previous parent, where the element was placed before the move.
+   * @returns {*|Boolean} If `false` is returned the action is canceled.
+   */
+  'beforeNestedRowMove',
+
+  /**
+   * Fired by {@link NestedRows} plugin after moving a row (with its children) within the NestedRows structure. This
+   * hook is fired when {@link Options#nestedRows} option is enabled.
+   *
+   * @event Hooks#afterNestedRowMove
+   * @param {Object} element The moved element.
+   * @param {Object|null} parent The new parent of the element (`null` for the top-level rows).
+   * @param {Number} index The index within the new parent, where the element was placed.
+   * @param {Object|null} previousParent The parent of the element before the move.
+   * @param {Number} previousIndex The index within the previous parent, where the element was placed before the move.
+   */
+  'afterNestedRowMove',
+
+  /**
+   * Fired by {@link RowGrouping} plugin before grouping the rows. This hook is fired when {@link Options#rowGrouping}
+   * option is enabled.
+   *
+   * @event Hooks#beforeRowGrouping
+   * @param {Number[]} currentColumns Visual indexes of the current grouping columns.
+   * @param {Number[]} destinationColumns Visual indexes of the grouping columns which will be applied (an empty array
+   * when the grouping is removed).
+   * @returns {*|Boolean} If `false` is returned the action is canceled.
+   */
+  'beforeRowGrouping',
+
+  /**
+   * Fired by {@link RowGrouping} plugin after grouping the rows. This hook is fired when {@link Options#rowGrouping}
+   * option is enabled.
+   *
+   * @event Hooks#afterRowGrouping
+   * @param {Number[]} previousColumns Visual indexes of the previous grouping columns.
+   * @param {Number[]} currentColumns Visual indexes of the current grouping columns (an empty array when the grouping
+   * was removed).
+   */
+  'afterRowGrouping',
+
+  /**
+   * Fired by {@link ConditionalFormatting} plugin before changing the formatting rules through the API. This hook is
+   * fired when {@link Options#conditionalFormatting} option is enabled.
+   *
+   * @event Hooks#beforeConditionalFormattingRulesChange
+   * @param {Object[]} currentRules Copies of the current rules.
+   * @param {Object[]} destinationRules Copies of the rules which will be applied.
+   * @returns {*|Boolean} If `false` is returned the action is canceled.
+   */
+  'beforeConditionalFormattingRulesChange',
+
+  /**
+   * Fired by {@link ConditionalFormatting} plugin after changing the formatting rules through the API. This hook is
+   * fired when {@link Options#conditionalFormatting} option is enabled.
+   *
+   * @event Hooks#afterConditionalFormattingRulesChange
+   * @param {Object[]} previousRules Copies of the previous rules.
+   * @param {Object[]} currentRules Copies of the current rules.
+   */
+  'afterConditionalFormattingRulesChange',
+
   /**
    * Fired after the editor is opened and rendered.
    *
@@ -259,6 +259,9 @@ class AutoColumnSize extends BasePlugin {
         if (this.hot.view.wt.wtOverlays.leftOverlay.needFullRender) {
           this.hot.view.wt.wtOverlays.leftOverlay.clone.draw();
         }
+        if (this.hot.view.wt.wtOverlays.rightOverlay.needFullRender) {
+          this.hot.view.wt.wtOverlays.rightOverlay.clone.draw();
+        }
       }
     };
 
@@ -177,7 +177,7 @@ class AutoRowSize extends BasePlugin {
     rangeEach(rowsRange.from, rowsRange.to, (row) => {
       // For rows we must calculate row height even when user had set height value manually.
       // We can shrink column but cannot shrink rows!
-      if (force || this.heights[row] === void 0) {
+      if ((force || this.heights[row] === void 0) && !this.isRowHidden(row)) {
         const samples = this.samplesGenerator.generateRowSamples(row, columnsRange);
 
         arrayEach(samples, ([rowIndex, sample]) => this.ghostTable.addRow(rowIndex, sample));
@@ -227,6 +227,9 @@ class AutoRowSize extends BasePlugin {
         if (this.hot.view.wt.wtOverlays.leftOverlay.needFullRender) {
           this.hot.view.wt.wtOverlays.leftOverlay.clone.draw();
         }
+        if (this.hot.view.wt.wtOverlays.rightOverlay.needFullRender) {
+          this.hot.view.wt.wtOverlays.rightOverlay.clone.draw();
+        }
       }
     };
 
@@ -311,13 +314,25 @@ class AutoRowSize extends BasePlugin {
   getRowHeight(row, defaultHeight = void 0) {
     let height = defaultHeight;
 
-    if (this.heights[row] !== void 0 && this.heights[row] > (defaultHeight || 0)) {
+    if (this.heights[row] !== void 0 && this.heights[row] > (defaultHeight || 0) && !this.isRowHidden(row)) {
       height = this.heights[row];
     }
 
     return height;
   }
 
+  /**
+   * Checks if the row is hidden (e.g. by the {@link HiddenRows} plugin). The hidden rows are not measured and their
+   * height is left untouched.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @returns {Boolean}
+   */
+  isRowHidden(row) {
+    return this.hot.runHooks('hiddenRow', row) === true;
+  }
+
   /**
    * Get the calculated column header height.
    *
@@ -0,0 +1,171 @@
+import BasePlugin from './../_base';
+import { registerPlugin } from './../../plugins';
+import BindStrategy from './bindStrategy';
+
+/**
+ * @plugin BindRowsWithHeaders
+ *
+ * @description
+ * Plugin allows binding the table rows with their headers.
+ *
+ * If the plugin is enabled, the table row headers will "stick" to the rows, when they are hidden/moved. Basically, if
+ * at the initialization row 0 has a header titled "A", it will have it no matter what you do with the table.
+ *
+ * The plugin supports two bind strategies, which differ in the way the headers of the created rows are treated:
+ *  * `loose` (default) - the created rows get the headers of the place they are inserted at and the headers of the
+ *    rows placed after them are shifted (the headers follow the insertion order).
+ *  * `strict` - the created rows get new headers (the continuation of the highest header) and the headers of the
+ *    existing rows are never changed.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   // enable plugin
+ *   bindRowsWithHeaders: true
+ * });
+ * ```
+ */
+class BindRowsWithHeaders extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Strategy object for binding rows with headers.
+     *
+     * @private
+     * @type {BindStrategy}
+     */
+    this.bindStrategy = new BindStrategy();
+    /**
+     * Name of the currently used bind strategy.
+     *
+     * @private
+     * @type {String|null}
+     */
+    this.strategyName = null;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link BindRowsWithHeaders#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().bindRowsWithHeaders;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.strategyName = this.getStrategyName();
+    this.bindStrategy.setStrategy(this.strategyName);
+    this.bindStrategy.createMap(this.hot.countSourceRows());
+
+    this.addHook('modifyRowHeader', row => this.onModifyRowHeader(row));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('afterRemoveRow', (index, amount, physicalRows) => this.onAfterRemoveRow(index, amount, physicalRows));
+    this.addHook('afterLoadData', initialLoad => this.onAfterLoadData(initialLoad));
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    if (this.getStrategyName() !== this.strategyName) {
+      this.disablePlugin();
+      this.enablePlugin();
+    }
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.bindStrategy.clearMap();
+    this.strategyName = null;
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Gets the name of the bind strategy defined in the plugin settings.
+   *
+   * @private
+   * @returns {String}
+   */
+  getStrategyName() {
+    const bindStrategy = this.hot.getSettings().bindRowsWithHeaders;
+
+    return typeof bindStrategy === 'string' ? bindStrategy : BindStrategy.DEFAULT_STRATEGY;
+  }
+
+  /**
+   * On modify row header listener.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @returns {Number} Row header index.
+   */
+  onModifyRowHeader(row) {
+    return this.bindStrategy.translate(this.hot.toPhysicalRow(row));
+  }
+
+  /**
+   * On after create row listener.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    this.bindStrategy.createRow(index, amount);
+  }
+
+  /**
+   * On after remove row listener.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   */
+  onAfterRemoveRow(index, amount, physicalRows) {
+    this.bindStrategy.removeRow([].concat(physicalRows));
+  }
+
+  /**
+   * On after load data listener.
+   *
+   * @private
+   * @param {Boolean} initialLoad Flag that determines whether the data has been loaded during the initialization.
+   */
+  onAfterLoadData(initialLoad) {
+    if (!initialLoad) {
+      this.bindStrategy.createMap(this.hot.countSourceRows());
+    }
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.bindStrategy.destroy();
+
+    super.destroy();
+  }
+}
+
+registerPlugin('bindRowsWithHeaders', BindRowsWithHeaders);
+
+export default BindRowsWithHeaders;
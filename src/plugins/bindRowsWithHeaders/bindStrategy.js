@@ -0,0 +1,130 @@
+import staticRegister from './../../utils/staticRegister';
+import { rangeEach } from './../../helpers/number';
+import { LooseBindsMap, StrictBindsMap } from './maps/index';
+
+const {
+  register: registerStrategy,
+  getItem: getStrategy,
+  hasItem: hasStrategy,
+} = staticRegister('bindRowsWithHeaders.strategies');
+
+registerStrategy('loose', LooseBindsMap);
+registerStrategy('strict', StrictBindsMap);
+
+/**
+ * The class keeps the map of the physical row indexes and the row header indexes bound to them. The way the map is
+ * updated after creating and removing the rows depends on the chosen strategy (`loose` or `strict`).
+ *
+ * @class BindStrategy
+ * @plugin BindRowsWithHeaders
+ */
+class BindStrategy {
+  /**
+   * Loose bind mode.
+   *
+   * @returns {String}
+   */
+  static get DEFAULT_STRATEGY() {
+    return 'loose';
+  }
+
+  constructor() {
+    /**
+     * Strategy class.
+     *
+     * @type {Function}
+     */
+    this.klass = null;
+    /**
+     * Strategy instance.
+     *
+     * @type {LooseBindsMap|StrictBindsMap}
+     */
+    this.strategy = null;
+  }
+
+  /**
+   * Set strategy behaviors for binding rows with headers.
+   *
+   * @param {String} name Strategy name (`loose` or `strict`).
+   */
+  setStrategy(name) {
+    if (!hasStrategy(name)) {
+      throw new Error(`Bind strategy "${name}" does not exist.`);
+    }
+
+    const Strategy = getStrategy(name);
+
+    this.klass = Strategy;
+    this.strategy = new Strategy();
+  }
+
+  /**
+   * Reset current map array and create a new one.
+   *
+   * @param {Number} [length] Custom generated map length.
+   */
+  createMap(length) {
+    const strategy = this.strategy;
+    const originLength = length === void 0 ? strategy._arrayMap.length : length;
+
+    strategy._arrayMap.length = 0;
+
+    rangeEach(originLength - 1, (itemIndex) => {
+      strategy._arrayMap.push(itemIndex);
+    });
+  }
+
+  /**
+   * Add rows to the map.
+   *
+   * @param {Number} row Physical index of the first created row.
+   * @param {Number} [amount=1] Amount of created rows.
+   */
+  createRow(row, amount) {
+    this.strategy.createRow(row, amount);
+  }
+
+  /**
+   * Remove rows from the map.
+   *
+   * @param {Number|Number[]} rows Physical row index or list of physical row indexes.
+   * @param {Number} [amount=1] Amount of removed rows (when the index is passed as number).
+   */
+  removeRow(rows, amount) {
+    this.strategy.removeRow(rows, amount);
+  }
+
+  /**
+   * Translates the physical row index into the row header index.
+   *
+   * @param {Number} row Physical row index.
+   * @returns {Number} Returns the row header index or the provided index when it is not mapped.
+   */
+  translate(row) {
+    const headerIndex = this.strategy.getValueByIndex(row);
+
+    return headerIndex === null ? row : headerIndex;
+  }
+
+  /**
+   * Clears the map.
+   */
+  clearMap() {
+    this.strategy.clearMap();
+  }
+
+  /**
+   * Destroy class.
+   */
+  destroy() {
+    if (this.strategy) {
+      this.strategy.destroy();
+    }
+
+    this.klass = null;
+    this.strategy = null;
+  }
+}
+
+export default BindStrategy;
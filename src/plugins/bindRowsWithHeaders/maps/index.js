@@ -0,0 +1,7 @@
+import LooseBindsMap from './looseBindsMap';
+import StrictBindsMap from './strictBindsMap';
+
+export {
+  LooseBindsMap,
+  StrictBindsMap,
+};
@@ -0,0 +1,42 @@
+import arrayMapper from './../../../mixins/arrayMapper';
+import { mixin } from './../../../helpers/object';
+
+/**
+ * The loose bind strategy. The created rows get the header indexes of the place they are inserted at, the header
+ * indexes of the rows placed after them are shifted.
+ *
+ * @class LooseBindsMap
+ * @plugin BindRowsWithHeaders
+ */
+class LooseBindsMap {
+  /**
+   * Add a row to the map.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} [amount=1] Defines how many rows will be created.
+   */
+  createRow(row, amount = 1) {
+    this.shiftItems(row, amount);
+  }
+
+  /**
+   * Remove rows from the map.
+   *
+   * @param {Number|Number[]} rows Physical row index or list of physical row indexes.
+   * @param {Number} [amount=1] Defines how many rows will be removed (when the index is passed as number).
+   */
+  removeRow(rows, amount = 1) {
+    this.unshiftItems(rows, amount);
+  }
+
+  /**
+   * Destroy class.
+   */
+  destroy() {
+    this._arrayMap = null;
+  }
+}
+
+mixin(LooseBindsMap, arrayMapper);
+
+export default LooseBindsMap;
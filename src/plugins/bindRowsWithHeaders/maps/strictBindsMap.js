@@ -0,0 +1,42 @@
+import arrayMapper from './../../../mixins/arrayMapper';
+import { mixin } from './../../../helpers/object';
+
+/**
+ * The strict bind strategy. The created rows get the new header indexes (the continuation of the highest header
+ * index), the header indexes of the other rows are not changed.
+ *
+ * @class StrictBindsMap
+ * @plugin BindRowsWithHeaders
+ */
+class StrictBindsMap {
+  /**
+   * Add a row to the map.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} [amount=1] Defines how many rows will be created.
+   */
+  createRow(row, amount = 1) {
+    this.insertItems(row, amount);
+  }
+
+  /**
+   * Remove rows from the map.
+   *
+   * @param {Number|Number[]} rows Physical row index or list of physical row indexes.
+   * @param {Number} [amount=1] Defines how many rows will be removed (when the index is passed as number).
+   */
+  removeRow(rows, amount = 1) {
+    this.removeItems(rows, amount);
+  }
+
+  /**
+   * Destroy class.
+   */
+  destroy() {
+    this._arrayMap = null;
+  }
+}
+
+mixin(StrictBindsMap, arrayMapper);
+
+export default StrictBindsMap;
@@ -0,0 +1,118 @@
+describe('BindRowsWithHeaders', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should keep the row headers bound to the rows after moving them', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 2),
+      rowHeaders: true,
+      manualRowMove: true,
+      bindRowsWithHeaders: true,
+    });
+
+    hot.getPlugin('manualRowMove').moveRow(0, 3);
+    hot.render();
+
+    expect(getRowHeader()).toEqual([2, 3, 1, 4, 5]);
+    expect(getCell(2, -1).innerText).toBe('1');
+  });
+
+  it('should keep the row headers bound to the rows after sorting', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(3, 2),
+      rowHeaders: ['A', 'B', 'C'],
+      columnSorting: true,
+      bindRowsWithHeaders: true,
+    });
+
+    hot.getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+    expect(getRowHeader()).toEqual(['C', 'B', 'A']);
+  });
+
+  it('should keep the row headers bound to the rows after trimming the rows', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 2),
+      rowHeaders: true,
+      trimRows: [1],
+      bindRowsWithHeaders: true,
+    });
+
+    expect(getRowHeader()).toEqual([1, 3, 4, 5]);
+  });
+
+  it('should show the visual indexes in the row headers after disabling the plugin', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 2),
+      rowHeaders: true,
+      manualRowMove: true,
+      bindRowsWithHeaders: true,
+    });
+
+    hot.getPlugin('manualRowMove').moveRow(0, 3);
+    updateSettings({ bindRowsWithHeaders: false });
+
+    expect(getRowHeader()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  describe('loose strategy', () => {
+    it('should shift the headers of the rows placed after the inserted rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        rowHeaders: true,
+        manualRowMove: true,
+        bindRowsWithHeaders: 'loose',
+      });
+
+      hot.getPlugin('manualRowMove').moveRow(0, 3);
+      alter('insert_row', 0);
+
+      expect(getRowHeader()).toEqual([1, 3, 4, 2, 5, 6]);
+
+      alter('remove_row', 0);
+
+      expect(getRowHeader()).toEqual([2, 3, 1, 4, 5]);
+    });
+  });
+
+  describe('strict strategy', () => {
+    it('should give the inserted rows new headers and keep the headers of the existing rows', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        rowHeaders: true,
+        bindRowsWithHeaders: 'strict',
+      });
+
+      alter('insert_row', 1, 2);
+
+      expect(getRowHeader()).toEqual([1, 6, 7, 2, 3, 4, 5]);
+
+      alter('remove_row', 0);
+
+      expect(getRowHeader()).toEqual([6, 7, 2, 3, 4, 5]);
+    });
+
+    it('should rebuild the headers after loading new data', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        rowHeaders: true,
+        bindRowsWithHeaders: 'strict',
+      });
+
+      alter('remove_row', 0);
+      loadData(Handsontable.helper.createSpreadsheetData(3, 2));
+
+      expect(getRowHeader()).toEqual([1, 2, 3]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import BindStrategy from 'handsontable/plugins/bindRowsWithHeaders/bindStrategy';
+
+describe('BindRowsWithHeaders', () => {
+  describe('bindStrategy', () => {
+    it('should throw an error when the strategy does not exist', () => {
+      const bindStrategy = new BindStrategy();
+
+      expect(() => bindStrategy.setStrategy('foo')).toThrowError('Bind strategy "foo" does not exist.');
+    });
+
+    it('should create the map of the provided length', () => {
+      const bindStrategy = new BindStrategy();
+
+      bindStrategy.setStrategy('loose');
+      bindStrategy.createMap(4);
+
+      expect(bindStrategy.strategy._arrayMap).toEqual([0, 1, 2, 3]);
+      expect(bindStrategy.translate(2)).toBe(2);
+      expect(bindStrategy.translate(10)).toBe(10);
+    });
+
+    it('should shift the headers after creating and removing the rows using the `loose` strategy', () => {
+      const bindStrategy = new BindStrategy();
+
+      bindStrategy.setStrategy('loose');
+      bindStrategy.createMap(4);
+      bindStrategy.createRow(1, 2);
+
+      expect(bindStrategy.strategy._arrayMap).toEqual([0, 1, 2, 3, 4, 5]);
+
+      bindStrategy.removeRow([0, 2]);
+
+      expect(bindStrategy.strategy._arrayMap).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should keep the headers after creating and removing the rows using the `strict` strategy', () => {
+      const bindStrategy = new BindStrategy();
+
+      bindStrategy.setStrategy('strict');
+      bindStrategy.createMap(4);
+      bindStrategy.createRow(1, 2);
+
+      expect(bindStrategy.strategy._arrayMap).toEqual([0, 4, 5, 1, 2, 3]);
+
+      bindStrategy.removeRow([0, 2]);
+
+      expect(bindStrategy.strategy._arrayMap).toEqual([4, 1, 2, 3]);
+      expect(bindStrategy.translate(0)).toBe(4);
+    });
+
+    it('should destroy the strategy after calling destroy method', () => {
+      const bindStrategy = new BindStrategy();
+
+      bindStrategy.setStrategy('strict');
+      bindStrategy.destroy();
+
+      expect(bindStrategy.strategy).toBe(null);
+      expect(bindStrategy.klass).toBe(null);
+    });
+  });
+});
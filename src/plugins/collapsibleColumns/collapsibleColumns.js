@@ -0,0 +1,509 @@
+import BasePlugin from './../_base';
+import { addClass, hasClass } from './../../helpers/dom/element';
+import { stopImmediatePropagation } from './../../helpers/dom/event';
+import { arrayEach, arrayFilter } from './../../helpers/array';
+import { objectEach } from './../../helpers/object';
+import { rangeEach } from './../../helpers/number';
+import { warn } from './../../helpers/console';
+import { registerPlugin } from './../../plugins';
+
+const INDICATOR_CLASS_NAME = 'collapsibleIndicator';
+
+/**
+ * @plugin CollapsibleColumns
+ * @dependencies NestedHeaders HiddenColumns
+ *
+ * @description
+ * The {@link CollapsibleColumns} plugin allows collapsing of columns, covered by a header with the `colspan` property
+ * defined.
+ *
+ * Clicking the "collapse/expand" button collapses (or expands) all "child" headers except the first one.
+ *
+ * Setting the {@link Options#collapsibleColumns} property to `true` will display a "collapse/expand" button in every
+ * header with a defined `colspan` property.
+ *
+ * To limit this functionality to a smaller group of headers, define the `collapsibleColumns` property as an array
+ * of objects, as in the example below.
+ *
+ * The plugin requires the {@link NestedHeaders} and the {@link HiddenColumns} plugins to be enabled.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: generateDataObj(),
+ *   colHeaders: true,
+ *   rowHeaders: true,
+ *   hiddenColumns: true,
+ *   nestedHeaders: [
+ *     ['A', {label: 'B', colspan: 8}, 'C'],
+ *     ['D', {label: 'E', colspan: 4}, {label: 'F', colspan: 4}, 'G'],
+ *     ['H', 'I', 'J', 'K', 'L', 'M', 'N', 'R', 'S', 'T']
+ *   ],
+ *   collapsibleColumns: [
+ *     {row: -3, col: 1, collapsible: true},
+ *     {row: -2, col: 5, collapsible: true}
+ *   ]
+ * });
+ *
+ * // access to collapsibleColumns plugin instance:
+ * const collapsibleColumnsPlugin = hot.getPlugin('collapsibleColumns');
+ *
+ * // collapse the section placed under the header at the provided coordinates
+ * collapsibleColumnsPlugin.collapseSection({row: -3, col: 1});
+ *
+ * // expand all collapsed sections
+ * collapsibleColumnsPlugin.expandAll();
+ * ```
+ */
+class CollapsibleColumns extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Cached plugin settings.
+     *
+     * @private
+     * @type {Boolean|Object[]}
+     */
+    this.settings = null;
+    /**
+     * Object listing headers with buttons enabled, grouped by the header row coordinates (`{row: {column: true}}`).
+     * The object is used only when the plugin is configured with an array of objects.
+     *
+     * @private
+     * @type {Object}
+     */
+    this.buttonEnabledList = {};
+    /**
+     * Object listing the collapsed sections, grouped by the header row coordinates (`{row: {column: true}}`).
+     *
+     * @private
+     * @type {Object}
+     */
+    this.collapsedSections = {};
+    /**
+     * List of the columns (visual indexes) hidden by the collapsed sections.
+     *
+     * @private
+     * @type {Number[]}
+     */
+    this.collapsedColumns = [];
+    /**
+     * Cached reference to the NestedHeaders plugin.
+     *
+     * @private
+     * @type {NestedHeaders}
+     */
+    this.nestedHeadersPlugin = null;
+    /**
+     * Cached reference to the HiddenColumns plugin.
+     *
+     * @private
+     * @type {HiddenColumns}
+     */
+    this.hiddenColumnsPlugin = null;
+
+    // One listener for enable/disable functionality
+    this.hot.addHook('afterGetColHeader', (col, TH) => this.onAfterGetColHeader(col, TH));
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link CollapsibleColumns#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().collapsibleColumns;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.settings = this.hot.getSettings().collapsibleColumns;
+    this.nestedHeadersPlugin = this.hot.getPlugin('nestedHeaders');
+    this.hiddenColumnsPlugin = this.hot.getPlugin('hiddenColumns');
+
+    this.parseSettings();
+    this.checkDependencies();
+
+    this.addHook('beforeOnCellMouseDown', (event, coords, TD) => this.onBeforeOnCellMouseDown(event, coords, TD));
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    if (this.meetsDependencies()) {
+      this.hiddenColumnsPlugin.showColumns(this.collapsedColumns);
+    }
+
+    this.settings = null;
+    this.buttonEnabledList = {};
+    this.collapsedSections = {};
+    this.collapsedColumns = [];
+    this.nestedHeadersPlugin = null;
+    this.hiddenColumnsPlugin = null;
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Parses the plugin settings and creates a button configuration array.
+   *
+   * @private
+   */
+  parseSettings() {
+    this.buttonEnabledList = {};
+
+    if (!Array.isArray(this.settings)) {
+      return;
+    }
+
+    arrayEach(this.settings, ({ row, col, collapsible }) => {
+      if (collapsible === false) {
+        return;
+      }
+      if (!this.buttonEnabledList[row]) {
+        this.buttonEnabledList[row] = {};
+      }
+
+      this.buttonEnabledList[row][col] = true;
+    });
+  }
+
+  /**
+   * Checks if the plugin dependencies are met and warns about the missing ones.
+   *
+   * @private
+   */
+  checkDependencies() {
+    const settings = this.hot.getSettings();
+
+    if (!settings.nestedHeaders) {
+      warn('You need to configure the Nested Headers plugin in order to use collapsible headers.');
+    }
+
+    if (!settings.hiddenColumns) {
+      warn('You need to configure the Hidden Columns plugin in order to use collapsible headers.');
+    }
+  }
+
+  /**
+   * Checks if all the required dependencies are enabled.
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  meetsDependencies() {
+    return !!this.nestedHeadersPlugin && this.nestedHeadersPlugin.enabled &&
+      !!this.hiddenColumnsPlugin && this.hiddenColumnsPlugin.enabled;
+  }
+
+  /**
+   * Checks if the header placed at the provided coordinates can be collapsed.
+   *
+   * @param {Number} row Row coordinates (`-1` for the bottom-most header row).
+   * @param {Number} column Visual column index where the header starts.
+   * @returns {Boolean}
+   */
+  isCollapsible(row, column) {
+    if (!this.meetsDependencies() || this.nestedHeadersPlugin.getColspan(row, column) <= 1) {
+      return false;
+    }
+
+    if (Array.isArray(this.settings)) {
+      return !!this.buttonEnabledList[row] && this.buttonEnabledList[row][column] === true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks if the section placed under the header at the provided coordinates is collapsed.
+   *
+   * @param {Object} coords Header coordinates (`{row, col}`).
+   * @returns {Boolean}
+   */
+  isCollapsed({ row, col }) {
+    return !!this.collapsedSections[row] && this.collapsedSections[row][col] === true;
+  }
+
+  /**
+   * Collapses the section placed under the header at the provided coordinates.
+   *
+   * @param {Object} coords Header coordinates (`{row, col}`, where `row` is the negative header row index).
+   */
+  collapseSection(coords) {
+    this.toggleCollapsibleSection([coords], 'collapse');
+  }
+
+  /**
+   * Expands the section placed under the header at the provided coordinates.
+   *
+   * @param {Object} coords Header coordinates (`{row, col}`, where `row` is the negative header row index).
+   */
+  expandSection(coords) {
+    this.toggleCollapsibleSection([coords], 'expand');
+  }
+
+  /**
+   * Collapses all collapsible sections.
+   */
+  collapseAll() {
+    this.toggleAllCollapsibleSections('collapse');
+  }
+
+  /**
+   * Expands all collapsible sections.
+   */
+  expandAll() {
+    this.toggleAllCollapsibleSections('expand');
+  }
+
+  /**
+   * Collapses or expands all collapsible sections.
+   *
+   * @private
+   * @param {String} action Action definition (`'collapse'` or `'expand'`).
+   */
+  toggleAllCollapsibleSections(action) {
+    if (!this.meetsDependencies()) {
+      return;
+    }
+
+    const coordsList = [];
+    const levelCount = this.nestedHeadersPlugin.columnHeaderLevelCount;
+    const columnCount = this.hot.countCols();
+
+    rangeEach(-levelCount, -1, (row) => {
+      rangeEach(0, columnCount - 1, (col) => {
+        if (this.isCollapsible(row, col)) {
+          coordsList.push({ row, col });
+        }
+      });
+    });
+
+    this.toggleCollapsibleSection(coordsList, action);
+  }
+
+  /**
+   * Collapses or expands the sections placed under the headers at the provided coordinates.
+   *
+   * @private
+   * @param {Object[]} coordsList List of the header coordinates (`{row, col}`).
+   * @param {String} action Action definition (`'collapse'` or `'expand'`).
+   * @fires Hooks#beforeColumnCollapse
+   * @fires Hooks#afterColumnCollapse
+   * @fires Hooks#beforeColumnExpand
+   * @fires Hooks#afterColumnExpand
+   */
+  toggleCollapsibleSection(coordsList, action) {
+    if (!this.meetsDependencies()) {
+      return;
+    }
+
+    const isCollapsing = action === 'collapse';
+    const collapsedSections = {};
+
+    objectEach(this.collapsedSections, (columns, row) => {
+      collapsedSections[row] = Object.assign({}, columns);
+    });
+
+    arrayEach(coordsList, ({ row, col }) => {
+      const column = this.nestedHeadersPlugin.getNestedParent(this.nestedHeadersPlugin.rowCoordsToLevel(row), col);
+
+      if (column === -1 || !this.isCollapsible(row, column)) {
+        return;
+      }
+      if (!collapsedSections[row]) {
+        collapsedSections[row] = {};
+      }
+
+      if (isCollapsing) {
+        collapsedSections[row][column] = true;
+      } else {
+        delete collapsedSections[row][column];
+      }
+    });
+
+    const currentCollapsedColumns = this.collapsedColumns.slice();
+    const destinationCollapsedColumns = this.getCollapsedColumns(collapsedSections);
+    const togglePossible = isCollapsing ?
+      arrayFilter(destinationCollapsedColumns, column => currentCollapsedColumns.indexOf(column) === -1).length > 0 :
+      arrayFilter(currentCollapsedColumns, column => destinationCollapsedColumns.indexOf(column) === -1).length > 0;
+
+    const allowToggle = this.hot.runHooks(isCollapsing ? 'beforeColumnCollapse' : 'beforeColumnExpand',
+      currentCollapsedColumns, destinationCollapsedColumns, togglePossible);
+
+    if (allowToggle === false) {
+      return;
+    }
+
+    this.collapsedSections = collapsedSections;
+
+    if (togglePossible) {
+      this.hiddenColumnsPlugin.showColumns(arrayFilter(currentCollapsedColumns,
+        column => destinationCollapsedColumns.indexOf(column) === -1));
+      this.hiddenColumnsPlugin.hideColumns(arrayFilter(destinationCollapsedColumns,
+        column => currentCollapsedColumns.indexOf(column) === -1));
+
+      this.collapsedColumns = destinationCollapsedColumns;
+    }
+
+    this.hot.runHooks(isCollapsing ? 'afterColumnCollapse' : 'afterColumnExpand',
+      currentCollapsedColumns, destinationCollapsedColumns, togglePossible, togglePossible);
+
+    this.hot.render();
+  }
+
+  /**
+   * Gets the columns hidden by the provided collapsed sections. Each collapsed section hides all its columns except
+   * the ones covered by the first child header.
+   *
+   * @private
+   * @param {Object} collapsedSections Collapsed sections grouped by the header row coordinates.
+   * @returns {Number[]} Sorted list of visual column indexes.
+   */
+  getCollapsedColumns(collapsedSections) {
+    const collapsedColumns = [];
+
+    objectEach(collapsedSections, (columns, rowKey) => {
+      const row = parseInt(rowKey, 10);
+
+      objectEach(columns, (isCollapsed, columnKey) => {
+        const column = parseInt(columnKey, 10);
+        const lastColumn = column + this.nestedHeadersPlugin.getColspan(row, column) - 1;
+        const childHeaders = this.nestedHeadersPlugin.getChildHeaders(row, column);
+        let firstHiddenColumn = column + 1;
+
+        if (childHeaders.length) {
+          firstHiddenColumn = childHeaders[0] + this.nestedHeadersPlugin.getColspan(row + 1, childHeaders[0]);
+        }
+
+        rangeEach(firstHiddenColumn, lastColumn, (hiddenColumn) => {
+          if (collapsedColumns.indexOf(hiddenColumn) === -1) {
+            collapsedColumns.push(hiddenColumn);
+          }
+        });
+      });
+    });
+
+    return collapsedColumns.sort((a, b) => a - b);
+  }
+
+  /**
+   * Generates the indicator element.
+   *
+   * @private
+   * @param {Number} row Row coordinates of the header.
+   * @param {Number} column Visual column index of the header.
+   * @returns {HTMLElement}
+   */
+  generateIndicator(row, column) {
+    const divEl = document.createElement('div');
+
+    addClass(divEl, INDICATOR_CLASS_NAME);
+
+    if (this.isCollapsed({ row, col: column })) {
+      addClass(divEl, 'collapsed');
+      divEl.appendChild(document.createTextNode('+'));
+    } else {
+      addClass(divEl, 'expanded');
+      divEl.appendChild(document.createTextNode('-'));
+    }
+
+    return divEl;
+  }
+
+  /**
+   * Adds the indicator to the headers which can be collapsed and removes the outdated ones.
+   *
+   * @private
+   * @param {Number} column Visual column index.
+   * @param {HTMLElement} TH Header's TH element.
+   */
+  onAfterGetColHeader(column, TH) {
+    const headerRow = TH.parentNode;
+    const container = TH.firstChild;
+
+    if (column < 0 || !headerRow || !headerRow.parentNode || !container) {
+      return;
+    }
+
+    const existingIndicator = TH.querySelector(`.${INDICATOR_CLASS_NAME}`);
+
+    if (existingIndicator) {
+      existingIndicator.parentNode.removeChild(existingIndicator);
+    }
+
+    if (!this.enabled) {
+      return;
+    }
+
+    const headerRowList = headerRow.parentNode.childNodes;
+    const row = Array.prototype.indexOf.call(headerRowList, headerRow) - headerRowList.length;
+
+    if (!this.isCollapsible(row, column)) {
+      return;
+    }
+
+    container.appendChild(this.generateIndicator(row, column));
+  }
+
+  /**
+   * Toggles the section after clicking the indicator.
+   *
+   * @private
+   * @param {MouseEvent} event Mouse event.
+   * @param {CellCoords} coords Clicked cell coords.
+   */
+  onBeforeOnCellMouseDown(event, coords) {
+    if (!hasClass(event.target, INDICATOR_CLASS_NAME)) {
+      return;
+    }
+
+    if (hasClass(event.target, 'expanded')) {
+      this.collapseSection(coords);
+    } else {
+      this.expandSection(coords);
+    }
+
+    stopImmediatePropagation(event);
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.settings = null;
+    this.buttonEnabledList = null;
+    this.collapsedSections = null;
+    this.collapsedColumns = null;
+    this.nestedHeadersPlugin = null;
+    this.hiddenColumnsPlugin = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('collapsibleColumns', CollapsibleColumns);
+
+export default CollapsibleColumns;
@@ -0,0 +1,256 @@
+describe('CollapsibleColumns', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function getNestedHeadersSettings() {
+    return [
+      ['A', { label: 'B', colspan: 8 }, 'C'],
+      ['D', { label: 'E', colspan: 4 }, { label: 'F', colspan: 4 }, 'G'],
+      ['H', 'I', 'J', 'K', 'L', 'M', 'N', 'R', 'S', 'T']
+    ];
+  }
+
+  describe('initialization', () => {
+    it('should render the indicators in every header with the colspan when the option is set to `true`', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+
+      const $headerRows = spec().$container.find('.ht_clone_top thead tr');
+
+      expect($headerRows.eq(0).find('th:eq(1) .collapsibleIndicator').length).toBe(1);
+      expect($headerRows.eq(1).find('th:eq(1) .collapsibleIndicator').length).toBe(1);
+      expect($headerRows.eq(1).find('th:eq(5) .collapsibleIndicator').length).toBe(1);
+      expect($headerRows.eq(2).find('.collapsibleIndicator').length).toBe(0);
+    });
+
+    it('should render the indicators only in the headers listed in the plugin settings', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: [
+          { row: -2, col: 5, collapsible: true },
+        ],
+      });
+
+      const $headerRows = spec().$container.find('.ht_clone_top thead tr');
+
+      expect($headerRows.eq(0).find('.collapsibleIndicator').length).toBe(0);
+      expect($headerRows.eq(1).find('th:eq(1) .collapsibleIndicator').length).toBe(0);
+      expect($headerRows.eq(1).find('th:eq(5) .collapsibleIndicator').length).toBe(1);
+    });
+
+    it('should remove the indicators after disabling the plugin', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+
+      updateSettings({ collapsibleColumns: false });
+
+      expect(spec().$container.find('.collapsibleIndicator').length).toBe(0);
+    });
+  });
+
+  describe('API', () => {
+    it('should collapse all child headers except the first one', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+      const plugin = hot.getPlugin('collapsibleColumns');
+      const hiddenColumnsPlugin = hot.getPlugin('hiddenColumns');
+
+      plugin.collapseSection({ row: -3, col: 1 });
+
+      expect(plugin.isCollapsed({ row: -3, col: 1 })).toBe(true);
+      expect(hiddenColumnsPlugin.isHidden(4)).toBe(false);
+      expect(hiddenColumnsPlugin.isHidden(5)).toBe(true);
+      expect(hiddenColumnsPlugin.isHidden(8)).toBe(true);
+
+      plugin.expandSection({ row: -3, col: 1 });
+
+      expect(plugin.isCollapsed({ row: -3, col: 1 })).toBe(false);
+      expect(hiddenColumnsPlugin.isHidden(5)).toBe(false);
+      expect(hiddenColumnsPlugin.isHidden(8)).toBe(false);
+    });
+
+    it('should keep the nested sections collapsed after expanding the parent section', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+      const plugin = hot.getPlugin('collapsibleColumns');
+
+      plugin.collapseSection({ row: -2, col: 1 });
+      plugin.collapseSection({ row: -3, col: 1 });
+
+      expect(plugin.collapsedColumns).toEqual([2, 3, 4, 5, 6, 7, 8]);
+
+      plugin.expandSection({ row: -3, col: 1 });
+
+      expect(plugin.collapsedColumns).toEqual([2, 3, 4]);
+    });
+
+    it('should collapse and expand all collapsible sections', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+      const plugin = hot.getPlugin('collapsibleColumns');
+
+      plugin.collapseAll();
+
+      expect(plugin.collapsedColumns).toEqual([2, 3, 4, 5, 6, 7, 8]);
+
+      plugin.expandAll();
+
+      expect(plugin.collapsedColumns).toEqual([]);
+      expect(hot.getPlugin('hiddenColumns').hiddenColumns).toEqual([]);
+    });
+
+    it('should not collapse the headers which are not listed in the plugin settings', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: [
+          { row: -2, col: 5, collapsible: true },
+        ],
+      });
+      const plugin = hot.getPlugin('collapsibleColumns');
+
+      plugin.collapseSection({ row: -3, col: 1 });
+
+      expect(plugin.collapsedColumns).toEqual([]);
+
+      plugin.collapseAll();
+
+      expect(plugin.collapsedColumns).toEqual([6, 7, 8]);
+    });
+
+    it('should show the collapsed columns after disabling the plugin', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+
+      hot.getPlugin('collapsibleColumns').collapseSection({ row: -2, col: 5 });
+      updateSettings({ collapsibleColumns: false });
+
+      expect(hot.getPlugin('hiddenColumns').hiddenColumns).toEqual([]);
+    });
+  });
+
+  describe('UI', () => {
+    it('should collapse and expand the section after clicking the indicator', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+      });
+
+      spec().$container.find('.ht_clone_top thead tr:eq(1) th:eq(5) .collapsibleIndicator').simulate('mousedown');
+
+      expect(hot.getPlugin('collapsibleColumns').collapsedColumns).toEqual([6, 7, 8]);
+      expect(getSelected()).toBeUndefined();
+
+      const $indicator = spec().$container.find('.ht_clone_top thead tr:eq(1) th:eq(5) .collapsibleIndicator');
+
+      expect($indicator.hasClass('collapsed')).toBe(true);
+      expect($indicator.text()).toEqual('+');
+
+      $indicator.simulate('mousedown');
+
+      expect(hot.getPlugin('collapsibleColumns').collapsedColumns).toEqual([]);
+    });
+  });
+
+  describe('hooks', () => {
+    it('should run the hooks before and after collapsing the columns', () => {
+      const beforeColumnCollapse = jasmine.createSpy('beforeColumnCollapse');
+      const afterColumnCollapse = jasmine.createSpy('afterColumnCollapse');
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+        beforeColumnCollapse,
+        afterColumnCollapse,
+      });
+
+      hot.getPlugin('collapsibleColumns').collapseSection({ row: -2, col: 5 });
+
+      expect(beforeColumnCollapse).toHaveBeenCalledWith([], [6, 7, 8], true, void 0, void 0, void 0);
+      expect(afterColumnCollapse).toHaveBeenCalledWith([], [6, 7, 8], true, true, void 0, void 0);
+    });
+
+    it('should run the hooks before and after expanding the columns', () => {
+      const beforeColumnExpand = jasmine.createSpy('beforeColumnExpand');
+      const afterColumnExpand = jasmine.createSpy('afterColumnExpand');
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+        beforeColumnExpand,
+        afterColumnExpand,
+      });
+
+      hot.getPlugin('collapsibleColumns').collapseSection({ row: -2, col: 5 });
+      hot.getPlugin('collapsibleColumns').expandSection({ row: -2, col: 5 });
+
+      expect(beforeColumnExpand).toHaveBeenCalledWith([6, 7, 8], [], true, void 0, void 0, void 0);
+      expect(afterColumnExpand).toHaveBeenCalledWith([6, 7, 8], [], true, true, void 0, void 0);
+    });
+
+    it('should cancel collapsing when the `beforeColumnCollapse` hook returns `false`', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        hiddenColumns: true,
+        nestedHeaders: getNestedHeadersSettings(),
+        collapsibleColumns: true,
+        beforeColumnCollapse: () => false,
+      });
+      const plugin = hot.getPlugin('collapsibleColumns');
+
+      plugin.collapseSection({ row: -2, col: 5 });
+
+      expect(plugin.isCollapsed({ row: -2, col: 5 })).toBe(false);
+      expect(hot.getPlugin('hiddenColumns').hiddenColumns).toEqual([]);
+    });
+  });
+});
@@ -146,6 +146,7 @@ class ColumnSorting extends BasePlugin {
 
     this.addHook('afterTrimRow', () => this.sortByPresetSortStates());
     this.addHook('afterUntrimRow', () => this.sortByPresetSortStates());
+    this.addHook('afterFilter', () => this.sortByPresetSortStates());
     this.addHook('modifyRow', (row, source) => this.onModifyRow(row, source));
     this.addHook('unmodifyRow', (row, source) => this.onUnmodifyRow(row, source));
     this.addHook('afterGetColHeader', (column, TH) => this.onAfterGetColHeader(column, TH));
@@ -254,6 +255,17 @@ class ColumnSorting extends BasePlugin {
     return this.enabled && !this.columnStatesManager.isListOfSortedColumnsEmpty();
   }
 
+  /**
+   * Checks if the rows are translated by the plugin. The rows are not translated, when the sort configuration was set
+   * with the {@link ColumnSorting#setSortConfig} method only (e.g. the data is sorted on the server side or the rows
+   * are sorted within their groups by the {@link RowGrouping} plugin).
+   *
+   * @returns {Boolean}
+   */
+  isTranslatingRows() {
+    return this.isSorted() && !this.rowsMapper.isEmpty();
+  }
+
   /**
    * Get sort configuration for particular column or for all sorted columns. Objects contain `column` and `sortOrder` properties.
    *
@@ -680,7 +692,7 @@ class ColumnSorting extends BasePlugin {
    * @returns {Number} Visual row index.
    */
   onUnmodifyRow(row, source) {
-    if (this.blockPluginTranslation === false && source !== this.pluginName && this.isSorted()) {
+    if (this.blockPluginTranslation === false && source !== this.pluginName && this.isTranslatingRows()) {
       row = this.rowsMapper.getIndexByValue(row);
     }
 
@@ -767,7 +779,9 @@ class ColumnSorting extends BasePlugin {
    * @param {Number} amount Amount of created rows.
    */
   onAfterCreateRow(index, amount) {
-    this.rowsMapper.shiftItems(index, amount);
+    if (this.isTranslatingRows()) {
+      this.rowsMapper.shiftItems(index, amount);
+    }
   }
 
   /**
@@ -21,6 +21,15 @@ class RowsMapper {
     });
   }
 
+  /**
+   * Checks if the map is empty (no sequence of the row indexes was set).
+   *
+   * @returns {Boolean}
+   */
+  isEmpty() {
+    return this._arrayMap.length === 0;
+  }
+
   /**
    * Destroy class.
    */
@@ -779,6 +779,61 @@ describe('ColumnSorting', () => {
     });
   });
 
+  describe('isTranslatingRows', () => {
+    it('should return `true` when the table was sorted', () => {
+      handsontable({
+        data: [
+          ['Mercedes1', 'A 160'],
+          ['Citroen1', 'C4 Coupe'],
+        ],
+        columnSorting: {
+          initialConfig: {
+            column: 0,
+            sortOrder: 'asc'
+          }
+        }
+      });
+
+      expect(getPlugin('columnSorting').isTranslatingRows()).toBe(true);
+      expect(getDataAtCol(0)).toEqual(['Citroen1', 'Mercedes1']);
+    });
+
+    it('should return `false` when the sort configuration was set with the `setSortConfig` method only', () => {
+      handsontable({
+        data: [
+          ['Mercedes1', 'A 160'],
+          ['Citroen1', 'C4 Coupe'],
+        ],
+        columnSorting: true
+      });
+
+      getPlugin('columnSorting').setSortConfig({ column: 0, sortOrder: 'asc' });
+
+      expect(getPlugin('columnSorting').isSorted()).toBe(true);
+      expect(getPlugin('columnSorting').isTranslatingRows()).toBe(false);
+      expect(getDataAtCol(0)).toEqual(['Mercedes1', 'Citroen1']);
+    });
+
+    it('should return `false` when the sort was cleared', () => {
+      handsontable({
+        data: [
+          ['Mercedes1', 'A 160'],
+          ['Citroen1', 'C4 Coupe'],
+        ],
+        columnSorting: {
+          initialConfig: {
+            column: 0,
+            sortOrder: 'asc'
+          }
+        }
+      });
+
+      getPlugin('columnSorting').clearSort();
+
+      expect(getPlugin('columnSorting').isTranslatingRows()).toBe(false);
+    });
+  });
+
   describe('data type: date', () => {
     it('should place empty strings, null and undefined values at proper position when `sortEmptyCells` ' +
       'option is enabled and `column` property of `columnSorting` option is set', () => {
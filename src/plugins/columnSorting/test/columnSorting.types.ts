@@ -25,6 +25,7 @@ columnSorting.setSortConfig([{ column: 0, sortOrder: 'asc' }]);
 columnSorting.setSortConfig([]);
 
 columnSorting.isSorted();
+columnSorting.isTranslatingRows();
 
 columnSorting.sort();
 columnSorting.sort({ column: 0, sortOrder: 'asc' });
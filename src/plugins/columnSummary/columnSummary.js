@@ -0,0 +1,515 @@
+import BasePlugin from './../_base';
+import { arrayEach } from './../../helpers/array';
+import { rangeEach } from './../../helpers/number';
+import { registerPlugin } from './../../plugins';
+import Endpoints from './endpoints';
+
+/**
+ * The name of the source used by the plugin while setting the calculation results.
+ *
+ * @type {String}
+ */
+const CHANGE_SOURCE = 'ColumnSummary.set';
+
+/**
+ * @plugin ColumnSummary
+ *
+ * @description
+ * Allows making pre-defined calculations on the cell values and display the results within Handsontable.
+ *
+ * Each calculation (endpoint) is declared as an object with the following properties:
+ * * `destinationRow`, `destinationColumn` - visual coordinates of the cell, in which the result is displayed,
+ * * `sourceColumn` - visual index of the column used for the calculation (defaults to `destinationColumn`),
+ * * `ranges` - array of row ranges used for the calculation, defined as `[startRow, endRow]` or `[row]`
+ *   (defaults to all rows),
+ * * `type` - one of `'sum'`, `'min'`, `'max'`, `'count'`, `'average'` or `'custom'`,
+ * * `customFunction` - function used for the `'custom'` type, called with the endpoint object as an argument,
+ * * `forceNumeric` - if `true`, the values are parsed as numbers before the calculation (e.g. `'1,5'` is treated as `1.5`),
+ * * `reversedRowCoords` - if `true`, the `destinationRow` is counted from the bottom of the table
+ *   (useful together with the {@link Options#fixedRowsBottom} option),
+ * * `suppressDataTypeErrors` - if `false`, an error is thrown when a non-numeric value is found (defaults to `true`),
+ * * `readOnly` - if `true`, the destination cell is read only (defaults to `true`),
+ * * `roundFloat` - if `true` the result is rounded to 2 decimal places, a number defines the amount of decimal places,
+ * * `numericFormat` - the format applied to the result (the destination cell becomes a `numeric` cell).
+ *
+ * The destination cells are never treated as the source values of the calculations.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   fixedRowsBottom: 1,
+ *   columnSummary: [
+ *     {
+ *       destinationRow: 0,
+ *       destinationColumn: 1,
+ *       reversedRowCoords: true,
+ *       type: 'sum',
+ *       numericFormat: {
+ *         pattern: '0,0.00'
+ *       }
+ *     },
+ *     {
+ *       destinationRow: 0,
+ *       destinationColumn: 2,
+ *       reversedRowCoords: true,
+ *       type: 'custom',
+ *       customFunction(endpoint) {
+ *         return this.countEntries(endpoint) * 2;
+ *       }
+ *     }
+ *   ]
+ * });
+ * ```
+ */
+class ColumnSummary extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * The Endpoints class instance. Used to make all endpoint-related operations.
+     *
+     * @type {null|Endpoints}
+     */
+    this.endpoints = null;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link ColumnSummary#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().columnSummary;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.endpoints = new Endpoints(this, this.hot.getSettings().columnSummary);
+    this.endpoints.parseSettings();
+
+    this.addHook('afterInit', () => this.onAfterInit());
+    this.addHook('afterLoadData', initialLoad => this.onAfterLoadData(initialLoad));
+    this.addHook('afterChange', (changes, source) => this.onAfterChange(changes, source));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('afterRemoveRow', (index, amount) => this.onAfterRemoveRow(index, amount));
+    this.addHook('afterColumnSort', () => this.onAfterColumnSort());
+    this.addHook('beforeGetCellMeta', (row, column, cellProperties) => this.onBeforeGetCellMeta(row, column, cellProperties));
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    this.endpoints.refreshAllEndpoints();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    if (this.endpoints) {
+      arrayEach(this.endpoints.getAllEndpoints(), (endpoint) => {
+        const row = this.endpoints.getDestinationRow(endpoint);
+
+        if (row >= 0 && row < this.hot.countRows()) {
+          this.resetCellMeta(this.hot.getCellMeta(row, endpoint.destinationColumn));
+        }
+      });
+
+      this.endpoints.destroy();
+      this.endpoints = null;
+    }
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Calculates the endpoint result and stores it in the `result` property of the endpoint.
+   *
+   * @param {Object} endpoint The endpoint object.
+   */
+  calculate(endpoint) {
+    let result = null;
+
+    switch (endpoint.type.toLowerCase()) {
+      case 'sum':
+        result = this.calculateSum(endpoint);
+        break;
+      case 'min':
+      case 'max':
+        result = this.calculateMinMax(endpoint, endpoint.type.toLowerCase());
+        break;
+      case 'count':
+        result = this.countEntries(endpoint);
+        break;
+      case 'average':
+        result = this.calculateAverage(endpoint);
+        break;
+      case 'custom':
+        result = typeof endpoint.customFunction === 'function' ? endpoint.customFunction.call(this, endpoint) : null;
+        break;
+      default:
+        break;
+    }
+
+    endpoint.result = this.roundResult(result, endpoint.roundFloat);
+  }
+
+  /**
+   * Calculates the sum of the values in the endpoint ranges.
+   *
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number}
+   */
+  calculateSum(endpoint) {
+    let sum = 0;
+
+    arrayEach(this.endpoints.getRanges(endpoint), (rowRange) => {
+      sum += this.getPartialSum(rowRange, endpoint.sourceColumn, endpoint);
+    });
+
+    return sum;
+  }
+
+  /**
+   * Calculates the sum of the values in the provided row range.
+   *
+   * @param {Number[]} rowRange The `[startRow, endRow]` range (visual row indexes).
+   * @param {Number} column Visual column index.
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number}
+   */
+  getPartialSum(rowRange, column, endpoint) {
+    let sum = 0;
+    let decimalPlaces = 0;
+
+    this.rangeEachValue(rowRange, column, endpoint, (value) => {
+      const decimalPart = `${value}`.split('.')[1];
+
+      if (decimalPart) {
+        decimalPlaces = Math.max(decimalPlaces, decimalPart.length);
+      }
+
+      sum += value;
+    });
+
+    // Avoids the floating point errors, e.g. `0.1 + 0.2` gives `0.3` instead of `0.30000000000000004`.
+    return decimalPlaces ? parseFloat(sum.toFixed(Math.min(decimalPlaces, 20))) : sum;
+  }
+
+  /**
+   * Calculates the minimum or the maximum value in the endpoint ranges.
+   *
+   * @param {Object} endpoint The endpoint object.
+   * @param {String} type `'min'` or `'max'`.
+   * @returns {Number|null} The result or `null` when there are no values in the ranges.
+   */
+  calculateMinMax(endpoint, type) {
+    let result = null;
+
+    arrayEach(this.endpoints.getRanges(endpoint), (rowRange) => {
+      const partialResult = this.getPartialMinMax(rowRange, endpoint.sourceColumn, type, endpoint);
+
+      if (partialResult !== null) {
+        result = result === null ? partialResult : Math[type](result, partialResult);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Calculates the minimum or the maximum value in the provided row range.
+   *
+   * @param {Number[]} rowRange The `[startRow, endRow]` range (visual row indexes).
+   * @param {Number} column Visual column index.
+   * @param {String} type `'min'` or `'max'`.
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number|null}
+   */
+  getPartialMinMax(rowRange, column, type, endpoint) {
+    let result = null;
+
+    this.rangeEachValue(rowRange, column, endpoint, (value) => {
+      result = result === null ? value : Math[type](result, value);
+    });
+
+    return result;
+  }
+
+  /**
+   * Counts the non-empty cells in the endpoint ranges.
+   *
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number}
+   */
+  countEntries(endpoint) {
+    let result = 0;
+
+    arrayEach(this.endpoints.getRanges(endpoint), ([start, end]) => {
+      result += end - start + 1 - this.countEmpty([start, end], endpoint.sourceColumn);
+    });
+
+    return result;
+  }
+
+  /**
+   * Counts the empty cells in the provided row range. The destination cells of the endpoints are treated as empty.
+   *
+   * @param {Number[]} rowRange The `[startRow, endRow]` range (visual row indexes).
+   * @param {Number} column Visual column index.
+   * @returns {Number}
+   */
+  countEmpty(rowRange, column) {
+    let result = 0;
+
+    rangeEach(rowRange[0], rowRange[1], (row) => {
+      const value = this.endpoints.getEndpointAt(row, column) ? null : this.hot.getDataAtCell(row, column);
+
+      if (value === null || value === void 0 || value === '') {
+        result += 1;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Calculates the average of the numeric values in the endpoint ranges.
+   *
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number|null} The result or `null` when there are no values in the ranges.
+   */
+  calculateAverage(endpoint) {
+    let sum = 0;
+    let count = 0;
+
+    arrayEach(this.endpoints.getRanges(endpoint), (rowRange) => {
+      this.rangeEachValue(rowRange, endpoint.sourceColumn, endpoint, (value) => {
+        sum += value;
+        count += 1;
+      });
+    });
+
+    return count ? sum / count : null;
+  }
+
+  /**
+   * Gets the cell value used for the calculations.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number|null} Numeric value or `null` when the cell should be skipped in the calculations.
+   */
+  getCellValue(row, column, endpoint) {
+    if (this.endpoints.getEndpointAt(row, column)) {
+      return null;
+    }
+
+    let cellValue = this.hot.getDataAtCell(row, column);
+
+    if (cellValue === null || cellValue === void 0 || cellValue === '') {
+      return null;
+    }
+
+    if (endpoint.forceNumeric) {
+      cellValue = parseFloat(typeof cellValue === 'string' ? cellValue.replace(/,/, '.') : cellValue);
+    }
+
+    if (typeof cellValue !== 'number' || isNaN(cellValue)) {
+      if (!endpoint.suppressDataTypeErrors) {
+        throw new Error(`ColumnSummary plugin: cell at (${row}, ${column}) is not in a numeric format. Cannot do the calculation.`);
+      }
+
+      return null;
+    }
+
+    return cellValue;
+  }
+
+  /**
+   * Calls the provided function for each numeric value in the row range.
+   *
+   * @private
+   * @param {Number[]} rowRange The `[startRow, endRow]` range (visual row indexes).
+   * @param {Number} column Visual column index.
+   * @param {Object} endpoint The endpoint object.
+   * @param {Function} callback The function called with the cell value.
+   */
+  rangeEachValue([start, end], column, endpoint, callback) {
+    rangeEach(start, Math.min(end, this.hot.countRows() - 1), (row) => {
+      const value = this.getCellValue(row, column, endpoint);
+
+      if (value !== null) {
+        callback(value);
+      }
+    });
+  }
+
+  /**
+   * Rounds the calculation result, according to the `roundFloat` endpoint option.
+   *
+   * @private
+   * @param {*} result The calculation result.
+   * @param {Boolean|Number} roundFloat The `roundFloat` endpoint option.
+   * @returns {*}
+   */
+  roundResult(result, roundFloat) {
+    if (typeof result !== 'number' || roundFloat === false) {
+      return result;
+    }
+
+    const decimalPlaces = roundFloat === true ? 2 : parseInt(roundFloat, 10);
+
+    return isNaN(decimalPlaces) ? result : parseFloat(result.toFixed(decimalPlaces));
+  }
+
+  /**
+   * Removes the properties applied by the plugin from the cell meta object.
+   *
+   * @private
+   * @param {Object} cellProperties The cell meta object.
+   */
+  resetCellMeta(cellProperties) {
+    if (!cellProperties.columnSummaryResult) {
+      return;
+    }
+
+    delete cellProperties.readOnly;
+    delete cellProperties.type;
+    delete cellProperties.numericFormat;
+    delete cellProperties.renderer;
+    delete cellProperties.editor;
+    delete cellProperties.validator;
+    delete cellProperties.columnSummaryResult;
+  }
+
+  /**
+   * `afterInit` hook callback.
+   *
+   * @private
+   */
+  onAfterInit() {
+    this.endpoints.refreshAllEndpoints();
+  }
+
+  /**
+   * `afterLoadData` hook callback.
+   *
+   * @private
+   * @param {Boolean} initialLoad Flag that determines whether the data has been loaded during the initialization.
+   */
+  onAfterLoadData(initialLoad) {
+    if (!initialLoad) {
+      this.endpoints.refreshAllEndpoints();
+    }
+  }
+
+  /**
+   * `afterChange` hook callback.
+   *
+   * @private
+   * @param {Array[]} changes Array of changes.
+   * @param {String} source Source of the change.
+   */
+  onAfterChange(changes, source) {
+    if (changes && source !== CHANGE_SOURCE && source !== 'loadData') {
+      this.endpoints.refreshChangedEndpoints(changes);
+    }
+  }
+
+  /**
+   * `afterCreateRow` hook callback.
+   *
+   * @private
+   * @param {Number} index Visual index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    this.endpoints.shiftAfterRowsCreation(index, amount);
+    this.endpoints.refreshAllEndpoints();
+  }
+
+  /**
+   * `afterRemoveRow` hook callback.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   */
+  onAfterRemoveRow(index, amount) {
+    this.endpoints.shiftAfterRowsRemoval(index, amount);
+    this.endpoints.refreshAllEndpoints();
+  }
+
+  /**
+   * `afterColumnSort` hook callback.
+   *
+   * @private
+   */
+  onAfterColumnSort() {
+    this.endpoints.refreshAllEndpoints();
+  }
+
+  /**
+   * `beforeGetCellMeta` hook callback. Applies the endpoint options to the destination cells.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @param {Object} cellProperties The cell meta object.
+   */
+  onBeforeGetCellMeta(row, column, cellProperties) {
+    const endpoint = this.endpoints.getEndpointAt(row, column);
+
+    this.resetCellMeta(cellProperties);
+
+    if (!endpoint) {
+      return;
+    }
+
+    cellProperties.columnSummaryResult = true;
+
+    if (endpoint.readOnly) {
+      cellProperties.readOnly = true;
+    }
+
+    if (endpoint.numericFormat) {
+      cellProperties.type = 'numeric';
+      cellProperties.numericFormat = endpoint.numericFormat;
+    }
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    if (this.endpoints) {
+      this.endpoints.destroy();
+    }
+
+    this.endpoints = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('columnSummary', ColumnSummary);
+
+export default ColumnSummary;
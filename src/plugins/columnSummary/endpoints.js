@@ -0,0 +1,333 @@
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { isObject } from './../../helpers/object';
+
+/**
+ * Class used to make all endpoint-related operations.
+ *
+ * @class Endpoints
+ * @plugin ColumnSummary
+ */
+class Endpoints {
+  constructor(plugin, settings) {
+    /**
+     * The main plugin instance.
+     *
+     * @type {ColumnSummary}
+     */
+    this.plugin = plugin;
+    /**
+     * Handsontable instance.
+     *
+     * @type {Core}
+     */
+    this.hot = this.plugin.hot;
+    /**
+     * Array of declared plugin endpoints (calculation destination points).
+     *
+     * @type {Object[]}
+     */
+    this.endpoints = [];
+    /**
+     * The plugin settings, taken from Handsontable configuration.
+     *
+     * @type {Object[]|Function}
+     */
+    this.settings = settings;
+  }
+
+  /**
+   * Gets a single endpoint object.
+   *
+   * @param {Number} index Index of the endpoint.
+   * @returns {Object}
+   */
+  getEndpoint(index) {
+    return this.endpoints[index];
+  }
+
+  /**
+   * Gets an array with all the endpoints.
+   *
+   * @returns {Object[]}
+   */
+  getAllEndpoints() {
+    return this.endpoints;
+  }
+
+  /**
+   * Gets the endpoint, which destination cell is placed at the provided coordinates.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {Object|undefined}
+   */
+  getEndpointAt(row, column) {
+    let result;
+
+    arrayEach(this.endpoints, (endpoint) => {
+      if (endpoint.destinationColumn === column && this.getDestinationRow(endpoint) === row) {
+        result = endpoint;
+
+        return false;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Gets the visual row index of the endpoint's destination cell.
+   *
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Number}
+   */
+  getDestinationRow(endpoint) {
+    if (endpoint.reversedRowCoords) {
+      return this.hot.countRows() - 1 - endpoint.destinationRow;
+    }
+
+    return endpoint.destinationRow;
+  }
+
+  /**
+   * Gets the row ranges used for the endpoint calculation. When the ranges are not declared, all rows are used.
+   *
+   * @param {Object} endpoint The endpoint object.
+   * @returns {Array[]} Array of `[startRow, endRow]` ranges (visual row indexes).
+   */
+  getRanges(endpoint) {
+    if (endpoint.ranges) {
+      return endpoint.ranges;
+    }
+
+    return [[0, this.hot.countRows() - 1]];
+  }
+
+  /**
+   * Parses the plugin settings and creates the endpoints.
+   *
+   * @param {Object[]} [settings] The plugin settings. When not provided, the settings passed to the constructor are used.
+   */
+  parseSettings(settings) {
+    let endpointsSettings = settings || this.settings;
+
+    if (typeof endpointsSettings === 'function') {
+      endpointsSettings = endpointsSettings.call(this.plugin);
+    }
+
+    this.endpoints = [];
+
+    arrayEach(Array.isArray(endpointsSettings) ? endpointsSettings : [], (endpointSettings) => {
+      if (!isObject(endpointSettings)) {
+        return;
+      }
+
+      const endpoint = {};
+
+      this.assignSetting(endpointSettings, endpoint, 'destinationRow', 0);
+      this.assignSetting(endpointSettings, endpoint, 'destinationColumn', 0);
+      this.assignSetting(endpointSettings, endpoint, 'sourceColumn', endpoint.destinationColumn);
+      this.assignSetting(endpointSettings, endpoint, 'type', 'sum');
+      this.assignSetting(endpointSettings, endpoint, 'customFunction', null);
+      this.assignSetting(endpointSettings, endpoint, 'forceNumeric', false);
+      this.assignSetting(endpointSettings, endpoint, 'reversedRowCoords', false);
+      this.assignSetting(endpointSettings, endpoint, 'suppressDataTypeErrors', true);
+      this.assignSetting(endpointSettings, endpoint, 'readOnly', true);
+      this.assignSetting(endpointSettings, endpoint, 'roundFloat', false);
+      this.assignSetting(endpointSettings, endpoint, 'numericFormat', null);
+
+      endpoint.ranges = this.parseRanges(endpointSettings.ranges);
+      endpoint.result = null;
+
+      this.endpoints.push(endpoint);
+    });
+  }
+
+  /**
+   * Parses the row ranges declared in the endpoint settings. Each range can be defined as `[startRow, endRow]` or
+   * as `[row]` for a single row.
+   *
+   * @private
+   * @param {Array[]} [ranges] The declared row ranges.
+   * @returns {Array[]|null} Normalized ranges or `null` when all rows should be used.
+   */
+  parseRanges(ranges) {
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+      return null;
+    }
+
+    return arrayMap(ranges, ([start, end = start]) => [Math.min(start, end), Math.max(start, end)]);
+  }
+
+  /**
+   * Sets a property in the endpoint object, using the value from the settings or the provided default value.
+   *
+   * @param {Object} settings The endpoint settings.
+   * @param {Object} endpoint The endpoint object.
+   * @param {String} name The property name.
+   * @param {*} defaultValue The default value.
+   */
+  assignSetting(settings, endpoint, name, defaultValue) {
+    endpoint[name] = settings[name] === void 0 ? defaultValue : settings[name];
+  }
+
+  /**
+   * Shifts the endpoints after inserting the rows.
+   *
+   * @param {Number} index Visual index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  shiftAfterRowsCreation(index, amount) {
+    arrayEach(this.endpoints, (endpoint) => {
+      if (!endpoint.reversedRowCoords && endpoint.destinationRow >= index) {
+        endpoint.destinationRow += amount;
+      }
+
+      if (endpoint.ranges) {
+        endpoint.ranges = arrayMap(endpoint.ranges, ([start, end]) => {
+          if (start >= index) {
+            return [start + amount, end + amount];
+          }
+
+          return [start, end >= index ? end + amount : end];
+        });
+      }
+    });
+  }
+
+  /**
+   * Shifts the endpoints after removing the rows. The endpoints, which destination cells were removed, are removed
+   * as well.
+   *
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   */
+  shiftAfterRowsRemoval(index, amount) {
+    const lastRemovedRow = index + amount - 1;
+    const shiftRow = row => (row > lastRemovedRow ? row - amount : Math.min(row, index));
+
+    this.endpoints = arrayFilter(this.endpoints, (endpoint) => {
+      if (endpoint.reversedRowCoords) {
+        return true;
+      }
+
+      return endpoint.destinationRow < index || endpoint.destinationRow > lastRemovedRow;
+    });
+
+    arrayEach(this.endpoints, (endpoint) => {
+      if (!endpoint.reversedRowCoords) {
+        endpoint.destinationRow = shiftRow(endpoint.destinationRow);
+      }
+
+      if (endpoint.ranges) {
+        const ranges = arrayFilter(endpoint.ranges, ([start, end]) => start < index || end > lastRemovedRow);
+
+        endpoint.ranges = arrayMap(ranges, ([start, end]) => [shiftRow(start), end > lastRemovedRow ? end - amount : Math.min(end, index - 1)]);
+      }
+    });
+  }
+
+  /**
+   * Recalculates all the endpoints and updates their destination cells.
+   */
+  refreshAllEndpoints() {
+    this.setEndpointValues(this.endpoints);
+  }
+
+  /**
+   * Recalculates the endpoints, which source cells were changed.
+   *
+   * @param {Array[]} changes Array of changes, as in the {@link Hooks#afterChange} hook.
+   */
+  refreshChangedEndpoints(changes) {
+    const changedEndpoints = arrayFilter(this.endpoints, (endpoint) => {
+      let isChanged = false;
+
+      arrayEach(changes, ([row, prop]) => {
+        const column = this.hot.propToCol(prop);
+
+        if (column === endpoint.sourceColumn && this.isRowInRanges(endpoint, row)) {
+          isChanged = true;
+
+          return false;
+        }
+      });
+
+      return isChanged;
+    });
+
+    this.setEndpointValues(changedEndpoints);
+  }
+
+  /**
+   * Recalculates a single endpoint and updates its destination cell.
+   *
+   * @param {Object} endpoint The endpoint object.
+   */
+  refreshEndpoint(endpoint) {
+    this.setEndpointValues([endpoint]);
+  }
+
+  /**
+   * Checks if the provided row is placed within the endpoint's ranges.
+   *
+   * @private
+   * @param {Object} endpoint The endpoint object.
+   * @param {Number} row Visual row index.
+   * @returns {Boolean}
+   */
+  isRowInRanges(endpoint, row) {
+    let result = false;
+
+    arrayEach(this.getRanges(endpoint), ([start, end]) => {
+      if (row >= start && row <= end) {
+        result = true;
+
+        return false;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Calculates the provided endpoints and sets the results in their destination cells.
+   *
+   * @private
+   * @param {Object[]} endpoints Array of the endpoint objects.
+   */
+  setEndpointValues(endpoints) {
+    const countRows = this.hot.countRows();
+    const changes = [];
+
+    arrayEach(endpoints, (endpoint) => {
+      const row = this.getDestinationRow(endpoint);
+
+      this.plugin.calculate(endpoint);
+
+      if (row < 0 || row >= countRows || endpoint.destinationColumn >= this.hot.countCols()) {
+        return;
+      }
+
+      if (this.hot.getDataAtCell(row, endpoint.destinationColumn) !== endpoint.result) {
+        changes.push([row, endpoint.destinationColumn, endpoint.result]);
+      }
+    });
+
+    if (changes.length) {
+      this.hot.setDataAtCell(changes, 'ColumnSummary.set');
+    }
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.plugin = null;
+    this.hot = null;
+    this.endpoints = null;
+    this.settings = null;
+  }
+}
+
+export default Endpoints;
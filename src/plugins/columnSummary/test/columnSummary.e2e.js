@@ -0,0 +1,198 @@
+describe('ColumnSummary', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function getData() {
+    return [
+      [1, 10, 'a'],
+      [2, '2,5', 'b'],
+      [3.1, 'x', null],
+      [4, 30, 'c'],
+      [null, null, null],
+    ];
+  }
+
+  describe('calculations', () => {
+    it('should calculate the results of all available types', () => {
+      handsontable({
+        data: [[1], [2], [3], [null], [null], [null], [null], [null], [null], [null]],
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 0, ranges: [[0, 2]], type: 'sum' },
+          { destinationRow: 5, destinationColumn: 0, ranges: [[0, 2]], type: 'min' },
+          { destinationRow: 6, destinationColumn: 0, ranges: [[0, 2]], type: 'max' },
+          { destinationRow: 7, destinationColumn: 0, ranges: [[0, 3]], type: 'count' },
+          { destinationRow: 8, destinationColumn: 0, ranges: [[0, 2]], type: 'average' },
+          {
+            destinationRow: 9,
+            destinationColumn: 0,
+            ranges: [[0, 2]],
+            type: 'custom',
+            customFunction(endpoint) {
+              return this.calculateSum(endpoint) * 10;
+            }
+          },
+        ],
+      });
+
+      expect(getDataAtCol(0)).toEqual([1, 2, 3, null, 6, 1, 3, 3, 2, 60]);
+    });
+
+    it('should skip the destination cell and the non-numeric values when calculating the whole column', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 0, destinationColumn: 1, reversedRowCoords: true, type: 'sum' },
+          { destinationRow: 0, destinationColumn: 2, reversedRowCoords: true, type: 'count' },
+        ],
+      });
+
+      expect(getDataAtCell(4, 1)).toBe(40);
+      expect(getDataAtCell(4, 2)).toBe(3);
+    });
+
+    it('should parse the values as numbers when the `forceNumeric` option is enabled', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 1, type: 'sum', forceNumeric: true },
+        ],
+      });
+
+      expect(getDataAtCell(4, 1)).toBe(42.5);
+    });
+
+    it('should throw an error for the non-numeric values when the `suppressDataTypeErrors` option is disabled', () => {
+      const hot = handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 1, type: 'sum' },
+        ],
+      });
+      const plugin = hot.getPlugin('columnSummary');
+      const endpoint = plugin.endpoints.getEndpoint(0);
+
+      endpoint.suppressDataTypeErrors = false;
+
+      expect(() => plugin.calculate(endpoint)).toThrowError(/cell at \(1, 1\) is not in a numeric format/);
+    });
+
+    it('should round the result when the `roundFloat` option is enabled', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 0, ranges: [[0, 2]], type: 'average', roundFloat: true },
+          { destinationRow: 4, destinationColumn: 1, ranges: [[0, 2]], type: 'sum', sourceColumn: 0, roundFloat: 0 },
+        ],
+      });
+
+      expect(getDataAtCell(4, 0)).toBe(2.03);
+      expect(getDataAtCell(4, 1)).toBe(6);
+    });
+  });
+
+  describe('destination cells', () => {
+    it('should make the destination cells read only by default', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 0, type: 'sum' },
+          { destinationRow: 4, destinationColumn: 1, type: 'sum', readOnly: false },
+        ],
+      });
+
+      expect(getCellMeta(4, 0).readOnly).toBe(true);
+      expect(getCellMeta(4, 1).readOnly).toBe(false);
+      expect(getCellMeta(3, 0).readOnly).toBe(false);
+    });
+
+    it('should apply the `numericFormat` option to the destination cells', async() => {
+      handsontable({
+        data: getData(),
+        fixedRowsBottom: 1,
+        columnSummary: [
+          { destinationRow: 0, destinationColumn: 0, reversedRowCoords: true, type: 'sum', numericFormat: { pattern: '0.00' } },
+        ],
+      });
+
+      await sleep(100);
+
+      expect(getCellMeta(4, 0).type).toBe('numeric');
+      expect(getDataAtCell(4, 0)).toBe(10.1);
+      expect(spec().$container.find('.ht_clone_bottom tbody tr:eq(0) td:eq(0)').text()).toEqual('10.10');
+    });
+
+    it('should restore the destination cells meta after disabling the plugin', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 0, type: 'sum' },
+        ],
+      });
+
+      updateSettings({ columnSummary: false });
+
+      expect(getCellMeta(4, 0).readOnly).toBe(false);
+    });
+  });
+
+  describe('recalculation', () => {
+    it('should recalculate the results after changing the source values', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 1, ranges: [[0, 1]], type: 'max' },
+        ],
+      });
+
+      setDataAtCell(0, 1, 50);
+
+      expect(getDataAtCell(4, 1)).toBe(50);
+    });
+
+    it('should recalculate the results after creating and removing the rows', () => {
+      handsontable({
+        data: getData(),
+        columnSummary: [
+          { destinationRow: 0, destinationColumn: 1, reversedRowCoords: true, type: 'sum' },
+          { destinationRow: 4, destinationColumn: 0, ranges: [[0, 1]], type: 'sum' },
+        ],
+      });
+
+      alter('insert_row', 1);
+      setDataAtCell(1, 0, 5);
+      setDataAtCell(1, 1, 5);
+
+      expect(getDataAtCell(5, 1)).toBe(45);
+      expect(getDataAtCell(5, 0)).toBe(8);
+
+      alter('remove_row', 0);
+
+      expect(getDataAtCell(4, 1)).toBe(35);
+      expect(getDataAtCell(4, 0)).toBe(7);
+    });
+
+    it('should recalculate the results after sorting', () => {
+      handsontable({
+        data: getData(),
+        columnSorting: true,
+        columnSummary: [
+          { destinationRow: 4, destinationColumn: 2, sourceColumn: 0, ranges: [[0, 1]], type: 'sum', readOnly: false },
+        ],
+      });
+
+      getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+      expect(getDataAtCell(4, 2)).toBe(7.1);
+    });
+  });
+});
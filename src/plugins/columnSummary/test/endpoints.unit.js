@@ -0,0 +1,71 @@
+import Endpoints from 'handsontable/plugins/columnSummary/endpoints';
+
+describe('ColumnSummary', () => {
+  describe('Endpoints', () => {
+    function createEndpoints(settings) {
+      const endpoints = new Endpoints({ hot: { countRows: () => 10 } }, settings);
+
+      endpoints.parseSettings();
+
+      return endpoints;
+    }
+
+    it('should parse the settings using the default values', () => {
+      const endpoints = createEndpoints([{ destinationRow: 2, destinationColumn: 1, ranges: [[4, 1], [6]] }]);
+      const endpoint = endpoints.getEndpoint(0);
+
+      expect(endpoint.sourceColumn).toBe(1);
+      expect(endpoint.type).toBe('sum');
+      expect(endpoint.readOnly).toBe(true);
+      expect(endpoint.suppressDataTypeErrors).toBe(true);
+      expect(endpoint.ranges).toEqual([[1, 4], [6, 6]]);
+    });
+
+    it('should parse the settings defined as a function', () => {
+      const endpoints = createEndpoints(() => [{ destinationColumn: 0 }, { destinationColumn: 1 }]);
+
+      expect(endpoints.getAllEndpoints().length).toBe(2);
+      expect(endpoints.getRanges(endpoints.getEndpoint(0))).toEqual([[0, 9]]);
+    });
+
+    it('should count the reversed destination row from the bottom of the table', () => {
+      const endpoints = createEndpoints([{ destinationRow: 0, destinationColumn: 1, reversedRowCoords: true }]);
+
+      expect(endpoints.getDestinationRow(endpoints.getEndpoint(0))).toBe(9);
+      expect(endpoints.getEndpointAt(9, 1)).toBe(endpoints.getEndpoint(0));
+      expect(endpoints.getEndpointAt(0, 1)).toBeUndefined();
+    });
+
+    it('should shift the destination row and the ranges after creating the rows', () => {
+      const endpoints = createEndpoints([{ destinationRow: 8, destinationColumn: 0, ranges: [[0, 3], [5, 6]] }]);
+      const endpoint = endpoints.getEndpoint(0);
+
+      endpoints.shiftAfterRowsCreation(2, 2);
+
+      expect(endpoint.destinationRow).toBe(10);
+      expect(endpoint.ranges).toEqual([[0, 5], [7, 8]]);
+    });
+
+    it('should shrink the ranges after removing the rows', () => {
+      const endpoints = createEndpoints([{ destinationRow: 8, destinationColumn: 0, ranges: [[0, 3], [4, 4], [5, 7]] }]);
+      const endpoint = endpoints.getEndpoint(0);
+
+      endpoints.shiftAfterRowsRemoval(3, 3);
+
+      expect(endpoint.destinationRow).toBe(5);
+      expect(endpoint.ranges).toEqual([[0, 2], [3, 4]]);
+    });
+
+    it('should remove the endpoints, which destination rows were removed', () => {
+      const endpoints = createEndpoints([
+        { destinationRow: 2, destinationColumn: 0 },
+        { destinationRow: 2, destinationColumn: 1, reversedRowCoords: true },
+      ]);
+
+      endpoints.shiftAfterRowsRemoval(2, 1);
+
+      expect(endpoints.getAllEndpoints().length).toBe(1);
+      expect(endpoints.getEndpoint(0).destinationColumn).toBe(1);
+    });
+  });
+});
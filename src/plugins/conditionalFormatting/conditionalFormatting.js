@@ -0,0 +1,621 @@
+import BasePlugin from './../_base';
+import { addClass } from './../../helpers/dom/element';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { isNumeric, rangeEach } from './../../helpers/number';
+import { isDefined } from './../../helpers/mixed';
+import { hasOwnProperty, isObject, objectEach } from './../../helpers/object';
+import { warn } from './../../helpers/console';
+import { registerPlugin } from './../../plugins';
+import { getCondition } from './conditions';
+import {
+  cloneRule,
+  getColorScaleColor,
+  getDataBarLength,
+  isCellInRuleRange,
+  sortRulesByPriority,
+  toCellKey,
+} from './utils';
+
+/**
+ * @plugin ConditionalFormatting
+ *
+ * @description
+ * This plugin formats the cells depending on their values. The formatting is defined by the list of the rules. Every
+ * rule describes the range of the cells, the condition which the cell value has to meet and the formatting applied
+ * to the matched cells.
+ *
+ * The rule object can contain the following properties:
+ *  * `id` - the rule identifier (generated when omitted),
+ *  * `range` - the range of the cells (visual indexes) in the `{from: {row, col}, to: {row, col}}` form. The rule
+ *  without the range covers the whole table,
+ *  * `condition` - the condition in the `{name, args}` form or the custom predicate function called with the cell
+ *  value and the visual row and column indexes. Besides the conditions of the {@link Filters} plugin (`eq`, `neq`,
+ *  `gt`, `gte`, `lt`, `lte`, `between`, `not_between`, `contains`, `not_contains`, `begins_with`, `ends_with`, `empty`
+ *  and `not_empty`) the `top` and `bottom` (arguments: `count` and `percent` flag), `duplicate` and `unique`
+ *  conditions can be used. The rule without the condition matches all the cells of its range,
+ *  * `className` - the CSS class name(s) added to the matched cells,
+ *  * `style` - the object with the inline styles applied to the matched cells,
+ *  * `colorScale` - the background color calculated from the cell value (`{min, max, mid}` colors in the
+ *  hexadecimal notation), applied to the numeric cells only,
+ *  * `dataBar` - the bar of the length depending on the cell value (`{color}`), applied to the numeric cells only,
+ *  * `priority` - the rules with the lower priority are evaluated first (`0` by default). When more than one rule
+ *  matches the cell, the class names are combined and the conflicting styles are taken from the first matched rule,
+ *  * `stopIfTrue` - if `true`, the rules evaluated later are not applied to the cells matched by this rule.
+ *
+ * The results of the rules evaluation are cached and the cache is invalidated after any data or structure change.
+ * The changes of the rules made through the API can be reverted with the {@link UndoRedo} plugin.
+ *
+ * @example
+ *
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   conditionalFormatting: [
+ *     {
+ *       range: {from: {row: 0, col: 2}, to: {row: 99, col: 2}},
+ *       condition: {name: 'lt', args: [0]},
+ *       style: {color: 'red'},
+ *       stopIfTrue: true,
+ *     },
+ *     {
+ *       range: {from: {row: 0, col: 3}, to: {row: 99, col: 3}},
+ *       colorScale: {min: '#f8696b', mid: '#ffeb84', max: '#63be7b'},
+ *     },
+ *   ],
+ * });
+ *
+ * // access to conditionalFormatting plugin instance
+ * const conditionalFormattingPlugin = hot.getPlugin('conditionalFormatting');
+ *
+ * conditionalFormattingPlugin.addRule({
+ *   condition: {name: 'duplicate'},
+ *   className: 'duplicated',
+ * });
+ * hot.render();
+ * ```
+ */
+class ConditionalFormatting extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * List of the rules in the order in which they were added.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.rules = [];
+    /**
+     * List of the rules in the order in which they are evaluated.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.sortedRules = [];
+    /**
+     * Cache of the evaluated rules (the matched cells and the range statistics), where the key is the rule id.
+     *
+     * @private
+     * @type {Map}
+     */
+    this.evaluatedRules = new Map();
+    /**
+     * Cache of the calculated cells formatting, where the key is created from the visual cell coordinates.
+     *
+     * @private
+     * @type {Map}
+     */
+    this.formattingCache = new Map();
+    /**
+     * Counter used for generating the identifiers of the rules.
+     *
+     * @private
+     * @type {Number}
+     */
+    this.lastRuleId = 0;
+    /**
+     * The changes for which the cache was already invalidated before rendering the table.
+     *
+     * @private
+     * @type {Array|null}
+     */
+    this.renderedChanges = null;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link ConditionalFormatting#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().conditionalFormatting;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.addHook('afterRenderer', (TD, row, col) => this.onAfterRenderer(TD, row, col));
+    this.addHook('beforeChangeRender', changes => this.onBeforeChangeRender(changes));
+    this.addHook('afterChange', (changes, source) => this.onAfterChange(changes, source));
+    this.addHook('afterLoadData', () => this.invalidateCache());
+    this.addHook('afterCreateRow', () => this.invalidateCache());
+    this.addHook('afterRemoveRow', () => this.invalidateCache());
+    this.addHook('afterCreateCol', () => this.invalidateCache());
+    this.addHook('afterRemoveCol', () => this.invalidateCache());
+    this.addHook('afterColumnSort', () => this.invalidateCache());
+    this.addHook('afterRowMove', () => this.invalidateCache());
+    this.addHook('afterColumnMove', () => this.invalidateCache());
+    this.addHook('afterFilter', () => this.invalidateCache());
+
+    this.loadRulesFromSettings();
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.rules = [];
+    this.sortedRules = [];
+    this.invalidateCache();
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Gets the copies of all the rules (in the order in which they were added).
+   *
+   * @returns {Object[]}
+   */
+  getRules() {
+    return arrayMap(this.rules, rule => cloneRule(rule));
+  }
+
+  /**
+   * Gets the copy of the rule.
+   *
+   * @param {String|Number} id The rule identifier.
+   * @returns {Object|null}
+   */
+  getRule(id) {
+    const rule = this.findRule(id);
+
+    return rule ? cloneRule(rule) : null;
+  }
+
+  /**
+   * Adds the rule.
+   *
+   * @param {Object} rule The rule object.
+   * @returns {String|Number|null} Returns the identifier of the added rule or `null` if the rule is invalid or
+   * the action was canceled.
+   * @fires Hooks#beforeConditionalFormattingRulesChange
+   * @fires Hooks#afterConditionalFormattingRulesChange
+   */
+  addRule(rule) {
+    const newRule = this.normalizeRule(rule, this.rules);
+
+    if (newRule === null || !this.changeRules([...this.rules, newRule])) {
+      return null;
+    }
+
+    return newRule.id;
+  }
+
+  /**
+   * Updates the properties of the rule.
+   *
+   * @param {String|Number} id The rule identifier.
+   * @param {Object} properties The rule properties to change.
+   * @returns {Boolean} Returns `true` if the rule was updated.
+   * @fires Hooks#beforeConditionalFormattingRulesChange
+   * @fires Hooks#afterConditionalFormattingRulesChange
+   */
+  updateRule(id, properties) {
+    const rule = this.findRule(id);
+
+    if (!rule) {
+      return false;
+    }
+    const otherRules = arrayFilter(this.rules, item => item !== rule);
+    const updatedRule = this.normalizeRule({ ...cloneRule(rule), ...properties, id }, otherRules);
+
+    if (updatedRule === null) {
+      return false;
+    }
+
+    return this.changeRules(arrayMap(this.rules, item => (item === rule ? updatedRule : item)));
+  }
+
+  /**
+   * Removes the rule.
+   *
+   * @param {String|Number} id The rule identifier.
+   * @returns {Boolean} Returns `true` if the rule was removed.
+   * @fires Hooks#beforeConditionalFormattingRulesChange
+   * @fires Hooks#afterConditionalFormattingRulesChange
+   */
+  removeRule(id) {
+    const rule = this.findRule(id);
+
+    if (!rule) {
+      return false;
+    }
+
+    return this.changeRules(arrayFilter(this.rules, item => item !== rule));
+  }
+
+  /**
+   * Replaces all the rules.
+   *
+   * @param {Object[]} rules The rule objects.
+   * @returns {Boolean} Returns `true` if the rules were replaced.
+   * @fires Hooks#beforeConditionalFormattingRulesChange
+   * @fires Hooks#afterConditionalFormattingRulesChange
+   */
+  setRules(rules) {
+    return this.changeRules(this.normalizeRules(rules));
+  }
+
+  /**
+   * Removes all the rules.
+   *
+   * @returns {Boolean} Returns `true` if the rules were removed.
+   * @fires Hooks#beforeConditionalFormattingRulesChange
+   * @fires Hooks#afterConditionalFormattingRulesChange
+   */
+  clearRules() {
+    return this.changeRules([]);
+  }
+
+  /**
+   * Gets the formatting calculated for the cell.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {Object|null} Returns an object with the `className` and `style` properties or `null` if no rule
+   * matches the cell.
+   */
+  getCellFormatting(row, column) {
+    const key = toCellKey(row, column);
+
+    if (this.formattingCache.has(key)) {
+      return this.formattingCache.get(key);
+    }
+    const classNames = [];
+    const style = {};
+    let matched = false;
+
+    arrayEach(this.sortedRules, (rule) => {
+      if (!isCellInRuleRange(rule, row, column)) {
+        return;
+      }
+      const evaluatedRule = this.evaluateRule(rule);
+
+      if (!evaluatedRule.matched.has(key)) {
+        return;
+      }
+      matched = true;
+
+      if (rule.className) {
+        arrayEach(rule.className.split(' '), (className) => {
+          if (className && classNames.indexOf(className) === -1) {
+            classNames.push(className);
+          }
+        });
+      }
+      if (isObject(rule.style)) {
+        objectEach(rule.style, (value, property) => {
+          if (!hasOwnProperty(style, property)) {
+            style[property] = value;
+          }
+        });
+      }
+      if (evaluatedRule.numbers.has(key)) {
+        const value = evaluatedRule.numbers.get(key);
+
+        if (rule.colorScale && !hasOwnProperty(style, 'backgroundColor')) {
+          style.backgroundColor = getColorScaleColor(rule.colorScale, value, evaluatedRule.min, evaluatedRule.max);
+        }
+        if (rule.dataBar && !hasOwnProperty(style, 'backgroundImage')) {
+          const length = getDataBarLength(value, evaluatedRule.min, evaluatedRule.max);
+          const color = rule.dataBar.color || '#638ec6';
+
+          style.backgroundImage = `linear-gradient(to right, ${color} ${length}%, transparent ${length}%)`;
+        }
+      }
+
+      if (rule.stopIfTrue) {
+        return false;
+      }
+    });
+
+    const formatting = matched ? { className: classNames.join(' '), style } : null;
+
+    this.formattingCache.set(key, formatting);
+
+    return formatting;
+  }
+
+  /**
+   * Clears the cached results of the rules evaluation. The cache is invalidated automatically after any data
+   * or structure change.
+   */
+  invalidateCache() {
+    this.evaluatedRules.clear();
+    this.formattingCache.clear();
+  }
+
+  /**
+   * Replaces the rules and runs the hooks around the change.
+   *
+   * @private
+   * @param {Object[]} destinationRules The rules which will be applied.
+   * @returns {Boolean} Returns `false` if the change was canceled.
+   */
+  changeRules(destinationRules) {
+    const currentRules = this.getRules();
+    const allowChange = this.hot.runHooks('beforeConditionalFormattingRulesChange', currentRules,
+      arrayMap(destinationRules, rule => cloneRule(rule)));
+
+    if (allowChange === false) {
+      return false;
+    }
+
+    this.rules = destinationRules;
+    this.sortedRules = sortRulesByPriority(this.rules);
+    this.invalidateCache();
+
+    this.hot.runHooks('afterConditionalFormattingRulesChange', currentRules, this.getRules());
+
+    return true;
+  }
+
+  /**
+   * Loads the rules defined in the plugin settings (the hooks are not fired).
+   *
+   * @private
+   */
+  loadRulesFromSettings() {
+    const pluginSettings = this.hot.getSettings().conditionalFormatting;
+
+    this.rules = Array.isArray(pluginSettings) ? this.normalizeRules(pluginSettings) : [];
+    this.sortedRules = sortRulesByPriority(this.rules);
+    this.invalidateCache();
+  }
+
+  /**
+   * Validates and copies the list of the rules. The invalid rules are skipped.
+   *
+   * @private
+   * @param {Object[]} rules The rule objects.
+   * @returns {Object[]}
+   */
+  normalizeRules(rules) {
+    const normalizedRules = [];
+
+    arrayEach(rules, (rule) => {
+      const normalizedRule = this.normalizeRule(rule, normalizedRules);
+
+      if (normalizedRule !== null) {
+        normalizedRules.push(normalizedRule);
+      }
+    });
+
+    return normalizedRules;
+  }
+
+  /**
+   * Validates and copies the rule. The identifier is generated for the rule without it.
+   *
+   * @private
+   * @param {Object} rule The rule object.
+   * @param {Object[]} existingRules The rules which the identifier can not collide with.
+   * @returns {Object|null} Returns `null` if the rule is invalid.
+   */
+  normalizeRule(rule, existingRules) {
+    if (!isObject(rule)) {
+      warn('The conditional formatting rule has to be an object.');
+
+      return null;
+    }
+    const { condition, range } = rule;
+
+    if (condition !== void 0 && typeof condition !== 'function') {
+      if (!isObject(condition)) {
+        warn('The condition of the conditional formatting rule has to be an object or a function.');
+
+        return null;
+      }
+
+      try {
+        getCondition(condition.name, condition.args);
+
+      } catch (error) {
+        warn(error.message);
+
+        return null;
+      }
+    }
+    if (range !== void 0 && !(isObject(range) && isObject(range.from) && isObject(range.to))) {
+      warn('The range of the conditional formatting rule has to be defined as `{from: {row, col}, to: {row, col}}`.');
+
+      return null;
+    }
+    const normalizedRule = cloneRule(rule);
+    const isIdTaken = id => arrayFilter(existingRules, existingRule => existingRule.id === id).length > 0;
+
+    if (!isDefined(normalizedRule.id)) {
+      do {
+        this.lastRuleId += 1;
+        normalizedRule.id = `rule${this.lastRuleId}`;
+      } while (isIdTaken(normalizedRule.id));
+
+    } else if (isIdTaken(normalizedRule.id)) {
+      warn(`The conditional formatting rule with the "${normalizedRule.id}" id already exists.`);
+
+      return null;
+    }
+
+    return normalizedRule;
+  }
+
+  /**
+   * Finds the rule by its identifier.
+   *
+   * @private
+   * @param {String|Number} id The rule identifier.
+   * @returns {Object|undefined}
+   */
+  findRule(id) {
+    return arrayFilter(this.rules, rule => rule.id === id)[0];
+  }
+
+  /**
+   * Evaluates the rule against all the cells of its range. The result is cached until the cache is invalidated.
+   *
+   * @private
+   * @param {Object} rule The rule object.
+   * @returns {Object} Returns an object with the `matched` set of the cell keys, the `numbers` map of the numeric
+   * values of the matched cells and the `min` and `max` of these values.
+   */
+  evaluateRule(rule) {
+    if (this.evaluatedRules.has(rule.id)) {
+      return this.evaluatedRules.get(rule.id);
+    }
+    const lastRow = this.hot.countRows() - 1;
+    const lastColumn = this.hot.countCols() - 1;
+    const { from, to } = rule.range || { from: { row: 0, col: 0 }, to: { row: lastRow, col: lastColumn } };
+    const startRow = Math.max(Math.min(from.row, to.row), 0);
+    const endRow = Math.min(Math.max(from.row, to.row), lastRow);
+    const startColumn = Math.max(Math.min(from.col, to.col), 0);
+    const endColumn = Math.min(Math.max(from.col, to.col), lastColumn);
+    const cells = [];
+
+    rangeEach(startRow, endRow, (row) => {
+      rangeEach(startColumn, endColumn, (col) => {
+        cells.push({ row, col, value: this.hot.getDataAtCell(row, col) });
+      });
+    });
+
+    let results;
+
+    if (typeof rule.condition === 'function') {
+      results = arrayMap(cells, ({ row, col, value }) => !!rule.condition.call(this.hot, value, row, col));
+
+    } else if (rule.condition) {
+      results = getCondition(rule.condition.name, rule.condition.args)(cells, ({ row, col }) => this.hot.getCellMeta(row, col));
+
+    } else {
+      results = arrayMap(cells, () => true);
+    }
+
+    const evaluatedRule = {
+      matched: new Set(),
+      numbers: new Map(),
+      min: Infinity,
+      max: -Infinity,
+    };
+
+    arrayEach(cells, ({ row, col, value }, index) => {
+      if (!results[index]) {
+        return;
+      }
+      const key = toCellKey(row, col);
+
+      evaluatedRule.matched.add(key);
+
+      if (isNumeric(value)) {
+        const number = parseFloat(value);
+
+        evaluatedRule.numbers.set(key, number);
+        evaluatedRule.min = Math.min(evaluatedRule.min, number);
+        evaluatedRule.max = Math.max(evaluatedRule.max, number);
+      }
+    });
+
+    this.evaluatedRules.set(rule.id, evaluatedRule);
+
+    return evaluatedRule;
+  }
+
+  /**
+   * `beforeChangeRender` hook callback. The table is rendered before the `afterChange` hook is fired, so the cache has
+   * to be invalidated earlier.
+   *
+   * @private
+   * @param {Array} changes Array of changes.
+   */
+  onBeforeChangeRender(changes) {
+    this.invalidateCache();
+    this.renderedChanges = changes;
+  }
+
+  /**
+   * `afterChange` hook callback. Invalidates the cache for the changes which were not handled by
+   * the `beforeChangeRender` hook (e.g. reported by the {@link ObserveChanges} plugin).
+   *
+   * @private
+   * @param {Array} changes Array of changes.
+   * @param {String} source Source of the change.
+   */
+  onAfterChange(changes, source) {
+    if (changes !== this.renderedChanges && source !== 'loadData') {
+      this.invalidateCache();
+    }
+    this.renderedChanges = null;
+  }
+
+  /**
+   * `afterRenderer` hook callback. Applies the formatting to the rendered cell.
+   *
+   * @private
+   * @param {HTMLTableCellElement} TD The rendered `TD` element.
+   * @param {Number} row Visual row index.
+   * @param {Number} col Visual column index.
+   */
+  onAfterRenderer(TD, row, col) {
+    if (this.sortedRules.length === 0) {
+      return;
+    }
+    const formatting = this.getCellFormatting(row, col);
+
+    if (formatting === null) {
+      return;
+    }
+    if (formatting.className) {
+      addClass(TD, formatting.className.split(' '));
+    }
+    objectEach(formatting.style, (value, property) => {
+      TD.style[property] = value;
+    });
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    super.destroy();
+  }
+}
+
+registerPlugin('conditionalFormatting', ConditionalFormatting);
+
+export default ConditionalFormatting;
@@ -0,0 +1,119 @@
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { isNumeric } from './../../helpers/number';
+import { stringify } from './../../helpers/mixed';
+import { conditions as filtersConditions, getCondition as getFiltersCondition } from './../filters/conditionRegisterer';
+import './../filters/conditions';
+
+/**
+ * Conditions which need to know all the values of the formatted range (e.g. to find the highest values or
+ * the duplicates).
+ *
+ * @type {Object}
+ */
+export const conditions = {};
+
+/**
+ * Registers the condition which is evaluated against all cells of the formatted range at once.
+ *
+ * @param {String} name Condition name.
+ * @param {Function} condition Function which is called with the array of the cell objects (`row`, `col`, `value`)
+ * and the condition arguments. It has to return an array of booleans (one for every cell).
+ */
+export function registerCondition(name, condition) {
+  conditions[name] = condition;
+}
+
+/**
+ * Gets the function which evaluates the condition against all cells of the formatted range. Besides the conditions
+ * registered by the plugin, all the conditions known by the {@link Filters} plugin (`eq`, `gt`, `between`, `contains`
+ * and so on) can be used.
+ *
+ * @param {String} name Condition name.
+ * @param {Array} [args=[]] Condition arguments.
+ * @returns {Function} Function which takes the array of the cell objects and the function which returns the cell
+ * meta for the cell object.
+ */
+export function getCondition(name, args = []) {
+  if (conditions[name]) {
+    return cells => conditions[name](cells, args);
+  }
+
+  if (!filtersConditions[name]) {
+    throw Error(`Conditional formatting condition "${name}" does not exist.`);
+  }
+  const condition = getFiltersCondition(name, arrayMap(args, v => (typeof v === 'string' ? v.toLowerCase() : v)));
+
+  return (cells, getMeta) => arrayMap(cells, cell => condition({ value: cell.value, meta: getMeta(cell) }));
+}
+
+/**
+ * Gets the numeric values sorted in the ascending order.
+ *
+ * @param {Object[]} cells The cell objects.
+ * @returns {Number[]}
+ */
+function getSortedNumbers(cells) {
+  const numbers = arrayMap(arrayFilter(cells, ({ value }) => isNumeric(value)), ({ value }) => parseFloat(value));
+
+  return numbers.sort((a, b) => a - b);
+}
+
+/**
+ * Creates the condition which matches the highest or the lowest numeric values of the range.
+ *
+ * @param {Boolean} highest `true` for the highest values, `false` for the lowest.
+ * @returns {Function}
+ */
+function createRankCondition(highest) {
+  return (cells, [count = 10, percent = false]) => {
+    const numbers = getSortedNumbers(cells);
+    const size = percent ? Math.floor((numbers.length * count) / 100) : count;
+
+    if (size <= 0 || numbers.length === 0) {
+      return arrayMap(cells, () => false);
+    }
+    const threshold = highest ?
+      numbers[Math.max(numbers.length - size, 0)] : numbers[Math.min(size, numbers.length) - 1];
+
+    return arrayMap(cells, ({ value }) => {
+      if (!isNumeric(value)) {
+        return false;
+      }
+
+      return highest ? parseFloat(value) >= threshold : parseFloat(value) <= threshold;
+    });
+  };
+}
+
+/**
+ * Creates the condition which matches the values occurring more than once (or exactly once) in the range. The empty
+ * cells are never matched. Values are compared in the stringified form.
+ *
+ * @param {Boolean} duplicates `true` for the duplicated values, `false` for the unique ones.
+ * @returns {Function}
+ */
+function createOccurrenceCondition(duplicates) {
+  return (cells) => {
+    const occurrences = new Map();
+    const keys = arrayMap(cells, ({ value }) => (value === null || value === void 0 || value === '' ? null : stringify(value)));
+
+    arrayEach(keys, (key) => {
+      if (key !== null) {
+        occurrences.set(key, (occurrences.get(key) || 0) + 1);
+      }
+    });
+
+    return arrayMap(keys, (key) => {
+      if (key === null) {
+        return false;
+      }
+
+      return duplicates ? occurrences.get(key) > 1 : occurrences.get(key) === 1;
+    });
+  };
+}
+
+registerCondition('top', createRankCondition(true));
+registerCondition('bottom', createRankCondition(false));
+registerCondition('duplicate', createOccurrenceCondition(true));
+registerCondition('unique', createOccurrenceCondition(false));
@@ -0,0 +1,363 @@
+describe('ConditionalFormatting', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  const getNumbers = () => [
+    [1, 10, 'foo'],
+    [2, 20, 'bar'],
+    [3, 30, 'foo'],
+    [4, 40, 'baz'],
+    [5, 50, 'qux'],
+  ];
+
+  describe('settings', () => {
+    it('should apply the class name to the cells matching the rule defined in the settings', () => {
+      handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { range: { from: { row: 0, col: 0 }, to: { row: 4, col: 0 } }, condition: { name: 'gt', args: [3] }, className: 'high' },
+        ],
+      });
+
+      expect($(getCell(3, 0)).hasClass('high')).toBe(true);
+      expect($(getCell(4, 0)).hasClass('high')).toBe(true);
+      expect($(getCell(2, 0)).hasClass('high')).toBe(false);
+      expect($(getCell(4, 1)).hasClass('high')).toBe(false);
+    });
+
+    it('should apply the inline styles to the matched cells', () => {
+      handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'eq', args: ['foo'] }, style: { color: 'red', fontWeight: 'bold' } },
+        ],
+      });
+
+      expect(getCell(0, 2).style.color).toBe('red');
+      expect(getCell(0, 2).style.fontWeight).toBe('bold');
+      expect(getCell(1, 2).style.color).toBe('');
+    });
+
+    it('should skip the invalid rules', () => {
+      const warnSpy = spyOn(console, 'warn');
+
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'foo' }, className: 'invalid' },
+          { condition: { name: 'lt', args: [2] }, className: 'low' },
+        ],
+      });
+
+      expect(hot.getPlugin('conditionalFormatting').getRules().length).toBe(1);
+      expect($(getCell(0, 0)).hasClass('low')).toBe(true);
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('should reload the rules after updating the settings', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'lt', args: [2] }, className: 'low' },
+        ],
+      });
+
+      updateSettings({
+        conditionalFormatting: [
+          { condition: { name: 'gt', args: [40] }, className: 'high' },
+        ],
+      });
+
+      expect(hot.getPlugin('conditionalFormatting').getRules().length).toBe(1);
+      expect($(getCell(0, 0)).hasClass('low')).toBe(false);
+      expect($(getCell(4, 1)).hasClass('high')).toBe(true);
+
+      updateSettings({ conditionalFormatting: false });
+
+      expect($(getCell(4, 1)).hasClass('high')).toBe(false);
+    });
+  });
+
+  describe('conditions', () => {
+    it('should match the values between the boundaries', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'between', args: [20, 40] }, className: 'between' },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(0, 1)).toBe(null);
+      expect(plugin.getCellFormatting(1, 1).className).toBe('between');
+      expect(plugin.getCellFormatting(3, 1).className).toBe('between');
+      expect(plugin.getCellFormatting(4, 1)).toBe(null);
+    });
+
+    it('should match the values containing the text', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'contains', args: ['BA'] }, className: 'text' },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(0, 2)).toBe(null);
+      expect(plugin.getCellFormatting(1, 2).className).toBe('text');
+      expect(plugin.getCellFormatting(3, 2).className).toBe('text');
+    });
+
+    it('should match the highest and the lowest values within the range', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { range: { from: { row: 0, col: 1 }, to: { row: 4, col: 1 } }, condition: { name: 'top', args: [2] }, className: 'top' },
+          { range: { from: { row: 0, col: 1 }, to: { row: 4, col: 1 } }, condition: { name: 'bottom', args: [20, true] }, className: 'bottom' },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(4, 1).className).toBe('top');
+      expect(plugin.getCellFormatting(3, 1).className).toBe('top');
+      expect(plugin.getCellFormatting(2, 1)).toBe(null);
+      expect(plugin.getCellFormatting(0, 1).className).toBe('bottom');
+      expect(plugin.getCellFormatting(4, 0)).toBe(null);
+    });
+
+    it('should match the duplicated values', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { range: { from: { row: 0, col: 2 }, to: { row: 4, col: 2 } }, condition: { name: 'duplicate' }, className: 'duplicate' },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(0, 2).className).toBe('duplicate');
+      expect(plugin.getCellFormatting(2, 2).className).toBe('duplicate');
+      expect(plugin.getCellFormatting(1, 2)).toBe(null);
+    });
+
+    it('should match the cells with the custom predicate', () => {
+      const predicate = jasmine.createSpy('predicate').and.callFake((value, row) => row % 2 === 0);
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { range: { from: { row: 0, col: 0 }, to: { row: 4, col: 0 } }, condition: predicate, className: 'even' },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(0, 0).className).toBe('even');
+      expect(plugin.getCellFormatting(1, 0)).toBe(null);
+      expect(predicate).toHaveBeenCalledWith(1, 0, 0);
+      expect(predicate.calls.mostRecent().object).toBe(hot);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should apply the color scale to the numeric cells', () => {
+      const hot = handsontable({
+        data: [[0], [5], [10], ['text']],
+        conditionalFormatting: [
+          { colorScale: { min: '#000000', max: '#ffffff' } },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(0, 0).style.backgroundColor).toBe('rgb(0, 0, 0)');
+      expect(plugin.getCellFormatting(1, 0).style.backgroundColor).toBe('rgb(128, 128, 128)');
+      expect(plugin.getCellFormatting(2, 0).style.backgroundColor).toBe('rgb(255, 255, 255)');
+      expect(plugin.getCellFormatting(3, 0).style.backgroundColor).toBe(void 0);
+      expect(getCell(1, 0).style.backgroundColor).toBe('rgb(128, 128, 128)');
+    });
+
+    it('should apply the data bar to the numeric cells', () => {
+      const hot = handsontable({
+        data: [[25], [50], [100]],
+        conditionalFormatting: [
+          { dataBar: { color: '#ff0000' } },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(0, 0).style.backgroundImage).toBe('linear-gradient(to right, #ff0000 25%, transparent 25%)');
+      expect(plugin.getCellFormatting(2, 0).style.backgroundImage).toBe('linear-gradient(to right, #ff0000 100%, transparent 100%)');
+    });
+
+    it('should combine the class names and take the conflicting styles from the rule with the higher priority', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'gt', args: [2] }, className: 'second', style: { color: 'blue', fontStyle: 'italic' }, priority: 2 },
+          { condition: { name: 'gt', args: [3] }, className: 'first', style: { color: 'red' }, priority: 1 },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(4, 0)).toEqual({ className: 'first second', style: { color: 'red', fontStyle: 'italic' } });
+      expect(plugin.getCellFormatting(2, 0)).toEqual({ className: 'second', style: { color: 'blue', fontStyle: 'italic' } });
+    });
+
+    it('should not apply the rules evaluated after the matched rule with the `stopIfTrue` option', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { condition: { name: 'gt', args: [2] }, className: 'second' },
+          { condition: { name: 'gt', args: [3] }, className: 'first', stopIfTrue: true, priority: -1 },
+        ],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.getCellFormatting(4, 0).className).toBe('first');
+      expect(plugin.getCellFormatting(2, 0).className).toBe('second');
+    });
+  });
+
+  describe('cache', () => {
+    it('should evaluate the rule once until the data is changed', () => {
+      const predicate = jasmine.createSpy('predicate').and.callFake(value => value > 2);
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [
+          { range: { from: { row: 0, col: 0 }, to: { row: 4, col: 0 } }, condition: predicate, className: 'high' },
+        ],
+      });
+
+      predicate.calls.reset();
+      render();
+
+      expect(predicate).not.toHaveBeenCalled();
+
+      setDataAtCell(0, 0, 10);
+
+      expect(predicate).toHaveBeenCalledTimes(5);
+      expect(hot.getPlugin('conditionalFormatting').getCellFormatting(0, 0).className).toBe('high');
+      expect($(getCell(0, 0)).hasClass('high')).toBe(true);
+    });
+
+    it('should reevaluate the rules after sorting the rows', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        columnSorting: true,
+        conditionalFormatting: [
+          { range: { from: { row: 0, col: 0 }, to: { row: 0, col: 0 } }, className: 'first' },
+          { range: { from: { row: 0, col: 0 }, to: { row: 4, col: 0 } }, condition: { name: 'top', args: [1] }, className: 'top' },
+        ],
+      });
+
+      hot.getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+      expect(hot.getPlugin('conditionalFormatting').getCellFormatting(0, 0).className).toBe('first top');
+      expect(hot.getPlugin('conditionalFormatting').getCellFormatting(4, 0)).toBe(null);
+    });
+  });
+
+  describe('API', () => {
+    it('should add, update and remove the rules', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: true,
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+      const ruleId = plugin.addRule({ condition: { name: 'lt', args: [3] }, className: 'low' });
+
+      render();
+
+      expect($(getCell(0, 0)).hasClass('low')).toBe(true);
+      expect(plugin.getRule(ruleId).className).toBe('low');
+
+      expect(plugin.updateRule(ruleId, { className: 'small' })).toBe(true);
+      render();
+
+      expect($(getCell(0, 0)).hasClass('low')).toBe(false);
+      expect($(getCell(0, 0)).hasClass('small')).toBe(true);
+
+      expect(plugin.removeRule(ruleId)).toBe(true);
+      render();
+
+      expect($(getCell(0, 0)).hasClass('small')).toBe(false);
+      expect(plugin.getRules()).toEqual([]);
+      expect(plugin.removeRule(ruleId)).toBe(false);
+    });
+
+    it('should not allow to add the rule with the already used id', () => {
+      spyOn(console, 'warn');
+
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [{ id: 'first', className: 'foo' }],
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      expect(plugin.addRule({ id: 'first', className: 'bar' })).toBe(null);
+      expect(plugin.getRules().length).toBe(1);
+    });
+
+    it('should fire the hooks around the rules change and allow to cancel it', () => {
+      const beforeChange = jasmine.createSpy('beforeChange');
+      const afterChange = jasmine.createSpy('afterChange');
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: [{ id: 'first', className: 'foo' }],
+        beforeConditionalFormattingRulesChange: beforeChange,
+        afterConditionalFormattingRulesChange: afterChange,
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      plugin.addRule({ id: 'second', className: 'bar' });
+
+      expect(beforeChange).toHaveBeenCalledWith([{ id: 'first', className: 'foo' }],
+        [{ id: 'first', className: 'foo' }, { id: 'second', className: 'bar' }], void 0, void 0, void 0, void 0);
+      expect(afterChange).toHaveBeenCalledWith([{ id: 'first', className: 'foo' }],
+        [{ id: 'first', className: 'foo' }, { id: 'second', className: 'bar' }], void 0, void 0, void 0, void 0);
+
+      beforeChange.and.returnValue(false);
+
+      expect(plugin.clearRules()).toBe(false);
+      expect(plugin.getRules().length).toBe(2);
+    });
+
+    it('should undo and redo the rules changes', () => {
+      const hot = handsontable({
+        data: getNumbers(),
+        conditionalFormatting: true,
+      });
+      const plugin = hot.getPlugin('conditionalFormatting');
+
+      plugin.addRule({ id: 'low', condition: { name: 'lt', args: [3] }, className: 'low' });
+      plugin.updateRule('low', { className: 'small' });
+      render();
+
+      expect($(getCell(0, 0)).hasClass('small')).toBe(true);
+
+      hot.undo();
+
+      expect(plugin.getRule('low').className).toBe('low');
+      expect($(getCell(0, 0)).hasClass('low')).toBe(true);
+
+      hot.undo();
+
+      expect(plugin.getRules()).toEqual([]);
+      expect($(getCell(0, 0)).hasClass('low')).toBe(false);
+
+      hot.redo();
+      hot.redo();
+
+      expect(plugin.getRule('low').className).toBe('small');
+      expect($(getCell(0, 0)).hasClass('small')).toBe(true);
+      expect(hot.isRedoAvailable()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  cloneRule,
+  getColorScaleColor,
+  getDataBarLength,
+  interpolateColor,
+  isCellInRuleRange,
+  parseHexColor,
+  sortRulesByPriority,
+} from 'handsontable/plugins/conditionalFormatting/utils';
+import { getCondition } from 'handsontable/plugins/conditionalFormatting/conditions';
+
+describe('ConditionalFormatting', () => {
+  describe('cloneRule', () => {
+    it('should copy the nested objects and keep the functions', () => {
+      const predicate = () => true;
+      const rule = {
+        id: 'a',
+        range: { from: { row: 0, col: 0 }, to: { row: 2, col: 2 } },
+        condition: { name: 'gt', args: [1] },
+        style: { color: 'red' },
+        custom: predicate,
+      };
+      const copy = cloneRule(rule);
+
+      expect(copy).toEqual(rule);
+      expect(copy.range.from).not.toBe(rule.range.from);
+      expect(copy.condition.args).not.toBe(rule.condition.args);
+      expect(copy.style).not.toBe(rule.style);
+      expect(copy.custom).toBe(predicate);
+    });
+  });
+
+  describe('isCellInRuleRange', () => {
+    it('should check if the cell lays inside the range (defined in any direction)', () => {
+      const rule = { range: { from: { row: 3, col: 3 }, to: { row: 1, col: 1 } } };
+
+      expect(isCellInRuleRange(rule, 2, 2)).toBe(true);
+      expect(isCellInRuleRange(rule, 1, 3)).toBe(true);
+      expect(isCellInRuleRange(rule, 0, 2)).toBe(false);
+      expect(isCellInRuleRange(rule, 2, 4)).toBe(false);
+    });
+
+    it('should treat the rule without the range as covering the whole table', () => {
+      expect(isCellInRuleRange({}, 100, 100)).toBe(true);
+    });
+  });
+
+  describe('sortRulesByPriority', () => {
+    it('should sort the rules by the priority and keep the order of the rules with the same priority', () => {
+      const rules = [{ id: 1, priority: 2 }, { id: 2 }, { id: 3, priority: -1 }, { id: 4, priority: 0 }];
+
+      expect(sortRulesByPriority(rules).map(rule => rule.id)).toEqual([3, 2, 4, 1]);
+      expect(rules.map(rule => rule.id)).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  describe('colors', () => {
+    it('should parse the colors in the hexadecimal notation', () => {
+      expect(parseHexColor('#ff8000')).toEqual([255, 128, 0]);
+      expect(parseHexColor('#F80')).toEqual([255, 136, 0]);
+      expect(parseHexColor('red')).toBe(null);
+      expect(parseHexColor(null)).toBe(null);
+    });
+
+    it('should interpolate the colors', () => {
+      expect(interpolateColor('#000000', '#ffffff', 0)).toBe('rgb(0, 0, 0)');
+      expect(interpolateColor('#000000', '#ffffff', 0.5)).toBe('rgb(128, 128, 128)');
+      expect(interpolateColor('#000000', '#ffffff', 2)).toBe('rgb(255, 255, 255)');
+    });
+
+    it('should calculate the color of the two and three colors scale', () => {
+      expect(getColorScaleColor({ min: '#000000', max: '#ffffff' }, 5, 0, 10)).toBe('rgb(128, 128, 128)');
+      expect(getColorScaleColor({ min: '#ff0000', mid: '#00ff00', max: '#0000ff' }, 0, 0, 10)).toBe('rgb(255, 0, 0)');
+      expect(getColorScaleColor({ min: '#ff0000', mid: '#00ff00', max: '#0000ff' }, 5, 0, 10)).toBe('rgb(0, 255, 0)');
+      expect(getColorScaleColor({ min: '#ff0000', mid: '#00ff00', max: '#0000ff' }, 10, 0, 10)).toBe('rgb(0, 0, 255)');
+      expect(getColorScaleColor({ min: '#000000', max: '#ffffff' }, 3, 3, 3)).toBe('rgb(255, 255, 255)');
+    });
+  });
+
+  describe('getDataBarLength', () => {
+    it('should calculate the length of the data bar', () => {
+      expect(getDataBarLength(5, 1, 10)).toBe(50);
+      expect(getDataBarLength(10, 1, 10)).toBe(100);
+      expect(getDataBarLength(-5, -10, 10)).toBe(25);
+      expect(getDataBarLength(0, 0, 0)).toBe(0);
+    });
+  });
+
+  describe('conditions', () => {
+    const toCells = values => values.map((value, index) => ({ row: index, col: 0, value }));
+    const getMeta = () => ({ instance: {} });
+
+    it('should match the highest and the lowest values', () => {
+      const cells = toCells([5, '1', 'text', 9, 7, null, 3]);
+
+      expect(getCondition('top', [2])(cells, getMeta)).toEqual([false, false, false, true, true, false, false]);
+      expect(getCondition('bottom', [2])(cells, getMeta)).toEqual([false, true, false, false, false, false, true]);
+      expect(getCondition('top', [40, true])(cells, getMeta)).toEqual([false, false, false, true, true, false, false]);
+      expect(getCondition('top', [0])(cells, getMeta)).toEqual([false, false, false, false, false, false, false]);
+    });
+
+    it('should match the duplicated and the unique values', () => {
+      const cells = toCells(['a', 1, '1', 'b', 'a', '', '', null]);
+
+      expect(getCondition('duplicate')(cells, getMeta)).toEqual([true, true, true, false, true, false, false, false]);
+      expect(getCondition('unique')(cells, getMeta)).toEqual([false, false, false, true, false, false, false, false]);
+    });
+
+    it('should use the conditions of the Filters plugin', () => {
+      const cells = toCells([1, 5, 10, 'Foo bar']);
+
+      expect(getCondition('gt', [4])(cells, getMeta)).toEqual([false, true, true, true]);
+      expect(getCondition('between', [2, 10])(cells, getMeta)).toEqual([false, true, true, false]);
+      expect(getCondition('contains', ['BAR'])(cells, getMeta)).toEqual([false, false, false, true]);
+    });
+
+    it('should throw an error for the unknown condition', () => {
+      expect(() => getCondition('foo')).toThrowError('Conditional formatting condition "foo" does not exist.');
+    });
+  });
+});
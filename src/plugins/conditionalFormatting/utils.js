@@ -0,0 +1,155 @@
+import { arrayMap } from './../../helpers/array';
+import { isDefined } from './../../helpers/mixed';
+import { clone, isObject, objectEach } from './../../helpers/object';
+
+/**
+ * Creates the key under which the formatting of the cell is cached.
+ *
+ * @param {Number} row Visual row index.
+ * @param {Number} column Visual column index.
+ * @returns {String}
+ */
+export function toCellKey(row, column) {
+  return `${row}:${column}`;
+}
+
+/**
+ * Creates a copy of the rule object. The nested objects (range, condition, style and others) are copied as well,
+ * functions (custom predicates) are passed by reference.
+ *
+ * @param {Object} rule The rule object.
+ * @returns {Object}
+ */
+export function cloneRule(rule) {
+  const result = clone(rule);
+
+  objectEach(result, (value, key) => {
+    if (Array.isArray(value)) {
+      result[key] = value.slice();
+
+    } else if (isObject(value)) {
+      result[key] = key === 'range' ? { from: clone(value.from), to: clone(value.to) } : clone(value);
+
+      if (Array.isArray(value.args)) {
+        result[key].args = value.args.slice();
+      }
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Checks if the cell lays inside the range of the rule. The rule without the range covers the whole table.
+ *
+ * @param {Object} rule The rule object.
+ * @param {Number} row Visual row index.
+ * @param {Number} column Visual column index.
+ * @returns {Boolean}
+ */
+export function isCellInRuleRange(rule, row, column) {
+  if (!rule.range) {
+    return true;
+  }
+  const { from, to } = rule.range;
+
+  return row >= Math.min(from.row, to.row) && row <= Math.max(from.row, to.row) &&
+    column >= Math.min(from.col, to.col) && column <= Math.max(from.col, to.col);
+}
+
+/**
+ * Sorts the rules by their priority. The rules with the lower `priority` value are evaluated first, the rules with
+ * the same priority keep their order.
+ *
+ * @param {Object[]} rules The rule objects.
+ * @returns {Object[]} Returns a new array.
+ */
+export function sortRulesByPriority(rules) {
+  const indexed = arrayMap(rules, (rule, index) => [rule, index]);
+
+  indexed.sort(([ruleA, indexA], [ruleB, indexB]) => {
+    const priorityA = isDefined(ruleA.priority) ? ruleA.priority : 0;
+    const priorityB = isDefined(ruleB.priority) ? ruleB.priority : 0;
+
+    return priorityA === priorityB ? indexA - indexB : priorityA - priorityB;
+  });
+
+  return arrayMap(indexed, ([rule]) => rule);
+}
+
+/**
+ * Parses the color written in the hexadecimal notation (`#rgb` or `#rrggbb`).
+ *
+ * @param {String} color The color to parse.
+ * @returns {Number[]|null} Returns an array of the red, green and blue components or `null` if the color is invalid.
+ */
+export function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(typeof color === 'string' ? color.trim() : '');
+
+  if (!match) {
+    return null;
+  }
+  let hex = match[1];
+
+  if (hex.length === 3) {
+    hex = arrayMap(hex.split(''), char => `${char}${char}`).join('');
+  }
+
+  return arrayMap([0, 2, 4], offset => parseInt(hex.substr(offset, 2), 16));
+}
+
+/**
+ * Calculates the color placed on the gradient between two colors.
+ *
+ * @param {String} fromColor The color in the hexadecimal notation used for the `ratio` equal to `0`.
+ * @param {String} toColor The color in the hexadecimal notation used for the `ratio` equal to `1`.
+ * @param {Number} ratio Position on the gradient (from `0` to `1`).
+ * @returns {String} Returns the color in the `rgb(r, g, b)` notation.
+ */
+export function interpolateColor(fromColor, toColor, ratio) {
+  const from = parseHexColor(fromColor) || [255, 255, 255];
+  const to = parseHexColor(toColor) || [255, 255, 255];
+  const clampedRatio = Math.min(Math.max(ratio, 0), 1);
+  const [red, green, blue] = arrayMap(from, (component, index) => Math.round(component + ((to[index] - component) * clampedRatio)));
+
+  return `rgb(${red}, ${green}, ${blue})`;
+}
+
+/**
+ * Calculates the color of the cell formatted with the color scale.
+ *
+ * @param {Object} colorScale The color scale definition (`min`, `max` and optional `mid` colors).
+ * @param {Number} value The cell value.
+ * @param {Number} min The lowest value in the formatted range.
+ * @param {Number} max The highest value in the formatted range.
+ * @returns {String}
+ */
+export function getColorScaleColor(colorScale, value, min, max) {
+  const ratio = max === min ? 1 : (value - min) / (max - min);
+
+  if (colorScale.mid) {
+    return ratio < 0.5 ?
+      interpolateColor(colorScale.min, colorScale.mid, ratio * 2) :
+      interpolateColor(colorScale.mid, colorScale.max, (ratio - 0.5) * 2);
+  }
+
+  return interpolateColor(colorScale.min, colorScale.max, ratio);
+}
+
+/**
+ * Calculates the length (in percents) of the data bar displayed in the cell.
+ *
+ * @param {Number} value The cell value.
+ * @param {Number} min The lowest value in the formatted range.
+ * @param {Number} max The highest value in the formatted range.
+ * @returns {Number}
+ */
+export function getDataBarLength(value, min, max) {
+  const lowest = Math.min(min, 0);
+
+  if (max === lowest) {
+    return 0;
+  }
+
+  return Math.round(((value - lowest) / (max - lowest)) * 100);
+}
@@ -0,0 +1,395 @@
+import BasePlugin from './../_base';
+import { arrayEach } from './../../helpers/array';
+import CommandExecutor from './../contextMenu/commandExecutor';
+import EventManager from './../../eventManager';
+import { hasClass } from './../../helpers/dom/element';
+import { stopPropagation } from './../../helpers/dom/event';
+import ItemsFactory from './../contextMenu/itemsFactory';
+import Menu from './../contextMenu/menu';
+import { registerPlugin } from './../../plugins';
+import {
+  COLUMN_LEFT,
+  COLUMN_RIGHT,
+  REMOVE_COLUMN,
+  CLEAR_COLUMN,
+  READ_ONLY,
+  ALIGNMENT,
+  SEPARATOR
+} from './../contextMenu/predefinedItems';
+
+import './dropdownMenu.css';
+
+const BUTTON_CLASS_NAME = 'changeType';
+
+/**
+ * @plugin DropdownMenu
+ *
+ * @description
+ * This plugin creates the Handsontable Dropdown Menu. It allows to create a new column at any place in the grid
+ * among [other features](http://docs.handsontable.com/demo-dropdown-menu.html).
+ * Possible values:
+ * * `true` (to enable default options),
+ * * `false` (to disable completely)
+ *
+ * or array of any available strings:
+ * * `'col_left'`
+ * * `'col_right'`
+ * * `'remove_col'`
+ * * `'clear_column'`
+ * * `'make_read_only'`
+ * * `'alignment'`
+ * * `'---------'` (menu item separator)
+ *
+ * Custom menu items can be added with the same syntax as in the {@link Options#contextMenu} option.
+ *
+ * See [the dropdown menu demo](http://docs.handsontable.com/demo-dropdown-menu.html) for examples.
+ *
+ * @example
+ * ```
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: data,
+ *   colHeaders: true,
+ *   // enable dropdown menu
+ *   dropdownMenu: true
+ * });
+ *
+ * // or
+ * const hot = new Handsontable(container, {
+ *   data: data,
+ *   colHeaders: true,
+ *   // enable and configure dropdown menu
+ *   dropdownMenu: ['remove_col', '---------', 'make_read_only', 'alignment']
+ * });
+ * ```
+ */
+class DropdownMenu extends BasePlugin {
+  /**
+   * Default menu items order when `dropdownMenu` is enabled by setting the config item to `true`.
+   *
+   * @returns {Array}
+   */
+  static get DEFAULT_ITEMS() {
+    return [
+      COLUMN_LEFT,
+      COLUMN_RIGHT,
+      SEPARATOR,
+      REMOVE_COLUMN,
+      SEPARATOR,
+      CLEAR_COLUMN,
+      SEPARATOR,
+      READ_ONLY,
+      SEPARATOR,
+      ALIGNMENT,
+    ];
+  }
+
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Instance of {@link EventManager}.
+     *
+     * @private
+     * @type {EventManager}
+     */
+    this.eventManager = new EventManager(this);
+    /**
+     * Instance of {@link CommandExecutor}.
+     *
+     * @private
+     * @type {CommandExecutor}
+     */
+    this.commandExecutor = new CommandExecutor(this.hot);
+    /**
+     * Instance of {@link ItemsFactory}.
+     *
+     * @private
+     * @type {ItemsFactory}
+     */
+    this.itemsFactory = null;
+    /**
+     * Instance of {@link Menu}.
+     *
+     * @private
+     * @type {Menu}
+     */
+    this.menu = null;
+
+    // One listener for enable/disable functionality
+    this.hot.addHook('afterGetColHeader', (col, TH) => this.onAfterGetColHeader(col, TH));
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link DropdownMenu#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return this.hot.getSettings().dropdownMenu;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   *
+   * @fires Hooks#afterDropdownMenuDefaultOptions
+   * @fires Hooks#beforeDropdownMenuSetItems
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+    this.itemsFactory = new ItemsFactory(this.hot, DropdownMenu.DEFAULT_ITEMS);
+
+    const settings = this.hot.getSettings().dropdownMenu;
+    const predefinedItems = {
+      items: this.itemsFactory.getItems(settings)
+    };
+    this.registerEvents();
+
+    if (typeof settings.callback === 'function') {
+      this.commandExecutor.setCommonCallback(settings.callback);
+    }
+    super.enablePlugin();
+
+    this.callOnPluginsReady(() => {
+      this.hot.runHooks('afterDropdownMenuDefaultOptions', predefinedItems);
+
+      this.itemsFactory.setPredefinedItems(predefinedItems.items);
+      const menuItems = this.itemsFactory.getItems(settings);
+
+      if (this.menu) {
+        this.menu.destroy();
+      }
+      this.menu = new Menu(this.hot, {
+        className: 'htDropdownMenu',
+        keepInViewport: true
+      });
+      this.hot.runHooks('beforeDropdownMenuSetItems', menuItems);
+
+      this.menu.setMenuItems(menuItems);
+
+      this.menu.addLocalHook('beforeOpen', () => this.onMenuBeforeOpen());
+      this.menu.addLocalHook('afterOpen', () => this.onMenuAfterOpen());
+      this.menu.addLocalHook('afterClose', () => this.onMenuAfterClose());
+      this.menu.addLocalHook('executeCommand', (...params) => this.executeCommand.call(this, ...params));
+
+      // Register all commands. Predefined and added by user or by plugins
+      arrayEach(menuItems, command => this.commandExecutor.registerCommand(command.key, command));
+    });
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.close();
+
+    if (this.menu) {
+      this.menu.destroy();
+      this.menu = null;
+    }
+    super.disablePlugin();
+  }
+
+  /**
+   * Registers the DOM listeners.
+   *
+   * @private
+   */
+  registerEvents() {
+    this.eventManager.addEventListener(this.hot.rootElement, 'click', event => this.onTableClick(event));
+  }
+
+  /**
+   * Opens menu and re-position it based on the passed coordinates.
+   *
+   * @param {Object|Event} position An object with `top` and `left` properties which contains values relative to
+   *                                the upper left edge of the viewport (optionally with the `width` and `height`
+   *                                properties of the element which the menu is attached to) or the native mouse event.
+   * @fires Hooks#beforeDropdownMenuShow
+   * @fires Hooks#afterDropdownMenuShow
+   */
+  open(position) {
+    if (!this.menu) {
+      return;
+    }
+    this.menu.open();
+
+    if (position.width) {
+      this.menu.setOffset('left', position.width);
+    }
+    if (position.height) {
+      this.menu.setOffset('above', -position.height);
+    }
+    this.menu.setPosition(position);
+
+    // ContextMenu is not detected HotTableEnv correctly because is injected outside hot-table
+    this.menu.hotMenu.isHotTableEnv = this.hot.isHotTableEnv;
+  }
+
+  /**
+   * Closes dropdown menu.
+   */
+  close() {
+    if (!this.menu) {
+      return;
+    }
+    this.menu.close();
+  }
+
+  /**
+   * Executes context menu command.
+   *
+   * You can execute all predefined commands:
+   *  * `'col_left'` - Insert column left
+   *  * `'col_right'` - Insert column right
+   *  * `'clear_column'` - Clear selected column
+   *  * `'remove_col'` - Remove column
+   *  * `'make_read_only'` - Make cell read only
+   *  * `'alignment:left'` - Alignment to the left
+   *  * `'alignment:top'` - Alignment to the top
+   *  * `'alignment:right'` - Alignment to the right
+   *  * `'alignment:bottom'` - Alignment to the bottom
+   *  * `'alignment:middle'` - Alignment to the middle
+   *  * `'alignment:center'` - Alignment to the center (justify)
+   *
+   * Or you can execute command registered in settings where `key` is your command name.
+   *
+   * @param {String} commandName Command name to execute.
+   * @param {*} params
+   */
+  executeCommand(commandName, ...params) {
+    this.commandExecutor.execute(commandName, ...params);
+  }
+
+  /**
+   * Table click listener.
+   *
+   * @private
+   * @param {Event} event
+   */
+  onTableClick(event) {
+    if (!hasClass(event.target, BUTTON_CLASS_NAME)) {
+      return;
+    }
+    stopPropagation(event);
+
+    if (this.menu && !this.menu.isOpened()) {
+      const rect = event.target.getBoundingClientRect();
+
+      this.open({
+        left: rect.left,
+        top: rect.top + rect.height,
+        width: rect.width,
+        height: rect.height,
+      });
+    }
+  }
+
+  /**
+   * On after get column header listener.
+   *
+   * @private
+   * @param {Number} col Visual column index.
+   * @param {HTMLTableCellElement} TH Header's TH element.
+   */
+  onAfterGetColHeader(col, TH) {
+    // Corner or a higher-level header
+    const headerRow = TH.parentNode;
+
+    if (!headerRow) {
+      return;
+    }
+
+    const headerRowList = headerRow.parentNode.childNodes;
+    const level = Array.prototype.indexOf.call(headerRowList, headerRow);
+
+    if (col < 0 || level !== headerRowList.length - 1 || !TH.firstChild) {
+      return;
+    }
+
+    const existingButton = TH.querySelector(`.${BUTTON_CLASS_NAME}`);
+
+    // Plugin enabled and buttons already exists, return.
+    if (this.enabled && existingButton) {
+      return;
+    }
+    // Plugin disabled and buttons still exists, so remove them.
+    if (!this.enabled) {
+      if (existingButton) {
+        existingButton.parentNode.removeChild(existingButton);
+      }
+
+      return;
+    }
+    const button = document.createElement('button');
+
+    button.className = BUTTON_CLASS_NAME;
+
+    // prevent page reload on button click
+    button.onclick = function() {
+      return false;
+    };
+
+    TH.firstChild.insertBefore(button, TH.firstChild.firstChild);
+  }
+
+  /**
+   * On menu before open listener.
+   *
+   * @private
+   */
+  onMenuBeforeOpen() {
+    this.hot.runHooks('beforeDropdownMenuShow', this);
+  }
+
+  /**
+   * On menu after open listener.
+   *
+   * @private
+   */
+  onMenuAfterOpen() {
+    this.hot.runHooks('afterDropdownMenuShow', this);
+  }
+
+  /**
+   * On menu after close listener.
+   *
+   * @private
+   */
+  onMenuAfterClose() {
+    this.hot.listen();
+    this.hot.runHooks('afterDropdownMenuHide', this);
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.close();
+
+    if (this.menu) {
+      this.menu.destroy();
+    }
+    super.destroy();
+  }
+}
+
+DropdownMenu.SEPARATOR = {
+  name: SEPARATOR
+};
+
+registerPlugin('dropdownMenu', DropdownMenu);
+
+export default DropdownMenu;
@@ -0,0 +1,163 @@
+describe('DropdownMenu', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should add a button to every column header', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: true,
+    });
+
+    expect(spec().$container.find('.ht_master thead th .changeType').length).toBe(4);
+  });
+
+  it('should not add buttons when the plugin is disabled and remove them after disabling it', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      rowHeaders: true,
+      dropdownMenu: true,
+    });
+
+    updateSettings({ dropdownMenu: false });
+
+    expect(spec().$container.find('.changeType').length).toBe(0);
+  });
+
+  it('should open the menu with the default items after clicking the header button', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: true,
+    });
+
+    dropdownMenu(1);
+
+    const $menu = $(dropdownMenuRootElement());
+    const actions = $menu.find('tbody td').not('.htSeparator');
+
+    expect($menu.is(':visible')).toBe(true);
+    expect(actions.text()).toEqual([
+      'Insert column left',
+      'Insert column right',
+      'Remove column',
+      'Clear column',
+      'Read only',
+      'Alignment',
+    ].join(''));
+  });
+
+  it('should open the menu with the items defined as an array', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: ['remove_col', '---------', 'make_read_only'],
+    });
+
+    dropdownMenu(0);
+
+    const items = $(dropdownMenuRootElement()).find('tbody td');
+
+    expect(items.not('.htSeparator').text()).toEqual('Remove columnRead only');
+    expect(items.filter('.htSeparator').length).toBe(1);
+  });
+
+  it('should execute the custom item callback', () => {
+    const callback = jasmine.createSpy('callback');
+
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: {
+        items: {
+          custom: { name: 'Custom item', callback },
+        }
+      },
+    });
+
+    dropdownMenu(2);
+
+    $(dropdownMenuRootElement()).find('tbody td:eq(0)').simulate('mousedown');
+
+    expect(callback).toHaveBeenCalled();
+    expect(callback.calls.argsFor(0)[0]).toBe('custom');
+    expect(callback.calls.argsFor(0)[1][0].start.col).toBe(2);
+  });
+
+  it('should remove the column using the predefined `remove_col` item', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: ['remove_col'],
+    });
+
+    dropdownMenu(1);
+
+    $(dropdownMenuRootElement()).find('tbody td:eq(0)').simulate('mousedown');
+
+    expect(countCols()).toBe(3);
+    expect(getDataAtRow(0)).toEqual(['A1', 'C1', 'D1']);
+  });
+
+  it('should clear the column using the predefined `clear_column` item', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: ['clear_column'],
+    });
+
+    dropdownMenu(3);
+
+    $(dropdownMenuRootElement()).find('tbody td:eq(0)').simulate('mousedown');
+
+    expect(getDataAtCol(3)).toEqual([null, null, null, null]);
+  });
+
+  it('should fire the show and hide hooks', () => {
+    const beforeDropdownMenuShow = jasmine.createSpy('beforeDropdownMenuShow');
+    const afterDropdownMenuShow = jasmine.createSpy('afterDropdownMenuShow');
+    const afterDropdownMenuHide = jasmine.createSpy('afterDropdownMenuHide');
+
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: true,
+      beforeDropdownMenuShow,
+      afterDropdownMenuShow,
+      afterDropdownMenuHide,
+    });
+
+    dropdownMenu(0);
+    closeDropdownMenu();
+
+    expect(beforeDropdownMenuShow).toHaveBeenCalled();
+    expect(afterDropdownMenuShow).toHaveBeenCalled();
+    expect(afterDropdownMenuHide).toHaveBeenCalled();
+  });
+
+  it('should allow modifying the default items in the `afterDropdownMenuDefaultOptions` hook', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 4),
+      colHeaders: true,
+      dropdownMenu: true,
+      afterDropdownMenuDefaultOptions(options) {
+        options.items.push({ key: 'custom', name: 'Custom item' });
+      },
+    });
+
+    dropdownMenu(0);
+
+    expect($(dropdownMenuRootElement()).find('tbody td').last().text()).toBe('Custom item');
+  });
+});
@@ -0,0 +1,325 @@
+import moment from 'moment';
+import numbro from 'numbro';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { getNormalizedDate } from './../../helpers/date';
+import { rangeEach } from './../../helpers/number';
+import { getRenderer } from './../../renderers';
+
+/**
+ * Class responsible for collecting the data, which is exported. All the coordinates are visual indexes.
+ *
+ * @class DataProvider
+ * @plugin ExportFile
+ */
+class DataProvider {
+  constructor(hotInstance) {
+    /**
+     * Handsontable instance.
+     *
+     * @type {Core}
+     */
+    this.hot = hotInstance;
+    /**
+     * Format type class options.
+     *
+     * @type {Object}
+     */
+    this.options = {};
+  }
+
+  /**
+   * Set options for data provider.
+   *
+   * @param {Object} options Object with specified options.
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Get table data based on provided settings to the class constructor.
+   *
+   * @returns {Array[]}
+   */
+  getData() {
+    const columns = this.getColumnIndexes();
+
+    return arrayMap(this.getRowIndexes(), row => arrayMap(columns, column => this.getCellValue(row, column)));
+  }
+
+  /**
+   * Gets list of row headers.
+   *
+   * @returns {Array}
+   */
+  getRowHeaders() {
+    const headers = [];
+
+    if (this.options.rowHeaders && this.hot.hasRowHeaders()) {
+      arrayEach(this.getRowIndexes(), (row) => {
+        headers.push(this.hot.getRowHeader(row));
+      });
+    }
+
+    return headers;
+  }
+
+  /**
+   * Gets list of columns headers.
+   *
+   * @returns {Array}
+   */
+  getColumnHeaders() {
+    const headers = [];
+
+    if (this.options.columnHeaders && this.hot.hasColHeaders()) {
+      arrayEach(this.getColumnIndexes(), (column) => {
+        headers.push(this.hot.getColHeader(column));
+      });
+    }
+
+    return headers;
+  }
+
+  /**
+   * Gets list of the exported rows.
+   *
+   * @returns {Number[]} Visual row indexes.
+   */
+  getRowIndexes() {
+    const { startRow, endRow } = this.getDataRange();
+    const rows = [];
+
+    rangeEach(startRow, endRow, (row) => {
+      if (this.options.exportHiddenRows || !this.isHiddenRow(row)) {
+        rows.push(row);
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Gets list of the exported columns.
+   *
+   * @returns {Number[]} Visual column indexes.
+   */
+  getColumnIndexes() {
+    const { startCol, endCol } = this.getDataRange();
+    const columns = [];
+
+    rangeEach(startCol, endCol, (column) => {
+      if (this.options.exportHiddenColumns || !this.isHiddenColumn(column)) {
+        columns.push(column);
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Gets the cell properties.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {Object}
+   */
+  getCellMeta(row, column) {
+    return this.hot.getCellMeta(row, column);
+  }
+
+  /**
+   * Gets the comment of the cell. The comments are available only when the {@link Comments} plugin is enabled.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {String|undefined}
+   */
+  getComment(row, column) {
+    const commentsPlugin = this.hot.getPlugin('comments');
+
+    return commentsPlugin && commentsPlugin.isEnabled() ? commentsPlugin.getCommentAtCell(row, column) : void 0;
+  }
+
+  /**
+   * Gets list of the exported columns widths.
+   *
+   * @returns {Number[]} Widths in pixels.
+   */
+  getColumnWidths() {
+    return arrayMap(this.getColumnIndexes(), column => this.hot.getColWidth(column));
+  }
+
+  /**
+   * Gets the number of the exported rows, which are fixed at the top of the table (see the `fixedRowsTop` option).
+   *
+   * @returns {Number}
+   */
+  getFixedRowsCount() {
+    const fixedRowsTop = this.hot.getSettings().fixedRowsTop || 0;
+
+    return arrayFilter(this.getRowIndexes(), row => row < fixedRowsTop).length;
+  }
+
+  /**
+   * Gets the number of the exported columns, which are fixed on the left of the table (see the `fixedColumnsLeft`
+   * option).
+   *
+   * @returns {Number}
+   */
+  getFixedColumnsCount() {
+    const fixedColumnsLeft = this.hot.getSettings().fixedColumnsLeft || 0;
+
+    return arrayFilter(this.getColumnIndexes(), column => column < fixedColumnsLeft).length;
+  }
+
+  /**
+   * Gets list of the merged cells (see the {@link MergeCells} plugin) clipped to the exported cells. The coordinates
+   * are the indexes of the exported data rows and columns.
+   *
+   * @returns {Object[]} List of objects in form of `{row, col, rowspan, colspan}`.
+   */
+  getMergedCells() {
+    const mergeCellsPlugin = this.hot.getPlugin('mergeCells');
+    const mergedCells = [];
+
+    if (!mergeCellsPlugin || !mergeCellsPlugin.isEnabled()) {
+      return mergedCells;
+    }
+
+    const rows = this.getRowIndexes();
+    const columns = this.getColumnIndexes();
+
+    arrayEach(mergeCellsPlugin.mergedCellsCollection.mergedCells, ({ row, col, rowspan, colspan }) => {
+      const mergedRows = arrayFilter(rows, visualRow => visualRow >= row && visualRow < row + rowspan);
+      const mergedColumns = arrayFilter(columns, visualColumn => visualColumn >= col && visualColumn < col + colspan);
+
+      if (mergedRows.length && mergedColumns.length && (mergedRows.length > 1 || mergedColumns.length > 1)) {
+        mergedCells.push({
+          row: rows.indexOf(mergedRows[0]),
+          col: columns.indexOf(mergedColumns[0]),
+          rowspan: mergedRows.length,
+          colspan: mergedColumns.length,
+        });
+      }
+    });
+
+    return mergedCells;
+  }
+
+  /**
+   * Gets the cell value. When the `exportRenderedValues` option is enabled, the numeric values are formatted according
+   * to the `numericFormat` option and the dates according to the `dateFormat` option.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {*}
+   */
+  getCellValue(row, column) {
+    const value = this.hot.getDataAtCell(row, column);
+
+    if (!this.options.exportRenderedValues || value === null || value === void 0 || value === '') {
+      return value;
+    }
+
+    const cellProperties = this.getCellMeta(row, column);
+
+    if (this.hot.getCellRenderer(cellProperties) === getRenderer('numeric')) {
+      return this.formatNumericValue(value, cellProperties.numericFormat);
+    }
+    if (cellProperties.type === 'date' && cellProperties.dateFormat) {
+      return this.formatDateValue(value, cellProperties.dateFormat);
+    }
+
+    return value;
+  }
+
+  /**
+   * Formats the numeric value the same way as the numeric renderer does.
+   *
+   * @private
+   * @param {*} value The cell value.
+   * @param {Object} [numericFormat] The `numericFormat` cell option.
+   * @returns {*}
+   */
+  formatNumericValue(value, numericFormat) {
+    const { culture = '-', pattern = '0' } = numericFormat || {};
+
+    if (!numbro.languages()[culture]) {
+      const langData = numbro.allLanguages ? numbro.allLanguages[culture] : numbro[culture.replace('-', '')];
+
+      if (langData) {
+        numbro.registerLanguage(langData);
+      }
+    }
+
+    numbro.setLanguage(culture);
+
+    return numbro(value).format(pattern);
+  }
+
+  /**
+   * Formats the date value according to the `dateFormat` cell option.
+   *
+   * @private
+   * @param {*} value The cell value.
+   * @param {String} dateFormat The `dateFormat` cell option.
+   * @returns {*}
+   */
+  formatDateValue(value, dateFormat) {
+    if (value instanceof Date) {
+      return moment(value).format(dateFormat);
+    }
+    if (typeof value === 'string' && !moment(value, dateFormat, true).isValid()) {
+      const date = moment(getNormalizedDate(value));
+
+      return date.isValid() ? date.format(dateFormat) : value;
+    }
+
+    return value;
+  }
+
+  /**
+   * Get data range object based on settings provided in the class constructor.
+   *
+   * @private
+   * @returns {Object} Returns object with keys `startRow`, `startCol`, `endRow` and `endCol`.
+   */
+  getDataRange() {
+    const rows = this.hot.countRows() - 1;
+    const cols = this.hot.countCols() - 1;
+    const [startRow = 0, startCol = 0, endRow = rows, endCol = cols] = this.options.range || [];
+
+    return {
+      startRow: Math.max(startRow, 0),
+      startCol: Math.max(startCol, 0),
+      endRow: Math.min(endRow, rows),
+      endCol: Math.min(endCol, cols),
+    };
+  }
+
+  /**
+   * Check if row at specified row index is hidden.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @returns {Boolean}
+   */
+  isHiddenRow(row) {
+    return this.hot.hasHook('hiddenRow') && this.hot.runHooks('hiddenRow', row) === true;
+  }
+
+  /**
+   * Check if column at specified column index is hidden.
+   *
+   * @private
+   * @param {Number} column Visual column index.
+   * @returns {Boolean}
+   */
+  isHiddenColumn(column) {
+    return this.hot.hasHook('hiddenColumn') && this.hot.runHooks('hiddenColumn', column) === true;
+  }
+}
+
+export default DataProvider;
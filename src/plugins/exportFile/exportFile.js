@@ -0,0 +1,174 @@
+import BasePlugin from './../_base';
+import { registerPlugin } from './../../plugins';
+import DataProvider from './dataProvider';
+import typeFactory, { EXPORT_TYPES } from './typeFactory';
+
+/**
+ * @plugin ExportFile
+ *
+ * @description
+ * The plugin enables exporting table data to file. It allows to export data as a string, blob or a downloadable file in
+ * CSV, TSV or XLSX format.
+ *
+ * The XLSX workbook is created entirely in the browser. It keeps the cell types (numbers, dates, booleans and texts), the
+ * merged cells (see {@link MergeCells}), the custom borders (see {@link CustomBorders}), the columns widths, the fixed
+ * rows and columns (as frozen panes) and the cell comments (see {@link Comments}). The XLSX format can be exported only
+ * as a blob or a downloadable file.
+ *
+ * The available options:
+ * * `bom` - Include BOM signature (default `true` for CSV and `false` for TSV),
+ * * `columnDelimiter` - Column delimiter (default `','` for CSV and `'\t'` for TSV),
+ * * `columnHeaders` - Include column headers in exported data (default `false`),
+ * * `exportHiddenColumns` - Include hidden columns in exported data (default `false`),
+ * * `exportHiddenRows` - Include hidden rows in exported data (default `false`),
+ * * `exportRenderedValues` - Export the values formatted according to the `numericFormat` and the `dateFormat` options
+ *   instead of the raw values (default `false`),
+ * * `fileExtension` - File extension (default `'csv'` for CSV and `'tsv'` for TSV),
+ * * `filename` - File name, the `[YYYY]`, `[MM]` and `[DD]` placeholders are replaced with the current date (default
+ *   `'Handsontable [YYYY]-[MM]-[DD]'`),
+ * * `encoding` - File encoding (default `'utf-8'`),
+ * * `mimeType` - MIME type (default `'text/csv'` for CSV and `'text/tab-separated-values'` for TSV),
+ * * `quoteAllFields` - Enclose all values in double quotes, not only the ones which require it (default `false`),
+ * * `range` - Cell range in form of `[startRow, startColumn, endRow, endColumn]` array (visual indexes, default all
+ *   cells),
+ * * `rowDelimiter` - Row delimiter (default `'\r\n'`),
+ * * `rowHeaders` - Include row headers in exported data (default `false`),
+ * * `sheetName` - Name of the worksheet, used by the XLSX format only (default `'Sheet1'`).
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   colHeaders: true,
+ * });
+ *
+ * // access to exportFile plugin instance
+ * const exportPlugin = hot.getPlugin('exportFile');
+ *
+ * // export as a string
+ * exportPlugin.exportAsString('csv', {
+ *   columnHeaders: true,
+ *   range: [1, 1, 6, 6],
+ * });
+ *
+ * // export as a blob object
+ * exportPlugin.exportAsBlob('tsv');
+ *
+ * // export to downloadable file (named: MyFile.csv)
+ * exportPlugin.downloadFile('csv', { filename: 'MyFile' });
+ *
+ * // export to downloadable workbook (named: MyFile.xlsx)
+ * exportPlugin.downloadFile('xlsx', { filename: 'MyFile', columnHeaders: true });
+ * ```
+ */
+class ExportFile extends BasePlugin {
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. The plugin is always available, so the method always
+   * returns `true`.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Exports table data as a string.
+   *
+   * @param {String} format Export format type eq. `'csv'` or `'tsv'`.
+   * @param {Object} options Export options.
+   * @returns {String}
+   */
+  exportAsString(format, options = {}) {
+    const formatter = this.createTypeFormatter(format, options);
+
+    if (formatter.isBinary()) {
+      throw new Error(`Export format type "${format}" can not be exported as a string.`);
+    }
+
+    return formatter.export();
+  }
+
+  /**
+   * Exports table data as a blob object.
+   *
+   * @param {String} format Export format type eq. `'csv'`, `'tsv'` or `'xlsx'`.
+   * @param {Object} options Export options.
+   * @returns {Blob}
+   */
+  exportAsBlob(format, options = {}) {
+    return this.createBlob(this.createTypeFormatter(format, options));
+  }
+
+  /**
+   * Exports table data as a downloadable file.
+   *
+   * @param {String} format Export format type eq. `'csv'`, `'tsv'` or `'xlsx'`.
+   * @param {Object} options Export options.
+   */
+  downloadFile(format, options = {}) {
+    const formatter = this.createTypeFormatter(format, options);
+    const blob = this.createBlob(formatter);
+    const name = `${formatter.options.filename}.${formatter.options.fileExtension}`;
+    const URL = (window.URL || window.webkitURL);
+    const a = document.createElement('a');
+
+    if (a.download !== void 0) {
+      const url = URL.createObjectURL(blob);
+
+      a.style.display = 'none';
+      a.setAttribute('href', url);
+      a.setAttribute('download', name);
+      document.body.appendChild(a);
+      a.dispatchEvent(new MouseEvent('click'));
+      document.body.removeChild(a);
+
+      setTimeout(() => {
+        URL.revokeObjectURL(url);
+      }, 100);
+
+    } else if (navigator.msSaveOrOpenBlob) { // IE10+
+      navigator.msSaveOrOpenBlob(blob, name);
+    }
+  }
+
+  /**
+   * Creates and returns class formatter for specified export type.
+   *
+   * @private
+   * @param {String} format Export format type eq. `'csv'`, `'tsv'` or `'xlsx'`.
+   * @param {Object} options Export options.
+   * @returns {BaseType}
+   */
+  createTypeFormatter(format, options = {}) {
+    if (!EXPORT_TYPES[format]) {
+      throw new Error(`Export format type "${format}" is not supported.`);
+    }
+
+    return typeFactory(format, new DataProvider(this.hot), options);
+  }
+
+  /**
+   * Creates blob object based on provided type formatter class.
+   *
+   * @private
+   * @param {BaseType} typeFormatter The instance of the specified type formatter.
+   * @returns {Blob}
+   */
+  createBlob(typeFormatter) {
+    let blob = null;
+
+    if (typeof Blob !== 'undefined') {
+      blob = new Blob([typeFormatter.export()], {
+        type: `${typeFormatter.options.mimeType};charset=${typeFormatter.options.encoding}`,
+      });
+    }
+
+    return blob;
+  }
+}
+
+registerPlugin('exportFile', ExportFile);
+
+export default ExportFile;
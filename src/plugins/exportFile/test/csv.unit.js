@@ -0,0 +1,75 @@
+import Csv from 'handsontable/plugins/exportFile/types/csv';
+import Tsv from 'handsontable/plugins/exportFile/types/tsv';
+
+describe('ExportFile', () => {
+  describe('Csv', () => {
+    function createDataProvider({ data = [], columnHeaders = [], rowHeaders = [] } = {}) {
+      return {
+        setOptions() {},
+        getData: () => data,
+        getColumnHeaders: () => columnHeaders,
+        getRowHeaders: () => rowHeaders,
+      };
+    }
+
+    it('should merge the default options with the provided ones', () => {
+      const csv = new Csv(createDataProvider(), { bom: false, filename: 'file' });
+
+      expect(csv.options.mimeType).toBe('text/csv');
+      expect(csv.options.fileExtension).toBe('csv');
+      expect(csv.options.columnDelimiter).toBe(',');
+      expect(csv.options.rowDelimiter).toBe('\r\n');
+      expect(csv.options.encoding).toBe('utf-8');
+      expect(csv.options.bom).toBe(false);
+      expect(csv.options.filename).toBe('file');
+    });
+
+    it('should replace the date placeholders in the file name', () => {
+      const csv = new Csv(createDataProvider(), { filename: '[YYYY]' });
+
+      expect(csv.options.filename).toBe(`${new Date().getFullYear()}`);
+    });
+
+    it('should escape the values according to RFC 4180', () => {
+      const csv = new Csv(createDataProvider({
+        data: [
+          ['a', 'b,c', 'd"e'],
+          ['f\ng', 'h\ri', null],
+        ],
+      }), { bom: false });
+
+      expect(csv.export()).toBe('a,"b,c","d""e"\r\n"f\ng","h\ri",');
+    });
+
+    it('should quote all values when the `quoteAllFields` option is enabled', () => {
+      const csv = new Csv(createDataProvider({ data: [['a', 1, '']] }), { bom: false, quoteAllFields: true });
+
+      expect(csv.export()).toBe('"a","1",""');
+    });
+
+    it('should export the headers, the BOM and use the custom delimiters', () => {
+      const csv = new Csv(createDataProvider({
+        data: [[1, 2], [3, 4]],
+        columnHeaders: ['A', 'B;C'],
+        rowHeaders: [1, 2],
+      }), { columnDelimiter: ';', rowDelimiter: '\n' });
+
+      expect(csv.export()).toBe('\uFEFF;A;"B;C"\n1;1;2\n2;3;4');
+    });
+  });
+
+  describe('Tsv', () => {
+    it('should use the tab character as the column delimiter', () => {
+      const tsv = new Tsv({
+        setOptions() {},
+        getData: () => [['a', 'b\tc'], ['d', 'e']],
+        getColumnHeaders: () => [],
+        getRowHeaders: () => [],
+      });
+
+      expect(tsv.options.mimeType).toBe('text/tab-separated-values');
+      expect(tsv.options.fileExtension).toBe('tsv');
+      expect(tsv.export()).toBe('a\t"b\tc"\r\nd\te');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+describe('ExportFile', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should throw an error when the format is not supported', () => {
+    handsontable();
+
+    expect(() => {
+      getPlugin('exportFile').exportAsString('pdf');
+    }).toThrowError('Export format type "pdf" is not supported.');
+  });
+
+  it('should export the data as the CSV string', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(3, 3),
+    });
+
+    expect(getPlugin('exportFile').exportAsString('csv', { bom: false })).toBe('A1,B1,C1\r\nA2,B2,C2\r\nA3,B3,C3');
+  });
+
+  it('should export the data as the TSV string', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(2, 2),
+    });
+
+    expect(getPlugin('exportFile').exportAsString('tsv')).toBe('A1\tB1\r\nA2\tB2');
+  });
+
+  it('should export the headers and the limited range', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      colHeaders: ['First', 'Second, third', 'Fourth'],
+      rowHeaders: true,
+    });
+
+    const result = getPlugin('exportFile').exportAsString('csv', {
+      bom: false,
+      columnHeaders: true,
+      rowHeaders: true,
+      range: [1, 1, 2, 2],
+    });
+
+    expect(result).toBe(',"Second, third",Fourth\r\n2,B2,C2\r\n3,B3,C3');
+  });
+
+  it('should not export the headers when the table has no headers', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(1, 2),
+    });
+
+    expect(getPlugin('exportFile').exportAsString('csv', { bom: false, columnHeaders: true, rowHeaders: true }))
+      .toBe('A1,B1');
+  });
+
+  it('should skip the hidden rows and columns unless it is requested', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(3, 3),
+      hiddenRows: { rows: [1] },
+      hiddenColumns: { columns: [0] },
+    });
+
+    const plugin = getPlugin('exportFile');
+
+    expect(plugin.exportAsString('csv', { bom: false })).toBe('B1,C1\r\nB3,C3');
+    expect(plugin.exportAsString('csv', { bom: false, exportHiddenRows: true, exportHiddenColumns: true }))
+      .toBe('A1,B1,C1\r\nA2,B2,C2\r\nA3,B3,C3');
+  });
+
+  it('should export the rendered values when the `exportRenderedValues` option is enabled', () => {
+    handsontable({
+      data: [[1234.5, '01/02/2018', 'text']],
+      columns: [
+        { type: 'numeric', numericFormat: { pattern: '0,0.00' } },
+        { type: 'date', dateFormat: 'YYYY-MM-DD' },
+        {},
+      ],
+    });
+
+    const plugin = getPlugin('exportFile');
+
+    expect(plugin.exportAsString('csv', { bom: false })).toBe('1234.5,01/02/2018,text');
+    expect(plugin.exportAsString('csv', { bom: false, exportRenderedValues: true })).toBe('"1,234.50",2018-01-02,text');
+  });
+
+  it('should export the data as the blob object', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(1, 1),
+    });
+
+    const blob = getPlugin('exportFile').exportAsBlob('csv');
+
+    expect(blob instanceof Blob).toBe(true);
+    expect(blob.type).toBe('text/csv;charset=utf-8');
+  });
+
+  describe('XLSX', () => {
+    it('should export the workbook as the blob object', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 2),
+      });
+
+      const blob = getPlugin('exportFile').exportAsBlob('xlsx');
+
+      expect(blob instanceof Blob).toBe(true);
+      expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;charset=utf-8');
+    });
+
+    it('should throw an error when the workbook is exported as a string', () => {
+      handsontable();
+
+      expect(() => {
+        getPlugin('exportFile').exportAsString('xlsx');
+      }).toThrowError('Export format type "xlsx" can not be exported as a string.');
+    });
+
+    it('should clip the merged cells and the fixed rows and columns to the exported range', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        mergeCells: [{ row: 0, col: 0, rowspan: 3, colspan: 3 }],
+        fixedRowsTop: 2,
+        fixedColumnsLeft: 2,
+      });
+      const formatter = getPlugin('exportFile').createTypeFormatter('xlsx', { range: [1, 1, 4, 4] });
+
+      expect(formatter.dataProvider.getMergedCells()).toEqual([{ row: 0, col: 0, rowspan: 2, colspan: 2 }]);
+      expect(formatter.dataProvider.getFixedRowsCount()).toBe(1);
+      expect(formatter.dataProvider.getFixedColumnsCount()).toBe(1);
+      expect(formatter.dataProvider.getColumnWidths()).toEqual([hot.getColWidth(1), hot.getColWidth(2),
+        hot.getColWidth(3), hot.getColWidth(4)]);
+    });
+
+    it('should collect the comments of the exported cells', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 2),
+        comments: true,
+        cell: [{ row: 1, col: 1, comment: { value: 'Test comment' } }],
+      });
+
+      const formatter = getPlugin('exportFile').createTypeFormatter('xlsx');
+
+      expect(formatter.createWorksheet().comments).toEqual([{ row: 1, column: 1, text: 'Test comment' }]);
+    });
+  });
+
+  it('should download the file with the name provided in the options', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(1, 1),
+    });
+
+    spyOn(HTMLElement.prototype, 'setAttribute').and.callThrough();
+
+    getPlugin('exportFile').downloadFile('csv', { filename: 'MyFile' });
+
+    expect(HTMLElement.prototype.setAttribute).toHaveBeenCalledWith('download', 'MyFile.csv');
+  });
+});
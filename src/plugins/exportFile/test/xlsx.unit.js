@@ -0,0 +1,120 @@
+import Xlsx from 'handsontable/plugins/exportFile/types/xlsx';
+
+describe('ExportFile', () => {
+  describe('Xlsx', () => {
+    function createDataProvider({
+      data = [],
+      meta = {},
+      columnHeaders = [],
+      rowHeaders = [],
+      comments = {},
+      mergedCells = [],
+      fixedRows = 0,
+      fixedColumns = 0,
+    } = {}) {
+      const columnsCount = data.length ? data[0].length : 0;
+
+      return {
+        setOptions() {},
+        getData: () => data,
+        getRowIndexes: () => data.map((rowData, index) => index),
+        getColumnIndexes: () => Array.from({ length: columnsCount }, (value, index) => index),
+        getColumnHeaders: () => columnHeaders,
+        getRowHeaders: () => rowHeaders,
+        getCellMeta: (row, column) => meta[`${row}:${column}`] || {},
+        getComment: (row, column) => comments[`${row}:${column}`],
+        getColumnWidths: () => Array.from({ length: columnsCount }, () => 75),
+        getMergedCells: () => mergedCells,
+        getFixedRowsCount: () => fixedRows,
+        getFixedColumnsCount: () => fixedColumns,
+      };
+    }
+
+    function createWorksheet(settings, options) {
+      const xlsx = new Xlsx(createDataProvider(settings), options);
+
+      xlsx.export();
+
+      return xlsx.createWorksheet();
+    }
+
+    it('should use the XLSX default options', () => {
+      const xlsx = new Xlsx(createDataProvider());
+
+      expect(xlsx.options.mimeType).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      expect(xlsx.options.fileExtension).toBe('xlsx');
+      expect(xlsx.options.sheetName).toBe('Sheet1');
+      expect(xlsx.isBinary()).toBe(true);
+    });
+
+    it('should keep the cell types', () => {
+      const { worksheet } = createWorksheet({
+        data: [[1, '2', '3', 'a<b', true, null, '01/02/2018']],
+        meta: {
+          '0:2': { type: 'numeric' },
+          '0:6': { type: 'date', dateFormat: 'MM/DD/YYYY' },
+        },
+      });
+
+      expect(worksheet).toContain('<c r="A1" t="n"><v>1</v></c>');
+      expect(worksheet).toContain('<c r="B1" t="inlineStr"><is><t xml:space="preserve">2</t></is></c>');
+      expect(worksheet).toContain('<c r="C1" t="n"><v>3</v></c>');
+      expect(worksheet).toContain('<c r="D1" t="inlineStr"><is><t xml:space="preserve">a&lt;b</t></is></c>');
+      expect(worksheet).toContain('<c r="E1" t="b"><v>1</v></c>');
+      expect(worksheet).not.toContain('r="F1"');
+      expect(worksheet).toContain('<c r="G1" s="2" t="n"><v>43102</v></c>');
+    });
+
+    it('should convert the date format into the number format', () => {
+      const xlsx = new Xlsx(createDataProvider());
+
+      expect(xlsx.getDateNumberFormatId('DD.MM.YYYY')).toBe(164);
+      expect(xlsx.getDateNumberFormatId('YYYY-MM-DD HH:mm')).toBe(165);
+      expect(xlsx.getDateNumberFormatId('DD.MM.YYYY')).toBe(164);
+      expect(xlsx.getDateNumberFormatId()).toBe(14);
+      expect(xlsx.numberFormats).toEqual(['dd.mm.yyyy', 'yyyy-mm-dd hh:mm']);
+    });
+
+    it('should export the headers, the frozen panes, the columns widths and the merged cells', () => {
+      const { worksheet } = createWorksheet({
+        data: [[1, 2], [3, 4]],
+        columnHeaders: ['A', 'B'],
+        rowHeaders: [1, 2],
+        mergedCells: [{ row: 0, col: 0, rowspan: 2, colspan: 1 }],
+        fixedRows: 1,
+      }, { columnHeaders: true, rowHeaders: true });
+
+      expect(worksheet).toContain('<dimension ref="A1:C3"/>');
+      expect(worksheet).toContain('<c r="B1" s="1" t="inlineStr"><is><t xml:space="preserve">A</t></is></c>');
+      expect(worksheet).toContain('<c r="A2" s="1" t="inlineStr"><is><t xml:space="preserve">1</t></is></c>');
+      expect(worksheet).toContain('<pane xSplit="1" ySplit="2" topLeftCell="B3" activePane="bottomRight" state="frozen"/>');
+      expect(worksheet).toContain('<col min="2" max="2" width="10" customWidth="1"/>');
+      expect(worksheet).toContain('<mergeCells count="1"><mergeCell ref="B2:B3"/></mergeCells>');
+    });
+
+    it('should export the custom borders', () => {
+      const xlsx = new Xlsx(createDataProvider({
+        data: [[1]],
+        meta: {
+          '0:0': { borders: { top: { width: 2, color: '#f00' }, left: { hide: true }, bottom: { width: 1, color: '#00ff00' } } },
+        },
+      }));
+
+      xlsx.export();
+
+      expect(xlsx.borders[1]).toBe('<border><left/><right/><top style="medium"><color rgb="FFFF0000"/></top>' +
+        '<bottom style="thin"><color rgb="FF00FF00"/></bottom><diagonal/></border>');
+      expect(xlsx.createStylesXml()).toContain('<xf numFmtId="0" fontId="0" fillId="0" borderId="1" xfId="0" applyBorder="1"/>');
+    });
+
+    it('should collect the comments', () => {
+      const { worksheet, comments } = createWorksheet({
+        data: [[1, 2]],
+        comments: { '0:1': 'Note' },
+      });
+
+      expect(comments).toEqual([{ row: 0, column: 1, text: 'Note' }]);
+      expect(worksheet).toContain('<legacyDrawing r:id="rId2"/>');
+    });
+  });
+});
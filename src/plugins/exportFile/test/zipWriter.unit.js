@@ -0,0 +1,49 @@
+import ZipWriter, { crc32, encodeUtf8 } from 'handsontable/plugins/exportFile/zipWriter';
+
+describe('ExportFile', () => {
+  describe('ZipWriter', () => {
+    function readUint32(bytes, offset) {
+      return new DataView(bytes.buffer).getUint32(offset, true);
+    }
+
+    function readUint16(bytes, offset) {
+      return new DataView(bytes.buffer).getUint16(offset, true);
+    }
+
+    it('should compute the CRC-32 checksum', () => {
+      expect(crc32(encodeUtf8('123456789'))).toBe(0xCBF43926);
+      expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    it('should encode the strings using the UTF-8 encoding', () => {
+      expect(Array.from(encodeUtf8('a'))).toEqual([0x61]);
+      expect(Array.from(encodeUtf8('ż'))).toEqual([0xC5, 0xBC]);
+      expect(Array.from(encodeUtf8('€'))).toEqual([0xE2, 0x82, 0xAC]);
+      expect(Array.from(encodeUtf8('😀'))).toEqual([0xF0, 0x9F, 0x98, 0x80]);
+    });
+
+    it('should generate the archive with the stored files', () => {
+      const zip = new ZipWriter();
+
+      zip.addFile('a.txt', 'abc');
+      zip.addFile('dir/b.txt', new Uint8Array([1, 2]));
+
+      const bytes = zip.generate(new Date(2018, 0, 2, 10, 20, 30));
+      const endOffset = bytes.length - 22;
+      const centralOffset = readUint32(bytes, endOffset + 16);
+
+      expect(readUint32(bytes, 0)).toBe(0x04034b50);
+      expect(readUint16(bytes, 8)).toBe(0);
+      expect(readUint32(bytes, 14)).toBe(crc32(encodeUtf8('abc')));
+      expect(readUint32(bytes, 18)).toBe(3);
+      expect(String.fromCharCode(...bytes.slice(30, 38))).toBe('a.txtabc');
+
+      expect(readUint32(bytes, endOffset)).toBe(0x06054b50);
+      expect(readUint16(bytes, endOffset + 10)).toBe(2);
+      expect(readUint32(bytes, centralOffset)).toBe(0x02014b50);
+      expect(readUint32(bytes, centralOffset + 42)).toBe(0);
+      expect(readUint32(bytes, centralOffset + 46 + 5 + 42)).toBe(38);
+      expect(readUint16(bytes, 12)).toBe(((2018 - 1980) << 9) | (1 << 5) | 2); // eslint-disable-line no-bitwise
+    });
+  });
+});
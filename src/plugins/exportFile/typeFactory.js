@@ -0,0 +1,29 @@
+import Csv from './types/csv';
+import Tsv from './types/tsv';
+import Xlsx from './types/xlsx';
+
+export const TYPE_CSV = 'csv';
+export const TYPE_TSV = 'tsv';
+export const TYPE_XLSX = 'xlsx';
+
+export const EXPORT_TYPES = {
+  [TYPE_CSV]: Csv,
+  [TYPE_TSV]: Tsv,
+  [TYPE_XLSX]: Xlsx,
+};
+
+/**
+ * Creates the format type class instance.
+ *
+ * @param {String} type The format type (e.g. `'csv'`).
+ * @param {DataProvider} dataProvider The data provider.
+ * @param {Object} options The export options.
+ * @returns {BaseType|null}
+ */
+export default function typeFactory(type, dataProvider, options) {
+  if (typeof EXPORT_TYPES[type] === 'function') {
+    return new EXPORT_TYPES[type](dataProvider, options);
+  }
+
+  return null;
+}
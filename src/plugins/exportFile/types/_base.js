@@ -0,0 +1,85 @@
+import { clone, extend } from './../../../helpers/object';
+import { substitute } from './../../../helpers/string';
+
+/**
+ * @plugin ExportFile
+ * @private
+ */
+class BaseType {
+  /**
+   * Default options.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: 'text/plain',
+      fileExtension: 'txt',
+      filename: 'Handsontable [YYYY]-[MM]-[DD]',
+      encoding: 'utf-8',
+      bom: false,
+      columnHeaders: false,
+      rowHeaders: false,
+      exportHiddenColumns: false,
+      exportHiddenRows: false,
+      exportRenderedValues: false,
+      range: [],
+    };
+  }
+
+  constructor(dataProvider, options) {
+    /**
+     * Data provider.
+     *
+     * @type {DataProvider}
+     */
+    this.dataProvider = dataProvider;
+    /**
+     * Format type class options.
+     *
+     * @type {Object}
+     */
+    this.options = this.mergeOptions(options);
+
+    this.dataProvider.setOptions(this.options);
+  }
+
+  /**
+   * Merge options provided by users with defaults.
+   *
+   * @param {Object} options Options provided by the user.
+   * @returns {Object} Returns new options object.
+   */
+  mergeOptions(options) {
+    const date = new Date();
+    const mergedOptions = extend(extend(clone(BaseType.DEFAULT_OPTIONS), this.constructor.DEFAULT_OPTIONS), options);
+
+    mergedOptions.filename = substitute(mergedOptions.filename, {
+      YYYY: date.getFullYear(),
+      MM: `${date.getMonth() < 9 ? '0' : ''}${date.getMonth() + 1}`,
+      DD: `${date.getDate() < 10 ? '0' : ''}${date.getDate()}`,
+    });
+
+    return mergedOptions;
+  }
+
+  /**
+   * Checks if the format type produces the binary content (which can not be exported as a string).
+   *
+   * @returns {Boolean}
+   */
+  isBinary() {
+    return false;
+  }
+
+  /**
+   * Create string body in desired format.
+   *
+   * @returns {String}
+   */
+  export() {
+    return '';
+  }
+}
+
+export default BaseType;
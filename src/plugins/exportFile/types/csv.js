@@ -0,0 +1,92 @@
+import { arrayEach, arrayMap } from './../../../helpers/array';
+import { stringify } from './../../../helpers/mixed';
+import BaseType from './_base';
+
+const CHAR_CARRIAGE_RETURN = String.fromCharCode(13);
+const CHAR_DOUBLE_QUOTES = String.fromCharCode(34);
+const CHAR_LINE_FEED = String.fromCharCode(10);
+
+/**
+ * Format type class responsible for exporting the data into the CSV format (RFC 4180). The values containing the column
+ * delimiter, the double quotes or the line breaks are enclosed in the double quotes, the double quotes inside the values
+ * are escaped by preceding them with another double quote.
+ *
+ * @plugin ExportFile
+ * @private
+ */
+class Csv extends BaseType {
+  /**
+   * Default options for exporting CSV format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: 'text/csv',
+      fileExtension: 'csv',
+      bom: true,
+      columnDelimiter: ',',
+      rowDelimiter: '\r\n',
+      quoteAllFields: false,
+    };
+  }
+
+  /**
+   * Create string body in desired format.
+   *
+   * @returns {String}
+   */
+  export() {
+    const options = this.options;
+    const data = this.dataProvider.getData();
+    const columnHeaders = this.dataProvider.getColumnHeaders();
+    const rowHeaders = this.dataProvider.getRowHeaders();
+    const hasRowHeaders = rowHeaders.length > 0;
+    const rows = [];
+
+    if (columnHeaders.length) {
+      const headers = arrayMap(columnHeaders, value => this.escapeCell(value));
+
+      if (hasRowHeaders) {
+        headers.unshift('');
+      }
+
+      rows.push(headers.join(options.columnDelimiter));
+    }
+
+    arrayEach(data, (rowData, index) => {
+      const cells = arrayMap(rowData, value => this.escapeCell(value));
+
+      if (hasRowHeaders) {
+        cells.unshift(this.escapeCell(rowHeaders[index]));
+      }
+
+      rows.push(cells.join(options.columnDelimiter));
+    });
+
+    return `${options.bom ? String.fromCharCode(0xFEFF) : ''}${rows.join(options.rowDelimiter)}`;
+  }
+
+  /**
+   * Escape cell value.
+   *
+   * @param {*} value Cell value.
+   * @returns {String}
+   */
+  escapeCell(value) {
+    let escapedValue = stringify(value);
+
+    if (this.options.quoteAllFields ||
+        escapedValue.indexOf(CHAR_CARRIAGE_RETURN) >= 0 ||
+        escapedValue.indexOf(CHAR_DOUBLE_QUOTES) >= 0 ||
+        escapedValue.indexOf(CHAR_LINE_FEED) >= 0 ||
+        escapedValue.indexOf(this.options.columnDelimiter) >= 0) {
+
+      escapedValue = `${CHAR_DOUBLE_QUOTES}${escapedValue.replace(/"/g, '""')}${CHAR_DOUBLE_QUOTES}`;
+    }
+
+    return escapedValue;
+  }
+}
+
+export default Csv;
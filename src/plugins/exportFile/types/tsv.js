@@ -0,0 +1,27 @@
+import { clone, extend } from './../../../helpers/object';
+import Csv from './csv';
+
+/**
+ * Format type class responsible for exporting the data into the TSV format. The values are escaped the same way as in
+ * the CSV format.
+ *
+ * @plugin ExportFile
+ * @private
+ */
+class Tsv extends Csv {
+  /**
+   * Default options for exporting TSV format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return extend(clone(Csv.DEFAULT_OPTIONS), {
+      mimeType: 'text/tab-separated-values',
+      fileExtension: 'tsv',
+      bom: false,
+      columnDelimiter: '\t',
+    });
+  }
+}
+
+export default Tsv;
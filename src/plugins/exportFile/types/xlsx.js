@@ -0,0 +1,680 @@
+import moment from 'moment';
+import { arrayEach, arrayMap } from './../../../helpers/array';
+import { spreadsheetColumnLabel } from './../../../helpers/data';
+import { getNormalizedDate } from './../../../helpers/date';
+import { stringify } from './../../../helpers/mixed';
+import { isNumeric } from './../../../helpers/number';
+import { isObject } from './../../../helpers/object';
+import ZipWriter from './../zipWriter';
+import BaseType from './_base';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NAMESPACE_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NAMESPACE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NAMESPACE_PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPE_PREFIX = 'application/vnd.openxmlformats-officedocument';
+
+const FONT_DEFAULT = 0;
+const FONT_BOLD = 1;
+const NUMBER_FORMAT_GENERAL = 0;
+const NUMBER_FORMAT_DATE = 14;
+const NUMBER_FORMAT_FIRST_CUSTOM = 164;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MILLISECONDS_PER_DAY = 86400000;
+const PIXELS_PER_CHARACTER = 7;
+const BORDER_SIDES = ['left', 'right', 'top', 'bottom'];
+const DATE_FORMAT_TOKENS = {
+  YYYY: 'yyyy',
+  YY: 'yy',
+  MMMM: 'mmmm',
+  MMM: 'mmm',
+  MM: 'mm',
+  M: 'm',
+  dddd: 'dddd',
+  ddd: 'ddd',
+  DD: 'dd',
+  Do: 'd',
+  D: 'd',
+  HH: 'hh',
+  H: 'h',
+  hh: 'hh',
+  h: 'h',
+  mm: 'mm',
+  m: 'm',
+  ss: 'ss',
+  s: 's',
+  A: 'AM/PM',
+  a: 'am/pm',
+};
+const DATE_FORMAT_REGEXP = /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|Do|D|HH|H|hh|h|mm|m|ss|s|A|a|[A-Za-z]/g;
+
+/**
+ * Escapes the special XML characters and removes the characters, which are not allowed in XML documents.
+ *
+ * @param {*} value The value to escape.
+ * @returns {String}
+ */
+function escapeXml(value) {
+  return stringify(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Converts the coordinates into the cell reference (e.g. `'B3'`).
+ *
+ * @param {Number} row Sheet row index (zero-based).
+ * @param {Number} column Sheet column index (zero-based).
+ * @returns {String}
+ */
+function toCellReference(row, column) {
+  return `${spreadsheetColumnLabel(column)}${row + 1}`;
+}
+
+/**
+ * Converts the Moment.js date format (used by the `dateFormat` option) into the spreadsheet number format.
+ *
+ * @param {String} dateFormat The Moment.js date format.
+ * @returns {String}
+ */
+function toNumberFormat(dateFormat) {
+  return dateFormat.replace(DATE_FORMAT_REGEXP, (match, literal) => {
+    if (literal !== void 0) {
+      return `"${literal}"`;
+    }
+
+    return DATE_FORMAT_TOKENS[match] || `"${match}"`;
+  });
+}
+
+/**
+ * Converts the CSS hex color into the ARGB color used in the spreadsheet styles.
+ *
+ * @param {String} color The CSS color (e.g. `'#f00'` or `'#ff0000'`).
+ * @returns {String|null} Returns `null` for the colors, which can not be converted.
+ */
+function toArgbColor(color) {
+  const hex = typeof color === 'string' ? color.replace(/^#/, '') : '';
+
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    return `FF${arrayMap(hex.split(''), char => `${char}${char}`).join('')}`.toUpperCase();
+  }
+  if (/^[0-9a-f]{6}$/i.test(hex)) {
+    return `FF${hex}`.toUpperCase();
+  }
+
+  return null;
+}
+
+/**
+ * Format type class responsible for exporting the data into the Office Open XML workbook (XLSX). The workbook is
+ * created entirely in the browser. It keeps the cell types (numbers, dates, booleans and texts), the merged cells,
+ * the custom borders, the columns widths, the fixed rows and columns (as frozen panes) and the cell comments.
+ *
+ * @plugin ExportFile
+ * @private
+ */
+class Xlsx extends BaseType {
+  /**
+   * Default options for exporting XLSX format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: `${CONTENT_TYPE_PREFIX}.spreadsheetml.sheet`,
+      fileExtension: 'xlsx',
+      sheetName: 'Sheet1',
+    };
+  }
+
+  constructor(dataProvider, options) {
+    super(dataProvider, options);
+    /**
+     * Custom number formats used by the exported cells.
+     *
+     * @type {String[]}
+     */
+    this.numberFormats = [];
+    /**
+     * Borders used by the exported cells (as XML strings).
+     *
+     * @type {String[]}
+     */
+    this.borders = [];
+    /**
+     * Cell styles used by the exported cells (in form of `numberFormatId|fontId|borderId` keys).
+     *
+     * @type {String[]}
+     */
+    this.cellStyles = [];
+  }
+
+  /**
+   * Checks if the format type produces the binary content.
+   *
+   * @returns {Boolean}
+   */
+  isBinary() {
+    return true;
+  }
+
+  /**
+   * Create the workbook file content.
+   *
+   * @returns {Uint8Array}
+   */
+  export() {
+    const zip = new ZipWriter();
+
+    this.numberFormats = [];
+    this.borders = [this.createBorderXml()];
+    this.cellStyles = [`${NUMBER_FORMAT_GENERAL}|${FONT_DEFAULT}|0`];
+
+    const { worksheet, comments } = this.createWorksheet();
+    const hasComments = comments.length > 0;
+
+    zip.addFile('[Content_Types].xml', this.createContentTypesXml(hasComments));
+    zip.addFile('_rels/.rels', this.createRelationshipsXml([
+      ['officeDocument', 'xl/workbook.xml'],
+    ]));
+    zip.addFile('xl/workbook.xml', this.createWorkbookXml());
+    zip.addFile('xl/_rels/workbook.xml.rels', this.createRelationshipsXml([
+      ['worksheet', 'worksheets/sheet1.xml'],
+      ['styles', 'styles.xml'],
+    ]));
+    zip.addFile('xl/styles.xml', this.createStylesXml());
+    zip.addFile('xl/worksheets/sheet1.xml', worksheet);
+
+    if (hasComments) {
+      zip.addFile('xl/worksheets/_rels/sheet1.xml.rels', this.createRelationshipsXml([
+        ['comments', '../comments1.xml'],
+        ['vmlDrawing', '../drawings/vmlDrawing1.vml'],
+      ]));
+      zip.addFile('xl/comments1.xml', this.createCommentsXml(comments));
+      zip.addFile('xl/drawings/vmlDrawing1.vml', this.createVmlDrawingXml(comments));
+    }
+
+    return zip.generate();
+  }
+
+  /**
+   * Creates the worksheet XML and collects the cell comments.
+   *
+   * @private
+   * @returns {Object} Returns object with keys `worksheet` (XML string) and `comments` (list of comments in form of
+   *                   `{row, column, text}` objects).
+   */
+  createWorksheet() {
+    const dataProvider = this.dataProvider;
+    const data = dataProvider.getData();
+    const rows = dataProvider.getRowIndexes();
+    const columns = dataProvider.getColumnIndexes();
+    const columnHeaders = dataProvider.getColumnHeaders();
+    const rowHeaders = dataProvider.getRowHeaders();
+    const rowOffset = columnHeaders.length ? 1 : 0;
+    const columnOffset = rowHeaders.length ? 1 : 0;
+    const headerStyle = this.getCellStyleIndex(NUMBER_FORMAT_GENERAL, FONT_BOLD);
+    const rowsXml = [];
+    const comments = [];
+
+    if (rowOffset) {
+      const cellsXml = arrayMap(columnHeaders, (header, column) =>
+        this.createCellXml(0, column + columnOffset, { type: 'inlineStr', value: header }, headerStyle));
+
+      rowsXml.push(`<row r="1">${cellsXml.join('')}</row>`);
+    }
+
+    arrayEach(data, (rowData, rowIndex) => {
+      const sheetRow = rowIndex + rowOffset;
+      const cellsXml = [];
+
+      if (columnOffset) {
+        cellsXml.push(this.createCellXml(sheetRow, 0, { type: 'inlineStr', value: rowHeaders[rowIndex] }, headerStyle));
+      }
+
+      arrayEach(rowData, (value, columnIndex) => {
+        const sheetColumn = columnIndex + columnOffset;
+        const cellProperties = dataProvider.getCellMeta(rows[rowIndex], columns[columnIndex]);
+        const cell = this.convertValue(value, cellProperties);
+        const style = this.getCellStyleIndex(cell.numberFormatId, FONT_DEFAULT, cellProperties.borders);
+        const comment = dataProvider.getComment(rows[rowIndex], columns[columnIndex]);
+
+        if (comment) {
+          comments.push({ row: sheetRow, column: sheetColumn, text: comment });
+        }
+        if (cell.type !== null || style !== 0) {
+          cellsXml.push(this.createCellXml(sheetRow, sheetColumn, cell, style));
+        }
+      });
+
+      rowsXml.push(`<row r="${sheetRow + 1}">${cellsXml.join('')}</row>`);
+    });
+
+    const lastRow = Math.max(data.length + rowOffset - 1, 0);
+    const lastColumn = Math.max(columns.length + columnOffset - 1, 0);
+    const worksheet = [
+      XML_DECLARATION,
+      `<worksheet xmlns="${NAMESPACE_MAIN}" xmlns:r="${NAMESPACE_RELATIONSHIPS}">`,
+      `<dimension ref="A1:${toCellReference(lastRow, lastColumn)}"/>`,
+      this.createSheetViewsXml(dataProvider.getFixedRowsCount() + rowOffset, dataProvider.getFixedColumnsCount() + columnOffset),
+      '<sheetFormatPr defaultRowHeight="15"/>',
+      this.createColumnsXml(dataProvider.getColumnWidths(), columnOffset),
+      `<sheetData>${rowsXml.join('')}</sheetData>`,
+      this.createMergeCellsXml(dataProvider.getMergedCells(), rowOffset, columnOffset),
+      comments.length ? '<legacyDrawing r:id="rId2"/>' : '',
+      '</worksheet>',
+    ];
+
+    return {
+      worksheet: worksheet.join(''),
+      comments,
+    };
+  }
+
+  /**
+   * Converts the cell value into the spreadsheet cell.
+   *
+   * @private
+   * @param {*} value The cell value.
+   * @param {Object} cellProperties The cell properties.
+   * @returns {Object} Returns object with keys `type` (`'n'`, `'b'`, `'inlineStr'` or `null` for the empty cells),
+   *                   `value` and `numberFormatId`.
+   */
+  convertValue(value, cellProperties) {
+    const cell = { type: null, value, numberFormatId: NUMBER_FORMAT_GENERAL };
+
+    if (value === null || value === void 0 || value === '') {
+      return cell;
+    }
+
+    if (value instanceof Date || cellProperties.type === 'date') {
+      const serialDate = this.toSerialDate(value, cellProperties.dateFormat);
+
+      if (serialDate !== null) {
+        cell.type = 'n';
+        cell.value = serialDate;
+        cell.numberFormatId = this.getDateNumberFormatId(cellProperties.dateFormat);
+
+        return cell;
+      }
+    }
+
+    if (typeof value === 'boolean') {
+      cell.type = 'b';
+      cell.value = value ? 1 : 0;
+
+    } else if ((typeof value === 'number' && isFinite(value)) || (cellProperties.type === 'numeric' && isNumeric(value))) {
+      cell.type = 'n';
+      cell.value = parseFloat(value);
+
+    } else {
+      cell.type = 'inlineStr';
+    }
+
+    return cell;
+  }
+
+  /**
+   * Converts the date into the serial date number used by the spreadsheet applications.
+   *
+   * @private
+   * @param {Date|String} value The date.
+   * @param {String} [dateFormat] The format of the date string.
+   * @returns {Number|null} Returns `null` when the value is not a valid date.
+   */
+  toSerialDate(value, dateFormat) {
+    let date;
+
+    if (value instanceof Date) {
+      date = moment(value);
+
+    } else if (dateFormat && moment(value, dateFormat, true).isValid()) {
+      date = moment(value, dateFormat, true);
+
+    } else {
+      date = moment(getNormalizedDate(value));
+    }
+
+    if (!date.isValid()) {
+      return null;
+    }
+
+    const time = Date.UTC(date.year(), date.month(), date.date(), date.hours(), date.minutes(), date.seconds());
+
+    return (time - EXCEL_EPOCH) / MILLISECONDS_PER_DAY;
+  }
+
+  /**
+   * Gets the number format used by the date cells.
+   *
+   * @private
+   * @param {String} [dateFormat] The Moment.js date format.
+   * @returns {Number}
+   */
+  getDateNumberFormatId(dateFormat) {
+    if (!dateFormat) {
+      return NUMBER_FORMAT_DATE;
+    }
+
+    const numberFormat = toNumberFormat(dateFormat);
+    let index = this.numberFormats.indexOf(numberFormat);
+
+    if (index === -1) {
+      index = this.numberFormats.push(numberFormat) - 1;
+    }
+
+    return NUMBER_FORMAT_FIRST_CUSTOM + index;
+  }
+
+  /**
+   * Gets the index of the cell style. The style is registered when it is used for the first time.
+   *
+   * @private
+   * @param {Number} numberFormatId The number format id.
+   * @param {Number} fontId The font id.
+   * @param {Object} [borders] The custom borders defined by the {@link CustomBorders} plugin.
+   * @returns {Number}
+   */
+  getCellStyleIndex(numberFormatId, fontId, borders) {
+    const borderXml = this.createBorderXml(borders);
+    let borderId = this.borders.indexOf(borderXml);
+
+    if (borderId === -1) {
+      borderId = this.borders.push(borderXml) - 1;
+    }
+
+    const key = `${numberFormatId}|${fontId}|${borderId}`;
+    let index = this.cellStyles.indexOf(key);
+
+    if (index === -1) {
+      index = this.cellStyles.push(key) - 1;
+    }
+
+    return index;
+  }
+
+  /**
+   * Creates the cell XML.
+   *
+   * @private
+   * @param {Number} row Sheet row index.
+   * @param {Number} column Sheet column index.
+   * @param {Object} cell The cell created by the {@link Xlsx#convertValue} method.
+   * @param {Number} style The cell style index.
+   * @returns {String}
+   */
+  createCellXml(row, column, cell, style) {
+    const reference = toCellReference(row, column);
+    const styleAttribute = style ? ` s="${style}"` : '';
+
+    if (cell.type === null) {
+      return `<c r="${reference}"${styleAttribute}/>`;
+    }
+    if (cell.type === 'inlineStr') {
+      return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+    }
+
+    return `<c r="${reference}"${styleAttribute} t="${cell.type}"><v>${cell.value}</v></c>`;
+  }
+
+  /**
+   * Creates the border XML.
+   *
+   * @private
+   * @param {Object} [borders] The custom borders defined by the {@link CustomBorders} plugin.
+   * @returns {String}
+   */
+  createBorderXml(borders) {
+    const sidesXml = arrayMap(BORDER_SIDES, (side) => {
+      const border = isObject(borders) ? borders[side] : null;
+
+      if (!isObject(border) || border.hide || !border.width) {
+        return `<${side}/>`;
+      }
+
+      const color = toArgbColor(border.color);
+      let style = 'thin';
+
+      if (border.width >= 3) {
+        style = 'thick';
+
+      } else if (border.width === 2) {
+        style = 'medium';
+      }
+
+      return `<${side} style="${style}">${color ? `<color rgb="${color}"/>` : '<color auto="1"/>'}</${side}>`;
+    });
+
+    return `<border>${sidesXml.join('')}<diagonal/></border>`;
+  }
+
+  /**
+   * Creates the sheet views XML with the frozen panes.
+   *
+   * @private
+   * @param {Number} frozenRows Number of the frozen rows.
+   * @param {Number} frozenColumns Number of the frozen columns.
+   * @returns {String}
+   */
+  createSheetViewsXml(frozenRows, frozenColumns) {
+    let paneXml = '';
+
+    if (frozenRows > 0 || frozenColumns > 0) {
+      let activePane = 'bottomRight';
+
+      if (frozenColumns === 0) {
+        activePane = 'bottomLeft';
+
+      } else if (frozenRows === 0) {
+        activePane = 'topRight';
+      }
+
+      paneXml = [
+        '<pane',
+        frozenColumns > 0 ? ` xSplit="${frozenColumns}"` : '',
+        frozenRows > 0 ? ` ySplit="${frozenRows}"` : '',
+        ` topLeftCell="${toCellReference(frozenRows, frozenColumns)}" activePane="${activePane}" state="frozen"/>`,
+      ].join('');
+    }
+
+    return `<sheetViews><sheetView workbookViewId="0">${paneXml}</sheetView></sheetViews>`;
+  }
+
+  /**
+   * Creates the columns XML with the columns widths.
+   *
+   * @private
+   * @param {Number[]} widths The columns widths in pixels.
+   * @param {Number} columnOffset The index of the first data column.
+   * @returns {String}
+   */
+  createColumnsXml(widths, columnOffset) {
+    if (!widths.length) {
+      return '';
+    }
+
+    const columnsXml = arrayMap(widths, (width, column) => {
+      const index = column + columnOffset + 1;
+      const characters = Math.max(Math.round(((width - 5) / PIXELS_PER_CHARACTER) * 100) / 100, 0);
+
+      return `<col min="${index}" max="${index}" width="${characters}" customWidth="1"/>`;
+    });
+
+    return `<cols>${columnsXml.join('')}</cols>`;
+  }
+
+  /**
+   * Creates the merged cells XML.
+   *
+   * @private
+   * @param {Object[]} mergedCells List of the merged cells in form of `{row, col, rowspan, colspan}` objects.
+   * @param {Number} rowOffset The index of the first data row.
+   * @param {Number} columnOffset The index of the first data column.
+   * @returns {String}
+   */
+  createMergeCellsXml(mergedCells, rowOffset, columnOffset) {
+    if (!mergedCells.length) {
+      return '';
+    }
+
+    const mergeCellsXml = arrayMap(mergedCells, ({ row, col, rowspan, colspan }) => {
+      const start = toCellReference(row + rowOffset, col + columnOffset);
+      const end = toCellReference(row + rowOffset + rowspan - 1, col + columnOffset + colspan - 1);
+
+      return `<mergeCell ref="${start}:${end}"/>`;
+    });
+
+    return `<mergeCells count="${mergedCells.length}">${mergeCellsXml.join('')}</mergeCells>`;
+  }
+
+  /**
+   * Creates the content types XML.
+   *
+   * @private
+   * @param {Boolean} hasComments `true` if the worksheet contains comments.
+   * @returns {String}
+   */
+  createContentTypesXml(hasComments) {
+    return [
+      XML_DECLARATION,
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+      '<Default Extension="xml" ContentType="application/xml"/>',
+      `<Default Extension="vml" ContentType="${CONTENT_TYPE_PREFIX}.vmlDrawing"/>`,
+      `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE_PREFIX}.spreadsheetml.sheet.main+xml"/>`,
+      `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${CONTENT_TYPE_PREFIX}.spreadsheetml.worksheet+xml"/>`,
+      `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE_PREFIX}.spreadsheetml.styles+xml"/>`,
+      hasComments ? `<Override PartName="/xl/comments1.xml" ContentType="${CONTENT_TYPE_PREFIX}.spreadsheetml.comments+xml"/>` : '',
+      '</Types>',
+    ].join('');
+  }
+
+  /**
+   * Creates the relationships XML.
+   *
+   * @private
+   * @param {Array[]} relationships List of relationships in form of `[type, target]` arrays.
+   * @returns {String}
+   */
+  createRelationshipsXml(relationships) {
+    const relationshipsXml = arrayMap(relationships, ([type, target], index) =>
+      `<Relationship Id="rId${index + 1}" Type="${NAMESPACE_RELATIONSHIPS}/${type}" Target="${target}"/>`);
+
+    return `${XML_DECLARATION}<Relationships xmlns="${NAMESPACE_PACKAGE_RELATIONSHIPS}">${relationshipsXml.join('')}</Relationships>`;
+  }
+
+  /**
+   * Creates the workbook XML.
+   *
+   * @private
+   * @returns {String}
+   */
+  createWorkbookXml() {
+    return [
+      XML_DECLARATION,
+      `<workbook xmlns="${NAMESPACE_MAIN}" xmlns:r="${NAMESPACE_RELATIONSHIPS}">`,
+      `<sheets><sheet name="${escapeXml(this.options.sheetName)}" sheetId="1" r:id="rId1"/></sheets>`,
+      '</workbook>',
+    ].join('');
+  }
+
+  /**
+   * Creates the styles XML.
+   *
+   * @private
+   * @returns {String}
+   */
+  createStylesXml() {
+    const numberFormatsXml = arrayMap(this.numberFormats, (numberFormat, index) =>
+      `<numFmt numFmtId="${NUMBER_FORMAT_FIRST_CUSTOM + index}" formatCode="${escapeXml(numberFormat)}"/>`);
+    const cellStylesXml = arrayMap(this.cellStyles, (key) => {
+      const [numberFormatId, fontId, borderId] = key.split('|');
+
+      return [
+        `<xf numFmtId="${numberFormatId}" fontId="${fontId}" fillId="0" borderId="${borderId}" xfId="0"`,
+        numberFormatId !== `${NUMBER_FORMAT_GENERAL}` ? ' applyNumberFormat="1"' : '',
+        fontId !== `${FONT_DEFAULT}` ? ' applyFont="1"' : '',
+        borderId !== '0' ? ' applyBorder="1"' : '',
+        '/>',
+      ].join('');
+    });
+
+    return [
+      XML_DECLARATION,
+      `<styleSheet xmlns="${NAMESPACE_MAIN}">`,
+      numberFormatsXml.length ? `<numFmts count="${numberFormatsXml.length}">${numberFormatsXml.join('')}</numFmts>` : '',
+      '<fonts count="2">',
+      '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>',
+      '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>',
+      '</fonts>',
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+      `<borders count="${this.borders.length}">${this.borders.join('')}</borders>`,
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+      `<cellXfs count="${cellStylesXml.length}">${cellStylesXml.join('')}</cellXfs>`,
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>',
+      '</styleSheet>',
+    ].join('');
+  }
+
+  /**
+   * Creates the comments XML.
+   *
+   * @private
+   * @param {Object[]} comments List of comments in form of `{row, column, text}` objects.
+   * @returns {String}
+   */
+  createCommentsXml(comments) {
+    const commentsXml = arrayMap(comments, ({ row, column, text }) => [
+      `<comment ref="${toCellReference(row, column)}" authorId="0">`,
+      `<text><t xml:space="preserve">${escapeXml(text)}</t></text>`,
+      '</comment>',
+    ].join(''));
+
+    return [
+      XML_DECLARATION,
+      `<comments xmlns="${NAMESPACE_MAIN}">`,
+      '<authors><author></author></authors>',
+      `<commentList>${commentsXml.join('')}</commentList>`,
+      '</comments>',
+    ].join('');
+  }
+
+  /**
+   * Creates the VML drawing XML, which is required by the spreadsheet applications to display the comments.
+   *
+   * @private
+   * @param {Object[]} comments List of comments in form of `{row, column, text}` objects.
+   * @returns {String}
+   */
+  createVmlDrawingXml(comments) {
+    const shapesXml = arrayMap(comments, ({ row, column }, index) => [
+      `<v:shape id="_x0000_s${1025 + index}" type="#_x0000_t202"`,
+      ' style="position:absolute;margin-left:59.25pt;margin-top:1.5pt;width:108pt;height:59.25pt;z-index:1;visibility:hidden"',
+      ' fillcolor="#ffffe1" o:insetmode="auto">',
+      '<v:fill color2="#ffffe1"/><v:shadow on="t" color="black" obscured="t"/><v:path o:connecttype="none"/>',
+      '<v:textbox style="mso-direction-alt:auto"><div style="text-align:left"></div></v:textbox>',
+      '<x:ClientData ObjectType="Note"><x:MoveWithCells/><x:SizeWithCells/>',
+      `<x:Anchor>${column + 1}, 15, ${row}, 2, ${column + 3}, 15, ${row + 3}, 16</x:Anchor>`,
+      `<x:AutoFill>False</x:AutoFill><x:Row>${row}</x:Row><x:Column>${column}</x:Column>`,
+      '</x:ClientData></v:shape>',
+    ].join(''));
+
+    return [
+      '<xml xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office"',
+      ' xmlns:x="urn:schemas-microsoft-com:office:excel">',
+      '<o:shapelayout v:ext="edit"><o:idmap v:ext="edit" data="1"/></o:shapelayout>',
+      '<v:shapetype id="_x0000_t202" coordsize="21600,21600" o:spt="202" path="m,l,21600r21600,l21600,xe">',
+      '<v:stroke joinstyle="miter"/><v:path gradientshapeok="t" o:connecttype="rect"/></v:shapetype>',
+      shapesXml.join(''),
+      '</xml>',
+    ].join('');
+  }
+}
+
+export default Xlsx;
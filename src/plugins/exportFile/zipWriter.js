@@ -0,0 +1,210 @@
+/* eslint-disable no-bitwise */
+import { arrayEach } from './../../helpers/array';
+
+const SIGNATURE_LOCAL_FILE_HEADER = 0x04034b50;
+const SIGNATURE_CENTRAL_DIRECTORY = 0x02014b50;
+const SIGNATURE_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20;
+const FLAG_UTF8_NAMES = 0x0800;
+const METHOD_STORE = 0;
+
+let crcTable = null;
+
+/**
+ * Gets the lookup table used while computing the CRC-32 checksums.
+ *
+ * @returns {Number[]}
+ */
+function getCrcTable() {
+  if (crcTable === null) {
+    crcTable = [];
+
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+
+      for (let k = 0; k < 8; k += 1) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+
+      crcTable.push(c >>> 0);
+    }
+  }
+
+  return crcTable;
+}
+
+/**
+ * Computes the CRC-32 checksum of the bytes.
+ *
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {Number}
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xFFFFFFFF;
+
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encodes the string using the UTF-8 encoding.
+ *
+ * @param {String} string The string to encode.
+ * @returns {Uint8Array}
+ */
+export function encodeUtf8(string) {
+  const bytes = [];
+
+  for (let i = 0; i < string.length; i += 1) {
+    let code = string.charCodeAt(i);
+
+    if (code >= 0xD800 && code <= 0xDBFF && i + 1 < string.length) {
+      const nextCode = string.charCodeAt(i + 1);
+
+      if (nextCode >= 0xDC00 && nextCode <= 0xDFFF) {
+        code = 0x10000 + ((code - 0xD800) << 10) + (nextCode - 0xDC00);
+        i += 1;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+
+    } else if (code < 0x800) {
+      bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+
+    } else if (code < 0x10000) {
+      bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+
+    } else {
+      bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Converts the date into the MS-DOS date and time format used by the zip archives.
+ *
+ * @param {Date} date The date.
+ * @returns {Object} Returns object with keys `date` and `time`.
+ */
+function toDosDateTime(date) {
+  return {
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  };
+}
+
+/**
+ * Minimal zip archive writer. The files are stored without compression, which is supported by all zip readers
+ * (including the spreadsheet applications reading the Office Open XML files).
+ *
+ * @class ZipWriter
+ * @plugin ExportFile
+ */
+class ZipWriter {
+  constructor() {
+    /**
+     * List of the added files.
+     *
+     * @type {Object[]}
+     */
+    this.files = [];
+  }
+
+  /**
+   * Adds the file to the archive.
+   *
+   * @param {String} name The file path inside the archive (e.g. `'xl/workbook.xml'`).
+   * @param {String|Uint8Array} content The file content. Strings are encoded using the UTF-8 encoding.
+   */
+  addFile(name, content) {
+    const data = typeof content === 'string' ? encodeUtf8(content) : content;
+
+    this.files.push({
+      name: encodeUtf8(name),
+      data,
+      crc: crc32(data),
+    });
+  }
+
+  /**
+   * Generates the zip archive.
+   *
+   * @param {Date} [date] The modification date of the archived files.
+   * @returns {Uint8Array}
+   */
+  generate(date = new Date()) {
+    const dosDateTime = toDosDateTime(date);
+    let localSize = 0;
+    let centralSize = 0;
+
+    arrayEach(this.files, ({ name, data }) => {
+      localSize += 30 + name.length + data.length;
+      centralSize += 46 + name.length;
+    });
+
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    let centralOffset = localSize;
+
+    arrayEach(this.files, ({ name, data, crc }) => {
+      const localHeaderOffset = offset;
+
+      view.setUint32(offset, SIGNATURE_LOCAL_FILE_HEADER, true);
+      view.setUint16(offset + 4, ZIP_VERSION, true);
+      view.setUint16(offset + 6, FLAG_UTF8_NAMES, true);
+      view.setUint16(offset + 8, METHOD_STORE, true);
+      view.setUint16(offset + 10, dosDateTime.time, true);
+      view.setUint16(offset + 12, dosDateTime.date, true);
+      view.setUint32(offset + 14, crc, true);
+      view.setUint32(offset + 18, data.length, true);
+      view.setUint32(offset + 22, data.length, true);
+      view.setUint16(offset + 26, name.length, true);
+      view.setUint16(offset + 28, 0, true);
+      bytes.set(name, offset + 30);
+      bytes.set(data, offset + 30 + name.length);
+      offset += 30 + name.length + data.length;
+
+      view.setUint32(centralOffset, SIGNATURE_CENTRAL_DIRECTORY, true);
+      view.setUint16(centralOffset + 4, ZIP_VERSION, true);
+      view.setUint16(centralOffset + 6, ZIP_VERSION, true);
+      view.setUint16(centralOffset + 8, FLAG_UTF8_NAMES, true);
+      view.setUint16(centralOffset + 10, METHOD_STORE, true);
+      view.setUint16(centralOffset + 12, dosDateTime.time, true);
+      view.setUint16(centralOffset + 14, dosDateTime.date, true);
+      view.setUint32(centralOffset + 16, crc, true);
+      view.setUint32(centralOffset + 20, data.length, true);
+      view.setUint32(centralOffset + 24, data.length, true);
+      view.setUint16(centralOffset + 28, name.length, true);
+      view.setUint16(centralOffset + 30, 0, true);
+      view.setUint16(centralOffset + 32, 0, true);
+      view.setUint16(centralOffset + 34, 0, true);
+      view.setUint16(centralOffset + 36, 0, true);
+      view.setUint32(centralOffset + 38, 0, true);
+      view.setUint32(centralOffset + 42, localHeaderOffset, true);
+      bytes.set(name, centralOffset + 46);
+      centralOffset += 46 + name.length;
+    });
+
+    view.setUint32(centralOffset, SIGNATURE_END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(centralOffset + 4, 0, true);
+    view.setUint16(centralOffset + 6, 0, true);
+    view.setUint16(centralOffset + 8, this.files.length, true);
+    view.setUint16(centralOffset + 10, this.files.length, true);
+    view.setUint32(centralOffset + 12, centralSize, true);
+    view.setUint32(centralOffset + 16, localSize, true);
+    view.setUint16(centralOffset + 20, 0, true);
+
+    return bytes;
+  }
+}
+
+export default ZipWriter;
@@ -0,0 +1,28 @@
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { toComparableValues } from './../utils';
+import { condition as greaterThanOrEqual } from './greaterThanOrEqual';
+import { condition as lessThanOrEqual } from './lessThanOrEqual';
+
+export const CONDITION_NAME = 'between';
+
+export function condition(dataRow, [from, to] = []) {
+  let fromValue = from;
+  let toValue = to;
+  const fromComparable = toComparableValues(dataRow, from);
+  const toComparable = toComparableValues(dataRow, to);
+
+  // The range boundaries can be passed in any order.
+  if (fromComparable !== null && toComparable !== null && fromComparable[1] > toComparable[1]) {
+    fromValue = to;
+    toValue = from;
+  }
+
+  return greaterThanOrEqual(dataRow, [fromValue]) && lessThanOrEqual(dataRow, [toValue]);
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_BETWEEN,
+  inputsCount: 2,
+  showOperators: true,
+});
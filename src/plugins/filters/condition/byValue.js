@@ -0,0 +1,18 @@
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { createArrayAssertion } from './../utils';
+
+export const CONDITION_NAME = 'by_value';
+
+export function condition(dataRow, [value] = []) {
+  return value(dataRow.value);
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_BY_VALUE,
+  inputsCount: 0,
+  inputValuesDecorator([data] = []) {
+    return [createArrayAssertion(data)];
+  },
+  showOperators: false,
+});
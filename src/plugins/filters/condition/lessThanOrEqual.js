@@ -0,0 +1,23 @@
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { toComparableValues } from './../utils';
+
+export const CONDITION_NAME = 'lte';
+
+export function condition(dataRow, [value] = []) {
+  const comparableValues = toComparableValues(dataRow, value);
+
+  if (comparableValues === null) {
+    return false;
+  }
+
+  const [cellValue, conditionValue] = comparableValues;
+
+  return cellValue <= conditionValue;
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_LESS_THAN_OR_EQUAL,
+  inputsCount: 1,
+  showOperators: true,
+});
@@ -0,0 +1,256 @@
+import { arrayEach, arrayMap, arrayFilter } from './../../helpers/array';
+import { mixin, objectEach } from './../../helpers/object';
+import { isUndefined } from './../../helpers/mixed';
+import localHooks from './../../mixins/localHooks';
+import { getCondition } from './conditionRegisterer';
+import { getOperationFunc, operations } from './logicalOperationRegisterer';
+import { OPERATION_ID as OPERATION_AND } from './logicalOperations/conjunction';
+import './logicalOperations/disjunction';
+
+/**
+ * Stores the conditions added for the columns and checks if the cell values match them.
+ *
+ * @class ConditionCollection
+ * @plugin Filters
+ */
+class ConditionCollection {
+  constructor() {
+    /**
+     * Conditions collection grouped by the operation type and then by the column index. For example:
+     * `{ conjunction: { 0: [{ name, args, func }] }, disjunction: { 2: [...] } }`.
+     *
+     * @type {Object}
+     */
+    this.conditions = {};
+    /**
+     * Order of the columns in which the conditions were added.
+     *
+     * @type {Number[]}
+     */
+    this.orderStack = [];
+
+    objectEach(operations, (value, operation) => {
+      this.conditions[operation] = {};
+    });
+  }
+
+  /**
+   * Check if condition collection is empty (so no needed to filter data).
+   *
+   * @returns {Boolean}
+   */
+  isEmpty() {
+    return !this.orderStack.length;
+  }
+
+  /**
+   * Check if value is matched to the criteria of conditions chain.
+   *
+   * @param {Object} value Object with `value` and `meta` keys.
+   * @param {Number} [column] Column index.
+   * @returns {Boolean}
+   */
+  isMatch(value, column) {
+    const operation = this.getOperation(column);
+
+    return this.isMatchInConditions(this.getConditions(column), value, operation);
+  }
+
+  /**
+   * Check if the value is matches the conditions.
+   *
+   * @param {Array} conditions List of conditions.
+   * @param {Object} value Object with `value` and `meta` keys.
+   * @param {String} [operationType='conjunction'] Type of conditions operation.
+   * @returns {Boolean}
+   */
+  isMatchInConditions(conditions, value, operationType = OPERATION_AND) {
+    let result = true;
+
+    if (conditions.length) {
+      result = getOperationFunc(operationType)(conditions, value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Add condition to the collection.
+   *
+   * @param {Number} column Column index.
+   * @param {Object} conditionDefinition Object with keys:
+   *  * `name` String Name of condition (`command.key` is accepted as an alias),
+   *  * `args` Array Condition arguments.
+   * @param {String} [operation='conjunction'] Type of conditions operation (`conjunction` or `disjunction`).
+   * @fires ConditionCollection#beforeAdd
+   * @fires ConditionCollection#afterAdd
+   */
+  addCondition(column, conditionDefinition, operation = OPERATION_AND) {
+    const args = arrayMap(conditionDefinition.args, v => (typeof v === 'string' ? v.toLowerCase() : v));
+    const name = conditionDefinition.name || conditionDefinition.command.key;
+
+    if (isUndefined(this.conditions[operation])) {
+      throw Error(`Unexpected operation named "${operation}". Possible ones are "disjunction" and "conjunction".`);
+    }
+
+    const columnOperation = this.getOperation(column);
+
+    if (columnOperation && columnOperation !== operation) {
+      throw Error(`The column of index ${column} has been already filtered using the "${columnOperation}" operation. Use
+        \`removeConditions\` to clear the current conditions and then add new ones.`);
+    }
+
+    this.runLocalHooks('beforeAdd', column);
+
+    if (this.orderStack.indexOf(column) === -1) {
+      this.orderStack.push(column);
+    }
+
+    if (!this.conditions[operation][column]) {
+      this.conditions[operation][column] = [];
+    }
+
+    this.conditions[operation][column].push({ name, args, func: getCondition(name, args) });
+
+    this.runLocalHooks('afterAdd', column);
+  }
+
+  /**
+   * Get all added conditions from the collection at specified column index.
+   *
+   * @param {Number} column Column index.
+   * @returns {Array} Returns conditions collection as an array.
+   */
+  getConditions(column) {
+    const operation = this.getOperation(column);
+
+    return operation ? this.conditions[operation][column] : [];
+  }
+
+  /**
+   * Get operation for the column at specified index (`undefined` if there are no conditions for that column).
+   *
+   * @param {Number} column Column index.
+   * @returns {String|undefined}
+   */
+  getOperation(column) {
+    let result;
+
+    objectEach(this.conditions, (columns, operation) => {
+      if (columns[column]) {
+        result = operation;
+
+        return false;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Export all previously added conditions.
+   *
+   * @returns {Array}
+   */
+  exportAllConditions() {
+    return arrayMap(this.orderStack, column => ({
+      column,
+      operation: this.getOperation(column),
+      conditions: arrayMap(this.getConditions(column), ({ name, args }) => ({ name, args })),
+    }));
+  }
+
+  /**
+   * Import conditions to the collection. All previously added conditions are removed.
+   *
+   * @param {Array} conditions The conditions stack (see {@link ConditionCollection#exportAllConditions}).
+   */
+  importAllConditions(conditions) {
+    this.clean();
+
+    arrayEach(conditions, ({ column, operation, conditions: columnConditions }) => {
+      arrayEach(columnConditions, condition => this.addCondition(column, condition, operation));
+    });
+  }
+
+  /**
+   * Remove conditions at given column index.
+   *
+   * @param {Number} column Column index.
+   * @fires ConditionCollection#beforeRemove
+   * @fires ConditionCollection#afterRemove
+   */
+  removeConditions(column) {
+    this.runLocalHooks('beforeRemove', column);
+
+    this.orderStack = arrayFilter(this.orderStack, value => value !== column);
+    this.clearConditions(column);
+
+    this.runLocalHooks('afterRemove', column);
+  }
+
+  /**
+   * Clear conditions at specified column index but without clearing stack order.
+   *
+   * @param {Number} column Column index.
+   * @fires ConditionCollection#beforeClear
+   * @fires ConditionCollection#afterClear
+   */
+  clearConditions(column) {
+    this.runLocalHooks('beforeClear', column);
+
+    objectEach(this.conditions, (columns) => {
+      delete columns[column];
+    });
+
+    this.runLocalHooks('afterClear', column);
+  }
+
+  /**
+   * Check if at least one condition was added at specified column index. And if second parameter is passed then additionally
+   * check if condition exists under its name.
+   *
+   * @param {Number} column Column index.
+   * @param {String} [name] Condition name.
+   * @returns {Boolean}
+   */
+  hasConditions(column, name) {
+    const conditions = this.getConditions(column);
+
+    if (name) {
+      return conditions.some(condition => condition.name === name);
+    }
+
+    return conditions.length > 0;
+  }
+
+  /**
+   * Clean all conditions collection and reset order stack.
+   *
+   * @fires ConditionCollection#beforeClean
+   * @fires ConditionCollection#afterClean
+   */
+  clean() {
+    this.runLocalHooks('beforeClean');
+
+    objectEach(this.conditions, (columns, operation) => {
+      this.conditions[operation] = {};
+    });
+    this.orderStack.length = 0;
+
+    this.runLocalHooks('afterClean');
+  }
+
+  /**
+   * Destroy object.
+   */
+  destroy() {
+    this.clearLocalHooks();
+    this.conditions = null;
+    this.orderStack = null;
+  }
+}
+
+mixin(ConditionCollection, localHooks);
+
+export default ConditionCollection;
@@ -0,0 +1,15 @@
+import './condition/beginsWith';
+import './condition/between';
+import './condition/byValue';
+import './condition/contains';
+import './condition/empty';
+import './condition/endsWith';
+import './condition/equal';
+import './condition/greaterThan';
+import './condition/greaterThanOrEqual';
+import './condition/lessThan';
+import './condition/lessThanOrEqual';
+import './condition/notBetween';
+import './condition/notContains';
+import './condition/notEmpty';
+import './condition/notEqual';
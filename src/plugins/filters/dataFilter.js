@@ -0,0 +1,95 @@
+import { arrayEach } from './../../helpers/array';
+
+/**
+ * @class DataFilter
+ * @plugin Filters
+ */
+class DataFilter {
+  constructor(conditionCollection, columnDataFactory = () => []) {
+    /**
+     * Reference to the instance of {ConditionCollection}.
+     *
+     * @type {ConditionCollection}
+     */
+    this.conditionCollection = conditionCollection;
+    /**
+     * Function which provide source data factory for specified column.
+     *
+     * @type {Function}
+     */
+    this.columnDataFactory = columnDataFactory;
+  }
+
+  /**
+   * Filter data based on the conditions collection. Columns are filtered in the order in which the conditions were
+   * added, so every next column is filtered using only the rows which have passed the previous columns.
+   *
+   * @returns {Array} Returns the rows (objects with `value` and `meta` keys) which match all the conditions.
+   */
+  filter() {
+    let filteredData = [];
+
+    arrayEach(this.conditionCollection.orderStack, (column, index) => {
+      let columnData = this.columnDataFactory(column);
+
+      if (index) {
+        columnData = this._getIntersectData(columnData, filteredData);
+      }
+
+      filteredData = this.filterByColumn(column, columnData);
+    });
+
+    return filteredData;
+  }
+
+  /**
+   * Filter data based on specified column index.
+   *
+   * @param {Number} column Column index.
+   * @param {Array} [dataSource] Data source as array of objects with `value` and `meta` keys (e.g. `{value: 'foo', meta: {}}`).
+   * @returns {Array} Returns filtered data.
+   */
+  filterByColumn(column, dataSource = []) {
+    const filteredData = [];
+
+    arrayEach(dataSource, (dataRow) => {
+      if (dataRow !== void 0 && this.conditionCollection.isMatch(dataRow, column)) {
+        filteredData.push(dataRow);
+      }
+    });
+
+    return filteredData;
+  }
+
+  /**
+   * Intersect data.
+   *
+   * @private
+   * @param {Array} data Column data (indexed by the physical row index).
+   * @param {Array} needles Rows which passed the previous conditions.
+   * @returns {Array}
+   */
+  _getIntersectData(data, needles) {
+    const result = [];
+
+    arrayEach(needles, (needleRow) => {
+      const row = needleRow.meta.row;
+
+      if (data[row] !== void 0) {
+        result[row] = data[row];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Destroy object.
+   */
+  destroy() {
+    this.conditionCollection = null;
+    this.columnDataFactory = null;
+  }
+}
+
+export default DataFilter;
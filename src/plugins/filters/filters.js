@@ -0,0 +1,420 @@
+import BasePlugin from './../_base';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { rangeEach } from './../../helpers/number';
+import { registerPlugin } from './../../plugins';
+import ConditionCollection from './conditionCollection';
+import DataFilter from './dataFilter';
+import RowsMapper from './rowsMapper';
+import { toEmptyString } from './utils';
+import { OPERATION_ID as OPERATION_AND } from './logicalOperations/conjunction';
+
+import './conditions';
+
+/**
+ * @plugin Filters
+ *
+ * @description
+ * The plugin allows filtering the table data using the API. Each column has its own stack of conditions which are
+ * combined with the `conjunction` (AND) or `disjunction` (OR) operation. The columns are combined with each other
+ * using AND.
+ *
+ * Built-in conditions:
+ * - `empty`, `not_empty`,
+ * - `eq`, `neq`,
+ * - `begins_with`, `ends_with`,
+ * - `contains`, `not_contains`,
+ * - `gt`, `gte`, `lt`, `lte`,
+ * - `between`, `not_between`,
+ * - `by_value`.
+ *
+ * Rows which do not match the conditions are trimmed from the view through the `modifyRow` and `unmodifyRow` hooks,
+ * the data source is left untouched. The plugin filters the rows in the order produced by the plugins which translate
+ * the data source rows (e.g. ManualRowMove or TrimRows), while the ColumnSorting plugin sorts the already filtered rows.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   colHeaders: true,
+ *   rowHeaders: true,
+ *   filters: true,
+ * });
+ *
+ * const filtersPlugin = hot.getPlugin('filters');
+ *
+ * filtersPlugin.addCondition(1, 'begins_with', ['b']);
+ * filtersPlugin.addCondition(2, 'gt', [10]);
+ * filtersPlugin.filter();
+ * ```
+ */
+class Filters extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Instance of {@link ConditionCollection}.
+     *
+     * @type {ConditionCollection}
+     */
+    this.conditionCollection = null;
+    /**
+     * Object containing visual row indexes mapped to the row indexes of the unfiltered view.
+     *
+     * @private
+     * @type {RowsMapper}
+     */
+    this.rowsMapper = new RowsMapper(this);
+    /**
+     * Row index of the unfiltered view which is returned by the `modifyRow` hook callback while the data is collected
+     * for filtering. It replaces the index translated by the plugins working on the filtered view (e.g. ColumnSorting).
+     *
+     * @private
+     * @type {Number|null}
+     */
+    this.unfilteredRow = null;
+    /**
+     * Flag which determines if the rows are currently filtered (the rows mapper is in use).
+     *
+     * @private
+     * @type {Boolean}
+     */
+    this.isFiltered = false;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link Filters#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().filters;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    if (!this.conditionCollection) {
+      this.conditionCollection = new ConditionCollection();
+    }
+
+    this.addHook('modifyRow', (row, source) => this.onModifyRow(row, source));
+    this.addHook('unmodifyRow', (row, source) => this.onUnmodifyRow(row, source));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('afterRemoveRow', (index, amount) => this.onAfterRemoveRow(index, amount));
+    this.addHook('afterLoadData', initialLoad => this.onAfterLoadData(initialLoad));
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    if (this.enabled) {
+      this.conditionCollection.destroy();
+      this.conditionCollection = null;
+      this.rowsMapper.clearMap();
+      this.isFiltered = false;
+      this.hot.runHooks('skipLengthCache', 100);
+    }
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Adds condition to the conditions collection at specified column index.
+   *
+   * Possible predefined conditions:
+   *  * `begins_with` - Begins with
+   *  * `between` - Between
+   *  * `by_value` - By value
+   *  * `contains` - Contains
+   *  * `empty` - Empty
+   *  * `ends_with` - Ends with
+   *  * `eq` - Equal
+   *  * `gt` - Greater than
+   *  * `gte` - Greater than or equal
+   *  * `lt` - Less than
+   *  * `lte` - Less than or equal
+   *  * `not_between` - Not between
+   *  * `not_contains` - Not contains
+   *  * `not_empty` - Not empty
+   *  * `neq` - Not equal
+   *
+   * Possible operations on collection of conditions:
+   *  * `conjunction` - [**Conjunction**](https://en.wikipedia.org/wiki/Logical_conjunction) on conditions collection (by default), i.e. for such operation: c1 AND c2 AND c3 AND c4 ... AND cn === TRUE, where c1 ... cn are conditions.
+   *  * `disjunction` - [**Disjunction**](https://en.wikipedia.org/wiki/Logical_disjunction) on conditions collection, i.e. for such operation: c1 OR c2 OR c3 OR c4 ... OR cn === TRUE, where c1, c2, c3, c4 ... cn are conditions.
+   *
+   * **Note**: Mixed operations are not supported for a single column. To change the operation of a column, remove its
+   * conditions first with {@link Filters#removeConditions}.
+   *
+   * @example
+   * ```js
+   * const container = document.getElementById('example');
+   * const hot = new Handsontable(container, {
+   *   data: getData(),
+   *   filters: true
+   * });
+   *
+   * // access to filters plugin instance
+   * const filtersPlugin = hot.getPlugin('filters');
+   *
+   * // add filter "Greater than" 95 to column at index 1
+   * filtersPlugin.addCondition(1, 'gt', [95]);
+   * filtersPlugin.filter();
+   *
+   * // add filter "By value" to column at index 1
+   * // in this case all value's that don't match will be filtered.
+   * filtersPlugin.addCondition(1, 'by_value', [['ing', 'ed', 'as', 'on']]);
+   * filtersPlugin.filter();
+   *
+   * // add filter "Begins with" with value "de" AND "Not contains" with value "ing"
+   * filtersPlugin.addCondition(1, 'begins_with', ['de'], 'conjunction');
+   * filtersPlugin.addCondition(1, 'not_contains', ['ing'], 'conjunction');
+   * filtersPlugin.filter();
+   *
+   * // add filter "Begins with" with value "de" OR "Not contains" with value "ing"
+   * filtersPlugin.addCondition(1, 'begins_with', ['de'], 'disjunction');
+   * filtersPlugin.addCondition(1, 'not_contains', ['ing'], 'disjunction');
+   * filtersPlugin.filter();
+   * ```
+   * @param {Number} column Visual column index.
+   * @param {String} name Condition short name.
+   * @param {Array} args Condition arguments.
+   * @param {String} [operationId='conjunction'] `id` of operation which is performed on the column.
+   */
+  addCondition(column, name, args, operationId = OPERATION_AND) {
+    const physicalColumn = this.hot.toPhysicalColumn(column);
+
+    this.conditionCollection.addCondition(physicalColumn, { name, args }, operationId);
+  }
+
+  /**
+   * Removes conditions at specified column index.
+   *
+   * @param {Number} column Visual column index.
+   */
+  removeConditions(column) {
+    const physicalColumn = this.hot.toPhysicalColumn(column);
+
+    this.conditionCollection.removeConditions(physicalColumn);
+  }
+
+  /**
+   * Clears all conditions previously added to the collection for the specified column index or, if the column index
+   * was not passed, clear the conditions for all columns.
+   *
+   * @param {Number} [column] Visual column index.
+   */
+  clearConditions(column) {
+    if (column === void 0) {
+      this.conditionCollection.clean();
+
+    } else {
+      const physicalColumn = this.hot.toPhysicalColumn(column);
+
+      this.conditionCollection.clearConditions(physicalColumn);
+    }
+  }
+
+  /**
+   * Filters data based on added filter conditions.
+   *
+   * @fires Hooks#beforeFilter
+   * @fires Hooks#afterFilter
+   */
+  filter() {
+    const conditions = this.conditionCollection.exportAllConditions();
+    const allowFiltering = this.hot.runHooks('beforeFilter', conditions);
+
+    if (allowFiltering !== false) {
+      if (this.conditionCollection.isEmpty()) {
+        this.rowsMapper.clearMap();
+        this.isFiltered = false;
+
+      } else {
+        const dataFilter = new DataFilter(this.conditionCollection, physicalColumn => this.getDataMapAtColumn(this.hot.toVisualColumn(physicalColumn)));
+        const visibleRows = arrayMap(dataFilter.filter(), dataRow => dataRow.meta.row);
+
+        dataFilter.destroy();
+
+        this.rowsMapper.createMap(visibleRows);
+        this.isFiltered = true;
+      }
+
+      this.hot.runHooks('skipLengthCache', 100);
+
+      if (this.hot.countRows() === 0) {
+        this.hot.deselectCell();
+
+      } else {
+        const selectedRange = this.hot.getSelectedRangeLast();
+
+        if (selectedRange && selectedRange.highlight.row >= this.hot.countRows()) {
+          this.hot.selectCell(0, selectedRange.highlight.col);
+        }
+      }
+
+    }
+
+    this.hot.runHooks('afterFilter', conditions);
+
+    this.hot.view.wt.wtOverlays.adjustElementsSize(true);
+    this.hot.render();
+  }
+
+  /**
+   * Creates DataMap with information about the cell values and the cell meta (the cell type, date format and
+   * the row index of the unfiltered view) for all the rows (the filtered ones too).
+   *
+   * @param {Number} column Visual column index.
+   * @returns {Object[]} Returns array of objects where keys as row index.
+   */
+  getDataMapAtColumn(column) {
+    const physicalColumn = this.hot.toPhysicalColumn(column);
+    const columnMeta = this.hot.getCellMeta(0, column);
+    const data = [];
+
+    arrayEach(this.getUnfilteredPhysicalRows(), (physicalRow, row) => {
+      const cellsMeta = this.hot.getCellMetaAtRow(physicalRow);
+      const cellMeta = cellsMeta && cellsMeta[physicalColumn] ? cellsMeta[physicalColumn] : columnMeta;
+      const { type, dateFormat, instance } = cellMeta;
+
+      data.push({
+        meta: { row, col: physicalColumn, visualRow: row, visualCol: column, type, dateFormat, instance },
+        value: toEmptyString(this.hot.getSourceDataAtCell(physicalRow, column)),
+      });
+    });
+
+    return data;
+  }
+
+  /**
+   * Gets the physical row indexes in the order of the unfiltered view. The row indexes are translated only by the
+   * plugins which `modifyRow` hook callbacks run after this plugin (e.g. ManualRowMove or TrimRows).
+   *
+   * @private
+   * @returns {Number[]}
+   */
+  getUnfilteredPhysicalRows() {
+    const physicalRows = [];
+
+    rangeEach(this.hot.countSourceRows() - 1, (row) => {
+      this.unfilteredRow = row;
+
+      const physicalRow = this.hot.toPhysicalRow(row);
+
+      if (physicalRow === null) {
+        return false;
+      }
+
+      physicalRows.push(physicalRow);
+    });
+
+    this.unfilteredRow = null;
+
+    return physicalRows;
+  }
+
+  /**
+   * Translates the visual row index into the row index of the unfiltered view.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @returns {Number|null} Returns row index of the unfiltered view or `null` when the row is out of the filtered rows.
+   */
+  onModifyRow(row, source) {
+    if (this.unfilteredRow !== null) {
+      return this.unfilteredRow;
+    }
+
+    if (this.isFiltered && source !== this.pluginName && row !== null) {
+      return this.rowsMapper.getValueByIndex(row);
+    }
+
+    return row;
+  }
+
+  /**
+   * `unmodifyRow` hook callback.
+   *
+   * @private
+   * @param {Number} row Row index of the unfiltered view.
+   * @returns {Number|null} Visual row index or `null` when the row is filtered out.
+   */
+  onUnmodifyRow(row, source) {
+    if (this.isFiltered && source !== this.pluginName && row !== null) {
+      return this.rowsMapper.getIndexByValue(row);
+    }
+
+    return row;
+  }
+
+  /**
+   * `afterCreateRow` hook callback. Created rows are not filtered until the next {@link Filters#filter} call.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    if (this.isFiltered) {
+      // The plugins translating the data source rows update their maps after this callback, so the created rows
+      // are placed in the unfiltered view right after the rows which precede them in the data source.
+      const precedingRows = arrayFilter(this.getUnfilteredPhysicalRows(), physicalRow => physicalRow < index);
+
+      this.rowsMapper.insertRows(precedingRows.length, amount);
+    }
+  }
+
+  /**
+   * `afterRemoveRow` hook callback.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   */
+  onAfterRemoveRow(index, amount) {
+    if (this.isFiltered) {
+      const removedRows = [];
+
+      rangeEach(index, index + amount - 1, row => removedRows.push(this.rowsMapper.getValueByIndex(row)));
+
+      this.rowsMapper.removeRows(removedRows);
+    }
+  }
+
+  /**
+   * `afterLoadData` hook callback. Applies already added conditions to the new data.
+   *
+   * @private
+   * @param {Boolean} initialLoad Flag that determines whether the data has been loaded during the initialization.
+   */
+  onAfterLoadData(initialLoad) {
+    if (!initialLoad && !this.conditionCollection.isEmpty()) {
+      this.filter();
+    }
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    if (this.enabled) {
+      this.conditionCollection.destroy();
+    }
+    this.rowsMapper.destroy();
+
+    super.destroy();
+  }
+}
+
+registerPlugin('filters', Filters);
+
+export default Filters;
@@ -0,0 +1,87 @@
+import arrayMapper from './../../mixins/arrayMapper';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { mixin } from './../../helpers/object';
+
+/**
+ * Maps the visual (filtered) row indexes to the row indexes of the unfiltered view. The map contains only rows which
+ * pass the filtering, in the order of the unfiltered view.
+ *
+ * @class RowsMapper
+ * @plugin Filters
+ */
+class RowsMapper {
+  constructor(filtersPlugin) {
+    /**
+     * Instance of Filters plugin.
+     *
+     * @type {Filters}
+     */
+    this.filtersPlugin = filtersPlugin;
+  }
+
+  /**
+   * Reset current map array and create a new one based on the filtered rows.
+   *
+   * @param {Number[]} rows List of the rows (indexes of the unfiltered view) which should stay visible.
+   */
+  createMap(rows) {
+    this._arrayMap.length = 0;
+
+    arrayEach(rows, (row) => {
+      this._arrayMap.push(row);
+    });
+  }
+
+  /**
+   * Update the map after inserting rows. Created rows are always visible, so they are added to the map in the order
+   * of the unfiltered view, and the indexes of the rows placed after them are shifted.
+   *
+   * @param {Number} insertedRow Index of the first created row.
+   * @param {Number} [amount=1] Number of created rows.
+   */
+  insertRows(insertedRow, amount = 1) {
+    let insertionIndex = this._arrayMap.length;
+
+    this._arrayMap = arrayMap(this._arrayMap, (row, index) => {
+      if (row >= insertedRow) {
+        insertionIndex = Math.min(insertionIndex, index);
+
+        return row + amount;
+      }
+
+      return row;
+    });
+
+    for (let i = amount - 1; i >= 0; i--) {
+      this._arrayMap.splice(insertionIndex, 0, insertedRow + i);
+    }
+  }
+
+  /**
+   * Update the map after removing rows. Removed rows are dropped from the map and the indexes of the remaining
+   * rows are shifted.
+   *
+   * @param {Number[]} rows Indexes (of the unfiltered view) of the removed rows.
+   */
+  removeRows(rows) {
+    const removedRows = arrayFilter(rows, row => row !== null && row !== void 0);
+
+    this._arrayMap = arrayMap(arrayFilter(this._arrayMap, row => removedRows.indexOf(row) === -1), (row) => {
+      const shift = arrayFilter(removedRows, removedRow => removedRow < row).length;
+
+      return row - shift;
+    });
+  }
+
+  /**
+   * Destroy class.
+   */
+  destroy() {
+    this._arrayMap = null;
+    this.filtersPlugin = null;
+  }
+}
+
+mixin(RowsMapper, arrayMapper);
+
+export default RowsMapper;
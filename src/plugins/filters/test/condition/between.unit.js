@@ -0,0 +1,43 @@
+import { condition } from 'handsontable/plugins/filters/condition/between';
+import { condition as notBetween } from 'handsontable/plugins/filters/condition/notBetween';
+import dataRowFactory from './../helpers/dataRowFactory';
+
+describe('Filters condition (`between`)', () => {
+  it('should filter matching numeric values', () => {
+    const data = dataRowFactory({ type: 'numeric' });
+
+    expect(condition(data(4), [4, 9])).toBe(true);
+    expect(condition(data(9), [4, 9])).toBe(true);
+    expect(condition(data('5.5'), ['4', '9'])).toBe(true);
+    expect(condition(data(-1), [-5, 0])).toBe(true);
+  });
+
+  it('should accept the range boundaries passed in any order', () => {
+    const data = dataRowFactory({ type: 'numeric' });
+
+    expect(condition(data(5), [9, 4])).toBe(true);
+    expect(condition(data(10), [9, 4])).toBe(false);
+  });
+
+  it('should filter not matching numeric values', () => {
+    const data = dataRowFactory({ type: 'numeric' });
+
+    expect(condition(data(3.99), [4, 9])).toBe(false);
+    expect(condition(data(10), [4, 9])).toBe(false);
+  });
+
+  it('should filter matching date values', () => {
+    const data = dataRowFactory({ type: 'date', dateFormat: 'DD/MM/YYYY' });
+
+    expect(condition(data('10/10/2018'), ['01/10/2018', '31/10/2018'])).toBe(true);
+    expect(condition(data('10/11/2018'), ['01/10/2018', '31/10/2018'])).toBe(false);
+    expect(condition(data('foo'), ['01/10/2018', '31/10/2018'])).toBe(false);
+  });
+
+  it('should negate the result for the `not_between` condition', () => {
+    const data = dataRowFactory({ type: 'numeric' });
+
+    expect(notBetween(data(5), [4, 9])).toBe(false);
+    expect(notBetween(data(10), [4, 9])).toBe(true);
+  });
+});
@@ -0,0 +1,29 @@
+import { condition } from 'handsontable/plugins/filters/condition/byValue';
+import { getCondition } from 'handsontable/plugins/filters/conditionRegisterer';
+import { createArrayAssertion } from 'handsontable/plugins/filters/utils';
+import dataRowFactory from './../helpers/dataRowFactory';
+
+describe('Filters condition (`by_value`)', () => {
+  it('should filter matching values', () => {
+    const data = dataRowFactory();
+
+    expect(condition(data('tom'), [createArrayAssertion(['tom', 'kate'])])).toBe(true);
+    expect(condition(data(2), [createArrayAssertion(['2', 3])])).toBe(true);
+    expect(condition(data(null), [createArrayAssertion([''])])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dataRowFactory();
+
+    expect(condition(data('tom'), [createArrayAssertion(['kate'])])).toBe(false);
+    expect(condition(data('Tom'), [createArrayAssertion(['tom'])])).toBe(false);
+  });
+
+  it('should decorate the condition arguments when the condition is created through the registerer', () => {
+    const data = dataRowFactory();
+    const func = getCondition('by_value', [['tom', 'kate']]);
+
+    expect(func(data('kate'))).toBe(true);
+    expect(func(data('mark'))).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+import { condition } from 'handsontable/plugins/filters/condition/contains';
+import { condition as notContains } from 'handsontable/plugins/filters/condition/notContains';
+import dataRowFactory from './../helpers/dataRowFactory';
+
+describe('Filters condition (`contains`)', () => {
+  it('should filter matching values', () => {
+    const data = dataRowFactory();
+
+    expect(condition(data('tom'), ['o'])).toBe(true);
+    expect(condition(data('tom'), ['tom'])).toBe(true);
+    expect(condition(data('ToM'), ['tom'])).toBe(true);
+    expect(condition(data(2.1), ['.1'])).toBe(true);
+    expect(condition(data(1), ['1'])).toBe(true);
+    expect(condition(data(true), ['tru'])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dataRowFactory();
+
+    expect(condition(data('tom'), ['z'])).toBe(false);
+    expect(condition(data('tom'), ['tomy'])).toBe(false);
+    expect(condition(data(null), ['o'])).toBe(false);
+    expect(condition(data(1.1), ['2'])).toBe(false);
+  });
+
+  it('should negate the result for the `not_contains` condition', () => {
+    const data = dataRowFactory();
+
+    expect(notContains(data('tom'), ['o'])).toBe(false);
+    expect(notContains(data('tom'), ['z'])).toBe(true);
+  });
+});
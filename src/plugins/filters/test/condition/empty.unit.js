@@ -0,0 +1,29 @@
+import { condition } from 'handsontable/plugins/filters/condition/empty';
+import { condition as notEmpty } from 'handsontable/plugins/filters/condition/notEmpty';
+import dataRowFactory from './../helpers/dataRowFactory';
+
+describe('Filters condition (`empty`)', () => {
+  it('should filter matching values', () => {
+    const data = dataRowFactory();
+
+    expect(condition(data(''), [])).toBe(true);
+    expect(condition(data(null), [])).toBe(true);
+    expect(condition(data(void 0), [])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dataRowFactory();
+
+    expect(condition(data(' '), [])).toBe(false);
+    expect(condition(data(0), [])).toBe(false);
+    expect(condition(data(false), [])).toBe(false);
+    expect(condition(data('tom'), [])).toBe(false);
+  });
+
+  it('should negate the result for the `not_empty` condition', () => {
+    const data = dataRowFactory();
+
+    expect(notEmpty(data(''), [])).toBe(false);
+    expect(notEmpty(data(0), [])).toBe(true);
+  });
+});
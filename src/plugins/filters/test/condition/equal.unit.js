@@ -0,0 +1,27 @@
+import { condition as equal } from 'handsontable/plugins/filters/condition/equal';
+import { condition as notEqual } from 'handsontable/plugins/filters/condition/notEqual';
+import { condition as beginsWith } from 'handsontable/plugins/filters/condition/beginsWith';
+import { condition as endsWith } from 'handsontable/plugins/filters/condition/endsWith';
+import dataRowFactory from './../helpers/dataRowFactory';
+
+describe('Filters condition (`eq`, `neq`, `begins_with`, `ends_with`)', () => {
+  it('should compare values case insensitively', () => {
+    const data = dataRowFactory();
+
+    expect(equal(data('Tom'), ['tom'])).toBe(true);
+    expect(equal(data(2), ['2'])).toBe(true);
+    expect(equal(data('tom'), ['to'])).toBe(false);
+    expect(notEqual(data('Tom'), ['tom'])).toBe(false);
+    expect(notEqual(data('tom'), ['to'])).toBe(true);
+  });
+
+  it('should check the beginning and the end of the value', () => {
+    const data = dataRowFactory();
+
+    expect(beginsWith(data('Tomas'), ['tom'])).toBe(true);
+    expect(beginsWith(data('Tomas'), ['mas'])).toBe(false);
+    expect(endsWith(data('Tomas'), ['mas'])).toBe(true);
+    expect(endsWith(data('Tomas'), ['tom'])).toBe(false);
+    expect(endsWith(data(null), [''])).toBe(true);
+  });
+});
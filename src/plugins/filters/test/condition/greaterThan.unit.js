@@ -0,0 +1,35 @@
+import { condition as greaterThan } from 'handsontable/plugins/filters/condition/greaterThan';
+import { condition as greaterThanOrEqual } from 'handsontable/plugins/filters/condition/greaterThanOrEqual';
+import { condition as lessThan } from 'handsontable/plugins/filters/condition/lessThan';
+import { condition as lessThanOrEqual } from 'handsontable/plugins/filters/condition/lessThanOrEqual';
+import dataRowFactory from './../helpers/dataRowFactory';
+
+describe('Filters condition (`gt`, `gte`, `lt`, `lte`)', () => {
+  it('should compare numeric values as numbers', () => {
+    const data = dataRowFactory({ type: 'numeric' });
+
+    expect(greaterThan(data(10), [9])).toBe(true);
+    expect(greaterThan(data('10'), ['9'])).toBe(true);
+    expect(greaterThan(data(9), [9])).toBe(false);
+    expect(greaterThanOrEqual(data(9), [9])).toBe(true);
+    expect(lessThan(data(2), [10])).toBe(true);
+    expect(lessThan(data(10), [10])).toBe(false);
+    expect(lessThanOrEqual(data(10), [10])).toBe(true);
+  });
+
+  it('should compare dates by timestamps for the `date` cell type', () => {
+    const data = dataRowFactory({ type: 'date', dateFormat: 'MM/DD/YYYY' });
+
+    expect(greaterThan(data('02/01/2018'), ['01/31/2018'])).toBe(true);
+    expect(lessThan(data('02/01/2018'), ['01/31/2018'])).toBe(false);
+    expect(greaterThan(data(''), ['01/31/2018'])).toBe(false);
+    expect(lessThan(data(''), ['01/31/2018'])).toBe(false);
+  });
+
+  it('should compare other values as lower cased strings', () => {
+    const data = dataRowFactory();
+
+    expect(greaterThan(data('b'), ['A'])).toBe(true);
+    expect(lessThan(data('B'), ['a'])).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+import ConditionCollection from 'handsontable/plugins/filters/conditionCollection';
+import { conditions } from 'handsontable/plugins/filters/conditionRegisterer';
+import 'handsontable/plugins/filters/conditions';
+import dataRowFactory from './helpers/dataRowFactory';
+
+describe('Filters', () => {
+  describe('ConditionCollection', () => {
+    it('should be initialized and accessible from the plugin', () => {
+      const collection = new ConditionCollection();
+
+      expect(collection.conditions).toEqual({ conjunction: {}, disjunction: {} });
+      expect(collection.orderStack).toEqual([]);
+      expect(collection.isEmpty()).toBe(true);
+    });
+
+    it('should be mixed with localHooks object', () => {
+      expect(ConditionCollection.MIXINS).toEqual(['localHooks']);
+    });
+
+    describe('addCondition', () => {
+      it('should add condition to the collection at specified column index and trigger local hooks', () => {
+        const collection = new ConditionCollection();
+        const hookSpy = jasmine.createSpy('hook');
+
+        collection.addLocalHook('beforeAdd', hookSpy);
+        collection.addLocalHook('afterAdd', hookSpy);
+        collection.addCondition(3, { args: [1], name: 'gt' });
+
+        expect(hookSpy.calls.count()).toBe(2);
+        expect(hookSpy.calls.argsFor(0)).toEqual([3]);
+        expect(collection.orderStack).toEqual([3]);
+        expect(collection.conditions.conjunction[3].length).toBe(1);
+        expect(collection.conditions.conjunction[3][0].name).toBe('gt');
+        expect(collection.conditions.conjunction[3][0].args).toEqual([1]);
+        expect(collection.conditions.conjunction[3][0].func instanceof Function).toBe(true);
+      });
+
+      it('should accept the condition name passed as the `command.key` property', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(0, { args: [], command: { key: 'empty' } });
+
+        expect(collection.getConditions(0)[0].name).toBe('empty');
+      });
+
+      it('should lower case the string arguments', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(0, { args: ['ABC', 3], name: 'contains' });
+
+        expect(collection.getConditions(0)[0].args).toEqual(['abc', 3]);
+      });
+
+      it('should not add the column to the order stack twice', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(2, { args: [], name: 'not_empty' });
+        collection.addCondition(0, { args: [], name: 'not_empty' });
+        collection.addCondition(2, { args: ['a'], name: 'contains' });
+
+        expect(collection.orderStack).toEqual([2, 0]);
+        expect(collection.getConditions(2).length).toBe(2);
+      });
+
+      it('should throw an error when the condition does not exist', () => {
+        const collection = new ConditionCollection();
+
+        expect(() => {
+          collection.addCondition(0, { args: [], name: 'foo' });
+        }).toThrowError('Filter condition "foo" does not exist.');
+      });
+
+      it('should throw an error when the operation does not exist', () => {
+        const collection = new ConditionCollection();
+
+        expect(() => {
+          collection.addCondition(0, { args: [], name: 'empty' }, 'foo');
+        }).toThrow();
+      });
+
+      it('should throw an error when the column is already filtered using the other operation', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(0, { args: [], name: 'empty' }, 'disjunction');
+
+        expect(() => {
+          collection.addCondition(0, { args: [], name: 'not_empty' }, 'conjunction');
+        }).toThrow();
+        expect(collection.getOperation(0)).toBe('disjunction');
+      });
+    });
+
+    describe('isMatch', () => {
+      it('should check the value against all conditions using the conjunction', () => {
+        const collection = new ConditionCollection();
+        const data = dataRowFactory();
+
+        collection.addCondition(0, { args: ['a'], name: 'contains' });
+        collection.addCondition(0, { args: ['b'], name: 'contains' });
+
+        expect(collection.isMatch(data('abc'), 0)).toBe(true);
+        expect(collection.isMatch(data('ac'), 0)).toBe(false);
+      });
+
+      it('should check the value against all conditions using the disjunction', () => {
+        const collection = new ConditionCollection();
+        const data = dataRowFactory();
+
+        collection.addCondition(0, { args: ['a'], name: 'contains' }, 'disjunction');
+        collection.addCondition(0, { args: ['b'], name: 'contains' }, 'disjunction');
+
+        expect(collection.isMatch(data('ac'), 0)).toBe(true);
+        expect(collection.isMatch(data('bc'), 0)).toBe(true);
+        expect(collection.isMatch(data('c'), 0)).toBe(false);
+      });
+
+      it('should match all values when there are no conditions for the column', () => {
+        const collection = new ConditionCollection();
+        const data = dataRowFactory();
+
+        expect(collection.isMatch(data('foo'), 1)).toBe(true);
+      });
+    });
+
+    describe('exportAllConditions and importAllConditions', () => {
+      it('should export conditions in the order they were added', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(3, { args: [], name: 'empty' });
+        collection.addCondition(1, { args: ['a'], name: 'contains' }, 'disjunction');
+        collection.addCondition(1, { args: ['b'], name: 'contains' }, 'disjunction');
+
+        expect(collection.exportAllConditions()).toEqual([
+          { column: 3, operation: 'conjunction', conditions: [{ name: 'empty', args: [] }] },
+          { column: 1, operation: 'disjunction', conditions: [{ name: 'contains', args: ['a'] }, { name: 'contains', args: ['b'] }] },
+        ]);
+      });
+
+      it('should replace the current conditions with the imported ones', () => {
+        const collection = new ConditionCollection();
+        const collection2 = new ConditionCollection();
+
+        collection.addCondition(3, { args: [], name: 'empty' });
+        collection.addCondition(1, { args: ['a'], name: 'contains' }, 'disjunction');
+        collection2.addCondition(0, { args: [], name: 'not_empty' });
+
+        collection2.importAllConditions(collection.exportAllConditions());
+
+        expect(collection2.orderStack).toEqual([3, 1]);
+        expect(collection2.hasConditions(0)).toBe(false);
+        expect(collection2.getOperation(1)).toBe('disjunction');
+        expect(collection2.exportAllConditions()).toEqual(collection.exportAllConditions());
+      });
+    });
+
+    describe('removeConditions, clearConditions and clean', () => {
+      it('should remove conditions and the column from the order stack', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(3, { args: [], name: 'empty' });
+        collection.addCondition(1, { args: [], name: 'empty' });
+        collection.removeConditions(3);
+
+        expect(collection.orderStack).toEqual([1]);
+        expect(collection.hasConditions(3)).toBe(false);
+        expect(collection.hasConditions(1, 'empty')).toBe(true);
+        expect(collection.hasConditions(1, 'not_empty')).toBe(false);
+      });
+
+      it('should clear conditions without touching the order stack', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(3, { args: [], name: 'empty' });
+        collection.clearConditions(3);
+
+        expect(collection.orderStack).toEqual([3]);
+        expect(collection.getConditions(3)).toEqual([]);
+      });
+
+      it('should clean all conditions', () => {
+        const collection = new ConditionCollection();
+
+        collection.addCondition(3, { args: [], name: 'empty' });
+        collection.addCondition(2, { args: [], name: 'empty' }, 'disjunction');
+        collection.clean();
+
+        expect(collection.isEmpty()).toBe(true);
+        expect(collection.conditions).toEqual({ conjunction: {}, disjunction: {} });
+      });
+    });
+
+    it('should register all built-in conditions', () => {
+      expect(Object.keys(conditions).sort()).toEqual([
+        'begins_with', 'between', 'by_value', 'contains', 'empty', 'ends_with', 'eq', 'gt', 'gte', 'lt', 'lte',
+        'neq', 'not_between', 'not_contains', 'not_empty',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import DataFilter from 'handsontable/plugins/filters/dataFilter';
+import ConditionCollection from 'handsontable/plugins/filters/conditionCollection';
+import 'handsontable/plugins/filters/conditions';
+
+function columnDataFactory(data) {
+  return column => data.map((row, rowIndex) => ({ value: row[column], meta: { row: rowIndex, col: column, instance: {} } }));
+}
+
+describe('Filters', () => {
+  describe('DataFilter', () => {
+    const data = [
+      ['Tom', 30, 'London'],
+      ['Kate', 25, 'Paris'],
+      ['Mark', 41, 'London'],
+      ['Anna', 19, 'Berlin'],
+    ];
+
+    it('should return an empty array when there are no conditions', () => {
+      const dataFilter = new DataFilter(new ConditionCollection(), columnDataFactory(data));
+
+      expect(dataFilter.filter()).toEqual([]);
+    });
+
+    it('should filter data by single column', () => {
+      const collection = new ConditionCollection();
+      const dataFilter = new DataFilter(collection, columnDataFactory(data));
+
+      collection.addCondition(1, { name: 'gt', args: [26] });
+
+      expect(dataFilter.filter().map(dataRow => dataRow.meta.row)).toEqual([0, 2]);
+    });
+
+    it('should intersect results of the filtered columns', () => {
+      const collection = new ConditionCollection();
+      const dataFilter = new DataFilter(collection, columnDataFactory(data));
+
+      collection.addCondition(2, { name: 'eq', args: ['london'] });
+      collection.addCondition(1, { name: 'lt', args: [40] });
+
+      expect(dataFilter.filter().map(dataRow => dataRow.meta.row)).toEqual([0]);
+    });
+
+    it('should filter data by column using the provided data source', () => {
+      const collection = new ConditionCollection();
+      const dataFilter = new DataFilter(collection);
+
+      collection.addCondition(0, { name: 'begins_with', args: ['a'] });
+
+      const result = dataFilter.filterByColumn(0, columnDataFactory(data)(0));
+
+      expect(result.length).toBe(1);
+      expect(result[0].value).toBe('Anna');
+    });
+  });
+});
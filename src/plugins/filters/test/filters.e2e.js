@@ -0,0 +1,348 @@
+describe('Filters', () => {
+  const id = 'testContainer';
+  const getSampleData = () => [
+    { id: 1, name: 'Nannie Patel', address: 'Jenkins', balance: 1261.6, date: '10/05/2016', registered: true },
+    { id: 2, name: 'Leanna Ware', address: 'Vale', balance: 1633.83, date: '06/12/2015', registered: false },
+    { id: 3, name: 'Mathis Boone', address: 'Jenkins', balance: 2373.55, date: '04/03/2017', registered: true },
+    { id: 4, name: 'Heather Norman', address: 'Vale', balance: 3521.29, date: '01/01/2016', registered: false },
+    { id: 5, name: 'Ernestine Wiggins', address: 'Bedford', balance: 2020.46, date: '15/06/2015', registered: true },
+    { id: 6, name: 'Sofia Figueroa', address: '', balance: 1124.84, date: '29/09/2017', registered: false },
+  ];
+  const columns = [
+    { data: 'id', type: 'numeric' },
+    { data: 'name' },
+    { data: 'address' },
+    { data: 'balance', type: 'numeric' },
+    { data: 'date', type: 'date', dateFormat: 'DD/MM/YYYY' },
+    { data: 'registered', type: 'checkbox' },
+  ];
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should filter rows by the single condition', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['jenkins']);
+    plugin.filter();
+
+    expect(countRows()).toBe(2);
+    expect(getDataAtCol(0)).toEqual([1, 3]);
+    expect(getSourceData().length).toBe(6);
+  });
+
+  it('should combine conditions of the single column using the conjunction by default', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(1, 'contains', ['a']);
+    plugin.addCondition(1, 'begins_with', ['m']);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([3]);
+  });
+
+  it('should combine conditions of the single column using the disjunction', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(3, 'lt', [1500], 'disjunction');
+    plugin.addCondition(3, 'gt', [3000], 'disjunction');
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([1, 4, 6]);
+  });
+
+  it('should intersect conditions of the different columns', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'not_empty', []);
+    plugin.addCondition(3, 'between', [1500, 2500]);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([2, 3, 5]);
+  });
+
+  it('should filter dates using the date format of the column', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(4, 'gt', ['01/01/2017']);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([3, 6]);
+  });
+
+  it('should filter rows by values', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'by_value', [['Vale', '']]);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([2, 4, 6]);
+  });
+
+  it('should show all rows after removing the conditions', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'empty', []);
+    plugin.filter();
+
+    expect(countRows()).toBe(1);
+
+    plugin.removeConditions(2);
+    plugin.filter();
+
+    expect(countRows()).toBe(6);
+    expect(getDataAtCol(0)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('should deselect the cells when all rows are filtered out', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    selectCell(1, 1);
+    plugin.addCondition(1, 'eq', ['foo']);
+    plugin.filter();
+
+    expect(countRows()).toBe(0);
+    expect(getSelected()).toBeUndefined();
+  });
+
+  it('should translate visual row indexes into physical ones', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['vale']);
+    plugin.filter();
+
+    expect(hot.toPhysicalRow(0)).toBe(1);
+    expect(hot.toPhysicalRow(1)).toBe(3);
+    expect(hot.toVisualRow(3)).toBe(1);
+    expect(hot.toVisualRow(0)).toBe(null);
+  });
+
+  it('should keep the edited values in the correct physical rows', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['vale']);
+    plugin.filter();
+    setDataAtCell(1, 1, 'John Doe');
+
+    expect(getSourceDataAtRow(3).name).toBe('John Doe');
+  });
+
+  it('should keep the filtered rows map after removing rows', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(5, 'eq', [true]);
+    plugin.filter();
+    alter('remove_row', 1);
+
+    expect(getSourceData().length).toBe(5);
+    expect(getDataAtCol(0)).toEqual([1, 5]);
+  });
+
+  it('should keep the newly created rows visible until the next filtering', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['jenkins']);
+    plugin.filter();
+    alter('insert_row', 10);
+
+    expect(countRows()).toBe(3);
+    expect(getDataAtCol(0)).toEqual([1, 3, null]);
+
+    plugin.filter();
+
+    expect(countRows()).toBe(2);
+  });
+
+  it('should apply the conditions to the loaded data', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['bedford']);
+    plugin.filter();
+    loadData(getSampleData().concat([{ id: 7, address: 'Bedford' }]));
+
+    expect(getDataAtCol(0)).toEqual([5, 7]);
+  });
+
+  it('should not filter the rows when the `beforeFilter` hook returns `false`', () => {
+    const afterFilter = jasmine.createSpy('afterFilter');
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+      beforeFilter: () => false,
+      afterFilter,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['jenkins']);
+    plugin.filter();
+
+    const conditions = [{ column: 2, operation: 'conjunction', conditions: [{ name: 'eq', args: ['jenkins'] }] }];
+
+    expect(countRows()).toBe(6);
+    expect(afterFilter).toHaveBeenCalledWith(conditions, void 0, void 0, void 0, void 0, void 0);
+  });
+
+  it('should sort only the filtered rows when the column sorting is enabled', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+      columnSorting: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    hot.getPlugin('columnSorting').sort({ column: 3, sortOrder: 'desc' });
+    plugin.addCondition(2, 'eq', ['vale']);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([4, 2]);
+
+    plugin.clearConditions();
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual([4, 3, 5, 2, 1, 6]);
+  });
+
+  it('should filter the rows in the order set by the manual row move', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(6, 1),
+      filters: true,
+      manualRowMove: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    hot.getPlugin('manualRowMove').moveRow(0, 3);
+    plugin.addCondition(0, 'neq', ['A3']);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual(['A2', 'A1', 'A4', 'A5', 'A6']);
+    expect(hot.toPhysicalRow(1)).toBe(0);
+
+    plugin.clearConditions();
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual(['A2', 'A3', 'A1', 'A4', 'A5', 'A6']);
+  });
+
+  it('should filter only the rows which are not trimmed', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(6, 1),
+      filters: true,
+      trimRows: [1],
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(0, 'neq', ['A4']);
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual(['A1', 'A3', 'A5', 'A6']);
+    expect(hot.toPhysicalRow(2)).toBe(4);
+
+    plugin.clearConditions();
+    plugin.filter();
+
+    expect(getDataAtCol(0)).toEqual(['A1', 'A3', 'A4', 'A5', 'A6']);
+  });
+
+  it('should collect the column values with the row indexes of the unfiltered view', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(4, 2),
+      filters: true,
+      trimRows: [0],
+    });
+    const dataMap = hot.getPlugin('filters').getDataMapAtColumn(1);
+
+    expect(dataMap.map(dataRow => dataRow.value)).toEqual(['B2', 'B3', 'B4']);
+    expect(dataMap.map(dataRow => dataRow.meta.visualRow)).toEqual([0, 1, 2]);
+    expect(dataMap[0].meta.visualCol).toBe(1);
+  });
+
+  it('should show all rows after disabling the plugin', () => {
+    const hot = handsontable({
+      data: getSampleData(),
+      columns,
+      filters: true,
+    });
+    const plugin = hot.getPlugin('filters');
+
+    plugin.addCondition(2, 'eq', ['jenkins']);
+    plugin.filter();
+    updateSettings({ filters: false });
+
+    expect(countRows()).toBe(6);
+  });
+});
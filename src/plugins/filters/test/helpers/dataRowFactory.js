@@ -0,0 +1,14 @@
+/**
+ * Creates a factory of the objects in the format which is passed to the filters conditions.
+ *
+ * @param {Object} [meta] Cell meta properties.
+ * @returns {Function}
+ */
+export default function dataRowFactory(meta = {}) {
+  return function(value) {
+    return {
+      value,
+      meta: Object.assign({ instance: {} }, meta),
+    };
+  };
+}
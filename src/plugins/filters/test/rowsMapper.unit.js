@@ -0,0 +1,58 @@
+import RowsMapper from 'handsontable/plugins/filters/rowsMapper';
+
+describe('Filters', () => {
+  describe('rowsMapper', () => {
+    it('should set filters plugin while constructing', () => {
+      const filtersMock = {};
+      const mapper = new RowsMapper(filtersMock);
+
+      expect(mapper.filtersPlugin).toBe(filtersMock);
+    });
+
+    it('should be mixed with arrayMapper object', () => {
+      expect(RowsMapper.MIXINS).toEqual(['arrayMapper']);
+    });
+
+    it('should create map from the list of physical rows', () => {
+      const mapper = new RowsMapper();
+
+      mapper.createMap([1, 4, 5]);
+
+      expect(mapper._arrayMap).toEqual([1, 4, 5]);
+      expect(mapper.getValueByIndex(1)).toBe(4);
+      expect(mapper.getValueByIndex(3)).toBe(null);
+      expect(mapper.getIndexByValue(5)).toBe(2);
+      expect(mapper.getIndexByValue(2)).toBe(null);
+    });
+
+    it('should insert created rows in the physical order and shift the following rows', () => {
+      const mapper = new RowsMapper();
+
+      mapper.createMap([1, 4, 5]);
+      mapper.insertRows(3, 2);
+
+      expect(mapper._arrayMap).toEqual([1, 3, 4, 6, 7]);
+
+      mapper.insertRows(10);
+
+      expect(mapper._arrayMap).toEqual([1, 3, 4, 6, 7, 10]);
+    });
+
+    it('should remove rows and shift the following rows', () => {
+      const mapper = new RowsMapper();
+
+      mapper.createMap([1, 4, 5, 8]);
+      mapper.removeRows([2, 4]);
+
+      expect(mapper._arrayMap).toEqual([1, 3, 6]);
+    });
+
+    it('should destroy array after calling destroy method', () => {
+      const mapper = new RowsMapper();
+
+      mapper.destroy();
+
+      expect(mapper._arrayMap).toBe(null);
+    });
+  });
+});
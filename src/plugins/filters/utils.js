@@ -0,0 +1,59 @@
+import moment from 'moment';
+import { arrayEach } from './../../helpers/array';
+import { isNumeric } from './../../helpers/number';
+import { stringify } from './../../helpers/mixed';
+
+/**
+ * Convert all `null` and `undefined` values to the empty string.
+ *
+ * @param {*} value Value to convert.
+ * @returns {*}
+ */
+export function toEmptyString(value) {
+  return value === null || value === void 0 ? '' : value;
+}
+
+/**
+ * Create an assertion function which checks if the passed value exists in the provided dataset. Values are compared
+ * in the stringified form.
+ *
+ * @param {Array} initialData Values to check against.
+ * @returns {Function}
+ */
+export function createArrayAssertion(initialData) {
+  const dataset = new Set();
+
+  arrayEach(initialData, value => dataset.add(stringify(value)));
+
+  return value => dataset.has(stringify(value));
+}
+
+/**
+ * Convert the cell value and the condition argument into two values which can be compared by the relational operators.
+ * Dates (for the `date` cell type) are compared by timestamps, numeric values as numbers and everything else
+ * as lower cased strings.
+ *
+ * @param {Object} dataRow Object with `value` and `meta` properties.
+ * @param {*} conditionValue Value passed as the condition argument.
+ * @returns {Array|null} Returns a tuple `[cellValue, conditionValue]` or `null` if the values can not be compared.
+ */
+export function toComparableValues(dataRow, conditionValue) {
+  const { value, meta } = dataRow;
+
+  if (meta.type === 'date') {
+    const date = moment(value, meta.dateFormat);
+    const conditionDate = moment(conditionValue, meta.dateFormat);
+
+    if (!date.isValid() || !conditionDate.isValid()) {
+      return null;
+    }
+
+    return [date.valueOf(), conditionDate.valueOf()];
+  }
+
+  if (isNumeric(value) && isNumeric(conditionValue)) {
+    return [parseFloat(value), parseFloat(conditionValue)];
+  }
+
+  return [stringify(value).toLowerCase(), stringify(conditionValue).toLowerCase()];
+}
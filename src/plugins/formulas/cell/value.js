@@ -0,0 +1,183 @@
+import { arrayEach } from './../../../helpers/array';
+
+export const STATE_OUT_OF_DATE = 1;
+export const STATE_COMPUTING = 2;
+export const STATE_UP_TO_DATE = 3;
+
+/**
+ * Class responsible for wrapping the formula expression. It holds the computed value (or the error) and the list of
+ * the precedents (the cells and the ranges used by the expression).
+ *
+ * @class CellValue
+ * @plugin Formulas
+ */
+class CellValue {
+  constructor(row, column, expression) {
+    /**
+     * Physical row index.
+     *
+     * @type {Number}
+     */
+    this.row = row;
+    /**
+     * Physical column index.
+     *
+     * @type {Number}
+     */
+    this.column = column;
+    /**
+     * The formula expression (including the leading `=` character).
+     *
+     * @type {String}
+     */
+    this.expression = expression;
+    /**
+     * The syntax tree of the parsed expression.
+     *
+     * @type {Object|null}
+     */
+    this.ast = null;
+    /**
+     * List of the precedents in form of `{start: {row, column}, end: {row, column}}` objects.
+     *
+     * @type {Object[]}
+     */
+    this.precedents = [];
+    /**
+     * The computed value.
+     *
+     * @type {*}
+     */
+    this.value = null;
+    /**
+     * The error code (e.g. `#REF!`) or `null`.
+     *
+     * @type {String|null}
+     */
+    this.error = null;
+    /**
+     * The computation state.
+     *
+     * @type {Number}
+     */
+    this.state = STATE_OUT_OF_DATE;
+  }
+
+  /**
+   * Sets the computed value and clears the error.
+   *
+   * @param {*} value The computed value.
+   */
+  setValue(value) {
+    this.value = value;
+    this.error = null;
+  }
+
+  /**
+   * Gets the computed value or the error code when the computation failed.
+   *
+   * @returns {*}
+   */
+  getValue() {
+    return this.hasError() ? this.error : this.value;
+  }
+
+  /**
+   * Sets the error code.
+   *
+   * @param {String} error The error code.
+   */
+  setError(error) {
+    this.value = null;
+    this.error = error;
+  }
+
+  /**
+   * Gets the error code.
+   *
+   * @returns {String|null}
+   */
+  getError() {
+    return this.error;
+  }
+
+  /**
+   * Checks if the computation failed.
+   *
+   * @returns {Boolean}
+   */
+  hasError() {
+    return this.error !== null;
+  }
+
+  /**
+   * Sets the computation state.
+   *
+   * @param {Number} state The state.
+   */
+  setState(state) {
+    this.state = state;
+  }
+
+  /**
+   * Checks the computation state.
+   *
+   * @param {Number} state The state.
+   * @returns {Boolean}
+   */
+  isState(state) {
+    return this.state === state;
+  }
+
+  /**
+   * Adds the precedent (the cell or the range used by the expression).
+   *
+   * @param {Object} start The range start in form of `{row, column}` object (physical indexes).
+   * @param {Object} [end] The range end in form of `{row, column}` object (physical indexes).
+   */
+  addPrecedent(start, end = start) {
+    this.precedents.push({
+      start: { row: start.row, column: start.column },
+      end: { row: end.row, column: end.column },
+    });
+  }
+
+  /**
+   * Clears the list of the precedents.
+   */
+  clearPrecedents() {
+    this.precedents.length = 0;
+  }
+
+  /**
+   * Gets the list of the precedents.
+   *
+   * @returns {Object[]}
+   */
+  getPrecedents() {
+    return this.precedents;
+  }
+
+  /**
+   * Checks if the provided cell is used by the expression.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {Boolean}
+   */
+  hasPrecedent(row, column) {
+    let result = false;
+
+    arrayEach(this.precedents, ({ start, end }) => {
+      if (row >= start.row && row <= end.row && column >= start.column && column <= end.column) {
+        result = true;
+
+        return false;
+      }
+    });
+
+    return result;
+  }
+}
+
+export default CellValue;
@@ -0,0 +1,126 @@
+import { rangeEach } from './../../helpers/number';
+
+/**
+ * Class responsible for reading and writing the source data. All the coordinates are physical indexes.
+ *
+ * @class DataProvider
+ * @plugin Formulas
+ */
+class DataProvider {
+  constructor(hotInstance) {
+    /**
+     * Handsontable instance.
+     *
+     * @type {Core}
+     */
+    this.hot = hotInstance;
+  }
+
+  /**
+   * Gets the number of the source data rows.
+   *
+   * @returns {Number}
+   */
+  countRows() {
+    return this.hot.countSourceRows();
+  }
+
+  /**
+   * Gets the number of the source data columns.
+   *
+   * @returns {Number}
+   */
+  countColumns() {
+    return this.hot.countCols();
+  }
+
+  /**
+   * Checks if the provided coordinates are placed within the data range.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {Boolean}
+   */
+  isInDataRange(row, column) {
+    return row >= 0 && row < this.countRows() && column >= 0 && column < this.countColumns();
+  }
+
+  /**
+   * Gets the raw (not computed) value of the cell.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {*}
+   */
+  getSourceDataAtCell(row, column) {
+    return this.hot.getSourceDataAtCell(row, this.hot.toVisualColumn(column));
+  }
+
+  /**
+   * Gets the raw (not computed) values of the cells placed in the provided range.
+   *
+   * @param {Number} row1 Physical index of the first row.
+   * @param {Number} column1 Physical index of the first column.
+   * @param {Number} row2 Physical index of the last row.
+   * @param {Number} column2 Physical index of the last column.
+   * @returns {Array[]}
+   */
+  getSourceDataByRange(row1, column1, row2, column2) {
+    const result = [];
+
+    rangeEach(row1, row2, (row) => {
+      const rowData = [];
+
+      rangeEach(column1, column2, (column) => {
+        rowData.push(this.getSourceDataAtCell(row, column));
+      });
+
+      result.push(rowData);
+    });
+
+    return result;
+  }
+
+  /**
+   * Updates the source data without triggering any hooks. Used to update the formula expressions after altering
+   * the table structure.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @param {*} value The new value.
+   */
+  updateSourceData(row, column, value) {
+    const dataRow = this.hot.getSourceDataAtRow(row);
+    const prop = this.hot.colToProp(this.hot.toVisualColumn(column));
+
+    if (!dataRow || typeof prop === 'function') {
+      return;
+    }
+
+    if (typeof prop === 'string' && prop.indexOf('.') !== -1) {
+      const properties = prop.split('.');
+      const lastProperty = properties.pop();
+      let object = dataRow;
+
+      for (let i = 0; i < properties.length && object; i += 1) {
+        object = object[properties[i]];
+      }
+
+      if (object) {
+        object[lastProperty] = value;
+      }
+
+    } else {
+      dataRow[prop] = value;
+    }
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.hot = null;
+  }
+}
+
+export default DataProvider;
@@ -0,0 +1,180 @@
+import { arrayFilter } from './../../helpers/array';
+import { rangeEach } from './../../helpers/number';
+import { extractLabel, toLabel } from './utils';
+import { ERROR_REF } from './parser/error';
+import { tokenize, TOKEN_CELL, TOKEN_COLON } from './parser/tokenizer';
+
+/**
+ * Class responsible for translating the cell references of the formula expression after inserting or removing
+ * the rows and the columns. The references pointing at the removed cells are replaced with the `#REF!` error.
+ *
+ * @class ExpressionModifier
+ * @plugin Formulas
+ */
+class ExpressionModifier {
+  constructor(expression) {
+    /**
+     * The formula expression (including the leading `=` character).
+     *
+     * @type {String}
+     */
+    this.expression = expression;
+  }
+
+  /**
+   * Translates the references after inserting the rows or the columns.
+   *
+   * @param {String} axis `'row'` or `'column'`.
+   * @param {Number} index Physical index of the first inserted row or column.
+   * @param {Number} amount Amount of the inserted rows or columns.
+   * @returns {ExpressionModifier}
+   */
+  insert(axis, index, amount) {
+    const translate = value => (value >= index ? value + amount : value);
+
+    this.translate(axis, translate, (start, end) => [translate(start), translate(end)]);
+
+    return this;
+  }
+
+  /**
+   * Translates the references after removing the rows or the columns.
+   *
+   * @param {String} axis `'row'` or `'column'`.
+   * @param {Number[]} removedIndexes Physical indexes of the removed rows or columns.
+   * @returns {ExpressionModifier}
+   */
+  remove(axis, removedIndexes) {
+    const translate = (value) => {
+      if (removedIndexes.indexOf(value) !== -1) {
+        return null;
+      }
+
+      return value - arrayFilter(removedIndexes, removedIndex => removedIndex < value).length;
+    };
+    const translateRange = (start, end) => {
+      const keptIndexes = [];
+
+      rangeEach(start, end, (value) => {
+        if (removedIndexes.indexOf(value) === -1) {
+          keptIndexes.push(value);
+        }
+      });
+
+      if (!keptIndexes.length) {
+        return null;
+      }
+
+      return [translate(keptIndexes[0]), translate(keptIndexes[keptIndexes.length - 1])];
+    };
+
+    this.translate(axis, translate, translateRange);
+
+    return this;
+  }
+
+  /**
+   * Translates the cell references of the expression.
+   *
+   * @private
+   * @param {String} axis `'row'` or `'column'`.
+   * @param {Function} translate Function translating the single index. Returns `null` when the reference is invalid.
+   * @param {Function} translateRange Function translating the range of indexes. Returns `[start, end]` array or `null`
+   *                                  when the reference is invalid.
+   */
+  translate(axis, translate, translateRange) {
+    const formula = this.expression.substr(1);
+    let tokens;
+
+    try {
+      tokens = tokenize(formula);
+    } catch (ex) {
+      // The expression is not valid, so there are no references to translate.
+      return;
+    }
+
+    let result = '';
+    let position = 0;
+
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+
+      if (token.type === TOKEN_CELL) {
+        const isRange = tokens[i + 1] && tokens[i + 1].type === TOKEN_COLON && tokens[i + 2] && tokens[i + 2].type === TOKEN_CELL;
+        const lastToken = isRange ? tokens[i + 2] : token;
+        let replacement;
+
+        if (isRange) {
+          replacement = this.translateRangeLabel(token.value, lastToken.value, axis, translateRange);
+        } else {
+          replacement = this.translateLabel(token.value, axis, translate);
+        }
+
+        result += formula.slice(position, token.start) + replacement;
+        position = lastToken.end;
+        i = isRange ? i + 2 : i;
+      }
+    }
+
+    this.expression = `=${result}${formula.slice(position)}`;
+  }
+
+  /**
+   * Translates the single cell label.
+   *
+   * @private
+   * @param {String} label The cell label.
+   * @param {String} axis `'row'` or `'column'`.
+   * @param {Function} translate Function translating the single index.
+   * @returns {String}
+   */
+  translateLabel(label, axis, translate) {
+    const cell = extractLabel(label);
+    const value = translate(cell[axis]);
+
+    if (value === null) {
+      return ERROR_REF;
+    }
+
+    cell[axis] = value;
+
+    return toLabel(cell);
+  }
+
+  /**
+   * Translates the range of cells.
+   *
+   * @private
+   * @param {String} startLabel The label of the first cell of the range.
+   * @param {String} endLabel The label of the last cell of the range.
+   * @param {String} axis `'row'` or `'column'`.
+   * @param {Function} translateRange Function translating the range of indexes.
+   * @returns {String}
+   */
+  translateRangeLabel(startLabel, endLabel, axis, translateRange) {
+    const start = extractLabel(startLabel);
+    const end = extractLabel(endLabel);
+    const isReversed = start[axis] > end[axis];
+    const range = translateRange(Math.min(start[axis], end[axis]), Math.max(start[axis], end[axis]));
+
+    if (range === null) {
+      return ERROR_REF;
+    }
+
+    start[axis] = isReversed ? range[1] : range[0];
+    end[axis] = isReversed ? range[0] : range[1];
+
+    return `${toLabel(start)}:${toLabel(end)}`;
+  }
+
+  /**
+   * Gets the translated expression.
+   *
+   * @returns {String}
+   */
+  toString() {
+    return this.expression;
+  }
+}
+
+export default ExpressionModifier;
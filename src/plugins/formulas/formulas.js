@@ -0,0 +1,324 @@
+import BasePlugin from './../_base';
+import { arrayEach } from './../../helpers/array';
+import { isObject } from './../../helpers/object';
+import { registerPlugin } from './../../plugins';
+import DataProvider from './dataProvider';
+import Sheet from './sheet';
+import { isFormulaExpression, isFormulaExpressionEscaped, unescapeFormulaExpression } from './utils';
+
+/**
+ * @plugin Formulas
+ *
+ * @description
+ * The plugin allows Handsontable to process the formula expressions defined in the provided data. The values starting
+ * with the `=` character are treated as formulas, the values starting with the `'=` characters are displayed as text.
+ *
+ * The formulas support:
+ * * the arithmetic operators (`+`, `-`, `*`, `/`, `^`, `%`), the text concatenation (`&`) and the comparison
+ *   operators (`=`, `<>`, `<`, `>`, `<=`, `>=`),
+ * * the cell references (`A1`, `$A$1`) and the ranges (`A1:B10`),
+ * * the functions: `SUM`, `AVERAGE`, `MIN`, `MAX`, `COUNT`, `IF`, `AND`, `OR`, `NOT`, `ABS`, `ROUND`, `CONCATENATE`
+ *   and `VLOOKUP`,
+ * * the custom variables defined in the plugin settings.
+ *
+ * The cell references point at the cells of the source data (physical indexes), so the results are not changed by
+ * sorting or moving the rows and the columns. After inserting or removing the rows and the columns the references are
+ * translated and the references pointing at the removed cells are replaced with the `#REF!` error. The circular
+ * references are marked with the `#CYCLE!` error.
+ *
+ * The values are recalculated incrementally - only the formulas, which depend on the changed cells, are computed.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: [
+ *     [1, 2, '=A1+B1'],
+ *     [3, 4, '=SUM(A1:B2)'],
+ *   ],
+ *   formulas: {
+ *     variables: {
+ *       FOO: 64,
+ *     },
+ *   },
+ * });
+ *
+ * hot.getDataAtCell(1, 2); // 10
+ * hot.getSourceDataAtCell(1, 2); // '=SUM(A1:B2)'
+ * ```
+ */
+class Formulas extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Instance of {@link DataProvider}.
+     *
+     * @private
+     * @type {DataProvider}
+     */
+    this.dataProvider = new DataProvider(this.hot);
+    /**
+     * Instance of {@link Sheet}.
+     *
+     * @private
+     * @type {Sheet}
+     */
+    this.sheet = new Sheet(this.hot, this.dataProvider);
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link Formulas#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().formulas;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    const settings = this.hot.getSettings().formulas;
+
+    if (isObject(settings) && isObject(settings.variables)) {
+      this.sheet.setVariables(settings.variables);
+    }
+
+    this.addHook('afterLoadData', () => this.onAfterLoadData());
+    this.addHook('modifyData', (row, column, valueHolder, ioMode) => this.onModifyData(row, column, valueHolder, ioMode));
+    this.addHook('beforeValidate', value => this.onBeforeValidate(value));
+    this.addHook('beforeValueRender', value => this.onBeforeValueRender(value));
+    this.addHook('beforeChangeRender', changes => this.onBeforeChangeRender(changes));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('afterRemoveRow', (index, amount, physicalRows) => this.onAfterRemoveRow(index, amount, physicalRows));
+    this.addHook('afterCreateCol', (index, amount) => this.onAfterCreateCol(index, amount));
+    this.addHook('afterRemoveCol', (index, amount, physicalColumns) => this.onAfterRemoveCol(index, amount, physicalColumns));
+
+    super.enablePlugin();
+
+    this.recalculateFull();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.sheet.matrix.reset();
+    this.sheet.variables = {};
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Gets the computed value of the cell.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {*} The computed value, the error code or `undefined` when the cell does not contain a formula.
+   */
+  getCellValue(row, column) {
+    const cellValue = this.sheet.getCellAt(this.hot.toPhysicalRow(row), this.hot.toPhysicalColumn(column));
+
+    return cellValue ? cellValue.getValue() : void 0;
+  }
+
+  /**
+   * Checks if the cell contains the formula expression.
+   *
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @returns {Boolean}
+   */
+  hasComputedCellValue(row, column) {
+    return !!this.sheet.getCellAt(this.hot.toPhysicalRow(row), this.hot.toPhysicalColumn(column));
+  }
+
+  /**
+   * Sets the variable, which can be used in the formula expressions. To apply the change, call
+   * the {@link Formulas#recalculate} method.
+   *
+   * @param {String} name The variable name (case insensitive).
+   * @param {*} value The variable value.
+   */
+  setVariable(name, value) {
+    this.sheet.setVariable(name, value);
+  }
+
+  /**
+   * Gets the variable value.
+   *
+   * @param {String} name The variable name (case insensitive).
+   * @returns {*}
+   */
+  getVariable(name) {
+    return this.sheet.getVariable(name);
+  }
+
+  /**
+   * Recalculates the formulas marked as out of date.
+   */
+  recalculate() {
+    this.recalculateOptimized();
+  }
+
+  /**
+   * Parses all the formula expressions from the data source and recalculates them.
+   */
+  recalculateFull() {
+    this.sheet.recalculateFull();
+  }
+
+  /**
+   * Recalculates the formulas marked as out of date.
+   */
+  recalculateOptimized() {
+    this.sheet.recalculate();
+  }
+
+  /**
+   * `afterLoadData` hook callback.
+   *
+   * @private
+   */
+  onAfterLoadData() {
+    this.recalculateFull();
+  }
+
+  /**
+   * `modifyData` hook callback. Replaces the formula expressions with the computed values.
+   *
+   * @private
+   * @param {Number} row Physical row index.
+   * @param {Number} column Visual column index.
+   * @param {Object} valueHolder Object which contains the value under the `value` key.
+   * @param {String} ioMode String which indicates for what operation the hook is fired (`get` or `set`).
+   */
+  onModifyData(row, column, valueHolder, ioMode) {
+    if (ioMode !== 'get') {
+      return;
+    }
+
+    const cellValue = this.sheet.getCellAt(row, this.hot.toPhysicalColumn(column));
+
+    if (cellValue) {
+      valueHolder.value = cellValue.getValue();
+    }
+  }
+
+  /**
+   * `beforeValidate` hook callback. Validates the computed value instead of the formula expression.
+   *
+   * @private
+   * @param {*} value The value to validate.
+   * @returns {*}
+   */
+  onBeforeValidate(value) {
+    return isFormulaExpression(value) ? this.sheet.evaluateExpression(value) : value;
+  }
+
+  /**
+   * `beforeValueRender` hook callback. Removes the escape character from the escaped formula expressions.
+   *
+   * @private
+   * @param {*} value The value to render.
+   * @returns {*}
+   */
+  onBeforeValueRender(value) {
+    return isFormulaExpressionEscaped(value) ? unescapeFormulaExpression(value) : value;
+  }
+
+  /**
+   * `beforeChangeRender` hook callback. Recalculates the formulas, which depend on the changed cells.
+   *
+   * @private
+   * @param {Array[]} changes Array of changes.
+   */
+  onBeforeChangeRender(changes) {
+    arrayEach(changes, ([row, prop]) => {
+      const physicalRow = this.hot.toPhysicalRow(row);
+      const physicalColumn = this.hot.toPhysicalColumn(this.hot.propToCol(prop));
+
+      this.sheet.applyChanges(physicalRow, physicalColumn, this.dataProvider.getSourceDataAtCell(physicalRow, physicalColumn));
+    });
+
+    this.recalculateOptimized();
+  }
+
+  /**
+   * `afterCreateRow` hook callback.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    this.sheet.alter('insert', 'row', index, amount);
+  }
+
+  /**
+   * `afterRemoveRow` hook callback.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   */
+  onAfterRemoveRow(index, amount, physicalRows) {
+    this.sheet.alter('remove', 'row', physicalRows);
+  }
+
+  /**
+   * `afterCreateCol` hook callback.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created column.
+   * @param {Number} amount Amount of created columns.
+   */
+  onAfterCreateCol(index, amount) {
+    this.sheet.alter('insert', 'column', index, amount);
+  }
+
+  /**
+   * `afterRemoveCol` hook callback.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed column.
+   * @param {Number} amount Amount of removed columns.
+   * @param {Number[]} physicalColumns Physical indexes of the removed columns.
+   */
+  onAfterRemoveCol(index, amount, physicalColumns) {
+    this.sheet.alter('remove', 'column', physicalColumns);
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.sheet.destroy();
+    this.dataProvider.destroy();
+    this.sheet = null;
+    this.dataProvider = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('formulas', Formulas);
+
+export default Formulas;
@@ -0,0 +1,117 @@
+import { arrayEach, arrayFilter } from './../../helpers/array';
+import { STATE_OUT_OF_DATE } from './cell/value';
+
+/**
+ * Class responsible for storing the formula cells and tracking the dependencies between them.
+ *
+ * @class Matrix
+ * @plugin Formulas
+ */
+class Matrix {
+  constructor() {
+    /**
+     * Formula cells, stored under the `row:column` keys (physical indexes).
+     *
+     * @type {Map}
+     */
+    this.data = new Map();
+  }
+
+  /**
+   * Gets the formula cell placed at the provided coordinates.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {CellValue|undefined}
+   */
+  getCellAt(row, column) {
+    return this.data.get(`${row}:${column}`);
+  }
+
+  /**
+   * Gets all formula cells.
+   *
+   * @returns {CellValue[]}
+   */
+  getAll() {
+    const cells = [];
+
+    this.data.forEach((cellValue) => {
+      cells.push(cellValue);
+    });
+
+    return cells;
+  }
+
+  /**
+   * Gets the formula cells, which need to be recalculated.
+   *
+   * @returns {CellValue[]}
+   */
+  getOutOfDateCells() {
+    return arrayFilter(this.getAll(), cellValue => cellValue.isState(STATE_OUT_OF_DATE));
+  }
+
+  /**
+   * Adds the formula cell. The cell placed at the same coordinates is replaced.
+   *
+   * @param {CellValue} cellValue The formula cell.
+   */
+  add(cellValue) {
+    this.data.set(`${cellValue.row}:${cellValue.column}`, cellValue);
+  }
+
+  /**
+   * Removes the formula cell placed at the provided coordinates.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   */
+  remove(row, column) {
+    this.data.delete(`${row}:${column}`);
+  }
+
+  /**
+   * Gets the formula cells, which directly use the provided cell.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {CellValue[]}
+   */
+  getDependents(row, column) {
+    return arrayFilter(this.getAll(), cellValue => cellValue.hasPrecedent(row, column));
+  }
+
+  /**
+   * Gets all formula cells, which directly or indirectly use the provided cells.
+   *
+   * @param {Object[]} cells List of cells in form of `{row, column}` objects (physical indexes).
+   * @returns {CellValue[]}
+   */
+  getDependencies(cells) {
+    const dependencies = [];
+    const queue = [].concat(cells);
+
+    while (queue.length) {
+      const { row, column } = queue.shift();
+
+      arrayEach(this.getDependents(row, column), (cellValue) => {
+        if (dependencies.indexOf(cellValue) === -1) {
+          dependencies.push(cellValue);
+          queue.push(cellValue);
+        }
+      });
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Removes all formula cells.
+   */
+  reset() {
+    this.data.clear();
+  }
+}
+
+export default Matrix;
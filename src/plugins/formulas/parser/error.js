@@ -0,0 +1,56 @@
+export const ERROR = '#ERROR!';
+export const ERROR_CYCLE = '#CYCLE!';
+export const ERROR_DIV_ZERO = '#DIV/0!';
+export const ERROR_NAME = '#NAME?';
+export const ERROR_NOT_AVAILABLE = '#N/A';
+export const ERROR_NUM = '#NUM!';
+export const ERROR_REF = '#REF!';
+export const ERROR_VALUE = '#VALUE!';
+
+const ERRORS = [
+  ERROR,
+  ERROR_CYCLE,
+  ERROR_DIV_ZERO,
+  ERROR_NAME,
+  ERROR_NOT_AVAILABLE,
+  ERROR_NUM,
+  ERROR_REF,
+  ERROR_VALUE,
+];
+
+/**
+ * Checks if the provided string is one of the known formula error codes.
+ *
+ * @param {String} code The error code.
+ * @returns {Boolean}
+ */
+export function isErrorCode(code) {
+  return ERRORS.indexOf(code) !== -1;
+}
+
+/**
+ * Error thrown while parsing or evaluating the formula expression. The `code` property holds the error code, which is
+ * displayed in the cell (e.g. `#REF!`).
+ *
+ * @class FormulaError
+ * @plugin Formulas
+ */
+export class FormulaError {
+  constructor(code = ERROR) {
+    /**
+     * The error code.
+     *
+     * @type {String}
+     */
+    this.code = isErrorCode(code) ? code : ERROR;
+  }
+
+  /**
+   * Returns the error code.
+   *
+   * @returns {String}
+   */
+  toString() {
+    return this.code;
+  }
+}
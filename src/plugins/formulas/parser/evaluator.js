@@ -0,0 +1,180 @@
+import { arrayMap } from './../../../helpers/array';
+import {
+  FormulaError,
+  ERROR_DIV_ZERO,
+  ERROR_NAME,
+  ERROR_NUM,
+  ERROR_VALUE,
+} from './error';
+import {
+  compareValues,
+  getFunction,
+  toBoolean,
+  toNumber,
+  toText,
+} from './functions';
+
+/**
+ * Evaluates the binary operation.
+ *
+ * @param {String} operator The operator.
+ * @param {*} left The left operand value.
+ * @param {*} right The right operand value.
+ * @returns {*}
+ */
+function evaluateBinary(operator, left, right) {
+  let result;
+
+  switch (operator) {
+    case '+':
+      result = toNumber(left) + toNumber(right);
+      break;
+    case '-':
+      result = toNumber(left) - toNumber(right);
+      break;
+    case '*':
+      result = toNumber(left) * toNumber(right);
+      break;
+    case '/':
+      if (toNumber(right) === 0) {
+        throw new FormulaError(ERROR_DIV_ZERO);
+      }
+      result = toNumber(left) / toNumber(right);
+      break;
+    case '^':
+      result = toNumber(left) ** toNumber(right);
+      break;
+    case '&':
+      result = toText(left) + toText(right);
+      break;
+    case '=':
+      result = compareValues(left, right) === 0;
+      break;
+    case '<>':
+      result = compareValues(left, right) !== 0;
+      break;
+    case '<':
+      result = compareValues(left, right) < 0;
+      break;
+    case '>':
+      result = compareValues(left, right) > 0;
+      break;
+    case '<=':
+      result = compareValues(left, right) <= 0;
+      break;
+    case '>=':
+      result = compareValues(left, right) >= 0;
+      break;
+    default:
+      throw new FormulaError(ERROR_VALUE);
+  }
+
+  return result;
+}
+
+/**
+ * Evaluates the syntax tree node.
+ *
+ * @param {Object} node The syntax tree node, created by the {@link Parser}.
+ * @param {Object} context The evaluation context. It has to implement the `getCellValue(row, column)`,
+ *                         `getRangeValues(start, end)` and `getVariable(name)` methods.
+ * @returns {*} The result of the evaluation. The ranges are returned as two-dimensional arrays.
+ * @throws {FormulaError} Throws the error when the expression can not be evaluated.
+ */
+export function evaluateNode(node, context) {
+  let result;
+
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      result = node.value;
+      break;
+    case 'error':
+      throw new FormulaError(node.value);
+    case 'cell':
+      result = context.getCellValue(node.row, node.column);
+      break;
+    case 'range':
+      result = context.getRangeValues(node.start, node.end);
+      break;
+    case 'variable':
+      result = context.getVariable(node.name);
+
+      if (result === void 0) {
+        throw new FormulaError(ERROR_NAME);
+      }
+      break;
+    case 'unary':
+      result = toNumber(evaluateNode(node.operand, context));
+      result = node.operator === '-' ? -result : result;
+      break;
+    case 'percent':
+      result = toNumber(evaluateNode(node.operand, context)) / 100;
+      break;
+    case 'binary':
+      result = evaluateBinary(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context));
+      break;
+    case 'function':
+      result = evaluateFunction(node, context);
+      break;
+    default:
+      throw new FormulaError(ERROR_VALUE);
+  }
+
+  return result;
+}
+
+/**
+ * Evaluates the function call. The `IF` function evaluates only the argument of the chosen branch.
+ *
+ * @param {Object} node The function node.
+ * @param {Object} context The evaluation context.
+ * @returns {*}
+ */
+function evaluateFunction(node, context) {
+  if (node.name === 'IF') {
+    const [condition, whenTrue, whenFalse] = node.args;
+
+    if (!condition) {
+      throw new FormulaError(ERROR_VALUE);
+    }
+    if (toBoolean(evaluateNode(condition, context))) {
+      return whenTrue ? evaluateNode(whenTrue, context) : true;
+    }
+
+    return whenFalse ? evaluateNode(whenFalse, context) : false;
+  }
+
+  const formulaFunction = getFunction(node.name);
+
+  if (!formulaFunction) {
+    throw new FormulaError(ERROR_NAME);
+  }
+
+  return formulaFunction(...arrayMap(node.args, arg => evaluateNode(arg, context)));
+}
+
+/**
+ * Evaluates the syntax tree and normalizes the result, so it can be displayed in the cell.
+ *
+ * @param {Object} ast The root node of the syntax tree.
+ * @param {Object} context The evaluation context.
+ * @returns {*}
+ * @throws {FormulaError} Throws the error when the expression can not be evaluated.
+ */
+export function evaluate(ast, context) {
+  const result = evaluateNode(ast, context);
+
+  if (Array.isArray(result)) {
+    throw new FormulaError(ERROR_VALUE);
+  }
+  if (typeof result === 'number' && !isFinite(result)) {
+    throw new FormulaError(ERROR_NUM);
+  }
+  if (result === null || result === void 0) {
+    return 0;
+  }
+
+  return result;
+}
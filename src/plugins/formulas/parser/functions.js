@@ -0,0 +1,291 @@
+import staticRegister from './../../../utils/staticRegister';
+import { arrayEach } from './../../../helpers/array';
+import { isNumeric } from './../../../helpers/number';
+import {
+  FormulaError,
+  ERROR_DIV_ZERO,
+  ERROR_NOT_AVAILABLE,
+  ERROR_REF,
+  ERROR_VALUE,
+} from './error';
+
+const {
+  register,
+  getItem,
+  hasItem,
+} = staticRegister('formulas.functions');
+
+/**
+ * Registers the formula function. The function is called with the evaluated arguments, the ranges (e.g. `A1:B2`) are
+ * passed as two-dimensional arrays of values. The already registered function is replaced.
+ *
+ * @param {String} name The function name (case insensitive).
+ * @param {Function} formulaFunction The function implementation.
+ */
+export function registerFunction(name, formulaFunction) {
+  register(name.toUpperCase(), formulaFunction);
+}
+
+/**
+ * Gets the registered formula function.
+ *
+ * @param {String} name The function name (case insensitive).
+ * @returns {Function|undefined}
+ */
+export function getFunction(name) {
+  return getItem(name.toUpperCase());
+}
+
+/**
+ * Checks if the formula function is registered.
+ *
+ * @param {String} name The function name (case insensitive).
+ * @returns {Boolean}
+ */
+export function hasFunction(name) {
+  return hasItem(name.toUpperCase());
+}
+
+/**
+ * Checks if the value is empty (`null`, `undefined` or an empty string).
+ *
+ * @param {*} value The value to check.
+ * @returns {Boolean}
+ */
+export function isEmptyValue(value) {
+  return value === null || value === void 0 || value === '';
+}
+
+/**
+ * Converts the value to a number. The empty values are converted to `0` and the booleans to `0` or `1`.
+ *
+ * @param {*} value The value to convert.
+ * @returns {Number}
+ * @throws {FormulaError} Throws the `#VALUE!` error when the value can not be converted.
+ */
+export function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (isEmptyValue(value)) {
+    return 0;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (isNumeric(value)) {
+    return parseFloat(value);
+  }
+
+  throw new FormulaError(ERROR_VALUE);
+}
+
+/**
+ * Converts the value to a string.
+ *
+ * @param {*} value The value to convert.
+ * @returns {String}
+ * @throws {FormulaError} Throws the `#VALUE!` error when a range is provided.
+ */
+export function toText(value) {
+  if (Array.isArray(value)) {
+    throw new FormulaError(ERROR_VALUE);
+  }
+  if (isEmptyValue(value)) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  return `${value}`;
+}
+
+/**
+ * Converts the value to a boolean.
+ *
+ * @param {*} value The value to convert.
+ * @returns {Boolean}
+ * @throws {FormulaError} Throws the `#VALUE!` error when the value can not be converted.
+ */
+export function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+
+  return toNumber(value) !== 0;
+}
+
+/**
+ * Collects the numbers from the function arguments. The values placed in the ranges, which are not numeric, are
+ * skipped.
+ *
+ * @param {Array} args The function arguments.
+ * @returns {Number[]}
+ */
+export function collectNumbers(args) {
+  const numbers = [];
+
+  arrayEach(args, (arg) => {
+    if (Array.isArray(arg)) {
+      arrayEach(arg, (row) => {
+        arrayEach(row, (value) => {
+          if (typeof value === 'number' || (typeof value === 'string' && isNumeric(value))) {
+            numbers.push(toNumber(value));
+          }
+        });
+      });
+    } else {
+      numbers.push(toNumber(arg));
+    }
+  });
+
+  return numbers;
+}
+
+/**
+ * Compares two values in the lookup functions. The strings are compared case insensitive.
+ *
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @returns {Number} Negative number when `a` is lower than `b`, `0` when the values are equal, positive number otherwise.
+ */
+export function compareValues(a, b) {
+  if (isNumeric(a) && isNumeric(b)) {
+    return toNumber(a) - toNumber(b);
+  }
+
+  const textA = toText(a).toLowerCase();
+  const textB = toText(b).toLowerCase();
+
+  if (textA === textB) {
+    return 0;
+  }
+
+  return textA < textB ? -1 : 1;
+}
+
+registerFunction('SUM', (...args) => {
+  let sum = 0;
+
+  arrayEach(collectNumbers(args), (number) => {
+    sum += number;
+  });
+
+  return sum;
+});
+
+registerFunction('AVERAGE', (...args) => {
+  const numbers = collectNumbers(args);
+  let sum = 0;
+
+  if (!numbers.length) {
+    throw new FormulaError(ERROR_DIV_ZERO);
+  }
+
+  arrayEach(numbers, (number) => {
+    sum += number;
+  });
+
+  return sum / numbers.length;
+});
+
+registerFunction('MIN', (...args) => {
+  const numbers = collectNumbers(args);
+
+  return numbers.length ? Math.min(...numbers) : 0;
+});
+
+registerFunction('MAX', (...args) => {
+  const numbers = collectNumbers(args);
+
+  return numbers.length ? Math.max(...numbers) : 0;
+});
+
+registerFunction('COUNT', (...args) => {
+  let count = 0;
+
+  arrayEach(args, (arg) => {
+    if (Array.isArray(arg)) {
+      count += collectNumbers([arg]).length;
+    } else if (!isEmptyValue(arg) && isNumeric(arg)) {
+      count += 1;
+    }
+  });
+
+  return count;
+});
+
+registerFunction('AND', (...args) => {
+  let result = true;
+
+  arrayEach(args, (arg) => {
+    result = result && toBoolean(arg);
+  });
+
+  return result;
+});
+
+registerFunction('OR', (...args) => {
+  let result = false;
+
+  arrayEach(args, (arg) => {
+    result = result || toBoolean(arg);
+  });
+
+  return result;
+});
+
+registerFunction('NOT', value => !toBoolean(value));
+
+registerFunction('ABS', value => Math.abs(toNumber(value)));
+
+registerFunction('ROUND', (value, digits = 0) => {
+  const number = toNumber(value);
+  const decimalPlaces = parseInt(toNumber(digits), 10);
+  // Exponential notation avoids the floating point errors, e.g. `ROUND(1.005, 2)` gives `1.01` instead of `1`.
+  const rounded = Number(`${Math.round(`${Math.abs(number)}e${decimalPlaces}`)}e${-decimalPlaces}`);
+
+  return number < 0 ? -rounded : rounded;
+});
+
+registerFunction('CONCATENATE', (...args) => {
+  let result = '';
+
+  arrayEach(args, (arg) => {
+    result += toText(arg);
+  });
+
+  return result;
+});
+
+registerFunction('VLOOKUP', (lookupValue, range, columnIndex, approximateMatch = true) => {
+  const index = parseInt(toNumber(columnIndex), 10);
+  let result;
+
+  if (!Array.isArray(range) || index < 1) {
+    throw new FormulaError(ERROR_VALUE);
+  }
+  if (range.length && index > range[0].length) {
+    throw new FormulaError(ERROR_REF);
+  }
+
+  arrayEach(range, (row) => {
+    const comparison = compareValues(row[0], lookupValue);
+
+    if (comparison === 0 || (toBoolean(approximateMatch) && comparison < 0 && !isEmptyValue(row[0]))) {
+      result = row;
+    }
+
+    return comparison !== 0 && (!toBoolean(approximateMatch) || comparison <= 0);
+  });
+
+  if (!result) {
+    throw new FormulaError(ERROR_NOT_AVAILABLE);
+  }
+
+  return result[index - 1];
+});
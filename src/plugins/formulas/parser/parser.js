@@ -0,0 +1,318 @@
+import { extractLabel } from './../utils';
+import { FormulaError, ERROR, ERROR_REF } from './error';
+import {
+  tokenize,
+  TOKEN_CELL,
+  TOKEN_COLON,
+  TOKEN_ERROR,
+  TOKEN_IDENTIFIER,
+  TOKEN_NUMBER,
+  TOKEN_OPERATOR,
+  TOKEN_PAREN_CLOSE,
+  TOKEN_PAREN_OPEN,
+  TOKEN_SEPARATOR,
+  TOKEN_STRING,
+} from './tokenizer';
+
+/**
+ * Binary operators grouped by the precedence (from the lowest to the highest).
+ *
+ * @type {Array[]}
+ */
+const BINARY_OPERATORS = [
+  ['=', '<>', '<', '>', '<=', '>='],
+  ['&'],
+  ['+', '-'],
+  ['*', '/'],
+  ['^'],
+];
+
+/**
+ * Recursive descent parser, which converts the formula expression into the abstract syntax tree. The nodes of the tree
+ * are plain objects with the `type` property (`number`, `string`, `boolean`, `error`, `cell`, `range`, `variable`,
+ * `function`, `unary`, `binary` or `percent`).
+ *
+ * @class Parser
+ * @plugin Formulas
+ */
+class Parser {
+  constructor(expression) {
+    /**
+     * List of the expression tokens.
+     *
+     * @type {Object[]}
+     */
+    this.tokens = tokenize(expression);
+    /**
+     * Index of the currently processed token.
+     *
+     * @type {Number}
+     */
+    this.position = 0;
+  }
+
+  /**
+   * Parses the expression.
+   *
+   * @returns {Object} The root node of the syntax tree.
+   * @throws {FormulaError} Throws the `#ERROR!` error when the expression is not valid.
+   */
+  parse() {
+    const node = this.parseBinary(0);
+
+    if (this.peek()) {
+      throw new FormulaError(ERROR);
+    }
+
+    return node;
+  }
+
+  /**
+   * Returns the currently processed token.
+   *
+   * @private
+   * @returns {Object|undefined}
+   */
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  /**
+   * Returns the currently processed token and moves to the next one.
+   *
+   * @private
+   * @param {String} [type] The expected token type. When the token is of a different type, the error is thrown.
+   * @returns {Object}
+   */
+  next(type) {
+    const token = this.peek();
+
+    if (!token || (type && token.type !== type)) {
+      throw new FormulaError(ERROR);
+    }
+
+    this.position += 1;
+
+    return token;
+  }
+
+  /**
+   * Checks if the currently processed token is of the provided type (and has the provided value).
+   *
+   * @private
+   * @param {String} type The token type.
+   * @param {String[]} [values] List of the accepted token values.
+   * @returns {Boolean}
+   */
+  isNext(type, values) {
+    const token = this.peek();
+
+    return !!token && token.type === type && (!values || values.indexOf(token.value) !== -1);
+  }
+
+  /**
+   * Parses the binary operations of the provided precedence level.
+   *
+   * @private
+   * @param {Number} level The precedence level (index of the `BINARY_OPERATORS` list).
+   * @returns {Object}
+   */
+  parseBinary(level) {
+    if (level >= BINARY_OPERATORS.length) {
+      return this.parseUnary();
+    }
+
+    let node = this.parseBinary(level + 1);
+
+    while (this.isNext(TOKEN_OPERATOR, BINARY_OPERATORS[level])) {
+      const operator = this.next().value;
+
+      node = {
+        type: 'binary',
+        operator,
+        left: node,
+        right: this.parseBinary(level + 1),
+      };
+    }
+
+    return node;
+  }
+
+  /**
+   * Parses the unary operations (`-`, `+`).
+   *
+   * @private
+   * @returns {Object}
+   */
+  parseUnary() {
+    if (this.isNext(TOKEN_OPERATOR, ['-', '+'])) {
+      const operator = this.next().value;
+
+      return {
+        type: 'unary',
+        operator,
+        operand: this.parseUnary(),
+      };
+    }
+
+    return this.parsePercent();
+  }
+
+  /**
+   * Parses the percent operation (e.g. `50%`).
+   *
+   * @private
+   * @returns {Object}
+   */
+  parsePercent() {
+    let node = this.parsePrimary();
+
+    while (this.isNext(TOKEN_OPERATOR, ['%'])) {
+      this.next();
+
+      node = {
+        type: 'percent',
+        operand: node,
+      };
+    }
+
+    return node;
+  }
+
+  /**
+   * Parses the primary expressions (literals, references, function calls and parentheses).
+   *
+   * @private
+   * @returns {Object}
+   */
+  parsePrimary() {
+    const token = this.next();
+    let node;
+
+    switch (token.type) {
+      case TOKEN_NUMBER:
+        node = { type: 'number', value: parseFloat(token.value) };
+        break;
+      case TOKEN_STRING:
+        node = { type: 'string', value: token.value.slice(1, -1).replace(/""/g, '"') };
+        break;
+      case TOKEN_ERROR:
+        node = { type: 'error', value: token.value.toUpperCase() };
+        break;
+      case TOKEN_CELL:
+        node = this.parseReference(token);
+        break;
+      case TOKEN_IDENTIFIER:
+        node = this.parseIdentifier(token);
+        break;
+      case TOKEN_PAREN_OPEN:
+        node = this.parseBinary(0);
+        this.next(TOKEN_PAREN_CLOSE);
+        break;
+      default:
+        throw new FormulaError(ERROR);
+    }
+
+    return node;
+  }
+
+  /**
+   * Parses the cell reference or the range of cells (e.g. `A1:B10`).
+   *
+   * @private
+   * @param {Object} token The cell token.
+   * @returns {Object}
+   */
+  parseReference(token) {
+    const start = extractLabel(token.value);
+
+    if (!this.isNext(TOKEN_COLON)) {
+      return { type: 'cell', ...start };
+    }
+
+    this.next();
+
+    const endToken = this.next();
+
+    if (endToken.type === TOKEN_ERROR) {
+      throw new FormulaError(ERROR_REF);
+    }
+    if (endToken.type !== TOKEN_CELL) {
+      throw new FormulaError(ERROR);
+    }
+
+    const end = extractLabel(endToken.value);
+
+    return {
+      type: 'range',
+      start: {
+        row: Math.min(start.row, end.row),
+        column: Math.min(start.column, end.column),
+      },
+      end: {
+        row: Math.max(start.row, end.row),
+        column: Math.max(start.column, end.column),
+      },
+    };
+  }
+
+  /**
+   * Parses the function call, the boolean literal or the variable.
+   *
+   * @private
+   * @param {Object} token The identifier token.
+   * @returns {Object}
+   */
+  parseIdentifier(token) {
+    const name = token.value.toUpperCase();
+
+    if (this.isNext(TOKEN_PAREN_OPEN)) {
+      return this.parseFunction(name);
+    }
+
+    if (name === 'TRUE' || name === 'FALSE') {
+      return { type: 'boolean', value: name === 'TRUE' };
+    }
+
+    return { type: 'variable', name: token.value };
+  }
+
+  /**
+   * Parses the function arguments.
+   *
+   * @private
+   * @param {String} name The function name.
+   * @returns {Object}
+   */
+  parseFunction(name) {
+    const args = [];
+
+    this.next(TOKEN_PAREN_OPEN);
+
+    if (!this.isNext(TOKEN_PAREN_CLOSE)) {
+      args.push(this.parseBinary(0));
+
+      while (this.isNext(TOKEN_SEPARATOR)) {
+        this.next();
+        args.push(this.parseBinary(0));
+      }
+    }
+
+    this.next(TOKEN_PAREN_CLOSE);
+
+    return { type: 'function', name, args };
+  }
+}
+
+/**
+ * Parses the formula expression (without the leading `=` character) into the abstract syntax tree.
+ *
+ * @param {String} expression The formula expression.
+ * @returns {Object} The root node of the syntax tree.
+ * @throws {FormulaError}
+ */
+export function parse(expression) {
+  return new Parser(expression).parse();
+}
+
+export default Parser;
@@ -0,0 +1,78 @@
+import { FormulaError, ERROR } from './error';
+
+export const TOKEN_CELL = 'cell';
+export const TOKEN_COLON = 'colon';
+export const TOKEN_ERROR = 'error';
+export const TOKEN_IDENTIFIER = 'identifier';
+export const TOKEN_NUMBER = 'number';
+export const TOKEN_OPERATOR = 'operator';
+export const TOKEN_PAREN_CLOSE = 'parenClose';
+export const TOKEN_PAREN_OPEN = 'parenOpen';
+export const TOKEN_SEPARATOR = 'separator';
+export const TOKEN_STRING = 'string';
+
+/**
+ * List of the token matchers. The order matters, e.g. the cell references have to be matched before the identifiers
+ * and the two-character operators before the one-character ones.
+ *
+ * @type {Array[]}
+ */
+const MATCHERS = [
+  [TOKEN_NUMBER, /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/],
+  [TOKEN_STRING, /^"(?:[^"]|"")*"/],
+  [TOKEN_ERROR, /^#(?:REF!|DIV\/0!|NAME\?|N\/A|VALUE!|NUM!|CYCLE!|ERROR!)/i],
+  [TOKEN_CELL, /^\$?[A-Za-z]{1,3}\$?\d+(?![\w.(])/],
+  [TOKEN_IDENTIFIER, /^[A-Za-z_][\w.]*/],
+  [TOKEN_OPERATOR, /^(?:<=|>=|<>|[-+*/^&=<>%])/],
+  [TOKEN_PAREN_OPEN, /^\(/],
+  [TOKEN_PAREN_CLOSE, /^\)/],
+  [TOKEN_SEPARATOR, /^[,;]/],
+  [TOKEN_COLON, /^:/],
+];
+
+/**
+ * Splits the formula expression (without the leading `=` character) into the list of tokens. Each token holds its
+ * type, the matched text and its position in the expression.
+ *
+ * @param {String} expression The formula expression.
+ * @returns {Object[]} List of tokens in form of `{type, value, start, end}` objects.
+ * @throws {FormulaError} Throws the `#ERROR!` error when the expression contains unknown characters.
+ */
+export function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const rest = expression.slice(position);
+    const whitespace = /^\s+/.exec(rest);
+
+    if (whitespace) {
+      position += whitespace[0].length;
+    } else {
+      let token = null;
+
+      for (let i = 0; i < MATCHERS.length && !token; i += 1) {
+        const [type, regexp] = MATCHERS[i];
+        const match = regexp.exec(rest);
+
+        if (match) {
+          token = {
+            type,
+            value: match[0],
+            start: position,
+            end: position + match[0].length,
+          };
+        }
+      }
+
+      if (!token) {
+        throw new FormulaError(ERROR);
+      }
+
+      tokens.push(token);
+      position = token.end;
+    }
+  }
+
+  return tokens;
+}
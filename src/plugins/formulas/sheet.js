@@ -0,0 +1,363 @@
+import { arrayEach } from './../../helpers/array';
+import { rangeEach } from './../../helpers/number';
+import { objectEach } from './../../helpers/object';
+import CellValue, { STATE_COMPUTING, STATE_OUT_OF_DATE, STATE_UP_TO_DATE } from './cell/value';
+import ExpressionModifier from './expressionModifier';
+import Matrix from './matrix';
+import { evaluate } from './parser/evaluator';
+import { FormulaError, ERROR, ERROR_CYCLE } from './parser/error';
+import { parse } from './parser/parser';
+import { isFormulaExpression, unescapeFormulaExpression } from './utils';
+
+/**
+ * Collects the cells and the ranges used by the syntax tree node.
+ *
+ * @param {Object} node The syntax tree node.
+ * @param {CellValue} cellValue The formula cell, to which the precedents are added.
+ */
+function collectPrecedents(node, cellValue) {
+  switch (node.type) {
+    case 'cell':
+      cellValue.addPrecedent(node);
+      break;
+    case 'range':
+      cellValue.addPrecedent(node.start, node.end);
+      break;
+    case 'unary':
+    case 'percent':
+      collectPrecedents(node.operand, cellValue);
+      break;
+    case 'binary':
+      collectPrecedents(node.left, cellValue);
+      collectPrecedents(node.right, cellValue);
+      break;
+    case 'function':
+      arrayEach(node.args, arg => collectPrecedents(arg, cellValue));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Class responsible for parsing and evaluating the formula expressions. It keeps the formula cells in the {@link Matrix}
+ * and recalculates only the cells affected by the changes.
+ *
+ * @class Sheet
+ * @plugin Formulas
+ */
+class Sheet {
+  constructor(hotInstance, dataProvider) {
+    /**
+     * Handsontable instance.
+     *
+     * @type {Core}
+     */
+    this.hot = hotInstance;
+    /**
+     * Data provider for the sheet calculations.
+     *
+     * @type {DataProvider}
+     */
+    this.dataProvider = dataProvider;
+    /**
+     * Instance of {@link Matrix}, which keeps the formula cells and their dependencies.
+     *
+     * @type {Matrix}
+     */
+    this.matrix = new Matrix();
+    /**
+     * Custom variables, which can be used in the formula expressions (stored under the upper cased names).
+     *
+     * @type {Object}
+     */
+    this.variables = {};
+  }
+
+  /**
+   * Gets the formula cell placed at the provided coordinates.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {CellValue|undefined}
+   */
+  getCellAt(row, column) {
+    return this.matrix.getCellAt(row, column);
+  }
+
+  /**
+   * Gets the formula cells, which directly or indirectly use the provided cell.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {CellValue[]}
+   */
+  getCellDependencies(row, column) {
+    return this.matrix.getDependencies([{ row, column }]);
+  }
+
+  /**
+   * Sets the variable, which can be used in the formula expressions. The formula cells are marked as out of date.
+   *
+   * @param {String} name The variable name (case insensitive).
+   * @param {*} value The variable value.
+   */
+  setVariable(name, value) {
+    this.variables[name.toUpperCase()] = value;
+
+    arrayEach(this.matrix.getAll(), cellValue => cellValue.setState(STATE_OUT_OF_DATE));
+  }
+
+  /**
+   * Gets the variable value.
+   *
+   * @param {String} name The variable name (case insensitive).
+   * @returns {*}
+   */
+  getVariable(name) {
+    return this.variables[name.toUpperCase()];
+  }
+
+  /**
+   * Sets the variables defined in the plugin settings.
+   *
+   * @param {Object} variables The variables object.
+   */
+  setVariables(variables) {
+    objectEach(variables, (value, name) => this.setVariable(name, value));
+  }
+
+  /**
+   * Updates the sheet after changing the cell value. The changed cell and the cells, which depend on it, are marked as
+   * out of date. To compute them call the {@link Sheet#recalculate} method.
+   *
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @param {*} newValue The new cell value.
+   */
+  applyChanges(row, column, newValue) {
+    const cellValue = this.matrix.getCellAt(row, column);
+
+    if (isFormulaExpression(newValue)) {
+      if (!cellValue || cellValue.expression !== newValue) {
+        const newCellValue = new CellValue(row, column, newValue);
+
+        this.parseExpression(newCellValue);
+        this.matrix.add(newCellValue);
+      }
+
+    } else if (cellValue) {
+      this.matrix.remove(row, column);
+    }
+
+    arrayEach(this.matrix.getDependencies([{ row, column }]), dependency => dependency.setState(STATE_OUT_OF_DATE));
+  }
+
+  /**
+   * Parses the formula expression and collects the cells used by it.
+   *
+   * @param {CellValue} cellValue The formula cell.
+   */
+  parseExpression(cellValue) {
+    cellValue.clearPrecedents();
+    cellValue.setState(STATE_OUT_OF_DATE);
+
+    try {
+      cellValue.ast = parse(cellValue.expression.substr(1));
+      collectPrecedents(cellValue.ast, cellValue);
+
+    } catch (ex) {
+      cellValue.ast = null;
+      cellValue.setError(ex instanceof FormulaError ? ex.code : ERROR);
+    }
+  }
+
+  /**
+   * Evaluates the formula expression, which is not stored in the sheet (e.g. the value which is about to be set).
+   *
+   * @param {String} expression The formula expression (including the leading `=` character).
+   * @returns {*} The computed value or the error code.
+   */
+  evaluateExpression(expression) {
+    let result;
+
+    try {
+      result = evaluate(parse(expression.substr(1)), this.createContext());
+
+    } catch (ex) {
+      result = ex instanceof FormulaError ? ex.code : ERROR;
+    }
+
+    return result;
+  }
+
+  /**
+   * Recalculates the formula cells marked as out of date.
+   */
+  recalculate() {
+    arrayEach(this.matrix.getOutOfDateCells(), cellValue => this.computeCell(cellValue));
+  }
+
+  /**
+   * Parses all formula expressions from the data source and recalculates them.
+   */
+  recalculateFull() {
+    this.matrix.reset();
+
+    rangeEach(0, this.dataProvider.countRows() - 1, (row) => {
+      rangeEach(0, this.dataProvider.countColumns() - 1, (column) => {
+        const value = this.dataProvider.getSourceDataAtCell(row, column);
+
+        if (isFormulaExpression(value)) {
+          const cellValue = new CellValue(row, column, value);
+
+          this.parseExpression(cellValue);
+          this.matrix.add(cellValue);
+        }
+      });
+    });
+
+    this.recalculate();
+  }
+
+  /**
+   * Translates the formula expressions from the data source after inserting or removing the rows or the columns and
+   * recalculates them. The references pointing at the removed cells are replaced with the `#REF!` error.
+   *
+   * @param {String} action `'insert'` or `'remove'`.
+   * @param {String} axis `'row'` or `'column'`.
+   * @param {Number|Number[]} index Physical index of the first inserted row or column or the list of physical indexes
+   *                                of the removed rows or columns.
+   * @param {Number} [amount] Amount of the inserted rows or columns.
+   */
+  alter(action, axis, index, amount) {
+    rangeEach(0, this.dataProvider.countRows() - 1, (row) => {
+      rangeEach(0, this.dataProvider.countColumns() - 1, (column) => {
+        const value = this.dataProvider.getSourceDataAtCell(row, column);
+
+        if (isFormulaExpression(value)) {
+          const modifier = new ExpressionModifier(value);
+          const newValue = (action === 'insert' ? modifier.insert(axis, index, amount) : modifier.remove(axis, index)).toString();
+
+          if (newValue !== value) {
+            this.dataProvider.updateSourceData(row, column, newValue);
+          }
+        }
+      });
+    });
+
+    this.recalculateFull();
+  }
+
+  /**
+   * Computes the formula cell. The formula cells used by the expression are computed first.
+   *
+   * @private
+   * @param {CellValue} cellValue The formula cell.
+   * @throws {FormulaError} Throws the `#CYCLE!` error when the cell is already being computed (circular reference).
+   */
+  computeCell(cellValue) {
+    if (cellValue.isState(STATE_UP_TO_DATE)) {
+      return;
+    }
+    if (cellValue.isState(STATE_COMPUTING)) {
+      throw new FormulaError(ERROR_CYCLE);
+    }
+    if (!cellValue.ast) {
+      cellValue.setState(STATE_UP_TO_DATE);
+
+      return;
+    }
+
+    cellValue.setState(STATE_COMPUTING);
+
+    try {
+      cellValue.setValue(evaluate(cellValue.ast, this.createContext()));
+
+    } catch (ex) {
+      cellValue.setError(ex instanceof FormulaError ? ex.code : ERROR);
+    }
+
+    cellValue.setState(STATE_UP_TO_DATE);
+  }
+
+  /**
+   * Creates the context used while evaluating the formula expressions.
+   *
+   * @private
+   * @returns {Object}
+   */
+  createContext() {
+    return {
+      getCellValue: (row, column) => this.getCellValue(row, column),
+      getRangeValues: (start, end) => this.getRangeValues(start, end),
+      getVariable: name => this.getVariable(name),
+    };
+  }
+
+  /**
+   * Gets the cell value used in the formula expressions. The formula cells are computed, when they are out of date.
+   *
+   * @private
+   * @param {Number} row Physical row index.
+   * @param {Number} column Physical column index.
+   * @returns {*}
+   * @throws {FormulaError} Throws the error of the formula cell, when its computation failed.
+   */
+  getCellValue(row, column) {
+    if (!this.dataProvider.isInDataRange(row, column)) {
+      return null;
+    }
+
+    const cellValue = this.matrix.getCellAt(row, column);
+
+    if (cellValue) {
+      this.computeCell(cellValue);
+
+      if (cellValue.hasError()) {
+        throw new FormulaError(cellValue.getError());
+      }
+
+      return cellValue.getValue();
+    }
+
+    return unescapeFormulaExpression(this.dataProvider.getSourceDataAtCell(row, column));
+  }
+
+  /**
+   * Gets the values of the cells placed in the provided range.
+   *
+   * @private
+   * @param {Object} start The range start in form of `{row, column}` object (physical indexes).
+   * @param {Object} end The range end in form of `{row, column}` object (physical indexes).
+   * @returns {Array[]}
+   */
+  getRangeValues(start, end) {
+    const values = [];
+
+    rangeEach(start.row, Math.min(end.row, this.dataProvider.countRows() - 1), (row) => {
+      const rowValues = [];
+
+      rangeEach(start.column, Math.min(end.column, this.dataProvider.countColumns() - 1), (column) => {
+        rowValues.push(this.getCellValue(row, column));
+      });
+
+      values.push(rowValues);
+    });
+
+    return values;
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.matrix.reset();
+    this.matrix = null;
+    this.hot = null;
+    this.dataProvider = null;
+    this.variables = null;
+  }
+}
+
+export default Sheet;
@@ -0,0 +1,31 @@
+import ExpressionModifier from 'handsontable/plugins/formulas/expressionModifier';
+
+describe('Formulas', () => {
+  describe('ExpressionModifier', () => {
+    it('should translate the references after inserting the rows', () => {
+      const modifier = new ExpressionModifier('=A1+A3*SUM(B2:C4)');
+
+      expect(modifier.insert('row', 1, 2).toString()).toBe('=A1+A5*SUM(B4:C6)');
+    });
+
+    it('should translate the references after inserting the columns', () => {
+      const modifier = new ExpressionModifier('=$A$1+B1&"B1"');
+
+      expect(modifier.insert('column', 0, 1).toString()).toBe('=$B$1+C1&"B1"');
+    });
+
+    it('should replace the references to the removed cells with the #REF! error', () => {
+      expect(new ExpressionModifier('=A2+A3').remove('row', [1]).toString()).toBe('=#REF!+A2');
+      expect(new ExpressionModifier('=SUM(B1:B2)').remove('column', [1]).toString()).toBe('=SUM(#REF!)');
+    });
+
+    it('should shrink the partially removed ranges', () => {
+      expect(new ExpressionModifier('=SUM(A1:A5)').remove('row', [0, 2]).toString()).toBe('=SUM(A1:A3)');
+      expect(new ExpressionModifier('=SUM(A5:A1)').remove('row', [4]).toString()).toBe('=SUM(A4:A1)');
+    });
+
+    it('should not modify the invalid expressions', () => {
+      expect(new ExpressionModifier('=A1 ~ B2').insert('row', 0, 1).toString()).toBe('=A1 ~ B2');
+    });
+  });
+});
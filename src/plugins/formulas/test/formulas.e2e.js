@@ -0,0 +1,175 @@
+describe('Formulas', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function getData() {
+    return [
+      [1, 2, '=A1+B1', '=SUM(A1:B2)', '=C1*2'],
+      [3, 4, '=IF(A2>2, "big", "small")', '=VLOOKUP(3, A1:B2, 2, FALSE)', '=ROUND(10/3, 2)'],
+      ['=AVERAGE(A1:A2)', '=MAX(A1:B2)-MIN(A1:B2)', '=CONCATENATE("a", A1, TRUE)', '=1/0', '\'=A1'],
+    ];
+  }
+
+  it('should compute the formula expressions', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    expect(getDataAtRow(0)).toEqual([1, 2, 3, 10, 6]);
+    expect(getDataAtRow(1)).toEqual([3, 4, 'big', 4, 3.33]);
+    expect(getDataAtRow(2)).toEqual([2, 3, 'a1TRUE', '#DIV/0!', '\'=A1']);
+    expect(getSourceDataAtCell(0, 2)).toBe('=A1+B1');
+  });
+
+  it('should render the computed values and the escaped expressions as text', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    expect(getCell(0, 3).innerHTML).toBe('10');
+    expect(getCell(2, 4).innerHTML).toBe('=A1');
+  });
+
+  it('should recalculate the dependent cells after changing the value', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    setDataAtCell(0, 0, 10);
+
+    expect(getDataAtRow(0)).toEqual([10, 2, 12, 19, 24]);
+    expect(getCell(0, 4).innerHTML).toBe('24');
+
+    setDataAtCell(0, 4, '=A1/B1');
+
+    expect(getDataAtCell(0, 4)).toBe(5);
+  });
+
+  it('should mark the circular references with the #CYCLE! error', () => {
+    handsontable({
+      data: [
+        ['=B1', '=A1', 1],
+      ],
+      formulas: true,
+    });
+
+    expect(getDataAtRow(0)).toEqual(['#CYCLE!', '#CYCLE!', 1]);
+
+    setDataAtCell(0, 1, '=C1');
+
+    expect(getDataAtRow(0)).toEqual([1, 1, 1]);
+  });
+
+  it('should use the variables defined in the settings and via the API', () => {
+    handsontable({
+      data: [['=FOO*2', '=bar']],
+      formulas: {
+        variables: {
+          foo: 21,
+        },
+      },
+    });
+
+    const plugin = getPlugin('formulas');
+
+    expect(getDataAtRow(0)).toEqual([42, '#NAME?']);
+
+    plugin.setVariable('BAR', 'baz');
+    plugin.recalculate();
+
+    expect(plugin.getVariable('bar')).toBe('baz');
+    expect(getDataAtRow(0)).toEqual([42, 'baz']);
+  });
+
+  it('should keep the references pointing at the source data after sorting', () => {
+    handsontable({
+      data: [
+        [3, '=A1*2'],
+        [1, '=A2*2'],
+        [2, '=A3*2'],
+      ],
+      columnSorting: true,
+      formulas: true,
+    });
+
+    getPlugin('columnSorting').sort({ column: 0, sortOrder: 'asc' });
+
+    expect(getDataAtCol(1)).toEqual([2, 4, 6]);
+  });
+
+  it('should translate the references after inserting and removing the rows', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    alter('insert_row', 0, 1);
+
+    expect(getSourceDataAtCell(1, 2)).toBe('=A2+B2');
+    expect(getSourceDataAtCell(1, 3)).toBe('=SUM(A2:B3)');
+    expect(getDataAtCell(1, 3)).toBe(10);
+
+    alter('remove_row', 1, 1);
+
+    expect(getSourceDataAtCell(1, 3)).toBe('=VLOOKUP(3, A2:B2, 2, FALSE)');
+    expect(getSourceDataAtCell(1, 2)).toBe('=IF(A2>2, "big", "small")');
+    expect(getSourceDataAtCell(2, 0)).toBe('=AVERAGE(A2:A2)');
+    expect(getDataAtCell(2, 0)).toBe(3);
+  });
+
+  it('should replace the references to the removed columns with the #REF! error', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    alter('remove_col', 0, 1);
+
+    expect(getSourceDataAtCell(0, 1)).toBe('=#REF!+A1');
+    expect(getDataAtCell(0, 1)).toBe('#REF!');
+    expect(getSourceDataAtCell(0, 2)).toBe('=SUM(A1:A2)');
+    expect(getDataAtCell(0, 2)).toBe(6);
+  });
+
+  it('should return the computed values through the plugin API', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    const plugin = getPlugin('formulas');
+
+    expect(plugin.hasComputedCellValue(0, 2)).toBe(true);
+    expect(plugin.hasComputedCellValue(0, 0)).toBe(false);
+    expect(plugin.getCellValue(1, 2)).toBe('big');
+    expect(plugin.getCellValue(0, 0)).toBeUndefined();
+  });
+
+  it('should stop computing the formulas after disabling the plugin', () => {
+    handsontable({
+      data: getData(),
+      formulas: true,
+    });
+
+    updateSettings({ formulas: false });
+
+    expect(getDataAtCell(0, 2)).toBe('=A1+B1');
+
+    updateSettings({ formulas: true });
+
+    expect(getDataAtCell(0, 2)).toBe(3);
+  });
+});
@@ -0,0 +1,57 @@
+import Matrix from 'handsontable/plugins/formulas/matrix';
+import CellValue, { STATE_OUT_OF_DATE, STATE_UP_TO_DATE } from 'handsontable/plugins/formulas/cell/value';
+
+describe('Formulas', () => {
+  describe('Matrix', () => {
+    function createCell(row, column, precedents) {
+      const cellValue = new CellValue(row, column, '=');
+
+      precedents.forEach(([start, end]) => cellValue.addPrecedent(start, end));
+      cellValue.setState(STATE_UP_TO_DATE);
+
+      return cellValue;
+    }
+
+    it('should store the cells under the coordinates', () => {
+      const matrix = new Matrix();
+      const cellValue = createCell(1, 2, []);
+
+      matrix.add(cellValue);
+
+      expect(matrix.getCellAt(1, 2)).toBe(cellValue);
+      expect(matrix.getCellAt(2, 1)).toBeUndefined();
+
+      matrix.remove(1, 2);
+
+      expect(matrix.getAll().length).toBe(0);
+    });
+
+    it('should find the direct and the transitive dependencies', () => {
+      const matrix = new Matrix();
+      const a = createCell(0, 1, [[{ row: 0, column: 0 }]]);
+      const b = createCell(0, 2, [[{ row: 0, column: 1 }]]);
+      const c = createCell(5, 5, [[{ row: 0, column: 0 }, { row: 3, column: 3 }]]);
+      const d = createCell(6, 6, [[{ row: 9, column: 9 }]]);
+
+      matrix.add(a);
+      matrix.add(b);
+      matrix.add(c);
+      matrix.add(d);
+
+      expect(matrix.getDependents(0, 0)).toEqual([a, c]);
+      expect(matrix.getDependencies([{ row: 0, column: 0 }])).toEqual([a, c, b]);
+    });
+
+    it('should return the cells marked as out of date', () => {
+      const matrix = new Matrix();
+      const a = createCell(0, 0, []);
+      const b = createCell(0, 1, []);
+
+      matrix.add(a);
+      matrix.add(b);
+      b.setState(STATE_OUT_OF_DATE);
+
+      expect(matrix.getOutOfDateCells()).toEqual([b]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { parse } from 'handsontable/plugins/formulas/parser/parser';
+import { evaluate } from 'handsontable/plugins/formulas/parser/evaluator';
+import { FormulaError } from 'handsontable/plugins/formulas/parser/error';
+
+describe('Formulas', () => {
+  describe('parser', () => {
+    function createContext(data = [], variables = {}) {
+      return {
+        getCellValue: (row, column) => (data[row] ? data[row][column] : null),
+        getRangeValues: (start, end) => {
+          const values = [];
+
+          for (let row = start.row; row <= end.row; row += 1) {
+            const rowValues = [];
+
+            for (let column = start.column; column <= end.column; column += 1) {
+              rowValues.push(data[row] ? data[row][column] : null);
+            }
+            values.push(rowValues);
+          }
+
+          return values;
+        },
+        getVariable: name => variables[name],
+      };
+    }
+
+    function calc(expression, data, variables) {
+      try {
+        return evaluate(parse(expression), createContext(data, variables));
+      } catch (ex) {
+        if (ex instanceof FormulaError) {
+          return ex.code;
+        }
+
+        throw ex;
+      }
+    }
+
+    it('should parse the cell references and the ranges', () => {
+      expect(parse('$B$2')).toEqual({ type: 'cell', row: 1, column: 1, rowAbsolute: true, columnAbsolute: true });
+      expect(parse('C3:A1')).toEqual({
+        type: 'range',
+        start: { row: 0, column: 0 },
+        end: { row: 2, column: 2 },
+      });
+    });
+
+    it('should respect the operators precedence', () => {
+      expect(calc('1+2*3')).toBe(7);
+      expect(calc('(1+2)*3')).toBe(9);
+      expect(calc('2^3^2')).toBe(64);
+      expect(calc('-2^2')).toBe(4);
+      expect(calc('50%')).toBe(0.5);
+      expect(calc('1+2&"x"')).toBe('3x');
+      expect(calc('1+1=2')).toBe(true);
+      expect(calc('"a"<>"A"')).toBe(false);
+    });
+
+    it('should evaluate the functions', () => {
+      const data = [
+        [1, 2, 'x'],
+        [3, 4, 'y'],
+      ];
+
+      expect(calc('SUM(A1:B2, 10)', data)).toBe(20);
+      expect(calc('AVERAGE(A1:B2)', data)).toBe(2.5);
+      expect(calc('IF(A1>0, "yes", 1/0)', data)).toBe('yes');
+      expect(calc('VLOOKUP(3, A1:C2, 3, FALSE)', data)).toBe('y');
+      expect(calc('ROUND(2.345, 2)')).toBe(2.35);
+      expect(calc('CONCATENATE(C1, "-", C2)', data)).toBe('x-y');
+    });
+
+    it('should return the error codes', () => {
+      expect(calc('1/0')).toBe('#DIV/0!');
+      expect(calc('UNKNOWN(1)')).toBe('#NAME?');
+      expect(calc('"a"*2')).toBe('#VALUE!');
+      expect(calc('VLOOKUP(5, A1:B1, 2, FALSE)', [[1, 2]])).toBe('#N/A');
+      expect(calc('AVERAGE(A1:A2)', [])).toBe('#DIV/0!');
+      expect(calc('SUM(1,')).toBe('#ERROR!');
+    });
+
+    it('should use the variables', () => {
+      expect(calc('FOO*2', [], { FOO: 21 })).toBe(42);
+    });
+  });
+});
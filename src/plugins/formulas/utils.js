@@ -0,0 +1,64 @@
+import { spreadsheetColumnIndex, spreadsheetColumnLabel } from './../../helpers/data';
+
+/**
+ * Checks if the provided value is a formula expression (a string starting with the `=` character).
+ *
+ * @param {*} value The value to check.
+ * @returns {Boolean}
+ */
+export function isFormulaExpression(value) {
+  return typeof value === 'string' && value.length >= 2 && value.charAt(0) === '=';
+}
+
+/**
+ * Checks if the provided value is an escaped formula expression (a string starting with the `'=` characters). The
+ * escaped expressions are treated as plain text.
+ *
+ * @param {*} value The value to check.
+ * @returns {Boolean}
+ */
+export function isFormulaExpressionEscaped(value) {
+  return typeof value === 'string' && value.charAt(0) === '\'' && value.charAt(1) === '=';
+}
+
+/**
+ * Removes the escape character from the escaped formula expression.
+ *
+ * @param {String} expression The escaped formula expression.
+ * @returns {String}
+ */
+export function unescapeFormulaExpression(expression) {
+  return isFormulaExpressionEscaped(expression) ? expression.substr(1) : expression;
+}
+
+/**
+ * Parses the cell label (e.g. `A1`, `$B$2`) into the cell coordinates.
+ *
+ * @param {String} label The cell label.
+ * @returns {Object|null} Object in form of `{row, column, rowAbsolute, columnAbsolute}` or `null` when the label is not
+ *                        valid.
+ */
+export function extractLabel(label) {
+  const match = /^(\$)?([A-Za-z]+)(\$)?(\d+)$/.exec(label);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    row: parseInt(match[4], 10) - 1,
+    column: spreadsheetColumnIndex(match[2].toUpperCase()),
+    rowAbsolute: match[3] === '$',
+    columnAbsolute: match[1] === '$',
+  };
+}
+
+/**
+ * Converts the cell coordinates into the cell label (e.g. `{row: 0, column: 1}` into `B1`).
+ *
+ * @param {Object} cell Object in form of `{row, column, rowAbsolute, columnAbsolute}`.
+ * @returns {String}
+ */
+export function toLabel({ row, column, rowAbsolute = false, columnAbsolute = false }) {
+  return `${columnAbsolute ? '$' : ''}${spreadsheetColumnLabel(column)}${rowAbsolute ? '$' : ''}${row + 1}`;
+}
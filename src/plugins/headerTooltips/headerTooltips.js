@@ -0,0 +1,197 @@
+import BasePlugin from './../_base';
+import { arrayEach } from './../../helpers/array';
+import { outerWidth } from './../../helpers/dom/element';
+import { registerPlugin } from './../../plugins';
+
+/**
+ * @plugin HeaderTooltips
+ *
+ * @description
+ * Allows to add a tooltip to the table headers.
+ *
+ * Available options:
+ * * the `rows` property defines if tooltips should be added to row headers,
+ * * the `columns` property defines if tooltips should be added to column headers,
+ * * the `onlyTrimmed` property defines if tooltips should be added only to headers, which content is trimmed by the
+ *   header itself (the content being wider then the header),
+ * * the `tooltip` property allows to define a function which returns the tooltip text. The function is called with
+ *   the header label, the visual index of the header and a flag which determines if the header is a column header.
+ *   When the function returns an empty value, the tooltip is not added.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   // enable tooltips for all headers
+ *   headerTooltips: true
+ * });
+ *
+ * // or
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   headerTooltips: {
+ *     rows: false,
+ *     columns: true,
+ *     onlyTrimmed: true,
+ *     tooltip(label, index, isColumnHeader) {
+ *       return `${label} (${index})`;
+ *     }
+ *   }
+ * });
+ * ```
+ */
+class HeaderTooltips extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Cached plugin settings.
+     *
+     * @private
+     * @type {Boolean|Object}
+     */
+    this.settings = null;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link HeaderTooltips#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().headerTooltips;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.settings = this.hot.getSettings().headerTooltips;
+
+    this.parseSettings();
+
+    this.addHook('afterGetColHeader', (col, TH) => this.onAfterGetHeader(col, TH, true));
+    this.addHook('afterGetRowHeader', (row, TH) => this.onAfterGetHeader(row, TH, false));
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.settings = null;
+
+    this.clearTitleAttributes();
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Parses the plugin settings.
+   *
+   * @private
+   */
+  parseSettings() {
+    const settings = {
+      rows: true,
+      columns: true,
+      onlyTrimmed: false,
+      tooltip: null,
+    };
+
+    if (typeof this.settings === 'object') {
+      Object.assign(settings, this.settings);
+    }
+
+    this.settings = settings;
+  }
+
+  /**
+   * Clears the previously assigned title attributes.
+   *
+   * @private
+   */
+  clearTitleAttributes() {
+    arrayEach(this.hot.rootElement.querySelectorAll('th[title]'), (TH) => {
+      TH.removeAttribute('title');
+    });
+  }
+
+  /**
+   * Gets the tooltip text for the provided header.
+   *
+   * @private
+   * @param {String} label The header label.
+   * @param {Number} index Visual column or row index.
+   * @param {Boolean} isColumnHeader `true` for the column headers, `false` for the row headers.
+   * @returns {String}
+   */
+  getTooltip(label, index, isColumnHeader) {
+    if (typeof this.settings.tooltip === 'function') {
+      return this.settings.tooltip(label, index, isColumnHeader);
+    }
+
+    return label;
+  }
+
+  /**
+   * Adds a tooltip to the headers.
+   *
+   * @private
+   * @param {Number} index Visual column or row index.
+   * @param {HTMLElement} TH Header's TH element.
+   * @param {Boolean} isColumnHeader `true` for the column headers, `false` for the row headers.
+   */
+  onAfterGetHeader(index, TH, isColumnHeader) {
+    TH.removeAttribute('title');
+
+    if (index < 0 || (isColumnHeader && !this.settings.columns) || (!isColumnHeader && !this.settings.rows)) {
+      return;
+    }
+
+    const headerLabel = TH.querySelector(isColumnHeader ? '.colHeader' : '.rowHeader');
+
+    if (!headerLabel) {
+      return;
+    }
+
+    if (this.settings.onlyTrimmed && (outerWidth(headerLabel) < outerWidth(TH) || outerWidth(headerLabel) === 0)) {
+      return;
+    }
+
+    const tooltip = this.getTooltip(headerLabel.textContent, index, isColumnHeader);
+
+    if (tooltip !== null && tooltip !== void 0 && tooltip !== '') {
+      TH.setAttribute('title', tooltip);
+    }
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.settings = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('headerTooltips', HeaderTooltips);
+
+export default HeaderTooltips;
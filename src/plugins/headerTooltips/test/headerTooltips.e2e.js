@@ -0,0 +1,99 @@
+describe('HeaderTooltips', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should add the tooltips to the row and column headers', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      rowHeaders: true,
+      colHeaders: true,
+      headerTooltips: true,
+    });
+
+    expect(getCell(-1, 1).getAttribute('title')).toBe('B');
+    expect(getCell(2, -1).getAttribute('title')).toBe('3');
+  });
+
+  it('should add the tooltips only to the column headers', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      rowHeaders: true,
+      colHeaders: true,
+      headerTooltips: {
+        rows: false,
+        columns: true,
+      },
+    });
+
+    expect(getCell(-1, 1).getAttribute('title')).toBe('B');
+    expect(getCell(2, -1).hasAttribute('title')).toBe(false);
+  });
+
+  it('should add the tooltips only to the row headers', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      rowHeaders: true,
+      colHeaders: true,
+      headerTooltips: {
+        rows: true,
+        columns: false,
+      },
+    });
+
+    expect(getCell(-1, 1).hasAttribute('title')).toBe(false);
+    expect(getCell(2, -1).getAttribute('title')).toBe('3');
+  });
+
+  it('should add the tooltips only to the headers which content is trimmed', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      colHeaders: ['A', 'A very long header label', 'C'],
+      colWidths: 50,
+      headerTooltips: {
+        onlyTrimmed: true,
+      },
+    });
+
+    expect(getCell(-1, 0).hasAttribute('title')).toBe(false);
+    expect(getCell(-1, 1).getAttribute('title')).toBe('A very long header label');
+  });
+
+  it('should use the custom tooltip function', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      rowHeaders: true,
+      colHeaders: true,
+      headerTooltips: {
+        tooltip(label, index, isColumnHeader) {
+          return isColumnHeader ? `Column ${label} (${index})` : void 0;
+        },
+      },
+    });
+
+    expect(getCell(-1, 1).getAttribute('title')).toBe('Column B (1)');
+    expect(getCell(2, -1).hasAttribute('title')).toBe(false);
+  });
+
+  it('should remove the tooltips after disabling the plugin', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 5),
+      rowHeaders: true,
+      colHeaders: true,
+      headerTooltips: true,
+    });
+
+    updateSettings({ headerTooltips: false });
+
+    expect(spec().$container.find('th[title]').length).toBe(0);
+  });
+});
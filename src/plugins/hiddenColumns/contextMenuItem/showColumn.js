@@ -0,0 +1,57 @@
+import { rangeEach } from './../../../helpers/number';
+import * as C from './../../../i18n/constants';
+
+/**
+ * Collects the visual indexes of the hidden columns which can be shown for the selected range. Those are the hidden
+ * columns placed within the selection and the ones directly adjacent to it.
+ *
+ * @param {Core} hot The Handsontable instance.
+ * @param {HiddenColumns} hiddenColumnsPlugin The HiddenColumns plugin instance.
+ * @returns {Number[]}
+ */
+function getColumnsToShow(hot, hiddenColumnsPlugin) {
+  const { from, to } = hot.getSelectedRangeLast();
+  let start = Math.min(from.col, to.col);
+  let end = Math.max(from.col, to.col);
+  const columns = [];
+
+  while (start > 0 && hiddenColumnsPlugin.isHidden(start - 1)) {
+    start -= 1;
+  }
+  while (end < hot.countCols() - 1 && hiddenColumnsPlugin.isHidden(end + 1)) {
+    end += 1;
+  }
+
+  rangeEach(start, end, (column) => {
+    if (hiddenColumnsPlugin.isHidden(column)) {
+      columns.push(column);
+    }
+  });
+
+  return columns;
+}
+
+export default function showColumnItem(hiddenColumnsPlugin) {
+  return {
+    key: 'hidden_columns_show',
+    name() {
+      const pluralForm = getColumnsToShow(this, hiddenColumnsPlugin).length > 1 ? 1 : 0;
+
+      return this.getTranslatedPhrase(C.CONTEXTMENU_ITEMS_SHOW_COLUMN, pluralForm);
+    },
+    callback() {
+      hiddenColumnsPlugin.showColumns(getColumnsToShow(this, hiddenColumnsPlugin));
+
+      this.render();
+      this.view.wt.wtOverlays.adjustElementsSize(true);
+    },
+    disabled: false,
+    hidden() {
+      if (!hiddenColumnsPlugin.hiddenColumns.length || !this.selection.isSelectedByColumnHeader()) {
+        return true;
+      }
+
+      return getColumnsToShow(this, hiddenColumnsPlugin).length === 0;
+    },
+  };
+}
@@ -0,0 +1,432 @@
+import BasePlugin from './../_base';
+import { addClass } from './../../helpers/dom/element';
+import { rangeEach } from './../../helpers/number';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { registerPlugin } from './../../plugins';
+import hideColumnItem from './contextMenuItem/hideColumn';
+import showColumnItem from './contextMenuItem/showColumn';
+
+import './hiddenColumns.css';
+
+/**
+ * @plugin HiddenColumns
+ *
+ * @description
+ * Plugin allows to hide certain columns. The hiding is achieved by rendering the columns with a width set as 0px.
+ * The plugin not modifies the source data and do not participate in data transformation (the shape of the data
+ * returned by `getData*` methods stays intact).
+ *
+ * Possible plugin settings:
+ *  * `copyPasteEnabled` (`Boolean`) - `true` by default. When set to `false`, the hidden columns are skipped while
+ *    copying the data and the pasted data is not put into them.
+ *  * `columns` (`Array`) - Initial list of hidden columns (visual indexes).
+ *  * `indicators` (`Boolean`) - `false` by default. When set to `true`, the headers placed next to the hidden columns
+ *    are marked with small arrows.
+ *
+ * The hidden columns are saved using the {@link Options#persistentState} plugin (when it is enabled).
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   hiddenColumns: {
+ *     copyPasteEnabled: true,
+ *     indicators: true,
+ *     columns: [1, 2, 5]
+ *   }
+ * });
+ *
+ * // access to hiddenColumns plugin instance:
+ * const hiddenColumnsPlugin = hot.getPlugin('hiddenColumns');
+ *
+ * // show single column
+ * hiddenColumnsPlugin.showColumn(1);
+ *
+ * // show multiple columns
+ * hiddenColumnsPlugin.showColumns([1, 2, 5]);
+ *
+ * // hide single column
+ * hiddenColumnsPlugin.hideColumn(1);
+ *
+ * // hide multiple columns
+ * hiddenColumnsPlugin.hideColumns([1, 2, 5]);
+ *
+ * // rerender the table to see all changes
+ * hot.render();
+ * ```
+ */
+class HiddenColumns extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Cached plugin settings.
+     *
+     * @private
+     * @type {Object}
+     */
+    this.settings = {};
+    /**
+     * List of currently hidden columns (physical indexes).
+     *
+     * @private
+     * @type {Number[]}
+     */
+    this.hiddenColumns = [];
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link HiddenColumns#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().hiddenColumns;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    const pluginSettings = this.hot.getSettings().hiddenColumns;
+
+    this.settings = {
+      copyPasteEnabled: true,
+      indicators: false,
+      columns: [],
+    };
+
+    if (typeof pluginSettings === 'object') {
+      Object.assign(this.settings, pluginSettings);
+    }
+
+    this.addHook('modifyColWidth', (width, column) => this.onModifyColWidth(width, column));
+    this.addHook('beforeStretchingColumnWidth', (width, column) => this.onBeforeStretchingColumnWidth(width, column));
+    this.addHook('afterGetColHeader', (column, TH) => this.onAfterGetColHeader(column, TH));
+    this.addHook('afterRenderer', (TD, row, column) => this.onAfterRenderer(TD, row, column));
+    this.addHook('afterGetCellMeta', (row, column, cellProperties) => this.onAfterGetCellMeta(row, column, cellProperties));
+    this.addHook('modifyCopyableRange', ranges => this.onModifyCopyableRange(ranges));
+    this.addHook('hiddenColumn', column => this.isHidden(column));
+    this.addHook('afterCreateCol', (index, amount) => this.onAfterCreateCol(index, amount));
+    this.addHook('afterRemoveCol', (index, amount, physicalColumns) => this.onAfterRemoveCol(index, amount, physicalColumns));
+    this.addHook('afterContextMenuDefaultOptions', options => this.onAfterContextMenuDefaultOptions(options));
+
+    super.enablePlugin();
+
+    const storedColumns = this.loadHiddenColumns();
+
+    if (Array.isArray(storedColumns)) {
+      this.hiddenColumns = storedColumns.slice();
+
+    } else {
+      this.hiddenColumns = [];
+      this.hideColumns(this.settings.columns);
+    }
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.settings = {};
+    this.hiddenColumns = [];
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Shows the provided columns.
+   *
+   * @param {Number[]} columns Array of visual column indexes.
+   */
+  showColumns(columns) {
+    arrayEach(columns, (column) => {
+      const physicalColumn = this.hot.toPhysicalColumn(parseInt(column, 10));
+      const index = this.hiddenColumns.indexOf(physicalColumn);
+
+      if (index !== -1) {
+        this.hiddenColumns.splice(index, 1);
+      }
+    });
+
+    this.saveHiddenColumns();
+  }
+
+  /**
+   * Shows a single column.
+   *
+   * @param {Number} column Visual column index.
+   */
+  showColumn(column) {
+    this.showColumns([column]);
+  }
+
+  /**
+   * Hides the columns provided in the array.
+   *
+   * @param {Number[]} columns Array of visual column indexes.
+   */
+  hideColumns(columns) {
+    arrayEach(columns, (column) => {
+      const physicalColumn = this.hot.toPhysicalColumn(parseInt(column, 10));
+
+      if (!this.isHidden(physicalColumn, true)) {
+        this.hiddenColumns.push(physicalColumn);
+      }
+    });
+
+    this.saveHiddenColumns();
+  }
+
+  /**
+   * Hides a single column.
+   *
+   * @param {Number} column Visual column index.
+   */
+  hideColumn(column) {
+    this.hideColumns([column]);
+  }
+
+  /**
+   * Checks if the provided column is hidden.
+   *
+   * @param {Number} column Column index.
+   * @param {Boolean} [isPhysicalIndex=false] Defines if the provided column index is a physical index.
+   * @returns {Boolean}
+   */
+  isHidden(column, isPhysicalIndex = false) {
+    const physicalColumn = isPhysicalIndex ? column : this.hot.toPhysicalColumn(column);
+
+    return this.hiddenColumns.indexOf(physicalColumn) !== -1;
+  }
+
+  /**
+   * Saves the hidden columns using the persistentState plugin (the {@link Options#persistentState} option has to be
+   * enabled).
+   *
+   * @private
+   * @fires Hooks#persistentStateSave
+   */
+  saveHiddenColumns() {
+    this.hot.runHooks('persistentStateSave', 'hiddenColumns', this.hiddenColumns);
+  }
+
+  /**
+   * Loads the previously saved hidden columns using the persistentState plugin (the {@link Options#persistentState}
+   * option has to be enabled).
+   *
+   * @private
+   * @returns {Number[]|undefined}
+   * @fires Hooks#persistentStateLoad
+   */
+  loadHiddenColumns() {
+    const storedState = {};
+
+    this.hot.runHooks('persistentStateLoad', 'hiddenColumns', storedState);
+
+    return storedState.value;
+  }
+
+  /**
+   * Sets the width of the hidden columns. The width of the column can not be set to `0` because the Walkontable
+   * treats that value as not set one, and falls back to the default width.
+   *
+   * @private
+   * @param {Number} width Column width.
+   * @param {Number} column Visual column index.
+   * @returns {Number}
+   */
+  onModifyColWidth(width, column) {
+    if (this.isHidden(column)) {
+      return 0.1;
+    }
+
+    return width;
+  }
+
+  /**
+   * Prevents the hidden columns from being stretched.
+   *
+   * @private
+   * @param {Number} width Stretched column width.
+   * @param {Number} column Visual column index.
+   * @returns {Number}
+   */
+  onBeforeStretchingColumnWidth(width, column) {
+    if (this.isHidden(column)) {
+      return 0;
+    }
+
+    return width;
+  }
+
+  /**
+   * Adds the classes to the column headers which are hidden or placed next to the hidden ones.
+   *
+   * @private
+   * @param {Number} column Visual column index.
+   * @param {HTMLElement} TH Header's TH element.
+   */
+  onAfterGetColHeader(column, TH) {
+    if (column < 0) {
+      return;
+    }
+
+    if (this.isHidden(column)) {
+      addClass(TH, 'hiddenHeader');
+
+      return;
+    }
+
+    if (this.settings.indicators) {
+      if (column > 0 && this.isHidden(column - 1)) {
+        addClass(TH, 'afterHiddenColumn');
+      }
+      if (column < this.hot.countCols() - 1 && this.isHidden(column + 1)) {
+        addClass(TH, 'beforeHiddenColumn');
+      }
+    }
+  }
+
+  /**
+   * Clears the content of the hidden cells.
+   *
+   * @private
+   * @param {HTMLElement} TD Cell's TD element.
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   */
+  onAfterRenderer(TD, row, column) {
+    if (this.isHidden(column)) {
+      TD.innerHTML = '';
+      addClass(TD, 'hiddenCell');
+    }
+  }
+
+  /**
+   * Prevents pasting the data into the hidden columns when the `copyPasteEnabled` option is disabled.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @param {Object} cellProperties Cell meta object.
+   */
+  onAfterGetCellMeta(row, column, cellProperties) {
+    if (this.settings.copyPasteEnabled === false) {
+      cellProperties.skipColumnOnPaste = this.isHidden(column);
+    }
+  }
+
+  /**
+   * Removes the hidden columns from the copyable ranges when the `copyPasteEnabled` option is disabled. Each range is
+   * split into the ranges which consist of the visible columns only.
+   *
+   * @private
+   * @param {Object[]} ranges Array of objects with properties `startRow`, `endRow`, `startCol` and `endCol`.
+   * @returns {Object[]}
+   */
+  onModifyCopyableRange(ranges) {
+    if (this.settings.copyPasteEnabled !== false) {
+      return ranges;
+    }
+
+    const newRanges = [];
+
+    arrayEach(ranges, (range) => {
+      let startCol = null;
+
+      rangeEach(range.startCol, range.endCol, (column) => {
+        const isHidden = this.isHidden(column);
+
+        if (!isHidden && startCol === null) {
+          startCol = column;
+        }
+        if (startCol !== null && (isHidden || column === range.endCol)) {
+          newRanges.push({
+            startRow: range.startRow,
+            endRow: range.endRow,
+            startCol,
+            endCol: isHidden ? column - 1 : column,
+          });
+          startCol = null;
+        }
+      });
+    });
+
+    return newRanges;
+  }
+
+  /**
+   * Shifts the hidden columns placed after the created ones.
+   *
+   * @private
+   * @param {Number} index Index of the first created column.
+   * @param {Number} amount Amount of created columns.
+   */
+  onAfterCreateCol(index, amount) {
+    this.hiddenColumns = arrayMap(this.hiddenColumns, column => (column >= index ? column + amount : column));
+  }
+
+  /**
+   * Removes the deleted columns from the hidden ones and shifts the columns placed after them.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed column.
+   * @param {Number} amount Amount of removed columns.
+   * @param {Number[]} physicalColumns Physical indexes of the removed columns.
+   */
+  onAfterRemoveCol(index, amount, physicalColumns) {
+    const hiddenColumns = arrayFilter(this.hiddenColumns, column => physicalColumns.indexOf(column) === -1);
+
+    this.hiddenColumns = arrayMap(hiddenColumns, (column) => {
+      const removedBefore = arrayFilter(physicalColumns, removedColumn => removedColumn < column).length;
+
+      return column - removedBefore;
+    });
+  }
+
+  /**
+   * Adds the hide/show column items to the context menu.
+   *
+   * @private
+   * @param {Object} options Context menu default options.
+   */
+  onAfterContextMenuDefaultOptions(options) {
+    options.items.push(
+      {
+        name: '---------',
+      },
+      hideColumnItem(this),
+      showColumnItem(this)
+    );
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.settings = null;
+    this.hiddenColumns = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('hiddenColumns', HiddenColumns);
+
+export default HiddenColumns;
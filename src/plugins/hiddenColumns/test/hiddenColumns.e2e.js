@@ -0,0 +1,315 @@
+describe('HiddenColumns', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  describe('initialization', () => {
+    it('should hide the columns provided in the plugin settings', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        hiddenColumns: {
+          columns: [1, 3],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenColumns');
+
+      expect(plugin.isHidden(0)).toBe(false);
+      expect(plugin.isHidden(1)).toBe(true);
+      expect(plugin.isHidden(3)).toBe(true);
+      expect(hot.getColWidth(1)).toBe(0.1);
+      expect(getCell(0, 1).innerText).toBe('');
+      expect(getCell(0, 1).className).toContain('hiddenCell');
+      expect(getCell(0, 2).innerText).toBe('C1');
+    });
+
+    it('should not modify the data', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 3),
+        hiddenColumns: {
+          columns: [1],
+        },
+      });
+
+      expect(getData()).toEqual([['A1', 'B1', 'C1'], ['A2', 'B2', 'C2']]);
+    });
+
+    it('should show all columns after disabling the plugin', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [1],
+        },
+      });
+
+      updateSettings({ hiddenColumns: false });
+
+      expect(hot.getColWidth(1)).toBe(50);
+      expect(getCell(0, 1).innerText).toBe('B1');
+    });
+  });
+
+  describe('API', () => {
+    it('should hide and show the columns', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: true,
+      });
+      const plugin = hot.getPlugin('hiddenColumns');
+
+      plugin.hideColumn(2);
+      plugin.hideColumns([3, 4]);
+      hot.render();
+
+      expect(plugin.isHidden(2)).toBe(true);
+      expect(plugin.isHidden(3)).toBe(true);
+      expect(plugin.isHidden(4)).toBe(true);
+      expect(getCell(0, 2).innerText).toBe('');
+
+      plugin.showColumn(2);
+      plugin.showColumns([3]);
+      hot.render();
+
+      expect(plugin.isHidden(2)).toBe(false);
+      expect(plugin.isHidden(3)).toBe(false);
+      expect(plugin.isHidden(4)).toBe(true);
+      expect(getCell(0, 2).innerText).toBe('C1');
+    });
+
+    it('should keep the hidden columns in place after moving the columns', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        manualColumnMove: true,
+        hiddenColumns: {
+          columns: [1],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenColumns');
+
+      hot.getPlugin('manualColumnMove').moveColumn(1, 4);
+      hot.render();
+
+      expect(plugin.isHidden(1)).toBe(false);
+      expect(plugin.isHidden(3)).toBe(true);
+      expect(plugin.isHidden(1, true)).toBe(true);
+    });
+
+    it('should update the hidden columns after creating and removing the columns', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [2, 4],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenColumns');
+
+      alter('insert_col', 0, 2);
+
+      expect(plugin.hiddenColumns).toEqual([4, 6]);
+
+      alter('remove_col', 4);
+
+      expect(plugin.hiddenColumns).toEqual([5]);
+    });
+  });
+
+  describe('indicators', () => {
+    it('should add the indicator classes to the headers placed next to the hidden columns', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        hiddenColumns: {
+          columns: [2],
+          indicators: true,
+        },
+      });
+
+      expect(getCell(-1, 1).className).toContain('beforeHiddenColumn');
+      expect(getCell(-1, 2).className).toContain('hiddenHeader');
+      expect(getCell(-1, 3).className).toContain('afterHiddenColumn');
+    });
+
+    it('should not add the indicator classes when the indicators are disabled', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        hiddenColumns: {
+          columns: [2],
+        },
+      });
+
+      expect(getCell(-1, 1).className).not.toContain('beforeHiddenColumn');
+      expect(getCell(-1, 3).className).not.toContain('afterHiddenColumn');
+    });
+  });
+
+  describe('copy-paste', () => {
+    it('should copy the hidden cells by default', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [1],
+        },
+      });
+      const copyPastePlugin = hot.getPlugin('copyPaste');
+
+      selectCell(0, 0, 1, 2);
+      copyPastePlugin.setCopyableText();
+
+      expect(copyPastePlugin.getRangedCopyableData(copyPastePlugin.copyableRanges)).toBe('A1\tB1\tC1\nA2\tB2\tC2');
+    });
+
+    it('should skip the hidden cells while copying when the `copyPasteEnabled` option is disabled', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [1, 3],
+          copyPasteEnabled: false,
+        },
+      });
+      const copyPastePlugin = hot.getPlugin('copyPaste');
+
+      selectCell(0, 0, 1, 4);
+      copyPastePlugin.setCopyableText();
+
+      expect(copyPastePlugin.getRangedCopyableData(copyPastePlugin.copyableRanges)).toBe('A1\tC1\tE1\nA2\tC2\tE2');
+    });
+
+    it('should skip the hidden cells while pasting when the `copyPasteEnabled` option is disabled', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [1],
+          copyPasteEnabled: false,
+        },
+      });
+
+      populateFromArray(0, 0, [['x', 'y']], null, null, 'CopyPaste.paste');
+
+      expect(getDataAtRow(0)).toEqual(['x', 'B1', 'y', 'D1', 'E1']);
+    });
+  });
+
+  describe('navigation', () => {
+    it('should skip the hidden columns while moving the selection with the keyboard', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [1, 2],
+        },
+      });
+
+      selectCell(0, 0);
+      keyDownUp('arrow_right');
+
+      expect(getSelected()).toEqual([[0, 3, 0, 3]]);
+
+      keyDownUp('arrow_left');
+
+      expect(getSelected()).toEqual([[0, 0, 0, 0]]);
+    });
+
+    it('should skip the hidden columns while extending the selection with the keyboard', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [1],
+        },
+      });
+
+      selectCell(0, 0);
+      keyDownUp('shift+arrow_right');
+
+      expect(getSelected()).toEqual([[0, 0, 0, 2]]);
+    });
+
+    it('should stay in the column when all columns in the direction of the move are hidden', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [3, 4],
+        },
+      });
+
+      selectCell(0, 2);
+      keyDownUp('arrow_right');
+
+      expect(getSelected()).toEqual([[0, 2, 0, 2]]);
+    });
+  });
+
+  describe('context menu', () => {
+    it('should hide the columns selected by the headers', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        contextMenu: true,
+        hiddenColumns: true,
+      });
+
+      selectColumns(1, 2);
+      hot.getPlugin('contextMenu').executeCommand('hidden_columns_hide');
+
+      expect(hot.getPlugin('hiddenColumns').isHidden(1)).toBe(true);
+      expect(hot.getPlugin('hiddenColumns').isHidden(2)).toBe(true);
+    });
+
+    it('should show the hidden columns placed next to the selected column', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        contextMenu: true,
+        hiddenColumns: {
+          columns: [1, 2, 4],
+        },
+      });
+
+      selectColumns(3);
+      hot.getPlugin('contextMenu').executeCommand('hidden_columns_show');
+
+      expect(hot.getPlugin('hiddenColumns').hiddenColumns).toEqual([]);
+    });
+  });
+
+  describe('persistentState', () => {
+    it('should save the hidden columns', () => {
+      const spy = jasmine.createSpy('persistentStateSave');
+
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: true,
+        persistentStateSave: spy,
+      });
+
+      hot.getPlugin('hiddenColumns').hideColumns([1, 2]);
+
+      expect(spy).toHaveBeenCalledWith('hiddenColumns', [1, 2], void 0, void 0, void 0, void 0);
+    });
+
+    it('should load the saved hidden columns', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenColumns: {
+          columns: [0],
+        },
+        persistentStateLoad(key, storedState) {
+          if (key === 'hiddenColumns') {
+            storedState.value = [3];
+          }
+        },
+      });
+
+      expect(hot.getPlugin('hiddenColumns').isHidden(0)).toBe(false);
+      expect(hot.getPlugin('hiddenColumns').isHidden(3)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import BasePlugin from './../_base';
+import { addClass } from './../../helpers/dom/element';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { registerPlugin } from './../../plugins';
+
+import './hiddenRows.css';
+
+/**
+ * @plugin HiddenRows
+ *
+ * @description
+ * Plugin allows to hide certain rows. The hiding is achieved by rendering the rows with a height set as 0px.
+ * The plugin not modifies the source data and do not participate in data transformation (the shape of the data
+ * returned by `getData*` methods stays intact).
+ *
+ * The hidden rows are stored as physical indexes, so they stay hidden after sorting the data with the
+ * {@link ColumnSorting} plugin or after moving the rows with the {@link ManualRowMove} plugin.
+ *
+ * Possible plugin settings:
+ *  * `rows` (`Array`) - Initial list of hidden rows (visual indexes).
+ *  * `indicators` (`Boolean`) - `false` by default. When set to `true`, the row headers placed next to the hidden
+ *    rows are marked with small arrows.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   rowHeaders: true,
+ *   hiddenRows: {
+ *     indicators: true,
+ *     rows: [1, 2, 5]
+ *   }
+ * });
+ *
+ * // access to hiddenRows plugin instance:
+ * const hiddenRowsPlugin = hot.getPlugin('hiddenRows');
+ *
+ * // show single row
+ * hiddenRowsPlugin.showRow(1);
+ *
+ * // show multiple rows
+ * hiddenRowsPlugin.showRows([1, 2, 5]);
+ *
+ * // hide single row
+ * hiddenRowsPlugin.hideRow(1);
+ *
+ * // hide multiple rows
+ * hiddenRowsPlugin.hideRows([1, 2, 5]);
+ *
+ * // rerender the table to see all changes
+ * hot.render();
+ * ```
+ */
+class HiddenRows extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Cached plugin settings.
+     *
+     * @private
+     * @type {Object}
+     */
+    this.settings = {};
+    /**
+     * List of currently hidden rows (physical indexes).
+     *
+     * @private
+     * @type {Number[]}
+     */
+    this.hiddenRows = [];
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link HiddenRows#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().hiddenRows;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    const pluginSettings = this.hot.getSettings().hiddenRows;
+
+    this.settings = {
+      indicators: false,
+      rows: [],
+    };
+
+    if (typeof pluginSettings === 'object') {
+      Object.assign(this.settings, pluginSettings);
+    }
+
+    this.addHook('modifyRowHeight', (height, row) => this.onModifyRowHeight(height, row));
+    this.addHook('afterGetRowHeader', (row, TH) => this.onAfterGetRowHeader(row, TH));
+    this.addHook('afterRenderer', (TD, row) => this.onAfterRenderer(TD, row));
+    this.addHook('hiddenRow', row => this.isHidden(row));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('afterRemoveRow', (index, amount, physicalRows) => this.onAfterRemoveRow(index, amount, physicalRows));
+
+    super.enablePlugin();
+
+    this.hiddenRows = [];
+    this.hideRows(this.settings.rows);
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.settings = {};
+    this.hiddenRows = [];
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Shows the rows provided in the array.
+   *
+   * @param {Number[]} rows Array of visual row indexes.
+   */
+  showRows(rows) {
+    arrayEach(rows, (row) => {
+      const physicalRow = this.hot.toPhysicalRow(parseInt(row, 10));
+      const index = this.hiddenRows.indexOf(physicalRow);
+
+      if (index !== -1) {
+        this.hiddenRows.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Shows a single row.
+   *
+   * @param {Number} row Visual row index.
+   */
+  showRow(row) {
+    this.showRows([row]);
+  }
+
+  /**
+   * Hides the rows provided in the array.
+   *
+   * @param {Number[]} rows Array of visual row indexes.
+   */
+  hideRows(rows) {
+    arrayEach(rows, (row) => {
+      const physicalRow = this.hot.toPhysicalRow(parseInt(row, 10));
+
+      if (physicalRow !== null && !this.isHidden(physicalRow, true)) {
+        this.hiddenRows.push(physicalRow);
+      }
+    });
+  }
+
+  /**
+   * Hides a single row.
+   *
+   * @param {Number} row Visual row index.
+   */
+  hideRow(row) {
+    this.hideRows([row]);
+  }
+
+  /**
+   * Returns the list of the hidden rows. The rows which are not available in the current view (e.g. trimmed out by
+   * the {@link Filters} plugin) are omitted.
+   *
+   * @returns {Number[]} Array of visual row indexes.
+   */
+  getHiddenRows() {
+    const visualRows = arrayMap(this.hiddenRows, physicalRow => this.hot.toVisualRow(physicalRow));
+
+    return arrayFilter(visualRows, row => row !== null).sort((a, b) => a - b);
+  }
+
+  /**
+   * Checks if the provided row is hidden.
+   *
+   * @param {Number} row Row index.
+   * @param {Boolean} [isPhysicalIndex=false] Defines if the provided row index is a physical index.
+   * @returns {Boolean}
+   */
+  isHidden(row, isPhysicalIndex = false) {
+    const physicalRow = isPhysicalIndex ? row : this.hot.toPhysicalRow(row);
+
+    return this.hiddenRows.indexOf(physicalRow) !== -1;
+  }
+
+  /**
+   * Sets the height of the hidden rows. The height of the row can not be set to `0` because the Walkontable
+   * treats that value as not set one, and falls back to the default height.
+   *
+   * @private
+   * @param {Number} height Row height.
+   * @param {Number} row Visual row index.
+   * @returns {Number}
+   */
+  onModifyRowHeight(height, row) {
+    if (this.isHidden(row)) {
+      return 0.1;
+    }
+
+    return height;
+  }
+
+  /**
+   * Hides the row header of the hidden row and adds the indicator classes to the headers placed next to the hidden
+   * rows.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {HTMLElement} TH Header's TH element.
+   */
+  onAfterGetRowHeader(row, TH) {
+    if (row < 0) {
+      return;
+    }
+
+    if (this.isHidden(row)) {
+      if (TH.parentNode) {
+        addClass(TH.parentNode, 'hidden');
+      }
+
+      return;
+    }
+
+    if (this.settings.indicators) {
+      if (row > 0 && this.isHidden(row - 1)) {
+        addClass(TH, 'afterHiddenRow');
+      }
+      if (row < this.hot.countRows() - 1 && this.isHidden(row + 1)) {
+        addClass(TH, 'beforeHiddenRow');
+      }
+    }
+  }
+
+  /**
+   * Hides the rendered row when it is marked as hidden.
+   *
+   * @private
+   * @param {HTMLElement} TD Cell's TD element.
+   * @param {Number} row Visual row index.
+   */
+  onAfterRenderer(TD, row) {
+    if (this.isHidden(row) && TD.parentNode) {
+      addClass(TD.parentNode, 'hidden');
+    }
+  }
+
+  /**
+   * Shifts the hidden rows placed after the created ones.
+   *
+   * @private
+   * @param {Number} index Index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    this.hiddenRows = arrayMap(this.hiddenRows, row => (row >= index ? row + amount : row));
+  }
+
+  /**
+   * Removes the deleted rows from the hidden ones and shifts the rows placed after them.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   */
+  onAfterRemoveRow(index, amount, physicalRows) {
+    const hiddenRows = arrayFilter(this.hiddenRows, row => physicalRows.indexOf(row) === -1);
+
+    this.hiddenRows = arrayMap(hiddenRows, (row) => {
+      const removedBefore = arrayFilter(physicalRows, removedRow => removedRow < row).length;
+
+      return row - removedBefore;
+    });
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.settings = null;
+    this.hiddenRows = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('hiddenRows', HiddenRows);
+
+export default HiddenRows;
@@ -0,0 +1,214 @@
+describe('HiddenRows', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  describe('initialization', () => {
+    it('should hide the rows provided in the plugin settings', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        rowHeaders: true,
+        hiddenRows: {
+          rows: [1, 3],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenRows');
+
+      expect(plugin.isHidden(0)).toBe(false);
+      expect(plugin.isHidden(1)).toBe(true);
+      expect(plugin.isHidden(3)).toBe(true);
+      expect(hot.getRowHeight(1)).toBe(0.1);
+      expect(getCell(1, 0).parentNode.className).toContain('hidden');
+      expect(getCell(2, 0).parentNode.className).not.toContain('hidden');
+    });
+
+    it('should not modify the data', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(3, 2),
+        hiddenRows: {
+          rows: [1],
+        },
+      });
+
+      expect(getData()).toEqual([['A1', 'B1'], ['A2', 'B2'], ['A3', 'B3']]);
+      expect(countRows()).toBe(3);
+    });
+
+    it('should show all rows after disabling the plugin', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenRows: {
+          rows: [1],
+        },
+      });
+
+      updateSettings({ hiddenRows: false });
+
+      expect(hot.getRowHeight(1)).not.toBe(0.1);
+      expect(getCell(1, 0).parentNode.className).not.toContain('hidden');
+    });
+  });
+
+  describe('API', () => {
+    it('should hide and show the rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenRows: true,
+      });
+      const plugin = hot.getPlugin('hiddenRows');
+
+      plugin.hideRow(2);
+      plugin.hideRows([4, 3]);
+      hot.render();
+
+      expect(plugin.getHiddenRows()).toEqual([2, 3, 4]);
+      expect(getCell(2, 0).parentNode.className).toContain('hidden');
+
+      plugin.showRow(2);
+      plugin.showRows([3]);
+      hot.render();
+
+      expect(plugin.getHiddenRows()).toEqual([4]);
+      expect(getCell(2, 0).parentNode.className).not.toContain('hidden');
+    });
+
+    it('should update the hidden rows after creating and removing the rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenRows: {
+          rows: [2, 4],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenRows');
+
+      alter('insert_row', 0, 2);
+
+      expect(plugin.getHiddenRows()).toEqual([4, 6]);
+
+      alter('remove_row', 4);
+
+      expect(plugin.getHiddenRows()).toEqual([5]);
+    });
+  });
+
+  describe('cooperation with other plugins', () => {
+    it('should keep the same data hidden after sorting', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        columnSorting: true,
+        hiddenRows: {
+          rows: [1],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenRows');
+
+      hot.getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+      expect(plugin.getHiddenRows()).toEqual([3]);
+      expect(getDataAtCell(3, 0)).toBe('A2');
+      expect(getCell(3, 0).parentNode.className).toContain('hidden');
+    });
+
+    it('should keep the same data hidden after moving the rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        manualRowMove: true,
+        hiddenRows: {
+          rows: [1],
+        },
+      });
+      const plugin = hot.getPlugin('hiddenRows');
+
+      hot.getPlugin('manualRowMove').moveRow(1, 4);
+      hot.render();
+
+      expect(plugin.getHiddenRows()).toEqual([3]);
+      expect(getDataAtCell(3, 0)).toBe('A2');
+    });
+
+    it('should not calculate the height of the hidden rows with the AutoRowSize plugin', () => {
+      const hot = handsontable({
+        data: [['a'], ['b\nb\nb'], ['c']],
+        autoRowSize: true,
+        hiddenRows: {
+          rows: [1],
+        },
+      });
+
+      expect(hot.getRowHeight(1)).toBe(0.1);
+      expect(hot.getPlugin('autoRowSize').heights[1]).toBeUndefined();
+    });
+  });
+
+  describe('indicators', () => {
+    it('should add the indicator classes to the row headers placed next to the hidden rows', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        rowHeaders: true,
+        hiddenRows: {
+          rows: [2],
+          indicators: true,
+        },
+      });
+
+      expect(getCell(1, -1).className).toContain('beforeHiddenRow');
+      expect(getCell(3, -1).className).toContain('afterHiddenRow');
+    });
+
+    it('should not add the indicator classes when the indicators are disabled', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        rowHeaders: true,
+        hiddenRows: {
+          rows: [2],
+        },
+      });
+
+      expect(getCell(1, -1).className).not.toContain('beforeHiddenRow');
+      expect(getCell(3, -1).className).not.toContain('afterHiddenRow');
+    });
+  });
+
+  describe('navigation', () => {
+    it('should skip the hidden rows while moving the selection with the keyboard', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenRows: {
+          rows: [1, 2],
+        },
+      });
+
+      selectCell(0, 0);
+      keyDownUp('arrow_down');
+
+      expect(getSelected()).toEqual([[3, 0, 3, 0]]);
+
+      keyDownUp('arrow_up');
+
+      expect(getSelected()).toEqual([[0, 0, 0, 0]]);
+    });
+
+    it('should skip the hidden rows while extending the selection with the keyboard', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        hiddenRows: {
+          rows: [1],
+        },
+      });
+
+      selectCell(0, 0);
+      keyDownUp('shift+arrow_down');
+
+      expect(getSelected()).toEqual([[0, 0, 2, 0]]);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+import BasePlugin from './../_base';
+import { arrayEach } from './../../helpers/array';
+import { objectEach } from './../../helpers/object';
+import { registerPlugin } from './../../plugins';
+import typeFactory, { IMPORT_TYPES, TYPE_CSV, TYPE_XLSX } from './typeFactory';
+import { isZipArchive } from './zipReader';
+
+/**
+ * @plugin ImportFile
+ *
+ * @description
+ * The plugin enables importing data from files. It reads CSV, TSV and XLSX files and loads their content into the table
+ * (using {@link Core#loadData}). The plugin exposes the `importFile` method on the Handsontable instance, which accepts
+ * a `File`/`Blob` object, an `ArrayBuffer`, a `Uint8Array` or a string and returns a `Promise` resolved with the import
+ * result.
+ *
+ * The CSV values enclosed in the double quotes may contain the delimiters and the line breaks. By default the column
+ * delimiter is detected automatically.
+ *
+ * From the XLSX workbooks the plugin imports the cell values (including the shared strings), the number formats (as
+ * the `numeric` and the `date` cell types), the merged regions (applied when the {@link MergeCells} plugin is enabled)
+ * and the cell comments (applied when the {@link Comments} plugin is enabled). The formulas are imported as expressions
+ * when the {@link Formulas} plugin is enabled, otherwise the calculated values are used.
+ *
+ * The parts of the file, which could not be mapped into the table (e.g. the other worksheets, the conditional formatting
+ * or the not supported number formats) are listed in the `unmapped` property of the import result in form of
+ * `{part, message}` objects.
+ *
+ * The available options:
+ * * `columnDelimiter` - Column delimiter, used by the CSV and TSV formats (default `'auto'` for CSV and `'\t'` for TSV),
+ * * `columnHeaders` - Use the first row of the imported data as the column headers (default `false`),
+ * * `encoding` - Text encoding, used by the CSV and TSV formats (default `'utf-8'`),
+ * * `format` - Import format type: `'csv'`, `'tsv'` or `'xlsx'` (by default detected from the file name extension or
+ *   the file content),
+ * * `sheet` - Index or name of the worksheet, used by the XLSX format (default `0`).
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   colHeaders: true,
+ *   mergeCells: true,
+ *   comments: true,
+ * });
+ *
+ * document.getElementById('file').addEventListener('change', (event) => {
+ *   hot.importFile(event.target.files[0], { columnHeaders: true }).then((result) => {
+ *     result.unmapped.forEach(({ part, message }) => console.warn(part, message));
+ *   });
+ * });
+ *
+ * // import the CSV text using the semicolon as the column delimiter
+ * hot.importFile('a;b\n1;2', { format: 'csv', columnDelimiter: ';' });
+ * ```
+ */
+class ImportFile extends BasePlugin {
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. The plugin is always available, so the method always
+   * returns `true`.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.exposeImportFileMethod();
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    delete this.hot.importFile;
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Imports the file and loads its content into the table.
+   *
+   * @param {File|Blob|ArrayBuffer|Uint8Array|String} source The file or its content.
+   * @param {Object} [options] Import options.
+   * @returns {Promise} Promise resolved with the import result (see {@link ImportFile#parse}).
+   */
+  importFile(source, options = {}) {
+    return this.readSource(source).then((content) => {
+      const fileName = typeof source.name === 'string' ? source.name : '';
+      const result = this.parse(content, options, fileName);
+
+      this.loadResult(result);
+
+      return result;
+    });
+  }
+
+  /**
+   * Parses the file content without loading it into the table.
+   *
+   * @param {ArrayBuffer|Uint8Array|String} content The file content.
+   * @param {Object} [options] Import options.
+   * @param {String} [fileName] The file name, used to detect the format when the `format` option is not defined.
+   * @returns {Object} Returns object with keys:
+   *  * `data` - the imported data (array of arrays),
+   *  * `columnHeaders` - the column headers or `null` (when the `columnHeaders` option is disabled),
+   *  * `cellsMeta` - list of the cell properties in form of `{row, col, meta}` objects,
+   *  * `mergedCells` - list of the merged cells in form of `{row, col, rowspan, colspan}` objects,
+   *  * `comments` - list of the comments in form of `{row, col, value}` objects,
+   *  * `unmapped` - list of the file parts, which could not be mapped, in form of `{part, message}` objects.
+   */
+  parse(content, options = {}, fileName = '') {
+    const bytes = content instanceof ArrayBuffer ? new Uint8Array(content) : content;
+    const format = this.detectFormat(bytes, options.format, fileName);
+    const typeOptions = Object.assign({}, options);
+
+    if (format === TYPE_XLSX) {
+      typeOptions.formulas = this.isPluginEnabled('formulas');
+    }
+
+    const parser = typeFactory(format, typeOptions);
+
+    if (!parser) {
+      throw new Error(`Import format type "${format}" is not supported.`);
+    }
+
+    return parser.parse(bytes);
+  }
+
+  /**
+   * Loads the import result into the table. The merged cells and the comments are applied only when
+   * the {@link MergeCells} and the {@link Comments} plugins are enabled, otherwise they are reported as unmapped.
+   *
+   * @param {Object} result The import result (see {@link ImportFile#parse}).
+   */
+  loadResult(result) {
+    this.hot.loadData(result.data);
+
+    if (result.columnHeaders) {
+      this.hot.updateSettings({ colHeaders: result.columnHeaders });
+    }
+
+    arrayEach(result.cellsMeta, ({ row, col, meta }) => {
+      objectEach(meta, (value, key) => {
+        this.hot.setCellMeta(row, col, key, value);
+      });
+    });
+
+    if (result.mergedCells.length) {
+      if (this.isPluginEnabled('mergeCells')) {
+        const mergeCellsPlugin = this.hot.getPlugin('mergeCells');
+
+        mergeCellsPlugin.clearCollections();
+
+        arrayEach(result.mergedCells, ({ row, col, rowspan, colspan }) => {
+          mergeCellsPlugin.merge(row, col, row + rowspan - 1, col + colspan - 1);
+        });
+
+      } else {
+        result.unmapped.push({
+          part: 'mergedCells',
+          message: 'The merged cells are skipped, because the MergeCells plugin is disabled.',
+        });
+      }
+    }
+
+    if (result.comments.length) {
+      if (this.isPluginEnabled('comments')) {
+        const commentsPlugin = this.hot.getPlugin('comments');
+
+        arrayEach(result.comments, ({ row, col, value }) => {
+          commentsPlugin.setCommentAtCell(row, col, value);
+        });
+
+      } else {
+        result.unmapped.push({
+          part: 'comments',
+          message: 'The comments are skipped, because the Comments plugin is disabled.',
+        });
+      }
+    }
+
+    this.hot.render();
+  }
+
+  /**
+   * Detects the import format type.
+   *
+   * @private
+   * @param {Uint8Array|String} content The file content.
+   * @param {String} [format] The format type passed in the options.
+   * @param {String} [fileName] The file name.
+   * @returns {String}
+   */
+  detectFormat(content, format, fileName) {
+    if (format) {
+      return format;
+    }
+
+    const extension = fileName.indexOf('.') === -1 ? '' : fileName.split('.').pop().toLowerCase();
+
+    if (IMPORT_TYPES[extension]) {
+      return extension;
+    }
+
+    return typeof content !== 'string' && isZipArchive(content) ? TYPE_XLSX : TYPE_CSV;
+  }
+
+  /**
+   * Reads the content of the imported source.
+   *
+   * @private
+   * @param {File|Blob|ArrayBuffer|Uint8Array|String} source The file or its content.
+   * @returns {Promise} Promise resolved with the `Uint8Array` or the string.
+   */
+  readSource(source) {
+    if (typeof source === 'string' || source instanceof Uint8Array) {
+      return Promise.resolve(source);
+    }
+    if (source instanceof ArrayBuffer) {
+      return Promise.resolve(new Uint8Array(source));
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(source);
+      });
+    }
+
+    return Promise.reject(new Error('The imported source has to be a File, a Blob, an ArrayBuffer, a Uint8Array or a string.'));
+  }
+
+  /**
+   * Checks if the plugin with the provided name is enabled.
+   *
+   * @private
+   * @param {String} pluginName The plugin name.
+   * @returns {Boolean}
+   */
+  isPluginEnabled(pluginName) {
+    const plugin = this.hot.getPlugin(pluginName);
+
+    return !!(plugin && plugin.enabled);
+  }
+
+  /**
+   * Exposes the `importFile` method on the Handsontable instance.
+   *
+   * @private
+   */
+  exposeImportFileMethod() {
+    /**
+     * {@link ImportFile#importFile}
+     * @alias importFile
+     * @memberof! Handsontable.Core#
+     */
+    this.hot.importFile = (source, options) => this.importFile(source, options);
+  }
+}
+
+registerPlugin('importFile', ImportFile);
+
+export default ImportFile;
@@ -0,0 +1,385 @@
+/* eslint-disable no-bitwise */
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163,
+  195, 227, 258];
+const LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA_BITS = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13,
+  13];
+const CODE_LENGTHS_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const BLOCK_STORED = 0;
+const BLOCK_FIXED = 1;
+const BLOCK_DYNAMIC = 2;
+const END_OF_BLOCK = 256;
+
+/**
+ * Builds the Huffman tree (in form of the number of codes of each length and the symbols sorted by the codes) from
+ * the list of the code lengths.
+ *
+ * @param {Number[]} lengths The code length of each symbol.
+ * @returns {Object} Returns object with keys `counts` and `symbols`.
+ */
+function buildTree(lengths) {
+  const counts = new Uint16Array(16);
+  const offsets = new Uint16Array(16);
+  const symbols = new Uint16Array(lengths.length);
+
+  for (let i = 0; i < lengths.length; i += 1) {
+    counts[lengths[i]] += 1;
+  }
+
+  counts[0] = 0;
+
+  for (let i = 0, sum = 0; i < 16; i += 1) {
+    offsets[i] = sum;
+    sum += counts[i];
+  }
+
+  for (let i = 0; i < lengths.length; i += 1) {
+    if (lengths[i]) {
+      symbols[offsets[lengths[i]]] = i;
+      offsets[lengths[i]] += 1;
+    }
+  }
+
+  return { counts, symbols };
+}
+
+let fixedTrees = null;
+
+/**
+ * Gets the Huffman trees used by the blocks compressed with the fixed codes.
+ *
+ * @returns {Object} Returns object with keys `literals` and `distances`.
+ */
+function getFixedTrees() {
+  if (fixedTrees === null) {
+    const literalLengths = [];
+    const distanceLengths = [];
+
+    for (let i = 0; i < 288; i += 1) {
+      let length = 8;
+
+      if (i >= 144 && i < 256) {
+        length = 9;
+
+      } else if (i >= 256 && i < 280) {
+        length = 7;
+      }
+
+      literalLengths.push(length);
+    }
+    for (let i = 0; i < 30; i += 1) {
+      distanceLengths.push(5);
+    }
+
+    fixedTrees = {
+      literals: buildTree(literalLengths),
+      distances: buildTree(distanceLengths),
+    };
+  }
+
+  return fixedTrees;
+}
+
+/**
+ * Class responsible for decompressing the data compressed with the DEFLATE algorithm (RFC 1951).
+ *
+ * @class Inflater
+ * @plugin ImportFile
+ */
+class Inflater {
+  constructor(source, size) {
+    /**
+     * The compressed data.
+     *
+     * @type {Uint8Array}
+     */
+    this.source = source;
+    /**
+     * The position of the next byte to read.
+     *
+     * @type {Number}
+     */
+    this.position = 0;
+    /**
+     * The bits of the current byte, which are not read yet.
+     *
+     * @type {Number}
+     */
+    this.bitBuffer = 0;
+    /**
+     * The number of the bits in the bit buffer.
+     *
+     * @type {Number}
+     */
+    this.bitCount = 0;
+    /**
+     * The decompressed data.
+     *
+     * @type {Uint8Array}
+     */
+    this.output = new Uint8Array(size);
+    /**
+     * The number of the decompressed bytes.
+     *
+     * @type {Number}
+     */
+    this.outputLength = 0;
+  }
+
+  /**
+   * Decompresses the data.
+   *
+   * @returns {Uint8Array}
+   * @throws {Error} Throws an error when the data is corrupted.
+   */
+  inflate() {
+    let isLastBlock = false;
+
+    while (!isLastBlock) {
+      isLastBlock = this.readBits(1) === 1;
+
+      const blockType = this.readBits(2);
+
+      if (blockType === BLOCK_STORED) {
+        this.inflateStoredBlock();
+
+      } else if (blockType === BLOCK_FIXED) {
+        const { literals, distances } = getFixedTrees();
+
+        this.inflateBlock(literals, distances);
+
+      } else if (blockType === BLOCK_DYNAMIC) {
+        const { literals, distances } = this.readDynamicTrees();
+
+        this.inflateBlock(literals, distances);
+
+      } else {
+        throw new Error('Invalid compressed data: unknown block type.');
+      }
+    }
+
+    return this.outputLength === this.output.length ? this.output : this.output.subarray(0, this.outputLength);
+  }
+
+  /**
+   * Reads the bits (the least significant bit first).
+   *
+   * @private
+   * @param {Number} count The number of bits to read.
+   * @returns {Number}
+   */
+  readBits(count) {
+    let value = 0;
+
+    for (let i = 0; i < count; i += 1) {
+      if (this.bitCount === 0) {
+        if (this.position >= this.source.length) {
+          throw new Error('Invalid compressed data: unexpected end of data.');
+        }
+
+        this.bitBuffer = this.source[this.position];
+        this.position += 1;
+        this.bitCount = 8;
+      }
+
+      value |= (this.bitBuffer & 1) << i;
+      this.bitBuffer >>= 1;
+      this.bitCount -= 1;
+    }
+
+    return value;
+  }
+
+  /**
+   * Decodes the symbol using the Huffman tree.
+   *
+   * @private
+   * @param {Object} tree The Huffman tree.
+   * @returns {Number}
+   */
+  readSymbol(tree) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+
+    for (let length = 1; length < 16; length += 1) {
+      code |= this.readBits(1);
+
+      const count = tree.counts[length];
+
+      if (code - first < count) {
+        return tree.symbols[index + (code - first)];
+      }
+
+      index += count;
+      first += count;
+      first <<= 1;
+      code <<= 1;
+    }
+
+    throw new Error('Invalid compressed data: invalid Huffman code.');
+  }
+
+  /**
+   * Writes the byte into the output.
+   *
+   * @private
+   * @param {Number} byte The byte.
+   */
+  writeByte(byte) {
+    if (this.outputLength >= this.output.length) {
+      const output = new Uint8Array(Math.max(this.output.length * 2, 1024));
+
+      output.set(this.output);
+      this.output = output;
+    }
+
+    this.output[this.outputLength] = byte;
+    this.outputLength += 1;
+  }
+
+  /**
+   * Copies the block stored without compression.
+   *
+   * @private
+   */
+  inflateStoredBlock() {
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+
+    if (this.position + 4 > this.source.length) {
+      throw new Error('Invalid compressed data: unexpected end of data.');
+    }
+
+    const length = this.source[this.position] | (this.source[this.position + 1] << 8);
+    const lengthComplement = this.source[this.position + 2] | (this.source[this.position + 3] << 8);
+
+    if (length !== (~lengthComplement & 0xFFFF)) {
+      throw new Error('Invalid compressed data: stored block length does not match its complement.');
+    }
+
+    this.position += 4;
+
+    if (this.position + length > this.source.length) {
+      throw new Error('Invalid compressed data: unexpected end of data.');
+    }
+
+    for (let i = 0; i < length; i += 1) {
+      this.writeByte(this.source[this.position + i]);
+    }
+
+    this.position += length;
+  }
+
+  /**
+   * Reads the Huffman trees of the block compressed with the dynamic codes.
+   *
+   * @private
+   * @returns {Object} Returns object with keys `literals` and `distances`.
+   */
+  readDynamicTrees() {
+    const literalsCount = this.readBits(5) + 257;
+    const distancesCount = this.readBits(5) + 1;
+    const codeLengthsCount = this.readBits(4) + 4;
+    const codeLengths = new Array(19).fill(0);
+    const lengths = [];
+
+    for (let i = 0; i < codeLengthsCount; i += 1) {
+      codeLengths[CODE_LENGTHS_ORDER[i]] = this.readBits(3);
+    }
+
+    const codeLengthsTree = buildTree(codeLengths);
+
+    while (lengths.length < literalsCount + distancesCount) {
+      const symbol = this.readSymbol(codeLengthsTree);
+
+      if (symbol < 16) {
+        lengths.push(symbol);
+
+      } else {
+        let length = 0;
+        let repeat;
+
+        if (symbol === 16) {
+          if (!lengths.length) {
+            throw new Error('Invalid compressed data: invalid code lengths.');
+          }
+
+          length = lengths[lengths.length - 1];
+          repeat = this.readBits(2) + 3;
+
+        } else if (symbol === 17) {
+          repeat = this.readBits(3) + 3;
+
+        } else {
+          repeat = this.readBits(7) + 11;
+        }
+
+        for (let i = 0; i < repeat; i += 1) {
+          lengths.push(length);
+        }
+      }
+    }
+
+    return {
+      literals: buildTree(lengths.slice(0, literalsCount)),
+      distances: buildTree(lengths.slice(literalsCount, literalsCount + distancesCount)),
+    };
+  }
+
+  /**
+   * Decompresses the block compressed with the Huffman codes.
+   *
+   * @private
+   * @param {Object} literals The literals and lengths Huffman tree.
+   * @param {Object} distances The distances Huffman tree.
+   */
+  inflateBlock(literals, distances) {
+    let symbol = this.readSymbol(literals);
+
+    while (symbol !== END_OF_BLOCK) {
+      if (symbol < END_OF_BLOCK) {
+        this.writeByte(symbol);
+
+      } else {
+        const lengthIndex = symbol - 257;
+
+        if (lengthIndex >= LENGTH_BASE.length) {
+          throw new Error('Invalid compressed data: invalid length.');
+        }
+
+        const length = LENGTH_BASE[lengthIndex] + this.readBits(LENGTH_EXTRA_BITS[lengthIndex]);
+        const distanceIndex = this.readSymbol(distances);
+
+        if (distanceIndex >= DISTANCE_BASE.length) {
+          throw new Error('Invalid compressed data: invalid distance.');
+        }
+
+        const distance = DISTANCE_BASE[distanceIndex] + this.readBits(DISTANCE_EXTRA_BITS[distanceIndex]);
+
+        if (distance > this.outputLength) {
+          throw new Error('Invalid compressed data: invalid distance.');
+        }
+
+        for (let i = 0; i < length; i += 1) {
+          this.writeByte(this.output[this.outputLength - distance]);
+        }
+      }
+
+      symbol = this.readSymbol(literals);
+    }
+  }
+}
+
+/**
+ * Decompresses the data compressed with the DEFLATE algorithm.
+ *
+ * @param {Uint8Array} data The compressed data.
+ * @param {Number} [size] The expected size of the decompressed data.
+ * @returns {Uint8Array}
+ */
+export default function inflate(data, size = data.length * 4) {
+  return new Inflater(data, size).inflate();
+}
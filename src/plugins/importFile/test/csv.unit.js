@@ -0,0 +1,70 @@
+import Csv, { detectDelimiter, parseCsv } from 'handsontable/plugins/importFile/types/csv';
+import Tsv from 'handsontable/plugins/importFile/types/tsv';
+
+describe('ImportFile', () => {
+  describe('parseCsv', () => {
+    it('should parse the values separated by the delimiter', () => {
+      expect(parseCsv('a,b,c\r\n1,2,3', ',')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+      expect(parseCsv('a;b\n1;2\n', ';')).toEqual([['a', 'b'], ['1', '2']]);
+      expect(parseCsv('a\tb\r1\t2', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should keep the empty values', () => {
+      expect(parseCsv(',a,\n,,', ',')).toEqual([['', 'a', ''], ['', '', '']]);
+    });
+
+    it('should parse the quoted values containing the delimiters, the line breaks and the double quotes', () => {
+      expect(parseCsv('"a,b","line 1\r\nline 2","say ""hi"""\n1,"",3', ',')).toEqual([
+        ['a,b', 'line 1\r\nline 2', 'say "hi"'],
+        ['1', '', '3'],
+      ]);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('should detect the delimiter used consistently in all rows', () => {
+      expect(detectDelimiter('a,b,c\n1,2,3')).toBe(',');
+      expect(detectDelimiter('a;b;c\n1,5;2,5;3')).toBe(';');
+      expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+      expect(detectDelimiter('a|b\n"x|y"|2')).toBe('|');
+    });
+
+    it('should use the comma when no delimiter is found', () => {
+      expect(detectDelimiter('a\nb')).toBe(',');
+      expect(detectDelimiter('')).toBe(',');
+    });
+  });
+
+  describe('Csv', () => {
+    it('should parse the text using the detected delimiter', () => {
+      const result = new Csv().parse('a;b\n1;2');
+
+      expect(result.data).toEqual([['a', 'b'], ['1', '2']]);
+      expect(result.columnHeaders).toBe(null);
+      expect(result.unmapped).toEqual([]);
+    });
+
+    it('should parse the UTF-8 encoded bytes without the byte order mark', () => {
+      const result = new Csv({ columnDelimiter: ',' }).parse(new Uint8Array([0xEF, 0xBB, 0xBF, 0xC5, 0xBC, 0x2C, 0x61]));
+
+      expect(result.data).toEqual([['ż', 'a']]);
+    });
+
+    it('should move the first row into the column headers', () => {
+      const result = new Csv({ columnHeaders: true }).parse('Name,Age\nAnn,30');
+
+      expect(result.columnHeaders).toEqual(['Name', 'Age']);
+      expect(result.data).toEqual([['Ann', '30']]);
+    });
+
+    it('should fill the missing values of the shorter rows', () => {
+      const result = new Csv({ columnDelimiter: ';' }).parse('a;b\n1;2;3');
+
+      expect(result.data).toEqual([['a', 'b', ''], ['1', '2', '3']]);
+    });
+
+    it('should parse the TSV text', () => {
+      expect(new Tsv().parse('a,b\tc').data).toEqual([['a,b', 'c']]);
+    });
+  });
+});
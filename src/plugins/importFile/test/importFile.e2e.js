@@ -0,0 +1,132 @@
+describe('ImportFile', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function createWorkbook() {
+    const hot = handsontable({
+      data: [
+        ['Name', 'Price', 'Date'],
+        ['Apple', 1.5, '2019-01-02'],
+        ['Pear', 2, '2019-02-03'],
+      ],
+      columns: [
+        {},
+        { type: 'numeric', numericFormat: { pattern: '0,0.00' } },
+        { type: 'date', dateFormat: 'YYYY-MM-DD' },
+      ],
+      mergeCells: [{ row: 1, col: 0, rowspan: 2, colspan: 1 }],
+      comments: true,
+      cell: [{ row: 2, col: 1, comment: { value: 'Cheap' } }],
+    });
+    const workbook = hot.getPlugin('exportFile').exportAsBlob('xlsx');
+
+    destroy();
+
+    return workbook;
+  }
+
+  it('should expose the `importFile` method on the Handsontable instance', () => {
+    const hot = handsontable();
+
+    expect(typeof hot.importFile).toBe('function');
+  });
+
+  it('should reject the promise when the source is not supported', async() => {
+    const hot = handsontable();
+    let error;
+
+    await hot.importFile(null).catch((ex) => {
+      error = ex;
+    });
+
+    expect(error.message).toBe('The imported source has to be a File, a Blob, an ArrayBuffer, a Uint8Array or a string.');
+  });
+
+  it('should throw an error when the format is not supported', () => {
+    handsontable();
+
+    expect(() => {
+      getPlugin('importFile').parse('a', { format: 'pdf' });
+    }).toThrowError('Import format type "pdf" is not supported.');
+  });
+
+  it('should load the CSV text with the detected delimiter', async() => {
+    const hot = handsontable();
+    const result = await hot.importFile('a;"b;\nc"\r\n1;2', { format: 'csv' });
+
+    expect(getData()).toEqual([['a', 'b;\nc'], ['1', '2']]);
+    expect(result.unmapped).toEqual([]);
+  });
+
+  it('should use the first row as the column headers', async() => {
+    const hot = handsontable({
+      colHeaders: true,
+    });
+
+    await hot.importFile('Name,Age\nAnn,30', { columnHeaders: true });
+
+    expect(getData()).toEqual([['Ann', '30']]);
+    expect(getColHeader()).toEqual(['Name', 'Age']);
+  });
+
+  it('should read the Blob object', async() => {
+    const hot = handsontable();
+
+    await hot.importFile(new Blob(['a\tb\n1\t2']), { format: 'tsv' });
+
+    expect(getData()).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('should detect the XLSX format and load the values, the cell types, the merged cells and the comments', async() => {
+    const workbook = createWorkbook();
+    const hot = handsontable({
+      mergeCells: true,
+      comments: true,
+    });
+    const result = await hot.importFile(workbook);
+
+    expect(getData()).toEqual([
+      ['Name', 'Price', 'Date'],
+      ['Apple', 1.5, '2019-01-02'],
+      [null, 2, '2019-02-03'],
+    ]);
+    expect(getCellMeta(1, 1).type).toBe('numeric');
+    expect(getCellMeta(2, 2).type).toBe('date');
+    expect(getCellMeta(2, 2).dateFormat).toBe('YYYY-MM-DD');
+    expect(getPlugin('mergeCells').mergedCellsCollection.get(1, 0)).toEqual(jasmine.objectContaining({
+      row: 1,
+      col: 0,
+      rowspan: 2,
+      colspan: 1,
+    }));
+    expect(getPlugin('comments').getCommentAtCell(2, 1)).toBe('Cheap');
+    expect(result.unmapped.map(item => item.part)).toEqual(['cols']);
+  });
+
+  it('should report the merged cells and the comments when their plugins are disabled', async() => {
+    const workbook = createWorkbook();
+    const hot = handsontable();
+    const result = await hot.importFile(workbook);
+
+    expect(getDataAtCell(1, 0)).toBe('Apple');
+    expect(result.unmapped.map(item => item.part)).toEqual(['cols', 'mergedCells', 'comments']);
+  });
+
+  it('should remove the `importFile` method after disabling the plugin', () => {
+    const hot = handsontable();
+
+    getPlugin('importFile').disablePlugin();
+
+    expect(hot.importFile).toBeUndefined();
+  });
+});
@@ -0,0 +1,35 @@
+import inflate from 'handsontable/plugins/importFile/inflate';
+
+describe('ImportFile', () => {
+  describe('inflate', () => {
+    function toText(bytes) {
+      return String.fromCharCode(...bytes);
+    }
+
+    it('should decompress the stored block', () => {
+      expect(toText(inflate(new Uint8Array([1, 3, 0, 252, 255, 97, 98, 99])))).toBe('abc');
+    });
+
+    it('should decompress the block compressed using the fixed Huffman codes', () => {
+      const data = new Uint8Array([243, 72, 205, 201, 201, 215, 81, 240, 64, 162, 20, 1]);
+
+      expect(toText(inflate(data))).toBe('Hello, Hello, Hello!');
+    });
+
+    it('should decompress the block compressed using the dynamic Huffman codes', () => {
+      const data = Uint8Array.from(atob('7cvRCcAwCAXAVd4ApZNkiWCkPIgxqNm/a/Sj93/NQw3ceQzDpweShW5aF8RXqpTWCfTBzRSuBzpZN9ofvxRf'), char => char.charCodeAt(0));
+      let expected = '';
+
+      for (let i = 0; i < 8; i += 1) {
+        expected += 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. ';
+      }
+
+      expect(toText(inflate(data, 10))).toBe(expected);
+    });
+
+    it('should throw an error when the data is not valid', () => {
+      expect(() => inflate(new Uint8Array([7, 0]))).toThrowError(/Invalid compressed data/);
+      expect(() => inflate(new Uint8Array([1, 3, 0, 0, 0, 97, 98, 99]))).toThrowError(/Invalid compressed data/);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import Xlsx, { isDateNumberFormat, toDateFormat, toNumericPattern } from 'handsontable/plugins/importFile/types/xlsx';
+import ZipWriter from 'handsontable/plugins/exportFile/zipWriter';
+
+describe('ImportFile', () => {
+  describe('XLSX', () => {
+    const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const NS_PACKAGE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const TYPE_PREFIX = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+
+    function relationships(items) {
+      const content = items.map(([id, type, target]) => `<Relationship Id="${id}" Type="${TYPE_PREFIX}${type}" Target="${target}"/>`);
+
+      return `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="${NS_PACKAGE}">${content.join('')}</Relationships>`;
+    }
+
+    function createWorkbook(sheetData, sheetExtras = '') {
+      const zip = new ZipWriter();
+
+      zip.addFile('_rels/.rels', relationships([['rId1', 'officeDocument', 'xl/workbook.xml']]));
+      zip.addFile('xl/workbook.xml', `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_RELATIONSHIPS}"><sheets>` +
+        '<sheet name="Data" sheetId="1" r:id="rId1"/><sheet name="Other" sheetId="2" r:id="rId2"/></sheets></workbook>');
+      zip.addFile('xl/_rels/workbook.xml.rels', relationships([
+        ['rId1', 'worksheet', 'worksheets/sheet1.xml'],
+        ['rId2', 'worksheet', 'worksheets/sheet2.xml'],
+        ['rId3', 'sharedStrings', 'sharedStrings.xml'],
+        ['rId4', 'styles', 'styles.xml'],
+      ]));
+      zip.addFile('xl/sharedStrings.xml', `<sst xmlns="${NS_MAIN}"><si><t>Name</t></si><si><t>Price</t></si>` +
+        '<si><r><t>Rich </t></r><r><t>text</t></r><rPh><t>skip</t></rPh></si></sst>');
+      zip.addFile('xl/styles.xml', `<styleSheet xmlns="${NS_MAIN}"><numFmts count="2">` +
+        '<numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/><numFmt numFmtId="165" formatCode="0.0&quot;kg&quot;"/></numFmts>' +
+        '<cellXfs count="5"><xf numFmtId="0"/><xf numFmtId="4"/><xf numFmtId="164"/><xf numFmtId="14"/><xf numFmtId="165"/></cellXfs>' +
+        '</styleSheet>');
+      zip.addFile('xl/worksheets/sheet1.xml', `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_RELATIONSHIPS}">` +
+        `<sheetData>${sheetData}</sheetData>${sheetExtras}</worksheet>`);
+      zip.addFile('xl/worksheets/sheet2.xml', `<worksheet xmlns="${NS_MAIN}"><sheetData><row r="1"><c r="A1"><v>7</v></c></row></sheetData></worksheet>`);
+      zip.addFile('xl/worksheets/_rels/sheet1.xml.rels', relationships([['rId1', 'comments', '../comments1.xml']]));
+      zip.addFile('xl/comments1.xml', `<comments xmlns="${NS_MAIN}"><authors><author>A</author></authors><commentList>` +
+        '<comment ref="B2" authorId="0"><text><r><t>Checked</t></r></text></comment></commentList></comments>');
+
+      return zip.generate();
+    }
+
+    it('should detect the date number formats', () => {
+      expect(isDateNumberFormat('mm/dd/yyyy')).toBe(true);
+      expect(isDateNumberFormat('[$-409]d\\-mmm\\-yy;@')).toBe(true);
+      expect(isDateNumberFormat('#,##0.00')).toBe(false);
+      expect(isDateNumberFormat('0.0"days"')).toBe(false);
+      expect(isDateNumberFormat('General')).toBe(false);
+    });
+
+    it('should convert the date number formats into the Moment.js formats', () => {
+      expect(toDateFormat('mm/dd/yyyy')).toBe('MM/DD/YYYY');
+      expect(toDateFormat('yyyy\\-mm\\-dd')).toBe('YYYY[-]MM[-]DD');
+      expect(toDateFormat('d mmm yy')).toBe('D MMM YY');
+      expect(toDateFormat('h:mm:ss AM/PM')).toBe('H:mm:ss A');
+      expect(toDateFormat('dd"th of "mmmm')).toBe('DD[th of ]MMMM');
+    });
+
+    it('should convert the number formats into the numeric patterns', () => {
+      expect(toNumericPattern('0')).toBe('0');
+      expect(toNumericPattern('#,##0.00')).toBe('0,0.00');
+      expect(toNumericPattern('0.0%')).toBe('0.0%');
+      expect(toNumericPattern('$#,##0')).toBe('$0,0');
+      expect(toNumericPattern('0.00E+00')).toBe(null);
+    });
+
+    it('should import the values of the first sheet', () => {
+      const result = new Xlsx().parse(createWorkbook(
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>Apple</t></is></c><c r="B2" s="1"><v>1234.5</v></c>' +
+        '<c r="D2" t="b"><v>1</v></c></row>' +
+        '<row r="4"><c r="A4" t="s"><v>2</v></c><c r="C4" t="e"><v>#DIV/0!</v></c></row>'
+      ));
+
+      expect(result.data).toEqual([
+        ['Name', 'Price', null, null],
+        ['Apple', 1234.5, null, true],
+        [null, null, null, null],
+        ['Rich text', null, '#DIV/0!', null],
+      ]);
+      expect(result.cellsMeta).toEqual([
+        { row: 1, col: 1, meta: { type: 'numeric', numericFormat: { pattern: '0,0.00' } } },
+        { row: 1, col: 3, meta: { type: 'checkbox' } },
+      ]);
+      expect(result.comments).toEqual([{ row: 1, col: 1, value: 'Checked' }]);
+      expect(result.unmapped).toEqual([
+        { part: 'sheets', message: 'Only the "Data" sheet is imported, the other sheets are skipped.' },
+      ]);
+    });
+
+    it('should import the selected sheet', () => {
+      expect(new Xlsx({ sheet: 'Other' }).parse(createWorkbook('')).data).toEqual([[7]]);
+      expect(new Xlsx({ sheet: 1 }).parse(createWorkbook('')).data).toEqual([[7]]);
+      expect(() => new Xlsx({ sheet: 'Missing' }).parse(createWorkbook(''))).toThrowError(/"Missing" sheet is missing/);
+    });
+
+    it('should import the dates', () => {
+      const result = new Xlsx().parse(createWorkbook('<row r="1"><c r="A1" s="2"><v>43466</v></c><c r="B1" s="3"><v>43466.5</v></c></row>'));
+
+      expect(result.data).toEqual([['2019-01-01', '01/01/2019']]);
+      expect(result.cellsMeta).toEqual([
+        { row: 0, col: 0, meta: { type: 'date', dateFormat: 'YYYY[-]MM[-]DD' } },
+        { row: 0, col: 1, meta: { type: 'date', dateFormat: 'MM/DD/YYYY' } },
+      ]);
+    });
+
+    it('should report the number formats which could not be mapped', () => {
+      const result = new Xlsx().parse(createWorkbook('<row r="1"><c r="A1" s="4"><v>2.5</v></c></row>'));
+
+      expect(result.data).toEqual([[2.5]]);
+      expect(result.cellsMeta).toEqual([{ row: 0, col: 0, meta: { type: 'numeric' } }]);
+      expect(result.unmapped).toContainEqual({ part: 'numberFormats', message: 'The number formats could not be mapped: 0.0"kg".' });
+    });
+
+    it('should import the formulas as the calculated values unless the formulas are enabled', () => {
+      const sheetData = '<row r="1"><c r="A1"><v>1</v></c><c r="B1"><f>A1*2</f><v>2</v></c></row>';
+
+      expect(new Xlsx().parse(createWorkbook(sheetData)).data).toEqual([[1, 2]]);
+      expect(new Xlsx().parse(createWorkbook(sheetData)).unmapped)
+        .toContainEqual({ part: 'formulas', message: '1 formula(s) imported as the calculated values.' });
+      expect(new Xlsx({ formulas: true }).parse(createWorkbook(sheetData)).data).toEqual([[1, '=A1*2']]);
+    });
+
+    it('should import the merged cells and report the not supported parts', () => {
+      const result = new Xlsx().parse(createWorkbook(
+        '<row r="1"><c r="A1"><v>1</v></c></row><row r="3"><c r="C3"><v>2</v></c></row>',
+        '<mergeCells count="1"><mergeCell ref="A1:B2"/></mergeCells>' +
+        '<conditionalFormatting sqref="A1"><cfRule type="cellIs" priority="1"/></conditionalFormatting>' +
+        '<hyperlinks><hyperlink ref="A1" r:id="rId9"/></hyperlinks>'
+      ));
+
+      expect(result.mergedCells).toEqual([{ row: 0, col: 0, rowspan: 2, colspan: 2 }]);
+      expect(result.unmapped.map(item => item.part)).toEqual(['sheets', 'conditionalFormatting', 'hyperlinks']);
+    });
+
+    it('should move the first row into the column headers', () => {
+      const result = new Xlsx({ columnHeaders: true }).parse(createWorkbook(
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>Apple</t></is></c><c r="B2" s="1"><v>2</v></c></row>'
+      ));
+
+      expect(result.columnHeaders).toEqual(['Name', 'Price']);
+      expect(result.data).toEqual([['Apple', 2]]);
+      expect(result.cellsMeta).toEqual([{ row: 0, col: 1, meta: { type: 'numeric', numericFormat: { pattern: '0,0.00' } } }]);
+      expect(result.comments).toEqual([{ row: 0, col: 1, value: 'Checked' }]);
+    });
+
+    it('should throw an error when the workbook is missing', () => {
+      const zip = new ZipWriter();
+
+      zip.addFile('a.txt', 'a');
+
+      expect(() => new Xlsx().parse(zip.generate())).toThrowError(/workbook is missing/);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import ZipReader, { isZipArchive } from 'handsontable/plugins/importFile/zipReader';
+import ZipWriter from 'handsontable/plugins/exportFile/zipWriter';
+
+describe('ImportFile', () => {
+  describe('ZipReader', () => {
+    const ARCHIVE = 'UEsDBBQAAAAIADJ4U11A3j5rFQAAACwAAAAFAAAAYS50eHRzSU3LSSxJTVEoSa0o0VFIwcPVAwBQSwMEFAAAAAAAAAAhAAv5Q1YGAAAABgAAA' +
+      'AkAAABkaXIvYi50eHRzdG9yZWRQSwECFAMUAAAACAAyeFNdQN4+axUAAAAsAAAABQAAAAAAAAAAAAAAgAEAAAAAYS50eHRQSwECFAMUAAAAAAAAACEAC/' +
+      'lDVgYAAAAGAAAACQAAAAAAAAAAAAAAgAE4AAAAZGlyL2IudHh0UEsFBgAAAAACAAIAagAAAGUAAAAAAA==';
+
+    function fromBase64(text) {
+      return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    it('should detect the zip archives', () => {
+      expect(isZipArchive(fromBase64(ARCHIVE))).toBe(true);
+      expect(isZipArchive(new Uint8Array([97, 44, 98]))).toBe(false);
+      expect(isZipArchive(new Uint8Array(0))).toBe(false);
+    });
+
+    it('should list the archived files', () => {
+      const zip = new ZipReader(fromBase64(ARCHIVE));
+
+      expect(zip.getFileNames()).toEqual(['a.txt', 'dir/b.txt']);
+      expect(zip.hasFile('a.txt')).toBe(true);
+      expect(zip.hasFile('b.txt')).toBe(false);
+    });
+
+    it('should read the deflated and the stored files', () => {
+      const zip = new ZipReader(fromBase64(ARCHIVE));
+
+      expect(zip.getTextFile('a.txt')).toBe('Deflated text, deflated text, deflated text.');
+      expect(zip.getTextFile('dir/b.txt')).toBe('stored');
+      expect(zip.getTextFile('missing.txt')).toBe(null);
+    });
+
+    it('should read the archive created by the ZipWriter', () => {
+      const writer = new ZipWriter();
+
+      writer.addFile('żółw.xml', '<a>€</a>');
+      writer.addFile('data.bin', new Uint8Array([0, 255]));
+
+      const zip = new ZipReader(writer.generate());
+
+      expect(zip.getTextFile('żółw.xml')).toBe('<a>€</a>');
+      expect(Array.from(zip.getFile('data.bin'))).toEqual([0, 255]);
+    });
+
+    it('should throw an error when the data is not a zip archive', () => {
+      expect(() => new ZipReader(new Uint8Array([1, 2, 3]))).toThrowError();
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import Csv from './types/csv';
+import Tsv from './types/tsv';
+import Xlsx from './types/xlsx';
+
+export const TYPE_CSV = 'csv';
+export const TYPE_TSV = 'tsv';
+export const TYPE_XLSX = 'xlsx';
+
+export const IMPORT_TYPES = {
+  [TYPE_CSV]: Csv,
+  [TYPE_TSV]: Tsv,
+  [TYPE_XLSX]: Xlsx,
+};
+
+/**
+ * Creates the format type class instance.
+ *
+ * @param {String} type The format type (e.g. `'csv'`).
+ * @param {Object} options The import options.
+ * @returns {BaseType|null}
+ */
+export default function typeFactory(type, options) {
+  if (typeof IMPORT_TYPES[type] === 'function') {
+    return new IMPORT_TYPES[type](options);
+  }
+
+  return null;
+}
@@ -0,0 +1,74 @@
+import { clone, extend } from './../../../helpers/object';
+
+/**
+ * @plugin ImportFile
+ * @private
+ */
+class BaseType {
+  /**
+   * Default options.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      columnHeaders: false,
+    };
+  }
+
+  constructor(options) {
+    /**
+     * Format type class options.
+     *
+     * @type {Object}
+     */
+    this.options = extend(extend(clone(BaseType.DEFAULT_OPTIONS), this.constructor.DEFAULT_OPTIONS), options);
+  }
+
+  /**
+   * Creates the empty import result.
+   *
+   * @returns {Object} Returns object with keys:
+   *  * `data` - the imported data (array of arrays),
+   *  * `columnHeaders` - the column headers (when the `columnHeaders` option is enabled),
+   *  * `cellsMeta` - list of the cell properties in form of `{row, col, meta}` objects,
+   *  * `mergedCells` - list of the merged cells in form of `{row, col, rowspan, colspan}` objects,
+   *  * `comments` - list of the comments in form of `{row, col, value}` objects,
+   *  * `unmapped` - list of the file parts, which could not be mapped, in form of `{part, message}` objects.
+   */
+  createResult() {
+    return {
+      data: [],
+      columnHeaders: null,
+      cellsMeta: [],
+      mergedCells: [],
+      comments: [],
+      unmapped: [],
+    };
+  }
+
+  /**
+   * Moves the first row of the imported data into the column headers (when the `columnHeaders` option is enabled).
+   *
+   * @param {Object} result The import result.
+   */
+  extractColumnHeaders(result) {
+    if (!this.options.columnHeaders || !result.data.length) {
+      return;
+    }
+
+    result.columnHeaders = result.data.shift();
+  }
+
+  /**
+   * Parses the file content.
+   *
+   * @param {Uint8Array|String} source The file content.
+   * @returns {Object} The import result (see {@link BaseType#createResult}).
+   */
+  parse() {
+    return this.createResult();
+  }
+}
+
+export default BaseType;
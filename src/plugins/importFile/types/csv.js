@@ -0,0 +1,161 @@
+import { arrayEach } from './../../../helpers/array';
+import { decodeText } from './../utils';
+import BaseType from './_base';
+
+const CHAR_CARRIAGE_RETURN = '\r';
+const CHAR_DOUBLE_QUOTES = '"';
+const CHAR_LINE_FEED = '\n';
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const DETECTION_SAMPLE_SIZE = 10000;
+const DETECTION_SAMPLE_ROWS = 10;
+
+/**
+ * Parses the CSV text (RFC 4180). The values enclosed in the double quotes may contain the delimiters, the line breaks
+ * and the escaped (doubled) double quotes.
+ *
+ * @param {String} text The CSV text.
+ * @param {String} delimiter The column delimiter.
+ * @returns {Array[]}
+ */
+export function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let isQuoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text.charAt(i);
+
+    if (isQuoted) {
+      if (char === CHAR_DOUBLE_QUOTES && text.charAt(i + 1) === CHAR_DOUBLE_QUOTES) {
+        value += CHAR_DOUBLE_QUOTES;
+        i += 1;
+
+      } else if (char === CHAR_DOUBLE_QUOTES) {
+        isQuoted = false;
+
+      } else {
+        value += char;
+      }
+
+    } else if (char === CHAR_DOUBLE_QUOTES && value === '') {
+      isQuoted = true;
+
+    } else if (text.substr(i, delimiter.length) === delimiter) {
+      row.push(value);
+      value = '';
+      i += delimiter.length - 1;
+
+    } else if (char === CHAR_CARRIAGE_RETURN || char === CHAR_LINE_FEED) {
+      if (char === CHAR_CARRIAGE_RETURN && text.charAt(i + 1) === CHAR_LINE_FEED) {
+        i += 1;
+      }
+
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+
+    } else {
+      value += char;
+    }
+
+    i += 1;
+  }
+
+  if (value !== '' || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Detects the column delimiter. The delimiter, which splits the sample rows into the same (and the biggest) number of
+ * columns, is chosen.
+ *
+ * @param {String} text The CSV text.
+ * @returns {String}
+ */
+export function detectDelimiter(text) {
+  const sample = text.substr(0, DETECTION_SAMPLE_SIZE);
+  let bestDelimiter = DELIMITER_CANDIDATES[0];
+  let bestScore = 0;
+
+  arrayEach(DELIMITER_CANDIDATES, (delimiter) => {
+    const rows = parseCsv(sample, delimiter).slice(0, DETECTION_SAMPLE_ROWS);
+
+    // The last row of the sample may be cut.
+    if (rows.length > 1 && sample.length < text.length) {
+      rows.pop();
+    }
+
+    const columnsCount = rows.length ? rows[0].length : 0;
+    let isConsistent = columnsCount > 1;
+
+    arrayEach(rows, (row) => {
+      isConsistent = isConsistent && row.length === columnsCount;
+
+      return isConsistent;
+    });
+
+    if (isConsistent && columnsCount > bestScore) {
+      bestDelimiter = delimiter;
+      bestScore = columnsCount;
+    }
+  });
+
+  return bestDelimiter;
+}
+
+/**
+ * Format type class responsible for importing the CSV files.
+ *
+ * @plugin ImportFile
+ * @private
+ */
+class Csv extends BaseType {
+  /**
+   * Default options for importing CSV format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      columnDelimiter: 'auto',
+      encoding: 'utf-8',
+    };
+  }
+
+  /**
+   * Parses the file content.
+   *
+   * @param {Uint8Array|String} source The file content.
+   * @returns {Object} The import result (see {@link BaseType#createResult}).
+   */
+  parse(source) {
+    const result = this.createResult();
+    const text = typeof source === 'string' ? source : decodeText(source, this.options.encoding);
+    const delimiter = this.options.columnDelimiter === 'auto' ? detectDelimiter(text) : this.options.columnDelimiter;
+    const rows = parseCsv(text, delimiter);
+    let columnsCount = 0;
+
+    arrayEach(rows, (row) => {
+      columnsCount = Math.max(columnsCount, row.length);
+    });
+    arrayEach(rows, (row) => {
+      while (row.length < columnsCount) {
+        row.push('');
+      }
+    });
+
+    result.data = rows;
+    this.extractColumnHeaders(result);
+
+    return result;
+  }
+}
+
+export default Csv;
@@ -0,0 +1,23 @@
+import { clone, extend } from './../../../helpers/object';
+import Csv from './csv';
+
+/**
+ * Format type class responsible for importing the TSV files.
+ *
+ * @plugin ImportFile
+ * @private
+ */
+class Tsv extends Csv {
+  /**
+   * Default options for importing TSV format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return extend(clone(Csv.DEFAULT_OPTIONS), {
+      columnDelimiter: '\t',
+    });
+  }
+}
+
+export default Tsv;
@@ -0,0 +1,730 @@
+import moment from 'moment';
+import { arrayEach, arrayMap } from './../../../helpers/array';
+import { spreadsheetColumnIndex } from './../../../helpers/data';
+import ZipReader from './../zipReader';
+import BaseType from './_base';
+
+const NAMESPACE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const RELATIONSHIP_OFFICE_DOCUMENT = 'officeDocument';
+const RELATIONSHIP_SHARED_STRINGS = 'sharedStrings';
+const RELATIONSHIP_STYLES = 'styles';
+const RELATIONSHIP_COMMENTS = 'comments';
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MILLISECONDS_PER_DAY = 86400000;
+const BUILT_IN_NUMBER_FORMATS = {
+  0: 'General',
+  1: '0',
+  2: '0.00',
+  3: '#,##0',
+  4: '#,##0.00',
+  9: '0%',
+  10: '0.00%',
+  11: '0.00E+00',
+  12: '# ?/?',
+  13: '# ??/??',
+  14: 'mm/dd/yyyy',
+  15: 'd-mmm-yy',
+  16: 'd-mmm',
+  17: 'mmm-yy',
+  18: 'h:mm AM/PM',
+  19: 'h:mm:ss AM/PM',
+  20: 'h:mm',
+  21: 'h:mm:ss',
+  22: 'm/d/yyyy h:mm',
+  37: '#,##0 ;(#,##0)',
+  38: '#,##0 ;[Red](#,##0)',
+  39: '#,##0.00;(#,##0.00)',
+  40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss',
+  46: '[h]:mm:ss',
+  47: 'mmss.0',
+  48: '##0.0E+0',
+  49: '@',
+};
+const DATE_FORMAT_TOKENS = {
+  yyyy: 'YYYY',
+  yy: 'YY',
+  mmmmm: 'MMMM',
+  mmmm: 'MMMM',
+  mmm: 'MMM',
+  mm: 'MM',
+  m: 'M',
+  dddd: 'dddd',
+  ddd: 'ddd',
+  dd: 'DD',
+  d: 'D',
+  hh: 'HH',
+  h: 'H',
+  ss: 'ss',
+  s: 's',
+};
+const DATE_FORMAT_REGEXP = /"([^"]*)"|\\(.)|AM\/PM|A\/P|yyyy|yy|mmmmm|mmmm|mmm|mm|m|dddd|ddd|dd|d|hh|h|ss|s|[A-Za-z]/gi;
+const NUMERIC_FORMAT_REGEXP = /^([$€£¥])?(#,##)?0(\.0+)?(%)?$/;
+const UNSUPPORTED_SHEET_PARTS = {
+  autoFilter: 'The auto filters are not supported.',
+  conditionalFormatting: 'The conditional formatting is not supported.',
+  cols: 'The columns widths are not supported.',
+  dataValidations: 'The data validations are not supported.',
+  drawing: 'The drawings (images and charts) are not supported.',
+  hyperlinks: 'The hyperlinks are not supported.',
+  tableParts: 'The tables are not supported.',
+};
+
+/**
+ * Gets the child elements with the provided local name (ignoring the namespace prefixes).
+ *
+ * @param {Node} node The parent node.
+ * @param {String} name The local name of the elements.
+ * @returns {Element[]}
+ */
+function getElements(node, name) {
+  return Array.prototype.slice.call(node.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Gets the text of the string item (the shared string, the inline string or the comment). The phonetic runs are
+ * skipped.
+ *
+ * @param {Element} element The string item element.
+ * @returns {String}
+ */
+function getStringItemText(element) {
+  return arrayMap(getElements(element, 't'), (textElement) => {
+    const parentName = textElement.parentNode ? textElement.parentNode.localName : '';
+
+    return parentName === 'rPh' ? '' : textElement.textContent;
+  }).join('');
+}
+
+/**
+ * Resolves the relationship target path.
+ *
+ * @param {String} basePath The path of the directory containing the source part.
+ * @param {String} target The relationship target.
+ * @returns {String}
+ */
+function resolvePath(basePath, target) {
+  if (target.charAt(0) === '/') {
+    return target.substr(1);
+  }
+
+  const parts = basePath ? basePath.split('/') : [];
+
+  arrayEach(target.split('/'), (part) => {
+    if (part === '..') {
+      parts.pop();
+
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  });
+
+  return parts.join('/');
+}
+
+/**
+ * Gets the path of the directory containing the part.
+ *
+ * @param {String} path The part path.
+ * @returns {String}
+ */
+function getDirectory(path) {
+  return path.indexOf('/') === -1 ? '' : path.substr(0, path.lastIndexOf('/'));
+}
+
+/**
+ * Converts the cell reference (e.g. `'B3'`) into the coordinates.
+ *
+ * @param {String} reference The cell reference.
+ * @returns {Object|null} Returns object with keys `row` and `col` (zero-based) or `null` for invalid references.
+ */
+function parseCellReference(reference) {
+  const matches = /^\$?([A-Z]+)\$?(\d+)$/i.exec(reference || '');
+
+  if (!matches) {
+    return null;
+  }
+
+  return {
+    row: parseInt(matches[2], 10) - 1,
+    col: spreadsheetColumnIndex(matches[1].toUpperCase()),
+  };
+}
+
+/**
+ * Checks if the spreadsheet number format represents the dates.
+ *
+ * @param {String} numberFormat The number format.
+ * @returns {Boolean}
+ */
+function isDateNumberFormat(numberFormat) {
+  const code = numberFormat.split(';')[0].replace(/"[^"]*"|\\.|\[[^\]]*]/g, '');
+
+  return /[dmyhs]/i.test(code) && !/[0#?]/.test(code);
+}
+
+/**
+ * Converts the spreadsheet date number format into the Moment.js date format.
+ *
+ * @param {String} numberFormat The number format.
+ * @returns {String}
+ */
+function toDateFormat(numberFormat) {
+  const code = numberFormat.split(';')[0].replace(/\[[^\]]*]/g, '');
+  const tokens = [];
+
+  code.replace(DATE_FORMAT_REGEXP, (match, quoted, escaped, offset) => {
+    tokens.push({ match, quoted, escaped, offset });
+
+    return match;
+  });
+
+  let result = '';
+  let position = 0;
+
+  arrayEach(tokens, ({ match, quoted, escaped, offset }, index) => {
+    const lowerMatch = match.toLowerCase();
+    let replacement = DATE_FORMAT_TOKENS[lowerMatch];
+
+    result += code.substring(position, offset);
+    position = offset + match.length;
+
+    if (quoted !== void 0 || escaped !== void 0) {
+      replacement = `[${quoted !== void 0 ? quoted : escaped}]`;
+
+    } else if (lowerMatch === 'am/pm' || lowerMatch === 'a/p') {
+      replacement = 'A';
+
+    } else if (lowerMatch === 'mm' || lowerMatch === 'm') {
+      const previous = tokens[index - 1] ? tokens[index - 1].match.toLowerCase() : '';
+      const next = tokens[index + 1] ? tokens[index + 1].match.toLowerCase() : '';
+
+      // The `m` and `mm` codes placed after hours or before seconds represent minutes.
+      if (previous.charAt(0) === 'h' || next.charAt(0) === 's') {
+        replacement = lowerMatch;
+      }
+
+    } else if (replacement === void 0) {
+      replacement = `[${match}]`;
+    }
+
+    result += replacement;
+  });
+
+  return result + code.substr(position);
+}
+
+/**
+ * Converts the spreadsheet number format into the pattern of the `numericFormat` option.
+ *
+ * @param {String} numberFormat The number format.
+ * @returns {String|null} Returns `null` when the format can not be converted.
+ */
+function toNumericPattern(numberFormat) {
+  const matches = NUMERIC_FORMAT_REGEXP.exec(numberFormat.split(';')[0].replace(/\\/g, ''));
+
+  if (!matches) {
+    return null;
+  }
+
+  const [, currency = '', thousands, decimals = '', percent = ''] = matches;
+
+  return `${currency}${thousands ? '0,0' : '0'}${decimals}${percent}`;
+}
+
+/**
+ * Iterates over the worksheet parts, which are not supported by the import.
+ *
+ * @param {Document} sheet The worksheet document.
+ * @param {Function} callback The function called with the part name and the message.
+ */
+function objectEachUnsupportedPart(sheet, callback) {
+  Object.keys(UNSUPPORTED_SHEET_PARTS).forEach((part) => {
+    if (getElements(sheet, part).length) {
+      callback(part, UNSUPPORTED_SHEET_PARTS[part]);
+    }
+  });
+}
+
+/**
+ * Format type class responsible for importing the Office Open XML workbooks (XLSX). The cell values, the shared
+ * strings, the number formats (as the `numeric` and the `date` cell types), the merged regions and the comments are
+ * imported from the selected worksheet.
+ *
+ * @plugin ImportFile
+ * @private
+ */
+class Xlsx extends BaseType {
+  /**
+   * Default options for importing XLSX format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      sheet: 0,
+      formulas: false,
+    };
+  }
+
+  /**
+   * Parses the file content.
+   *
+   * @param {Uint8Array} source The file content.
+   * @returns {Object} The import result (see {@link BaseType#createResult}).
+   */
+  parse(source) {
+    const result = this.createResult();
+    const zip = new ZipReader(source);
+    const workbookPath = this.getRelationshipTargets(zip, '', RELATIONSHIP_OFFICE_DOCUMENT)[0] || 'xl/workbook.xml';
+    const workbookDirectory = getDirectory(workbookPath);
+    const workbook = this.parseXml(zip.getTextFile(workbookPath));
+
+    if (!workbook) {
+      throw new Error('XLSX file: the workbook is missing.');
+    }
+
+    const workbookRelationships = this.getRelationships(zip, workbookPath);
+    const sheets = getElements(workbook, 'sheet');
+    const sheetElement = this.findSheet(sheets);
+
+    if (!sheetElement) {
+      throw new Error(`XLSX file: the "${this.options.sheet}" sheet is missing.`);
+    }
+    if (sheets.length > 1) {
+      result.unmapped.push({
+        part: 'sheets',
+        message: `Only the "${sheetElement.getAttribute('name')}" sheet is imported, the other sheets are skipped.`,
+      });
+    }
+
+    const sheetRelationship = workbookRelationships[this.getRelationshipId(sheetElement)];
+    const sheetPath = sheetRelationship ? resolvePath(workbookDirectory, sheetRelationship.target) : '';
+    const sheet = this.parseXml(zip.getTextFile(sheetPath));
+
+    if (!sheet) {
+      throw new Error('XLSX file: the worksheet is missing.');
+    }
+
+    const sharedStrings = this.parseSharedStrings(zip, workbookDirectory, workbookRelationships);
+    const numberFormats = this.parseNumberFormats(zip, workbookDirectory, workbookRelationships);
+
+    this.parseSheetData(sheet, sharedStrings, numberFormats, result);
+    this.parseMergedCells(sheet, result);
+    this.parseComments(zip, sheetPath, result);
+
+    objectEachUnsupportedPart(sheet, (part, message) => {
+      result.unmapped.push({ part, message });
+    });
+
+    this.extractColumnHeaders(result);
+
+    if (result.columnHeaders) {
+      this.shiftRows(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Finds the sheet selected by the `sheet` option (the sheet index or name).
+   *
+   * @private
+   * @param {Element[]} sheets The sheet elements.
+   * @returns {Element|undefined}
+   */
+  findSheet(sheets) {
+    const sheet = this.options.sheet;
+
+    if (typeof sheet === 'number') {
+      return sheets[sheet];
+    }
+
+    let sheetElement;
+
+    arrayEach(sheets, (element) => {
+      if (element.getAttribute('name') === sheet) {
+        sheetElement = element;
+
+        return false;
+      }
+
+      return true;
+    });
+
+    return sheetElement;
+  }
+
+  /**
+   * Parses the XML document.
+   *
+   * @private
+   * @param {String|null} xml The XML text.
+   * @returns {Document|null}
+   */
+  parseXml(xml) {
+    if (xml === null) {
+      return null;
+    }
+
+    const document = new DOMParser().parseFromString(xml, 'application/xml');
+
+    if (getElements(document, 'parsererror').length) {
+      throw new Error('XLSX file: the XML document is not valid.');
+    }
+
+    return document;
+  }
+
+  /**
+   * Gets the relationship id of the element.
+   *
+   * @private
+   * @param {Element} element The element.
+   * @returns {String}
+   */
+  getRelationshipId(element) {
+    return element.getAttributeNS(NAMESPACE_RELATIONSHIPS, 'id') || element.getAttribute('r:id');
+  }
+
+  /**
+   * Gets the relationships of the part.
+   *
+   * @private
+   * @param {ZipReader} zip The archive.
+   * @param {String} path The part path.
+   * @returns {Object} Relationships in form of `{type, target}` objects stored under the relationship ids.
+   */
+  getRelationships(zip, path) {
+    const directory = getDirectory(path);
+    const fileName = path.substr(directory.length ? directory.length + 1 : 0);
+    const relationshipsPath = `${directory ? `${directory}/` : ''}_rels/${fileName}.rels`;
+    const document = this.parseXml(zip.getTextFile(relationshipsPath));
+    const relationships = {};
+
+    if (document) {
+      arrayEach(getElements(document, 'Relationship'), (element) => {
+        relationships[element.getAttribute('Id')] = {
+          type: element.getAttribute('Type').split('/').pop(),
+          target: element.getAttribute('Target'),
+        };
+      });
+    }
+
+    return relationships;
+  }
+
+  /**
+   * Gets the resolved paths of the parts related to the part with the relationship of the provided type.
+   *
+   * @private
+   * @param {ZipReader} zip The archive.
+   * @param {String} path The part path (an empty string for the package relationships).
+   * @param {String} type The relationship type.
+   * @returns {String[]}
+   */
+  getRelationshipTargets(zip, path, type) {
+    const relationships = this.getRelationships(zip, path);
+    const targets = [];
+
+    Object.keys(relationships).forEach((id) => {
+      if (relationships[id].type === type) {
+        targets.push(resolvePath(getDirectory(path), relationships[id].target));
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Parses the shared strings.
+   *
+   * @private
+   * @param {ZipReader} zip The archive.
+   * @param {String} workbookDirectory The path of the directory containing the workbook.
+   * @param {Object} relationships The workbook relationships.
+   * @returns {String[]}
+   */
+  parseSharedStrings(zip, workbookDirectory, relationships) {
+    const document = this.parseXml(zip.getTextFile(this.findRelatedPart(workbookDirectory, relationships, RELATIONSHIP_SHARED_STRINGS)));
+
+    return document ? arrayMap(getElements(document, 'si'), element => getStringItemText(element)) : [];
+  }
+
+  /**
+   * Parses the number formats of the cell styles.
+   *
+   * @private
+   * @param {ZipReader} zip The archive.
+   * @param {String} workbookDirectory The path of the directory containing the workbook.
+   * @param {Object} relationships The workbook relationships.
+   * @returns {String[]} The number format of each cell style.
+   */
+  parseNumberFormats(zip, workbookDirectory, relationships) {
+    const document = this.parseXml(zip.getTextFile(this.findRelatedPart(workbookDirectory, relationships, RELATIONSHIP_STYLES)));
+
+    if (!document) {
+      return [];
+    }
+
+    const customFormats = {};
+    const cellStyles = getElements(document, 'cellXfs')[0];
+
+    arrayEach(getElements(document, 'numFmt'), (element) => {
+      customFormats[element.getAttribute('numFmtId')] = element.getAttribute('formatCode');
+    });
+
+    if (!cellStyles) {
+      return [];
+    }
+
+    return arrayMap(getElements(cellStyles, 'xf'), (element) => {
+      const numberFormatId = element.getAttribute('numFmtId') || '0';
+
+      return customFormats[numberFormatId] || BUILT_IN_NUMBER_FORMATS[numberFormatId] || BUILT_IN_NUMBER_FORMATS[0];
+    });
+  }
+
+  /**
+   * Finds the path of the workbook part with the provided relationship type.
+   *
+   * @private
+   * @param {String} workbookDirectory The path of the directory containing the workbook.
+   * @param {Object} relationships The workbook relationships.
+   * @param {String} type The relationship type.
+   * @returns {String}
+   */
+  findRelatedPart(workbookDirectory, relationships, type) {
+    let path = '';
+
+    Object.keys(relationships).forEach((id) => {
+      if (!path && relationships[id].type === type) {
+        path = resolvePath(workbookDirectory, relationships[id].target);
+      }
+    });
+
+    return path;
+  }
+
+  /**
+   * Parses the cells of the worksheet.
+   *
+   * @private
+   * @param {Document} sheet The worksheet document.
+   * @param {String[]} sharedStrings The shared strings.
+   * @param {String[]} numberFormats The number formats of the cell styles.
+   * @param {Object} result The import result.
+   */
+  parseSheetData(sheet, sharedStrings, numberFormats, result) {
+    const data = result.data;
+    const unmappedFormats = [];
+    let columnsCount = 0;
+    let formulasCount = 0;
+    let nextRow = 0;
+
+    arrayEach(getElements(sheet, 'row'), (rowElement) => {
+      const rowIndex = rowElement.hasAttribute('r') ? parseInt(rowElement.getAttribute('r'), 10) - 1 : nextRow;
+      let nextColumn = 0;
+
+      nextRow = rowIndex + 1;
+
+      arrayEach(getElements(rowElement, 'c'), (cellElement) => {
+        const coords = parseCellReference(cellElement.getAttribute('r')) || { row: rowIndex, col: nextColumn };
+        const numberFormat = numberFormats[parseInt(cellElement.getAttribute('s') || '0', 10)] || BUILT_IN_NUMBER_FORMATS[0];
+        const formulaElement = getElements(cellElement, 'f')[0];
+        let { value, meta } = this.parseCellValue(cellElement, sharedStrings, numberFormat, unmappedFormats);
+
+        nextColumn = coords.col + 1;
+
+        if (formulaElement) {
+          if (this.options.formulas && formulaElement.textContent) {
+            value = `=${formulaElement.textContent}`;
+            meta = null;
+
+          } else {
+            formulasCount += 1;
+          }
+        }
+
+        if (value === null && !meta) {
+          return;
+        }
+
+        while (data.length <= coords.row) {
+          data.push([]);
+        }
+
+        data[coords.row][coords.col] = value;
+        columnsCount = Math.max(columnsCount, coords.col + 1);
+
+        if (meta) {
+          result.cellsMeta.push({ row: coords.row, col: coords.col, meta });
+        }
+      });
+    });
+
+    arrayEach(data, (rowData) => {
+      for (let column = 0; column < columnsCount; column += 1) {
+        if (rowData[column] === void 0) {
+          rowData[column] = null;
+        }
+      }
+    });
+
+    if (formulasCount) {
+      result.unmapped.push({
+        part: 'formulas',
+        message: `${formulasCount} formula(s) imported as the calculated values.`,
+      });
+    }
+    if (unmappedFormats.length) {
+      result.unmapped.push({
+        part: 'numberFormats',
+        message: `The number formats could not be mapped: ${unmappedFormats.join(', ')}.`,
+      });
+    }
+  }
+
+  /**
+   * Parses the cell value.
+   *
+   * @private
+   * @param {Element} cellElement The cell element.
+   * @param {String[]} sharedStrings The shared strings.
+   * @param {String} numberFormat The cell number format.
+   * @param {String[]} unmappedFormats The list of number formats, which could not be mapped.
+   * @returns {Object} Returns object with keys `value` and `meta` (the cell properties or `null`).
+   */
+  parseCellValue(cellElement, sharedStrings, numberFormat, unmappedFormats) {
+    const type = cellElement.getAttribute('t') || 'n';
+    const valueElement = getElements(cellElement, 'v')[0];
+    const rawValue = valueElement ? valueElement.textContent : null;
+    let value = null;
+    let meta = null;
+
+    if (type === 'inlineStr') {
+      const stringElement = getElements(cellElement, 'is')[0];
+
+      value = stringElement ? getStringItemText(stringElement) : null;
+
+    } else if (rawValue === null) {
+      value = null;
+
+    } else if (type === 's') {
+      value = sharedStrings[parseInt(rawValue, 10)];
+      value = value === void 0 ? null : value;
+
+    } else if (type === 'b') {
+      value = rawValue === '1';
+      meta = { type: 'checkbox' };
+
+    } else if (type === 'n' && isDateNumberFormat(numberFormat)) {
+      const dateFormat = toDateFormat(numberFormat);
+
+      value = moment.utc(Math.round(parseFloat(rawValue) * MILLISECONDS_PER_DAY) + EXCEL_EPOCH).format(dateFormat);
+      meta = { type: 'date', dateFormat };
+
+    } else if (type === 'n') {
+      value = parseFloat(rawValue);
+      meta = { type: 'numeric' };
+
+      if (numberFormat !== BUILT_IN_NUMBER_FORMATS[0]) {
+        const pattern = toNumericPattern(numberFormat);
+
+        if (pattern === null) {
+          if (unmappedFormats.indexOf(numberFormat) === -1) {
+            unmappedFormats.push(numberFormat);
+          }
+
+        } else {
+          meta.numericFormat = { pattern };
+        }
+      }
+
+    } else {
+      // The "str" (formula string), "e" (error) and "d" (ISO 8601 date) types are imported as texts.
+      value = rawValue;
+    }
+
+    return { value, meta };
+  }
+
+  /**
+   * Parses the merged regions of the worksheet.
+   *
+   * @private
+   * @param {Document} sheet The worksheet document.
+   * @param {Object} result The import result.
+   */
+  parseMergedCells(sheet, result) {
+    arrayEach(getElements(sheet, 'mergeCell'), (element) => {
+      const [start, end] = arrayMap((element.getAttribute('ref') || '').split(':'), parseCellReference);
+
+      if (start && end) {
+        result.mergedCells.push({
+          row: start.row,
+          col: start.col,
+          rowspan: end.row - start.row + 1,
+          colspan: end.col - start.col + 1,
+        });
+      }
+    });
+  }
+
+  /**
+   * Parses the comments of the worksheet.
+   *
+   * @private
+   * @param {ZipReader} zip The archive.
+   * @param {String} sheetPath The worksheet path.
+   * @param {Object} result The import result.
+   */
+  parseComments(zip, sheetPath, result) {
+    arrayEach(this.getRelationshipTargets(zip, sheetPath, RELATIONSHIP_COMMENTS), (path) => {
+      const document = this.parseXml(zip.getTextFile(path));
+
+      if (!document) {
+        return;
+      }
+
+      arrayEach(getElements(document, 'comment'), (element) => {
+        const coords = parseCellReference(element.getAttribute('ref'));
+        const textElement = getElements(element, 'text')[0];
+
+        if (coords && textElement) {
+          result.comments.push({ row: coords.row, col: coords.col, value: getStringItemText(textElement) });
+        }
+      });
+    });
+  }
+
+  /**
+   * Moves the coordinates of the cell properties, the merged cells and the comments after moving the first row into
+   * the column headers.
+   *
+   * @private
+   * @param {Object} result The import result.
+   */
+  shiftRows(result) {
+    const shift = (items) => {
+      const shiftedItems = [];
+
+      arrayEach(items, (item) => {
+        if (item.row > 0) {
+          item.row -= 1;
+          shiftedItems.push(item);
+        }
+      });
+
+      return shiftedItems;
+    };
+
+    result.cellsMeta = shift(result.cellsMeta);
+    result.mergedCells = shift(result.mergedCells);
+    result.comments = shift(result.comments);
+  }
+}
+
+export { isDateNumberFormat, toDateFormat, toNumericPattern };
+
+export default Xlsx;
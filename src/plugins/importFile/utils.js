@@ -0,0 +1,65 @@
+/* eslint-disable no-bitwise */
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * Decodes the UTF-8 encoded bytes. The byte order mark is removed.
+ *
+ * @param {Uint8Array} bytes The bytes to decode.
+ * @returns {String}
+ */
+export function decodeUtf8(bytes) {
+  const chunks = [];
+  let codes = [];
+
+  for (let i = 0; i < bytes.length; i += 1) {
+    const byte = bytes[i];
+    let code = byte;
+
+    if (byte >= 0xF0 && i + 3 < bytes.length) {
+      code = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3F) << 12) | ((bytes[i + 2] & 0x3F) << 6) | (bytes[i + 3] & 0x3F);
+      i += 3;
+
+    } else if (byte >= 0xE0 && i + 2 < bytes.length) {
+      code = ((byte & 0x0F) << 12) | ((bytes[i + 1] & 0x3F) << 6) | (bytes[i + 2] & 0x3F);
+      i += 2;
+
+    } else if (byte >= 0xC0 && i + 1 < bytes.length) {
+      code = ((byte & 0x1F) << 6) | (bytes[i + 1] & 0x3F);
+      i += 1;
+    }
+
+    if (code > 0xFFFF) {
+      code -= 0x10000;
+      codes.push(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+
+    } else {
+      codes.push(code);
+    }
+
+    if (codes.length >= 8192) {
+      chunks.push(String.fromCharCode(...codes));
+      codes = [];
+    }
+  }
+
+  chunks.push(String.fromCharCode(...codes));
+
+  const text = chunks.join('');
+
+  return text.charAt(0) === BYTE_ORDER_MARK ? text.substr(1) : text;
+}
+
+/**
+ * Decodes the text file content.
+ *
+ * @param {Uint8Array} bytes The bytes to decode.
+ * @param {String} [encoding='utf-8'] The text encoding. Encodings other than UTF-8 require the `TextDecoder` API.
+ * @returns {String}
+ */
+export function decodeText(bytes, encoding = 'utf-8') {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder(encoding).decode(bytes);
+  }
+
+  return decodeUtf8(bytes);
+}
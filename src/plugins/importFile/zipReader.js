@@ -0,0 +1,170 @@
+import inflate from './inflate';
+import { decodeUtf8 } from './utils';
+
+const SIGNATURE_CENTRAL_DIRECTORY = 0x02014b50;
+const SIGNATURE_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+/**
+ * Checks if the bytes start with the zip archive signature.
+ *
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {Boolean}
+ */
+export function isZipArchive(bytes) {
+  return bytes.length > 3 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+/**
+ * Minimal zip archive reader. Supports the files stored without compression and compressed with the DEFLATE
+ * algorithm (which covers the Office Open XML files created by the spreadsheet applications).
+ *
+ * @class ZipReader
+ * @plugin ImportFile
+ */
+class ZipReader {
+  constructor(bytes) {
+    /**
+     * The archive content.
+     *
+     * @type {Uint8Array}
+     */
+    this.bytes = bytes;
+    /**
+     * The archive entries, stored under the file paths.
+     *
+     * @type {Map}
+     */
+    this.entries = new Map();
+
+    this.readCentralDirectory();
+  }
+
+  /**
+   * Gets the paths of the archived files.
+   *
+   * @returns {String[]}
+   */
+  getFileNames() {
+    const names = [];
+
+    this.entries.forEach((entry, name) => {
+      names.push(name);
+    });
+
+    return names;
+  }
+
+  /**
+   * Checks if the archive contains the file.
+   *
+   * @param {String} name The file path.
+   * @returns {Boolean}
+   */
+  hasFile(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Gets the decompressed file content.
+   *
+   * @param {String} name The file path.
+   * @returns {Uint8Array|null} Returns `null` when the archive does not contain the file.
+   * @throws {Error} Throws an error when the file is compressed using not supported method.
+   */
+  getFile(name) {
+    const entry = this.entries.get(name);
+
+    if (!entry) {
+      return null;
+    }
+
+    const view = this.createView();
+    const nameLength = view.getUint16(entry.localHeaderOffset + 26, true);
+    const extraLength = view.getUint16(entry.localHeaderOffset + 28, true);
+    const dataOffset = entry.localHeaderOffset + 30 + nameLength + extraLength;
+    const data = this.bytes.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+    if (entry.method === METHOD_STORE) {
+      return data;
+    }
+    if (entry.method === METHOD_DEFLATE) {
+      return inflate(data, entry.size);
+    }
+
+    throw new Error(`Zip archive: compression method ${entry.method} of the "${name}" file is not supported.`);
+  }
+
+  /**
+   * Gets the decompressed file content decoded as the UTF-8 text.
+   *
+   * @param {String} name The file path.
+   * @returns {String|null} Returns `null` when the archive does not contain the file.
+   */
+  getTextFile(name) {
+    const data = this.getFile(name);
+
+    return data === null ? null : decodeUtf8(data);
+  }
+
+  /**
+   * Creates the data view of the archive content.
+   *
+   * @private
+   * @returns {DataView}
+   */
+  createView() {
+    return new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+  }
+
+  /**
+   * Reads the central directory of the archive.
+   *
+   * @private
+   * @throws {Error} Throws an error when the data is not a valid zip archive.
+   */
+  readCentralDirectory() {
+    const view = this.createView();
+    const minOffset = Math.max(this.bytes.length - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE, 0);
+    let endOffset = -1;
+
+    for (let offset = this.bytes.length - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= minOffset; offset -= 1) {
+      if (view.getUint32(offset, true) === SIGNATURE_END_OF_CENTRAL_DIRECTORY) {
+        endOffset = offset;
+        break;
+      }
+    }
+
+    if (endOffset === -1) {
+      throw new Error('Zip archive: the end of central directory record is missing.');
+    }
+
+    const entriesCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    for (let i = 0; i < entriesCount; i += 1) {
+      if (view.getUint32(offset, true) !== SIGNATURE_CENTRAL_DIRECTORY) {
+        throw new Error('Zip archive: the central directory is corrupted.');
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decodeUtf8(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      this.entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localHeaderOffset: view.getUint32(offset + 42, true),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+}
+
+export default ZipReader;
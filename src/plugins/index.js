@@ -1,23 +1,44 @@
+// The plugins are registered in the import order, which is also the order of their `modifyRow` and `unmodifyRow`
+// hooks. ColumnSorting and Filters translate the rows of the view, so they are imported before the plugins which
+// translate the data source rows (ManualRowMove, RowGrouping, TrimRows).
 import PersistentState from './persistentState/persistentState';
 import AutoColumnSize from './autoColumnSize/autoColumnSize';
 import AutoFill from './autofill/autofill';
 import AutoRowSize from './autoRowSize/autoRowSize';
+import BindRowsWithHeaders from './bindRowsWithHeaders/bindRowsWithHeaders';
+import CollapsibleColumns from './collapsibleColumns/collapsibleColumns';
 import ColumnSorting from './columnSorting/columnSorting';
+import ColumnSummary from './columnSummary/columnSummary';
 import Comments from './comments/comments';
+import ConditionalFormatting from './conditionalFormatting/conditionalFormatting';
 import ContextMenu from './contextMenu/contextMenu';
 import CopyPaste from './copyPaste/copyPaste';
 import CustomBorders from './customBorders/customBorders';
 import DragToScroll from './dragToScroll/dragToScroll';
+import DropdownMenu from './dropdownMenu/dropdownMenu';
+import ExportFile from './exportFile/exportFile';
+import Filters from './filters/filters';
+import Formulas from './formulas/formulas';
+import HeaderTooltips from './headerTooltips/headerTooltips';
+import HiddenColumns from './hiddenColumns/hiddenColumns';
+import HiddenRows from './hiddenRows/hiddenRows';
+import ImportFile from './importFile/importFile';
 import ManualColumnFreeze from './manualColumnFreeze/manualColumnFreeze';
 import ManualColumnMove from './manualColumnMove/manualColumnMove';
 import ManualColumnResize from './manualColumnResize/manualColumnResize';
+import ManualRowFreeze from './manualRowFreeze/manualRowFreeze';
 import ManualRowMove from './manualRowMove/manualRowMove';
 import ManualRowResize from './manualRowResize/manualRowResize';
 import MergeCells from './mergeCells/mergeCells';
 import MultipleSelectionHandles from './multipleSelectionHandles/multipleSelectionHandles';
+import NestedHeaders from './nestedHeaders/nestedHeaders';
+import NestedRows from './nestedRows/nestedRows';
 import ObserveChanges from './observeChanges/observeChanges';
+import PivotTable from './pivotTable/pivotTable';
+import RowGrouping from './rowGrouping/rowGrouping';
 import Search from './search/search';
 import TouchScroll from './touchScroll/touchScroll';
+import TrimRows from './trimRows/trimRows';
 import UndoRedo from './undoRedo/undoRedo';
 import Base from './_base';
 
@@ -25,23 +46,41 @@ export {
   AutoColumnSize,
   AutoFill,
   AutoRowSize,
+  BindRowsWithHeaders,
+  CollapsibleColumns,
   ColumnSorting,
+  ColumnSummary,
   Comments,
+  ConditionalFormatting,
   ContextMenu,
   CopyPaste,
   CustomBorders,
   DragToScroll,
+  DropdownMenu,
+  ExportFile,
+  Filters,
+  Formulas,
+  HeaderTooltips,
+  HiddenColumns,
+  HiddenRows,
+  ImportFile,
   ManualColumnFreeze,
   ManualColumnMove,
   ManualColumnResize,
+  ManualRowFreeze,
   ManualRowMove,
   ManualRowResize,
   MergeCells,
   MultipleSelectionHandles,
+  NestedHeaders,
+  NestedRows,
   ObserveChanges,
   PersistentState,
+  PivotTable,
+  RowGrouping,
   Search,
   TouchScroll,
+  TrimRows,
   UndoRedo,
   Base,
 };
@@ -95,6 +95,8 @@ class ManualColumnFreeze extends BasePlugin {
    * Freezes the given column (add it to fixed columns).
    *
    * @param {Number} column Visual column index.
+   * @fires Hooks#beforeColumnFreeze
+   * @fires Hooks#afterColumnFreeze
    */
   freezeColumn(column) {
     const priv = privatePool.get(this);
@@ -108,6 +110,8 @@ class ManualColumnFreeze extends BasePlugin {
       return; // already fixed
     }
 
+    this.hot.runHooks('beforeColumnFreeze', column);
+
     priv.moveByFreeze = true;
 
     if (column !== this.getMovePlugin().columnsMapper.getValueByIndex(column)) {
@@ -117,12 +121,16 @@ class ManualColumnFreeze extends BasePlugin {
     this.getMovePlugin().moveColumn(column, settings.fixedColumnsLeft);
 
     settings.fixedColumnsLeft += 1;
+
+    this.hot.runHooks('afterColumnFreeze', column);
   }
 
   /**
    * Unfreezes the given column (remove it from fixed columns and bring to it's previous position).
    *
    * @param {Number} column Visual column index.
+   * @fires Hooks#beforeColumnUnfreeze
+   * @fires Hooks#afterColumnUnfreeze
    */
   unfreezeColumn(column) {
     const priv = privatePool.get(this);
@@ -136,12 +144,16 @@ class ManualColumnFreeze extends BasePlugin {
       return; // not fixed
     }
 
+    this.hot.runHooks('beforeColumnUnfreeze', column);
+
     const returnCol = this.getBestColumnReturnPosition(column);
 
     priv.moveByFreeze = true;
     settings.fixedColumnsLeft -= 1;
 
     this.getMovePlugin().moveColumn(column, returnCol + 1);
+
+    this.hot.runHooks('afterColumnUnfreeze', column);
   }
 
   /**
@@ -1,7 +1,7 @@
 import BasePlugin from './../_base';
 import Hooks from './../../pluginHooks';
 import { arrayEach } from './../../helpers/array';
-import { addClass, removeClass, offset } from './../../helpers/dom/element';
+import { addClass, removeClass, offset, outerWidth } from './../../helpers/dom/element';
 import { rangeEach } from './../../helpers/number';
 import EventManager from './../../eventManager';
 import { registerPlugin } from './../../plugins';
@@ -280,6 +280,40 @@ class ManualColumnMove extends BasePlugin {
     return column < this.hot.getSettings().fixedColumnsLeft;
   }
 
+  /**
+   * Checks if the provided column is in the fixedColumnsRight section.
+   *
+   * @private
+   * @param {Number} column Visual column index to check.
+   * @returns {Boolean}
+   */
+  isFixedColumnsRight(column) {
+    const { fixedColumnsLeft, fixedColumnsRight } = this.hot.getSettings();
+
+    return !!fixedColumnsRight && column >= fixedColumnsLeft && column >= this.hot.countCols() - fixedColumnsRight &&
+      column < this.hot.countCols();
+  }
+
+  /**
+   * Gets the left position (relative to the table) of the column rendered in the overlay fixed on the right side.
+   *
+   * @private
+   * @param {Number} column Visual column index.
+   * @param {Number} scrollLeft Horizontal scroll position of the table.
+   * @returns {Number}
+   */
+  getFixedColumnsRightOffset(column, scrollLeft) {
+    const rightOverlay = this.hot.view.wt.wtOverlays.rightOverlay;
+    const firstFixedColumn = this.hot.countCols() - this.hot.getSettings().fixedColumnsRight;
+    let overlayLeft = rightOverlay.getOverlayLeftPosition(outerWidth(rightOverlay.clone.wtTable.TABLE));
+
+    if (this.hot.view.wt.wtOverlays.scrollableElement !== window) {
+      overlayLeft += scrollLeft;
+    }
+
+    return overlayLeft + this.getColumnsWidth(firstFixedColumn, column);
+  }
+
   /**
    * Saves the manual column positions to the persistent state (the {@link Options#persistentState} option has to be enabled).
    */
@@ -350,6 +384,10 @@ class ManualColumnMove extends BasePlugin {
     }
     tdOffsetLeft += rowHeaderWidth;
 
+    if (this.isFixedColumnsRight(priv.coordsColumn)) {
+      tdOffsetLeft = this.getFixedColumnsRightOffset(priv.coordsColumn, scrollLeft);
+    }
+
     if (priv.coordsColumn < 0) {
       // if hover on rowHeader
       if (priv.fixedColumns > 0) {
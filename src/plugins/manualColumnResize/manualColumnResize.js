@@ -31,6 +31,7 @@ class ManualColumnResize extends BasePlugin {
     this.startY = null;
     this.startWidth = null;
     this.startOffset = null;
+    this.fixedOnRight = false;
     this.handle = document.createElement('DIV');
     this.guide = document.createElement('DIV');
     this.eventManager = new EventManager(this);
@@ -38,6 +39,7 @@ class ManualColumnResize extends BasePlugin {
     this.dblclick = 0;
     this.autoresizeTimeout = null;
     this.manualColumnWidths = [];
+    this.startManualColumnWidths = [];
 
     addClass(this.handle, 'manualColumnResizer');
     addClass(this.guide, 'manualColumnResizerGuide');
@@ -150,6 +152,7 @@ class ManualColumnResize extends BasePlugin {
 
       this.currentCol = col;
       this.selectedCols = [];
+      this.fixedOnRight = this.isFixedOnRight(col);
 
       if (this.hot.selection.isSelected() && this.hot.selection.isSelectedByColumnHeader()) {
         const { from, to } = this.hot.getSelectedRangeLast();
@@ -174,7 +177,7 @@ class ManualColumnResize extends BasePlugin {
       this.startOffset = box.left - 6;
       this.startWidth = parseInt(box.width, 10);
       this.handle.style.top = `${box.top}px`;
-      this.handle.style.left = `${this.startOffset + this.startWidth}px`;
+      this.handle.style.left = `${this.fixedOnRight ? this.startOffset : this.startOffset + this.startWidth}px`;
       this.handle.style.height = `${headerHeight}px`;
       this.hot.rootElement.appendChild(this.handle);
     }
@@ -186,7 +189,26 @@ class ManualColumnResize extends BasePlugin {
    * @private
    */
   refreshHandlePosition() {
-    this.handle.style.left = `${this.startOffset + this.currentWidth}px`;
+    if (this.fixedOnRight) {
+      this.handle.style.left = `${this.startOffset + this.startWidth - this.currentWidth}px`;
+
+    } else {
+      this.handle.style.left = `${this.startOffset + this.currentWidth}px`;
+    }
+  }
+
+  /**
+   * Checks if the column is rendered in the right overlays. The right overlays stick to the right edge of the table,
+   * so the columns fixed on the right are resized by dragging their left edge.
+   *
+   * @private
+   * @param {Number} column Visual column index.
+   * @returns {Boolean}
+   */
+  isFixedOnRight(column) {
+    const { fixedColumnsLeft, fixedColumnsRight } = this.hot.getSettings();
+
+    return fixedColumnsRight > 0 && column >= this.hot.countCols() - fixedColumnsRight && column >= fixedColumnsLeft;
   }
 
   /**
@@ -365,6 +387,7 @@ class ManualColumnResize extends BasePlugin {
 
       this.startX = pageX(event);
       this.newSize = this.startWidth;
+      this.startManualColumnWidths = this.manualColumnWidths.slice();
     }
   }
 
@@ -376,7 +399,9 @@ class ManualColumnResize extends BasePlugin {
    */
   onMouseMove(event) {
     if (this.pressed) {
-      this.currentWidth = this.startWidth + (pageX(event) - this.startX);
+      const delta = pageX(event) - this.startX;
+
+      this.currentWidth = this.startWidth + (this.fixedOnRight ? -delta : delta);
 
       arrayEach(this.selectedCols, (selectedCol) => {
         this.newSize = this.setManualSize(selectedCol, this.currentWidth);
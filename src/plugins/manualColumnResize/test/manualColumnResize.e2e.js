@@ -535,6 +535,33 @@ describe('manualColumnResize', () => {
     expect($colHeader.offset().top).toBeCloseTo($handle.offset().top, 0);
   });
 
+  it('should resize the column fixed on the right by dragging its left edge', () => {
+    const hot = handsontable({
+      data: Handsontable.helper.createSpreadsheetData(5, 10),
+      colHeaders: true,
+      manualColumnResize: true,
+      fixedColumnsRight: 1,
+      width: 400,
+      height: 200
+    });
+
+    const $colHeader = spec().$container.find('.ht_clone_right thead tr:eq(0) th:eq(0)');
+
+    $colHeader.simulate('mouseover');
+
+    const $handle = spec().$container.find('.manualColumnResizer');
+
+    expect($colHeader.offset().left - 6).toBeCloseTo($handle.offset().left, 0);
+
+    const handlePosition = $handle.position();
+
+    $handle.simulate('mousedown', { clientX: handlePosition.left });
+    $handle.simulate('mousemove', { clientX: handlePosition.left - 30 });
+    $handle.simulate('mouseup');
+
+    expect(hot.getColWidth(9)).toBe(80);
+  });
+
   describe('handle and guide', () => {
     it('should display the resize handle in the proper position and with a proper size', () => {
       handsontable({
@@ -0,0 +1,34 @@
+import * as C from './../../../i18n/constants';
+
+export default function freezeRowItem(manualRowFreezePlugin) {
+  return {
+    key: 'freeze_row',
+    name() {
+      return this.getTranslatedPhrase(C.CONTEXTMENU_ITEMS_FREEZE_ROW);
+    },
+    callback(key, selected) {
+      const [{ start: { row: selectedRow } }] = selected;
+
+      manualRowFreezePlugin.freezeRow(selectedRow);
+
+      this.render();
+      this.view.wt.wtOverlays.adjustElementsSize(true);
+    },
+    hidden() {
+      const selection = this.getSelectedRange();
+      let hide = false;
+
+      if (selection === void 0) {
+        hide = true;
+
+      } else if (selection.length > 1) {
+        hide = true;
+
+      } else if ((selection[0].from.row !== selection[0].to.row) || (selection[0].from.row <= this.getSettings().fixedRowsTop - 1)) {
+        hide = true;
+      }
+
+      return hide;
+    },
+  };
+}
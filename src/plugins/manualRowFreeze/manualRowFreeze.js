@@ -0,0 +1,311 @@
+import BasePlugin from './../_base';
+import { registerPlugin } from './../../plugins';
+import { arrayEach } from './../../helpers/array';
+import { rangeEach } from './../../helpers/number';
+import freezeRowItem from './contextMenuItem/freezeRow';
+import unfreezeRowItem from './contextMenuItem/unfreezeRow';
+
+const privatePool = new WeakMap();
+/**
+ * This plugin allows to manually "freeze" and "unfreeze" a row using an entry in the Context Menu or using API.
+ * You can turn it on by setting a {@link Options#manualRowFreeze} property to `true`.
+ *
+ * @example
+ * ```js
+ * // Enables the plugin
+ * manualRowFreeze: true,
+ * ```
+ *
+ * @plugin ManualRowFreeze
+ * @dependencies ManualRowMove
+ */
+class ManualRowFreeze extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+
+    privatePool.set(this, {
+      moveByFreeze: false,
+      afterFirstUse: false,
+    });
+    /**
+     * Original row positions. The indexes are the positions of the frozen rows, the values are the indexes (from the
+     * `ManualRowMove` rows mapper) of the rows which followed them before freezing.
+     *
+     * @private
+     * @type {Array}
+     */
+    this.frozenRowsBasePositions = [];
+    /**
+     * Reference to the `ManualRowMove` plugin.
+     *
+     * @private
+     * @type {ManualRowMove}
+     */
+    this.manualRowMovePlugin = void 0;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link ManualRowFreeze#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().manualRowFreeze;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.addHook('afterContextMenuDefaultOptions', options => this.addContextMenuEntry(options));
+    this.addHook('afterInit', () => this.onAfterInit());
+    this.addHook('beforeRowMove', (rows, target) => this.onBeforeRowMove(rows, target));
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    const priv = privatePool.get(this);
+
+    priv.afterFirstUse = false;
+    priv.moveByFreeze = false;
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Freezes the given row (add it to fixed rows).
+   *
+   * @param {Number} row Visual row index.
+   * @fires Hooks#beforeRowFreeze
+   * @fires Hooks#afterRowFreeze
+   */
+  freezeRow(row) {
+    const priv = privatePool.get(this);
+    const settings = this.hot.getSettings();
+
+    if (!priv.afterFirstUse) {
+      priv.afterFirstUse = true;
+    }
+
+    if (settings.fixedRowsTop === this.hot.countRows() || row <= settings.fixedRowsTop - 1) {
+      return; // already fixed
+    }
+
+    this.hot.runHooks('beforeRowFreeze', row);
+
+    priv.moveByFreeze = true;
+
+    const rowsMapper = this.getMovePlugin().rowsMapper;
+    let nextRow = rowsMapper.getValueByIndex(row + 1);
+    let frozenRow = this.frozenRowsBasePositions.indexOf(nextRow);
+
+    // A row frozen earlier from the place in front of the same next row was originally placed right after this one.
+    while (frozenRow !== -1) {
+      nextRow = rowsMapper.getValueByIndex(frozenRow);
+      frozenRow = this.frozenRowsBasePositions.indexOf(nextRow);
+    }
+
+    this.frozenRowsBasePositions[settings.fixedRowsTop] = nextRow;
+    this.getMovePlugin().moveRow(row, settings.fixedRowsTop);
+
+    settings.fixedRowsTop += 1;
+
+    this.hot.runHooks('afterRowFreeze', row);
+  }
+
+  /**
+   * Unfreezes the given row (remove it from fixed rows and bring to it's previous position).
+   *
+   * @param {Number} row Visual row index.
+   * @fires Hooks#beforeRowUnfreeze
+   * @fires Hooks#afterRowUnfreeze
+   */
+  unfreezeRow(row) {
+    const priv = privatePool.get(this);
+    const settings = this.hot.getSettings();
+
+    if (!priv.afterFirstUse) {
+      priv.afterFirstUse = true;
+    }
+
+    if (settings.fixedRowsTop <= 0 || (row > settings.fixedRowsTop - 1)) {
+      return; // not fixed
+    }
+
+    this.hot.runHooks('beforeRowUnfreeze', row);
+
+    const returnRow = this.getBestRowReturnPosition(row);
+
+    priv.moveByFreeze = true;
+    settings.fixedRowsTop -= 1;
+
+    this.getMovePlugin().moveRow(row, returnRow + 1);
+
+    this.hot.runHooks('afterRowUnfreeze', row);
+  }
+
+  /**
+   * Gets the reference to the ManualRowMove plugin.
+   *
+   * @private
+   * @returns {Object}
+   */
+  getMovePlugin() {
+    if (!this.manualRowMovePlugin) {
+      this.manualRowMovePlugin = this.hot.getPlugin('manualRowMove');
+    }
+
+    return this.manualRowMovePlugin;
+  }
+
+  /**
+   * Estimates the most fitting return position for unfrozen row.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   */
+  getBestRowReturnPosition(row) {
+    const movePlugin = this.getMovePlugin();
+    const settings = this.hot.getSettings();
+    let nextRow = this.frozenRowsBasePositions[row];
+    let frozenRow = this.getFrozenRowPosition(nextRow);
+
+    // The row returns in front of the first unfrozen row from the ones which followed it.
+    while (nextRow !== void 0 && frozenRow !== -1) {
+      nextRow = this.frozenRowsBasePositions[frozenRow];
+      frozenRow = this.getFrozenRowPosition(nextRow);
+    }
+
+    // The rows frozen after the given one move up by one position.
+    this.frozenRowsBasePositions.splice(row, 1);
+
+    let i = settings.fixedRowsTop;
+    let j = movePlugin.rowsMapper.getValueByIndex(i);
+
+    if (nextRow !== void 0) {
+      while (j !== null && j !== nextRow) {
+        i += 1;
+        j = movePlugin.rowsMapper.getValueByIndex(i);
+      }
+
+      if (j === nextRow) {
+        return i - 1;
+      }
+
+      i = settings.fixedRowsTop;
+      j = movePlugin.rowsMapper.getValueByIndex(i);
+    }
+
+    const initialRow = movePlugin.rowsMapper.getValueByIndex(row);
+
+    while (j !== null && j <= initialRow) {
+      i += 1;
+      j = movePlugin.rowsMapper.getValueByIndex(i);
+    }
+
+    return i - 1;
+  }
+
+  /**
+   * Gets the position of the frozen row.
+   *
+   * @private
+   * @param {Number} row Row index from the `ManualRowMove` rows mapper.
+   * @returns {Number} Returns the visual row index or `-1` when the row is not frozen.
+   */
+  getFrozenRowPosition(row) {
+    const rowsMapper = this.getMovePlugin().rowsMapper;
+    let position = -1;
+
+    rangeEach(this.hot.getSettings().fixedRowsTop - 1, (frozenRow) => {
+      if (rowsMapper.getValueByIndex(frozenRow) === row) {
+        position = frozenRow;
+
+        return false;
+      }
+    });
+
+    return position;
+  }
+
+  /**
+   * Adds the manualRowFreeze context menu entries.
+   *
+   * @private
+   * @param {Object} options Context menu options.
+   */
+  addContextMenuEntry(options) {
+    options.items.push(
+      { name: '---------' },
+      freezeRowItem(this),
+      unfreezeRowItem(this)
+    );
+  }
+
+  /**
+   * Enables `manualRowMove` plugin on `afterInit` hook.
+   *
+   * @private
+   */
+  onAfterInit() {
+    if (!this.getMovePlugin().isEnabled()) {
+      this.getMovePlugin().enablePlugin();
+    }
+  }
+
+  /**
+   * Prevents moving the rows from/to fixed area.
+   *
+   * @private
+   * @param {Array} rows
+   * @param {Number} target
+   */
+  onBeforeRowMove(rows, target) {
+    const priv = privatePool.get(this);
+
+    if (priv.afterFirstUse && !priv.moveByFreeze) {
+      const frozenLen = this.hot.getSettings().fixedRowsTop;
+      let disallowMoving = target < frozenLen;
+
+      if (!disallowMoving) {
+        arrayEach(rows, (value) => {
+          if (value < frozenLen) {
+            disallowMoving = true;
+            return false;
+          }
+        });
+      }
+
+      if (disallowMoving) {
+        return false;
+      }
+    }
+
+    if (priv.moveByFreeze) {
+      priv.moveByFreeze = false;
+    }
+  }
+}
+
+registerPlugin('manualRowFreeze', ManualRowFreeze);
+
+export default ManualRowFreeze;
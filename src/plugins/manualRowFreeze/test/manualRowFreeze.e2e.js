@@ -0,0 +1,391 @@
+describe('manualRowFreeze', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  describe('freezeRow', () => {
+    it('should increase fixedRowsTop setting', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+      const plugin = hot.getPlugin('manualRowFreeze');
+      plugin.freezeRow(4);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(1);
+    });
+
+    it('should freeze (make fixed) the row provided as an argument', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+      const movePlugin = hot.getPlugin('manualRowMove');
+
+      plugin.freezeRow(5);
+
+      expect(movePlugin.rowsMapper.getValueByIndex(0)).toEqual(5);
+      expect(hot.getDataAtCell(0, 0)).toEqual('A6');
+    });
+
+    it('should not freeze the row which is already fixed', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 2
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+
+      plugin.freezeRow(1);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(2);
+      expect(hot.getDataAtCell(1, 0)).toEqual('A2');
+    });
+
+    it('should fire the `beforeRowFreeze` and `afterRowFreeze` hooks', () => {
+      const beforeRowFreeze = jasmine.createSpy('beforeRowFreeze').and.callFake(() => {
+        expect(getInstance().getSettings().fixedRowsTop).toEqual(0);
+      });
+      const afterRowFreeze = jasmine.createSpy('afterRowFreeze').and.callFake(() => {
+        expect(getInstance().getSettings().fixedRowsTop).toEqual(1);
+      });
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        beforeRowFreeze,
+        afterRowFreeze,
+      });
+
+      hot.getPlugin('manualRowFreeze').freezeRow(4);
+
+      expect(beforeRowFreeze).toHaveBeenCalledWith(4, void 0, void 0, void 0, void 0, void 0);
+      expect(afterRowFreeze).toHaveBeenCalledWith(4, void 0, void 0, void 0, void 0, void 0);
+    });
+
+    it('should not fire the freeze hooks when the row is already fixed', () => {
+      const beforeRowFreeze = jasmine.createSpy('beforeRowFreeze');
+      const afterRowFreeze = jasmine.createSpy('afterRowFreeze');
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 2,
+        beforeRowFreeze,
+        afterRowFreeze,
+      });
+
+      hot.getPlugin('manualRowFreeze').freezeRow(1);
+
+      expect(beforeRowFreeze).not.toHaveBeenCalled();
+      expect(afterRowFreeze).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unfreezeRow', () => {
+    it('should decrease fixedRowsTop setting', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 1
+      });
+      const plugin = hot.getPlugin('manualRowFreeze');
+
+      plugin.unfreezeRow(0);
+      expect(hot.getSettings().fixedRowsTop).toEqual(0);
+    });
+
+    it('should unfreeze (make non-fixed) the row provided as an argument', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 3
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+      const movePlugin = hot.getPlugin('manualRowMove');
+
+      plugin.unfreezeRow(0);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(2);
+      expect(movePlugin.rowsMapper.getValueByIndex(0)).toEqual(1);
+      expect(movePlugin.rowsMapper.getValueByIndex(1)).toEqual(2);
+      expect(movePlugin.rowsMapper.getValueByIndex(2)).toEqual(0);
+    });
+
+    it('should unfreeze the last row', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+      const movePlugin = hot.getPlugin('manualRowMove');
+
+      plugin.freezeRow(9);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(1);
+      expect(movePlugin.rowsMapper.getValueByIndex(0)).toEqual(9);
+      expect(movePlugin.rowsMapper.getValueByIndex(9)).toEqual(8);
+
+      plugin.unfreezeRow(0);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(0);
+      expect(movePlugin.rowsMapper.getValueByIndex(0)).toEqual(0);
+      expect(movePlugin.rowsMapper.getValueByIndex(9)).toEqual(9);
+    });
+
+    it('should bring the row back to its position from before freezing', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+
+      plugin.freezeRow(3);
+      plugin.freezeRow(7);
+
+      expect(hot.getDataAtCol(0).slice(0, 2)).toEqual(['A4', 'A8']);
+
+      plugin.unfreezeRow(0);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(1);
+      expect(hot.getDataAtCol(0)).toEqual(['A8', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A9', 'A10']);
+
+      plugin.unfreezeRow(0);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(0);
+      expect(hot.getDataAtCol(0)).toEqual(['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'A9', 'A10']);
+    });
+
+    it('should bring the rows frozen out of order back to their positions from before freezing', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+
+      plugin.freezeRow(5);
+      plugin.freezeRow(4);
+
+      expect(hot.getDataAtCol(0).slice(0, 2)).toEqual(['A6', 'A4']);
+
+      plugin.unfreezeRow(1);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(1);
+      expect(hot.getDataAtCol(0)).toEqual(['A6', 'A1', 'A2', 'A3', 'A4', 'A5', 'A7', 'A8', 'A9', 'A10']);
+
+      plugin.unfreezeRow(0);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(0);
+      expect(hot.getDataAtCol(0)).toEqual(['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'A9', 'A10']);
+    });
+
+    it('should bring the moved rows back to their positions from before freezing', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+
+      hot.getPlugin('manualRowMove').moveRow(1, 6);
+      plugin.freezeRow(5);
+      plugin.freezeRow(7);
+
+      expect(hot.getDataAtCol(0).slice(0, 2)).toEqual(['A2', 'A8']);
+
+      plugin.unfreezeRow(1);
+      plugin.unfreezeRow(0);
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(0);
+      expect(hot.getDataAtCol(0)).toEqual(['A1', 'A3', 'A4', 'A5', 'A6', 'A2', 'A7', 'A8', 'A9', 'A10']);
+    });
+
+    it('should fire the `beforeRowUnfreeze` and `afterRowUnfreeze` hooks', () => {
+      const beforeRowUnfreeze = jasmine.createSpy('beforeRowUnfreeze').and.callFake(() => {
+        expect(getInstance().getSettings().fixedRowsTop).toEqual(2);
+      });
+      const afterRowUnfreeze = jasmine.createSpy('afterRowUnfreeze').and.callFake(() => {
+        expect(getInstance().getSettings().fixedRowsTop).toEqual(1);
+      });
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 2,
+        beforeRowUnfreeze,
+        afterRowUnfreeze,
+      });
+
+      hot.getPlugin('manualRowFreeze').unfreezeRow(1);
+
+      expect(beforeRowUnfreeze).toHaveBeenCalledWith(1, void 0, void 0, void 0, void 0, void 0);
+      expect(afterRowUnfreeze).toHaveBeenCalledWith(1, void 0, void 0, void 0, void 0, void 0);
+    });
+
+    it('should not fire the unfreeze hooks when the row is not fixed', () => {
+      const beforeRowUnfreeze = jasmine.createSpy('beforeRowUnfreeze');
+      const afterRowUnfreeze = jasmine.createSpy('afterRowUnfreeze');
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 2,
+        beforeRowUnfreeze,
+        afterRowUnfreeze,
+      });
+
+      hot.getPlugin('manualRowFreeze').unfreezeRow(5);
+
+      expect(beforeRowUnfreeze).not.toHaveBeenCalled();
+      expect(afterRowUnfreeze).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('functionality', () => {
+    it('should enable the manualRowMove plugin', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      expect(hot.getPlugin('manualRowMove').enabled).toBe(true);
+    });
+
+    it('should not allow to move the rows into or out of the frozen area', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true
+      });
+
+      const plugin = hot.getPlugin('manualRowFreeze');
+      const movePlugin = hot.getPlugin('manualRowMove');
+
+      plugin.freezeRow(5);
+
+      movePlugin.moveRow(0, 4);
+      hot.render();
+
+      expect(hot.getDataAtCell(0, 0)).toEqual('A6');
+
+      movePlugin.moveRow(4, 0);
+      hot.render();
+
+      expect(hot.getDataAtCell(0, 0)).toEqual('A6');
+      expect(hot.getDataAtCell(4, 0)).toEqual('A4');
+
+      movePlugin.moveRow(4, 2);
+      hot.render();
+
+      expect(hot.getDataAtCell(2, 0)).toEqual('A4');
+    });
+
+    it('should add a \'freeze row\' context menu entry for non-fixed rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        contextMenu: true
+      });
+
+      selectCell(1, 1);
+      contextMenu();
+
+      const freezeEntry = $(hot.getPlugin('contextMenu').menu.container).find('div').filter(function() {
+        return $(this).text() === 'Freeze row';
+      });
+
+      expect(freezeEntry.size()).toEqual(1);
+    });
+
+    it('should add a \'unfreeze row\' context menu entry for fixed rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        contextMenu: true,
+        fixedRowsTop: 2
+      });
+
+      selectCell(1, 1);
+      contextMenu();
+
+      const freezeEntry = $(hot.getPlugin('contextMenu').menu.container).find('div').filter(function() {
+        return $(this).text() === 'Unfreeze row';
+      });
+
+      expect(freezeEntry.size()).toEqual(1);
+    });
+
+    it('should fix the desired row after clicking the \'freeze row\' context menu entry', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 1,
+        contextMenu: true
+      });
+
+      selectCell(3, 1);
+
+      const dataAtCell = hot.getDataAtCell(3, 1);
+
+      contextMenu();
+
+      const freezeEntry = $(hot.getPlugin('contextMenu').menu.container).find('div').filter(function() {
+        return $(this).text() === 'Freeze row';
+      });
+
+      expect(freezeEntry.size()).toEqual(1);
+      freezeEntry.eq(0).simulate('mousedown');
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(2);
+      expect(hot.getDataAtCell(1, 1)).toEqual(dataAtCell);
+      expect(getTopClone().find('tbody tr').length).toEqual(2);
+    });
+
+    it('should unfix the desired row (and revert it to it\'s original position) after clicking the \'unfreeze row\' context menu entry', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 10),
+        manualRowFreeze: true,
+        fixedRowsTop: 3,
+        manualRowMove: [0, 2, 5, 3, 4, 1, 6, 7, 8, 9],
+        contextMenu: true,
+        colHeaders: true
+      });
+
+      expect(hot.getDataAtCol(0).slice(0, 3)).toEqual(['A1', 'A3', 'A6']);
+
+      selectCell(1, 1);
+      contextMenu();
+
+      let freezeEntry = $(hot.getPlugin('contextMenu').menu.container).find('div').filter(function() {
+        return $(this).text() === 'Unfreeze row';
+      });
+      freezeEntry.eq(0).simulate('mousedown');
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(2);
+      expect(hot.getDataAtCol(0).slice(0, 3)).toEqual(['A1', 'A6', 'A3']);
+
+      selectCell(1, 1);
+      contextMenu();
+
+      freezeEntry = $(hot.getPlugin('contextMenu').menu.container).find('div').filter(function() {
+        return $(this).text() === 'Unfreeze row';
+      });
+      freezeEntry.eq(0).simulate('mousedown');
+
+      expect(hot.getSettings().fixedRowsTop).toEqual(1);
+      expect(hot.getDataAtCol(0).slice(0, 3)).toEqual(['A1', 'A3', 'A4']);
+      expect(hot.getDataAtCell(5, 0)).toEqual('A6');
+    });
+  });
+});
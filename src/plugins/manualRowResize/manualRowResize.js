@@ -38,6 +38,7 @@ class ManualRowResize extends BasePlugin {
     this.dblclick = 0;
     this.autoresizeTimeout = null;
     this.manualRowHeights = [];
+    this.startManualRowHeights = [];
 
     addClass(this.handle, 'manualRowResizer');
     addClass(this.guide, 'manualRowResizerGuide');
@@ -346,6 +347,7 @@ class ManualRowResize extends BasePlugin {
       this.dblclick += 1;
       this.startY = pageY(event);
       this.newSize = this.startHeight;
+      this.startManualRowHeights = this.manualRowHeights.slice();
     }
   }
 
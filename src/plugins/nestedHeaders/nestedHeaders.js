@@ -0,0 +1,541 @@
+import BasePlugin from './../_base';
+import {
+  addClass,
+  fastInnerHTML,
+  hasClass,
+  removeClass,
+} from './../../helpers/dom/element';
+import { isImmediatePropagationStopped, isRightClick } from './../../helpers/dom/event';
+import { rangeEach } from './../../helpers/number';
+import { arrayEach } from './../../helpers/array';
+import { warn } from './../../helpers/console';
+import { registerPlugin } from './../../plugins';
+
+import './nestedHeaders.css';
+
+/**
+ * @plugin NestedHeaders
+ *
+ * @description
+ * The plugin allows to create a nested header structure, using the HTML's colspan attribute.
+ *
+ * To make any header wider (covering multiple table columns), it's corresponding configuration array element should be
+ * provided as an object with `label` and `colspan` properties. The `label` property defines the header's label,
+ * while the `colspan` property defines a number of columns that the header should cover.
+ *
+ * The headers are defined for the visual column indexes. The header which crosses the border of the fixed columns
+ * (see {@link Options#fixedColumnsLeft}) is split into two parts, one for each overlay.
+ *
+ * Clicking a header which covers multiple columns selects all of them.
+ *
+ * __Note__ that the plugin does not support the headers crossing the borders of the parent headers.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   nestedHeaders: [
+ *     ['A', {label: 'B', colspan: 8}, 'C'],
+ *     ['D', {label: 'E', colspan: 4}, {label: 'F', colspan: 4}, 'G'],
+ *     ['H', 'I', 'J', 'K', 'L', 'M', 'N', 'R', 'S', 'T']
+ *   ]
+ * });
+ * ```
+ */
+class NestedHeaders extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Nested headers cached settings.
+     *
+     * @private
+     * @type {Array[]}
+     */
+    this.settings = [];
+    /**
+     * Array of processed nested headers. Each level contains an object (with `label`, `colspan` and `hidden`
+     * properties) for every table column. The columns covered by a wider header are marked as `hidden`.
+     *
+     * @private
+     * @type {Array[]}
+     */
+    this.colspanArray = [];
+    /**
+     * Number of column header levels.
+     *
+     * @private
+     * @type {Number}
+     */
+    this.columnHeaderLevelCount = 0;
+    /**
+     * Range of the columns (visual indexes) which were selected by clicking the column header. The range is used as
+     * a starting point while extending the selection by dragging over the headers.
+     *
+     * @private
+     * @type {Object|null}
+     */
+    this.selectionAnchor = null;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link NestedHeaders#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().nestedHeaders;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.settings = this.hot.getSettings().nestedHeaders;
+
+    if (!Array.isArray(this.settings) || !Array.isArray(this.settings[0])) {
+      this.settings = [];
+
+      warn('The nestedHeaders option should be defined as an array of arrays with the headers configuration.');
+    }
+
+    this.columnHeaderLevelCount = this.settings.length;
+
+    this.addHook('afterGetColumnHeaderRenderers', array => this.onAfterGetColumnHeaderRenderers(array));
+    this.addHook('beforeOnCellMouseDown', (event, coords, TD, blockCalculations) => this.onBeforeOnCellMouseDown(event, coords, TD, blockCalculations));
+    this.addHook('beforeOnCellMouseOver', (event, coords, TD, blockCalculations) => this.onBeforeOnCellMouseOver(event, coords, TD, blockCalculations));
+
+    this.setupColspanArray();
+    this.checkForOverlappingHeaders();
+
+    super.enablePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    this.settings = [];
+    this.colspanArray = [];
+    this.columnHeaderLevelCount = 0;
+    this.selectionAnchor = null;
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    this.disablePlugin();
+    this.enablePlugin();
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Builds the colspan array based on the plugin settings.
+   *
+   * @private
+   */
+  setupColspanArray() {
+    this.colspanArray = [];
+
+    arrayEach(this.settings, (levelSettings, level) => {
+      this.colspanArray[level] = [];
+
+      arrayEach(levelSettings, (header) => {
+        const isObject = header !== null && typeof header === 'object';
+        const label = isObject ? header.label : header;
+        const colspan = isObject ? Math.max(parseInt(header.colspan, 10) || 1, 1) : 1;
+
+        this.colspanArray[level].push({
+          label: label === void 0 || label === null ? '' : label,
+          colspan,
+          hidden: false,
+        });
+
+        this.fillColspanArrayWithDummies(colspan, level);
+      });
+    });
+
+    this.fillTheRemainingColspans();
+  }
+
+  /**
+   * Adds the dummy (hidden) headers for the columns covered by the header with the provided colspan.
+   *
+   * @private
+   * @param {Number} colspan The colspan of the header.
+   * @param {Number} level Header level (`0` for the top-most header row).
+   */
+  fillColspanArrayWithDummies(colspan, level) {
+    rangeEach(0, colspan - 2, () => {
+      this.colspanArray[level].push({
+        label: '',
+        colspan: 1,
+        hidden: true,
+      });
+    });
+  }
+
+  /**
+   * Fills the header levels which are shorter than the number of the table columns with the empty headers.
+   *
+   * @private
+   */
+  fillTheRemainingColspans() {
+    const columnsCount = this.hot.countCols();
+
+    arrayEach(this.colspanArray, (levelHeaders) => {
+      for (let column = levelHeaders.length; column < columnsCount; column++) {
+        levelHeaders.push({
+          label: '',
+          colspan: 1,
+          hidden: false,
+        });
+      }
+    });
+  }
+
+  /**
+   * Checks if the headers cross the borders of their parent headers and warns if so.
+   *
+   * @private
+   */
+  checkForOverlappingHeaders() {
+    for (let level = 1; level < this.colspanArray.length; level++) {
+      const levelHeaders = this.colspanArray[level];
+
+      for (let column = 0; column < levelHeaders.length; column++) {
+        const header = levelHeaders[column];
+
+        if (!header.hidden && header.colspan > 1) {
+          const lastColumn = column + header.colspan - 1;
+
+          if (this.getNestedParent(level - 1, column) !== this.getNestedParent(level - 1, lastColumn)) {
+            warn('Your Nested Headers plugin setup contains overlapping headers. This kind of configuration is ' +
+              'currently not supported and might result in glitches.');
+
+            return;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Converts the header level (`0` for the top-most header row) to the row coordinates (`-1` for the bottom-most
+   * header row).
+   *
+   * @param {Number} level Header level.
+   * @returns {Number}
+   */
+  levelToRowCoords(level) {
+    return level - this.columnHeaderLevelCount;
+  }
+
+  /**
+   * Converts the row coordinates (`-1` for the bottom-most header row) to the header level (`0` for the top-most
+   * header row).
+   *
+   * @param {Number} row Row coordinates.
+   * @returns {Number}
+   */
+  rowCoordsToLevel(row) {
+    return row + this.columnHeaderLevelCount;
+  }
+
+  /**
+   * Gets the index of the column where the header covering the provided column starts.
+   *
+   * @param {Number} level Header level (`0` for the top-most header row).
+   * @param {Number} column Visual column index.
+   * @returns {Number} Visual column index of the header's beginning or `-1` if the header doesn't exist.
+   */
+  getNestedParent(level, column) {
+    const levelHeaders = this.colspanArray[level];
+
+    if (!levelHeaders || !levelHeaders[column]) {
+      return -1;
+    }
+
+    let parentColumn = column;
+
+    while (parentColumn > 0 && levelHeaders[parentColumn].hidden) {
+      parentColumn -= 1;
+    }
+
+    return parentColumn;
+  }
+
+  /**
+   * Gets the colspan of the header placed at the provided coordinates.
+   *
+   * @param {Number} row Row coordinates (`-1` for the bottom-most header row).
+   * @param {Number} column Visual column index.
+   * @returns {Number} Returns the header's colspan or `0` for the columns covered by another header.
+   */
+  getColspan(row, column) {
+    const levelHeaders = this.colspanArray[this.rowCoordsToLevel(row)];
+
+    if (!levelHeaders || !levelHeaders[column]) {
+      return 1;
+    }
+
+    return levelHeaders[column].hidden ? 0 : levelHeaders[column].colspan;
+  }
+
+  /**
+   * Gets the columns where the child headers (placed one level below) of the provided header start.
+   *
+   * @param {Number} row Row coordinates (`-1` for the bottom-most header row).
+   * @param {Number} column Visual column index.
+   * @returns {Number[]} Visual column indexes.
+   */
+  getChildHeaders(row, column) {
+    const level = this.rowCoordsToLevel(row);
+    const childHeaders = [];
+
+    if (level + 1 >= this.columnHeaderLevelCount) {
+      return childHeaders;
+    }
+
+    const parentColumn = this.getNestedParent(level, column);
+
+    if (parentColumn === -1) {
+      return childHeaders;
+    }
+
+    const lastColumn = parentColumn + this.colspanArray[level][parentColumn].colspan - 1;
+
+    rangeEach(parentColumn, lastColumn, (childColumn) => {
+      const childHeader = this.colspanArray[level + 1][childColumn];
+
+      if (childHeader && !childHeader.hidden) {
+        childHeaders.push(childColumn);
+      }
+    });
+
+    return childHeaders;
+  }
+
+  /**
+   * Gets the range of the columns covered by the header placed at the provided coordinates.
+   *
+   * @private
+   * @param {Number} row Row coordinates (`-1` for the bottom-most header row).
+   * @param {Number} column Visual column index.
+   * @returns {Object} Object with `start` and `end` properties (visual column indexes).
+   */
+  getHeaderRange(row, column) {
+    const level = this.rowCoordsToLevel(row);
+    const start = this.getNestedParent(level, column);
+
+    if (start === -1) {
+      return { start: column, end: column };
+    }
+
+    return {
+      start,
+      end: start + this.colspanArray[level][start].colspan - 1,
+    };
+  }
+
+  /**
+   * Generates the header renderer for the provided header level.
+   *
+   * @private
+   * @param {Number} headerRow Header level (`0` for the top-most header row).
+   * @returns {Function}
+   */
+  headerRendererFactory(headerRow) {
+    return (index, TH) => {
+      TH.removeAttribute('colspan');
+      removeClass(TH, 'coveredHeader');
+
+      const header = this.colspanArray[headerRow] ? this.colspanArray[headerRow][index] : void 0;
+      let label = '';
+
+      if (header) {
+        const { start, end } = this.getRenderedHeaderRange(headerRow, index, TH);
+
+        if (index === start) {
+          label = this.colspanArray[headerRow][this.getNestedParent(headerRow, index)].label;
+
+          if (end > start) {
+            TH.setAttribute('colspan', end - start + 1);
+          }
+        } else {
+          addClass(TH, 'coveredHeader');
+        }
+      }
+
+      let container = TH.firstChild;
+
+      if (!container || !hasClass(container, 'relative')) {
+        const span = document.createElement('span');
+
+        container = document.createElement('div');
+        container.className = 'relative';
+        span.className = 'colHeader';
+        container.appendChild(span);
+
+        TH.innerHTML = '';
+        TH.appendChild(container);
+      }
+
+      fastInnerHTML(container.querySelector('.colHeader'), label);
+
+      this.hot.runHooks('afterGetColHeader', index, TH);
+    };
+  }
+
+  /**
+   * Gets the part of the header which can be rendered in the table row the provided TH element belongs to. The header
+   * is clipped to the columns rendered by the overlay and it is split on the border of the fixed columns.
+   *
+   * @private
+   * @param {Number} level Header level (`0` for the top-most header row).
+   * @param {Number} column Visual column index.
+   * @param {HTMLTableCellElement} TH The header element.
+   * @returns {Object} Object with `start` and `end` properties (visual column indexes).
+   */
+  getRenderedHeaderRange(level, column, TH) {
+    let { start, end } = this.getHeaderRange(this.levelToRowCoords(level), column);
+    const fixedColumnsLeft = this.hot.getSettings().fixedColumnsLeft;
+
+    if (column < fixedColumnsLeft) {
+      end = Math.min(end, fixedColumnsLeft - 1);
+    } else {
+      start = Math.max(start, fixedColumnsLeft);
+    }
+
+    const TR = TH.parentNode;
+
+    if (TR) {
+      const rowHeadersCount = this.hot.view.wt.getSetting('rowHeaders').length;
+      const firstRenderedColumn = column - (TH.cellIndex - rowHeadersCount);
+      const lastRenderedColumn = firstRenderedColumn + TR.childNodes.length - rowHeadersCount - 1;
+
+      start = Math.max(start, firstRenderedColumn);
+      end = Math.min(end, lastRenderedColumn);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Replaces the default column header renderers with the renderers for each level of the nested headers.
+   *
+   * @private
+   * @param {Function[]} renderersArray Array of the column header renderers.
+   */
+  onAfterGetColumnHeaderRenderers(renderersArray) {
+    if (renderersArray) {
+      renderersArray.length = 0;
+
+      for (let headersCount = 0; headersCount < this.columnHeaderLevelCount; headersCount++) {
+        renderersArray.push(this.headerRendererFactory(headersCount));
+      }
+    }
+  }
+
+  /**
+   * Selects all columns covered by the clicked header.
+   *
+   * @private
+   * @param {MouseEvent} event Mouse event.
+   * @param {CellCoords} coords Clicked cell coords.
+   * @param {HTMLElement} TD The clicked element.
+   * @param {Object} blockCalculations An object which allows to block the selection calculations.
+   */
+  onBeforeOnCellMouseDown(event, coords, TD, blockCalculations) {
+    if (isImmediatePropagationStopped(event) || coords.row >= 0 || coords.col < 0) {
+      this.selectionAnchor = null;
+
+      return;
+    }
+
+    const { start, end } = this.getHeaderRange(coords.row, coords.col);
+
+    if (isRightClick(event)) {
+      const selectedRange = this.hot.getSelectedRangeLast();
+
+      if (selectedRange && this.hot.selection.isSelectedByColumnHeader() &&
+          selectedRange.getTopLeftCorner().col <= start && selectedRange.getBottomRightCorner().col >= end) {
+        blockCalculations.column = true;
+
+        return;
+      }
+    }
+
+    if (start === end) {
+      this.selectionAnchor = { start, end };
+
+      return;
+    }
+
+    const selectedRange = this.hot.getSelectedRangeLast();
+
+    blockCalculations.column = true;
+
+    if (event.shiftKey && selectedRange && this.hot.selection.isSelectedByColumnHeader()) {
+      const fromColumn = selectedRange.from.col;
+
+      this.hot.selectColumns(fromColumn, fromColumn <= start ? end : start);
+
+    } else {
+      this.selectionAnchor = { start, end };
+      this.hot.selectColumns(start, end);
+    }
+  }
+
+  /**
+   * Extends the selection to all columns covered by the header the mouse is dragged over.
+   *
+   * @private
+   * @param {MouseEvent} event Mouse event.
+   * @param {CellCoords} coords Cell coords.
+   * @param {HTMLElement} TD The element the mouse is over.
+   * @param {Object} blockCalculations An object which allows to block the selection calculations.
+   */
+  onBeforeOnCellMouseOver(event, coords, TD, blockCalculations) {
+    if (coords.row >= 0 || coords.col < 0 || !this.selectionAnchor || !this.hot.view.isMouseDown() ||
+        !this.hot.selection.isSelectedByColumnHeader()) {
+      return;
+    }
+
+    const { start, end } = this.getHeaderRange(coords.row, coords.col);
+    const anchor = this.selectionAnchor;
+
+    blockCalculations.column = true;
+
+    if (start < anchor.start) {
+      this.hot.selectColumns(anchor.end, start);
+
+    } else {
+      this.hot.selectColumns(anchor.start, Math.max(end, anchor.end));
+    }
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.settings = null;
+    this.colspanArray = null;
+    this.selectionAnchor = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('nestedHeaders', NestedHeaders);
+
+export default NestedHeaders;
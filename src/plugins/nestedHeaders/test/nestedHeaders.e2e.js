@@ -0,0 +1,224 @@
+describe('NestedHeaders', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function getNestedHeadersSettings() {
+    return [
+      ['A', { label: 'B', colspan: 8 }, 'C'],
+      ['D', { label: 'E', colspan: 4 }, { label: 'F', colspan: 4 }, 'G'],
+      ['H', 'I', 'J', 'K', 'L', 'M', 'N', 'R', 'S', 'T']
+    ];
+  }
+
+  describe('initialization', () => {
+    it('should render as many header rows as the nested headers levels', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      expect(spec().$container.find('.ht_clone_top thead tr').length).toBe(3);
+    });
+
+    it('should render the headers with the colspan attribute', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      const $headerRows = spec().$container.find('.ht_clone_top thead tr');
+
+      expect($headerRows.eq(0).find('th').eq(1).attr('colspan')).toEqual('8');
+      expect($headerRows.eq(0).find('th').eq(1).text()).toEqual('B');
+      expect($headerRows.eq(0).find('th').eq(2).hasClass('coveredHeader')).toBe(true);
+      expect($headerRows.eq(0).find('th').eq(9).text()).toEqual('C');
+      expect($headerRows.eq(1).find('th').eq(1).attr('colspan')).toEqual('4');
+      expect($headerRows.eq(1).find('th').eq(5).attr('colspan')).toEqual('4');
+      expect($headerRows.eq(1).find('th').eq(5).text()).toEqual('F');
+      expect($headerRows.eq(2).find('th').eq(3).attr('colspan')).toBeUndefined();
+      expect($headerRows.eq(2).find('th').eq(3).text()).toEqual('K');
+    });
+
+    it('should fill the missing headers with empty labels', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        nestedHeaders: [
+          [{ label: 'A', colspan: 2 }],
+          ['B', 'C', 'D', 'E', 'F'],
+        ],
+      });
+
+      const $topHeaders = spec().$container.find('.ht_clone_top thead tr:eq(0) th');
+
+      expect($topHeaders.eq(2).text()).toEqual('');
+      expect($topHeaders.eq(2).hasClass('coveredHeader')).toBe(false);
+    });
+
+    it('should restore the default headers after disabling the plugin', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        colHeaders: true,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      updateSettings({ nestedHeaders: false });
+
+      expect(spec().$container.find('.ht_clone_top thead tr').length).toBe(1);
+      expect(spec().$container.find('.ht_clone_top thead th[colspan]').length).toBe(0);
+    });
+  });
+
+  describe('API', () => {
+    it('should return the colspan of the header', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+      const plugin = hot.getPlugin('nestedHeaders');
+
+      expect(plugin.getColspan(-3, 1)).toBe(8);
+      expect(plugin.getColspan(-3, 2)).toBe(0);
+      expect(plugin.getColspan(-2, 5)).toBe(4);
+      expect(plugin.getColspan(-1, 5)).toBe(1);
+    });
+
+    it('should return the nested parent and the child headers', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+      const plugin = hot.getPlugin('nestedHeaders');
+
+      expect(plugin.getNestedParent(0, 6)).toBe(1);
+      expect(plugin.getNestedParent(1, 6)).toBe(5);
+      expect(plugin.getNestedParent(2, 6)).toBe(6);
+      expect(plugin.getChildHeaders(-3, 3)).toEqual([1, 5]);
+      expect(plugin.getChildHeaders(-1, 3)).toEqual([]);
+    });
+  });
+
+  describe('selection', () => {
+    it('should select all columns covered by the clicked header', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      const $header = spec().$container.find('.ht_clone_top thead tr:eq(1) th:eq(5)');
+
+      $header.simulate('mousedown');
+      $header.simulate('mouseup');
+
+      expect(getSelected()).toEqual([[0, 5, 4, 8]]);
+    });
+
+    it('should extend the selection while dragging over the headers', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      const $headerRow = spec().$container.find('.ht_clone_top thead tr:eq(1)');
+
+      $headerRow.find('th:eq(5)').simulate('mousedown');
+      $headerRow.find('th:eq(1)').simulate('mouseover');
+      $headerRow.find('th:eq(1)').simulate('mouseup');
+
+      expect(getSelected()).toEqual([[0, 8, 4, 1]]);
+    });
+
+    it('should select a single column after clicking the bottom-most header', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      const $header = spec().$container.find('.ht_clone_top thead tr:eq(2) th:eq(3)');
+
+      $header.simulate('mousedown');
+      $header.simulate('mouseup');
+
+      expect(getSelected()).toEqual([[0, 3, 4, 3]]);
+    });
+  });
+
+  describe('cooperation with other plugins', () => {
+    it('should split the headers on the border of the fixed columns', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        fixedColumnsLeft: 3,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      const $cornerHeaders = spec().$container.find('.ht_clone_top_left_corner thead tr:eq(0) th');
+      const $topHeaders = spec().$container.find('.ht_clone_top thead tr:eq(0) th');
+
+      expect($cornerHeaders.length).toBe(3);
+      expect($cornerHeaders.eq(1).attr('colspan')).toEqual('2');
+      expect($topHeaders.eq(3).attr('colspan')).toEqual('6');
+      expect($topHeaders.eq(3).text()).toEqual('B');
+    });
+
+    it('should split the headers after freezing a column', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        manualColumnFreeze: true,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      hot.getPlugin('manualColumnFreeze').freezeColumn(1);
+      hot.render();
+
+      const $cornerHeaders = spec().$container.find('.ht_clone_top_left_corner thead tr:eq(0) th');
+
+      expect(hot.getSettings().fixedColumnsLeft).toBe(1);
+      expect($cornerHeaders.length).toBe(1);
+      expect($cornerHeaders.eq(0).attr('colspan')).toBeUndefined();
+    });
+
+    it('should allow resizing the columns using the bottom-most headers', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 10),
+        width: 800,
+        height: 300,
+        manualColumnResize: true,
+        nestedHeaders: getNestedHeadersSettings(),
+      });
+
+      const $th = spec().$container.find('.ht_clone_top thead tr:eq(2) th:eq(2)');
+
+      $th.simulate('mouseover');
+
+      const $resizer = spec().$container.find('.manualColumnResizer');
+      const resizerPosition = $resizer.position();
+
+      $resizer.simulate('mousedown', { clientX: resizerPosition.left });
+      $resizer.simulate('mousemove', { clientX: resizerPosition.left + 30 });
+      $resizer.simulate('mouseup');
+
+      expect(hot.getColWidth(2)).toBeGreaterThan(50);
+    });
+  });
+});
@@ -0,0 +1,540 @@
+import { arrayEach, arrayFilter, arrayMap } from './../../../helpers/array';
+import { rangeEach } from './../../../helpers/number';
+import { deepExtend } from './../../../helpers/object';
+
+/**
+ * Maximum number of the cell meta rows passed to the {@link Core#spliceCellsMeta} method at once.
+ *
+ * @type {Number}
+ */
+const CELLS_META_CHUNK_SIZE = 1000;
+
+/**
+ * Class responsible for making data operations on the nested data structure. The nested data is flattened
+ * (depth-first) into the list of rows, so the index of the row in that list is used as the physical row index.
+ *
+ * @class DataManager
+ * @plugin NestedRows
+ */
+class DataManager {
+  constructor(nestedRowsPlugin, hotInstance) {
+    /**
+     * Handsontable instance.
+     *
+     * @type {Core}
+     */
+    this.hot = hotInstance;
+    /**
+     * Reference to the NestedRows plugin.
+     *
+     * @type {NestedRows}
+     */
+    this.plugin = nestedRowsPlugin;
+    /**
+     * The source data (the top-level rows).
+     *
+     * @type {Object[]}
+     */
+    this.data = [];
+    /**
+     * Cache of the flattened data structure:
+     *  * `levels` - list of the row objects grouped by the nesting level,
+     *  * `levelCount` - number of the nesting levels,
+     *  * `rows` - list of all row objects in the rendering order (index of the row in the list is the physical row index),
+     *  * `nodeInfo` - `WeakMap` containing the `{parent, row, level}` object for each row object.
+     *
+     * @type {Object}
+     */
+    this.cache = {
+      levels: [],
+      levelCount: 0,
+      rows: [],
+      nodeInfo: new WeakMap(),
+    };
+  }
+
+  /**
+   * Sets the source data.
+   *
+   * @param {Object[]} data The nested data.
+   */
+  setData(data) {
+    this.data = Array.isArray(data) ? data : [];
+  }
+
+  /**
+   * Rebuilds the cache of the flattened data structure.
+   */
+  rewriteCache() {
+    this.cache = {
+      levels: [],
+      levelCount: 0,
+      rows: [],
+      nodeInfo: new WeakMap(),
+    };
+
+    arrayEach(this.data, (element) => {
+      this.cacheNode(element, 0, null);
+    });
+  }
+
+  /**
+   * Adds the row object and its descendants to the cache.
+   *
+   * @private
+   * @param {Object} element The row object.
+   * @param {Number} level Nesting level of the row.
+   * @param {Object|null} parent The parent row object (`null` for the top-level rows).
+   */
+  cacheNode(element, level, parent) {
+    if (!this.cache.levels[level]) {
+      this.cache.levels[level] = [];
+      this.cache.levelCount += 1;
+    }
+
+    this.cache.levels[level].push(element);
+    this.cache.rows.push(element);
+    this.cache.nodeInfo.set(element, {
+      parent,
+      row: this.cache.rows.length - 1,
+      level,
+    });
+
+    if (this.hasChildren(element)) {
+      arrayEach(element.__children, (child) => {
+        this.cacheNode(child, level + 1, element);
+      });
+    }
+  }
+
+  /**
+   * Gets the row object placed at the provided physical index.
+   *
+   * @param {Number} row Physical row index.
+   * @returns {Object|undefined}
+   */
+  getDataObject(row) {
+    return this.cache.rows[row];
+  }
+
+  /**
+   * Gets the physical index of the row object.
+   *
+   * @param {Object} element The row object.
+   * @returns {Number|null} Physical row index or `null` when the object is not a part of the data.
+   */
+  getRowIndex(element) {
+    const nodeInfo = this.getNodeInfo(element);
+
+    return nodeInfo ? nodeInfo.row : null;
+  }
+
+  /**
+   * Gets the index of the row within its parent's children list (or within the top-level rows).
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Number}
+   */
+  getRowIndexWithinParent(row) {
+    const element = this.readRow(row);
+
+    return this.getChildrenList(this.getRowParent(element)).indexOf(element);
+  }
+
+  /**
+   * Counts all rows (including the nested ones).
+   *
+   * @returns {Number}
+   */
+  countAllRows() {
+    return this.cache.rows.length;
+  }
+
+  /**
+   * Counts all descendants of the row.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Number}
+   */
+  countChildren(row) {
+    const element = this.readRow(row);
+    let count = 0;
+
+    if (this.hasChildren(element)) {
+      arrayEach(element.__children, (child) => {
+        count += this.countChildren(child) + 1;
+      });
+    }
+
+    return count;
+  }
+
+  /**
+   * Gets the parent of the row.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Object|null} The parent row object or `null` for the top-level rows.
+   */
+  getRowParent(row) {
+    const nodeInfo = this.getNodeInfo(this.readRow(row));
+
+    return nodeInfo ? nodeInfo.parent : null;
+  }
+
+  /**
+   * Gets the nesting level of the row (`0` for the top-level rows).
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Number|null}
+   */
+  getRowLevel(row) {
+    const nodeInfo = this.getNodeInfo(this.readRow(row));
+
+    return nodeInfo ? nodeInfo.level : null;
+  }
+
+  /**
+   * Checks if the row has any children.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Boolean}
+   */
+  hasChildren(row) {
+    const element = this.readRow(row);
+
+    return !!element && Array.isArray(element.__children) && element.__children.length > 0;
+  }
+
+  /**
+   * Checks if the row is a parent, which means it has the `__children` array defined (even if it is empty).
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Boolean}
+   */
+  isParent(row) {
+    const element = this.readRow(row);
+
+    return !!element && Array.isArray(element.__children);
+  }
+
+  /**
+   * Checks if the row is a descendant of the other row.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @param {Number|Object} ancestorRow Physical row index or the row object of the possible ancestor.
+   * @returns {Boolean}
+   */
+  isDescendant(row, ancestorRow) {
+    const ancestor = this.readRow(ancestorRow);
+    let parent = this.getRowParent(row);
+
+    while (parent) {
+      if (parent === ancestor) {
+        return true;
+      }
+
+      parent = this.getRowParent(parent);
+    }
+
+    return false;
+  }
+
+  /**
+   * Gets the row objects of the provided rows, skipping the rows, which are descendants of the other provided rows.
+   *
+   * @param {Number[]} rows List of the physical row indexes.
+   * @returns {Object[]} List of the row objects, in the order of the physical indexes.
+   */
+  getTopmostElements(rows) {
+    const elements = arrayMap([...rows].sort((a, b) => a - b), row => this.getDataObject(row));
+    const providedElements = new Set(arrayFilter(elements, element => element !== void 0));
+
+    return arrayFilter(elements, (element) => {
+      if (element === void 0) {
+        return false;
+      }
+
+      let parent = this.getRowParent(element);
+
+      while (parent) {
+        if (providedElements.has(parent)) {
+          return false;
+        }
+
+        parent = this.getRowParent(parent);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Creates an empty row object based on the data schema.
+   *
+   * @returns {Object}
+   */
+  mockNode() {
+    const element = {};
+
+    deepExtend(element, this.hot.getSchema());
+
+    return element;
+  }
+
+  /**
+   * Adds a child to the row. The child is placed at the end of the parent's children list.
+   *
+   * @param {Number|Object|null} parent Physical row index or the row object of the parent. For `null` the row is added
+   *                                    at the end of the top-level rows.
+   * @param {Object} [element] The row object to add. If not provided, an empty row is created.
+   * @fires Hooks#beforeAddChild
+   * @fires Hooks#afterAddChild
+   */
+  addChild(parent, element) {
+    const parentElement = this.readRow(parent);
+
+    this.addChildAtIndex(parentElement, this.getChildrenList(parentElement).length, element);
+  }
+
+  /**
+   * Adds a child to the row at the provided position of the parent's children list.
+   *
+   * @param {Number|Object|null} parent Physical row index or the row object of the parent. For `null` the row is added
+   *                                    to the top-level rows.
+   * @param {Number} index Index within the parent's children list.
+   * @param {Object} [element] The row object to add. If not provided, an empty row is created.
+   * @fires Hooks#beforeAddChild
+   * @fires Hooks#afterAddChild
+   */
+  addChildAtIndex(parent, index, element) {
+    const parentElement = this.readRow(parent) || null;
+    const childElement = element || this.mockNode();
+
+    this.hot.runHooks('beforeAddChild', parentElement, element, index);
+    this.insertElement(childElement, parentElement, index);
+    this.hot.runHooks('afterAddChild', parentElement, childElement, index);
+
+    this.hot.render();
+  }
+
+  /**
+   * Adds an empty sibling of the row.
+   *
+   * @param {Number} row Physical row index.
+   * @param {String} [where='below'] `'above'` or `'below'` - place of the new row relative to the provided one.
+   * @fires Hooks#beforeAddChild
+   * @fires Hooks#afterAddChild
+   */
+  addSibling(row, where = 'below') {
+    const element = this.readRow(row);
+    const index = this.getRowIndexWithinParent(element);
+
+    this.addChildAtIndex(this.getRowParent(element), where === 'above' ? index : index + 1);
+  }
+
+  /**
+   * Detaches the rows from their parents. Each detached row becomes the sibling of its former parent and is placed
+   * right after it. The top-level rows are skipped.
+   *
+   * @param {Number|Number[]} rows Physical row index or the list of physical row indexes.
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   * @fires Hooks#beforeDetachChild
+   * @fires Hooks#afterDetachChild
+   */
+  detachFromParent(rows, forceRender = true) {
+    // The rows are detached from the last one, so the rows detached from the same parent keep their order.
+    const elements = this.getTopmostElements([].concat(rows)).reverse();
+
+    arrayEach(elements, (element) => {
+      const parent = this.getRowParent(element);
+
+      if (!parent) {
+        return;
+      }
+
+      this.hot.runHooks('beforeDetachChild', parent, element);
+      this.moveElement(element, this.getRowParent(parent), this.getRowIndexWithinParent(parent) + 1);
+      this.hot.runHooks('afterDetachChild', parent, element, this.getRowIndex(element));
+    });
+
+    if (forceRender) {
+      this.hot.render();
+    }
+  }
+
+  /**
+   * Moves the row (with its descendants) before the row placed at the `toIndex` position. The moved row becomes
+   * a sibling of the target row. When `toIndex` is equal to the number of all rows, the row is moved to the end of
+   * the top-level rows. A row cannot be moved into its own descendants.
+   *
+   * @param {Number} fromIndex Physical index of the moved row.
+   * @param {Number} toIndex Physical index of the row, before which the moved row is placed.
+   * @fires Hooks#beforeNestedRowMove
+   * @fires Hooks#afterNestedRowMove
+   * @returns {Boolean} `true` if the row was moved.
+   */
+  moveRow(fromIndex, toIndex) {
+    const element = this.getDataObject(fromIndex);
+    const target = this.getDataObject(toIndex);
+
+    if (!element || element === target || (target && this.isDescendant(target, element))) {
+      return false;
+    }
+
+    const previousParent = this.getRowParent(element);
+    const previousIndex = this.getRowIndexWithinParent(element);
+    const parent = target ? this.getRowParent(target) : null;
+    let index = target ? this.getRowIndexWithinParent(target) : this.data.length;
+
+    if (parent === previousParent && previousIndex < index) {
+      index -= 1;
+    }
+
+    const allowMove = this.hot.runHooks('beforeNestedRowMove', element, parent, index, previousParent, previousIndex);
+
+    if (allowMove === false) {
+      return false;
+    }
+
+    this.moveElement(element, parent, index);
+    this.hot.runHooks('afterNestedRowMove', element, parent, index, previousParent, previousIndex);
+
+    return true;
+  }
+
+  /**
+   * Inserts the row object into the data structure. This method does not trigger any hooks.
+   *
+   * @param {Object} element The row object.
+   * @param {Object|null} parent The parent row object (`null` for the top-level rows).
+   * @param {Number} index Index within the parent's children list.
+   * @param {Boolean} [updateCellsMeta=true] If `true`, the cell meta is moved along with the rows.
+   */
+  insertElement(element, parent, index, updateCellsMeta = true) {
+    this.changeStructure(() => {
+      this.getChildrenList(parent, true).splice(index, 0, element);
+    }, updateCellsMeta);
+  }
+
+  /**
+   * Removes the row object (with its descendants) from the data structure. This method does not trigger any hooks.
+   *
+   * @param {Object} element The row object.
+   * @param {Boolean} [updateCellsMeta=true] If `true`, the cell meta is moved along with the rows.
+   */
+  removeElement(element, updateCellsMeta = true) {
+    if (this.getRowIndex(element) === null) {
+      return;
+    }
+
+    const siblings = this.getChildrenList(this.getRowParent(element));
+
+    this.changeStructure(() => {
+      siblings.splice(siblings.indexOf(element), 1);
+    }, updateCellsMeta);
+  }
+
+  /**
+   * Moves the row object (with its descendants) to the provided position. This method does not trigger any hooks.
+   *
+   * @param {Object} element The row object.
+   * @param {Object|null} parent The new parent row object (`null` for the top-level rows).
+   * @param {Number} index Index within the new parent's children list (counted after removing the element from its
+   *                       current position).
+   */
+  moveElement(element, parent, index) {
+    const siblings = this.getChildrenList(this.getRowParent(element));
+
+    this.changeStructure(() => {
+      siblings.splice(siblings.indexOf(element), 1);
+      this.getChildrenList(parent, true).splice(index, 0, element);
+    });
+  }
+
+  /**
+   * Modifies the data structure and updates the plugin state. The cell meta is reordered, so it follows the rows it
+   * was created for.
+   *
+   * @private
+   * @param {Function} modifier Function which modifies the data structure.
+   * @param {Boolean} [updateCellsMeta=true] If `true`, the cell meta is moved along with the rows.
+   */
+  changeStructure(modifier, updateCellsMeta = true) {
+    const previousRowsCount = this.countAllRows();
+    const cellsMeta = new Map();
+
+    if (updateCellsMeta) {
+      arrayEach(this.cache.rows, (element, row) => {
+        cellsMeta.set(element, this.hot.getCellMetaAtRow(row));
+      });
+    }
+
+    modifier();
+    this.plugin.updateStructure();
+
+    if (updateCellsMeta) {
+      const rowsMeta = arrayMap(this.cache.rows, element => cellsMeta.get(element));
+
+      this.hot.spliceCellsMeta(0, previousRowsCount);
+
+      rangeEach(0, Math.ceil(rowsMeta.length / CELLS_META_CHUNK_SIZE) - 1, (chunk) => {
+        const start = chunk * CELLS_META_CHUNK_SIZE;
+
+        this.hot.spliceCellsMeta(start, 0, ...rowsMeta.slice(start, start + CELLS_META_CHUNK_SIZE));
+      });
+    }
+  }
+
+  /**
+   * Gets the children list of the parent.
+   *
+   * @private
+   * @param {Object|null} parent The parent row object (`null` for the top-level rows).
+   * @param {Boolean} [create=false] If `true`, the `__children` array is created when it is missing.
+   * @returns {Object[]}
+   */
+  getChildrenList(parent, create = false) {
+    if (!parent) {
+      return this.data;
+    }
+    if (create && !Array.isArray(parent.__children)) {
+      parent.__children = [];
+    }
+
+    return parent.__children || [];
+  }
+
+  /**
+   * Gets the cached information about the row object.
+   *
+   * @private
+   * @param {Object} element The row object.
+   * @returns {Object|undefined}
+   */
+  getNodeInfo(element) {
+    return element && typeof element === 'object' ? this.cache.nodeInfo.get(element) : void 0;
+  }
+
+  /**
+   * Translates the physical row index to the row object.
+   *
+   * @private
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Object|undefined}
+   */
+  readRow(row) {
+    return typeof row === 'number' ? this.getDataObject(row) : row;
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.data = null;
+    this.cache = null;
+    this.hot = null;
+    this.plugin = null;
+  }
+}
+
+export default DataManager;
@@ -0,0 +1,431 @@
+import BasePlugin from './../_base';
+import { hasClass } from './../../helpers/dom/element';
+import { stopImmediatePropagation } from './../../helpers/dom/event';
+import { arrayEach, arrayMap } from './../../helpers/array';
+import { warn } from './../../helpers/console';
+import { registerPlugin } from './../../plugins';
+import DataManager from './data/dataManager';
+import CollapsingUI from './ui/collapsing';
+import HeadersUI from './ui/headers';
+import ContextMenuUI from './ui/contextMenu';
+
+import './nestedRows.css';
+
+const privatePool = new WeakMap();
+
+/**
+ * @plugin NestedRows
+ * @dependencies TrimRows
+ *
+ * @description
+ * Plugin responsible for displaying and operating on data sources with nested structures. The nested rows are defined
+ * in the source data (an array of objects) under the `__children` key. The row headers display the nesting level
+ * indentation and the buttons, which allow collapsing and expanding the children.
+ *
+ * The nested data is flattened (depth-first) into the list of rows, so the physical row indexes point at the rows of
+ * that list. The collapsed rows are hidden with the {@link TrimRows} plugin, which is enabled automatically (the list
+ * of the trimmed rows is managed by this plugin).
+ *
+ * The structural changes (adding the children and the siblings, detaching the rows from their parents, moving the rows
+ * and removing them) can be reverted with the {@link UndoRedo} plugin.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: [
+ *     {
+ *       part: 'Bicycle',
+ *       quantity: 1,
+ *       __children: [
+ *         { part: 'Frame', quantity: 1 },
+ *         { part: 'Wheel', quantity: 2, __children: [{ part: 'Spoke', quantity: 32 }] },
+ *       ],
+ *     },
+ *   ],
+ *   rowHeaders: true,
+ *   nestedRows: true,
+ * });
+ *
+ * const nestedRowsPlugin = hot.getPlugin('nestedRows');
+ *
+ * // add a child to the "Wheel" row (physical row index)
+ * nestedRowsPlugin.dataManager.addChild(2, { part: 'Hub', quantity: 1 });
+ * // collapse all rows
+ * nestedRowsPlugin.collapsingUI.collapseAll();
+ * ```
+ */
+class NestedRows extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Source data object.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.sourceData = null;
+    /**
+     * Reference to the TrimRows plugin.
+     *
+     * @private
+     * @type {TrimRows}
+     */
+    this.trimRowsPlugin = null;
+    /**
+     * Reference to the DataManager instance.
+     *
+     * @type {DataManager}
+     */
+    this.dataManager = null;
+    /**
+     * Reference to the HeadersUI instance.
+     *
+     * @type {HeadersUI}
+     */
+    this.headersUI = null;
+    /**
+     * Reference to the CollapsingUI instance.
+     *
+     * @type {CollapsingUI}
+     */
+    this.collapsingUI = null;
+    /**
+     * Reference to the ContextMenuUI instance.
+     *
+     * @private
+     * @type {ContextMenuUI}
+     */
+    this.contextMenuUI = null;
+
+    privatePool.set(this, {
+      trimRowsEnabledByPlugin: false,
+    });
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link NestedRows#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().nestedRows;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    const priv = privatePool.get(this);
+
+    this.trimRowsPlugin = this.hot.getPlugin('trimRows');
+
+    // The TrimRows plugin has to be enabled before adding the plugin hooks, so its hooks are run first.
+    if (!this.trimRowsPlugin.enabled) {
+      this.hot.getSettings().trimRows = true;
+      this.trimRowsPlugin.enablePlugin();
+      priv.trimRowsEnabledByPlugin = true;
+    }
+
+    if (this.hot.getSettings().columnSorting) {
+      warn('The NestedRows plugin does not support sorting. The sorted rows will not be displayed in the nested structure.');
+    }
+
+    this.dataManager = new DataManager(this, this.hot);
+    this.collapsingUI = new CollapsingUI(this, this.hot, this.trimRowsPlugin);
+    this.headersUI = new HeadersUI(this, this.hot);
+    this.contextMenuUI = new ContextMenuUI(this, this.hot);
+
+    this.addHook('afterLoadData', () => this.onAfterLoadData());
+    this.addHook('modifyRowData', row => this.onModifyRowData(row));
+    this.addHook('modifySourceLength', () => this.onModifySourceLength());
+    this.addHook('beforeDataSplice', (index, amount, element) => this.onBeforeDataSplice(index, amount, element));
+    this.addHook('beforeDataFilter', (index, amount, physicalRows) => this.onBeforeDataFilter(index, amount, physicalRows));
+    this.addHook('modifyRemovedAmount', (amount, index) => this.onModifyRemovedAmount(amount, index));
+    this.addHook('afterCreateRow', () => this.onAfterCreateRow());
+    this.addHook('afterRemoveRow', () => this.onAfterRemoveRow());
+    this.addHook('afterAddChild', parent => this.onAfterAddChild(parent));
+    this.addHook('beforeRowMove', (rows, target) => this.onBeforeRowMove(rows, target));
+    this.addHook('afterGetRowHeader', (row, TH) => this.onAfterGetRowHeader(row, TH));
+    this.addHook('modifyRowHeaderWidth', rowHeaderWidth => this.onModifyRowHeaderWidth(rowHeaderWidth));
+    this.addHook('beforeOnCellMouseDown', (event, coords, TD) => this.onBeforeOnCellMouseDown(event, coords, TD));
+    this.addHook('afterContextMenuDefaultOptions', defaultOptions => this.onAfterContextMenuDefaultOptions(defaultOptions));
+
+    super.enablePlugin();
+
+    // The plugin enabled with the `updateSettings` method has to read the already loaded data.
+    if (this.hot.view) {
+      this.onAfterLoadData();
+    }
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    const priv = privatePool.get(this);
+
+    if (this.enabled) {
+      this.trimRowsPlugin.untrimAll();
+
+      if (priv.trimRowsEnabledByPlugin) {
+        this.hot.getSettings().trimRows = false;
+        this.trimRowsPlugin.disablePlugin();
+        priv.trimRowsEnabledByPlugin = false;
+      }
+
+      this.contextMenuUI.destroy();
+      this.headersUI.destroy();
+      this.collapsingUI.destroy();
+      this.dataManager.destroy();
+    }
+
+    this.sourceData = null;
+    this.dataManager = null;
+    this.collapsingUI = null;
+    this.headersUI = null;
+    this.contextMenuUI = null;
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Rebuilds the cache of the nested data structure, updates the collapsed (trimmed) rows and the row headers width.
+   * This method is called after each change of the data structure.
+   *
+   * @private
+   */
+  updateStructure() {
+    this.dataManager.rewriteCache();
+    this.collapsingUI.updateTrimmedRows();
+    this.headersUI.updateRowHeaderWidth();
+  }
+
+  /**
+   * `afterLoadData` hook callback.
+   *
+   * @private
+   */
+  onAfterLoadData() {
+    this.sourceData = this.hot.getSourceData();
+
+    this.dataManager.setData(this.sourceData);
+    this.updateStructure();
+  }
+
+  /**
+   * `modifyRowData` hook callback. Translates the physical row index into the row object of the nested structure.
+   *
+   * @private
+   * @param {Number} row Physical row index.
+   * @returns {Object|undefined}
+   */
+  onModifyRowData(row) {
+    return this.dataManager.getDataObject(row);
+  }
+
+  /**
+   * `modifySourceLength` hook callback.
+   *
+   * @private
+   * @returns {Number} Number of all rows (including the nested ones).
+   */
+  onModifySourceLength() {
+    return this.dataManager.countAllRows();
+  }
+
+  /**
+   * `beforeDataSplice` hook callback. Inserts the new row before the row placed at the provided position (as its
+   * sibling).
+   *
+   * @private
+   * @param {Number} index Visual index of the row, before which the new row is inserted.
+   * @param {Number} amount Number of the rows to remove (always `0` for the inserted rows).
+   * @param {Object} element The new row object.
+   * @returns {Boolean}
+   */
+  onBeforeDataSplice(index, amount, element) {
+    const physicalRow = this.hot.toPhysicalRow(index);
+    const target = physicalRow === null ? void 0 : this.dataManager.getDataObject(physicalRow);
+
+    if (target) {
+      this.dataManager.insertElement(element, this.dataManager.getRowParent(target),
+        this.dataManager.getRowIndexWithinParent(target), false);
+
+    } else {
+      this.dataManager.insertElement(element, null, this.sourceData.length, false);
+    }
+
+    return false;
+  }
+
+  /**
+   * `beforeDataFilter` hook callback. Removes the rows (with their children) from the nested structure.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Number of the removed rows.
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   * @returns {Boolean}
+   */
+  onBeforeDataFilter(index, amount, physicalRows) {
+    arrayEach(this.dataManager.getTopmostElements(physicalRows), (element) => {
+      this.dataManager.removeElement(element, false);
+    });
+
+    return false;
+  }
+
+  /**
+   * `modifyRemovedAmount` hook callback. Extends the removed rows range, so it contains all the displayed children of
+   * the removed rows.
+   *
+   * @private
+   * @param {Number} amount Number of the removed rows.
+   * @param {Number} index Visual index of the first removed row (negative values are counted from the end).
+   * @returns {Number}
+   */
+  onModifyRemovedAmount(amount, index) {
+    const rowsCount = this.hot.countRows();
+
+    if (!rowsCount) {
+      return amount;
+    }
+
+    const firstRow = (rowsCount + index) % rowsCount;
+    let lastPhysicalRow = -1;
+    let removedAmount = 0;
+
+    for (let visualRow = firstRow; visualRow < rowsCount; visualRow += 1) {
+      const physicalRow = this.hot.toPhysicalRow(visualRow);
+
+      if (visualRow >= firstRow + amount && physicalRow > lastPhysicalRow) {
+        break;
+      }
+
+      lastPhysicalRow = Math.max(lastPhysicalRow, physicalRow + this.dataManager.countChildren(physicalRow));
+      removedAmount += 1;
+    }
+
+    return removedAmount;
+  }
+
+  /**
+   * `afterCreateRow` hook callback.
+   *
+   * @private
+   */
+  onAfterCreateRow() {
+    this.updateStructure();
+  }
+
+  /**
+   * `afterRemoveRow` hook callback.
+   *
+   * @private
+   */
+  onAfterRemoveRow() {
+    this.updateStructure();
+  }
+
+  /**
+   * `afterAddChild` hook callback. Expands the parent, so the added child is visible.
+   *
+   * @private
+   * @param {Object|null} parent The parent row object.
+   */
+  onAfterAddChild(parent) {
+    if (parent && this.collapsingUI.areChildrenCollapsed(parent)) {
+      this.collapsingUI.expandChildren(parent, false);
+    }
+  }
+
+  /**
+   * `beforeRowMove` hook callback. Moves the rows within the nested structure (the moved rows become the siblings of
+   * the target row) and cancels the default action of the {@link ManualRowMove} plugin.
+   *
+   * @private
+   * @param {Number[]} rows Visual indexes of the moved rows.
+   * @param {Number} target Visual index of the row, before which the rows are placed.
+   * @returns {Boolean}
+   */
+  onBeforeRowMove(rows, target) {
+    const dataManager = this.dataManager;
+    const elements = dataManager.getTopmostElements(arrayMap(rows, row => this.hot.toPhysicalRow(row)));
+    const targetPhysicalRow = target >= this.hot.countRows() ? null : this.hot.toPhysicalRow(target);
+    const targetElement = targetPhysicalRow === null ? void 0 : dataManager.getDataObject(targetPhysicalRow);
+
+    arrayEach(elements, (element) => {
+      const toIndex = targetElement ? dataManager.getRowIndex(targetElement) : dataManager.countAllRows();
+
+      dataManager.moveRow(dataManager.getRowIndex(element), toIndex);
+    });
+
+    this.hot.render();
+
+    return false;
+  }
+
+  /**
+   * `afterGetRowHeader` hook callback.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {HTMLElement} TH The row header element.
+   */
+  onAfterGetRowHeader(row, TH) {
+    this.headersUI.appendLevelIndicators(row, TH);
+  }
+
+  /**
+   * `modifyRowHeaderWidth` hook callback. Extends the row headers, so the nesting level indentation fits in.
+   *
+   * @private
+   * @param {Number|Number[]} rowHeaderWidth The row header width.
+   * @returns {Number|Number[]}
+   */
+  onModifyRowHeaderWidth(rowHeaderWidth) {
+    if (Array.isArray(rowHeaderWidth)) {
+      return rowHeaderWidth;
+    }
+
+    return Math.max(this.headersUI.rowHeaderWidthCache, rowHeaderWidth || 0);
+  }
+
+  /**
+   * `beforeOnCellMouseDown` hook callback. Toggles the collapsed state of the row after clicking the button placed in
+   * the row header.
+   *
+   * @private
+   * @param {MouseEvent} event Mouse event.
+   * @param {CellCoords} coords Clicked cell coords.
+   */
+  onBeforeOnCellMouseDown(event, coords) {
+    if (!hasClass(event.target, HeadersUI.CSS_CLASSES.button)) {
+      return;
+    }
+
+    this.collapsingUI.toggleState(this.hot.toPhysicalRow(coords.row));
+
+    stopImmediatePropagation(event);
+  }
+
+  /**
+   * `afterContextMenuDefaultOptions` hook callback.
+   *
+   * @private
+   * @param {Object} defaultOptions The default context menu options.
+   */
+  onAfterContextMenuDefaultOptions(defaultOptions) {
+    this.contextMenuUI.appendOptions(defaultOptions);
+  }
+}
+
+registerPlugin('nestedRows', NestedRows);
+
+export default NestedRows;
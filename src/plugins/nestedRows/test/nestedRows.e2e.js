@@ -0,0 +1,412 @@
+describe('NestedRows', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function getData() {
+    return [
+      {
+        part: 'Bicycle',
+        quantity: 1,
+        __children: [
+          { part: 'Frame', quantity: 1 },
+          {
+            part: 'Wheel',
+            quantity: 2,
+            __children: [
+              { part: 'Spoke', quantity: 32 },
+              { part: 'Tyre', quantity: 1 },
+            ],
+          },
+        ],
+      },
+      {
+        part: 'Scooter',
+        quantity: 1,
+        __children: [
+          { part: 'Deck', quantity: 1 },
+        ],
+      },
+      { part: 'Bell', quantity: 3 },
+    ];
+  }
+
+  function getSettings(settings = {}) {
+    return Object.assign({
+      data: getData(),
+      columns: [{ data: 'part' }, { data: 'quantity' }],
+      rowHeaders: true,
+      nestedRows: true,
+    }, settings);
+  }
+
+  describe('data mapping', () => {
+    it('should display the nested rows as a flat list', () => {
+      handsontable(getSettings());
+
+      expect(countRows()).toBe(8);
+      expect(countSourceRows()).toBe(8);
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck', 'Bell']);
+      expect(getDataAtRow(3)).toEqual(['Spoke', 32]);
+      expect(getSourceDataAtCell(6, 0)).toBe('Deck');
+    });
+
+    it('should not change the source data structure', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      expect(getSourceData()).toBe(data);
+      expect(data.length).toBe(3);
+      expect(getSourceDataAtRow(2)).toBe(data[0].__children[1]);
+    });
+
+    it('should save the changed values in the nested objects', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      setDataAtCell(3, 1, 36);
+
+      expect(data[0].__children[1].__children[0].quantity).toBe(36);
+      expect(getDataAtCell(3, 1)).toBe(36);
+    });
+
+    it('should provide the information about the nested structure', () => {
+      handsontable(getSettings());
+
+      const dataManager = getPlugin('nestedRows').dataManager;
+
+      expect(dataManager.countAllRows()).toBe(8);
+      expect(dataManager.countChildren(0)).toBe(4);
+      expect(dataManager.getRowLevel(4)).toBe(2);
+      expect(dataManager.getRowParent(4)).toBe(dataManager.getDataObject(2));
+      expect(dataManager.getRowParent(5)).toBe(null);
+      expect(dataManager.getRowIndexWithinParent(4)).toBe(1);
+      expect(dataManager.getRowIndex(dataManager.getDataObject(6))).toBe(6);
+      expect(dataManager.hasChildren(2)).toBe(true);
+      expect(dataManager.hasChildren(7)).toBe(false);
+    });
+  });
+
+  describe('row headers', () => {
+    it('should render the nesting level indentation and the collapse buttons', () => {
+      handsontable(getSettings());
+
+      expect(getCell(0, -1).querySelectorAll('.ht_nestingLevel_empty').length).toBe(0);
+      expect(getCell(2, -1).querySelectorAll('.ht_nestingLevel_empty').length).toBe(1);
+      expect(getCell(3, -1).querySelectorAll('.ht_nestingLevel_empty').length).toBe(2);
+
+      expect(getCell(0, -1).querySelectorAll('.ht_nestingButton.ht_nestingCollapse').length).toBe(1);
+      expect(getCell(2, -1).querySelectorAll('.ht_nestingButton.ht_nestingCollapse').length).toBe(1);
+      expect(getCell(1, -1).querySelectorAll('.ht_nestingButton').length).toBe(0);
+    });
+
+    it('should collapse and expand the children after clicking the button', () => {
+      handsontable(getSettings());
+
+      $(getCell(2, -1).querySelector('.ht_nestingButton')).simulate('mousedown');
+
+      expect(countRows()).toBe(6);
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Scooter', 'Deck', 'Bell']);
+      expect(getCell(2, -1).querySelectorAll('.ht_nestingButton.ht_nestingExpand').length).toBe(1);
+
+      $(getCell(2, -1).querySelector('.ht_nestingButton')).simulate('mousedown');
+
+      expect(countRows()).toBe(8);
+      expect(getDataAtCell(3, 0)).toBe('Spoke');
+    });
+  });
+
+  describe('collapsing', () => {
+    it('should collapse and expand all rows', () => {
+      handsontable(getSettings());
+
+      const collapsingUI = getPlugin('nestedRows').collapsingUI;
+
+      collapsingUI.collapseAll();
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Scooter', 'Bell']);
+
+      collapsingUI.expandChildren(0);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Scooter', 'Bell']);
+      expect(collapsingUI.areChildrenCollapsed(2)).toBe(true);
+
+      collapsingUI.expandAll();
+
+      expect(countRows()).toBe(8);
+    });
+
+    it('should keep the nested collapsed rows hidden after expanding their parent', () => {
+      handsontable(getSettings());
+
+      const collapsingUI = getPlugin('nestedRows').collapsingUI;
+
+      collapsingUI.collapseChildren(2);
+      collapsingUI.collapseChildren(0);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Scooter', 'Deck', 'Bell']);
+
+      collapsingUI.expandChildren(0);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Scooter', 'Deck', 'Bell']);
+    });
+
+    it('should keep the collapsed rows after changing the data structure', () => {
+      handsontable(getSettings());
+
+      const { collapsingUI, dataManager } = getPlugin('nestedRows');
+
+      collapsingUI.collapseChildren(5);
+      dataManager.addChild(1, { part: 'Tube', quantity: 1 });
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Tube', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Bell']);
+    });
+  });
+
+  describe('structure changes', () => {
+    it('should add a child at the end of the parent children', () => {
+      const data = getData();
+      const afterAddChild = jasmine.createSpy('afterAddChild');
+
+      handsontable(getSettings({ data, afterAddChild }));
+
+      getPlugin('nestedRows').dataManager.addChild(2, { part: 'Valve', quantity: 1 });
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Valve', 'Scooter', 'Deck', 'Bell']);
+      expect(data[0].__children[1].__children[2].part).toBe('Valve');
+      expect(afterAddChild).toHaveBeenCalledWith(data[0].__children[1], data[0].__children[1].__children[2], 2, void 0, void 0, void 0);
+    });
+
+    it('should create an empty child based on the data schema', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      getPlugin('nestedRows').dataManager.addChild(7);
+
+      expect(data[2].__children.length).toBe(1);
+      expect(getDataAtRow(8)).toEqual([null, null]);
+      expect(getCell(7, -1).querySelectorAll('.ht_nestingButton').length).toBe(1);
+    });
+
+    it('should add the siblings above and below the row', () => {
+      handsontable(getSettings());
+
+      const dataManager = getPlugin('nestedRows').dataManager;
+
+      dataManager.addSibling(3, 'above');
+      dataManager.addSibling(5, 'below');
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', null, 'Spoke', 'Tyre', null, 'Scooter', 'Deck', 'Bell']);
+      expect(dataManager.getRowLevel(3)).toBe(2);
+      expect(dataManager.getRowLevel(6)).toBe(2);
+    });
+
+    it('should detach the rows from their parents', () => {
+      const data = getData();
+      const afterDetachChild = jasmine.createSpy('afterDetachChild');
+
+      handsontable(getSettings({ data, afterDetachChild }));
+
+      const dataManager = getPlugin('nestedRows').dataManager;
+      const tyre = dataManager.getDataObject(4);
+
+      dataManager.detachFromParent([3, 4]);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck', 'Bell']);
+      expect(data[0].__children.map(row => row.part)).toEqual(['Frame', 'Wheel', 'Spoke', 'Tyre']);
+      expect(dataManager.getRowLevel(3)).toBe(1);
+      expect(dataManager.hasChildren(2)).toBe(false);
+      expect(afterDetachChild).toHaveBeenCalledWith(data[0].__children[1], tyre, 4, void 0, void 0, void 0);
+    });
+
+    it('should move the row with its children to the other parent', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      const moved = getPlugin('nestedRows').dataManager.moveRow(2, 6);
+
+      expect(moved).toBe(true);
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Scooter', 'Wheel', 'Spoke', 'Tyre', 'Deck', 'Bell']);
+      expect(data[1].__children.map(row => row.part)).toEqual(['Wheel', 'Deck']);
+    });
+
+    it('should move the row to the end of the top-level rows', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      getPlugin('nestedRows').dataManager.moveRow(1, 8);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck', 'Bell', 'Frame']);
+      expect(data[3].part).toBe('Frame');
+    });
+
+    it('should not move the row into its own children', () => {
+      handsontable(getSettings());
+
+      const moved = getPlugin('nestedRows').dataManager.moveRow(0, 3);
+
+      expect(moved).toBe(false);
+      expect(countRows()).toBe(8);
+      expect(getDataAtCell(3, 0)).toBe('Spoke');
+    });
+
+    it('should move the cell meta along with the rows', () => {
+      handsontable(getSettings());
+
+      setCellMeta(3, 0, 'className', 'spoke');
+      getPlugin('nestedRows').dataManager.moveRow(3, 8);
+
+      expect(getDataAtCell(7, 0)).toBe('Spoke');
+      expect(getCellMeta(7, 0).className).toBe('spoke');
+      expect(getCellMeta(3, 0).className).toBeUndefined();
+    });
+
+    it('should move the rows with the ManualRowMove plugin', () => {
+      handsontable(getSettings({ manualRowMove: true }));
+
+      getPlugin('manualRowMove').moveRow(7, 1);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Bell', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck']);
+      expect(getPlugin('nestedRows').dataManager.getRowLevel(1)).toBe(1);
+    });
+  });
+
+  describe('altering the table', () => {
+    it('should insert the row as a sibling of the row placed at the provided index', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      alter('insert_row', 4);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', null, 'Tyre', 'Scooter', 'Deck', 'Bell']);
+      expect(data[0].__children[1].__children.length).toBe(3);
+    });
+
+    it('should insert the row at the end of the top-level rows', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      alter('insert_row');
+
+      expect(countRows()).toBe(9);
+      expect(data.length).toBe(4);
+    });
+
+    it('should remove the row with its children', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      alter('remove_row', 2);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Scooter', 'Deck', 'Bell']);
+      expect(data[0].__children.length).toBe(1);
+    });
+
+    it('should remove the collapsed row with its hidden children', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      getPlugin('nestedRows').collapsingUI.collapseChildren(0);
+      alter('remove_row', 0);
+
+      expect(getDataAtCol(0)).toEqual(['Scooter', 'Deck', 'Bell']);
+      expect(data.length).toBe(2);
+    });
+  });
+
+  describe('UndoRedo integration', () => {
+    it('should undo and redo adding a child', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      getPlugin('nestedRows').dataManager.addChild(5, { part: 'Handlebar', quantity: 1 });
+      undo();
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck', 'Bell']);
+
+      getInstance().redo();
+
+      expect(getDataAtCell(7, 0)).toBe('Handlebar');
+      expect(data[1].__children.length).toBe(2);
+    });
+
+    it('should undo and redo detaching a row', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      getPlugin('nestedRows').dataManager.detachFromParent(3);
+      undo();
+
+      expect(data[0].__children[1].__children.map(row => row.part)).toEqual(['Spoke', 'Tyre']);
+
+      getInstance().redo();
+
+      expect(data[0].__children.map(row => row.part)).toEqual(['Frame', 'Wheel', 'Spoke']);
+    });
+
+    it('should undo and redo moving a row', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      getPlugin('nestedRows').dataManager.moveRow(6, 1);
+      undo();
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck', 'Bell']);
+      expect(data[1].__children.length).toBe(1);
+
+      getInstance().redo();
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Deck', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Bell']);
+    });
+
+    it('should undo and redo removing the rows', () => {
+      const data = getData();
+
+      handsontable(getSettings({ data }));
+
+      alter('remove_row', 1, 2);
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Scooter', 'Deck', 'Bell']);
+
+      undo();
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Frame', 'Wheel', 'Spoke', 'Tyre', 'Scooter', 'Deck', 'Bell']);
+      expect(data[0].__children[1].__children.length).toBe(2);
+
+      getInstance().redo();
+
+      expect(getDataAtCol(0)).toEqual(['Bicycle', 'Scooter', 'Deck', 'Bell']);
+    });
+  });
+
+  it('should restore the flat data mapping after disabling the plugin', () => {
+    handsontable(getSettings());
+
+    getPlugin('nestedRows').collapsingUI.collapseAll();
+    updateSettings({ nestedRows: false });
+
+    expect(countRows()).toBe(3);
+    expect(getDataAtCol(0)).toEqual(['Bicycle', 'Scooter', 'Bell']);
+  });
+});
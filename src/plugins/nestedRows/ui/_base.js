@@ -0,0 +1,32 @@
+/**
+ * Base class for the NestedRows' UI sub-classes.
+ *
+ * @class
+ * @private
+ */
+class BaseUI {
+  constructor(nestedRowsPlugin, hotInstance) {
+    /**
+     * Instance of Handsontable.
+     *
+     * @type {Core}
+     */
+    this.hot = hotInstance;
+    /**
+     * Reference to the NestedRows plugin.
+     *
+     * @type {NestedRows}
+     */
+    this.plugin = nestedRowsPlugin;
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.hot = null;
+    this.plugin = null;
+  }
+}
+
+export default BaseUI;
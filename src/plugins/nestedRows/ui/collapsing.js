@@ -0,0 +1,203 @@
+import { arrayEach, arrayFilter, arrayMap } from './../../../helpers/array';
+import { rangeEach } from './../../../helpers/number';
+import BaseUI from './_base';
+
+/**
+ * Class responsible for the collapsing and expanding the rows. The descendants of the collapsed rows are hidden with
+ * the {@link TrimRows} plugin.
+ *
+ * @class CollapsingUI
+ * @plugin NestedRows
+ */
+class CollapsingUI extends BaseUI {
+  constructor(nestedRowsPlugin, hotInstance, trimRowsPlugin) {
+    super(nestedRowsPlugin, hotInstance);
+    /**
+     * Reference to the {@link DataManager} instance.
+     *
+     * @type {DataManager}
+     */
+    this.dataManager = this.plugin.dataManager;
+    /**
+     * Reference to the TrimRows plugin.
+     *
+     * @type {TrimRows}
+     */
+    this.trimRowsPlugin = trimRowsPlugin;
+    /**
+     * List of the collapsed row objects. The objects are stored (instead of the indexes), so the rows stay collapsed
+     * after changing the data structure.
+     *
+     * @type {Object[]}
+     */
+    this.collapsedRows = [];
+  }
+
+  /**
+   * Collapses the children of the row.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  collapseChildren(row, forceRender = true) {
+    this.collapseMultipleChildren([row], forceRender);
+  }
+
+  /**
+   * Collapses the children of the multiple rows.
+   *
+   * @param {Array} rows List of the physical row indexes or the row objects.
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  collapseMultipleChildren(rows, forceRender = true) {
+    arrayEach(this.readRows(rows), (element) => {
+      if (this.dataManager.hasChildren(element) && this.collapsedRows.indexOf(element) === -1) {
+        this.collapsedRows.push(element);
+      }
+    });
+
+    this.updateTrimmedRows(forceRender);
+  }
+
+  /**
+   * Expands the children of the row.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  expandChildren(row, forceRender = true) {
+    this.expandMultipleChildren([row], forceRender);
+  }
+
+  /**
+   * Expands the children of the multiple rows.
+   *
+   * @param {Array} rows List of the physical row indexes or the row objects.
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  expandMultipleChildren(rows, forceRender = true) {
+    const elements = this.readRows(rows);
+
+    this.collapsedRows = arrayFilter(this.collapsedRows, element => elements.indexOf(element) === -1);
+    this.updateTrimmedRows(forceRender);
+  }
+
+  /**
+   * Collapses all rows, which have children.
+   *
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  collapseAll(forceRender = true) {
+    this.collapsedRows = arrayFilter(this.dataManager.cache.rows, element => this.dataManager.hasChildren(element));
+    this.updateTrimmedRows(forceRender);
+  }
+
+  /**
+   * Expands all rows.
+   *
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  expandAll(forceRender = true) {
+    this.collapsedRows = [];
+    this.updateTrimmedRows(forceRender);
+  }
+
+  /**
+   * Toggles the collapsed state of the row.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @param {Boolean} [forceRender=true] If `true`, the table is rendered after the operation.
+   */
+  toggleState(row, forceRender = true) {
+    if (this.areChildrenCollapsed(row)) {
+      this.expandChildren(row, forceRender);
+
+    } else {
+      this.collapseChildren(row, forceRender);
+    }
+  }
+
+  /**
+   * Checks if the children of the row are collapsed.
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Boolean}
+   */
+  areChildrenCollapsed(row) {
+    return this.collapsedRows.indexOf(this.readRows([row])[0]) !== -1;
+  }
+
+  /**
+   * Checks if any ancestor of the row is collapsed (so the row is not displayed).
+   *
+   * @param {Number|Object} row Physical row index or the row object.
+   * @returns {Boolean}
+   */
+  isAnyParentCollapsed(row) {
+    let parent = this.dataManager.getRowParent(row);
+
+    while (parent) {
+      if (this.areChildrenCollapsed(parent)) {
+        return true;
+      }
+
+      parent = this.dataManager.getRowParent(parent);
+    }
+
+    return false;
+  }
+
+  /**
+   * Translates the collapsed rows into the list of the trimmed physical rows and updates the TrimRows plugin. The rows
+   * removed from the data structure are forgotten.
+   *
+   * @param {Boolean} [forceRender=false] If `true`, the table is rendered after the operation.
+   */
+  updateTrimmedRows(forceRender = false) {
+    const trimmedRows = [];
+
+    this.collapsedRows = arrayFilter(this.collapsedRows, element => this.dataManager.getRowIndex(element) !== null);
+
+    arrayEach(this.collapsedRows, (element) => {
+      // The descendants of the row are already trimmed together with the collapsed ancestor.
+      if (this.isAnyParentCollapsed(element)) {
+        return;
+      }
+
+      const row = this.dataManager.getRowIndex(element);
+
+      rangeEach(row + 1, row + this.dataManager.countChildren(element), childRow => trimmedRows.push(childRow));
+    });
+
+    this.trimRowsPlugin.trimmedRows = trimmedRows.sort((a, b) => a - b);
+    this.trimRowsPlugin.updateMap();
+
+    if (forceRender) {
+      this.hot.render();
+    }
+  }
+
+  /**
+   * Translates the physical row indexes into the row objects.
+   *
+   * @private
+   * @param {Array} rows List of the physical row indexes or the row objects.
+   * @returns {Object[]}
+   */
+  readRows(rows) {
+    return arrayMap(rows, row => (typeof row === 'number' ? this.dataManager.getDataObject(row) : row));
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.collapsedRows = [];
+    this.dataManager = null;
+    this.trimRowsPlugin = null;
+
+    super.destroy();
+  }
+}
+
+export default CollapsingUI;
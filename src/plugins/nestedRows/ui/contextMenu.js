@@ -0,0 +1,113 @@
+import { arrayEach } from './../../../helpers/array';
+import * as C from './../../../i18n/constants';
+import BaseUI from './_base';
+
+/**
+ * Gets the last selected range of the context menu.
+ *
+ * @param {CellRange[]} normalizedSelection The selection passed to the context menu item callback.
+ * @returns {CellRange}
+ */
+function getLatestSelection(normalizedSelection) {
+  return normalizedSelection[Math.max(normalizedSelection.length - 1, 0)];
+}
+
+/**
+ * Class responsible for the context menu entries of the NestedRows plugin.
+ *
+ * @class ContextMenuUI
+ * @plugin NestedRows
+ */
+class ContextMenuUI extends BaseUI {
+  constructor(nestedRowsPlugin, hotInstance) {
+    super(nestedRowsPlugin, hotInstance);
+    /**
+     * Reference to the {@link DataManager} instance.
+     *
+     * @type {DataManager}
+     */
+    this.dataManager = this.plugin.dataManager;
+  }
+
+  /**
+   * Adds the "Insert child row" and "Detach from parent" entries to the context menu and changes the "Insert row above"
+   * and "Insert row below" entries, so they add the siblings of the selected row.
+   *
+   * @param {Object} defaultOptions The default context menu options.
+   */
+  appendOptions(defaultOptions) {
+    const hot = this.hot;
+    const dataManager = this.dataManager;
+    const isRowHeaderOrCellSelected = () => {
+      const selected = hot.getSelectedLast();
+
+      return !!selected && !hot.selection.isSelectedByColumnHeader() && !hot.selection.isSelectedByCorner();
+    };
+    const getSelectedPhysicalRow = (normalizedSelection, property = 'start') =>
+      hot.toPhysicalRow(getLatestSelection(normalizedSelection)[property].row);
+    const newEntries = [
+      {
+        name: '---------',
+      },
+      {
+        key: 'add_child',
+        name() {
+          return this.getTranslatedPhrase(C.CONTEXTMENU_ITEMS_NESTED_ROWS_INSERT_CHILD);
+        },
+        callback(key, normalizedSelection) {
+          dataManager.addChild(getSelectedPhysicalRow(normalizedSelection));
+        },
+        disabled() {
+          return !isRowHeaderOrCellSelected() || this.countRows() >= this.getSettings().maxRows;
+        },
+      },
+      {
+        key: 'detach_from_parent',
+        name() {
+          return this.getTranslatedPhrase(C.CONTEXTMENU_ITEMS_NESTED_ROWS_DETACH_CHILD);
+        },
+        callback(key, normalizedSelection) {
+          dataManager.detachFromParent(getSelectedPhysicalRow(normalizedSelection));
+        },
+        disabled() {
+          const selected = this.getSelectedLast();
+
+          return !isRowHeaderOrCellSelected() || dataManager.getRowParent(this.toPhysicalRow(selected[0])) === null;
+        },
+      },
+    ];
+    let rowBelowIndex = -1;
+
+    arrayEach(defaultOptions.items, (item, index) => {
+      if (item.key === 'row_above') {
+        item.callback = (key, normalizedSelection) => {
+          dataManager.addSibling(getSelectedPhysicalRow(normalizedSelection), 'above');
+        };
+
+      } else if (item.key === 'row_below') {
+        item.callback = (key, normalizedSelection) => {
+          dataManager.addSibling(getSelectedPhysicalRow(normalizedSelection, 'end'), 'below');
+        };
+        rowBelowIndex = index;
+      }
+    });
+
+    if (rowBelowIndex === -1) {
+      defaultOptions.items.push(...newEntries);
+
+    } else {
+      defaultOptions.items.splice(rowBelowIndex + 1, 0, ...newEntries);
+    }
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.dataManager = null;
+
+    super.destroy();
+  }
+}
+
+export default ContextMenuUI;
@@ -0,0 +1,140 @@
+import { addClass, removeClass } from './../../../helpers/dom/element';
+import { arrayEach } from './../../../helpers/array';
+import { rangeEach } from './../../../helpers/number';
+import BaseUI from './_base';
+
+/**
+ * Width of the single nesting level indentation (in pixels).
+ *
+ * @type {Number}
+ */
+const LEVEL_INDENTATION_WIDTH = 10;
+/**
+ * Minimal width of the row headers (in pixels).
+ *
+ * @type {Number}
+ */
+const MIN_ROW_HEADER_WIDTH = 50;
+
+/**
+ * Class responsible for the row headers of the nested rows - the nesting level indentation and the collapse/expand
+ * buttons.
+ *
+ * @class HeadersUI
+ * @plugin NestedRows
+ */
+class HeadersUI extends BaseUI {
+  /**
+   * CSS classes used in the row headers.
+   *
+   * @type {Object}
+   */
+  static get CSS_CLASSES() {
+    return {
+      indicatorContainer: 'ht_nestingLevels',
+      parent: 'ht_nestingParent',
+      indicator: 'ht_nestingLevel',
+      emptyIndicator: 'ht_nestingLevel_empty',
+      button: 'ht_nestingButton',
+      expandButton: 'ht_nestingExpand',
+      collapseButton: 'ht_nestingCollapse',
+    };
+  }
+
+  constructor(nestedRowsPlugin, hotInstance) {
+    super(nestedRowsPlugin, hotInstance);
+    /**
+     * Reference to the {@link DataManager} instance.
+     *
+     * @type {DataManager}
+     */
+    this.dataManager = this.plugin.dataManager;
+    /**
+     * Reference to the {@link CollapsingUI} instance.
+     *
+     * @type {CollapsingUI}
+     */
+    this.collapsingUI = this.plugin.collapsingUI;
+    /**
+     * Width of the row headers, which fits the deepest nesting level.
+     *
+     * @type {Number}
+     */
+    this.rowHeaderWidthCache = MIN_ROW_HEADER_WIDTH;
+  }
+
+  /**
+   * Appends the nesting level indentation and the collapse/expand button to the row header.
+   *
+   * @param {Number} row Visual row index.
+   * @param {HTMLElement} TH The row header element.
+   */
+  appendLevelIndicators(row, TH) {
+    const CSS_CLASSES = HeadersUI.CSS_CLASSES;
+    const physicalRow = this.hot.toPhysicalRow(row);
+    const innerDiv = TH.firstChild;
+
+    removeClass(TH, [CSS_CLASSES.indicatorContainer, CSS_CLASSES.parent]);
+
+    if (!innerDiv) {
+      return;
+    }
+
+    arrayEach(Array.prototype.slice.call(innerDiv.childNodes), (node) => {
+      if (node.className && node.className.indexOf('ht_nesting') === 0) {
+        innerDiv.removeChild(node);
+      }
+    });
+
+    if (physicalRow === null || this.dataManager.getDataObject(physicalRow) === void 0) {
+      return;
+    }
+
+    const level = this.dataManager.getRowLevel(physicalRow);
+    const innerSpan = innerDiv.firstChild;
+
+    addClass(TH, CSS_CLASSES.indicatorContainer);
+
+    rangeEach(0, level - 1, () => {
+      const levelIndicator = document.createElement('span');
+
+      addClass(levelIndicator, CSS_CLASSES.emptyIndicator);
+      innerDiv.insertBefore(levelIndicator, innerSpan);
+    });
+
+    if (this.dataManager.hasChildren(physicalRow)) {
+      const buttonsContainer = document.createElement('div');
+      const isCollapsed = this.collapsingUI.areChildrenCollapsed(physicalRow);
+
+      addClass(TH, CSS_CLASSES.parent);
+      addClass(buttonsContainer, [
+        CSS_CLASSES.button,
+        isCollapsed ? CSS_CLASSES.expandButton : CSS_CLASSES.collapseButton
+      ]);
+      buttonsContainer.appendChild(document.createTextNode(isCollapsed ? '+' : '-'));
+
+      innerDiv.appendChild(buttonsContainer);
+    }
+  }
+
+  /**
+   * Updates the width of the row headers, so the deepest nesting level fits in.
+   */
+  updateRowHeaderWidth() {
+    const deepestLevel = Math.max(this.dataManager.cache.levelCount - 1, 0);
+
+    this.rowHeaderWidthCache = Math.max(MIN_ROW_HEADER_WIDTH, 11 + (LEVEL_INDENTATION_WIDTH * deepestLevel) + 25);
+  }
+
+  /**
+   * Destroys the class instance.
+   */
+  destroy() {
+    this.dataManager = null;
+    this.collapsingUI = null;
+
+    super.destroy();
+  }
+}
+
+export default HeadersUI;
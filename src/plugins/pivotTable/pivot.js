@@ -0,0 +1,259 @@
+import { arrayEach, arrayMap } from '../../helpers/array';
+import { rangeEach } from '../../helpers/number';
+import { substitute } from '../../helpers/string';
+import { aggregate } from '../rowGrouping/utils';
+import * as C from '../../i18n/constants';
+
+/**
+ * Dictionary keys of the built-in aggregators labels, used in the headers of the value columns.
+ *
+ * @type {Object}
+ */
+const AGGREGATOR_LABELS = {
+  sum: C.PIVOT_TABLE_AGGREGATORS_SUM,
+  count: C.PIVOT_TABLE_AGGREGATORS_COUNT,
+  avg: C.PIVOT_TABLE_AGGREGATORS_AVERAGE,
+  average: C.PIVOT_TABLE_AGGREGATORS_AVERAGE,
+  min: C.PIVOT_TABLE_AGGREGATORS_MIN,
+  max: C.PIVOT_TABLE_AGGREGATORS_MAX,
+};
+
+/**
+ * Calculates the aggregated value of the pivot cell.
+ *
+ * @param {String|Function} aggregator Name of the aggregator (`sum`, `count`, `avg`, `min` or `max`) or the custom
+ * function, which receives the list of values and returns the aggregated value.
+ * @param {Array} values Values of the source cells which contribute to the pivot cell.
+ * @returns {*}
+ */
+export function aggregateValues(aggregator, values) {
+  return aggregate(aggregator === 'avg' ? 'average' : aggregator, values);
+}
+
+/**
+ * Groups the source rows by the values of the fields (recursively, one tree level per field). The keys are ordered by
+ * their first appearance in the source data.
+ *
+ * @param {Number[]} rows Physical indexes of the source rows.
+ * @param {Number[]} fields Source column indexes.
+ * @param {Function} getValue Function which returns the source cell value (`(row, column) => value`).
+ * @param {Number} [level=0] The tree level.
+ * @returns {Object[]} List of the tree nodes (`key`, `rows` and `children` properties).
+ */
+function createKeysTree(rows, fields, getValue, level = 0) {
+  const nodesByKey = new Map();
+  const nodes = [];
+
+  arrayEach(rows, (row) => {
+    const value = getValue(row, fields[level]);
+    const key = value === void 0 ? null : value;
+    let node = nodesByKey.get(key);
+
+    if (!node) {
+      node = { key, rows: [], children: [] };
+      nodesByKey.set(key, node);
+      nodes.push(node);
+    }
+
+    node.rows.push(row);
+  });
+
+  if (level + 1 < fields.length) {
+    arrayEach(nodes, (node) => {
+      node.children = createKeysTree(node.rows, fields, getValue, level + 1);
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Gets the leaves of the keys tree (depth-first). When no fields are defined, all rows belong to the single leaf.
+ *
+ * @param {Object[]} nodes List of the tree nodes.
+ * @param {Number[]} rows Physical indexes of all source rows.
+ * @param {Number[]} fields Source column indexes.
+ * @returns {Object[]} List of the leaves (`path` and `rows` properties).
+ */
+function getLeaves(nodes, rows, fields) {
+  const leaves = [];
+  const collectLeaves = (levelNodes, path) => {
+    arrayEach(levelNodes, (node) => {
+      const nodePath = path.concat([node.key]);
+
+      if (node.children.length) {
+        collectLeaves(node.children, nodePath);
+
+      } else {
+        leaves.push({ path: nodePath, rows: node.rows });
+      }
+    });
+  };
+
+  if (fields.length === 0) {
+    return [{ path: [], rows }];
+  }
+
+  collectLeaves(nodes, []);
+
+  return leaves;
+}
+
+/**
+ * Counts the leaves placed under the tree node.
+ *
+ * @param {Object} node The tree node.
+ * @returns {Number}
+ */
+function countLeaves(node) {
+  if (!node.children.length) {
+    return 1;
+  }
+
+  let count = 0;
+
+  arrayEach(node.children, (child) => {
+    count += countLeaves(child);
+  });
+
+  return count;
+}
+
+/**
+ * Gets the tree nodes placed on the provided level (depth-first).
+ *
+ * @param {Object[]} nodes List of the tree nodes.
+ * @param {Number} level The tree level.
+ * @returns {Object[]}
+ */
+function getNodesAtLevel(nodes, level) {
+  if (level === 0) {
+    return nodes;
+  }
+
+  const result = [];
+
+  arrayEach(nodes, (node) => {
+    arrayEach(getNodesAtLevel(node.children, level - 1), child => result.push(child));
+  });
+
+  return result;
+}
+
+/**
+ * Creates the header configuration (in the format of the {@link Options#nestedHeaders} option).
+ *
+ * @param {*} label The header label.
+ * @param {Number} colspan Number of the columns covered by the header.
+ * @returns {String|Object}
+ */
+function createHeader(label, colspan) {
+  const labelAsString = label === null ? '' : `${label}`;
+
+  return colspan > 1 ? { label: labelAsString, colspan } : labelAsString;
+}
+
+/**
+ * Gets the header label of the value column.
+ *
+ * @param {Object} valueField The value field configuration.
+ * @param {Function} getColumnHeader Function which returns the header of the source column.
+ * @param {Function} getTranslatedPhrase Function which returns the phrase for the dictionary key.
+ * @returns {String}
+ */
+function getValueLabel(valueField, getColumnHeader, getTranslatedPhrase) {
+  if (valueField.label !== void 0) {
+    return valueField.label;
+  }
+
+  const columnHeader = getColumnHeader(valueField.column);
+
+  if (typeof valueField.aggregator === 'function') {
+    return columnHeader;
+  }
+
+  const aggregatorLabel = AGGREGATOR_LABELS[valueField.aggregator];
+
+  return substitute(getTranslatedPhrase(C.PIVOT_TABLE_VALUE_HEADER), {
+    aggregator: aggregatorLabel ? getTranslatedPhrase(aggregatorLabel) : valueField.aggregator,
+    column: columnHeader,
+  });
+}
+
+/**
+ * Creates the pivot table from the source data. The pivot table contains one row for each combination of the row
+ * fields values (the values are placed in the leading columns) and one column for each combination of the column
+ * fields values and each value field. The cells without any contributing source rows are empty (`null`).
+ *
+ * @param {Object} options The pivot options.
+ * @param {Number} options.rowsCount Number of the source rows.
+ * @param {Function} options.getValue Function which returns the source cell value (`(row, column) => value`).
+ * @param {Function} options.getColumnHeader Function which returns the header of the source column.
+ * @param {Function} options.getTranslatedPhrase Function which returns the phrase for the dictionary key.
+ * @param {Number[]} options.rowFields Source column indexes, which values define the pivot rows.
+ * @param {Number[]} options.columnFields Source column indexes, which values define the pivot columns.
+ * @param {Object[]} options.valueFields Value fields configuration (`column`, `aggregator` and `label` properties).
+ * @returns {Object} Object with the pivot `data`, `nestedHeaders`, `rowKeys`, `columnKeys` (lists of the keys with
+ * the contributing source rows) and `columnKeyIndexes` (indexes of the column keys for the source rows) properties.
+ */
+export function createPivot({ rowsCount, getValue, getColumnHeader, getTranslatedPhrase, rowFields, columnFields, valueFields }) {
+  const rows = [];
+
+  rangeEach(0, rowsCount - 1, row => rows.push(row));
+
+  const columnTree = createKeysTree(rows, columnFields, getValue);
+  const rowKeys = getLeaves(createKeysTree(rows, rowFields, getValue), rows, rowFields);
+  const columnKeys = getLeaves(columnTree, rows, columnFields);
+  const columnKeyIndexes = [];
+  const nestedHeaders = [];
+
+  arrayEach(columnKeys, (columnKey, columnKeyIndex) => {
+    arrayEach(columnKey.rows, (row) => {
+      columnKeyIndexes[row] = columnKeyIndex;
+    });
+  });
+
+  if (valueFields.length) {
+    rangeEach(0, columnFields.length - 1, (level) => {
+      const headers = arrayMap(rowFields, () => '');
+
+      arrayEach(getNodesAtLevel(columnTree, level), (node) => {
+        headers.push(createHeader(node.key, countLeaves(node) * valueFields.length));
+      });
+
+      nestedHeaders.push(headers);
+    });
+  }
+
+  const lastLevelHeaders = arrayMap(rowFields, column => getColumnHeader(column));
+
+  arrayEach(columnKeys, () => {
+    arrayEach(valueFields, valueField => lastLevelHeaders.push(getValueLabel(valueField, getColumnHeader, getTranslatedPhrase)));
+  });
+  nestedHeaders.push(lastLevelHeaders);
+
+  const data = arrayMap(rowKeys, (rowKey) => {
+    const rowsByColumnKey = arrayMap(columnKeys, () => []);
+    const pivotRow = rowKey.path.slice();
+
+    arrayEach(rowKey.rows, (row) => {
+      rowsByColumnKey[columnKeyIndexes[row]].push(row);
+    });
+
+    arrayEach(rowsByColumnKey, (columnKeyRows) => {
+      arrayEach(valueFields, ({ column, aggregator }) => {
+        pivotRow.push(columnKeyRows.length ? aggregateValues(aggregator, arrayMap(columnKeyRows, row => getValue(row, column))) : null);
+      });
+    });
+
+    return pivotRow;
+  });
+
+  return {
+    data,
+    nestedHeaders,
+    rowKeys,
+    columnKeys,
+    columnKeyIndexes,
+  };
+}
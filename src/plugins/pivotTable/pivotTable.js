@@ -0,0 +1,413 @@
+import BasePlugin from './../_base';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { isDefined } from './../../helpers/mixed';
+import { hasOwnProperty, isObject } from './../../helpers/object';
+import { warn } from './../../helpers/console';
+import { registerPlugin } from './../../plugins';
+import { normalizeColumns } from './../rowGrouping/utils';
+import { createPivot } from './pivot';
+
+/**
+ * Hooks of the source instance, which trigger the pivot recalculation.
+ *
+ * @type {String[]}
+ */
+const SOURCE_HOOKS = ['afterChange', 'afterCreateRow', 'afterRemoveRow', 'afterLoadData'];
+
+/**
+ * @plugin PivotTable
+ *
+ * @description
+ * This plugin turns the Handsontable instance into the pivot table built over the data of the other (source)
+ * Handsontable instance. The values of the row fields and the column fields (source columns) define the rows and
+ * the columns of the pivot table, and the value fields define how the source values are aggregated in the pivot
+ * cells. The built-in aggregators are `sum`, `count`, `avg`, `min` and `max`. Custom aggregator can be defined as
+ * the function, which receives the list of the source values and returns the aggregated value.
+ *
+ * The pivot table is read-only. Its multi-level column headers are rendered with the {@link NestedHeaders} plugin.
+ * The pivot is recalculated every time the source data is changed (e.g. with the {@link Core#setDataAtCell} method,
+ * by adding or removing the rows or by loading the new data). The source rows which contribute to the pivot cell can
+ * be obtained with the {@link PivotTable#drillDown} method.
+ *
+ * @example
+ * ```js
+ * const sourceHot = new Handsontable(sourceContainer, {
+ *   data: [
+ *     ['Europe', 'Poland', 2017, 38],
+ *     ['Europe', 'Germany', 2017, 83],
+ *     ['Europe', 'Poland', 2018, 39],
+ *     ['Asia', 'Japan', 2018, 126],
+ *   ],
+ *   colHeaders: ['Region', 'Country', 'Year', 'Sales'],
+ * });
+ * const pivotHot = new Handsontable(pivotContainer, {
+ *   pivotTable: {
+ *     source: sourceHot,
+ *     // source columns which values define the pivot rows
+ *     rowFields: [0, 1],
+ *     // source columns which values define the pivot columns
+ *     columnFields: [2],
+ *     // aggregated source columns
+ *     valueFields: [
+ *       { column: 3, aggregator: 'sum' },
+ *       { column: 3, aggregator: 'avg', label: 'Average sales' },
+ *     ],
+ *   },
+ * });
+ *
+ * // get the source rows which contribute to the cell
+ * pivotHot.getPlugin('pivotTable').drillDown(0, 2);
+ * ```
+ */
+class PivotTable extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * The source Handsontable instance.
+     *
+     * @private
+     * @type {Core}
+     */
+    this.sourceHot = null;
+    /**
+     * Visual indexes of the source columns, which values define the pivot rows.
+     *
+     * @private
+     * @type {Number[]}
+     */
+    this.rowFields = [];
+    /**
+     * Visual indexes of the source columns, which values define the pivot columns.
+     *
+     * @private
+     * @type {Number[]}
+     */
+    this.columnFields = [];
+    /**
+     * Configuration of the aggregated source columns.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.valueFields = [];
+    /**
+     * The calculated pivot (data, headers and the source rows of the pivot rows and columns).
+     *
+     * @private
+     * @type {Object}
+     */
+    this.pivot = null;
+    /**
+     * Reference to the NestedHeaders plugin.
+     *
+     * @private
+     * @type {NestedHeaders}
+     */
+    this.nestedHeadersPlugin = null;
+    /**
+     * `true` if the NestedHeaders plugin was enabled by this plugin.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    this.nestedHeadersEnabledByPlugin = false;
+    /**
+     * Value of the `nestedHeaders` option before enabling the plugin.
+     *
+     * @private
+     * @type {Array}
+     */
+    this.initialNestedHeaders = void 0;
+    /**
+     * Callbacks registered in the source instance, by the hook name.
+     *
+     * @private
+     * @type {Object}
+     */
+    this.sourceHooks = {
+      afterChange: (changes, source) => this.onSourceAfterChange(changes, source),
+      afterCreateRow: () => this.updatePivot(),
+      afterRemoveRow: () => this.updatePivot(),
+      afterLoadData: () => this.updatePivot(),
+    };
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link PivotTable#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().pivotTable;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    const pluginSettings = this.hot.getSettings().pivotTable;
+    const sourceHot = isObject(pluginSettings) ? pluginSettings.source : void 0;
+
+    if (!isObject(sourceHot) || typeof sourceHot.getSourceDataAtRow !== 'function') {
+      warn('The pivotTable option should be defined as an object with the `source` property pointing to ' +
+        'the Handsontable instance.');
+
+      return;
+    }
+
+    this.sourceHot = sourceHot;
+    this.rowFields = normalizeColumns(pluginSettings.rowFields);
+    this.columnFields = normalizeColumns(pluginSettings.columnFields);
+    this.valueFields = arrayMap(pluginSettings.valueFields || [], ({ column, aggregator = 'sum', label }) => ({
+      column,
+      aggregator,
+      label,
+    }));
+    this.nestedHeadersPlugin = this.hot.getPlugin('nestedHeaders');
+    this.initialNestedHeaders = this.hot.getSettings().nestedHeaders;
+
+    this.addHook('beforeChange', () => this.onBeforeChange());
+    this.addHook('beforeCreateRow', () => this.onBeforeCreateRow());
+    this.addHook('beforeRemoveRow', () => this.onBeforeRemoveRow());
+    this.addHook('afterGetCellMeta', (row, column, cellProperties) => this.onAfterGetCellMeta(cellProperties));
+
+    arrayEach(SOURCE_HOOKS, (hookName) => {
+      this.sourceHot.addHook(hookName, this.sourceHooks[hookName]);
+    });
+
+    super.enablePlugin();
+
+    this.updatePivot();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    if (this.enabled) {
+      this.removeSourceHooks();
+      this.restoreNestedHeaders();
+
+      arrayEach(this.hot.getCellsMeta(), (cellMeta) => {
+        if (cellMeta && hasOwnProperty(cellMeta, 'readOnly')) {
+          delete cellMeta.readOnly;
+        }
+      });
+
+      this.sourceHot = null;
+      this.pivot = null;
+    }
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked with the
+   * `pivotTable` option.
+   *
+   * @private
+   * @param {Object} newSettings New settings object.
+   */
+  onUpdateSettings(newSettings) {
+    const wasEnabled = this.enabled;
+
+    super.onUpdateSettings();
+
+    if (wasEnabled && this.enabled && isDefined(newSettings.pivotTable)) {
+      this.disablePlugin();
+      this.enablePlugin();
+    }
+  }
+
+  /**
+   * Recalculates the pivot from the current data of the source instance and loads it into the table.
+   */
+  updatePivot() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const sourceHot = this.sourceHot;
+
+    this.pivot = createPivot({
+      rowsCount: sourceHot.countSourceRows(),
+      getValue: (row, column) => sourceHot.getSourceDataAtCell(row, column),
+      getColumnHeader: column => sourceHot.getColHeader(column),
+      getTranslatedPhrase: dictionaryKey => this.hot.getTranslatedPhrase(dictionaryKey),
+      rowFields: this.rowFields,
+      columnFields: this.columnFields,
+      valueFields: this.valueFields,
+    });
+
+    this.applyNestedHeaders(this.pivot.nestedHeaders);
+
+    // The plugin enabled during the initialization provides the data loaded by the Core.
+    if (this.hot.view) {
+      this.hot.loadData(this.pivot.data);
+
+    } else {
+      this.hot.getSettings().data = this.pivot.data;
+    }
+  }
+
+  /**
+   * Gets the physical indexes of the source rows, which contribute to the pivot cell. For the cells of the row fields
+   * columns, all source rows of the pivot row are returned.
+   *
+   * @param {Number} row Visual row index of the pivot cell.
+   * @param {Number} column Visual column index of the pivot cell.
+   * @returns {Number[]}
+   */
+  getSourceRows(row, column) {
+    if (!this.pivot) {
+      return [];
+    }
+
+    const rowKey = this.pivot.rowKeys[this.hot.toPhysicalRow(row)];
+    const valueColumn = this.hot.toPhysicalColumn(column) - this.rowFields.length;
+
+    if (!rowKey || valueColumn >= this.pivot.columnKeys.length * this.valueFields.length) {
+      return [];
+    }
+
+    if (valueColumn < 0) {
+      return rowKey.rows.slice();
+    }
+
+    const columnKeyIndex = Math.floor(valueColumn / this.valueFields.length);
+
+    return arrayFilter(rowKey.rows, sourceRow => this.pivot.columnKeyIndexes[sourceRow] === columnKeyIndex);
+  }
+
+  /**
+   * Gets the data of the source rows, which contribute to the pivot cell (obtained with the
+   * {@link Core#getSourceDataAtRow} method of the source instance).
+   *
+   * @param {Number} row Visual row index of the pivot cell.
+   * @param {Number} column Visual column index of the pivot cell.
+   * @returns {Array[]|Object[]}
+   */
+  drillDown(row, column) {
+    return arrayMap(this.getSourceRows(row, column), sourceRow => this.sourceHot.getSourceDataAtRow(sourceRow));
+  }
+
+  /**
+   * Sets the pivot headers as the `nestedHeaders` option and refreshes the NestedHeaders plugin.
+   *
+   * @private
+   * @param {Array[]} nestedHeaders The headers configuration.
+   */
+  applyNestedHeaders(nestedHeaders) {
+    this.hot.getSettings().nestedHeaders = nestedHeaders;
+
+    if (this.nestedHeadersPlugin.enabled) {
+      this.nestedHeadersPlugin.updatePlugin();
+
+    } else {
+      this.nestedHeadersPlugin.enablePlugin();
+      this.nestedHeadersEnabledByPlugin = true;
+    }
+  }
+
+  /**
+   * Restores the `nestedHeaders` option defined before enabling the plugin.
+   *
+   * @private
+   */
+  restoreNestedHeaders() {
+    this.hot.getSettings().nestedHeaders = this.initialNestedHeaders;
+
+    if (this.nestedHeadersEnabledByPlugin) {
+      this.nestedHeadersPlugin.disablePlugin();
+      this.nestedHeadersEnabledByPlugin = false;
+
+    } else if (this.nestedHeadersPlugin.enabled) {
+      this.nestedHeadersPlugin.updatePlugin();
+    }
+  }
+
+  /**
+   * Removes the callbacks registered in the source instance.
+   *
+   * @private
+   */
+  removeSourceHooks() {
+    if (this.sourceHot && !this.sourceHot.isDestroyed) {
+      arrayEach(SOURCE_HOOKS, (hookName) => {
+        this.sourceHot.removeHook(hookName, this.sourceHooks[hookName]);
+      });
+    }
+  }
+
+  /**
+   * `afterChange` hook callback of the source instance.
+   *
+   * @private
+   * @param {Array[]} changes 2D array containing information about each of the edited cells.
+   * @param {String} source String that identifies source of the changes.
+   */
+  onSourceAfterChange(changes, source) {
+    // The loaded data is handled by the `afterLoadData` hook callback.
+    if (source !== 'loadData') {
+      this.updatePivot();
+    }
+  }
+
+  /**
+   * `beforeChange` hook callback. The pivot cells can not be edited.
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  onBeforeChange() {
+    return false;
+  }
+
+  /**
+   * `beforeCreateRow` hook callback. The rows can not be added to the pivot table.
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  onBeforeCreateRow() {
+    return false;
+  }
+
+  /**
+   * `beforeRemoveRow` hook callback. The rows can not be removed from the pivot table.
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  onBeforeRemoveRow() {
+    return false;
+  }
+
+  /**
+   * `afterGetCellMeta` hook callback.
+   *
+   * @private
+   * @param {Object} cellProperties Cell meta object.
+   */
+  onAfterGetCellMeta(cellProperties) {
+    cellProperties.readOnly = true;
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.removeSourceHooks();
+
+    super.destroy();
+  }
+}
+
+registerPlugin('pivotTable', PivotTable);
+
+export default PivotTable;
@@ -0,0 +1,141 @@
+import { aggregateValues, createPivot } from 'handsontable/plugins/pivotTable/pivot';
+import { getTranslatedPhrase } from 'handsontable/i18n';
+
+describe('PivotTable', () => {
+  const sourceData = [
+    ['Europe', 'Poland', 2017, 10],
+    ['Europe', 'Germany', 2017, 20],
+    ['Europe', 'Poland', 2018, 30],
+    ['Asia', 'Japan', 2018, 40],
+    ['Asia', 'Japan', 2018, 50],
+  ];
+  const sourceHeaders = ['Region', 'Country', 'Year', 'Sales'];
+
+  function pivot(options) {
+    return createPivot(Object.assign({
+      rowsCount: sourceData.length,
+      getValue: (row, column) => sourceData[row][column],
+      getColumnHeader: column => sourceHeaders[column],
+      getTranslatedPhrase: dictionaryKey => getTranslatedPhrase('en-US', dictionaryKey),
+      rowFields: [],
+      columnFields: [],
+      valueFields: [],
+    }, options));
+  }
+
+  describe('aggregateValues', () => {
+    it('should calculate the values with the built-in aggregators', () => {
+      const values = [1, '2', 'text', null, 6];
+
+      expect(aggregateValues('sum', values)).toBe(9);
+      expect(aggregateValues('count', values)).toBe(4);
+      expect(aggregateValues('avg', values)).toBe(3);
+      expect(aggregateValues('min', values)).toBe(1);
+      expect(aggregateValues('max', values)).toBe(6);
+    });
+
+    it('should calculate the values with the custom aggregator', () => {
+      expect(aggregateValues(values => values.join('|'), ['a', 'b'])).toBe('a|b');
+    });
+  });
+
+  describe('createPivot', () => {
+    it('should create the rows ordered by the first appearance of the row fields values', () => {
+      const result = pivot({
+        rowFields: [0, 1],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      });
+
+      expect(result.data).toEqual([
+        ['Europe', 'Poland', 40],
+        ['Europe', 'Germany', 20],
+        ['Asia', 'Japan', 90],
+      ]);
+      expect(result.nestedHeaders).toEqual([['Region', 'Country', 'Sum of Sales']]);
+      expect(result.rowKeys[0]).toEqual({ path: ['Europe', 'Poland'], rows: [0, 2] });
+    });
+
+    it('should create the columns for each column fields value and each value field', () => {
+      const result = pivot({
+        rowFields: [0],
+        columnFields: [2],
+        valueFields: [
+          { column: 3, aggregator: 'sum' },
+          { column: 3, aggregator: 'count', label: 'Orders' },
+        ],
+      });
+
+      expect(result.data).toEqual([
+        ['Europe', 30, 2, 30, 1],
+        ['Asia', null, null, 90, 2],
+      ]);
+      expect(result.nestedHeaders).toEqual([
+        ['', { label: '2017', colspan: 2 }, { label: '2018', colspan: 2 }],
+        ['Region', 'Sum of Sales', 'Orders', 'Sum of Sales', 'Orders'],
+      ]);
+      expect(result.columnKeyIndexes).toEqual([0, 0, 1, 1, 1]);
+    });
+
+    it('should leave the cells without the contributing source rows empty', () => {
+      const result = pivot({
+        rowFields: [1],
+        columnFields: [2],
+        valueFields: [
+          { column: 3, aggregator: 'sum' },
+          { column: 3, aggregator: 'count' },
+          { column: 3, aggregator: values => values.length },
+        ],
+      });
+
+      expect(result.data).toEqual([
+        ['Poland', 10, 1, 1, 30, 1, 1],
+        ['Germany', 20, 1, 1, null, null, null],
+        ['Japan', null, null, null, 90, 2, 2],
+      ]);
+    });
+
+    it('should create the multi-level headers for the multiple column fields', () => {
+      const result = pivot({
+        columnFields: [0, 1],
+        valueFields: [{ column: 3, aggregator: 'max' }],
+      });
+
+      expect(result.data).toEqual([[30, 20, 50]]);
+      expect(result.nestedHeaders).toEqual([
+        [{ label: 'Europe', colspan: 2 }, 'Asia'],
+        ['Poland', 'Germany', 'Japan'],
+        ['Max of Sales', 'Max of Sales', 'Max of Sales'],
+      ]);
+    });
+
+    it('should create the single total row when there are no row fields', () => {
+      const result = pivot({
+        valueFields: [{ column: 3, aggregator: 'avg' }, { column: 3, aggregator: values => values.length }],
+      });
+
+      expect(result.data).toEqual([[30, 5]]);
+      expect(result.nestedHeaders).toEqual([['Average of Sales', 'Sales']]);
+    });
+
+    it('should create the row fields columns only when there are no value fields', () => {
+      const result = pivot({
+        rowFields: [0],
+        columnFields: [2],
+      });
+
+      expect(result.data).toEqual([['Europe'], ['Asia']]);
+      expect(result.nestedHeaders).toEqual([['Region']]);
+    });
+
+    it('should create an empty pivot for an empty source', () => {
+      const result = pivot({
+        rowsCount: 0,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      });
+
+      expect(result.data).toEqual([]);
+      expect(result.nestedHeaders).toEqual([['Region', 'Sum of Sales']]);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+describe('PivotTable', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+    this.$sourceContainer = $(`<div id="${id}-source"></div>`).appendTo('body');
+    this.sourceHot = new Handsontable(this.$sourceContainer[0], {
+      data: [
+        ['Europe', 'Poland', 2017, 10],
+        ['Europe', 'Germany', 2017, 20],
+        ['Europe', 'Poland', 2018, 30],
+        ['Asia', 'Japan', 2018, 40],
+        ['Asia', 'Japan', 2018, 50],
+      ],
+      colHeaders: ['Region', 'Country', 'Year', 'Sales'],
+    });
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+    if (!this.sourceHot.isDestroyed) {
+      this.sourceHot.destroy();
+    }
+    this.$sourceContainer.remove();
+  });
+
+  it('should build the pivot from the source data', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        columnFields: [2],
+        valueFields: [{ column: 3, aggregator: 'sum' }, { column: 3, aggregator: 'count', label: 'Orders' }],
+      },
+    });
+
+    expect(getData()).toEqual([
+      ['Europe', 30, 2, 30, 1],
+      ['Asia', null, null, 90, 2],
+    ]);
+  });
+
+  it('should render the multi-level headers with the NestedHeaders plugin', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        columnFields: [2],
+        valueFields: [{ column: 3, aggregator: 'avg' }],
+      },
+    });
+
+    expect(getPlugin('nestedHeaders').enabled).toBe(true);
+    expect(getSettings().nestedHeaders).toEqual([
+      ['', '2017', '2018'],
+      ['Region', 'Average of Sales', 'Average of Sales'],
+    ]);
+    expect(getPlugin('nestedHeaders').columnHeaderLevelCount).toBe(2);
+  });
+
+  it('should translate the value column headers using the language dictionary', function() {
+    handsontable({
+      language: 'pl-PL',
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'sum' }, { column: 3, aggregator: 'count' }],
+      },
+    });
+
+    expect(getSettings().nestedHeaders).toEqual([['Region', 'Suma z Sales', 'Liczba z Sales']]);
+  });
+
+  it('should create the single total row when the row fields are not defined', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        valueFields: [
+          { column: 3, aggregator: 'min' },
+          { column: 3, aggregator: 'max' },
+          { column: 3, aggregator: values => values.length },
+        ],
+      },
+    });
+
+    expect(getData()).toEqual([[10, 50, 5]]);
+  });
+
+  it('should not allow to edit the pivot table', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      },
+    });
+
+    setDataAtCell(0, 1, 100);
+    alter('insert_row', 0);
+    alter('remove_row', 0);
+
+    expect(getCellMeta(0, 1).readOnly).toBe(true);
+    expect(getData()).toEqual([
+      ['Europe', 60],
+      ['Asia', 90],
+    ]);
+  });
+
+  it('should recalculate the pivot when the source data is changed', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      },
+    });
+
+    this.sourceHot.setDataAtCell(0, 3, 110);
+
+    expect(getData()).toEqual([
+      ['Europe', 160],
+      ['Asia', 90],
+    ]);
+
+    this.sourceHot.setDataAtCell(3, 0, 'Africa');
+
+    expect(getData()).toEqual([
+      ['Europe', 160],
+      ['Africa', 40],
+      ['Asia', 50],
+    ]);
+  });
+
+  it('should recalculate the pivot when the source rows are added, removed or loaded', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'count' }],
+      },
+    });
+
+    this.sourceHot.alter('remove_row', 3, 2);
+
+    expect(getData()).toEqual([['Europe', 3]]);
+
+    this.sourceHot.alter('insert_row', 0);
+    this.sourceHot.setDataAtCell(0, 0, 'Asia');
+
+    expect(getData()).toEqual([
+      ['Asia', 0],
+      ['Europe', 3],
+    ]);
+
+    this.sourceHot.loadData([['America', 'Chile', 2018, 5]]);
+
+    expect(getData()).toEqual([['America', 1]]);
+  });
+
+  it('should drill down from the aggregate cell to the contributing source rows', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        columnFields: [2],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      },
+    });
+
+    const plugin = getPlugin('pivotTable');
+
+    expect(plugin.getSourceRows(0, 1)).toEqual([0, 1]);
+    expect(plugin.getSourceRows(0, 2)).toEqual([2]);
+    expect(plugin.getSourceRows(1, 1)).toEqual([]);
+    expect(plugin.getSourceRows(0, 0)).toEqual([0, 1, 2]);
+    expect(plugin.drillDown(1, 2)).toEqual([
+      ['Asia', 'Japan', 2018, 40],
+      ['Asia', 'Japan', 2018, 50],
+    ]);
+  });
+
+  it('should rebuild the pivot when the settings are updated', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      },
+    });
+
+    updateSettings({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [1],
+        valueFields: [{ column: 3, aggregator: 'max' }],
+      },
+    });
+
+    expect(getData()).toEqual([
+      ['Poland', 30],
+      ['Germany', 20],
+      ['Japan', 50],
+    ]);
+    expect(getSettings().nestedHeaders).toEqual([['Country', 'Max of Sales']]);
+  });
+
+  it('should stop tracking the source data and restore the editing after disabling the plugin', function() {
+    handsontable({
+      pivotTable: {
+        source: this.sourceHot,
+        rowFields: [0],
+        valueFields: [{ column: 3, aggregator: 'sum' }],
+      },
+    });
+
+    updateSettings({ pivotTable: false });
+    this.sourceHot.setDataAtCell(0, 3, 110);
+
+    expect(getPlugin('nestedHeaders').enabled).toBe(false);
+    expect(getCellMeta(0, 1).readOnly).toBe(false);
+    expect(getData()).toEqual([
+      ['Europe', 60],
+      ['Asia', 90],
+    ]);
+  });
+
+  it('should warn when the source instance is not defined', () => {
+    const warnSpy = spyOn(console, 'warn');
+
+    handsontable({
+      data: [[1, 2]],
+      pivotTable: true,
+    });
+
+    expect(warnSpy).toHaveBeenCalled();
+    expect(getPlugin('pivotTable').enabled).toBe(false);
+    expect(getData()).toEqual([[1, 2]]);
+  });
+});
@@ -0,0 +1,1017 @@
+import BasePlugin from './../_base';
+import { addClass, hasClass } from './../../helpers/dom/element';
+import { stopImmediatePropagation } from './../../helpers/dom/event';
+import { arrayEach, arrayMap } from './../../helpers/array';
+import { rangeEach } from './../../helpers/number';
+import { isDefined, isEmpty } from './../../helpers/mixed';
+import { extend, hasOwnProperty, isObject, objectEach } from './../../helpers/object';
+import { warn } from './../../helpers/console';
+import { registerPlugin } from './../../plugins';
+import { sort } from './../columnSorting/sortService';
+import RowsMapper from './rowsMapper';
+import { aggregate, getGroupId, normalizeColumns } from './utils';
+
+import './rowGrouping.css';
+
+/**
+ * CSS classes used in the cells of the group header rows.
+ *
+ * @type {Object}
+ */
+const CSS_CLASSES = {
+  header: 'htRowGroupHeader',
+  label: 'htRowGroupLabel',
+  button: 'htRowGroupButton',
+  expandButton: 'htRowGroupExpand',
+  collapseButton: 'htRowGroupCollapse',
+};
+/**
+ * Cell meta properties applied to the cells of the group header rows.
+ *
+ * @type {Object}
+ */
+const HEADER_CELL_META = {
+  readOnly: true,
+  editor: false,
+  renderer: 'text',
+  validator: null,
+};
+/**
+ * Name of the cell meta property which marks the cell meta modified by the plugin.
+ *
+ * @type {String}
+ */
+const HEADER_CELL_META_MARKER = 'rowGroupHeader';
+
+/**
+ * Sets the value of the row object under the property of the provided column.
+ *
+ * @param {Array|Object} rowData The row object.
+ * @param {String|Number|Function} prop The column property.
+ * @param {*} value The value to set.
+ */
+function setRowDataValue(rowData, prop, value) {
+  if (typeof prop === 'function') {
+    return;
+  }
+
+  if (typeof prop === 'string' && prop.indexOf('.') > -1) {
+    const keys = prop.split('.');
+    let object = rowData;
+
+    arrayEach(keys.slice(0, -1), (key) => {
+      if (!isObject(object[key])) {
+        object[key] = {};
+      }
+      object = object[key];
+    });
+    object[keys[keys.length - 1]] = value;
+
+  } else {
+    rowData[prop] = value;
+  }
+}
+
+/**
+ * @plugin RowGrouping
+ *
+ * @description
+ * This plugin groups the rows by the values of one or more columns. Each group is preceded by the group header row,
+ * which displays the group key, the number of the grouped rows and (optionally) the aggregated values of the other
+ * columns. The groups can be collapsed and expanded with the button placed in the group header row.
+ *
+ * The plugin does not change the data source. The group header rows do not exist in the data source - they get the
+ * physical indexes placed after the last source row, they are added to the number of the rows with the `modifyRowCount`
+ * hook and the visual order of the rows is defined with the `modifyRow` index translation - the same way as the
+ * {@link ColumnSorting} plugin does it. When the table is sorted, the rows are sorted within their groups (the groups
+ * are ordered by the first appearance of their keys). The sort configuration is kept by the {@link ColumnSorting}
+ * plugin, but the rows are sorted by this plugin.
+ *
+ * Editing the cell of the grouping column moves the row to its new group.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: [
+ *     ['Europe', 'Poland', 38],
+ *     ['Europe', 'Germany', 83],
+ *     ['Asia', 'Japan', 126],
+ *   ],
+ *   columnSorting: true,
+ *   rowGrouping: {
+ *     // group by the first and then by the second column
+ *     columns: [0, 1],
+ *     // display the sum of the third column in the group header rows
+ *     aggregates: [{ column: 2, type: 'sum' }],
+ *   },
+ * });
+ *
+ * const rowGroupingPlugin = hot.getPlugin('rowGrouping');
+ *
+ * // group by the second column only
+ * rowGroupingPlugin.groupBy([1]);
+ * // collapse the group with the header placed in the first row
+ * rowGroupingPlugin.collapseGroup(0);
+ * // remove the grouping
+ * rowGroupingPlugin.ungroup();
+ * ```
+ */
+class RowGrouping extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * Object containing visual row indexes mapped to the physical row indexes (including the group header rows).
+     *
+     * @private
+     * @type {RowsMapper}
+     */
+    this.rowsMapper = new RowsMapper(this);
+    /**
+     * Visual indexes of the grouping columns (from the topmost grouping level).
+     *
+     * @private
+     * @type {Number[]}
+     */
+    this.groupingColumns = [];
+    /**
+     * Tree of the groups. Each group contains its key, grouping column, level, keys path, physical indexes of its rows,
+     * subgroups and the physical index and the data of its header row.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.groups = [];
+    /**
+     * List of all groups, ordered by the physical indexes of their header rows.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.headers = [];
+    /**
+     * Identifiers of the collapsed groups.
+     *
+     * @private
+     * @type {Set<String>}
+     */
+    this.collapsedGroups = new Set();
+    /**
+     * Number of the source data rows (without the group header rows) at the moment of the last groups update.
+     *
+     * @private
+     * @type {Number}
+     */
+    this.sourceRowsCount = 0;
+    /**
+     * Reference to the ColumnSorting plugin.
+     *
+     * @private
+     * @type {ColumnSorting}
+     */
+    this.columnSortingPlugin = null;
+    /**
+     * The group, which receives the rows being created (the group of the row placed at the index of the insertion).
+     *
+     * @private
+     * @type {Object|null}
+     */
+    this.groupOfCreatedRows = null;
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link RowGrouping#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().rowGrouping;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    if (this.hot.getSettings().nestedRows) {
+      warn('The RowGrouping plugin does not support the nested data structure. The nested rows will not be grouped.');
+    }
+
+    this.columnSortingPlugin = this.hot.getPlugin('columnSorting');
+
+    // The plugin enabled with the `updateSettings` method takes over the sorting of the already sorted rows.
+    if (this.hot.view && this.getColumnsFromSettings().length > 0) {
+      this.takeOverColumnSorting();
+    }
+
+    this.groupingColumns = this.getColumnsFromSettings();
+
+    this.addHook('afterLoadData', () => this.onAfterLoadData());
+    this.addHook('modifyRow', row => this.onModifyRow(row));
+    this.addHook('unmodifyRow', row => this.onUnmodifyRow(row));
+    this.addHook('modifyRowCount', count => this.onModifyRowCount(count));
+    this.addHook('modifyRowData', row => this.onModifyRowData(row));
+    this.addHook('beforeCreateRow', index => this.onBeforeCreateRow(index));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('beforeDataFilter', (index, amount, physicalRows) => this.onBeforeDataFilter(index, amount, physicalRows));
+    this.addHook('afterRemoveRow', () => this.onAfterRemoveRow());
+    this.addHook('afterChange', changes => this.onAfterChange(changes));
+    this.addHook('beforeColumnSort', (currentSortConfig, destinationSortConfigs, sortPossible) =>
+      this.onBeforeColumnSort(destinationSortConfigs, sortPossible));
+    this.addHook('beforeRowMove', () => this.onBeforeRowMove());
+    this.addHook('afterGetCellMeta', (row, column, cellProperties) => this.onAfterGetCellMeta(row, column, cellProperties));
+    this.addHook('afterRenderer', (TD, row, column, prop, value, cellProperties) => this.onAfterRenderer(TD, row, column, cellProperties));
+    this.addHook('beforeOnCellMouseDown', (event, coords) => this.onBeforeOnCellMouseDown(event, coords));
+
+    super.enablePlugin();
+
+    // The plugin enabled with the `updateSettings` method has to group the already loaded data.
+    if (this.hot.view) {
+      this.updateGroups();
+    }
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    if (this.enabled) {
+      const headersCount = this.headers.length;
+
+      this.groupingColumns = [];
+      this.collapsedGroups.clear();
+      this.updateGroups();
+      this.restoreColumnSorting();
+
+      // Cell meta of the group header rows is placed after the source rows.
+      this.hot.spliceCellsMeta(this.sourceRowsCount, headersCount);
+    }
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked with the
+   * `rowGrouping` option.
+   *
+   * @private
+   * @param {Object} newSettings New settings object.
+   */
+  onUpdateSettings(newSettings) {
+    super.onUpdateSettings();
+
+    if (this.enabled && isDefined(newSettings.rowGrouping)) {
+      this.groupBy(this.getColumnsFromSettings());
+    }
+  }
+
+  /**
+   * Groups the rows by the values of the provided columns. The previous grouping is replaced.
+   *
+   * @param {Number|Number[]} columns Visual index of the grouping column or the array of the indexes (from the topmost
+   * grouping level).
+   *
+   * @example
+   * ```js
+   * // group by the first column and then by the third column
+   * hot.getPlugin('rowGrouping').groupBy([0, 2]);
+   * ```
+   *
+   * @fires Hooks#beforeRowGrouping
+   * @fires Hooks#afterRowGrouping
+   */
+  groupBy(columns) {
+    const currentColumns = this.getGroupingColumns();
+    const destinationColumns = normalizeColumns(columns);
+    const allowGrouping = this.hot.runHooks('beforeRowGrouping', currentColumns, destinationColumns);
+
+    if (allowGrouping === false) {
+      return;
+    }
+
+    if (currentColumns.join() !== destinationColumns.join()) {
+      this.collapsedGroups.clear();
+    }
+
+    if (!this.isGrouped() && destinationColumns.length > 0) {
+      this.takeOverColumnSorting();
+    }
+
+    this.groupingColumns = destinationColumns;
+    this.updateGroups();
+
+    if (!this.isGrouped()) {
+      this.restoreColumnSorting();
+    }
+
+    this.hot.render();
+    this.hot.runHooks('afterRowGrouping', currentColumns, this.getGroupingColumns());
+  }
+
+  /**
+   * Removes the grouping, so the rows are displayed without the group header rows.
+   *
+   * @fires Hooks#beforeRowGrouping
+   * @fires Hooks#afterRowGrouping
+   */
+  ungroup() {
+    this.groupBy([]);
+  }
+
+  /**
+   * Gets the visual indexes of the grouping columns.
+   *
+   * @returns {Number[]}
+   */
+  getGroupingColumns() {
+    return this.groupingColumns.slice();
+  }
+
+  /**
+   * Checks if the rows are grouped.
+   *
+   * @returns {Boolean}
+   */
+  isGrouped() {
+    return this.enabled && this.groupingColumns.length > 0;
+  }
+
+  /**
+   * Checks if the provided row is the group header row.
+   *
+   * @param {Number} row Visual row index.
+   * @returns {Boolean}
+   */
+  isGroupHeader(row) {
+    return this.getGroupByRow(row) !== void 0;
+  }
+
+  /**
+   * Gets the information about the group displayed in the provided group header row.
+   *
+   * @param {Number} row Visual index of the group header row.
+   * @returns {Object|null} Object with the `key`, `column`, `level`, `path` (keys of the group and its ancestors),
+   * `count` (number of the grouped rows) and `collapsed` properties or `null` if the row is not the group header row.
+   */
+  getGroup(row) {
+    const group = this.getGroupByRow(row);
+
+    if (!group) {
+      return null;
+    }
+
+    return {
+      key: group.key,
+      column: group.column,
+      level: group.level,
+      path: group.path.slice(),
+      count: group.rows.length,
+      collapsed: this.collapsedGroups.has(group.id),
+    };
+  }
+
+  /**
+   * Collapses the group, so its rows are hidden.
+   *
+   * @param {Number} row Visual index of the group header row.
+   * @param {Boolean} [forceRender=true] If `true`, the table will be rendered after the change.
+   */
+  collapseGroup(row, forceRender = true) {
+    this.setGroupState(row, true, forceRender);
+  }
+
+  /**
+   * Expands the group, so its rows are displayed.
+   *
+   * @param {Number} row Visual index of the group header row.
+   * @param {Boolean} [forceRender=true] If `true`, the table will be rendered after the change.
+   */
+  expandGroup(row, forceRender = true) {
+    this.setGroupState(row, false, forceRender);
+  }
+
+  /**
+   * Collapses the group if it is expanded or expands the group if it is collapsed.
+   *
+   * @param {Number} row Visual index of the group header row.
+   */
+  toggleGroup(row) {
+    const group = this.getGroup(row);
+
+    if (group) {
+      this.setGroupState(row, !group.collapsed);
+    }
+  }
+
+  /**
+   * Checks if the group is collapsed.
+   *
+   * @param {Number} row Visual index of the group header row.
+   * @returns {Boolean}
+   */
+  isGroupCollapsed(row) {
+    const group = this.getGroup(row);
+
+    return !!group && group.collapsed;
+  }
+
+  /**
+   * Collapses all groups.
+   */
+  collapseAll() {
+    arrayEach(this.headers, group => this.collapsedGroups.add(group.id));
+
+    this.updateGroups();
+    this.hot.render();
+  }
+
+  /**
+   * Expands all groups.
+   */
+  expandAll() {
+    this.collapsedGroups.clear();
+
+    this.updateGroups();
+    this.hot.render();
+  }
+
+  /**
+   * Sets the collapsed state of the group.
+   *
+   * @private
+   * @param {Number} row Visual index of the group header row.
+   * @param {Boolean} collapsed `true` to collapse the group, `false` to expand it.
+   * @param {Boolean} [forceRender=true] If `true`, the table will be rendered after the change.
+   */
+  setGroupState(row, collapsed, forceRender = true) {
+    const group = this.getGroupByRow(row);
+
+    if (!group) {
+      return;
+    }
+
+    if (collapsed) {
+      this.collapsedGroups.add(group.id);
+
+    } else {
+      this.collapsedGroups.delete(group.id);
+    }
+
+    this.updateGroups();
+
+    if (forceRender) {
+      this.hot.render();
+    }
+  }
+
+  /**
+   * Gets the grouping columns defined in the plugin settings.
+   *
+   * @private
+   * @returns {Number[]}
+   */
+  getColumnsFromSettings() {
+    const settings = this.hot.getSettings().rowGrouping;
+
+    return normalizeColumns(isObject(settings) ? settings.columns : void 0);
+  }
+
+  /**
+   * Gets the aggregates defined in the plugin settings.
+   *
+   * @private
+   * @returns {Object[]}
+   */
+  getAggregatesFromSettings() {
+    const settings = this.hot.getSettings().rowGrouping;
+
+    return isObject(settings) && Array.isArray(settings.aggregates) ? settings.aggregates : [];
+  }
+
+  /**
+   * Gets the group, which header row is placed under the provided visual row index.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @returns {Object|undefined}
+   */
+  getGroupByRow(row) {
+    return this.getGroupByPhysicalRow(this.hot.toPhysicalRow(row));
+  }
+
+  /**
+   * Gets the group, which header row is placed under the provided physical row index.
+   *
+   * @private
+   * @param {Number|null} physicalRow Physical row index.
+   * @returns {Object|undefined}
+   */
+  getGroupByPhysicalRow(physicalRow) {
+    if (!this.isGrouped() || physicalRow === null || physicalRow < this.sourceRowsCount) {
+      return;
+    }
+
+    return this.headers[physicalRow - this.sourceRowsCount];
+  }
+
+  /**
+   * Rebuilds the groups and the map of the rows. This method is called after each change of the data, the grouping
+   * columns and the collapsed groups.
+   *
+   * @private
+   */
+  updateGroups() {
+    const sourceData = this.hot.getSourceData();
+    const visualRows = [];
+
+    this.sourceRowsCount = sourceData ? sourceData.length : 0;
+    this.groups = [];
+    this.headers = [];
+
+    if (!this.isGrouped()) {
+      this.rowsMapper.clearMap();
+      this.hot.runHooks('skipLengthCache', 100);
+
+      return;
+    }
+
+    this.groups = this.createGroups(this.getSortedRows(), []);
+
+    const aggregates = this.getAggregatesFromSettings();
+    const addGroups = (groups, hidden) => {
+      arrayEach(groups, (group) => {
+        const collapsed = hidden || this.collapsedGroups.has(group.id);
+
+        group.physicalRow = this.sourceRowsCount + this.headers.length;
+        group.rowData = this.createHeaderRowData(group, aggregates);
+        this.headers.push(group);
+
+        if (!hidden) {
+          visualRows.push(group.physicalRow);
+        }
+
+        if (group.children) {
+          addGroups(group.children, collapsed);
+
+        } else if (!collapsed) {
+          arrayEach(group.rows, physicalRow => visualRows.push(physicalRow));
+        }
+      });
+    };
+
+    addGroups(this.groups, false);
+
+    this.rowsMapper.setMap(visualRows);
+    this.hot.runHooks('skipLengthCache', 100);
+  }
+
+  /**
+   * Gets the physical indexes of the source rows in the order defined by the sort configuration of the
+   * {@link ColumnSorting} plugin.
+   *
+   * @private
+   * @returns {Number[]}
+   */
+  getSortedRows() {
+    const columnSortingPlugin = this.columnSortingPlugin;
+    const rows = [];
+
+    rangeEach(0, this.sourceRowsCount - 1, physicalRow => rows.push(physicalRow));
+
+    if (!columnSortingPlugin.isSorted()) {
+      return rows;
+    }
+
+    const sortConfigs = columnSortingPlugin.getSortConfig();
+    const indexesWithData = arrayMap(rows, physicalRow =>
+      [physicalRow].concat(arrayMap(sortConfigs, ({ column }) => this.hot.getSourceDataAtCell(physicalRow, column))));
+
+    sort(
+      indexesWithData,
+      columnSortingPlugin.pluginKey,
+      arrayMap(sortConfigs, ({ sortOrder }) => sortOrder),
+      arrayMap(sortConfigs, ({ column }) => columnSortingPlugin.getFirstCellSettings(column))
+    );
+
+    return arrayMap(indexesWithData, indexWithData => indexWithData[0]);
+  }
+
+  /**
+   * Splits the rows into the groups (recursively, for all grouping levels). The groups are ordered by the first
+   * appearance of their keys.
+   *
+   * @private
+   * @param {Number[]} rows Physical row indexes.
+   * @param {Array} parentPath Keys of the parent group and its ancestors.
+   * @returns {Object[]}
+   */
+  createGroups(rows, parentPath) {
+    const level = parentPath.length;
+    const column = this.groupingColumns[level];
+    const groupsByKey = new Map();
+    const groups = [];
+
+    arrayEach(rows, (physicalRow) => {
+      const value = this.hot.getSourceDataAtCell(physicalRow, column);
+      const key = value === void 0 ? null : value;
+      let group = groupsByKey.get(key);
+
+      if (!group) {
+        const path = parentPath.concat([key]);
+
+        group = {
+          id: getGroupId(path),
+          key,
+          column,
+          level,
+          path,
+          rows: [],
+          children: null,
+          physicalRow: null,
+          rowData: null,
+        };
+        groupsByKey.set(key, group);
+        groups.push(group);
+      }
+
+      group.rows.push(physicalRow);
+    });
+
+    if (level + 1 < this.groupingColumns.length) {
+      arrayEach(groups, (group) => {
+        group.children = this.createGroups(group.rows, group.path);
+      });
+    }
+
+    return groups;
+  }
+
+  /**
+   * Creates the data of the group header row - the group key with the number of the grouped rows (placed in the
+   * grouping column) and the aggregated values.
+   *
+   * @private
+   * @param {Object} group The group.
+   * @param {Object[]} aggregates Aggregates defined in the plugin settings.
+   * @returns {Array|Object}
+   */
+  createHeaderRowData(group, aggregates) {
+    const rowData = this.hot.dataType === 'array' ? [] : {};
+    const count = group.rows.length;
+
+    arrayEach(aggregates, ({ column, type }) => {
+      const values = arrayMap(group.rows, physicalRow => this.hot.getSourceDataAtCell(physicalRow, column));
+
+      setRowDataValue(rowData, this.hot.colToProp(column), aggregate(type, values));
+    });
+
+    setRowDataValue(rowData, this.hot.colToProp(group.column), isEmpty(group.key) ? `(${count})` : `${group.key} (${count})`);
+
+    return rowData;
+  }
+
+  /**
+   * Takes over the sorting from the ColumnSorting plugin, before the rows are grouped. The sort is cleared, so the rows
+   * are not translated by the ColumnSorting plugin anymore, and the sort configuration is set back, so it is displayed
+   * in the column headers and the rows are sorted within their groups.
+   *
+   * @private
+   */
+  takeOverColumnSorting() {
+    const columnSortingPlugin = this.columnSortingPlugin;
+
+    if (!columnSortingPlugin.isSorted()) {
+      return;
+    }
+
+    const sortConfig = columnSortingPlugin.getSortConfig();
+
+    columnSortingPlugin.clearSort();
+    columnSortingPlugin.setSortConfig(sortConfig);
+  }
+
+  /**
+   * Sorts the rows with the ColumnSorting plugin, when the rows are not grouped anymore.
+   *
+   * @private
+   */
+  restoreColumnSorting() {
+    const columnSortingPlugin = this.columnSortingPlugin;
+
+    if (columnSortingPlugin.isSorted()) {
+      columnSortingPlugin.sort(columnSortingPlugin.getSortConfig());
+    }
+  }
+
+  /**
+   * `afterLoadData` hook callback.
+   *
+   * @private
+   */
+  onAfterLoadData() {
+    this.updateGroups();
+  }
+
+  /**
+   * `modifyRow` hook callback. Translates the visual row index into the physical row index.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @returns {Number|null}
+   */
+  onModifyRow(row) {
+    if (!this.isGrouped() || row < 0) {
+      return row;
+    }
+
+    return this.rowsMapper.getValueByIndex(row);
+  }
+
+  /**
+   * `unmodifyRow` hook callback. Translates the physical row index into the visual row index.
+   *
+   * @private
+   * @param {Number} row Physical row index.
+   * @returns {Number|null}
+   */
+  onUnmodifyRow(row) {
+    if (!this.isGrouped() || row < 0) {
+      return row;
+    }
+
+    return this.rowsMapper.getIndexByValue(row);
+  }
+
+  /**
+   * `modifyRowCount` hook callback. Adds the group header rows to the number of the rows translated by the `modifyRow`
+   * hook.
+   *
+   * @private
+   * @param {Number} count Number of the source rows.
+   * @returns {Number}
+   */
+  onModifyRowCount(count) {
+    if (!this.isGrouped()) {
+      return count;
+    }
+
+    return count + this.headers.length;
+  }
+
+  /**
+   * `modifyRowData` hook callback. Returns the data of the group header rows.
+   *
+   * @private
+   * @param {Number} row Physical row index.
+   * @returns {Array|Object|undefined}
+   */
+  onModifyRowData(row) {
+    const group = this.getGroupByPhysicalRow(row);
+
+    return group ? group.rowData : void 0;
+  }
+
+  /**
+   * `beforeCreateRow` hook callback. Remembers the group of the row placed at the index of the insertion, so the created
+   * rows get the keys of that group. The rows appended after the last source row do not get any keys.
+   *
+   * @private
+   * @param {Number} index Index of the row, before which the new rows are inserted.
+   */
+  onBeforeCreateRow(index) {
+    this.groupOfCreatedRows = null;
+
+    if (!this.isGrouped() || index >= this.hot.countSourceRows()) {
+      return;
+    }
+
+    const physicalRow = this.hot.toPhysicalRow(index);
+
+    this.groupOfCreatedRows = this.getGroupByPhysicalRow(physicalRow) || this.findLeafGroup(physicalRow) || null;
+  }
+
+  /**
+   * `afterCreateRow` hook callback. Sets the keys of the group to the created rows, so they stay in the group they were
+   * inserted into.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created row.
+   * @param {Number} amount Number of the created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    const group = this.groupOfCreatedRows;
+
+    this.groupOfCreatedRows = null;
+    this.updateGroups();
+
+    if (!group) {
+      return;
+    }
+
+    rangeEach(index, index + amount - 1, (physicalRow) => {
+      const rowData = this.hot.getSourceDataAtRow(physicalRow);
+
+      arrayEach(group.path, (key, level) => {
+        setRowDataValue(rowData, this.hot.colToProp(this.groupingColumns[level]), key);
+      });
+    });
+
+    this.updateGroups();
+  }
+
+  /**
+   * `beforeDataFilter` hook callback. Removing the group header row removes all rows of the group, so the rows of the
+   * group are added to the list of the removed physical rows.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Number of the removed rows.
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   */
+  onBeforeDataFilter(index, amount, physicalRows) {
+    if (!this.isGrouped()) {
+      return;
+    }
+
+    arrayEach(physicalRows.slice(), (physicalRow) => {
+      const group = this.getGroupByPhysicalRow(physicalRow);
+
+      if (group) {
+        arrayEach(group.rows, (row) => {
+          if (physicalRows.indexOf(row) === -1) {
+            physicalRows.push(row);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Finds the group of the deepest grouping level, which contains the provided source row.
+   *
+   * @private
+   * @param {Number} physicalRow Physical row index.
+   * @returns {Object|undefined}
+   */
+  findLeafGroup(physicalRow) {
+    let result;
+
+    arrayEach(this.headers, (group) => {
+      if (!group.children && group.rows.indexOf(physicalRow) !== -1) {
+        result = group;
+
+        return false;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * `afterRemoveRow` hook callback.
+   *
+   * @private
+   */
+  onAfterRemoveRow() {
+    this.updateGroups();
+  }
+
+  /**
+   * `afterChange` hook callback. Regroups the rows, so the edited rows are moved to their new groups and the
+   * aggregated values are recalculated.
+   *
+   * @private
+   * @param {Array[]|null} changes 2D array containing information about each of the edited cells.
+   */
+  onAfterChange(changes) {
+    if (!this.isGrouped() || !changes) {
+      return;
+    }
+
+    this.updateGroups();
+    this.hot.render();
+  }
+
+  /**
+   * `beforeColumnSort` hook callback. The grouped rows are sorted within their groups by this plugin, so the sort
+   * configuration is only set to the ColumnSorting plugin and its default sort action is blocked.
+   *
+   * @private
+   * @param {Array} destinationSortConfigs Destination sort configuration.
+   * @param {Boolean} sortPossible `true` if the sort configuration is valid.
+   * @returns {Boolean|undefined}
+   */
+  onBeforeColumnSort(destinationSortConfigs, sortPossible) {
+    if (!this.isGrouped()) {
+      return;
+    }
+
+    if (sortPossible) {
+      this.columnSortingPlugin.setSortConfig(destinationSortConfigs);
+      this.updateGroups();
+      this.hot.render();
+    }
+
+    return false;
+  }
+
+  /**
+   * `beforeRowMove` hook callback. The rows can not be moved, when they are grouped.
+   *
+   * @private
+   * @returns {Boolean|undefined}
+   */
+  onBeforeRowMove() {
+    if (this.isGrouped()) {
+      return false;
+    }
+  }
+
+  /**
+   * `afterGetCellMeta` hook callback. Makes the cells of the group header rows read-only.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @param {Object} cellProperties Cell meta object.
+   */
+  onAfterGetCellMeta(row, column, cellProperties) {
+    if (this.getGroupByPhysicalRow(cellProperties.row)) {
+      extend(cellProperties, HEADER_CELL_META);
+      cellProperties[HEADER_CELL_META_MARKER] = true;
+
+    } else if (hasOwnProperty(cellProperties, HEADER_CELL_META_MARKER)) {
+      // The physical row was used by the group header row before.
+      objectEach(HEADER_CELL_META, (value, key) => {
+        delete cellProperties[key];
+      });
+      delete cellProperties[HEADER_CELL_META_MARKER];
+    }
+  }
+
+  /**
+   * `afterRenderer` hook callback. Adds the CSS classes to the cells of the group header rows and the collapse/expand
+   * button to the cell of the grouping column.
+   *
+   * @private
+   * @param {HTMLTableCellElement} TD The rendered cell element.
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @param {Object} cellProperties Cell meta object.
+   */
+  onAfterRenderer(TD, row, column, cellProperties) {
+    const group = this.getGroupByPhysicalRow(cellProperties.row);
+
+    if (!group) {
+      return;
+    }
+
+    addClass(TD, CSS_CLASSES.header);
+
+    if (column === group.column) {
+      const isCollapsed = this.collapsedGroups.has(group.id);
+      const button = document.createElement('div');
+
+      addClass(TD, CSS_CLASSES.label);
+      addClass(button, [CSS_CLASSES.button, isCollapsed ? CSS_CLASSES.expandButton : CSS_CLASSES.collapseButton]);
+      button.appendChild(document.createTextNode(isCollapsed ? '+' : '-'));
+
+      TD.insertBefore(button, TD.firstChild);
+    }
+  }
+
+  /**
+   * `beforeOnCellMouseDown` hook callback. Toggles the collapsed state of the group after clicking the button placed
+   * in the group header row.
+   *
+   * @private
+   * @param {MouseEvent} event Mouse event.
+   * @param {CellCoords} coords Clicked cell coords.
+   */
+  onBeforeOnCellMouseDown(event, coords) {
+    if (!hasClass(event.target, CSS_CLASSES.button)) {
+      return;
+    }
+
+    this.toggleGroup(coords.row);
+
+    stopImmediatePropagation(event);
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.rowsMapper.destroy();
+
+    super.destroy();
+  }
+}
+
+registerPlugin('rowGrouping', RowGrouping);
+
+export default RowGrouping;
@@ -0,0 +1,31 @@
+import arrayMapper from './../../mixins/arrayMapper';
+import { mixin } from './../../helpers/object';
+
+/**
+ * Maps the visual row indexes to the physical row indexes. The map contains the group header rows followed by the rows
+ * of their groups (the rows of the collapsed groups are skipped).
+ *
+ * @class RowsMapper
+ * @plugin RowGrouping
+ */
+class RowsMapper {
+  /**
+   * Replaces the map with the new sequence of the physical row indexes.
+   *
+   * @param {Number[]} physicalRows Physical row indexes in the visual order.
+   */
+  setMap(physicalRows) {
+    this._arrayMap = physicalRows;
+  }
+
+  /**
+   * Destroy class.
+   */
+  destroy() {
+    this._arrayMap = null;
+  }
+}
+
+mixin(RowsMapper, arrayMapper);
+
+export default RowsMapper;
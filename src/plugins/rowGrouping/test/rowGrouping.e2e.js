@@ -0,0 +1,583 @@
+describe('RowGrouping', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  function getData() {
+    return [
+      ['Europe', 'Poland', 38],
+      ['Asia', 'Japan', 126],
+      ['Europe', 'Germany', 83],
+      ['Asia', 'China', 1400],
+      ['Europe', 'France', 67],
+      ['Europe', 'Poland', 2],
+    ];
+  }
+
+  // The values of the group header rows are read through the visual rows, the `getDataAtCol` method returns
+  // as many values as there are source rows.
+  function getRenderedDataAtCol(column) {
+    return getInstance().getData(0, column, countRows() - 1, column).map(row => row[0]);
+  }
+
+  describe('grouping', () => {
+    it('should not group the rows when the grouping columns are not defined', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: true,
+      });
+
+      expect(countRows()).toBe(6);
+      expect(getPlugin('rowGrouping').isGrouped()).toBe(false);
+      expect(getRenderedDataAtCol(1)).toEqual(['Poland', 'Japan', 'Germany', 'China', 'France', 'Poland']);
+    });
+
+    it('should group the rows by the column defined in the settings', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: 0,
+        },
+      });
+
+      expect(countRows()).toBe(8);
+      expect(countSourceRows()).toBe(6);
+      expect(getRenderedDataAtCol(0)).toEqual(['Europe (4)', 'Europe', 'Europe', 'Europe', 'Europe', 'Asia (2)', 'Asia', 'Asia']);
+      expect(getRenderedDataAtCol(1)).toEqual([null, 'Poland', 'Germany', 'France', 'Poland', null, 'Japan', 'China']);
+      expect(getDataAtRow(0)).toEqual(['Europe (4)', null, null]);
+    });
+
+    it('should group the rows by multiple columns', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0, 1],
+        },
+      });
+
+      expect(countRows()).toBe(13);
+      expect(getRenderedDataAtCol(0)).toEqual([
+        'Europe (4)', null, 'Europe', 'Europe', null, 'Europe', null, 'Europe',
+        'Asia (2)', null, 'Asia', null, 'Asia',
+      ]);
+      expect(getRenderedDataAtCol(1)).toEqual([
+        null, 'Poland (2)', 'Poland', 'Poland', 'Germany (1)', 'Germany', 'France (1)', 'France',
+        null, 'Japan (1)', 'Japan', 'China (1)', 'China',
+      ]);
+    });
+
+    it('should not modify the source data', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0, 1],
+        },
+      });
+
+      expect(getSourceData()).toEqual(getData());
+      expect(getSourceDataAtRow(2)).toEqual(['Europe', 'Germany', 83]);
+      expect(getPlugin('rowGrouping').groups.length).toBe(2);
+    });
+
+    it('should group the rows of the object data source', () => {
+      handsontable({
+        data: [
+          { region: 'Europe', country: { name: 'Poland' }, population: 38 },
+          { region: 'Asia', country: { name: 'Japan' }, population: 126 },
+          { region: 'Europe', country: { name: 'Germany' }, population: 83 },
+        ],
+        columns: [{ data: 'region' }, { data: 'country.name' }, { data: 'population' }],
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'sum' }],
+        },
+      });
+
+      expect(getInstance().getData()).toEqual([
+        ['Europe (2)', null, 121],
+        ['Europe', 'Poland', 38],
+        ['Europe', 'Germany', 83],
+        ['Asia (1)', null, 126],
+        ['Asia', 'Japan', 126],
+      ]);
+    });
+
+    it('should display the aggregated values in the group header rows', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'sum' }, { column: 1, type: 'count' }],
+        },
+      });
+
+      expect(getDataAtRow(0)).toEqual(['Europe (4)', 4, 190]);
+      expect(getDataAtRow(5)).toEqual(['Asia (2)', 2, 1526]);
+    });
+
+    it('should calculate the aggregated values with the custom function', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 1, type: values => values.join(', ') }],
+        },
+      });
+
+      expect(getDataAtCell(0, 1)).toBe('Poland, Germany, France, Poland');
+      expect(getDataAtCell(5, 1)).toBe('Japan, China');
+    });
+
+    it('should make the cells of the group header rows read-only', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      expect(getCellMeta(0, 1).readOnly).toBe(true);
+      expect(getCellMeta(0, 1).editor).toBe(false);
+      expect(getCellMeta(1, 1).readOnly).toBe(false);
+      expect(getCell(0, 0).className).toContain('htRowGroupHeader');
+      expect(getCell(0, 0).className).toContain('htRowGroupLabel');
+      expect(getCell(0, 0).querySelector('.htRowGroupButton')).not.toBe(null);
+      expect(getCell(1, 0).className).not.toContain('htRowGroupHeader');
+    });
+
+    it('should not add the group header rows to the values returned by the `getDataAtCol` method', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'sum' }],
+        },
+      });
+
+      expect(countRows()).toBe(8);
+      expect(getDataAtCol(2).length).toBe(6);
+      expect(getInstance().getDataAtProp(2).length).toBe(6);
+    });
+
+    it('should not add the group header rows to the data source', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'sum' }],
+        },
+      });
+
+      expect(countSourceRows()).toBe(6);
+      expect(getSourceDataAtCol(2)).toEqual([38, 126, 83, 1400, 67, 2]);
+      expect(getSourceDataAtRow(5)).toEqual(['Europe', 'Poland', 2]);
+    });
+
+    it('should not compare the values of the group header rows in the unique columns', () => {
+      const hot = handsontable({
+        data: [
+          ['Europe', 'Poland', 38],
+          ['Asia', 'Japan', 126],
+          ['Europe', 'Germany', 83],
+        ],
+        columns: [
+          {},
+          {},
+          { unique: true },
+        ],
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'sum' }],
+        },
+      });
+
+      expect(getDataAtRow(3)).toEqual(['Asia (1)', null, 126]);
+      expect(hot.getValidationErrors()).toEqual([]);
+    });
+  });
+
+  describe('API', () => {
+    it('should group the rows with the `groupBy` method and remove the grouping with the `ungroup` method', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: true,
+      });
+
+      const plugin = getPlugin('rowGrouping');
+
+      plugin.groupBy(1);
+
+      expect(plugin.getGroupingColumns()).toEqual([1]);
+      expect(getRenderedDataAtCol(1)).toEqual([
+        'Poland (2)', 'Poland', 'Poland', 'Japan (1)', 'Japan', 'Germany (1)', 'Germany', 'China (1)', 'China',
+        'France (1)', 'France',
+      ]);
+
+      plugin.ungroup();
+
+      expect(plugin.isGrouped()).toBe(false);
+      expect(countRows()).toBe(6);
+      expect(getRenderedDataAtCol(1)).toEqual(['Poland', 'Japan', 'Germany', 'China', 'France', 'Poland']);
+    });
+
+    it('should return the information about the group', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0, 1],
+        },
+      });
+
+      const plugin = getPlugin('rowGrouping');
+
+      expect(plugin.isGroupHeader(1)).toBe(true);
+      expect(plugin.isGroupHeader(2)).toBe(false);
+      expect(plugin.getGroup(1)).toEqual({
+        key: 'Poland',
+        column: 1,
+        level: 1,
+        path: ['Europe', 'Poland'],
+        count: 2,
+        collapsed: false,
+      });
+      expect(plugin.getGroup(2)).toBe(null);
+    });
+
+    it('should collapse and expand the groups', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      const plugin = getPlugin('rowGrouping');
+
+      plugin.collapseGroup(0);
+
+      expect(plugin.isGroupCollapsed(0)).toBe(true);
+      expect(countRows()).toBe(4);
+      expect(getRenderedDataAtCol(1)).toEqual([null, null, 'Japan', 'China']);
+
+      plugin.collapseGroup(1);
+
+      expect(countRows()).toBe(2);
+
+      plugin.expandGroup(0);
+
+      expect(plugin.isGroupCollapsed(0)).toBe(false);
+      expect(countRows()).toBe(6);
+      expect(getRenderedDataAtCol(1)).toEqual([null, 'Poland', 'Germany', 'France', 'Poland', null]);
+    });
+
+    it('should hide the subgroups of the collapsed group', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0, 1],
+        },
+      });
+
+      const plugin = getPlugin('rowGrouping');
+
+      plugin.collapseGroup(1);
+
+      expect(countRows()).toBe(11);
+
+      plugin.collapseGroup(0);
+
+      expect(countRows()).toBe(6);
+      expect(getRenderedDataAtCol(0)).toEqual(['Europe (4)', 'Asia (2)', null, 'Asia', null, 'Asia']);
+
+      plugin.expandGroup(0);
+
+      expect(countRows()).toBe(11);
+      expect(plugin.isGroupCollapsed(1)).toBe(true);
+    });
+
+    it('should collapse and expand all groups', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0, 1],
+        },
+      });
+
+      const plugin = getPlugin('rowGrouping');
+
+      plugin.collapseAll();
+
+      expect(countRows()).toBe(2);
+
+      plugin.expandGroup(0);
+
+      expect(countRows()).toBe(5);
+
+      plugin.expandAll();
+
+      expect(countRows()).toBe(13);
+    });
+
+    it('should toggle the group after clicking the button placed in the group header row', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      $(getCell(0, 0).querySelector('.htRowGroupButton')).simulate('mousedown');
+
+      expect(countRows()).toBe(4);
+      expect(getCell(0, 0).querySelector('.htRowGroupExpand')).not.toBe(null);
+
+      $(getCell(0, 0).querySelector('.htRowGroupButton')).simulate('mousedown');
+
+      expect(countRows()).toBe(8);
+      expect(getCell(0, 0).querySelector('.htRowGroupCollapse')).not.toBe(null);
+    });
+
+    it('should regroup the rows after updating the settings', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      updateSettings({
+        rowGrouping: {
+          columns: [1],
+        },
+      });
+
+      expect(getPlugin('rowGrouping').getGroupingColumns()).toEqual([1]);
+      expect(countRows()).toBe(11);
+
+      updateSettings({
+        rowGrouping: false,
+      });
+
+      expect(countRows()).toBe(6);
+      expect(countSourceRows()).toBe(6);
+      expect(getCellMeta(0, 0).readOnly).toBe(false);
+      expect(getRenderedDataAtCol(1)).toEqual(['Poland', 'Japan', 'Germany', 'China', 'France', 'Poland']);
+    });
+  });
+
+  describe('hooks', () => {
+    it('should run the `beforeRowGrouping` and `afterRowGrouping` hooks', () => {
+      const beforeRowGrouping = jasmine.createSpy('beforeRowGrouping');
+      const afterRowGrouping = jasmine.createSpy('afterRowGrouping');
+
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+        beforeRowGrouping,
+        afterRowGrouping,
+      });
+
+      getPlugin('rowGrouping').groupBy([0, 1]);
+
+      expect(beforeRowGrouping).toHaveBeenCalledWith([0], [0, 1], void 0, void 0, void 0, void 0);
+      expect(afterRowGrouping).toHaveBeenCalledWith([0], [0, 1], void 0, void 0, void 0, void 0);
+
+      getPlugin('rowGrouping').ungroup();
+
+      expect(afterRowGrouping).toHaveBeenCalledWith([0, 1], [], void 0, void 0, void 0, void 0);
+    });
+
+    it('should not group the rows when the `beforeRowGrouping` hook returns `false`', () => {
+      const afterRowGrouping = jasmine.createSpy('afterRowGrouping');
+
+      handsontable({
+        data: getData(),
+        rowGrouping: true,
+        beforeRowGrouping: () => false,
+        afterRowGrouping,
+      });
+
+      getPlugin('rowGrouping').groupBy([0]);
+
+      expect(getPlugin('rowGrouping').isGrouped()).toBe(false);
+      expect(countRows()).toBe(6);
+      expect(afterRowGrouping).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('editing', () => {
+    it('should move the row to its new group after editing the grouping column', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'sum' }],
+        },
+      });
+
+      setDataAtCell(1, 0, 'Asia');
+
+      expect(getRenderedDataAtCol(0)).toEqual(['Asia (3)', 'Asia', 'Asia', 'Asia', 'Europe (3)', 'Europe', 'Europe', 'Europe']);
+      expect(getRenderedDataAtCol(1)).toEqual([null, 'Poland', 'Japan', 'China', null, 'Germany', 'France', 'Poland']);
+      expect(getDataAtCell(4, 2)).toBe(152);
+      expect(getSourceDataAtCell(0, 0)).toBe('Asia');
+    });
+
+    it('should recalculate the aggregated values after editing the cells', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+          aggregates: [{ column: 2, type: 'max' }],
+        },
+      });
+
+      setDataAtCell(6, 2, 1);
+
+      expect(getDataAtCell(5, 2)).toBe(1400);
+
+      setDataAtCell(7, 2, 5);
+
+      expect(getDataAtCell(5, 2)).toBe(5);
+    });
+
+    it('should insert the new row into the group of the row placed at the provided index', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      alter('insert_row', 2);
+
+      expect(getSourceData().length).toBe(7);
+      expect(getSourceDataAtRow(2)).toEqual(['Europe', null, null]);
+      expect(getRenderedDataAtCol(0)).toEqual(['Europe (5)', 'Europe', 'Europe', 'Europe', 'Europe', 'Europe', 'Asia (2)', 'Asia', 'Asia']);
+      expect(getRenderedDataAtCol(1)).toEqual([null, 'Poland', null, 'Germany', 'France', 'Poland', null, 'Japan', 'China']);
+    });
+
+    it('should remove the rows and whole groups', () => {
+      handsontable({
+        data: getData(),
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      alter('remove_row', 1);
+
+      expect(getSourceData().length).toBe(5);
+      expect(getRenderedDataAtCol(1)).toEqual([null, 'Japan', 'China', null, 'Germany', 'France', 'Poland']);
+
+      alter('remove_row', 0);
+
+      expect(getSourceData()).toEqual([['Europe', 'Germany', 83], ['Europe', 'France', 67], ['Europe', 'Poland', 2]]);
+      expect(getRenderedDataAtCol(1)).toEqual([null, 'Germany', 'France', 'Poland']);
+    });
+  });
+
+  describe('integration with the ColumnSorting plugin', () => {
+    it('should sort the rows within their groups', () => {
+      handsontable({
+        data: getData(),
+        columnSorting: true,
+        rowGrouping: {
+          columns: [0],
+        },
+      });
+
+      getPlugin('columnSorting').sort({ column: 2, sortOrder: 'asc' });
+
+      expect(getRenderedDataAtCol(0)).toEqual(['Europe (4)', 'Europe', 'Europe', 'Europe', 'Europe', 'Asia (2)', 'Asia', 'Asia']);
+      expect(getRenderedDataAtCol(2)).toEqual([null, 2, 38, 67, 83, null, 126, 1400]);
+
+      getPlugin('columnSorting').sort({ column: 2, sortOrder: 'desc' });
+
+      expect(getRenderedDataAtCol(0)).toEqual(['Asia (2)', 'Asia', 'Asia', 'Europe (4)', 'Europe', 'Europe', 'Europe', 'Europe']);
+      expect(getRenderedDataAtCol(2)).toEqual([null, 1400, 126, null, 83, 67, 38, 2]);
+    });
+
+    it('should group the sorted rows and restore the sorting after removing the grouping', () => {
+      handsontable({
+        data: getData(),
+        columnSorting: {
+          initialConfig: {
+            column: 2,
+            sortOrder: 'asc',
+          },
+        },
+        rowGrouping: true,
+      });
+
+      const plugin = getPlugin('rowGrouping');
+
+      plugin.groupBy([0]);
+
+      expect(getRenderedDataAtCol(2)).toEqual([null, 2, 38, 67, 83, null, 126, 1400]);
+
+      plugin.ungroup();
+
+      expect(getRenderedDataAtCol(2)).toEqual([2, 38, 67, 83, 126, 1400]);
+    });
+
+    it('should keep the sort configuration in the ColumnSorting plugin while the rows are grouped', () => {
+      handsontable({
+        data: getData(),
+        columnSorting: {
+          initialConfig: {
+            column: 2,
+            sortOrder: 'asc',
+          },
+        },
+        rowGrouping: true,
+      });
+
+      getPlugin('rowGrouping').groupBy([0]);
+
+      const columnSortingPlugin = getPlugin('columnSorting');
+
+      expect(columnSortingPlugin.getSortConfig()).toEqual([{ column: 2, sortOrder: 'asc' }]);
+      expect(getRenderedDataAtCol(2)).toEqual([null, 2, 38, 67, 83, null, 126, 1400]);
+      expect(getInstance().toVisualRow(1)).toBe(6);
+
+      columnSortingPlugin.sort({ column: 2, sortOrder: 'desc' });
+
+      expect(columnSortingPlugin.getSortConfig()).toEqual([{ column: 2, sortOrder: 'desc' }]);
+      expect(getRenderedDataAtCol(2)).toEqual([null, 1400, 126, null, 83, 67, 38, 2]);
+      expect(getInstance().toVisualRow(1)).toBe(2);
+    });
+
+    it('should insert the new row into its group when the rows are sorted', () => {
+      handsontable({
+        data: getData(),
+        columnSorting: {
+          initialConfig: {
+            column: 2,
+            sortOrder: 'asc',
+          },
+        },
+        rowGrouping: true,
+      });
+
+      getPlugin('rowGrouping').groupBy([0]);
+
+      alter('insert_row', 2);
+
+      expect(getSourceData().length).toBe(7);
+      expect(getRenderedDataAtCol(0)).toEqual(['Europe (5)', 'Europe', 'Europe', 'Europe', 'Europe', 'Europe', 'Asia (2)', 'Asia', 'Asia']);
+      expect(getRenderedDataAtCol(2)).toEqual([null, 2, 38, 67, 83, null, null, 126, 1400]);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { aggregate, normalizeColumns } from 'handsontable/plugins/rowGrouping/utils';
+
+describe('RowGrouping', () => {
+  describe('aggregate', () => {
+    it('should calculate the values with the built-in aggregate functions', () => {
+      const values = [3, '4', null, '', 'text', 1];
+
+      expect(aggregate('count', values)).toBe(4);
+      expect(aggregate('sum', values)).toBe(8);
+      expect(aggregate('min', values)).toBe(1);
+      expect(aggregate('max', values)).toBe(4);
+      expect(aggregate('average', values)).toBe(8 / 3);
+    });
+
+    it('should return `null` for the numeric aggregates when there are no numeric values', () => {
+      expect(aggregate('min', ['a', null])).toBe(null);
+      expect(aggregate('max', [])).toBe(null);
+      expect(aggregate('average', [''])).toBe(null);
+      expect(aggregate('sum', [])).toBe(0);
+    });
+
+    it('should calculate the values with the custom function', () => {
+      expect(aggregate(values => values.length, [1, 2, 3])).toBe(3);
+    });
+
+    it('should throw an error for the unknown aggregate function', () => {
+      expect(() => aggregate('median', [1])).toThrowError('No aggregate function found under "median" name');
+    });
+  });
+
+  describe('normalizeColumns', () => {
+    it('should normalize the grouping columns', () => {
+      const columns = [1, 2];
+
+      expect(normalizeColumns(void 0)).toEqual([]);
+      expect(normalizeColumns(null)).toEqual([]);
+      expect(normalizeColumns(0)).toEqual([0]);
+      expect(normalizeColumns(columns)).toEqual([1, 2]);
+      expect(normalizeColumns(columns)).not.toBe(columns);
+    });
+  });
+});
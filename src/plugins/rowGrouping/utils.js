@@ -0,0 +1,82 @@
+import { arrayAvg, arrayFilter, arrayMap, arrayMax, arrayMin, arraySum } from '../../helpers/array';
+import { isNumeric } from '../../helpers/number';
+import { isEmpty } from '../../helpers/mixed';
+
+/**
+ * Converts the values into the list of numbers. The empty and non-numeric values are skipped.
+ *
+ * @param {Array} values List of the cell values.
+ * @returns {Number[]}
+ */
+function toNumbers(values) {
+  return arrayMap(arrayFilter(values, value => isNumeric(value)), value => parseFloat(value));
+}
+
+/**
+ * Built-in aggregate functions, available under their names in the `aggregates` option.
+ *
+ * @type {Object}
+ */
+const AGGREGATES = {
+  count: values => arrayFilter(values, value => !isEmpty(value)).length,
+  sum: values => arraySum(toNumbers(values)),
+  min: (values) => {
+    const numbers = toNumbers(values);
+
+    return numbers.length ? arrayMin(numbers) : null;
+  },
+  max: (values) => {
+    const numbers = toNumbers(values);
+
+    return numbers.length ? arrayMax(numbers) : null;
+  },
+  average: (values) => {
+    const numbers = toNumbers(values);
+
+    return numbers.length ? arrayAvg(numbers) : null;
+  },
+};
+
+/**
+ * Calculates the aggregated value of the group column.
+ *
+ * @param {String|Function} type Name of the built-in aggregate function (`count`, `sum`, `min`, `max` or `average`)
+ * or the custom function, which receives the list of values and returns the aggregated value.
+ * @param {Array} values Values of the column cells which belong to the group.
+ * @returns {*}
+ */
+export function aggregate(type, values) {
+  if (typeof type === 'function') {
+    return type(values);
+  }
+
+  if (!AGGREGATES[type]) {
+    throw new Error(`No aggregate function found under "${type}" name`);
+  }
+
+  return AGGREGATES[type](values);
+}
+
+/**
+ * Normalizes the grouping columns passed to the plugin (the single column index or the array of the indexes).
+ *
+ * @param {Number|Number[]|undefined} columns Visual column index or the array of the indexes.
+ * @returns {Number[]}
+ */
+export function normalizeColumns(columns) {
+  if (columns === void 0 || columns === null) {
+    return [];
+  }
+
+  return Array.isArray(columns) ? columns.slice() : [columns];
+}
+
+/**
+ * Creates the group identifier based on the keys of the group and its ancestors.
+ *
+ * @param {Array} path Keys of the group and its ancestors (from the topmost one).
+ * @returns {String}
+ */
+export function getGroupId(path) {
+  return JSON.stringify(path);
+}
@@ -100,7 +100,16 @@ class TouchScroll extends BasePlugin {
       return;
     }
 
-    const { topOverlay, bottomOverlay, leftOverlay, topLeftCornerOverlay, bottomLeftCornerOverlay } = this.hot.view.wt.wtOverlays;
+    const {
+      topOverlay,
+      bottomOverlay,
+      leftOverlay,
+      rightOverlay,
+      topLeftCornerOverlay,
+      bottomLeftCornerOverlay,
+      topRightCornerOverlay,
+      bottomRightCornerOverlay,
+    } = this.hot.view.wt.wtOverlays;
 
     this.lockedCollection = true;
     this.scrollbars.length = 0;
@@ -117,6 +126,15 @@ class TouchScroll extends BasePlugin {
     if (bottomLeftCornerOverlay && bottomLeftCornerOverlay.clone) {
       this.scrollbars.push(bottomLeftCornerOverlay);
     }
+    if (rightOverlay.clone) {
+      this.scrollbars.push(rightOverlay);
+    }
+    if (topRightCornerOverlay && topRightCornerOverlay.clone) {
+      this.scrollbars.push(topRightCornerOverlay);
+    }
+    if (bottomRightCornerOverlay && bottomRightCornerOverlay.clone) {
+      this.scrollbars.push(bottomRightCornerOverlay);
+    }
 
     this.clones.length = 0;
 
@@ -135,6 +153,15 @@ class TouchScroll extends BasePlugin {
     if (bottomLeftCornerOverlay && bottomLeftCornerOverlay.clone) {
       this.clones.push(bottomLeftCornerOverlay.clone.wtTable.holder.parentNode);
     }
+    if (rightOverlay.needFullRender) {
+      this.clones.push(rightOverlay.clone.wtTable.holder.parentNode);
+    }
+    if (topRightCornerOverlay && topRightCornerOverlay.clone) {
+      this.clones.push(topRightCornerOverlay.clone.wtTable.holder.parentNode);
+    }
+    if (bottomRightCornerOverlay && bottomRightCornerOverlay.clone) {
+      this.clones.push(bottomRightCornerOverlay.clone.wtTable.holder.parentNode);
+    }
   }
 
   /**
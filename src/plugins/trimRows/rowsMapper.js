@@ -0,0 +1,48 @@
+import arrayMapper from './../../mixins/arrayMapper';
+import { mixin } from './../../helpers/object';
+import { rangeEach } from './../../helpers/number';
+
+/**
+ * Maps the visual (untrimmed) row indexes to the physical row indexes. The map contains only rows which are not
+ * trimmed, in their physical order.
+ *
+ * @class RowsMapper
+ * @plugin TrimRows
+ */
+class RowsMapper {
+  constructor(trimRows) {
+    /**
+     * Instance of TrimRows plugin.
+     *
+     * @type {TrimRows}
+     */
+    this.trimRows = trimRows;
+  }
+
+  /**
+   * Reset current map array and create new one, skipping the trimmed rows.
+   *
+   * @param {Number} length Number of the source rows.
+   */
+  createMap(length) {
+    this._arrayMap.length = 0;
+
+    rangeEach(length - 1, (physicalRow) => {
+      if (!this.trimRows.isTrimmed(physicalRow)) {
+        this._arrayMap.push(physicalRow);
+      }
+    });
+  }
+
+  /**
+   * Destroy class.
+   */
+  destroy() {
+    this._arrayMap = null;
+    this.trimRows = null;
+  }
+}
+
+mixin(RowsMapper, arrayMapper);
+
+export default RowsMapper;
@@ -0,0 +1,40 @@
+import RowsMapper from 'handsontable/plugins/trimRows/rowsMapper';
+
+describe('TrimRows', () => {
+  describe('rowsMapper', () => {
+    it('should set trimRows plugin while constructing', () => {
+      const trimRowsMock = {};
+      const mapper = new RowsMapper(trimRowsMock);
+
+      expect(mapper.trimRows).toBe(trimRowsMock);
+    });
+
+    it('should be mixed with arrayMapper object', () => {
+      expect(RowsMapper.MIXINS).toEqual(['arrayMapper']);
+    });
+
+    it('should create map skipping the trimmed rows', () => {
+      const trimRowsMock = {
+        isTrimmed: row => row === 1 || row === 3,
+      };
+      const mapper = new RowsMapper(trimRowsMock);
+
+      mapper.createMap(6);
+
+      expect(mapper._arrayMap).toEqual([0, 2, 4, 5]);
+      expect(mapper.getValueByIndex(1)).toBe(2);
+      expect(mapper.getValueByIndex(4)).toBe(null);
+      expect(mapper.getIndexByValue(4)).toBe(2);
+      expect(mapper.getIndexByValue(3)).toBe(null);
+    });
+
+    it('should destroy array after calling destroy method', () => {
+      const mapper = new RowsMapper();
+
+      mapper.destroy();
+
+      expect(mapper._arrayMap).toBe(null);
+      expect(mapper.trimRows).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+describe('TrimRows', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  describe('initialization', () => {
+    it('should trim the rows provided in the plugin settings', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [1, 3],
+      });
+
+      expect(countRows()).toBe(3);
+      expect(countSourceRows()).toBe(5);
+      expect(getData()).toEqual([['A1', 'B1'], ['A3', 'B3'], ['A5', 'B5']]);
+      expect(getCell(1, 0).innerText).toBe('A3');
+    });
+
+    it('should untrim all rows after disabling the plugin', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [1, 3],
+      });
+
+      updateSettings({ trimRows: false });
+
+      expect(countRows()).toBe(5);
+      expect(getDataAtCol(0)).toEqual(['A1', 'A2', 'A3', 'A4', 'A5']);
+    });
+
+    it('should replace the trimmed rows after updating the plugin settings', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [1, 3],
+      });
+
+      updateSettings({ trimRows: [0] });
+
+      expect(getDataAtCol(0)).toEqual(['A2', 'A3', 'A4', 'A5']);
+    });
+  });
+
+  describe('API', () => {
+    it('should trim and untrim the rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: true,
+      });
+      const plugin = hot.getPlugin('trimRows');
+
+      plugin.trimRow(0);
+      plugin.trimRows([2, 4]);
+      hot.render();
+
+      expect(plugin.isTrimmed(0)).toBe(true);
+      expect(plugin.isTrimmed(1)).toBe(false);
+      expect(getDataAtCol(0)).toEqual(['A2', 'A4']);
+
+      plugin.untrimRow(0);
+      plugin.untrimRows([4]);
+      hot.render();
+
+      expect(plugin.trimmedRows).toEqual([2]);
+      expect(getDataAtCol(0)).toEqual(['A1', 'A2', 'A4', 'A5']);
+
+      plugin.untrimAll();
+      hot.render();
+
+      expect(countRows()).toBe(5);
+    });
+
+    it('should run the hooks after trimming and untrimming the rows', () => {
+      const afterTrimRow = jasmine.createSpy('afterTrimRow');
+      const afterUntrimRow = jasmine.createSpy('afterUntrimRow');
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: true,
+        afterTrimRow,
+        afterUntrimRow,
+      });
+
+      hot.getPlugin('trimRows').trimRows([1, 2]);
+      hot.getPlugin('trimRows').untrimRows([2]);
+
+      expect(afterTrimRow).toHaveBeenCalledWith([1, 2], void 0, void 0, void 0, void 0, void 0);
+      expect(afterUntrimRow).toHaveBeenCalledWith([2], void 0, void 0, void 0, void 0, void 0);
+    });
+
+    it('should update the trimmed rows after creating and removing the rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [2, 4],
+      });
+      const plugin = hot.getPlugin('trimRows');
+
+      alter('insert_row', 0, 2);
+
+      expect(plugin.trimmedRows).toEqual([4, 6]);
+      expect(countRows()).toBe(5);
+
+      alter('remove_row', 0);
+
+      expect(plugin.trimmedRows).toEqual([3, 5]);
+      expect(getDataAtCol(0)).toEqual([null, 'A1', 'A2', 'A4']);
+    });
+
+    it('should keep the trimmed rows after loading new data', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [1],
+      });
+
+      loadData(Handsontable.helper.createSpreadsheetData(3, 2));
+
+      expect(getDataAtCol(0)).toEqual(['A1', 'A3']);
+    });
+  });
+
+  describe('selection and copy', () => {
+    it('should not select the trimmed rows', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [1],
+      });
+
+      selectCell(0, 0);
+      keyDownUp('arrow_down');
+
+      expect(getSelected()).toEqual([[1, 0, 1, 0]]);
+      expect(getDataAtCell(1, 0)).toBe('A3');
+    });
+
+    it('should not copy the trimmed rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        trimRows: [1],
+      });
+      const copyPastePlugin = hot.getPlugin('copyPaste');
+
+      selectCell(0, 0, 2, 1);
+      copyPastePlugin.setCopyableText();
+
+      expect(copyPastePlugin.getRangedCopyableData(copyPastePlugin.copyableRanges)).toBe('A1\tB1\nA3\tB3\nA4\tB4');
+    });
+  });
+
+  describe('cooperation with other plugins', () => {
+    it('should sort only the untrimmed rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        columnSorting: true,
+        trimRows: [1],
+      });
+
+      hot.getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+      expect(getDataAtCol(0)).toEqual(['A5', 'A4', 'A3', 'A1']);
+    });
+
+    it('should keep the sort order after trimming the rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        columnSorting: true,
+        trimRows: true,
+      });
+
+      hot.getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+      hot.getPlugin('trimRows').trimRows([0, 3]);
+      hot.render();
+
+      expect(getDataAtCol(0)).toEqual(['A5', 'A3', 'A2']);
+    });
+
+    it('should translate the moved rows', () => {
+      const hot = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        manualRowMove: true,
+        trimRows: [0],
+      });
+
+      hot.getPlugin('manualRowMove').moveRow(0, 3);
+      hot.render();
+
+      expect(getDataAtCol(0)).toEqual(['A3', 'A4', 'A2', 'A5']);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import BasePlugin from './../_base';
+import { arrayEach, arrayFilter, arrayMap } from './../../helpers/array';
+import { registerPlugin } from './../../plugins';
+import RowsMapper from './rowsMapper';
+
+/**
+ * @plugin TrimRows
+ *
+ * @description
+ * The plugin allows to trim certain rows. The trimming is achieved by applying the transformation algorithm to the data
+ * transformation. In this case, when the row is trimmed it is not accessible using `getData*` methods thus the trimmed
+ * data is not visible to other plugins (the rows are not counted by {@link Core#countRows}, can not be selected and
+ * are not copied to the clipboard).
+ *
+ * The trimmed rows are defined as physical indexes, so they stay trimmed after sorting the data with the
+ * {@link ColumnSorting} plugin or after moving the rows with the {@link ManualRowMove} plugin.
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   // hide selected rows on table initialization
+ *   trimRows: [1, 2, 5]
+ * });
+ *
+ * // access the trimRows plugin instance
+ * const trimRowsPlugin = hot.getPlugin('trimRows');
+ *
+ * // hide single row
+ * trimRowsPlugin.trimRow(1);
+ *
+ * // hide multiple rows
+ * trimRowsPlugin.trimRows([1, 2, 5]);
+ *
+ * // show single row
+ * trimRowsPlugin.untrimRow(1);
+ *
+ * // show multiple rows
+ * trimRowsPlugin.untrimRows([1, 2, 5]);
+ *
+ * // rerender table to see the changes
+ * hot.render();
+ * ```
+ */
+class TrimRows extends BasePlugin {
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * List of trimmed rows (physical indexes).
+     *
+     * @type {Number[]}
+     */
+    this.trimmedRows = [];
+    /**
+     * Object containing visual row indexes mapped to data source indexes.
+     *
+     * @private
+     * @type {RowsMapper}
+     */
+    this.rowsMapper = new RowsMapper(this);
+  }
+
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link TrimRows#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return !!this.hot.getSettings().trimRows;
+  }
+
+  /**
+   * Enables the plugin functionality for this Handsontable instance.
+   */
+  enablePlugin() {
+    if (this.enabled) {
+      return;
+    }
+
+    const settings = this.hot.getSettings().trimRows;
+
+    if (Array.isArray(settings)) {
+      this.trimmedRows = arrayMap(settings, row => parseInt(row, 10));
+    }
+
+    this.rowsMapper.createMap(this.hot.countSourceRows());
+
+    this.addHook('modifyRow', (row, source) => this.onModifyRow(row, source));
+    this.addHook('unmodifyRow', (row, source) => this.onUnmodifyRow(row, source));
+    this.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.addHook('afterRemoveRow', (index, amount, physicalRows) => this.onAfterRemoveRow(index, amount, physicalRows));
+    this.addHook('afterLoadData', initialLoad => this.onAfterLoadData(initialLoad));
+
+    super.enablePlugin();
+
+    this.hot.runHooks('skipLengthCache', 100);
+  }
+
+  /**
+   * Updates the plugin state. This method is executed when {@link Core#updateSettings} is invoked.
+   */
+  updatePlugin() {
+    const settings = this.hot.getSettings().trimRows;
+
+    if (Array.isArray(settings)) {
+      this.disablePlugin();
+      this.enablePlugin();
+    }
+
+    super.updatePlugin();
+  }
+
+  /**
+   * Disables the plugin functionality for this Handsontable instance.
+   */
+  disablePlugin() {
+    if (this.enabled) {
+      this.trimmedRows = [];
+      this.rowsMapper.clearMap();
+      this.hot.runHooks('skipLengthCache', 100);
+    }
+
+    super.disablePlugin();
+  }
+
+  /**
+   * Trims the rows provided in the array.
+   *
+   * @param {Number[]} rows Array of physical row indexes.
+   * @fires Hooks#skipLengthCache
+   * @fires Hooks#afterTrimRow
+   */
+  trimRows(rows) {
+    arrayEach(rows, (row) => {
+      const physicalRow = parseInt(row, 10);
+
+      if (!this.isTrimmed(physicalRow)) {
+        this.trimmedRows.push(physicalRow);
+      }
+    });
+
+    this.updateMap();
+    this.hot.runHooks('afterTrimRow', rows);
+  }
+
+  /**
+   * Trims the row provided as physical row index (counting from 0).
+   *
+   * @param {Number} row Physical row index.
+   */
+  trimRow(row) {
+    this.trimRows([row]);
+  }
+
+  /**
+   * Untrims the rows provided in the array.
+   *
+   * @param {Number[]} rows Array of physical row indexes.
+   * @fires Hooks#skipLengthCache
+   * @fires Hooks#afterUntrimRow
+   */
+  untrimRows(rows) {
+    arrayEach(rows, (row) => {
+      const index = this.trimmedRows.indexOf(parseInt(row, 10));
+
+      if (index !== -1) {
+        this.trimmedRows.splice(index, 1);
+      }
+    });
+
+    this.updateMap();
+    this.hot.runHooks('afterUntrimRow', rows);
+  }
+
+  /**
+   * Untrims the row provided as row index (counting from 0).
+   *
+   * @param {Number} row Physical row index.
+   */
+  untrimRow(row) {
+    this.untrimRows([row]);
+  }
+
+  /**
+   * Untrims all trimmed rows.
+   */
+  untrimAll() {
+    this.untrimRows([].concat(this.trimmedRows));
+  }
+
+  /**
+   * Checks if given physical row is hidden.
+   *
+   * @param {Number} row Physical row index.
+   * @returns {Boolean}
+   */
+  isTrimmed(row) {
+    return this.trimmedRows.indexOf(row) !== -1;
+  }
+
+  /**
+   * Recreates the rows map and resets the cached number of rows.
+   *
+   * @private
+   */
+  updateMap() {
+    this.hot.runHooks('skipLengthCache', 100);
+    this.rowsMapper.createMap(this.hot.countSourceRows());
+  }
+
+  /**
+   * `modifyRow` hook callback.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {String} source Source name.
+   * @returns {Number|null} Physical row index or `null` when the row does not exist in the view.
+   */
+  onModifyRow(row, source) {
+    if (source !== this.pluginName && row !== null) {
+      return this.rowsMapper.getValueByIndex(row);
+    }
+
+    return row;
+  }
+
+  /**
+   * `unmodifyRow` hook callback.
+   *
+   * @private
+   * @param {Number} row Physical row index.
+   * @param {String} source Source name.
+   * @returns {Number|null} Visual row index or `null` when the row is trimmed.
+   */
+  onUnmodifyRow(row, source) {
+    if (source !== this.pluginName && row !== null) {
+      return this.rowsMapper.getIndexByValue(row);
+    }
+
+    return row;
+  }
+
+  /**
+   * `afterCreateRow` hook callback. Created rows are never trimmed, the trimmed rows placed after them are shifted.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created row.
+   * @param {Number} amount Amount of created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    this.trimmedRows = arrayMap(this.trimmedRows, row => (row >= index ? row + amount : row));
+    this.updateMap();
+  }
+
+  /**
+   * `afterRemoveRow` hook callback. Removes the deleted rows from the trimmed ones and shifts the rows placed
+   * after them.
+   *
+   * @private
+   * @param {Number} index Visual index of the first removed row.
+   * @param {Number} amount Amount of removed rows.
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   */
+  onAfterRemoveRow(index, amount, physicalRows) {
+    const trimmedRows = arrayFilter(this.trimmedRows, row => physicalRows.indexOf(row) === -1);
+
+    this.trimmedRows = arrayMap(trimmedRows, (row) => {
+      const removedBefore = arrayFilter(physicalRows, removedRow => removedRow < row).length;
+
+      return row - removedBefore;
+    });
+    this.updateMap();
+  }
+
+  /**
+   * `afterLoadData` hook callback. Applies the trimmed rows to the new data.
+   *
+   * @private
+   * @param {Boolean} initialLoad Flag that determines whether the data has been loaded during the initialization.
+   */
+  onAfterLoadData(initialLoad) {
+    if (!initialLoad) {
+      this.updateMap();
+    }
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.trimmedRows = null;
+    this.rowsMapper.destroy();
+    this.rowsMapper = null;
+
+    super.destroy();
+  }
+}
+
+registerPlugin('trimRows', TrimRows);
+
+export default TrimRows;
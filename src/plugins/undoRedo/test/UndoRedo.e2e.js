@@ -2385,6 +2385,254 @@ describe('UndoRedo', () => {
       });
     });
 
+    describe('column move', () => {
+      it('should undo and redo moving the columns', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnMove: true,
+        });
+
+        hot.getPlugin('manualColumnMove').moveColumns([0, 1], 3);
+        hot.render();
+
+        expect(getDataAtRow(0)).toEqual(['C1', 'A1', 'B1', 'D1']);
+
+        hot.undo();
+
+        expect(getDataAtRow(0)).toEqual(['A1', 'B1', 'C1', 'D1']);
+
+        hot.redo();
+
+        expect(getDataAtRow(0)).toEqual(['C1', 'A1', 'B1', 'D1']);
+      });
+
+      it('should not register the action when moving the columns was cancelled', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnMove: true,
+          beforeColumnMove: () => false,
+        });
+
+        hot.getPlugin('manualColumnMove').moveColumn(0, 3);
+
+        expect(hot.isUndoAvailable()).toBe(false);
+      });
+
+      it('should fire the column move hooks when undoing and redoing moving the columns', () => {
+        const afterColumnMove = jasmine.createSpy('afterColumnMove');
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnMove: true,
+          afterColumnMove,
+        });
+
+        hot.getPlugin('manualColumnMove').moveColumn(0, 3);
+        hot.render();
+        afterColumnMove.calls.reset();
+
+        hot.undo();
+
+        expect(afterColumnMove).toHaveBeenCalled();
+        expect(getDataAtRow(0)).toEqual(['A1', 'B1', 'C1', 'D1']);
+        expect(hot.isUndoAvailable()).toBe(false);
+
+        afterColumnMove.calls.reset();
+        hot.redo();
+
+        expect(afterColumnMove).toHaveBeenCalled();
+        expect(getDataAtRow(0)).toEqual(['B1', 'C1', 'A1', 'D1']);
+        expect(hot.isRedoAvailable()).toBe(false);
+      });
+    });
+
+    describe('column and row resize', () => {
+      it('should undo and redo resizing the column', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          colHeaders: true,
+          manualColumnResize: true,
+          colWidths: 50,
+        });
+
+        resizeColumn(1, 100);
+
+        expect(colWidth(spec().$container, 1)).toBe(100);
+
+        hot.undo();
+
+        expect(colWidth(spec().$container, 1)).toBe(50);
+
+        hot.redo();
+
+        expect(colWidth(spec().$container, 1)).toBe(100);
+      });
+
+      it('should undo and redo resizing the row', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(4, 2),
+          rowHeaders: true,
+          manualRowResize: true,
+        });
+
+        resizeRow(1, 80);
+
+        expect(rowHeight(spec().$container, 1)).toBe(80);
+
+        hot.undo();
+
+        expect(rowHeight(spec().$container, 1)).toBe(23);
+
+        hot.redo();
+
+        expect(rowHeight(spec().$container, 1)).toBe(80);
+      });
+    });
+
+    describe('column freeze', () => {
+      it('should undo and redo freezing the column with a single action', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnFreeze: true,
+        });
+
+        hot.getPlugin('manualColumnFreeze').freezeColumn(2);
+        hot.render();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(1);
+        expect(getDataAtRow(0)).toEqual(['C1', 'A1', 'B1', 'D1']);
+
+        hot.undo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['A1', 'B1', 'C1', 'D1']);
+        expect(hot.isUndoAvailable()).toBe(false);
+
+        hot.redo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(1);
+        expect(getDataAtRow(0)).toEqual(['C1', 'A1', 'B1', 'D1']);
+      });
+
+      it('should undo and redo unfreezing the column', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnFreeze: true,
+        });
+
+        hot.getPlugin('manualColumnFreeze').freezeColumn(2);
+        hot.getPlugin('manualColumnFreeze').unfreezeColumn(0);
+        hot.render();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['A1', 'B1', 'C1', 'D1']);
+
+        hot.undo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(1);
+        expect(getDataAtRow(0)).toEqual(['C1', 'A1', 'B1', 'D1']);
+
+        hot.redo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['A1', 'B1', 'C1', 'D1']);
+      });
+
+      it('should restore the exact column order after undoing and redoing freezing the moved column', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnMove: [3, 0, 1, 2],
+          manualColumnFreeze: true,
+        });
+
+        hot.getPlugin('manualColumnFreeze').freezeColumn(1);
+        hot.render();
+
+        expect(getDataAtRow(0)).toEqual(['A1', 'D1', 'B1', 'C1']);
+
+        hot.undo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['D1', 'A1', 'B1', 'C1']);
+
+        hot.redo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(1);
+        expect(getDataAtRow(0)).toEqual(['A1', 'D1', 'B1', 'C1']);
+
+        hot.undo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['D1', 'A1', 'B1', 'C1']);
+      });
+
+      it('should update the fixed columns when undoing freezing the column after moving the columns', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 4),
+          manualColumnMove: true,
+          manualColumnFreeze: true,
+        });
+
+        hot.getPlugin('manualColumnMove').moveColumn(3, 0);
+        hot.render();
+        hot.getPlugin('manualColumnFreeze').freezeColumn(2);
+        hot.render();
+
+        expect(getDataAtRow(0)).toEqual(['B1', 'D1', 'A1', 'C1']);
+        expect(getLeftClone().find('tbody tr:eq(0) td').length).toBe(1);
+        expect(getLeftClone().find('tbody tr:eq(0) td:eq(0)').text()).toBe('B1');
+
+        hot.undo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['D1', 'A1', 'B1', 'C1']);
+        expect(getLeftClone().width()).toBe(0);
+
+        hot.undo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(0);
+        expect(getDataAtRow(0)).toEqual(['A1', 'B1', 'C1', 'D1']);
+        expect(hot.isUndoAvailable()).toBe(false);
+
+        hot.redo();
+        hot.redo();
+
+        expect(hot.getSettings().fixedColumnsLeft).toBe(1);
+        expect(getDataAtRow(0)).toEqual(['B1', 'D1', 'A1', 'C1']);
+        expect(getLeftClone().find('tbody tr:eq(0) td').length).toBe(1);
+        expect(getLeftClone().find('tbody tr:eq(0) td:eq(0)').text()).toBe('B1');
+      });
+    });
+
+    describe('column sorting', () => {
+      it('should undo and redo sorting the columns', () => {
+        const hot = handsontable({
+          data: [[1, 'b'], [3, 'a'], [2, 'c']],
+          columnSorting: true,
+        });
+
+        hot.getPlugin('columnSorting').sort({ column: 1, sortOrder: 'asc' });
+        hot.getPlugin('columnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+        expect(getDataAtCol(0)).toEqual([3, 2, 1]);
+
+        hot.undo();
+
+        expect(getDataAtCol(0)).toEqual([3, 1, 2]);
+        expect(hot.getPlugin('columnSorting').getSortConfig()).toEqual([{ column: 1, sortOrder: 'asc' }]);
+
+        hot.undo();
+
+        expect(getDataAtCol(0)).toEqual([1, 3, 2]);
+        expect(hot.getPlugin('columnSorting').isSorted()).toBe(false);
+
+        hot.redo();
+        hot.redo();
+
+        expect(getDataAtCol(0)).toEqual([3, 2, 1]);
+        expect(hot.isRedoAvailable()).toBe(false);
+      });
+    });
+
     it('should exposed new methods when plugin is enabled', () => {
       const hot = handsontable({
         undo: false
@@ -27,6 +27,9 @@ function UndoRedo(instance) {
   this.doneActions = [];
   this.undoneActions = [];
   this.ignoreNewActions = false;
+  this.ignoreColumnMove = false;
+  this.columnPositionsBeforeMove = null;
+  this.freezeStateBefore = null;
 
   instance.addHook('afterChange', (changes, source) => {
     if (changes && source !== 'UndoRedo.undo' && source !== 'UndoRedo.redo' && source !== 'MergeCells') {
@@ -48,6 +51,21 @@ function UndoRedo(instance) {
       return;
     }
 
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+
+    if (nestedRowsPlugin && nestedRowsPlugin.isEnabled()) {
+      const dataManager = nestedRowsPlugin.dataManager;
+      const removedElements = arrayMap(dataManager.getTopmostElements(logicRows), element => ({
+        element,
+        parent: dataManager.getRowParent(element),
+        index: dataManager.getRowIndexWithinParent(element),
+      }));
+
+      plugin.done(new UndoRedo.NestedRowsRemoveRowAction(index, amount, removedElements));
+
+      return;
+    }
+
     const originalData = plugin.instance.getSourceDataArray();
     const rowIndex = (originalData.length + index) % originalData.length;
     const physicalRowIndex = instance.toPhysicalRow(rowIndex);
@@ -119,6 +137,70 @@ function UndoRedo(instance) {
     plugin.done(new UndoRedo.RowMoveAction(movedRows, target));
   });
 
+  instance.addHook('beforeColumnMove', () => {
+    plugin.columnPositionsBeforeMove = getColumnPositions(instance);
+  });
+
+  instance.addHook('afterColumnMove', () => {
+    const columnPositionsBefore = plugin.columnPositionsBeforeMove;
+    const columnPositions = getColumnPositions(instance);
+
+    plugin.columnPositionsBeforeMove = null;
+
+    // Moving the columns could be cancelled by the `beforeColumnMove` hook. The moves made by freezing the columns are
+    // undone by the freeze actions.
+    if (plugin.ignoreColumnMove || !columnPositionsBefore || columnPositionsBefore.join() === columnPositions.join()) {
+      return;
+    }
+
+    plugin.done(new UndoRedo.ColumnMoveAction(columnPositionsBefore, columnPositions));
+  });
+
+  instance.addHook('afterColumnResize', (column) => {
+    const manualColumnResize = instance.getPlugin('manualColumnResize');
+
+    plugin.doneResize(UndoRedo.ColumnResizeAction, instance.toPhysicalColumn(column),
+      manualColumnResize.startManualColumnWidths, manualColumnResize.manualColumnWidths);
+  });
+
+  instance.addHook('afterRowResize', (row) => {
+    const manualRowResize = instance.getPlugin('manualRowResize');
+
+    plugin.doneResize(UndoRedo.RowResizeAction, instance.toPhysicalRow(row),
+      manualRowResize.startManualRowHeights, manualRowResize.manualRowHeights);
+  });
+
+  // Unfreezing moves the column to the estimated position, not to the one the column was frozen from. The column order
+  // and the number of the fixed columns are captured to restore the exact state.
+  const getFreezeState = () => ({
+    columnPositions: getColumnPositions(instance),
+    fixedColumnsLeft: instance.getSettings().fixedColumnsLeft,
+  });
+  const beforeColumnFreeze = () => {
+    plugin.freezeStateBefore = getFreezeState();
+    plugin.ignoreColumnMove = true;
+  };
+  const afterColumnFreeze = () => {
+    const freezeStateBefore = plugin.freezeStateBefore;
+
+    plugin.freezeStateBefore = null;
+    plugin.ignoreColumnMove = false;
+    plugin.done(new UndoRedo.ColumnFreezeAction(freezeStateBefore, getFreezeState()));
+  };
+
+  instance.addHook('beforeColumnFreeze', beforeColumnFreeze);
+  instance.addHook('beforeColumnUnfreeze', beforeColumnFreeze);
+  instance.addHook('afterColumnFreeze', afterColumnFreeze);
+  instance.addHook('afterColumnUnfreeze', afterColumnFreeze);
+
+  instance.addHook('afterColumnSort', (currentSortConfig, destinationSortConfigs, sortPossible) => {
+    if (sortPossible === false) {
+      return;
+    }
+
+    plugin.done(new UndoRedo.ColumnSortAction(currentSortConfig, destinationSortConfigs));
+  });
+
   instance.addHook('beforeMergeCells', (cellRange, auto) => {
     if (auto) {
       return;
@@ -135,6 +217,22 @@ function UndoRedo(instance) {
     plugin.done(new UndoRedo.UnmergeCellsAction(instance, cellRange));
   });
 
+  instance.addHook('afterAddChild', (parent, element, index) => {
+    plugin.done(new UndoRedo.NestedRowsAddChildAction(parent, element, index));
+  });
+
+  instance.addHook('beforeDetachChild', (parent, element) => {
+    plugin.done(new UndoRedo.NestedRowsDetachAction(parent, element, parent.__children.indexOf(element)));
+  });
+
+  instance.addHook('afterNestedRowMove', (element, parent, index, previousParent, previousIndex) => {
+    plugin.done(new UndoRedo.NestedRowsMoveAction(element, parent, index, previousParent, previousIndex));
+  });
+
+  instance.addHook('beforeConditionalFormattingRulesChange', (currentRules, destinationRules) => {
+    plugin.done(new UndoRedo.ConditionalFormattingAction(currentRules, destinationRules));
+  });
+
 }
 
 UndoRedo.prototype.done = function(action) {
@@ -144,6 +242,28 @@ UndoRedo.prototype.done = function(action) {
   }
 };
 
+/**
+ * Registers the resize of the column or the row. All the columns (rows) resized at once (with the same mouse gesture)
+ * are stored in the single action.
+ *
+ * @private
+ * @param {Function} ActionClass The resize action class.
+ * @param {Number} index Physical index of the resized column (row).
+ * @param {Array} sizesBefore Manual sizes of the columns (rows) captured before the resize.
+ * @param {Array} sizes Current manual sizes of the columns (rows).
+ */
+UndoRedo.prototype.doneResize = function(ActionClass, index, sizesBefore, sizes) {
+  const lastAction = this.doneActions[this.doneActions.length - 1];
+
+  if (!this.ignoreNewActions && lastAction instanceof ActionClass && lastAction.sizesBefore === sizesBefore) {
+    lastAction.addIndex(index, sizes[index]);
+
+    return;
+  }
+
+  this.done(new ActionClass(sizesBefore, [index], [sizes[index]]));
+};
+
 /**
  * Undo the last action performed to the table.
  *
@@ -598,6 +718,358 @@ UndoRedo.RowMoveAction.prototype.redo = function(instance, redoneCallback) {
   instance.selectCell(startSelection, 0, startSelection + this.rows.length - 1, instance.countCols() - 1, false, false);
 };
 
+/**
+ * NestedRows add child action.
+ *
+ * @private
+ */
+class NestedRowsAddChildAction extends UndoRedo.Action {
+  constructor(parent, element, index) {
+    super();
+    this.parent = parent;
+    this.element = element;
+    this.index = index;
+  }
+
+  undo(instance, undoneCallback) {
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+    instance.addHookOnce('afterRender', undoneCallback);
+
+    nestedRowsPlugin.dataManager.removeElement(this.element);
+    instance.render();
+  }
+
+  redo(instance, redoneCallback) {
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+    instance.addHookOnce('afterRender', redoneCallback);
+
+    nestedRowsPlugin.dataManager.addChildAtIndex(this.parent, this.index, this.element);
+  }
+}
+UndoRedo.NestedRowsAddChildAction = NestedRowsAddChildAction;
+
+/**
+ * NestedRows detach from parent action.
+ *
+ * @private
+ */
+class NestedRowsDetachAction extends UndoRedo.Action {
+  constructor(parent, element, index) {
+    super();
+    this.parent = parent;
+    this.element = element;
+    this.index = index;
+  }
+
+  undo(instance, undoneCallback) {
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+    instance.addHookOnce('afterRender', undoneCallback);
+
+    nestedRowsPlugin.dataManager.moveElement(this.element, this.parent, this.index);
+    instance.render();
+  }
+
+  redo(instance, redoneCallback) {
+    const dataManager = instance.getPlugin('nestedRows').dataManager;
+    instance.addHookOnce('afterRender', redoneCallback);
+
+    dataManager.detachFromParent(dataManager.getRowIndex(this.element));
+  }
+}
+UndoRedo.NestedRowsDetachAction = NestedRowsDetachAction;
+
+/**
+ * NestedRows row move action.
+ *
+ * @private
+ */
+class NestedRowsMoveAction extends UndoRedo.Action {
+  constructor(element, parent, index, previousParent, previousIndex) {
+    super();
+    this.element = element;
+    this.parent = parent;
+    this.index = index;
+    this.previousParent = previousParent;
+    this.previousIndex = previousIndex;
+  }
+
+  undo(instance, undoneCallback) {
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+    instance.addHookOnce('afterRender', undoneCallback);
+
+    nestedRowsPlugin.dataManager.moveElement(this.element, this.previousParent, this.previousIndex);
+    instance.render();
+  }
+
+  redo(instance, redoneCallback) {
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+    instance.addHookOnce('afterRender', redoneCallback);
+
+    nestedRowsPlugin.dataManager.moveElement(this.element, this.parent, this.index);
+    instance.render();
+  }
+}
+UndoRedo.NestedRowsMoveAction = NestedRowsMoveAction;
+
+/**
+ * NestedRows remove row action. The removed elements are restored at their previous positions within the parents.
+ *
+ * @private
+ */
+class NestedRowsRemoveRowAction extends UndoRedo.Action {
+  constructor(index, amount, removedElements) {
+    super();
+    this.index = index;
+    this.amount = amount;
+    this.removedElements = removedElements;
+  }
+
+  undo(instance, undoneCallback) {
+    const nestedRowsPlugin = instance.getPlugin('nestedRows');
+    instance.addHookOnce('afterRender', undoneCallback);
+
+    arrayEach(this.removedElements, ({ element, parent, index }) => {
+      nestedRowsPlugin.dataManager.insertElement(element, parent, index);
+    });
+    instance.render();
+  }
+
+  redo(instance, redoneCallback) {
+    instance.addHookOnce('afterRender', redoneCallback);
+    instance.alter('remove_row', this.index, this.amount, 'UndoRedo.redo');
+  }
+}
+UndoRedo.NestedRowsRemoveRowAction = NestedRowsRemoveRowAction;
+
+/**
+ * ConditionalFormatting rules change action.
+ *
+ * @private
+ */
+class ConditionalFormattingAction extends UndoRedo.Action {
+  constructor(rulesBefore, rulesAfter) {
+    super();
+    this.rulesBefore = rulesBefore;
+    this.rulesAfter = rulesAfter;
+  }
+
+  undo(instance, undoneCallback) {
+    instance.addHookOnce('afterRender', undoneCallback);
+
+    instance.getPlugin('conditionalFormatting').setRules(this.rulesBefore);
+    instance.render();
+  }
+
+  redo(instance, redoneCallback) {
+    instance.addHookOnce('afterRender', redoneCallback);
+
+    instance.getPlugin('conditionalFormatting').setRules(this.rulesAfter);
+    instance.render();
+  }
+}
+UndoRedo.ConditionalFormattingAction = ConditionalFormattingAction;
+
+/**
+ * Gets the order of the columns set by the ManualColumnMove plugin.
+ *
+ * @private
+ * @param {Core} instance Handsontable instance.
+ * @returns {Number[]} Physical column indexes in their visual order.
+ */
+function getColumnPositions(instance) {
+  const columnsMapper = instance.getPlugin('manualColumnMove').columnsMapper;
+  const columnPositions = [];
+
+  rangeEach(instance.countSourceCols() - 1, (column) => {
+    columnPositions.push(columnsMapper.getValueByIndex(column));
+  });
+
+  return columnPositions;
+}
+
+/**
+ * Restores the order of the columns by moving them with the ManualColumnMove plugin, so the column move hooks are fired
+ * for every moved column.
+ *
+ * @private
+ * @param {Core} instance Handsontable instance.
+ * @param {Number[]} columnPositions Physical column indexes in their visual order.
+ */
+function setColumnPositions(instance, columnPositions) {
+  const manualColumnMove = instance.getPlugin('manualColumnMove');
+
+  arrayEach(columnPositions, (physicalColumn, visualColumn) => {
+    const currentVisualColumn = manualColumnMove.columnsMapper.getIndexByValue(physicalColumn);
+
+    if (currentVisualColumn !== null && currentVisualColumn !== visualColumn) {
+      manualColumnMove.moveColumn(currentVisualColumn, visualColumn);
+    }
+  });
+  manualColumnMove.persistentStateSave();
+}
+
+/**
+ * ManualColumnMove action. The order of the columns is restored from the positions captured before and after the move.
+ *
+ * @private
+ */
+class ColumnMoveAction extends UndoRedo.Action {
+  constructor(columnPositionsBefore, columnPositions) {
+    super();
+    this.columnPositionsBefore = columnPositionsBefore;
+    this.columnPositions = columnPositions;
+  }
+
+  undo(instance, undoneCallback) {
+    this.applyColumnPositions(instance, this.columnPositionsBefore, undoneCallback);
+  }
+
+  redo(instance, redoneCallback) {
+    this.applyColumnPositions(instance, this.columnPositions, redoneCallback);
+  }
+
+  applyColumnPositions(instance, columnPositions, callback) {
+    setColumnPositions(instance, columnPositions);
+
+    instance.addHookOnce('afterRender', callback);
+    instance.render();
+  }
+}
+UndoRedo.ColumnMoveAction = ColumnMoveAction;
+
+/**
+ * Base of the resize actions. Stores the manual sizes of the resized columns (rows) before and after the resize.
+ *
+ * @private
+ */
+class ResizeAction extends UndoRedo.Action {
+  constructor(sizesBefore, indexes, sizes) {
+    super();
+    this.sizesBefore = sizesBefore;
+    this.indexes = indexes;
+    this.sizes = sizes;
+  }
+
+  addIndex(index, size) {
+    this.indexes.push(index);
+    this.sizes.push(size);
+  }
+
+  undo(instance, undoneCallback) {
+    this.applySizes(instance, arrayMap(this.indexes, index => this.sizesBefore[index]), undoneCallback);
+  }
+
+  redo(instance, redoneCallback) {
+    this.applySizes(instance, this.sizes, redoneCallback);
+  }
+
+  applySizes(instance, sizes, callback) {
+    instance.addHookOnce('afterRender', callback);
+
+    this.setSizes(instance, sizes);
+    instance.render();
+    instance.view.wt.wtOverlays.adjustElementsSize(true);
+  }
+
+  setSizes() {}
+}
+
+/**
+ * ManualColumnResize action.
+ *
+ * @private
+ */
+class ColumnResizeAction extends ResizeAction {
+  setSizes(instance, sizes) {
+    const manualColumnResize = instance.getPlugin('manualColumnResize');
+
+    arrayEach(this.indexes, (column, index) => {
+      manualColumnResize.manualColumnWidths[column] = sizes[index];
+    });
+    manualColumnResize.saveManualColumnWidths();
+  }
+}
+UndoRedo.ColumnResizeAction = ColumnResizeAction;
+
+/**
+ * ManualRowResize action.
+ *
+ * @private
+ */
+class RowResizeAction extends ResizeAction {
+  setSizes(instance, sizes) {
+    const manualRowResize = instance.getPlugin('manualRowResize');
+
+    arrayEach(this.indexes, (row, index) => {
+      manualRowResize.manualRowHeights[row] = sizes[index];
+    });
+    manualRowResize.saveManualRowHeights();
+  }
+}
+UndoRedo.RowResizeAction = RowResizeAction;
+
+/**
+ * ManualColumnFreeze freeze (unfreeze) action. The order of the columns and the number of the fixed columns are restored
+ * from the state captured before and after freezing (unfreezing) the column.
+ *
+ * @private
+ */
+class ColumnFreezeAction extends UndoRedo.Action {
+  constructor(stateBefore, state) {
+    super();
+    this.stateBefore = stateBefore;
+    this.state = state;
+  }
+
+  undo(instance, undoneCallback) {
+    this.applyState(instance, this.stateBefore, undoneCallback);
+  }
+
+  redo(instance, redoneCallback) {
+    this.applyState(instance, this.state, redoneCallback);
+  }
+
+  applyState(instance, { columnPositions, fixedColumnsLeft }, callback) {
+    // Updating the settings rebuilds the left overlays. It also resets the ManualColumnFreeze plugin, so moving the
+    // columns within the fixed area is not blocked. The settings render the table, so the callback is added afterwards.
+    instance.updateSettings({ fixedColumnsLeft });
+    setColumnPositions(instance, columnPositions);
+
+    instance.addHookOnce('afterRender', callback);
+    instance.render();
+  }
+}
+UndoRedo.ColumnFreezeAction = ColumnFreezeAction;
+
+/**
+ * ColumnSorting action.
+ *
+ * @private
+ */
+class ColumnSortAction extends UndoRedo.Action {
+  constructor(sortConfigsBefore, sortConfigs) {
+    super();
+    this.sortConfigsBefore = sortConfigsBefore;
+    this.sortConfigs = sortConfigs;
+  }
+
+  undo(instance, undoneCallback) {
+    // Sorting renders the table before the `afterColumnSort` hook is fired, so the callback is added afterwards.
+    instance.getPlugin('columnSorting').sort(this.sortConfigsBefore);
+
+    instance.addHookOnce('afterRender', undoneCallback);
+    instance.render();
+  }
+
+  redo(instance, redoneCallback) {
+    instance.getPlugin('columnSorting').sort(this.sortConfigs);
+
+    instance.addHookOnce('afterRender', redoneCallback);
+    instance.render();
+  }
+}
+UndoRedo.ColumnSortAction = ColumnSortAction;
+
 function init() {
   const instance = this;
   const pluginEnabled = typeof instance.getSettings().undo === 'undefined' || instance.getSettings().undo;
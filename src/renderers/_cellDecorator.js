@@ -2,6 +2,9 @@
  * Adds appropriate CSS class to table cell, based on cellProperties
  */
 import { addClass, removeClass } from './../helpers/dom/element';
+import { getCellValidationMessages } from './../validators/validationRules';
+
+const VALIDATION_TITLE_ATTRIBUTE = 'data-validation-title';
 
 function cellDecorator(instance, TD, row, col, prop, value, cellProperties) {
   const classesToAdd = [];
@@ -19,13 +22,36 @@ function cellDecorator(instance, TD, row, col, prop, value, cellProperties) {
     classesToAdd.push(cellProperties.readOnlyCellClassName);
   }
 
-  if (cellProperties.valid === false && cellProperties.invalidCellClassName) {
+  const validationMessages = getCellValidationMessages(cellProperties);
+
+  if (validationMessages !== null && cellProperties.invalidCellClassName) {
     classesToAdd.push(cellProperties.invalidCellClassName);
 
   } else {
     classesToRemove.push(cellProperties.invalidCellClassName);
   }
 
+  if (cellProperties.validating && cellProperties.validatingCellClassName) {
+    classesToAdd.push(cellProperties.validatingCellClassName);
+
+  } else {
+    classesToRemove.push(cellProperties.validatingCellClassName);
+  }
+
+  // The title set by the decorator is remembered, so the titles set by the renderers, hooks or plugins are left intact.
+  if (validationMessages !== null && validationMessages.length > 0) {
+    const title = validationMessages.join('\n');
+
+    TD.setAttribute('title', title);
+    TD.setAttribute(VALIDATION_TITLE_ATTRIBUTE, title);
+
+  } else if (TD.hasAttribute(VALIDATION_TITLE_ATTRIBUTE)) {
+    if (TD.getAttribute('title') === TD.getAttribute(VALIDATION_TITLE_ATTRIBUTE)) {
+      TD.removeAttribute('title');
+    }
+    TD.removeAttribute(VALIDATION_TITLE_ATTRIBUTE);
+  }
+
   if (cellProperties.wordWrap === false && cellProperties.noWordWrapClassName) {
     classesToAdd.push(cellProperties.noWordWrapClassName);
   }
@@ -91,6 +91,8 @@ class Selection {
       minSpareCols: () => settings.minSpareCols,
       autoWrapRow: () => settings.autoWrapRow,
       autoWrapCol: () => settings.autoWrapCol,
+      isHiddenRow: row => this.tableProps.isHiddenRow(row),
+      isHiddenColumn: column => this.tableProps.isHiddenColumn(column),
     });
 
     this.transformation.addLocalHook('beforeTransformStart', (...args) => this.runLocalHooks('beforeModifyTransformStart', ...args));
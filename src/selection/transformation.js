@@ -2,6 +2,33 @@ import { CellCoords } from './../3rdparty/walkontable/src';
 import { mixin } from './../helpers/object';
 import localHooks from './../mixins/localHooks';
 
+/**
+ * Looks for the nearest index (starting from the passed one) which is not hidden. The indexes are checked in the
+ * provided direction first. When all of them are hidden the opposite direction is checked.
+ *
+ * @param {Number} index The index to start from.
+ * @param {Number} direction The direction of the search (`-1` or `1`).
+ * @param {Number} total The total number of indexes.
+ * @param {Function} isHidden Function which checks if the index is hidden.
+ * @returns {Number} Returns the found index or the passed one when there is no visible index.
+ */
+function findVisibleIndex(index, direction, total, isHidden) {
+  const directions = [direction, -direction];
+
+  for (let i = 0; i < directions.length; i++) {
+    let visibleIndex = index;
+
+    while (visibleIndex >= 0 && visibleIndex < total && isHidden(visibleIndex)) {
+      visibleIndex += directions[i];
+    }
+    if (visibleIndex >= 0 && visibleIndex < total) {
+      return visibleIndex;
+    }
+  }
+
+  return index;
+}
+
 /**
  * The Transformation class implements algorithms for transforming coordinates based on current settings
  * passed to the Handsontable.
@@ -99,6 +126,9 @@ class Transformation {
       colTransformDir = 1;
       coords.col = totalCols - 1;
     }
+    coords.row = findVisibleIndex(coords.row, delta.row < 0 ? -1 : 1, totalRows, this.options.isHiddenRow);
+    coords.col = findVisibleIndex(coords.col, delta.col < 0 ? -1 : 1, totalCols, this.options.isHiddenColumn);
+
     this.runLocalHooks('afterTransformStart', coords, rowTransformDir, colTransformDir);
 
     return coords;
@@ -140,6 +170,9 @@ class Transformation {
       colTransformDir = 1;
       coords.col = totalCols - 1;
     }
+    coords.row = findVisibleIndex(coords.row, delta.row < 0 ? -1 : 1, totalRows, this.options.isHiddenRow);
+    coords.col = findVisibleIndex(coords.col, delta.col < 0 ? -1 : 1, totalCols, this.options.isHiddenColumn);
+
     this.runLocalHooks('afterTransformEnd', coords, rowTransformDir, colTransformDir);
 
     return coords;
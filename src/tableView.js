@@ -193,6 +193,7 @@ function TableView(instance) {
     totalRows: () => instance.countRows(),
     totalColumns: () => instance.countCols(),
     fixedColumnsLeft: () => that.settings.fixedColumnsLeft,
+    fixedColumnsRight: () => that.settings.fixedColumnsRight,
     fixedRowsTop: () => that.settings.fixedRowsTop,
     fixedRowsBottom: () => that.settings.fixedRowsBottom,
     minSpareRows: () => that.settings.minSpareRows,
@@ -0,0 +1,178 @@
+import { arrayEach } from './../helpers/array';
+import { error } from './../helpers/console';
+
+/**
+ * Sources of the changes which come in bursts (many cells at once). Validation requests of these sources are debounced.
+ *
+ * @type {String[]}
+ */
+const DEBOUNCED_SOURCES = ['populateFromArray', 'CopyPaste.paste', 'Autofill.fill'];
+
+/**
+ * Keeps track of the asynchronous validation requests of the cells. Only the latest request of the cell is applied -
+ * the results of the requests superseded by a newer one are dropped (their callbacks are resolved with the result of
+ * the latest request), so a slow validator (e.g. a server call) can not overwrite the result of a newer value. The cell
+ * with a pending request has the `validating` meta set to `true`.
+ *
+ * The requests which validate the changed values take precedence over the requests which re-validate the stored value
+ * of the cell - a pending change validation is superseded only by the validation of a newer change of that cell. The
+ * re-validation requests added in the meantime wait for its result instead. If the validator throws an error, the cell
+ * is treated as invalid.
+ *
+ * @class CellValidationQueue
+ * @private
+ */
+class CellValidationQueue {
+  constructor(hotInstance) {
+    /**
+     * Instance of Handsontable.
+     *
+     * @type {Handsontable}
+     */
+    this.hot = hotInstance;
+    /**
+     * Pending requests of the cells (the cell properties objects are used as keys).
+     *
+     * @type {Map}
+     */
+    this.requests = new Map();
+    /**
+     * Identifier of the last added request.
+     *
+     * @type {Number}
+     */
+    this.lastRequestId = 0;
+    /**
+     * Runs of the debounced requests waiting for the flush.
+     *
+     * @type {Function[]}
+     */
+    this.debouncedRuns = [];
+    /**
+     * Timeout handler of the debounced requests flush.
+     *
+     * @type {Number|null}
+     */
+    this.debounceTimeout = null;
+  }
+
+  /**
+   * Adds the validation request of the cell. If the cell has already a pending request, that request becomes stale -
+   * unless the pending request validates a change and the added one does not. In that case the added request is
+   * resolved with the result of the pending one.
+   *
+   * @param {Object} cellProperties The cell properties object.
+   * @param {Function} validate Function which runs the validator. It is called with the function which has to be called
+   * with the validation result.
+   * @param {Function} apply Function called with the result of the latest request only. It should return the final
+   * validation result.
+   * @param {Function} callback Function called with the final validation result and the flag that indicates if the
+   * request was stale. The stale flag of the change validation means that the cell was changed again in the meantime.
+   * @param {String} [source] String that identifies source of the validation.
+   * @param {Boolean} [isChange=false] `true` if the request validates the changed value of the cell.
+   */
+  add(cellProperties, validate, apply, callback, source, isChange = false) {
+    const pendingRequest = this.requests.get(cellProperties);
+
+    this.lastRequestId += 1;
+
+    const requestId = this.lastRequestId;
+
+    if (pendingRequest && pendingRequest.isChange && !isChange) {
+      pendingRequest.callbacks.push({ requestId, callback });
+
+      return;
+    }
+    const request = pendingRequest || { callbacks: [] };
+
+    request.id = requestId;
+    request.isChange = isChange;
+    request.callbacks.push({ requestId, callback });
+    this.requests.set(cellProperties, request);
+    cellProperties.validating = true;
+
+    const done = (valid) => {
+      if (request.id !== requestId || request.resolved) {
+        return;
+      }
+      request.resolved = true;
+      this.requests.delete(cellProperties);
+      cellProperties.validating = false;
+
+      const result = apply(valid);
+
+      // Only the callbacks added before the latest request are stale. The callbacks waiting for the result of the
+      // pending change validation have the newer identifiers.
+      arrayEach(request.callbacks, ({ requestId: id, callback: requestCallback }) => {
+        requestCallback(result, id < requestId);
+      });
+    };
+
+    const run = () => {
+      // The request was superseded before running the validator, the latest one provides the result.
+      if (request.id !== requestId) {
+        return;
+      }
+
+      try {
+        validate(done);
+
+      } catch (exception) {
+        // The exception thrown by the callbacks of the resolved request is not the validator error.
+        if (request.resolved) {
+          throw exception;
+        }
+        // The cell is treated as invalid, so the callbacks waiting for the result are not left hanging.
+        error(exception);
+        done(false);
+      }
+    };
+
+    if (DEBOUNCED_SOURCES.indexOf(source) !== -1) {
+      this.debounce(run);
+
+    } else {
+      this.hot._registerTimeout(setTimeout(run, 0));
+    }
+  }
+
+  /**
+   * Postpones the run of the request until no other debounced request is added for the `validationDebounceDelay` time.
+   *
+   * @private
+   * @param {Function} run The run of the request.
+   */
+  debounce(run) {
+    this.debouncedRuns.push(run);
+
+    clearTimeout(this.debounceTimeout);
+
+    this.debounceTimeout = setTimeout(() => this.flush(), this.hot.getSettings().validationDebounceDelay);
+    this.hot._registerTimeout(this.debounceTimeout);
+  }
+
+  /**
+   * Runs all the debounced requests.
+   *
+   * @private
+   */
+  flush() {
+    const runs = this.debouncedRuns;
+
+    this.debouncedRuns = [];
+    this.debounceTimeout = null;
+
+    arrayEach(runs, run => run());
+  }
+
+  /**
+   * Checks if any cell is waiting for the validation result.
+   *
+   * @returns {Boolean}
+   */
+  isPending() {
+    return this.requests.size > 0;
+  }
+}
+
+export default CellValidationQueue;
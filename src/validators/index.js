@@ -4,6 +4,7 @@ import autocompleteValidator from './autocompleteValidator';
 import dateValidator from './dateValidator';
 import numericValidator from './numericValidator';
 import timeValidator from './timeValidator';
+import { registerValidationRule, getValidationRule } from './validationRules';
 
 const {
   register,
@@ -41,4 +42,6 @@ export {
   hasItem as hasValidator,
   getNames as getRegisteredValidatorNames,
   getValues as getRegisteredValidators,
+  registerValidationRule,
+  getValidationRule,
 };
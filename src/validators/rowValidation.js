@@ -0,0 +1,184 @@
+import { arrayEach, arrayFilter, arrayMap, arrayUnique } from './../helpers/array';
+import { rangeEach } from './../helpers/number';
+import { isFunction } from './../helpers/function';
+import { isDefined } from './../helpers/mixed';
+import * as C from './../i18n/constants';
+
+/**
+ * Validates the whole rows against the `rowValidators` setting. Row validators receive the source row object, so they
+ * can compare the values of several fields (e.g. "end date must be after start date"). The message of the failed
+ * validator is stored in the `rowValidationMessages` meta of every cell involved in the validator.
+ *
+ * @class RowValidation
+ * @private
+ */
+class RowValidation {
+  constructor(hotInstance) {
+    /**
+     * Instance of Handsontable.
+     *
+     * @type {Handsontable}
+     */
+    this.hot = hotInstance;
+
+    this.hot.addHook('afterChange', (changes, source) => this.onAfterChange(changes, source));
+  }
+
+  /**
+   * Gets the row validators defined in the settings.
+   *
+   * @returns {Object[]}
+   */
+  getValidators() {
+    const { rowValidators } = this.hot.getSettings();
+
+    return Array.isArray(rowValidators) ? rowValidators : [];
+  }
+
+  /**
+   * Validates the rows and refreshes the table if the validation result of any cell has changed.
+   *
+   * @param {Number[]} [rows] Visual row indexes. If not provided, all rows are validated.
+   * @returns {Boolean} Returns `true` if all the rows have passed the validators.
+   */
+  validateRows(rows) {
+    const validators = this.getValidators();
+    let valid = true;
+    let changed = false;
+
+    if (validators.length === 0) {
+      return valid;
+    }
+    const validate = (row) => {
+      const result = this.validateRow(row, validators);
+
+      valid = valid && result.valid;
+      changed = changed || result.changed;
+    };
+
+    if (Array.isArray(rows)) {
+      arrayEach(rows, validate);
+
+    } else {
+      rangeEach(0, this.hot.countRows() - 1, validate);
+    }
+
+    if (changed) {
+      this.hot.render();
+    }
+
+    return valid;
+  }
+
+  /**
+   * Validates the single row and updates the `rowValidationMessages` meta of its cells.
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {Object[]} validators The row validators.
+   * @returns {Object} Returns an object with the `valid` and `changed` (messages of the cells were changed) properties.
+   */
+  validateRow(row, validators) {
+    const physicalRow = this.hot.toPhysicalRow(row);
+
+    if (physicalRow === null || row >= this.hot.countRows()) {
+      return { valid: true, changed: false };
+    }
+    const rowData = this.hot.getSourceDataAtRow(physicalRow);
+    const messages = new Map();
+    let valid = true;
+    let changed = false;
+
+    arrayEach(validators, (validator) => {
+      if (validator.test.call(this.hot, rowData, row)) {
+        return;
+      }
+      const message = this.createMessage(validator, rowData, row);
+
+      valid = false;
+
+      arrayEach(this.getInvolvedColumns(validator), (column) => {
+        const physicalColumn = this.hot.toPhysicalColumn(column);
+
+        if (!messages.has(physicalColumn)) {
+          messages.set(physicalColumn, { column, messages: [] });
+        }
+        messages.get(physicalColumn).messages.push(message);
+      });
+    });
+
+    arrayEach(this.hot.getCellMetaAtRow(physicalRow) || [], (cellMeta, physicalColumn) => {
+      if (cellMeta && cellMeta.rowValidationMessages && !messages.has(physicalColumn)) {
+        cellMeta.rowValidationMessages = void 0;
+        changed = true;
+      }
+    });
+
+    messages.forEach(({ column, messages: cellMessages }) => {
+      const cellMeta = this.hot.getCellMeta(row, column);
+      const previousMessages = cellMeta.rowValidationMessages || [];
+
+      if (previousMessages.join('\n') !== cellMessages.join('\n')) {
+        changed = true;
+      }
+      cellMeta.rowValidationMessages = cellMessages;
+    });
+
+    return { valid, changed };
+  }
+
+  /**
+   * Gets the visual indexes of the columns involved in the validator. The validator without the `props` option
+   * involves all the columns.
+   *
+   * @private
+   * @param {Object} validator The row validator.
+   * @returns {Number[]}
+   */
+  getInvolvedColumns(validator) {
+    if (!Array.isArray(validator.props)) {
+      const columns = [];
+
+      rangeEach(0, this.hot.countCols() - 1, column => columns.push(column));
+
+      return columns;
+    }
+    const columns = arrayMap(validator.props, prop => this.hot.propToCol(prop));
+
+    return arrayFilter(arrayUnique(columns), column => typeof column === 'number' && column >= 0 && column < this.hot.countCols());
+  }
+
+  /**
+   * Creates the message of the failed validator.
+   *
+   * @private
+   * @param {Object} validator The row validator.
+   * @param {Array|Object} rowData The source row.
+   * @param {Number} row Visual row index.
+   * @returns {String}
+   */
+  createMessage(validator, rowData, row) {
+    if (isFunction(validator.message)) {
+      return validator.message.call(this.hot, rowData, row);
+    }
+
+    return isDefined(validator.message) ? validator.message : this.hot.getTranslatedPhrase(C.VALIDATION_ROW_INVALID);
+  }
+
+  /**
+   * Re-validates the rows modified by the changes.
+   *
+   * @private
+   * @param {Array} changes 2D array containing information about each of the edited cells.
+   * @param {String} source String that identifies source of the changes.
+   */
+  onAfterChange(changes, source) {
+    if (!changes || source === 'loadData' || this.getValidators().length === 0) {
+      return;
+    }
+
+    this.validateRows(arrayUnique(arrayMap(changes, ([row]) => row)));
+  }
+}
+
+export default RowValidation;
@@ -0,0 +1,350 @@
+import { arrayEach, arrayFilter, arrayMap } from './../helpers/array';
+import { rangeEach } from './../helpers/number';
+import { getProperty } from './../helpers/object';
+import { stringify } from './../helpers/mixed';
+import * as C from './../i18n/constants';
+
+const uniqueValidations = new WeakMap();
+
+/**
+ * Checks if the value is treated as an empty one (empty values are never duplicated).
+ *
+ * @param {*} value Value to check.
+ * @returns {Boolean}
+ */
+function isEmptyValue(value) {
+  return value === null || value === void 0 || value === '';
+}
+
+/**
+ * Detects the duplicated values in the columns defined with the `unique` option. For every unique key (a single
+ * property or a composite key built from several properties) the index of the values is maintained incrementally,
+ * so changing a cell does not require scanning the whole column. The index refers to the source rows by their
+ * references, which keeps it valid after inserting or removing rows.
+ *
+ * @class UniqueValidation
+ * @private
+ */
+class UniqueValidation {
+  constructor(hotInstance) {
+    /**
+     * Instance of Handsontable.
+     *
+     * @type {Handsontable}
+     */
+    this.hot = hotInstance;
+    /**
+     * List of the unique keys. Every key holds its properties, the map of the key values to the source rows and the
+     * map of the source rows to their key values.
+     *
+     * @type {Object[]}
+     */
+    this.keys = [];
+    /**
+     * Source rows captured before removing them from the data.
+     *
+     * @type {Array}
+     */
+    this.removedRows = [];
+
+    uniqueValidations.set(this.hot, this);
+
+    this.hot.addHook('afterLoadData', () => this.rebuild());
+    this.hot.addHook('afterCellMetaReset', () => this.rebuild());
+    this.hot.addHook('afterCreateCol', () => this.rebuild());
+    this.hot.addHook('afterRemoveCol', () => this.rebuild());
+    this.hot.addHook('afterCreateRow', (index, amount) => this.onAfterCreateRow(index, amount));
+    this.hot.addHook('beforeRemoveRow', (index, amount, physicalRows) => this.onBeforeRemoveRow(physicalRows));
+    this.hot.addHook('afterRemoveRow', () => this.onAfterRemoveRow());
+    this.hot.addHook('afterChange', (changes, source) => this.onAfterChange(changes, source));
+  }
+
+  /**
+   * Collects the unique keys from the `unique` option of the columns. The `true` value creates the key of the column
+   * property, an array of properties creates the composite key.
+   *
+   * @private
+   * @returns {Object[]}
+   */
+  collectKeys() {
+    const keys = [];
+    const registeredProps = [];
+
+    rangeEach(0, this.hot.countCols() - 1, (column) => {
+      const { unique } = this.hot.getCellMeta(0, column);
+      let props;
+
+      if (unique === true) {
+        props = [this.hot.colToProp(column)];
+
+      } else if (Array.isArray(unique) && unique.length > 0) {
+        props = unique.slice();
+      }
+
+      if (props && registeredProps.indexOf(JSON.stringify(props)) === -1) {
+        registeredProps.push(JSON.stringify(props));
+        keys.push({ props, rows: new Map(), values: new Map() });
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * Rebuilds the unique keys and their indexes from scratch.
+   */
+  rebuild() {
+    this.keys = this.collectKeys();
+
+    if (this.keys.length === 0) {
+      return;
+    }
+
+    rangeEach(0, this.hot.countSourceRows() - 1, (physicalRow) => {
+      const rowData = this.hot.getSourceDataAtRow(physicalRow);
+
+      arrayEach(this.keys, key => this.updateRow(key, rowData));
+    });
+  }
+
+  /**
+   * Gets the value of the key for the source row.
+   *
+   * @private
+   * @param {Object} key The unique key.
+   * @param {Array|Object} rowData The source row.
+   * @returns {String|null} Returns `null` if any part of the key is empty.
+   */
+  getKeyValue(key, rowData) {
+    if (!rowData) {
+      return null;
+    }
+    const values = arrayMap(key.props, prop => (typeof prop === 'string' ? getProperty(rowData, prop) : rowData[prop]));
+
+    if (arrayFilter(values, isEmptyValue).length > 0) {
+      return null;
+    }
+
+    return values.length === 1 ? stringify(values[0]) : JSON.stringify(arrayMap(values, stringify));
+  }
+
+  /**
+   * Updates the index of the key for the source row.
+   *
+   * @private
+   * @param {Object} key The unique key.
+   * @param {Array|Object} rowData The source row.
+   * @param {Boolean} [remove=false] If `true`, the row is removed from the index.
+   * @returns {Boolean} Returns `true` if the duplicates of the key could have changed.
+   */
+  updateRow(key, rowData, remove = false) {
+    const previousValue = key.values.has(rowData) ? key.values.get(rowData) : null;
+    const value = remove ? null : this.getKeyValue(key, rowData);
+    let changed = false;
+
+    if (previousValue === value) {
+      return changed;
+    }
+
+    if (previousValue !== null) {
+      const rows = key.rows.get(previousValue);
+
+      changed = rows.size > 1;
+      rows.delete(rowData);
+      key.values.delete(rowData);
+
+      if (rows.size === 0) {
+        key.rows.delete(previousValue);
+      }
+    }
+
+    if (value !== null) {
+      if (!key.rows.has(value)) {
+        key.rows.set(value, new Set());
+      }
+      const rows = key.rows.get(value);
+
+      rows.add(rowData);
+      key.values.set(rowData, value);
+      changed = changed || rows.size > 1;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Checks if the source row is duplicated within the key.
+   *
+   * @private
+   * @param {Object} key The unique key.
+   * @param {Array|Object} rowData The source row.
+   * @returns {Boolean}
+   */
+  isDuplicated(key, rowData) {
+    if (!key.values.has(rowData)) {
+      return false;
+    }
+
+    return key.rows.get(key.values.get(rowData)).size > 1;
+  }
+
+  /**
+   * Gets the validation messages of the cell.
+   *
+   * @param {Number} physicalRow Physical row index.
+   * @param {String|Number} prop Column property.
+   * @returns {String[]}
+   */
+  getCellMessages(physicalRow, prop) {
+    if (this.keys.length === 0) {
+      return [];
+    }
+    const rowData = this.hot.getSourceDataAtRow(physicalRow);
+    const duplicated = arrayFilter(this.keys, key => key.props.indexOf(prop) !== -1 && this.isDuplicated(key, rowData));
+
+    return duplicated.length > 0 ? [this.hot.getTranslatedPhrase(C.VALIDATION_UNIQUE_DUPLICATE)] : [];
+  }
+
+  /**
+   * Gets all the cells with the duplicated values.
+   *
+   * @returns {Object[]} Returns an array of objects with the `row` and `col` (visual indexes) properties.
+   */
+  getDuplicatedCells() {
+    const cells = [];
+    const keys = arrayFilter(this.keys, (key) => {
+      let hasDuplicates = false;
+
+      key.rows.forEach((rows) => {
+        hasDuplicates = hasDuplicates || rows.size > 1;
+      });
+
+      return hasDuplicates;
+    });
+
+    if (keys.length === 0) {
+      return cells;
+    }
+
+    rangeEach(0, this.hot.countSourceRows() - 1, (physicalRow) => {
+      const row = this.hot.toVisualRow(physicalRow);
+      const rowData = this.hot.getSourceDataAtRow(physicalRow);
+      const columns = [];
+
+      if (row === null || row === void 0) {
+        return;
+      }
+
+      arrayEach(keys, (key) => {
+        if (!this.isDuplicated(key, rowData)) {
+          return;
+        }
+        arrayEach(key.props, (prop) => {
+          const column = this.hot.propToCol(prop);
+
+          if (typeof column === 'number' && column >= 0 && columns.indexOf(column) === -1) {
+            columns.push(column);
+          }
+        });
+      });
+
+      arrayEach(columns, col => cells.push({ row, col }));
+    });
+
+    return cells;
+  }
+
+  /**
+   * Checks if there are no duplicated values within the rows and columns.
+   *
+   * @param {Number[]} [rows] Visual row indexes. If not provided, all rows are checked.
+   * @param {Number[]} [columns] Visual column indexes. If not provided, all columns are checked.
+   * @returns {Boolean}
+   */
+  isValid(rows, columns) {
+    const cells = arrayFilter(this.getDuplicatedCells(), ({ row, col }) =>
+      (!Array.isArray(rows) || rows.indexOf(row) !== -1) && (!Array.isArray(columns) || columns.indexOf(col) !== -1));
+
+    return cells.length === 0;
+  }
+
+  /**
+   * Adds the created rows to the index.
+   *
+   * @private
+   * @param {Number} index Physical index of the first created row.
+   * @param {Number} amount Number of the created rows.
+   */
+  onAfterCreateRow(index, amount) {
+    rangeEach(index, index + amount - 1, (physicalRow) => {
+      const rowData = this.hot.getSourceDataAtRow(physicalRow);
+
+      arrayEach(this.keys, key => this.updateRow(key, rowData));
+    });
+  }
+
+  /**
+   * Captures the source rows which are going to be removed.
+   *
+   * @private
+   * @param {Number[]} physicalRows Physical indexes of the removed rows.
+   */
+  onBeforeRemoveRow(physicalRows) {
+    this.removedRows = arrayMap(physicalRows, physicalRow => this.hot.getSourceDataAtRow(physicalRow));
+  }
+
+  /**
+   * Removes the removed source rows from the index.
+   *
+   * @private
+   */
+  onAfterRemoveRow() {
+    arrayEach(this.removedRows, (rowData) => {
+      arrayEach(this.keys, key => this.updateRow(key, rowData, true));
+    });
+
+    this.removedRows = [];
+  }
+
+  /**
+   * Updates the index for the changed cells and refreshes the table if the duplicates have changed.
+   *
+   * @private
+   * @param {Array} changes 2D array containing information about each of the edited cells.
+   * @param {String} source String that identifies source of the changes.
+   */
+  onAfterChange(changes, source) {
+    if (!changes || source === 'loadData' || this.keys.length === 0) {
+      return;
+    }
+    let changed = false;
+
+    arrayEach(changes, ([row, prop]) => {
+      const rowData = this.hot.getSourceDataAtRow(this.hot.toPhysicalRow(row));
+
+      arrayEach(this.keys, (key) => {
+        if (key.props.indexOf(prop) !== -1) {
+          changed = this.updateRow(key, rowData) || changed;
+        }
+      });
+    });
+
+    if (changed) {
+      this.hot.render();
+    }
+  }
+}
+
+/**
+ * Gets the messages of the cell with the duplicated value.
+ *
+ * @param {Object} cellProperties The cell properties object.
+ * @returns {String[]}
+ */
+export function getUniqueValidationMessages(cellProperties) {
+  const uniqueValidation = cellProperties.instance && uniqueValidations.get(cellProperties.instance);
+
+  return uniqueValidation ? uniqueValidation.getCellMessages(cellProperties.row, cellProperties.prop) : [];
+}
+
+export default UniqueValidation;
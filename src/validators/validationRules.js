@@ -0,0 +1,184 @@
+/**
+ * Declarative validation rules. Every rule tests the cell value and, when the test fails, produces a message
+ * translated through the language dictionary of the instance.
+ */
+import staticRegister from './../utils/staticRegister';
+import { arrayEach, arrayMap } from './../helpers/array';
+import { isNumeric } from './../helpers/number';
+import { isRegExp, stringify } from './../helpers/mixed';
+import { isFunction } from './../helpers/function';
+import { substitute } from './../helpers/string';
+import { getUniqueValidationMessages } from './uniqueValidation';
+import * as C from './../i18n/constants';
+
+const {
+  register,
+  getItem,
+  hasItem,
+  getNames,
+} = staticRegister('validationRules');
+
+/**
+ * Checks if the value is treated as an empty one by the validation rules.
+ *
+ * @param {*} value Value to check.
+ * @returns {Boolean}
+ */
+function isEmptyValue(value) {
+  return value === null || value === void 0 || value === '';
+}
+
+/**
+ * Register the validation rule under the specified name.
+ *
+ * @param {String} name Rule type used in the `validationRules` setting (e.g. `'required'`).
+ * @param {Function} test Function called with the value, the rule object and the cell properties as arguments.
+ * It should return `true` if the value passes the rule.
+ * @param {String} message Dictionary key of the message displayed when the value does not pass the rule.
+ * The `[value]` placeholder is replaced with the `value` property of the rule object.
+ * @param {Boolean} [validateEmpty=false] If `true`, the rule is tested against empty values as well.
+ */
+function registerValidationRule(name, test, message, validateEmpty = false) {
+  register(name, { test, message, validateEmpty });
+}
+
+/**
+ * Retrieve the validation rule definition.
+ *
+ * @param {String} name Rule type.
+ * @returns {Object}
+ */
+function getValidationRule(name) {
+  if (!hasItem(name)) {
+    throw Error(`No registered validation rule found under "${name}" name`);
+  }
+
+  return getItem(name);
+}
+
+/**
+ * Creates the message for the rule which the value has not passed.
+ *
+ * @param {Object} rule The rule object taken from the `validationRules` setting.
+ * @param {Object} definition The registered rule definition.
+ * @param {*} value The validated value.
+ * @param {Object} cellProperties The cell properties object.
+ * @returns {String}
+ */
+function createMessage(rule, definition, value, cellProperties) {
+  if (isFunction(rule.message)) {
+    return rule.message.call(cellProperties, value, rule);
+  }
+  const template = typeof rule.message === 'string' ?
+    rule.message : cellProperties.instance.getTranslatedPhrase(definition.message);
+  const ruleValue = Array.isArray(rule.value) ? rule.value.join(', ') : rule.value;
+
+  return substitute(template, { value: ruleValue });
+}
+
+/**
+ * Tests the value against the list of rules.
+ *
+ * @param {*} value Value to validate.
+ * @param {Object[]} rules The rule objects (e.g. `[{ type: 'required' }, { type: 'max', value: 10 }]`).
+ * @param {Object} cellProperties The cell properties object.
+ * @returns {String[]} Returns the messages of all rules which the value has not passed.
+ */
+function getValidationMessages(value, rules, cellProperties) {
+  const messages = [];
+
+  arrayEach(rules, (rule) => {
+    const definition = getValidationRule(rule.type);
+
+    if (!definition.validateEmpty && isEmptyValue(value)) {
+      return;
+    }
+    if (!definition.test.call(cellProperties, value, rule, cellProperties)) {
+      messages.push(createMessage(rule, definition, value, cellProperties));
+    }
+  });
+
+  return messages;
+}
+
+/**
+ * Checks if the validation rules are defined for the cell.
+ *
+ * @param {Object} cellProperties The cell properties object.
+ * @returns {Boolean}
+ */
+function hasValidationRules(cellProperties) {
+  return Array.isArray(cellProperties.validationRules) && cellProperties.validationRules.length > 0;
+}
+
+/**
+ * Gets all the validation messages of the cell: the messages of the failed `validationRules` (when the cell is invalid),
+ * the messages of the failed row validators and the message of the duplicated value (for the `unique` columns).
+ *
+ * @param {Object} cellProperties The cell properties object.
+ * @returns {String[]|null} Returns `null` if the cell has passed the cell, the row and the unique validation.
+ */
+function getCellValidationMessages(cellProperties) {
+  const rowMessages = (cellProperties.rowValidationMessages || []).concat(getUniqueValidationMessages(cellProperties));
+
+  if (cellProperties.valid !== false && rowMessages.length === 0) {
+    return null;
+  }
+  const cellMessages = cellProperties.valid === false && Array.isArray(cellProperties.validationMessages) ?
+    cellProperties.validationMessages : [];
+
+  return cellMessages.concat(rowMessages);
+}
+
+/**
+ * Creates the validator function which tests the value against the validation rules first and then calls the
+ * original validator of the cell (if it is defined). The messages of the failed rules are stored in the
+ * `validationMessages` cell meta.
+ *
+ * @param {Object[]} rules The rule objects.
+ * @param {Function|RegExp} [validator] The original validator.
+ * @returns {Function}
+ */
+function createRulesValidator(rules, validator) {
+  return function(value, callback) {
+    const messages = getValidationMessages(value, rules, this);
+
+    this.validationMessages = messages;
+
+    if (messages.length > 0) {
+      callback(false);
+
+    } else if (isRegExp(validator)) {
+      callback(validator.test(value));
+
+    } else if (isFunction(validator)) {
+      validator.call(this, value, callback);
+
+    } else {
+      callback(true);
+    }
+  };
+}
+
+registerValidationRule('required', value => !isEmptyValue(value), C.VALIDATION_RULES_REQUIRED, true);
+registerValidationRule('min', (value, { value: min }) => isNumeric(value) && parseFloat(value) >= min, C.VALIDATION_RULES_MIN);
+registerValidationRule('max', (value, { value: max }) => isNumeric(value) && parseFloat(value) <= max, C.VALIDATION_RULES_MAX);
+registerValidationRule('minLength', (value, { value: length }) => stringify(value).length >= length, C.VALIDATION_RULES_MIN_LENGTH);
+registerValidationRule('maxLength', (value, { value: length }) => stringify(value).length <= length, C.VALIDATION_RULES_MAX_LENGTH);
+registerValidationRule('pattern', (value, { value: pattern }) => new RegExp(pattern).test(stringify(value)), C.VALIDATION_RULES_PATTERN);
+registerValidationRule('oneOf', (value, { value: values }) => arrayMap(values, stringify).indexOf(stringify(value)) !== -1,
+  C.VALIDATION_RULES_ONE_OF);
+registerValidationRule('custom', function(value, { test }) {
+  return !!test.call(this, value);
+}, C.VALIDATION_RULES_CUSTOM);
+
+export {
+  registerValidationRule,
+  getValidationRule,
+  hasItem as hasValidationRule,
+  getNames as getRegisteredValidationRuleNames,
+  getValidationMessages,
+  hasValidationRules,
+  getCellValidationMessages,
+  createRulesValidator,
+};
@@ -30,6 +30,46 @@ describe('Core_count', () => {
     });
   });
 
+  describe('countRows', () => {
+    it('should return number of rows modified by the `modifyRowCount` hook', () => {
+      const instance = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        modifyRowCount(count) {
+          return count + 2;
+        },
+      });
+
+      expect(instance.countRows()).toEqual(7);
+      expect(instance.countSourceRows()).toEqual(5);
+    });
+
+    it('should return number of rows modified by the `modifyRowCount` hook and limited by the `maxRows` option', () => {
+      const instance = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        maxRows: 6,
+        modifyRowCount(count) {
+          return count + 2;
+        },
+      });
+
+      expect(instance.countRows()).toEqual(6);
+    });
+
+    it('should not count the rows added by the `modifyRowCount` hook and translated to `null` by the `modifyRow` hook', () => {
+      const instance = handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        modifyRowCount(count) {
+          return count + 2;
+        },
+        modifyRow(row) {
+          return row === 6 ? null : row;
+        },
+      });
+
+      expect(instance.countRows()).toEqual(6);
+    });
+  });
+
   describe('countRenderedRows', () => {
     it('should return number of rendered rows', () => {
       const instance = handsontable({
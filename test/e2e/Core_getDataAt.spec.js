@@ -154,4 +154,19 @@ describe('Core_getDataAt*', () => {
       expect(getSourceDataAtCell(1, 2)).toBe('foo');
     });
   });
+
+  describe('`modifyRowCount` hook', () => {
+    it('should not return the values of the rows added by the hook', () => {
+      const hot = handsontable({
+        data: arrayOfArrays(),
+        modifyRowCount(count) {
+          return count + 1;
+        },
+      });
+
+      expect(countRows()).toBe(5);
+      expect(getDataAtCol(1)).toEqual(['Kia', 10, 20, 30]);
+      expect(hot.getDataAtProp(1)).toEqual(['Kia', 10, 20, 30]);
+    });
+  });
 });
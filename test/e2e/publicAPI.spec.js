@@ -97,6 +97,11 @@ describe('Public API', () => {
       expect(Handsontable.validators.getValidator).toBeFunction();
     });
 
+    it('should expose static methods for registering and retrieving the validation rules', () => {
+      expect(Handsontable.validators.registerValidationRule).toBeFunction();
+      expect(Handsontable.validators.getValidationRule).toBeFunction();
+    });
+
     it('should expose all registered validator functions', () => {
       expect(Handsontable.validators.AutocompleteValidator).toBeFunction();
       expect(Handsontable.validators.DateValidator).toBeFunction();
@@ -0,0 +1,317 @@
+describe('settings', () => {
+  describe('fixedColumnsRight', () => {
+    const id = 'testContainer';
+
+    beforeEach(function() {
+      this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+    });
+
+    afterEach(function() {
+      if (this.$container) {
+        destroy();
+        this.$container.remove();
+      }
+    });
+
+    describe('defined in constructor', () => {
+      it('should render the last columns in the right overlay', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 5),
+          fixedColumnsRight: 2
+        });
+
+        expect(getRightClone().find('tbody tr:eq(0) td').length).toEqual(2);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('D1');
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(1)').text()).toEqual('E1');
+      });
+
+      it('should render the column headers in the top-right corner and skip the row headers', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 5),
+          rowHeaders: true,
+          colHeaders: true,
+          fixedColumnsRight: 2
+        });
+
+        expect(getRightClone().find('tbody tr:eq(0) th').length).toEqual(0);
+        expect(getTopRightClone().find('thead tr th').length).toEqual(2);
+        expect(getTopRightClone().find('thead tr th:eq(0)').text()).toEqual('D');
+        expect(getTopRightClone().find('thead tr th:eq(1)').text()).toEqual('E');
+      });
+
+      it('should render the bottom-right corner when the bottom rows are fixed', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(10, 5),
+          colHeaders: true,
+          fixedRowsBottom: 2,
+          fixedColumnsRight: 1
+        });
+
+        expect(getBottomRightClone().find('thead tr th').length).toEqual(0);
+        expect(getBottomRightClone().find('tbody tr').length).toEqual(2);
+        expect(getBottomRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('E9');
+        expect(getBottomRightClone().find('tbody tr:eq(1) td:eq(0)').text()).toEqual('E10');
+      });
+
+      it('should limit the fixed columns to the number of the columns', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(2, 2),
+          fixedColumnsRight: 4
+        });
+
+        expect(getRightClone().find('tbody tr:eq(0) td').length).toEqual(2);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('A1');
+      });
+    });
+
+    describe('defined in updateSettings', () => {
+      it('should increase fixed columns', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 2
+        });
+
+        updateSettings({
+          fixedColumnsRight: 4
+        });
+
+        expect(getRightClone().find('tbody tr:eq(0) td').length).toEqual(4);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('G1');
+      });
+
+      it('should decrease fixed columns', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 4
+        });
+
+        updateSettings({
+          fixedColumnsRight: 2
+        });
+
+        expect(getRightClone().find('tbody tr:eq(0) td').length).toEqual(2);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('I1');
+      });
+
+      it('should create fixed columns when they are disabled eariler', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 0
+        });
+
+        updateSettings({
+          fixedColumnsRight: 2
+        });
+
+        expect(getRightClone().find('tbody tr:eq(0) td').length).toEqual(2);
+      });
+
+      it('should disable fixed columns', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 2
+        });
+
+        updateSettings({
+          fixedColumnsRight: 0
+        });
+
+        expect(getRightClone().width()).toBe(0);
+      });
+    });
+
+    describe('scrolling', () => {
+      it('should keep the overlay at the right edge of the viewport while scrolling horizontally', async() => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(20, 50),
+          width: 300,
+          height: 200,
+          colHeaders: true,
+          fixedColumnsRight: 2,
+        });
+
+        const masterHolder = getMaster().find('.wtHolder')[0];
+        const rightEdge = () => getRightClone().position().left + getRightClone().width();
+
+        expect(rightEdge()).toBe(masterHolder.clientWidth);
+
+        getMaster().find('.wtHolder').scrollLeft(400);
+
+        await sleep(100);
+
+        expect(rightEdge()).toBe(masterHolder.clientWidth);
+        expect(getTopRightClone().position().left).toBe(getRightClone().position().left);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('AW1');
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(1)').text()).toEqual('AX1');
+      });
+
+      it('should synchronize the vertical scroll with master table', async() => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(50, 50),
+          width: 200,
+          height: 200,
+          rowHeaders: true,
+          fixedColumnsRight: 2,
+        });
+
+        getMaster().find('.wtHolder').scrollTop(100);
+
+        await sleep(100);
+
+        expect(getRightClone().find('.wtHolder').scrollTop()).toBe(getMaster().find('.wtHolder').scrollTop());
+      });
+
+      it('should not scroll the viewport when the fixed column is selected', async() => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(20, 50),
+          width: 300,
+          height: 200,
+          fixedColumnsRight: 2,
+        });
+
+        selectCell(0, 49);
+
+        await sleep(100);
+
+        expect(getMaster().find('.wtHolder').scrollLeft()).toBe(0);
+      });
+
+      it('should scroll the viewport to the column covered by the overlay', async() => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(20, 50),
+          width: 300,
+          height: 200,
+          fixedColumnsRight: 2,
+        });
+
+        selectCell(0, 47);
+
+        await sleep(100);
+
+        const cell = getCell(0, 47).getBoundingClientRect();
+        const overlay = getRightClone()[0].getBoundingClientRect();
+
+        expect(hot.view.wt.wtTable.getLastVisibleColumn()).toBeGreaterThan(46);
+        expect(cell.right).toBeLessThan(overlay.left + 1);
+      });
+    });
+
+    describe('cells', () => {
+      it('should return the cell from the right overlay when the topmost cell is requested', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          colHeaders: true,
+          fixedRowsTop: 1,
+          fixedColumnsRight: 2,
+        });
+
+        expect(getRightClone()[0].contains(getCell(2, 9, true))).toBe(true);
+        expect(getTopRightClone()[0].contains(getCell(0, 8, true))).toBe(true);
+        expect(getMaster()[0].contains(getCell(2, 7, true))).toBe(true);
+      });
+
+      it('should translate the coordinates of the cells rendered in the right overlay', () => {
+        const hot = handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          rowHeaders: true,
+          colHeaders: true,
+          fixedColumnsRight: 2,
+        });
+
+        const coords = hot.view.wt.wtTable.getCoords(getRightClone().find('tbody tr:eq(1) td:eq(1)')[0]);
+        const headerCoords = hot.view.wt.wtTable.getCoords(getTopRightClone().find('thead tr th:eq(0)')[0]);
+
+        expect(coords.row).toBe(1);
+        expect(coords.col).toBe(9);
+        expect(headerCoords.row).toBe(-1);
+        expect(headerCoords.col).toBe(8);
+      });
+
+      it('should select the cell after clicking on the right overlay', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 2,
+        });
+
+        $(getCell(3, 8, true)).simulate('mousedown').simulate('mouseup');
+
+        expect(getSelected()).toEqual([[3, 8, 3, 8]]);
+      });
+
+      it('should show the selection border in the right overlay', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 2,
+        });
+
+        selectCell(1, 9);
+
+        const borders = getRightClone().find('.wtBorder.current');
+
+        expect(borders.length).toBeGreaterThan(0);
+        expect(borders[0].style.display).toBe('block');
+      });
+
+      it('should open the editor over the cell rendered in the right overlay', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          fixedColumnsRight: 2,
+        });
+
+        selectCell(1, 9);
+        keyDownUp('enter');
+
+        expect(getActiveEditor().checkEditorSection()).toBe('right');
+        expect(getRightClone()[0].contains(getActiveEditor().TD)).toBe(true);
+        expect(isEditorVisible()).toBe(true);
+      });
+    });
+
+    describe('plugins', () => {
+      it('should resize the column using the header rendered in the top-right corner', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          colHeaders: true,
+          manualColumnResize: true,
+          fixedColumnsRight: 2,
+        });
+
+        const $th = getTopRightClone().find('thead tr:eq(0) th:eq(0)');
+
+        $th.simulate('mouseover');
+
+        const $resizer = spec().$container.find('.manualColumnResizer');
+        const resizerPosition = $resizer.position();
+
+        $resizer.simulate('mousedown', { clientX: resizerPosition.left });
+        $resizer.simulate('mousemove', { clientX: resizerPosition.left + 50 });
+        $resizer.simulate('mouseup');
+
+        expect(colWidth(getRightClone(), 0)).toBe(100);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('I1');
+      });
+
+      it('should move the column using the header rendered in the top-right corner', () => {
+        handsontable({
+          data: Handsontable.helper.createSpreadsheetData(5, 10),
+          colHeaders: true,
+          manualColumnMove: true,
+          fixedColumnsRight: 2,
+        });
+
+        const $headers = getTopRightClone().find('thead tr th');
+
+        $headers.eq(1).simulate('mousedown');
+        $headers.eq(1).simulate('mouseup');
+        $headers.eq(1).simulate('mousedown');
+        $headers.eq(0).simulate('mouseover');
+        $headers.eq(0).simulate('mousemove');
+        $headers.eq(0).simulate('mouseup');
+
+        expect(getDataAtRow(0).slice(-2)).toEqual(['J1', 'I1']);
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(0)').text()).toEqual('J1');
+        expect(getRightClone().find('tbody tr:eq(0) td:eq(1)').text()).toEqual('I1');
+      });
+    });
+  });
+});
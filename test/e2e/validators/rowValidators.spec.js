@@ -0,0 +1,209 @@
+describe('rowValidators', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  const arrayOfObjects = function() {
+    return [
+      { start: 1, end: 5, discount: 0, reason: '' },
+      { start: 6, end: 2, discount: 10, reason: '' },
+      { start: 3, end: 4, discount: 20, reason: 'Loyal customer' },
+    ];
+  };
+  const columns = [
+    { data: 'start' },
+    { data: 'end' },
+    { data: 'discount' },
+    { data: 'reason' },
+  ];
+  const endAfterStart = {
+    props: ['start', 'end'],
+    test: row => row.end > row.start,
+    message: 'The end has to be after the start',
+  };
+  const discountWithReason = {
+    props: ['discount', 'reason'],
+    test: row => !row.discount || !!row.reason,
+    message: 'The discount requires a reason',
+  };
+
+  it('should mark all the involved cells with the shared message after validating the cells', (done) => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns,
+      rowValidators: [endAfterStart, discountWithReason],
+    });
+
+    hot.validateCells((valid) => {
+      expect(valid).toBe(false);
+      expect(getCellMeta(1, 0).rowValidationMessages).toEqual(['The end has to be after the start']);
+      expect(getCellMeta(1, 1).rowValidationMessages).toEqual(['The end has to be after the start']);
+      expect(getCellMeta(1, 2).rowValidationMessages).toEqual(['The discount requires a reason']);
+      expect(getCellMeta(1, 3).rowValidationMessages).toEqual(['The discount requires a reason']);
+      expect(getCellMeta(0, 0).rowValidationMessages).toBeUndefined();
+      expect(getCellMeta(2, 2).rowValidationMessages).toBeUndefined();
+      expect(hot.getValidationErrors()).toEqual([
+        { row: 1, col: 0, prop: 'start', messages: ['The end has to be after the start'] },
+        { row: 1, col: 1, prop: 'end', messages: ['The end has to be after the start'] },
+        { row: 1, col: 2, prop: 'discount', messages: ['The discount requires a reason'] },
+        { row: 1, col: 3, prop: 'reason', messages: ['The discount requires a reason'] },
+      ]);
+      done();
+    });
+  });
+
+  it('should pass the source row and the visual row index to the validator', (done) => {
+    const test = jasmine.createSpy('test').and.returnValue(true);
+    const data = arrayOfObjects();
+    const hot = handsontable({
+      data,
+      columns,
+      rowValidators: [{ test }],
+    });
+
+    hot.validateRows([2], (valid) => {
+      expect(valid).toBe(true);
+      expect(test).toHaveBeenCalledTimes(1);
+      expect(test).toHaveBeenCalledWith(data[2], 2);
+      expect(test.calls.mostRecent().object).toBe(hot);
+      done();
+    });
+  });
+
+  it('should run the row validators after the cell validators', (done) => {
+    const calls = [];
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        {
+          data: 'start',
+          validator: (value, callback) => {
+            calls.push('cell');
+            callback(true);
+          },
+        },
+      ],
+      rowValidators: [{
+        test: () => {
+          calls.push('row');
+
+          return true;
+        },
+      }],
+    });
+
+    hot.validateRows([0], () => {
+      expect(calls).toEqual(['cell', 'row']);
+      done();
+    });
+  });
+
+  it('should involve all the cells of the row when the `props` option is not defined', (done) => {
+    const hot = handsontable({
+      data: [[1, 2], [3, 4]],
+      rowValidators: [{ test: row => row[0] + row[1] < 5, message: 'Too much' }],
+    });
+
+    hot.validateCells(() => {
+      expect(hot.getValidationErrors()).toEqual([
+        { row: 1, col: 0, prop: 0, messages: ['Too much'] },
+        { row: 1, col: 1, prop: 1, messages: ['Too much'] },
+      ]);
+      done();
+    });
+  });
+
+  it('should re-validate the row after changing any of its values', () => {
+    handsontable({
+      data: arrayOfObjects(),
+      columns,
+      rowValidators: [endAfterStart, discountWithReason],
+    });
+
+    setDataAtRowProp(0, 'end', 0);
+
+    expect(getCellMeta(0, 0).rowValidationMessages).toEqual(['The end has to be after the start']);
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(true);
+    expect(getCell(0, 0).getAttribute('title')).toBe('The end has to be after the start');
+
+    setDataAtRowProp(0, 'end', 10);
+
+    expect(getCellMeta(0, 0).rowValidationMessages).toBeUndefined();
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(false);
+    expect(getCell(0, 0).hasAttribute('title')).toBe(false);
+  });
+
+  it('should restore the title set outside of the validation after the row becomes valid', () => {
+    handsontable({
+      data: arrayOfObjects(),
+      columns,
+      rowValidators: [endAfterStart],
+      renderer(instance, TD, ...args) {
+        TD.setAttribute('title', 'Custom title');
+        Handsontable.renderers.TextRenderer.apply(this, [instance, TD, ...args]);
+      },
+    });
+
+    setDataAtRowProp(0, 'end', 0);
+
+    expect(getCell(0, 0).getAttribute('title')).toBe('The end has to be after the start');
+
+    setDataAtRowProp(0, 'end', 10);
+
+    expect(getCell(0, 0).getAttribute('title')).toBe('Custom title');
+  });
+
+  it('should not change the `valid` meta set by the cell validators', (done) => {
+    const hot = handsontable({
+      data: [{ start: 6, end: 2 }],
+      columns,
+      rowValidators: [endAfterStart],
+    });
+
+    hot.validateCells(() => {
+      expect(getCellMeta(0, 0).valid).toBe(true);
+      expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(true);
+      done();
+    });
+  });
+
+  it('should use the translated default message', (done) => {
+    const hot = handsontable({
+      data: [[2, 1]],
+      rowValidators: [{ test: row => row[0] < row[1] }],
+    });
+
+    hot.validateCells(() => {
+      expect(getCellMeta(0, 0).rowValidationMessages).toEqual(['The values of the row are inconsistent']);
+      done();
+    });
+  });
+
+  it('should combine the messages of the cell and the row validation', (done) => {
+    const hot = handsontable({
+      data: [[null, 1]],
+      columns: [
+        { validationRules: [{ type: 'required' }] },
+        {},
+      ],
+      rowValidators: [{ test: row => row[0] !== null, message: (row, rowIndex) => `Row ${rowIndex} is empty` }],
+    });
+
+    hot.validateCells(() => {
+      expect(hot.getValidationErrors()).toEqual([
+        { row: 0, col: 0, prop: 0, messages: ['This field is required', 'Row 0 is empty'] },
+        { row: 0, col: 1, prop: 1, messages: ['Row 0 is empty'] },
+      ]);
+      done();
+    });
+  });
+});
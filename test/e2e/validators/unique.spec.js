@@ -0,0 +1,178 @@
+describe('unique', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  const arrayOfObjects = function() {
+    return [
+      { email: 'ted@example.com', firstName: 'Ted', lastName: 'Right' },
+      { email: 'frank@example.com', firstName: 'Frank', lastName: 'Honest' },
+      { email: 'ted@example.com', firstName: 'Ted', lastName: 'Right' },
+      { email: '', firstName: 'Frank', lastName: 'Wrong' },
+      { email: '', firstName: 'Joan', lastName: 'Well' },
+    ];
+  };
+
+  it('should mark all the cells with the duplicated values', () => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email', unique: true },
+        { data: 'firstName' },
+        { data: 'lastName' },
+      ],
+    });
+
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(true);
+    expect(getCell(0, 0).getAttribute('title')).toBe('This value is duplicated');
+    expect(hot.getValidationErrors()).toEqual([
+      { row: 0, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+      { row: 2, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+    ]);
+  });
+
+  it('should mark all the cells of the duplicated composite key', () => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email' },
+        { data: 'firstName', unique: ['firstName', 'lastName'] },
+        { data: 'lastName' },
+      ],
+    });
+
+    expect(hot.getValidationErrors()).toEqual([
+      { row: 0, col: 1, prop: 'firstName', messages: ['This value is duplicated'] },
+      { row: 0, col: 2, prop: 'lastName', messages: ['This value is duplicated'] },
+      { row: 2, col: 1, prop: 'firstName', messages: ['This value is duplicated'] },
+      { row: 2, col: 2, prop: 'lastName', messages: ['This value is duplicated'] },
+    ]);
+  });
+
+  it('should re-evaluate the duplicates after changing the values', () => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email', unique: true },
+      ],
+    });
+
+    setDataAtRowProp(2, 'email', 'joan@example.com');
+
+    expect(hot.getValidationErrors()).toEqual([]);
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(false);
+    expect(getCell(0, 0).hasAttribute('title')).toBe(false);
+
+    setDataAtRowProp(1, 'email', 'ted@example.com');
+
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(true);
+    expect(hot.getValidationErrors()).toEqual([
+      { row: 0, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+      { row: 1, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+    ]);
+  });
+
+  it('should re-evaluate the duplicates after creating and removing the rows', () => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email', unique: true },
+      ],
+    });
+
+    alter('remove_row', 2);
+
+    expect(hot.getValidationErrors()).toEqual([]);
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(false);
+
+    alter('insert_row', 0);
+    setDataAtRowProp(0, 'email', 'frank@example.com');
+
+    expect(hot.getValidationErrors()).toEqual([
+      { row: 0, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+      { row: 2, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+    ]);
+  });
+
+  it('should rebuild the index after loading the data', () => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email', unique: true },
+      ],
+    });
+
+    loadData([{ email: 'joan@example.com' }, { email: 'ted@example.com' }]);
+
+    expect(hot.getValidationErrors()).toEqual([]);
+
+    loadData([{ email: 'joan@example.com' }, { email: 'joan@example.com' }]);
+
+    expect(hot.getValidationErrors()).toEqual([
+      { row: 0, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+      { row: 1, col: 0, prop: 'email', messages: ['This value is duplicated'] },
+    ]);
+  });
+
+  it('should not treat the empty values as duplicates', () => {
+    const hot = handsontable({
+      data: [[null, 'a'], [null, 'a'], ['', 'b'], ['', 'b']],
+      columns: [
+        { unique: true },
+        { unique: [0, 1] },
+      ],
+    });
+
+    expect(hot.getValidationErrors()).toEqual([]);
+  });
+
+  it('should pass `false` to the callback of the `validateCells` method when there are duplicates', (done) => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email', unique: true },
+        { data: 'firstName' },
+      ],
+    });
+
+    hot.validateCells((valid) => {
+      expect(valid).toBe(false);
+
+      hot.validateRows([1, 3], (rowsValid) => {
+        expect(rowsValid).toBe(true);
+
+        hot.validateColumns([1], (columnsValid) => {
+          expect(columnsValid).toBe(true);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should stop marking the duplicates after disabling the option', () => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'email', unique: true },
+      ],
+    });
+
+    updateSettings({
+      columns: [
+        { data: 'email' },
+      ],
+    });
+
+    expect(hot.getValidationErrors()).toEqual([]);
+    expect($(getCell(0, 0)).hasClass('htInvalid')).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+describe('Validation queue', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  // The validator resolves the "slow" values later than the others.
+  const delayedValidator = function(value, callback) {
+    setTimeout(() => {
+      callback(value !== 'slow');
+    }, value === 'slow' ? 200 : 10);
+  };
+
+  it('should drop the stale result of the cell changed again before its validation has finished', (done) => {
+    const afterValidate = jasmine.createSpy('afterValidate');
+
+    handsontable({
+      data: [['a']],
+      validator: delayedValidator,
+      afterValidate,
+    });
+
+    setDataAtCell(0, 0, 'slow');
+    setDataAtCell(0, 0, 'fast');
+
+    setTimeout(() => {
+      expect(getDataAtCell(0, 0)).toBe('fast');
+      expect(getCellMeta(0, 0).valid).toBe(true);
+      expect(afterValidate).toHaveBeenCalledTimes(1);
+      expect(afterValidate.calls.argsFor(0)[1]).toBe('fast');
+      done();
+    }, 300);
+  });
+
+  it('should mark the cells waiting for the validation result with the `htValidating` class', (done) => {
+    const hot = handsontable({
+      data: [['a']],
+      validator: delayedValidator,
+    });
+
+    setDataAtCell(0, 0, 'slow');
+
+    expect(hot.isValidating()).toBe(true);
+    expect(getCellMeta(0, 0).validating).toBe(true);
+    expect($(getCell(0, 0)).hasClass('htValidating')).toBe(true);
+
+    setTimeout(() => {
+      expect(hot.isValidating()).toBe(false);
+      expect(getCellMeta(0, 0).validating).toBe(false);
+      expect($(getCell(0, 0)).hasClass('htValidating')).toBe(false);
+      done();
+    }, 300);
+  });
+
+  it('should use the class name defined in the `validatingCellClassName` option', () => {
+    handsontable({
+      data: [['a']],
+      validator: delayedValidator,
+      validatingCellClassName: 'pending',
+    });
+
+    setDataAtCell(0, 0, 'slow');
+
+    expect($(getCell(0, 0)).hasClass('pending')).toBe(true);
+    expect($(getCell(0, 0)).hasClass('htValidating')).toBe(false);
+  });
+
+  it('should return a promise resolved with the validation result from the `validateCells` method', (done) => {
+    const hot = handsontable({
+      data: [['a'], ['slow']],
+      validator: delayedValidator,
+    });
+    const callback = jasmine.createSpy('callback');
+
+    hot.validateCells(callback).then((valid) => {
+      expect(valid).toBe(false);
+      expect(callback).toHaveBeenCalledWith(false);
+      done();
+    });
+  });
+
+  it('should resolve the stale validation of the cells with the result of the latest one', (done) => {
+    const hot = handsontable({
+      data: [['slow']],
+      validator: delayedValidator,
+    });
+
+    const firstValidation = hot.validateCells();
+
+    setDataAtCell(0, 0, 'fast');
+
+    firstValidation.then((valid) => {
+      expect(valid).toBe(true);
+      expect(getCellMeta(0, 0).valid).toBe(true);
+      done();
+    });
+  });
+
+  it('should keep the change when the cell is re-validated before the validation of the change has finished', (done) => {
+    const hot = handsontable({
+      data: [['a']],
+      validator: delayedValidator,
+    });
+
+    setDataAtCell(0, 0, 'slow');
+    hot.validateCells();
+
+    setTimeout(() => {
+      expect(getDataAtCell(0, 0)).toBe('slow');
+      expect(getCellMeta(0, 0).valid).toBe(false);
+      done();
+    }, 300);
+  });
+
+  it('should not mark the re-validation waiting for the validation of the change as stale', (done) => {
+    const hot = handsontable({
+      data: [['a']],
+      validator: delayedValidator,
+    });
+    const postAfterValidate = jasmine.createSpy('postAfterValidate');
+
+    hot.addHook('postAfterValidate', postAfterValidate);
+
+    setDataAtCell(0, 0, 'fast');
+    hot.validateCell('a', getCellMeta(0, 0), (valid, stale) => {
+      expect(valid).toBe(true);
+      expect(stale).toBe(false);
+      expect(getDataAtCell(0, 0)).toBe('fast');
+
+      setTimeout(() => {
+        expect(postAfterValidate).toHaveBeenCalledTimes(2);
+        done();
+      });
+    });
+  });
+
+  it('should settle the promise returned from the `validateCells` method when the validator throws an error', (done) => {
+    const errorSpy = spyOn(console, 'error');
+    const hot = handsontable({
+      data: [['a'], ['b']],
+      validator(value, callback) {
+        if (value === 'b') {
+          throw new Error('Validator error');
+        }
+        callback(true);
+      },
+    });
+
+    hot.validateCells().then((valid) => {
+      expect(valid).toBe(false);
+      expect(getCellMeta(1, 0).valid).toBe(false);
+      expect(hot.isValidating()).toBe(false);
+      expect(errorSpy).toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it('should cancel only the rejected changes when several changes of the batch are rejected', (done) => {
+    // The values starting with "x" are rejected after the number of milliseconds following the letter.
+    handsontable({
+      data: [['a', 'b', 'c', 'd']],
+      validator(value, callback) {
+        setTimeout(() => callback(value.charAt(0) !== 'x'), parseInt(value.slice(1), 10) || 0);
+      },
+      allowInvalid: false,
+      validationDebounceDelay: 10,
+    });
+
+    populateFromArray(0, 0, [['x10', '1', 'x50', '2']]);
+
+    setTimeout(() => {
+      expect(getData()).toEqual([['a', '1', 'c', '2']]);
+      done();
+    }, 300);
+  });
+
+  it('should debounce the validation of the cells changed in bursts', (done) => {
+    const validator = jasmine.createSpy('validator').and.callFake((value, callback) => callback(true));
+
+    handsontable({
+      data: [['a', 'b'], ['c', 'd']],
+      validator,
+      validationDebounceDelay: 50,
+    });
+
+    populateFromArray(0, 0, [['1', '2'], ['3', '4']]);
+
+    setTimeout(() => {
+      populateFromArray(0, 0, [['5', '6'], ['7', '8']]);
+    }, 20);
+
+    setTimeout(() => {
+      expect(validator).toHaveBeenCalledTimes(4);
+      expect(validator.calls.allArgs().map(args => args[0]).sort()).toEqual(['5', '6', '7', '8']);
+      expect(getData()).toEqual([['5', '6'], ['7', '8']]);
+      done();
+    }, 200);
+  });
+});
@@ -0,0 +1,215 @@
+describe('validationRules', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  const arrayOfObjects = function() {
+    return [
+      { id: 1, name: 'Ted', age: 30 },
+      { id: 2, name: 'Frank', age: 17 },
+      { id: 3, name: '', age: 45 },
+    ];
+  };
+
+  it('should mark the cells which do not pass the rules as invalid and store the messages in the cell meta', (done) => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'id' },
+        { data: 'name', validationRules: [{ type: 'required' }] },
+        { data: 'age', validationRules: [{ type: 'min', value: 18 }, { type: 'max', value: 40 }] },
+      ],
+    });
+
+    hot.validateCells((valid) => {
+      expect(valid).toBe(false);
+      expect(getCellMeta(0, 1).valid).toBe(true);
+      expect(getCellMeta(2, 1).valid).toBe(false);
+      expect(getCellMeta(2, 1).validationMessages).toEqual(['This field is required']);
+      expect(getCellMeta(1, 2).validationMessages).toEqual(['Value must be greater than or equal to 18']);
+      expect(getCellMeta(2, 2).validationMessages).toEqual(['Value must be less than or equal to 40']);
+      expect(getCellMeta(0, 2).validationMessages).toEqual([]);
+      done();
+    });
+  });
+
+  it('should return all the validation errors by the `getValidationErrors` method', (done) => {
+    const hot = handsontable({
+      data: arrayOfObjects(),
+      columns: [
+        { data: 'id', validator: (value, callback) => callback(value !== 2) },
+        { data: 'name', validationRules: [{ type: 'required' }] },
+        { data: 'age', validationRules: [{ type: 'oneOf', value: [17, 30] }] },
+      ],
+    });
+
+    hot.validateCells(() => {
+      expect(hot.getValidationErrors()).toEqual([
+        { row: 1, col: 0, prop: 'id', messages: [] },
+        { row: 2, col: 1, prop: 'name', messages: ['This field is required'] },
+        { row: 2, col: 2, prop: 'age', messages: ['Value must be one of: 17, 30'] },
+      ]);
+      done();
+    });
+  });
+
+  it('should call the original validator only when the value passes the rules', (done) => {
+    const validator = jasmine.createSpy('validator').and.callFake((value, callback) => callback(false));
+
+    const hot = handsontable({
+      data: [[1], [5]],
+      columns: [
+        { validator, validationRules: [{ type: 'max', value: 3 }] },
+      ],
+    });
+
+    hot.validateCells(() => {
+      expect(validator).toHaveBeenCalledTimes(1);
+      expect(validator.calls.argsFor(0)[0]).toBe(1);
+      expect(getCellMeta(0, 0).valid).toBe(false);
+      expect(getCellMeta(0, 0).validationMessages).toEqual([]);
+      expect(getCellMeta(1, 0).validationMessages).toEqual(['Value must be less than or equal to 3']);
+      done();
+    });
+  });
+
+  it('should use the custom messages and the custom test functions', (done) => {
+    const hot = handsontable({
+      data: [['abc', 3], ['abcdef', 4]],
+      columns: [
+        { validationRules: [{ type: 'maxLength', value: 4, message: 'Up to [value] chars' }] },
+        {
+          validationRules: [{
+            type: 'custom',
+            test(value) {
+              return value % 2 === 0 && this.prop === 1;
+            },
+            message: value => `${value} is odd`,
+          }],
+        },
+      ],
+    });
+
+    hot.validateCells(() => {
+      expect(getCellMeta(0, 0).validationMessages).toEqual([]);
+      expect(getCellMeta(1, 0).validationMessages).toEqual(['Up to 4 chars']);
+      expect(getCellMeta(0, 1).validationMessages).toEqual(['3 is odd']);
+      expect(getCellMeta(1, 1).validationMessages).toEqual([]);
+      done();
+    });
+  });
+
+  it('should translate the messages using the language dictionary', (done) => {
+    const hot = handsontable({
+      data: [['']],
+      language: 'pl-PL',
+      columns: [
+        { validationRules: [{ type: 'required' }] },
+      ],
+    });
+
+    hot.validateCells(() => {
+      expect(getCellMeta(0, 0).validationMessages).toEqual(['To pole jest wymagane']);
+      done();
+    });
+  });
+
+  it('should show the messages as a tooltip of the invalid cell', (done) => {
+    const hot = handsontable({
+      data: [['a1']],
+      columns: [
+        { validationRules: [{ type: 'pattern', value: /^\d+$/ }, { type: 'maxLength', value: 1 }] },
+      ],
+    });
+
+    hot.validateCells(() => {
+      expect(getCell(0, 0).getAttribute('title')).toBe('Value has an invalid format\nValue must be at most 1 characters long');
+
+      setDataAtCell(0, 0, '1');
+
+      setTimeout(() => {
+        expect(getCellMeta(0, 0).valid).toBe(true);
+        expect(getCell(0, 0).hasAttribute('title')).toBe(false);
+        done();
+      }, 100);
+    });
+  });
+
+  it('should not remove the titles set outside of the validation', (done) => {
+    const hot = handsontable({
+      data: [['a1']],
+      columns: [
+        { validationRules: [{ type: 'maxLength', value: 1 }] },
+      ],
+      renderer(instance, TD, ...args) {
+        TD.setAttribute('title', 'Custom title');
+        Handsontable.renderers.TextRenderer.apply(this, [instance, TD, ...args]);
+      },
+    });
+
+    expect(getCell(0, 0).getAttribute('title')).toBe('Custom title');
+
+    hot.validateCells(() => {
+      expect(getCell(0, 0).getAttribute('title')).toBe('Value must be at most 1 characters long');
+
+      setDataAtCell(0, 0, '1');
+
+      setTimeout(() => {
+        expect(getCell(0, 0).getAttribute('title')).toBe('Custom title');
+        done();
+      }, 100);
+    });
+  });
+
+  it('should not test the empty values against the rules other than `required`', (done) => {
+    const hot = handsontable({
+      data: [[null, '']],
+      columns: [
+        { validationRules: [{ type: 'min', value: 1 }] },
+        { validationRules: [{ type: 'pattern', value: '^\\d+$' }, { type: 'oneOf', value: ['a'] }] },
+      ],
+    });
+
+    hot.validateCells((valid) => {
+      expect(valid).toBe(true);
+      expect(hot.getValidationErrors()).toEqual([]);
+      done();
+    });
+  });
+
+  it('should use the rules registered by the `registerValidationRule` method', (done) => {
+    Handsontable.validators.registerValidationRule('even', value => value % 2 === 0, 'Validation:rules.custom');
+
+    const hot = handsontable({
+      data: [[1], [2]],
+      columns: [
+        { validationRules: [{ type: 'even' }] },
+      ],
+    });
+
+    hot.validateCells(() => {
+      expect(getCellMeta(0, 0).validationMessages).toEqual(['Value is invalid']);
+      expect(getCellMeta(1, 0).valid).toBe(true);
+      done();
+    });
+  });
+
+  it('should throw an error when the rule type is not registered', () => {
+    handsontable({
+      data: [[1]],
+    });
+
+    expect(() => {
+      Handsontable.validators.getValidationRule('foo');
+    }).toThrowError('No registered validation rule found under "foo" name');
+  });
+});
@@ -169,6 +169,18 @@ export function getBottomLeftClone() {
   return spec().$container.find('.ht_clone_bottom_left_corner');
 }
 
+export function getRightClone() {
+  return spec().$container.find('.ht_clone_right');
+}
+
+export function getTopRightClone() {
+  return spec().$container.find('.ht_clone_top_right_corner');
+}
+
+export function getBottomRightClone() {
+  return spec().$container.find('.ht_clone_bottom_right_corner');
+}
+
 // Rename me to countTD
 export function countCells() {
   return getHtCore().find('tbody td').length;
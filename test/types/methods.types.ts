@@ -57,6 +57,7 @@ hot.getSourceDataAtCell(123, 123);
 hot.getSourceDataAtCol(123);
 hot.getSourceDataAtRow(123);
 hot.getTranslatedPhrase('foo', 123);
+hot.getValidationErrors().forEach(error => error.messages.join());
 hot.getValue();
 hot.hasColHeaders();
 hot.hasHook('foo');
@@ -65,6 +66,7 @@ hot.isColumnModificationAllowed();
 hot.isEmptyCol(123);
 hot.isEmptyRow(123);
 hot.isListening();
+hot.isValidating();
 hot.listen();
 hot.loadData([]);
 hot.populateFromArray(123, 123, [], 123, 123, 'foo', 'foo', 'foo', []);
@@ -96,6 +98,7 @@ hot.spliceRow(123, 123, 123, 'foo');
 hot.unlisten();
 hot.updateSettings({}, true);
 hot.validateCells(function() {});
+hot.validateCells().then((valid: boolean) => {});
 hot.validateColumns([1, 2, 3], function() {});
 hot.validateRows([1, 2, 3], function() {});
 
@@ -116,8 +119,10 @@ const filters: Handsontable.plugins.Filters = hot.getPlugin('filters');
 const headerTooltips: Handsontable.plugins.HeaderTooltips = hot.getPlugin('headerTooltips');
 const hiddenColumns: Handsontable.plugins.HiddenColumns = hot.getPlugin('hiddenColumns');
 const hiddenRows: Handsontable.plugins.HiddenRows = hot.getPlugin('hiddenRows');
+const importFile: Handsontable.plugins.ImportFile = hot.getPlugin('importFile');
 const manualColumnFreeze: Handsontable.plugins.ManualColumnFreeze = hot.getPlugin('manualColumnFreeze');
 const manualColumnMove: Handsontable.plugins.ManualColumnMove = hot.getPlugin('manualColumnMove');
+const manualRowFreeze: Handsontable.plugins.ManualRowFreeze = hot.getPlugin('manualRowFreeze');
 const manualRowMove: Handsontable.plugins.ManualRowMove = hot.getPlugin('manualRowMove');
 const manualRowResize: Handsontable.plugins.ManualRowResize = hot.getPlugin('manualRowResize');
 const mergeCells: Handsontable.plugins.MergeCells = hot.getPlugin('mergeCells');
@@ -129,5 +134,35 @@ const trimeRows: Handsontable.plugins.TrimRows = hot.getPlugin('trimRows');
 const formulas: Handsontable.plugins.Formulas = hot.getPlugin('formulas');
 const ganttChart: Handsontable.plugins.GanttChart = hot.getPlugin('ganttChart');
 const nestedRows: Handsontable.plugins.NestedRows = hot.getPlugin('nestedRows');
+const rowGrouping: Handsontable.plugins.RowGrouping = hot.getPlugin('rowGrouping');
+const pivotTable: Handsontable.plugins.PivotTable = hot.getPlugin('pivotTable');
+const conditionalFormatting: Handsontable.plugins.ConditionalFormatting = hot.getPlugin('conditionalFormatting');
 
 autoColumnSize.samplesGenerator.setSampleCount(5);
+exportFile.exportAsString('csv', { columnHeaders: true, range: [0, 0, 2, 2] });
+exportFile.exportAsBlob('xlsx', { sheetName: 'Data' });
+importFile.parse('a;b', { format: 'csv', columnDelimiter: ';' }).unmapped.forEach(item => item.message);
+if (nestedRows.dataManager && nestedRows.collapsingUI) {
+  nestedRows.dataManager.addChild(0, { name: 'Frame' });
+  nestedRows.dataManager.addSibling(1, 'above');
+  nestedRows.dataManager.detachFromParent([1, 2]);
+  nestedRows.dataManager.moveRow(0, 3);
+  nestedRows.collapsingUI.collapseAll();
+  nestedRows.collapsingUI.expandChildren(0);
+}
+rowGrouping.groupBy([0, 1]);
+rowGrouping.collapseGroup(0);
+if (rowGrouping.isGroupHeader(0)) {
+  const groupKeys: any[] = (rowGrouping.getGroup(0) || { path: [] }).path;
+}
+rowGrouping.ungroup();
+pivotTable.updatePivot();
+const ruleId = conditionalFormatting.addRule({ condition: { name: 'top', args: [10, true] }, colorScale: { min: '#f8696b', max: '#63be7b' } });
+if (ruleId !== null) {
+  conditionalFormatting.updateRule(ruleId, { stopIfTrue: true });
+}
+conditionalFormatting.getRules().forEach(rule => conditionalFormatting.removeRule(rule.id || ''));
+const cellStyle: object = (conditionalFormatting.getCellFormatting(0, 0) || { className: '', style: {} }).style;
+pivotTable.drillDown(0, 1).forEach(rowData => rowData);
+const contributingRows: number[] = pivotTable.getSourceRows(0, 1);
+hot.importFile(new Uint8Array(0), { format: 'xlsx', sheet: 'Sheet1', columnHeaders: true }).then(result => result.data);
@@ -26,10 +26,20 @@ const hotSettings: Handsontable.GridSettings = {
   columnHeaderHeight: 123,
   columns: [],
   columnSorting: {},
-  columnSummary: {},
+  columnSummary: [{
+    destinationRow: 0,
+    destinationColumn: 1,
+    ranges: [[0, 4], [6]],
+    type: 'custom',
+    customFunction(endpoint) {
+      return this.countEntries(endpoint);
+    },
+    numericFormat: { pattern: '0.00' },
+  }],
   colWidths: 123,
   commentedCellClassName: 'foo',
   comments: [],
+  conditionalFormatting: [{ range: { from: { row: 0, col: 0 }, to: { row: 5, col: 1 } }, condition: { name: 'gt', args: [5] }, className: 'foo', priority: 1 }, { condition: (value, row, column) => !value, dataBar: { color: '#638ec6' }, stopIfTrue: true }],
   contextMenu: true,
   contextMenuCopyPaste: {},
   copyable: true,
@@ -57,8 +67,10 @@ const hotSettings: Handsontable.GridSettings = {
   filteringCaseSensitive: true,
   filters: false,
   fixedColumnsLeft: 123,
+  fixedColumnsRight: 123,
   fixedRowsBottom: 123,
   fixedRowsTop: 123,
+  formulas: { variables: { FOO: 64 } },
   numericFormat: {},
   fragmentSelection: true,
   ganttChart: {},
@@ -74,6 +86,7 @@ const hotSettings: Handsontable.GridSettings = {
   manualColumnFreeze: true,
   manualColumnMove: true,
   manualColumnResize: true,
+  manualRowFreeze: true,
   manualRowMove: true,
   manualRowResize: true,
   maxCols: 123,
@@ -92,6 +105,7 @@ const hotSettings: Handsontable.GridSettings = {
   outsideClickDeselects: true,
   pasteMode: 'foo',
   persistentState: true,
+  pivotTable: { source: new Handsontable(document.createElement('div'), {}), rowFields: [0], columnFields: 1, valueFields: [{ column: 2, aggregator: 'avg', label: 'Average' }, { column: 3, aggregator: values => values.length }] },
   placeholder: 123,
   placeholderCellClassName: 'foo',
   preventOverflow: true,
@@ -99,9 +113,11 @@ const hotSettings: Handsontable.GridSettings = {
   readOnlyCellClassName: 'foo',
   renderAllRows: true,
   renderer: 'foo',
+  rowGrouping: { columns: [0, 1], aggregates: [{ column: 2, type: 'sum' }, { column: 3, type: values => values.length }] },
   rowHeaders: true,
   rowHeaderWidth: 123,
   rowHeights: 123,
+  rowValidators: [{ props: ['start', 'end'], test: (row: any) => row.end > row.start, message: 'foo' }, { test: (row, index) => index > 0 }],
   search: true,
   selectOptions: [],
   skipColumnOnPaste: true,
@@ -120,6 +136,10 @@ const hotSettings: Handsontable.GridSettings = {
   type: 'foo',
   uncheckedTemplate: true,
   undo: true,
+  unique: ['firstName', 'lastName'],
+  validatingCellClassName: 'foo',
+  validationDebounceDelay: 123,
+  validationRules: [{ type: 'required' }, { type: 'max', value: 10, message: 'foo' }, { type: 'custom', test: (value) => !!value }],
   validator: function() {},
   viewportColumnRenderingOffset: 123,
   viewportRowRenderingOffset: 123,
@@ -133,9 +153,13 @@ const hotSettings: Handsontable.GridSettings = {
   afterCellMetaReset: () => {},
   afterChange: (changes, source) => {},
   afterChangesObserved: () => {},
+  afterColumnCollapse: (currentCollapsedColumns, destinationCollapsedColumns, collapsePossible, successfullyCollapsed) => {},
+  afterColumnExpand: (currentCollapsedColumns, destinationCollapsedColumns, expandPossible, successfullyExpanded) => {},
+  afterColumnFreeze: (column) => {},
   afterColumnMove: (startColumn, endColumn) => {},
   afterColumnResize: (currentColumn, newSize, isDoubleClick) => {},
   afterColumnSort: (currentSortConfig, destinationSortConfigs) => {},
+  afterColumnUnfreeze: (column) => {},
   afterContextMenuDefaultOptions: (predefinedItems) => {},
   afterContextMenuHide: (context) => {},
   afterContextMenuShow: (context) => {},
@@ -146,7 +170,7 @@ const hotSettings: Handsontable.GridSettings = {
   afterCut: (data, coords) => {},
   afterDeselect: () => {},
   afterDestroy: () => {},
-  afterDetachChild: (parent, element) => {},
+  afterDetachChild: (parent, element, finalElementPosition) => {},
   afterDocumentKeyDown: (event) => {},
   afterDrawSelection: (currentRow, currentColumn, cornersOfSelection, layerLevel) => {},
   afterDropdownMenuDefaultOptions: (predefinedItems) => {},
@@ -166,6 +190,7 @@ const hotSettings: Handsontable.GridSettings = {
   afterModifyTransformEnd: (coords, rowTransformDir, colTransformDir) => {},
   afterModifyTransformStart: (coords, rowTransformDir, colTransformDir) => {},
   afterMomentumScroll: () => {},
+  afterNestedRowMove: (element, parent, index, previousParent, previousIndex) => {},
   afterOnCellContextMenu: (event, coords, TD) => {},
   afterOnCellCornerDblClick: (event) => {},
   afterOnCellCornerMouseDown: (event) => {},
@@ -181,8 +206,11 @@ const hotSettings: Handsontable.GridSettings = {
   afterRemoveRow: (index, amount) => {},
   afterRender: (isForced) => {},
   afterRenderer: (TD, row, col, prop, value, cellProperties) => {},
+  afterRowFreeze: (row) => {},
+  afterRowGrouping: (previousColumns, currentColumns) => {},
   afterRowMove: (startRow, endRow) => {},
   afterRowResize: (currentRow, newSize, isDoubleClick) => {},
+  afterRowUnfreeze: (row) => {},
   afterScrollHorizontally: () => {},
   afterScrollVertically: () => {},
   afterSelection: (r, c, r2, c2, preventScrolling, selectionLayerLevel) => {},
@@ -207,9 +235,13 @@ const hotSettings: Handsontable.GridSettings = {
   beforeCellAlignment: (stateBefore, range, type, alignmentClass) => {},
   beforeChange: (changes, source) => {},
   beforeChangeRender: (changes, source) => {},
+  beforeColumnCollapse: (currentCollapsedColumns, destinationCollapsedColumns, collapsePossible) => {},
+  beforeColumnExpand: (currentCollapsedColumns, destinationCollapsedColumns, expandPossible) => {},
+  beforeColumnFreeze: (column) => {},
   beforeColumnMove: (startColumn, endColumn) => {},
   beforeColumnResize: (currentColumn, newSize, isDoubleClick) => {},
   beforeColumnSort: (currentSortConfig, destinationSortConfigs) => {},
+  beforeColumnUnfreeze: (column) => {},
   beforeContextMenuSetItems: (menuItems) => {},
   beforeContextMenuShow: (context) => {},
   beforeCopy: (data, coords) => {},
@@ -227,6 +259,7 @@ const hotSettings: Handsontable.GridSettings = {
   beforeKeyDown: (event) => {},
   beforeLanguageChange: (languageCode) => {},
   beforeMergeCells: (cellRange, auto) => {},
+  beforeNestedRowMove: (element, parent, index, previousParent, previousIndex) => false,
   beforeOnCellContextMenu: (event, coords, TD) => {},
   beforeOnCellMouseDown: (event, coords, TD, controller) => {},
   beforeOnCellMouseOut: (event, coords, TD) => {},
@@ -240,8 +273,11 @@ const hotSettings: Handsontable.GridSettings = {
   beforeRemoveRow: (index, amount, logicalCols = [1, 2, 3]) => {},
   beforeRender: (isForced, skipRender) => {},
   beforeRenderer: (TD, row, col, prop, value, cellProperties) => {},
+  beforeRowFreeze: (row) => {},
+  beforeRowGrouping: (currentColumns, destinationColumns) => false,
   beforeRowMove: (startRow, endRow) => {},
   beforeRowResize: (currentRow, newSize, isDoubleClick) => {},
+  beforeRowUnfreeze: (row) => {},
   beforeSetRangeEnd: (coords) => {},
   beforeSetRangeStart: (coords) => {},
   beforeSetRangeStartOnly: (coords) => {},
@@ -265,6 +301,7 @@ const hotSettings: Handsontable.GridSettings = {
   modifyData: () => {},
   modifyGetCellCoords: (row, column, topmost) => {},
   modifyRow: (row) => {},
+  modifyRowCount: (count) => count,
   modifyRowData: (row) => {},
   modifyRowHeader: (row) => {},
   modifyRowHeight: (height, row) => {},